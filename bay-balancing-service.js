@@ -4,9 +4,14 @@
  */
 
 const { ShopRouter } = require('./firebase-config');
+const { WorkOrderRepository } = require('./work-order-repository');
 const admin = require('firebase-admin');
 
 class BayBalancingService {
+  constructor(workOrderRepository = new WorkOrderRepository()) {
+    this.workOrders = workOrderRepository;
+  }
+
   /**
    * Add service bay
    * @param {string} shopId - Shop ID
@@ -54,12 +59,9 @@ class BayBalancingService {
       // Get current job for each bay
       for (const bay of bays) {
         if (bay.currentJobId) {
-          const jobDoc = await ShopRouter.getShopDocument(shopId, 'jobs', bay.currentJobId).get();
-          if (jobDoc.exists) {
-            bay.currentJob = {
-              id: jobDoc.id,
-              ...jobDoc.data()
-            };
+          const job = await this.workOrders.find(shopId, bay.currentJobId);
+          if (job) {
+            bay.currentJob = job;
           }
         }
       }
@@ -101,7 +103,7 @@ class BayBalancingService {
       });
 
       // Update job
-      await ShopRouter.getShopDocument(shopId, 'jobs', jobId).update({
+      await this.workOrders.update(shopId, jobId, {
         bayId: bayId,
         assignedToBayAt: admin.firestore.FieldValue.serverTimestamp()
       });
@@ -149,13 +151,7 @@ class BayBalancingService {
       let currentJob = null;
       
       if (bayData.currentJobId) {
-        const jobDoc = await ShopRouter.getShopDocument(shopId, 'jobs', bayData.currentJobId).get();
-        if (jobDoc.exists) {
-          currentJob = {
-            id: jobDoc.id,
-            ...jobDoc.data()
-          };
-        }
+        currentJob = await this.workOrders.find(shopId, bayData.currentJobId);
       }
 
       return {
@@ -251,7 +247,7 @@ class BayBalancingService {
       });
 
       // Update job with scheduled bay
-      await ShopRouter.getShopDocument(shopId, 'jobs', jobId).update({
+      await this.workOrders.update(shopId, jobId, {
         scheduledBayId: bayId,
         scheduledAt: admin.firestore.Timestamp.fromDate(scheduledTime),
         scheduleId: scheduleDoc.id
@@ -324,12 +320,8 @@ class BayBalancingService {
           break;
       }
 
-      const jobsSnapshot = await ShopRouter.getShopCollection(shopId, 'jobs')
-        .where('bayId', '==', bayId)
-        .where('completedAt', '>=', startDate)
-        .get();
-
-      const jobs = jobsSnapshot.docs.map(doc => doc.data());
+      const bayJobs = await this.workOrders.list(shopId, { bayId });
+      const jobs = bayJobs.filter(job => job.completedAt && job.completedAt.toDate() >= startDate);
 
       const totalJobs = jobs.length;
       const totalHours = jobs.reduce((sum, job) => sum + (job.actualHours || 0), 0);
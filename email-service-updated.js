@@ -121,7 +121,9 @@ class EmailService {
       labor,
       total,
       quoteId,
-      shopInfo
+      shopInfo,
+      approvalUrl,
+      expiresAt
     } = quoteData;
 
     const subject = `Quote #${quoteId} - ${vehicleInfo.year} ${vehicleInfo.make} ${vehicleInfo.model}`;
@@ -163,15 +165,73 @@ class EmailService {
           <p style="font-size: 24px; font-weight: bold; margin: 0;">$${total}</p>
         </div>
 
+        ${approvalUrl ? `
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${approvalUrl}" style="background: #2563eb; color: #ffffff; padding: 14px 28px; border-radius: 8px; text-decoration: none; font-weight: bold;">
+            Review &amp; Approve Online
+          </a>
+          <p style="color: #6b7280; font-size: 14px;">
+            Approve or decline each item and sign online.${expiresAt ? ` This link expires ${new Date(expiresAt).toLocaleString()}.` : ''}
+          </p>
+        </div>
+        ` : `
         <p style="color: #6b7280; font-size: 14px;">
           This quote is valid for 30 days. Please contact us to approve and schedule service.
         </p>
+        `}
       </div>
     `;
 
     return this.sendEmail(customerEmail, subject, htmlContent);
   }
 
+  async sendApprovalConfirmation(approvalData) {
+    const {
+      to,
+      customerName,
+      workOrderId,
+      approvedTotal,
+      approvedItems = [],
+      estimatedCompletion,
+      shopInfo = {}
+    } = approvalData;
+
+    const subject = `Quote Approved - ${workOrderId}`;
+
+    const htmlContent = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #10b981;">✅ Quote Approved!</h2>
+        ${customerName ? `<p>Thank you, ${customerName}.</p>` : ''}
+
+        <div style="background: #d1fae5; padding: 15px; border-radius: 8px; margin: 20px 0; text-align: center;">
+          <p style="margin: 0;">Work Order: <strong>${workOrderId}</strong></p>
+          <p style="font-size: 24px; font-weight: bold; margin: 10px 0;">$${(Number(approvedTotal) || 0).toFixed(2)}</p>
+          <p style="margin: 0;">We will begin work on your vehicle shortly.</p>
+        </div>
+
+        ${approvedItems.length > 0 ? `
+        <div style="background: #f3f4f6; padding: 15px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="margin-top: 0;">Approved Work</h3>
+          <ul style="margin: 0; padding-left: 20px;">
+            ${approvedItems.map(item => `<li>${item}</li>`).join('')}
+          </ul>
+        </div>
+        ` : ''}
+
+        <div style="background: #dbeafe; padding: 15px; border-radius: 8px; margin: 20px 0;">
+          ${estimatedCompletion ? `<p><strong>📅 Estimated Completion:</strong> ${estimatedCompletion}</p>` : ''}
+          <p style="margin: 0;">We will contact you when your vehicle is ready for pickup.</p>
+        </div>
+
+        <p style="color: #6b7280; font-size: 14px;">
+          If you have any questions, please call us at ${shopInfo.phone || shopInfo.shopPhone || 'our shop'}.
+        </p>
+      </div>
+    `;
+
+    return this.sendEmail(to, subject, htmlContent);
+  }
+
   async sendAppointmentConfirmation(appointmentData) {
     const {
       customerName,
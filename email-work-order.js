@@ -186,7 +186,7 @@ async function sendWorkOrderConfirmation({ to, workOrderId, workOrder }) {
 /**
  * Send Quote to Customer
  */
-async function sendQuote({ to, workOrderId, quote, workOrder }) {
+async function sendQuote({ to, workOrderId, quote, workOrder, approvalUrl }) {
     const msg = {
         to: to,
         from: {
@@ -211,6 +211,8 @@ async function sendQuote({ to, workOrderId, quote, workOrder }) {
             ${quote.notes ? `\nNotes: ${quote.notes}` : ''}
             
             To approve this quote, please:
+            ${approvalUrl ? `Review, approve and sign online: ${approvalUrl}
+            Or:` : ''}
             1. Reply to this email with "APPROVE"
             2. Call us at ${shopSettings.shopPhone}
             3. Or visit our shop
@@ -277,6 +279,12 @@ async function sendQuote({ to, workOrderId, quote, workOrder }) {
                         
                         <div class="actions">
                             <h3>✅ Approve This Quote</h3>
+                            ${approvalUrl ? `
+                            <p style="text-align: center;">
+                                <a href="${approvalUrl}" style="display: inline-block; background: #2196f3; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold;">Review &amp; Approve Online</a>
+                            </p>
+                            <p>Approve or decline each item and sign online, or:</p>
+                            ` : ''}
                             <p>To approve this quote and schedule repairs, please choose one:</p>
                             <ol>
                                 <li>Reply to this email with "APPROVE"</li>
@@ -0,0 +1,139 @@
+/**
+ * Estimate Approval Link Endpoints
+ * Staff routes to create, email and revoke signed approval links, and the
+ * public page + submit route the customer reaches through the link
+ */
+
+const { ApprovalLinkError } = require('./estimate-approval-link-service.js');
+const { sendWorkOrderError } = require('./work-order-endpoints.js');
+const { getShopId } = require('./shop-auth-middleware.js');
+
+// Why a link can no longer be used → status code
+const LINK_ERROR_STATUS = {
+    signature: 401,
+    invalid: 404,
+    expired: 410,
+    used: 410,
+    revoked: 410,
+    changed: 409
+};
+
+function sendApprovalLinkError(res, error) {
+    if (error instanceof ApprovalLinkError) {
+        return res.status(LINK_ERROR_STATUS[error.reason] || 400).json({
+            success: false,
+            error: error.message,
+            reason: error.reason
+        });
+    }
+
+    if (/^(Your name is required|A signature is required|Customer email is required|Work order has no priced estimate|Decision must be|Unknown estimate line|At least one line decision)/.test(error.message)) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    sendWorkOrderError(res, error);
+}
+
+function registerEstimateApprovalLinkEndpoints(app, approvalLinks) {
+    const getBaseUrl = (req) => process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+    /**
+     * POST /api/work-orders/:id/estimate/approval-links
+     * Create an approval link and email it to the customer
+     * Body: { to, ttlHours, send } - send: false only creates the link (e.g. to text it)
+     */
+    app.post('/api/work-orders/:id/estimate/approval-links', async (req, res) => {
+        try {
+            const { to, ttlHours, send = true } = req.body;
+            const options = {
+                to,
+                ttlHours,
+                createdBy: req.shop?.email || 'Staff',
+                baseUrl: getBaseUrl(req)
+            };
+
+            const link = send
+                ? await approvalLinks.sendLink(getShopId(req), req.params.id, options)
+                : await approvalLinks.createLink(getShopId(req), req.params.id, { ...options, sentTo: to });
+
+            res.json({ success: true, link });
+        } catch (error) {
+            sendApprovalLinkError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/work-orders/:id/estimate/approval-links
+     * Links sent for a work order and their status (sent, viewed, completed, revoked)
+     */
+    app.get('/api/work-orders/:id/estimate/approval-links', async (req, res) => {
+        try {
+            const links = await approvalLinks.getLinks(getShopId(req), req.params.id);
+            res.json({ success: true, links });
+        } catch (error) {
+            sendApprovalLinkError(res, error);
+        }
+    });
+
+    /**
+     * DELETE /api/work-orders/:id/estimate/approval-links/:linkId
+     * Revoke a link
+     */
+    app.delete('/api/work-orders/:id/estimate/approval-links/:linkId', async (req, res) => {
+        try {
+            await approvalLinks.revokeLink(getShopId(req), req.params.id, req.params.linkId);
+            res.json({ success: true });
+        } catch (error) {
+            sendApprovalLinkError(res, error);
+        }
+    });
+
+    /**
+     * GET /estimate-approval/:token
+     * Customer-facing estimate page (public; the signed token identifies the shop and work order)
+     */
+    app.get('/estimate-approval/:token', async (req, res) => {
+        try {
+            const html = await approvalLinks.renderApprovalPage(req.params.token);
+            res.set('Cache-Control', 'no-store').type('html').send(html);
+        } catch (error) {
+            console.error('❌ Error rendering approval page:', error);
+            res.status(500).type('html').send(approvalLinks.renderMessagePage(
+                'Something went wrong',
+                'We could not load your estimate. Please contact the shop.'
+            ));
+        }
+    });
+
+    /**
+     * POST /api/estimate-approval/:token
+     * Customer submits per-line decisions and signature
+     * Body: { decisions: { [lineId]: 'approved'|'declined' }, signedName, signature (PNG data URL) }
+     */
+    app.post('/api/estimate-approval/:token', async (req, res) => {
+        try {
+            const { decisions, signedName, signature } = req.body;
+            const { approval } = await approvalLinks.submitApproval(req.params.token, {
+                decisions,
+                signedName,
+                signature
+            }, {
+                ip: req.ip,
+                userAgent: req.get('user-agent')
+            });
+
+            res.json({
+                success: true,
+                approvalStatus: approval.status,
+                approvedTotal: approval.approvedTotal,
+                message: approval.approvedTotal > 0
+                    ? `Thank you! We've received your approval for $${approval.approvedTotal.toFixed(2)} in work and will get started.`
+                    : 'Thank you! We have noted that you are declining the recommended work for now.'
+            });
+        } catch (error) {
+            sendApprovalLinkError(res, error);
+        }
+    });
+}
+
+module.exports = registerEstimateApprovalLinkEndpoints;
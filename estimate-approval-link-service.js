@@ -0,0 +1,677 @@
+/**
+ * Estimate Approval Link Service
+ * Signed, expiring links that let a customer review an estimate online,
+ * approve or decline each line and sign, instead of calling the shop back
+ *
+ * Token: base64url(JSON { s: shopId, w: workOrderId, l: linkId, e: expiresAt })
+ * + '.' + HMAC-SHA256 signature. The link record in 'approvalLinks' makes each
+ * link single-use and lets the shop revoke it or resend a fresh one.
+ */
+
+const crypto = require('crypto');
+const { ShopRouter } = require('./firebase-config');
+const admin = require('firebase-admin');
+const ShopBrandingService = require('./shop-branding-service.js');
+const PhotoManagementService = require('./photo-management-service.js');
+
+const DEFAULT_TTL_HOURS = 72;
+
+class ApprovalLinkError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} reason - 'signature' | 'invalid' | 'expired' | 'used' | 'revoked' | 'changed'
+   */
+  constructor(message, reason) {
+    super(message);
+    this.name = 'ApprovalLinkError';
+    this.reason = reason;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatMoney(value) {
+  return `$${(Number(value) || 0).toFixed(2)}`;
+}
+
+class EstimateApprovalLinkService {
+  /**
+   * @param {object} options - { estimateApproval, workOrderRepository, emailService or
+   *   emailSettings { apiKey, fromEmail, fromName }, brandingService, photoService,
+   *   secret, baseUrl, ttlHours }
+   */
+  constructor(options = {}) {
+    this.estimateApproval = options.estimateApproval;
+    this.workOrderRepository = options.workOrderRepository || options.estimateApproval.workOrderRepository;
+    this.emailService = options.emailService || null;
+    this.emailSettings = options.emailSettings || {};
+    this.brandingService = options.brandingService || new ShopBrandingService();
+    this.photoService = options.photoService || new PhotoManagementService();
+    this.baseUrl = options.baseUrl || process.env.PUBLIC_BASE_URL || null;
+    this.ttlHours = Number(options.ttlHours || process.env.APPROVAL_LINK_TTL_HOURS) || DEFAULT_TTL_HOURS;
+    this.secret = options.secret || process.env.APPROVAL_LINK_SECRET;
+
+    if (!this.secret) {
+      // Links still work, but stop verifying after a restart
+      this.secret = crypto.randomBytes(32).toString('hex');
+      console.warn('⚠️ APPROVAL_LINK_SECRET not set - approval links will expire when the server restarts');
+    }
+  }
+
+  /**
+   * Create a signed approval link for a work order's estimate
+   * @param {string} shopId - Shop ID
+   * @param {string} workOrderId - Work order ID
+   * @param {object} options - { sentTo, createdBy, ttlHours, baseUrl }
+   * @returns {Promise<object>} { linkId, token, url, expiresAt }
+   */
+  async createLink(shopId, workOrderId, options = {}) {
+    try {
+      const workOrder = await this.workOrderRepository.get(shopId, workOrderId);
+
+      if (!workOrder.estimate?.lines?.length) {
+        throw new Error('Work order has no priced estimate to send');
+      }
+
+      const ttlHours = Number(options.ttlHours) || this.ttlHours;
+      const expiresAt = new Date(Date.now() + ttlHours * 60 * 60 * 1000).toISOString();
+      const linkId = `AL-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+      await ShopRouter.getShopDocument(shopId, 'approvalLinks', linkId).set({
+        linkId,
+        workOrderId,
+        // A link is for the estimate as it was priced when sent
+        estimatePricedAt: workOrder.estimate.pricedAt || null,
+        sentTo: options.sentTo || workOrder.customer?.email || null,
+        createdBy: options.createdBy || 'Staff',
+        status: 'sent',
+        expiresAt,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      const token = this.signToken({ s: shopId, w: workOrderId, l: linkId, e: Date.parse(expiresAt) });
+      const baseUrl = (options.baseUrl || this.baseUrl || '').replace(/\/$/, '');
+
+      return { linkId, token, url: `${baseUrl}/estimate-approval/${token}`, expiresAt };
+    } catch (error) {
+      console.error('Error creating approval link:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a link and email it with the estimate
+   * @param {string} shopId - Shop ID
+   * @param {string} workOrderId - Work order ID
+   * @param {object} options - Same as createLink(), plus { to }
+   * @returns {Promise<object>} Link plus { emailed }
+   */
+  async sendLink(shopId, workOrderId, options = {}) {
+    const workOrder = await this.workOrderRepository.get(shopId, workOrderId);
+    const to = options.to || workOrder.customer?.email;
+
+    if (!to) {
+      throw new Error('Customer email is required to send an approval link');
+    }
+
+    const link = await this.createLink(shopId, workOrderId, { ...options, sentTo: to });
+    const emailService = await this.getEmailService();
+
+    if (!emailService) {
+      console.warn(`⚠️ Email not configured - approval link for ${workOrderId} was not emailed`);
+      return { ...link, emailed: false };
+    }
+
+    const lines = workOrder.estimate.lines;
+    const toItems = (types) => lines
+      .filter(line => types.includes(line.type))
+      .map(line => ({ name: line.description, price: line.total.toFixed(2) }));
+
+    await emailService.sendQuote({
+      customerName: workOrder.customer?.name || 'Customer',
+      customerEmail: to,
+      vehicleInfo: workOrder.vehicle || {},
+      parts: toItems(['part', 'core']),
+      labor: toItems(['labor', 'fee', 'supplies', 'hazmat']),
+      total: (workOrder.estimate.totals?.total ?? 0).toFixed(2),
+      quoteId: workOrderId,
+      approvalUrl: link.url,
+      expiresAt: link.expiresAt
+    });
+
+    await ShopRouter.getShopDocument(shopId, 'approvalLinks', link.linkId).update({
+      emailedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { ...link, emailed: true };
+  }
+
+  /**
+   * Resolve a token to its link, work order and shop, checking signature,
+   * expiry and link status
+   * @param {string} token - Approval token
+   * @returns {Promise<object>} { shopId, link, workOrder }
+   * @throws {ApprovalLinkError}
+   */
+  async resolveToken(token) {
+    const payload = this.verifyToken(token);
+    const shopId = payload.s;
+
+    const doc = await ShopRouter.getShopDocument(shopId, 'approvalLinks', payload.l).get();
+    if (!doc.exists || doc.data().workOrderId !== payload.w) {
+      throw new ApprovalLinkError('This approval link is not valid', 'invalid');
+    }
+
+    const link = doc.data();
+    if (link.status === 'revoked') {
+      throw new ApprovalLinkError('This approval link has been cancelled by the shop', 'revoked');
+    }
+    if (link.status === 'completed') {
+      throw new ApprovalLinkError('This estimate has already been answered', 'used');
+    }
+
+    const workOrder = await this.workOrderRepository.get(shopId, payload.w);
+    if ((workOrder.estimate?.pricedAt || null) !== link.estimatePricedAt) {
+      throw new ApprovalLinkError('This estimate has changed since the link was sent. Please contact the shop for an updated link.', 'changed');
+    }
+
+    return { shopId, link, workOrder };
+  }
+
+  /**
+   * Render the customer-facing approval page
+   * @param {string} token - Approval token
+   * @returns {Promise<string>} HTML
+   */
+  async renderApprovalPage(token) {
+    let resolved;
+    try {
+      resolved = await this.resolveToken(token);
+    } catch (error) {
+      if (error instanceof ApprovalLinkError) {
+        return this.renderMessagePage('Link unavailable', error.message);
+      }
+      throw error;
+    }
+
+    const { shopId, link, workOrder } = resolved;
+    const [branding, shopInfo, photos] = await Promise.all([
+      this.brandingService.getBranding(shopId),
+      this.getShopInfo(shopId),
+      this.getPhotoPairs(shopId, workOrder)
+    ]);
+
+    if (link.status === 'sent') {
+      await ShopRouter.getShopDocument(shopId, 'approvalLinks', link.linkId).update({
+        status: 'viewed',
+        viewedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+
+    return this.buildPageHtml({ token, workOrder, branding, shopInfo, photos, expiresAt: link.expiresAt });
+  }
+
+  /**
+   * Record the customer's per-line decisions and signature from the page
+   * @param {string} token - Approval token
+   * @param {object} submission - { decisions: { [lineId]: 'approved'|'declined' }, signedName, signature }
+   * @param {object} meta - { ip, userAgent }
+   * @returns {Promise<object>} { workOrder, approval }
+   */
+  async submitApproval(token, submission = {}, meta = {}) {
+    try {
+      const { shopId, link, workOrder } = await this.resolveToken(token);
+      const { decisions = {}, signedName, signature } = submission;
+
+      if (!signedName || !String(signedName).trim()) {
+        throw new Error('Your name is required to sign the estimate');
+      }
+      if (!signature || !/^data:image\/png;base64,/.test(signature)) {
+        throw new Error('A signature is required');
+      }
+
+      // Claim the link first, so the same link can't be submitted twice at once
+      const previousStatus = await this.claimLink(shopId, link.linkId);
+
+      let updated;
+      try {
+        updated = await this.estimateApproval.recordDecisions(shopId, workOrder.id, {
+          decisions: Object.entries(decisions).map(([lineId, decision]) => ({ lineId, decision })),
+          approvedBy: String(signedName).trim(),
+          channel: 'email_link',
+          signature: {
+            name: String(signedName).trim(),
+            image: signature,
+            ip: meta.ip || null,
+            userAgent: meta.userAgent || null,
+            linkId: link.linkId
+          }
+        });
+      } catch (error) {
+        // Nothing was recorded, so the customer can fix the problem and try again
+        await ShopRouter.getShopDocument(shopId, 'approvalLinks', link.linkId).update({ status: previousStatus });
+        throw error;
+      }
+
+      await ShopRouter.getShopDocument(shopId, 'approvalLinks', link.linkId).update({
+        completedAt: admin.firestore.FieldValue.serverTimestamp(),
+        approvalStatus: updated.approval.status
+      });
+
+      if (updated.approval.approvedTotal > 0) {
+        await this.sendApprovedEmail(shopId, updated, link.sentTo);
+      }
+
+      return { workOrder: updated, approval: updated.approval };
+    } catch (error) {
+      if (!(error instanceof ApprovalLinkError)) {
+        console.error('Error submitting estimate approval:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a link completed if it is still open
+   * @returns {Promise<string>} The status it had ('sent' or 'viewed')
+   * @throws {ApprovalLinkError} If it was answered or revoked in the meantime
+   */
+  async claimLink(shopId, linkId) {
+    const linkRef = ShopRouter.getShopDocument(shopId, 'approvalLinks', linkId);
+
+    return ShopRouter.runTransaction(async (transaction) => {
+      const doc = await transaction.get(linkRef);
+      const status = doc.data().status;
+
+      if (status === 'revoked') {
+        throw new ApprovalLinkError('This approval link has been cancelled by the shop', 'revoked');
+      }
+      if (status === 'completed') {
+        throw new ApprovalLinkError('This estimate has already been answered', 'used');
+      }
+
+      transaction.update(linkRef, { status: 'completed' });
+      return status;
+    });
+  }
+
+  /**
+   * Revoke a link so it can no longer be used
+   * @param {string} shopId - Shop ID
+   * @param {string} workOrderId - Work order the link was sent for
+   * @param {string} linkId - Link ID
+   * @returns {Promise<void>}
+   */
+  async revokeLink(shopId, workOrderId, linkId) {
+    try {
+      const linkRef = ShopRouter.getShopDocument(shopId, 'approvalLinks', linkId);
+
+      await ShopRouter.runTransaction(async (transaction) => {
+        const doc = await transaction.get(linkRef);
+        if (!doc.exists || doc.data().workOrderId !== workOrderId) {
+          throw new ApprovalLinkError('Approval link not found', 'invalid');
+        }
+
+        transaction.update(linkRef, {
+          status: 'revoked',
+          revokedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      });
+    } catch (error) {
+      console.error('Error revoking approval link:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Links created for a work order, newest first
+   * @param {string} shopId - Shop ID
+   * @param {string} workOrderId - Work order ID
+   * @returns {Promise<Array>}
+   */
+  async getLinks(shopId, workOrderId) {
+    try {
+      const snapshot = await ShopRouter.getShopCollection(shopId, 'approvalLinks')
+        .where('workOrderId', '==', workOrderId)
+        .get();
+
+      return snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => b.expiresAt.localeCompare(a.expiresAt));
+    } catch (error) {
+      console.error('Error getting approval links:', error);
+      throw error;
+    }
+  }
+
+  signToken(payload) {
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${body}.${this.sign(body)}`;
+  }
+
+  /**
+   * Check a token's signature and expiry
+   * @param {string} token - Approval token
+   * @returns {object} Payload { s, w, l, e }
+   * @throws {ApprovalLinkError}
+   */
+  verifyToken(token) {
+    const [body, signature] = String(token || '').split('.');
+    // Compared as bytes: a multibyte signature can match in characters but not bytes
+    const given = Buffer.from(signature || '');
+    const expected = Buffer.from(body ? this.sign(body) : '');
+
+    if (!body || !signature || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      throw new ApprovalLinkError('This approval link is not valid', 'signature');
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new ApprovalLinkError('This approval link is not valid', 'invalid');
+    }
+
+    if (!payload.e || Date.now() > payload.e) {
+      throw new ApprovalLinkError('This approval link has expired. Please contact the shop for a new one.', 'expired');
+    }
+
+    return payload;
+  }
+
+  sign(body) {
+    return crypto.createHmac('sha256', this.secret).update(body).digest('base64url');
+  }
+
+  async getShopInfo(shopId) {
+    try {
+      const doc = await ShopRouter.getShopDocument(shopId, 'settings', 'info').get();
+      return doc.exists ? doc.data() : {};
+    } catch (error) {
+      console.error('Error getting shop info:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Before/after photos for the work order's vehicle (photos are keyed by vehicle ID)
+   */
+  async getPhotoPairs(shopId, workOrder) {
+    const vehicleId = workOrder.vehicleId || workOrder.vehicle?.vin || workOrder.id;
+    try {
+      return await this.photoService.getBeforeAfterPairs(shopId, vehicleId);
+    } catch (error) {
+      console.error('Error loading estimate photos:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Send the "estimate approved" email after an online approval
+   */
+  async sendApprovedEmail(shopId, workOrder, fallbackEmail) {
+    const to = workOrder.customer?.email || fallbackEmail;
+    const emailService = to ? await this.getEmailService() : null;
+
+    if (!emailService) {
+      return;
+    }
+
+    try {
+      const shopInfo = await this.getShopInfo(shopId);
+      await emailService.sendApprovalConfirmation({
+        to,
+        customerName: workOrder.customer?.name,
+        workOrderId: workOrder.id,
+        approvedTotal: workOrder.approval.approvedTotal,
+        approvedItems: workOrder.estimate.lines
+          .filter(line => line.approvalStatus === 'approved')
+          .map(line => line.description),
+        estimatedCompletion: workOrder.schedule?.estimatedCompletion,
+        shopInfo
+      });
+    } catch (error) {
+      console.error('Error sending approval confirmation email:', error);
+    }
+  }
+
+  /**
+   * EmailService, created on first use; null when SendGrid is not configured
+   */
+  async getEmailService() {
+    if (this.emailService) {
+      return this.emailService.isReady() ? this.emailService : null;
+    }
+
+    if (!this.emailSettings.apiKey) {
+      return null;
+    }
+
+    try {
+      const EmailService = require('./email-service-updated.js');
+      const { apiKey, fromEmail, fromName } = this.emailSettings;
+      this.emailService = new EmailService(apiKey, fromEmail || undefined, fromName);
+      await this.emailService.initialize();
+      return this.emailService.isReady() ? this.emailService : null;
+    } catch (error) {
+      console.error('Error creating email service:', error);
+      return null;
+    }
+  }
+
+  renderMessagePage(title, message) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; background: #f3f4f6; color: #1e293b; margin: 0; padding: 40px 20px; }
+    .card { max-width: 480px; margin: 0 auto; background: #fff; border-radius: 8px; padding: 30px; text-align: center; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <h2>${escapeHtml(title)}</h2>
+    <p>${escapeHtml(message)}</p>
+  </div>
+</body>
+</html>`;
+  }
+
+  /**
+   * Estimate page: shop branding, vehicle, photos, one approve/decline choice
+   * per line, running approved total and a signature pad
+   */
+  buildPageHtml({ token, workOrder, branding, shopInfo, photos, expiresAt }) {
+    const colors = branding.colors || {};
+    const estimate = workOrder.estimate;
+    const vehicle = workOrder.vehicle || {};
+    const decidable = estimate.lines.filter(line => this.estimateApproval.isDecidable(line));
+    const children = (line) => estimate.lines.filter(entry => entry.parentLineId === line.id);
+    const shopFees = estimate.lines.filter(line => !this.estimateApproval.isDecidable(line) && !line.parentLineId);
+    const lineTotal = (line) => [line, ...children(line)].reduce((sum, entry) => sum + entry.total + (entry.tax || 0), 0);
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Estimate ${escapeHtml(workOrder.id)} - ${escapeHtml(shopInfo.shopName || 'Your Estimate')}</title>
+  <style>
+    :root {
+      --vhicl-primary: ${escapeHtml(colors.primary || '#2563eb')};
+      --vhicl-text: ${escapeHtml(colors.text || '#1e293b')};
+      --vhicl-success: ${escapeHtml(colors.success || '#22c55e')};
+      --vhicl-error: ${escapeHtml(colors.error || '#ef4444')};
+    }
+    body { font-family: Arial, sans-serif; background: #f3f4f6; color: var(--vhicl-text); margin: 0; }
+    .container { max-width: 720px; margin: 0 auto; padding: 20px; }
+    .header { background: var(--vhicl-primary); color: #fff; padding: 20px; border-radius: 8px 8px 0 0; display: flex; align-items: center; gap: 15px; }
+    .header img { max-height: 50px; }
+    .section { background: #fff; padding: 20px; border-bottom: 1px solid #e5e7eb; }
+    .line { display: flex; justify-content: space-between; align-items: center; padding: 12px 0; border-bottom: 1px solid #f1f5f9; gap: 10px; }
+    .line small { color: #64748b; display: block; }
+    .choices label { margin-left: 10px; white-space: nowrap; }
+    .photos { display: grid; grid-template-columns: 1fr 1fr; gap: 10px; }
+    .photos img { width: 100%; height: 160px; object-fit: cover; border-radius: 6px; }
+    .total { font-size: 24px; font-weight: bold; text-align: right; }
+    canvas { border: 2px dashed #cbd5e1; border-radius: 6px; width: 100%; height: 150px; touch-action: none; background: #fff; }
+    input[type=text] { width: 100%; padding: 10px; font-size: 16px; box-sizing: border-box; }
+    button { background: var(--vhicl-primary); color: #fff; border: 0; padding: 14px 20px; font-size: 16px; border-radius: 6px; cursor: pointer; }
+    button.link { background: none; color: var(--vhicl-primary); padding: 0; font-size: 14px; }
+    .error { color: var(--vhicl-error); }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      ${branding.logoUrl ? `<img src="${escapeHtml(branding.logoUrl)}" alt="">` : ''}
+      <div>
+        <h2 style="margin: 0;">${escapeHtml(shopInfo.shopName || 'Your Estimate')}</h2>
+        <div>Estimate for work order ${escapeHtml(workOrder.id)}</div>
+      </div>
+    </div>
+
+    <div class="section">
+      <strong>${escapeHtml([vehicle.year, vehicle.make, vehicle.model].filter(Boolean).join(' ') || 'Your vehicle')}</strong>
+      ${workOrder.customer?.name ? `<div>Prepared for ${escapeHtml(workOrder.customer.name)}</div>` : ''}
+      <small>This link expires ${escapeHtml(new Date(expiresAt).toLocaleString())}</small>
+    </div>
+
+    ${photos.length > 0 ? `
+    <div class="section">
+      <h3>Photos from your inspection</h3>
+      ${photos.map(pair => `
+      <div class="photos">
+        <figure><img src="${escapeHtml(pair.before.url)}" alt="Before"><figcaption>Before: ${escapeHtml(pair.before.description)}</figcaption></figure>
+        ${pair.after ? `<figure><img src="${escapeHtml(pair.after.url)}" alt="After"><figcaption>After: ${escapeHtml(pair.after.description)}</figcaption></figure>` : '<div></div>'}
+      </div>`).join('')}
+    </div>` : ''}
+
+    <form id="approval-form" class="section">
+      <h3>Recommended work</h3>
+      ${decidable.map(line => `
+      <div class="line" data-line-id="${escapeHtml(line.id)}" data-amount="${lineTotal(line).toFixed(2)}">
+        <div>
+          ${escapeHtml(line.description)}
+          ${children(line).map(child => `<small>${escapeHtml(child.description)}: ${formatMoney(child.total)}</small>`).join('')}
+        </div>
+        <div>
+          <strong>${formatMoney(lineTotal(line))}</strong>
+          <span class="choices">
+            <label><input type="radio" name="${escapeHtml(line.id)}" value="approved" checked> Approve</label>
+            <label><input type="radio" name="${escapeHtml(line.id)}" value="declined"> Decline</label>
+          </span>
+        </div>
+      </div>`).join('')}
+      ${shopFees.map(line => `
+      <div class="line"><div>${escapeHtml(line.description)} <small>Adjusted to the work you approve</small></div><div>${formatMoney(line.total)}</div></div>`).join('')}
+
+      <p class="total">Approved total: <span id="approved-total">${formatMoney(estimate.totals?.total)}</span></p>
+      <small>Includes tax. Shop supplies and disposal fees are adjusted to the approved work.</small>
+
+      <h3>Sign to confirm</h3>
+      <input type="text" id="signed-name" placeholder="Full name" autocomplete="name">
+      <p>Sign below <button type="button" class="link" id="clear-signature">Clear</button></p>
+      <canvas id="signature"></canvas>
+      <p id="form-error" class="error"></p>
+      <button type="submit">Submit my decisions</button>
+    </form>
+  </div>
+
+  <script>
+    (function () {
+      var form = document.getElementById('approval-form');
+      var canvas = document.getElementById('signature');
+      var ctx = canvas.getContext('2d');
+      var drawing = false;
+      var signed = false;
+      var fullTotal = ${Number(estimate.totals?.total) || 0};
+
+      function resize() {
+        canvas.width = canvas.offsetWidth;
+        canvas.height = canvas.offsetHeight;
+        ctx.lineWidth = 2;
+        ctx.lineCap = 'round';
+      }
+      function point(event) {
+        var rect = canvas.getBoundingClientRect();
+        return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+      }
+      canvas.addEventListener('pointerdown', function (event) {
+        drawing = true;
+        var p = point(event);
+        ctx.beginPath();
+        ctx.moveTo(p.x, p.y);
+      });
+      canvas.addEventListener('pointermove', function (event) {
+        if (!drawing) return;
+        var p = point(event);
+        ctx.lineTo(p.x, p.y);
+        ctx.stroke();
+        signed = true;
+      });
+      window.addEventListener('pointerup', function () { drawing = false; });
+      document.getElementById('clear-signature').addEventListener('click', function () {
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        signed = false;
+      });
+      resize();
+
+      // Estimate only: the server recalculates fees and tax on submit
+      form.addEventListener('change', function () {
+        var declined = 0;
+        document.querySelectorAll('.line[data-line-id]').forEach(function (row) {
+          var choice = row.querySelector('input:checked');
+          if (choice && choice.value === 'declined') declined += Number(row.dataset.amount);
+        });
+        document.getElementById('approved-total').textContent = '$' + Math.max(fullTotal - declined, 0).toFixed(2);
+      });
+
+      form.addEventListener('submit', function (event) {
+        event.preventDefault();
+        var error = document.getElementById('form-error');
+        var name = document.getElementById('signed-name').value.trim();
+        if (!name || !signed) {
+          error.textContent = 'Please enter your name and sign to confirm.';
+          return;
+        }
+
+        var decisions = {};
+        document.querySelectorAll('.line[data-line-id]').forEach(function (row) {
+          decisions[row.dataset.lineId] = row.querySelector('input:checked').value;
+        });
+
+        fetch('/api/estimate-approval/${escapeHtml(token)}', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ decisions: decisions, signedName: name, signature: canvas.toDataURL('image/png') })
+        })
+          .then(function (response) { return response.json(); })
+          .then(function (result) {
+            if (!result.success) throw new Error(result.error);
+            form.innerHTML = '<h3>Thank you!</h3><p></p>';
+            form.querySelector('p').textContent = result.message;
+          })
+          .catch(function (err) { error.textContent = err.message; });
+      });
+    })();
+  </script>
+</body>
+</html>`;
+  }
+}
+
+module.exports = {
+  EstimateApprovalLinkService,
+  ApprovalLinkError
+};
@@ -0,0 +1,435 @@
+/**
+ * Estimate Approval Service
+ * Line-level approve / decline / defer on work order estimates
+ *
+ * Each decision is stamped on the estimate line, the approved total is
+ * recalculated from the approved lines, and the approval record keeps who
+ * decided, when and through which channel. Declined and deferred lines are
+ * kept per shop in 'declinedWork' so ALEX can bring them up on the next call.
+ */
+
+const { ShopRouter } = require('./firebase-config');
+const admin = require('firebase-admin');
+const EstimateEngine = require('./estimate-engine.js');
+const { WorkOrderRepository } = require('./work-order-repository.js');
+
+const APPROVAL_DECISIONS = ['approved', 'declined', 'deferred'];
+const APPROVAL_CHANNELS = ['phone', 'email_link', 'in_person'];
+
+// Lines the customer decides on; the rest follow their parent line or are shop fees
+const DECIDABLE_LINE_TYPES = ['labor', 'part', 'fee'];
+
+function round2(value) {
+  return Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Digits only, last 10 (drops a leading US country code)
+ */
+function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits ? digits.slice(-10) : null;
+}
+
+/**
+ * Lowercase words with plural 's' dropped, for matching spoken item names to lines
+ */
+function toWords(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !['and', 'the', 'replace', 'a'].includes(word))
+    .map(word => (word.length > 3 && word.endsWith('s') ? word.slice(0, -1) : word));
+}
+
+class EstimateApprovalService {
+  /**
+   * @param {WorkOrderRepository} workOrderRepository - Work order repository
+   */
+  constructor(workOrderRepository = new WorkOrderRepository()) {
+    this.workOrderRepository = workOrderRepository;
+    this.estimateEngine = new EstimateEngine();
+  }
+
+  /**
+   * Record customer decisions on estimate lines
+   * @param {string} shopId - Shop ID
+   * @param {string} workOrderId - Work order ID
+   * @param {object} approval - { decisions: [{ lineId, decision, reason }], approveAll,
+   *   approvedBy, channel ('phone' | 'email_link' | 'in_person'), signature, note, updates }
+   * @returns {Promise<object>} Updated work order
+   */
+  async recordDecisions(shopId, workOrderId, approval = {}) {
+    try {
+      const {
+        decisions = [],
+        approveAll = false,
+        approvedBy = 'customer',
+        channel,
+        signature = null,
+        note = null,
+        updates = {}
+      } = approval;
+
+      if (!APPROVAL_CHANNELS.includes(channel)) {
+        throw new Error(`Approval channel must be one of: ${APPROVAL_CHANNELS.join(', ')}`);
+      }
+
+      const workOrder = await this.workOrderRepository.get(shopId, workOrderId);
+      const estimate = workOrder.estimate;
+
+      if (!estimate) {
+        throw new Error('Work order has no estimate');
+      }
+
+      const decidedAt = new Date().toISOString();
+      const lines = (estimate.lines || []).map(line => ({ ...line }));
+      const byId = new Map(lines.map(line => [line.id, line]));
+      const applied = [];
+
+      // approveAll approves every undecided line the explicit decisions leave out
+      const requested = [
+        ...decisions,
+        ...(approveAll
+          ? lines.filter(line => this.isDecidable(line) && !line.approvalStatus &&
+            !decisions.some(entry => entry.lineId === line.id))
+            .map(line => ({ lineId: line.id, decision: 'approved' }))
+          : [])
+      ];
+
+      if (!approveAll && requested.length === 0) {
+        throw new Error('At least one line decision is required');
+      }
+
+      if (decisions.length > 0 && lines.length === 0) {
+        throw new Error('Estimate has no lines to approve');
+      }
+
+      requested.forEach(({ lineId, decision, reason }) => {
+        const line = byId.get(lineId);
+
+        if (!line || !this.isDecidable(line)) {
+          throw new Error(`Unknown estimate line: ${lineId}`);
+        }
+
+        if (!APPROVAL_DECISIONS.includes(decision)) {
+          throw new Error(`Decision must be one of: ${APPROVAL_DECISIONS.join(', ')}`);
+        }
+
+        line.approvalStatus = decision;
+        line.decision = { decision, reason: reason || null, by: approvedBy, channel, at: decidedAt };
+        applied.push({ lineId, decision, reason: reason || null });
+      });
+
+      const totals = this.calculateApprovedTotals({ ...estimate, lines });
+      const approvalStatus = this.getApprovalStatus(lines, approveAll);
+
+      const record = {
+        status: approvalStatus,
+        approvedBy,
+        channel,
+        at: decidedAt,
+        decisions: applied,
+        approvedTotal: totals.approved.total,
+        declinedTotal: totals.declined.total,
+        deferredTotal: totals.deferred.total,
+        ...(signature ? { signature } : {}),
+        ...(note ? { note } : {})
+      };
+
+      const updatedEstimate = {
+        ...estimate,
+        lines,
+        approvalStatus,
+        approvedTotals: totals.approved,
+        declinedTotal: totals.declined.total,
+        deferredTotal: totals.deferred.total,
+        approvals: [...(estimate.approvals || []), record]
+      };
+
+      const changes = { ...updates, estimate: updatedEstimate, approval: record };
+      // The job is approved once every line has a decision and at least one is
+      // approved; until then the work order stays at 'estimate'
+      const decidable = lines.filter(line => this.isDecidable(line));
+      const readyForWork = lines.length === 0
+        ? approveAll
+        : decidable.every(line => line.approvalStatus) && decidable.some(line => line.approvalStatus === 'approved');
+
+      const updated = readyForWork && workOrder.status === 'estimate'
+        ? await this.workOrderRepository.transition(shopId, workOrderId, 'approved', {
+          by: approvedBy,
+          note: `Estimate ${approvalStatus} via ${channel}`,
+          updates: changes
+        })
+        : await this.workOrderRepository.update(shopId, workOrderId, changes);
+
+      await this.saveDeclinedWork(shopId, updated, lines.filter(line =>
+        applied.some(entry => entry.lineId === line.id)
+      ));
+
+      console.log(`✅ Estimate ${workOrderId} ${approvalStatus} via ${channel} (approved $${totals.approved.total})`);
+
+      return updated;
+    } catch (error) {
+      console.error('Error recording estimate approval:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approved, declined and deferred totals for an estimate's lines
+   *
+   * Core charges and per-line hazmat fees follow their parent line. Shop
+   * supplies scale with the approved share of labor, and the disposal fee
+   * applies once any approved line is hazmat. Estimates without lines
+   * (legacy quotes) count in full once approved.
+   *
+   * @param {object} estimate - Estimate with priced lines
+   * @returns {object} { approved, declined, deferred }
+   */
+  calculateApprovedTotals(estimate) {
+    const lines = estimate.lines || [];
+
+    if (lines.length === 0) {
+      const total = Number(estimate.totals?.total ?? estimate.total) || 0;
+      return {
+        approved: { subtotal: total, tax: 0, total },
+        declined: { subtotal: 0, tax: 0, total: 0 },
+        deferred: { subtotal: 0, tax: 0, total: 0 }
+      };
+    }
+
+    const statusOf = (line) => {
+      if (line.parentLineId) {
+        const parent = lines.find(entry => entry.id === line.parentLineId);
+        return parent ? statusOf(parent) : line.approvalStatus;
+      }
+      return line.approvalStatus;
+    };
+
+    const laborTotal = lines.filter(line => line.type === 'labor').reduce((sum, line) => sum + line.total, 0);
+    const approvedLabor = lines
+      .filter(line => line.type === 'labor' && statusOf(line) === 'approved')
+      .reduce((sum, line) => sum + line.total, 0);
+    const approvedHazmat = lines.some(line => line.hazmat && statusOf(line) === 'approved');
+
+    const scale = (line, factor) => ({ ...line, total: round2(line.total * factor), tax: round2(line.tax * factor) });
+
+    const approved = lines.flatMap(line => {
+      if (line.type === 'supplies') {
+        return laborTotal > 0 && approvedLabor > 0 ? [scale(line, approvedLabor / laborTotal)] : [];
+      }
+      if (line.type === 'hazmat' && !line.parentLineId) {
+        return approvedHazmat ? [line] : [];
+      }
+      return statusOf(line) === 'approved' ? [line] : [];
+    });
+
+    const summarize = (selected) => {
+      const subtotal = round2(selected.reduce((sum, line) => sum + line.total, 0));
+      const tax = round2(selected.reduce((sum, line) => sum + (line.tax || 0), 0));
+      return { subtotal, tax, total: round2(subtotal + tax) };
+    };
+
+    return {
+      approved: this.estimateEngine.calculateTotals(approved),
+      declined: summarize(lines.filter(line => line.type !== 'supplies' && statusOf(line) === 'declined')),
+      deferred: summarize(lines.filter(line => line.type !== 'supplies' && statusOf(line) === 'deferred'))
+    };
+  }
+
+  /**
+   * Overall estimate status from its line decisions
+   * @returns {string} 'pending' | 'partial' | 'approved' | 'declined'
+   */
+  getApprovalStatus(lines, approveAll = false) {
+    const decidable = lines.filter(line => this.isDecidable(line));
+
+    if (decidable.length === 0) {
+      return approveAll ? 'approved' : 'pending';
+    }
+
+    const count = (status) => decidable.filter(line => line.approvalStatus === status).length;
+    const approved = count('approved');
+
+    if (approved === decidable.length) return 'approved';
+    if (approved > 0) return 'partial';
+    if (decidable.every(line => line.approvalStatus)) return 'declined';
+    return 'pending';
+  }
+
+  /**
+   * Match line IDs or spoken item names ("rear struts") to estimate lines
+   * @param {Array} lines - Estimate lines
+   * @param {string} item - Line ID or description
+   * @returns {Array} Matching decidable lines
+   */
+  matchLines(lines, item) {
+    const decidable = lines.filter(line => this.isDecidable(line));
+    const exact = decidable.filter(line => line.id === item);
+
+    if (exact.length > 0) {
+      return exact;
+    }
+
+    const words = toWords(item);
+    if (words.length === 0) {
+      return [];
+    }
+
+    return decidable.filter(line => {
+      const lineWords = toWords(line.description);
+      return words.every(word => lineWords.includes(word));
+    });
+  }
+
+  /**
+   * Store declined/deferred lines on the vehicle's history, and resolve earlier
+   * declined work for the same vehicle once the customer approves it
+   */
+  async saveDeclinedWork(shopId, workOrder, lines) {
+    const collection = ShopRouter.getShopCollection(shopId, 'declinedWork');
+    const vehicle = workOrder.vehicle || {};
+    const customerPhone = normalizePhone(workOrder.customer?.phone);
+    const vin = vehicle.vin ? String(vehicle.vin).toUpperCase() : null;
+    const plate = vehicle.licensePlate || vehicle.plate || null;
+
+    for (const line of lines) {
+      const id = `${workOrder.id}-${line.id}`;
+
+      if (line.approvalStatus === 'approved') {
+        if (!workOrder.vehicleId && !customerPhone && !vin) continue;
+
+        const previous = await this.getDeclinedWork(shopId, { vehicleId: workOrder.vehicleId, phone: customerPhone, vin });
+        const resolved = previous.filter(entry => entry.id === id || (
+          entry.workOrderId !== workOrder.id && (
+            (line.operationId && entry.operationId === line.operationId) ||
+            (line.partNumber && entry.partNumber === line.partNumber) ||
+            this.sameWork(entry.description, line.description)
+          )
+        ));
+
+        for (const entry of resolved) {
+          await collection.doc(entry.id).update({
+            status: 'resolved',
+            resolvedByWorkOrderId: workOrder.id,
+            resolvedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+        }
+        continue;
+      }
+
+      await collection.doc(id).set({
+        workOrderId: workOrder.id,
+        vehicleId: workOrder.vehicleId || null,
+        lineId: line.id,
+        type: line.type,
+        description: line.description,
+        operationId: line.operationId || null,
+        partNumber: line.partNumber || null,
+        total: line.total,
+        decision: line.approvalStatus,
+        reason: line.decision?.reason || null,
+        decidedBy: line.decision?.by || null,
+        channel: line.decision?.channel || null,
+        decidedAt: line.decision?.at || new Date().toISOString(),
+        status: 'open',
+        customerPhone,
+        customerName: workOrder.customer?.name || null,
+        vin,
+        plate,
+        vehicle: {
+          year: vehicle.year || null,
+          make: vehicle.make || null,
+          model: vehicle.model || null
+        },
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+  }
+
+  /**
+   * Open declined/deferred work for a customer or vehicle, newest first
+   * @param {string} shopId - Shop ID
+   * @param {object} filters - { vehicleId, vin, phone, includeResolved }
+   * @returns {Promise<Array>}
+   */
+  async getDeclinedWork(shopId, filters = {}) {
+    try {
+      const phone = normalizePhone(filters.phone);
+      const vin = filters.vin ? String(filters.vin).toUpperCase() : null;
+
+      if (!filters.vehicleId && !phone && !vin) {
+        throw new Error('Phone or VIN is required');
+      }
+
+      let query = ShopRouter.getShopCollection(shopId, 'declinedWork');
+      if (filters.vehicleId) {
+        query = query.where('vehicleId', '==', filters.vehicleId);
+      } else {
+        query = vin ? query.where('vin', '==', vin) : query.where('customerPhone', '==', phone);
+      }
+
+      const snapshot = await query.get();
+
+      return snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(entry => filters.includeResolved || entry.status === 'open')
+        .sort((a, b) => new Date(b.decidedAt) - new Date(a.decidedAt));
+    } catch (error) {
+      console.error('Error getting declined work:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * A sentence ALEX can say about earlier declined work
+   * @param {Array} entries - From getDeclinedWork()
+   * @returns {string|null}
+   */
+  describeDeclinedWork(entries) {
+    // Name the job by its labor line ("rear struts"), not its labor and parts separately
+    const spoken = entries.filter(entry => entry.type !== 'part' || !entries.some(other =>
+      other.workOrderId === entry.workOrderId && other.type !== 'part' && other.decision === entry.decision
+    ));
+    const declined = spoken.filter(entry => entry.decision === 'declined');
+    const deferred = spoken.filter(entry => entry.decision === 'deferred');
+    const list = (items) => {
+      const names = [...new Set(items.map(entry =>
+        entry.description.toLowerCase().replace(/^(replace|install|perform|repair)\s+/, '')
+      ))];
+      return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
+    };
+
+    const sentences = [];
+    if (declined.length > 0) {
+      sentences.push(`Last time you declined ${list(declined)}.`);
+    }
+    if (deferred.length > 0) {
+      sentences.push(`You also wanted to hold off on ${list(deferred)}.`);
+    }
+
+    return sentences.length > 0 ? sentences.join(' ') : null;
+  }
+
+  /**
+   * Whether two descriptions name the same job ("Replace rear struts" / "Rear strut assembly")
+   */
+  sameWork(a, b) {
+    const wordsA = toWords(a);
+    const wordsB = toWords(b);
+    if (wordsA.length === 0 || wordsB.length === 0) return false;
+    return wordsA.every(word => wordsB.includes(word)) || wordsB.every(word => wordsA.includes(word));
+  }
+
+  isDecidable(line) {
+    return DECIDABLE_LINE_TYPES.includes(line.type) && !line.parentLineId;
+  }
+}
+
+module.exports = {
+  EstimateApprovalService,
+  APPROVAL_DECISIONS,
+  APPROVAL_CHANNELS,
+  normalizePhone
+};
@@ -0,0 +1,250 @@
+/**
+ * Estimate Builder API Endpoints
+ * Priced estimates from labor + parts, canned jobs, shop pricing settings,
+ * and line-level customer approval
+ */
+
+const { sendWorkOrderError } = require('./work-order-endpoints.js');
+const { getShopId } = require('./shop-auth-middleware.js');
+
+function sendEstimateError(res, error) {
+    if (error.message === 'Canned job not found') {
+        return res.status(404).json({ success: false, error: error.message });
+    }
+
+    if (error.message === 'Canned job name is required') {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    if (/^(Approval channel|Decision must be|Unknown estimate line|At least one line decision|Estimate has no lines|Work order has no estimate|Phone or VIN)/.test(error.message)) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    sendWorkOrderError(res, error);
+}
+
+function registerEstimateEndpoints(app, estimateEngine, workOrderRepository, estimateApproval) {
+
+    /**
+     * Price an estimate request and save it on the work order
+     * (labor times for the work order's vehicle unless the request names one)
+     */
+    async function saveEstimate(shopId, workOrderId, request, by) {
+        if (!request.vehicle) {
+            const workOrder = await workOrderRepository.get(shopId, workOrderId);
+            request = { ...request, vehicle: workOrder.vehicle || null };
+        }
+
+        const estimate = await estimateEngine.buildEstimate(shopId, request);
+        return workOrderRepository.attachEstimate(shopId, workOrderId, { ...estimate, request }, { by });
+    }
+
+    /**
+     * GET /api/estimates/settings
+     * Pricing settings used by the estimate builder
+     */
+    app.get('/api/estimates/settings', async (req, res) => {
+        try {
+            const settings = await estimateEngine.getPricingSettings(getShopId(req));
+            res.json({ success: true, settings });
+        } catch (error) {
+            sendEstimateError(res, error);
+        }
+    });
+
+    /**
+     * PUT /api/estimates/settings
+     * Update pricing settings (laborRate, taxRate, partsMarkupStrategy, shopSupplies, taxability, ...)
+     */
+    app.put('/api/estimates/settings', async (req, res) => {
+        try {
+            const { shopId, ...updates } = req.body;
+            const settings = await estimateEngine.updatePricingSettings(getShopId(req), updates);
+            res.json({ success: true, settings });
+        } catch (error) {
+            sendEstimateError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/estimates/build
+     * Price an estimate without saving it
+     * Body: { vehicle: { year, make, model, engine }, labor, parts, fees, discounts, cannedJobs, taxExempt }
+     */
+    app.post('/api/estimates/build', async (req, res) => {
+        try {
+            const { shopId, ...request } = req.body;
+            const estimate = await estimateEngine.buildEstimate(getShopId(req), request);
+            res.json({ success: true, estimate });
+        } catch (error) {
+            sendEstimateError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/work-orders/:id/estimate
+     * Price an estimate and attach it to the work order
+     * Body: { labor, parts, fees, discounts, cannedJobs, taxExempt }
+     */
+    app.post('/api/work-orders/:id/estimate', async (req, res) => {
+        try {
+            const { shopId, by, ...request } = req.body;
+            const workOrder = await saveEstimate(getShopId(req), req.params.id, request, by || req.shop?.email);
+            res.json({ success: true, workOrder, estimate: workOrder.estimate });
+        } catch (error) {
+            sendEstimateError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/work-orders/:id/estimate/canned-jobs
+     * Drop a canned job onto the work order's estimate and reprice it
+     * Body: { cannedJobId, quantity }
+     */
+    app.post('/api/work-orders/:id/estimate/canned-jobs', async (req, res) => {
+        try {
+            const { cannedJobId, quantity = 1, by } = req.body;
+
+            if (!cannedJobId) {
+                return res.status(400).json({ success: false, error: 'cannedJobId is required' });
+            }
+
+            const shopId = getShopId(req);
+            const current = await workOrderRepository.get(shopId, req.params.id);
+            const request = current.estimate?.request || {};
+
+            const workOrder = await saveEstimate(shopId, req.params.id, {
+                ...request,
+                cannedJobs: [...(request.cannedJobs || []), { id: cannedJobId, quantity }]
+            }, by || req.shop?.email);
+
+            res.json({ success: true, workOrder, estimate: workOrder.estimate });
+        } catch (error) {
+            sendEstimateError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/work-orders/:id/estimate/approval
+     * Record the customer's approve / decline / defer decisions on estimate lines
+     * Body: { decisions: [{ lineId, decision, reason }] | approveAll, approvedBy, channel (default 'in_person'), signature, note }
+     */
+    app.post('/api/work-orders/:id/estimate/approval', async (req, res) => {
+        try {
+            const { decisions, approveAll, approvedBy, channel, signature, note } = req.body;
+            const workOrder = await estimateApproval.recordDecisions(getShopId(req), req.params.id, {
+                decisions,
+                approveAll: Boolean(approveAll),
+                approvedBy: approvedBy || req.shop?.email || 'customer',
+                channel: channel || 'in_person',
+                signature,
+                note
+            });
+
+            res.json({
+                success: true,
+                workOrder,
+                approval: workOrder.approval,
+                approvedTotals: workOrder.estimate.approvedTotals
+            });
+        } catch (error) {
+            sendEstimateError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/declined-work
+     * Open declined/deferred work for a customer or vehicle (?vehicleId=, ?phone= or ?vin=)
+     */
+    app.get('/api/declined-work', async (req, res) => {
+        try {
+            const { vehicleId, phone, vin, includeResolved } = req.query;
+            const declinedWork = await estimateApproval.getDeclinedWork(getShopId(req), {
+                vehicleId,
+                phone,
+                vin,
+                includeResolved: includeResolved === 'true'
+            });
+
+            res.json({
+                success: true,
+                declinedWork,
+                summary: estimateApproval.describeDeclinedWork(declinedWork)
+            });
+        } catch (error) {
+            sendEstimateError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/canned-jobs
+     * List canned jobs
+     */
+    app.get('/api/canned-jobs', async (req, res) => {
+        try {
+            const cannedJobs = await estimateEngine.getCannedJobs(getShopId(req));
+            res.json({ success: true, cannedJobs });
+        } catch (error) {
+            sendEstimateError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/canned-jobs/:id
+     * Get a canned job, priced with the shop's current settings
+     */
+    app.get('/api/canned-jobs/:id', async (req, res) => {
+        try {
+            const shopId = getShopId(req);
+            const cannedJob = await estimateEngine.getCannedJob(shopId, req.params.id);
+            const pricing = await estimateEngine.buildEstimate(shopId, { cannedJobs: [req.params.id] });
+            res.json({ success: true, cannedJob, pricing });
+        } catch (error) {
+            sendEstimateError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/canned-jobs
+     * Create a canned job
+     * Body: { name, description, category, labor, parts, fees }
+     */
+    app.post('/api/canned-jobs', async (req, res) => {
+        try {
+            const { shopId, ...data } = req.body;
+            const cannedJob = await estimateEngine.createCannedJob(getShopId(req), data);
+            res.json({ success: true, cannedJob });
+        } catch (error) {
+            sendEstimateError(res, error);
+        }
+    });
+
+    /**
+     * PUT /api/canned-jobs/:id
+     * Update a canned job
+     */
+    app.put('/api/canned-jobs/:id', async (req, res) => {
+        try {
+            const { shopId, ...updates } = req.body;
+            const cannedJob = await estimateEngine.updateCannedJob(getShopId(req), req.params.id, updates);
+            res.json({ success: true, cannedJob });
+        } catch (error) {
+            sendEstimateError(res, error);
+        }
+    });
+
+    /**
+     * DELETE /api/canned-jobs/:id
+     * Retire a canned job
+     */
+    app.delete('/api/canned-jobs/:id', async (req, res) => {
+        try {
+            await estimateEngine.deleteCannedJob(getShopId(req), req.params.id);
+            res.json({ success: true });
+        } catch (error) {
+            sendEstimateError(res, error);
+        }
+    });
+}
+
+module.exports = registerEstimateEndpoints;
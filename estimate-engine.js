@@ -0,0 +1,594 @@
+/**
+ * Estimate Engine
+ * Prices estimates from labor operations and parts:
+ * - labor hours from LaborService (the vehicle's hour variant, less time included
+ *   in or overlapping other operations on the estimate), cost from
+ *   ShopSettingsService.calculateLaborCost
+ * - parts markup from ShopSettingsService (percentage, category matrix, price
+ *   tiers) or the PartsMatrix cost tiers
+ * - shop supplies, hazmat/disposal fees, per-line taxability and discounts
+ *
+ * Canned jobs (saved labor + parts bundles such as "Front brake pads & rotors")
+ * are stored per shop and can be dropped onto an estimate by ID.
+ */
+
+const { ShopRouter } = require('./firebase-config');
+const admin = require('firebase-admin');
+const LaborService = require('./labor-service.js');
+const { LaborGuideService } = require('./labor-guide-service.js');
+const ShopSettingsService = require('./shop-settings-with-vapi.js');
+
+// Same cost tiers as PartsMatrix (parts-matrix.js), used by the 'costMatrix' strategy
+const DEFAULT_COST_MATRIX = [
+  { min: 0, max: 10, markup: 300 },
+  { min: 10, max: 25, markup: 200 },
+  { min: 25, max: 50, markup: 150 },
+  { min: 50, max: 100, markup: 100 },
+  { min: 100, max: 250, markup: 50 },
+  { min: 250, max: 500, markup: 30 },
+  { min: 500, max: 1000, markup: 20 },
+  { min: 1000, max: 999999, markup: 12 }
+];
+
+// Whether each line type is taxed, unless the shop settings or the line say otherwise
+const DEFAULT_TAXABILITY = {
+  labor: false,
+  part: true,
+  core: false,
+  fee: true,
+  supplies: true,
+  hazmat: false
+};
+
+function round2(value) {
+  return Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Discount on an amount: { percent } or { amount }, capped at the amount
+ */
+function calculateDiscount(amount, discount) {
+  if (!discount) return 0;
+  const value = discount.percent != null
+    ? amount * (Number(discount.percent) / 100)
+    : Number(discount.amount) || 0;
+  return round2(Math.min(Math.max(value, 0), amount));
+}
+
+class EstimateEngine {
+  /**
+   * @param {object} options - { settings } base pricing settings (e.g. from shopSettingsService),
+   *   { laborGuide } the LaborGuideService holding each shop's labor guide
+   */
+  constructor(options = {}) {
+    this.baseSettings = options.settings || {};
+    this.laborGuide = options.laborGuide || new LaborGuideService();
+  }
+
+  /**
+   * Pricing settings for a shop: ShopSettingsService defaults, then the base
+   * settings, then the shop's saved pricing document
+   * @param {string} shopId - Shop ID
+   * @returns {Promise<object>}
+   */
+  async getPricingSettings(shopId) {
+    try {
+      const doc = await ShopRouter.getShopDocument(shopId, 'settings', 'pricing').get();
+      const defaults = new ShopSettingsService().defaults;
+
+      return {
+        ...defaults,
+        partsCostMatrix: DEFAULT_COST_MATRIX,
+        taxability: DEFAULT_TAXABILITY,
+        ...this.baseSettings,
+        ...(doc.exists ? doc.data() : {})
+      };
+    } catch (error) {
+      console.error('Error getting pricing settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save pricing settings for a shop
+   * @param {string} shopId - Shop ID
+   * @param {object} updates - Settings (laborRate, taxRate, partsMarkupStrategy, shopSupplies, ...)
+   * @returns {Promise<object>}
+   */
+  async updatePricingSettings(shopId, updates) {
+    try {
+      await ShopRouter.getShopDocument(shopId, 'settings', 'pricing').set({
+        ...updates,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+
+      return this.getPricingSettings(shopId);
+    } catch (error) {
+      console.error('Error updating pricing settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build a priced estimate, expanding any canned jobs first
+   * @param {string} shopId - Shop ID
+   * @param {object} request - { vehicle, labor, parts, fees, discounts, cannedJobs, taxExempt }
+   * @returns {Promise<object>}
+   */
+  async buildEstimate(shopId, request = {}) {
+    try {
+      const settings = await this.getPricingSettings(shopId);
+      const canned = await this.expandCannedJobs(shopId, request.cannedJobs || []);
+      const laborDatabase = await this.laborGuide.getDatabase(shopId);
+
+      return this.priceEstimate({
+        ...request,
+        labor: [...(request.labor || []), ...canned.labor],
+        parts: [...(request.parts || []), ...canned.parts],
+        fees: [...(request.fees || []), ...canned.fees]
+      }, settings, laborDatabase);
+    } catch (error) {
+      console.error('Error building estimate:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Price an estimate request with the given settings
+   * @param {object} request - { vehicle: { year, make, model, engine }, labor, parts, fees, discounts, taxExempt }
+   * @param {object} settings - Pricing settings
+   * @param {LaborDatabase} laborDatabase - The shop's labor guide (default: built-in common repairs)
+   * @returns {object} { lines, totals, taxRate, warnings, requiresVoiceCall }
+   */
+  priceEstimate(request, settings, laborDatabase = undefined) {
+    const pricing = new ShopSettingsService();
+    pricing.settings = settings;
+
+    // Hours come from the labor guide unscaled; calculateLaborCost applies the
+    // shop's time and rate multipliers
+    const laborService = new LaborService({ laborRate: settings.laborRate, laborMultiplier: 1.0 }, laborDatabase);
+
+    const lines = [];
+    const warnings = [];
+    const nextId = (type) => `${type}-${lines.filter(line => line.type === type).length + 1}`;
+
+    // Labor guide operations are timed together so overlapping work is only charged once
+    const labor = request.labor || [];
+    const guided = labor.filter(item => item.hours == null && item.operationId);
+    const guideTimes = laborService.getCombinedLaborTimes(guided.map(item => item.operationId), request.vehicle || null);
+
+    labor.forEach(item => {
+      const guide = guided.includes(item) ? guideTimes[guided.indexOf(item)] : null;
+      lines.push(this.priceLabor(item, pricing, guide, warnings, nextId('labor')));
+    });
+
+    (request.parts || []).forEach(item => {
+      const part = this.pricePart(item, pricing, settings, nextId('part'));
+      lines.push(part);
+
+      if (Number(item.coreCharge) > 0) {
+        lines.push(this.createLine('core', {
+          id: nextId('core'),
+          description: `Core charge - ${part.description}`,
+          quantity: part.quantity,
+          unitPrice: Number(item.coreCharge),
+          partNumber: part.partNumber,
+          parentLineId: part.id,
+          cannedJobId: part.cannedJobId
+        }, settings));
+      }
+    });
+
+    (request.fees || []).forEach(item => {
+      lines.push(this.createLine('fee', {
+        id: nextId('fee'),
+        description: item.description || 'Fee',
+        quantity: item.quantity || 1,
+        unitPrice: Number(item.amount ?? item.unitPrice) || 0,
+        taxable: item.taxable,
+        discount: item.discount,
+        cannedJobId: item.cannedJobId
+      }, settings));
+    });
+
+    this.addShopFees(lines, settings, nextId);
+    this.applyEstimateDiscounts(lines, request.discounts || []);
+
+    const taxRate = request.taxExempt ? 0 : Number(settings.taxRate) || 0;
+    lines.forEach(line => {
+      line.tax = line.taxable ? round2(line.total * taxRate) : 0;
+    });
+
+    return {
+      lines,
+      totals: this.calculateTotals(lines),
+      taxRate,
+      taxExempt: Boolean(request.taxExempt),
+      laborRate: settings.laborRate,
+      warnings,
+      requiresVoiceCall: lines.some(line => line.needsPricing),
+      pricedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Price a labor line from a labor guide operation or manual hours
+   * @param {object} guide - LaborService.getCombinedLaborTimes result for guide operations
+   */
+  priceLabor(item, pricing, guide, warnings, id) {
+    let hours = item.hours != null ? Number(item.hours) : null;
+    let description = item.description || item.name || null;
+    let needsPricing = false;
+    let laborNotes = [];
+
+    if (guide) {
+      if (guide.success) {
+        hours = guide.laborHours;
+        description = description || guide.operation.name;
+        laborNotes = [...(guide.variant?.notes ? [guide.variant.notes] : []), ...guide.notes];
+        if (guide.warning) warnings.push(guide.warning);
+      } else {
+        needsPricing = true;
+        warnings.push(`Labor operation ${item.operationId} not found - needs pricing`);
+      }
+    }
+
+    const labor = pricing.calculateLaborCost(hours || 0);
+    const rate = item.rate != null ? Number(item.rate) : labor.effectiveRate;
+
+    const line = this.createLine('labor', {
+      id,
+      description: description || item.operationId || 'Labor',
+      operationId: item.operationId || null,
+      hours: round2(labor.adjustedHours),
+      rate,
+      quantity: 1,
+      unitPrice: round2(labor.adjustedHours * rate),
+      taxable: item.taxable,
+      discount: item.discount,
+      hazmat: item.hazmat,
+      hazmatFee: item.hazmatFee,
+      cannedJobId: item.cannedJobId,
+      needsPricing
+    }, pricing.settings);
+
+    // Guide hours before overlap deductions, and why they differ
+    return {
+      ...line,
+      guideHours: guide?.success ? round2(guide.grossHours) : null,
+      skillLevel: guide?.skillLevel || null,
+      laborNotes
+    };
+  }
+
+  /**
+   * Price a part line: an explicit sell price wins, otherwise the shop's markup strategy
+   */
+  pricePart(item, pricing, settings, id) {
+    const cost = Number(item.cost) || 0;
+    let unitPrice;
+    let markupPercent;
+
+    if (item.price != null) {
+      unitPrice = Number(item.price);
+      markupPercent = cost > 0 ? round2((unitPrice / cost - 1) * 100) : null;
+    } else if (item.markupPercent != null) {
+      markupPercent = Number(item.markupPercent);
+      unitPrice = cost * (1 + markupPercent / 100);
+    } else if (settings.partsMarkupStrategy === 'costMatrix') {
+      markupPercent = this.getCostMatrixMarkup(cost, settings.partsCostMatrix || DEFAULT_COST_MATRIX);
+      unitPrice = cost * (1 + markupPercent / 100);
+    } else {
+      const markup = pricing.calculatePartsMarkup({ ...item, cost });
+      markupPercent = markup.markupPercentage;
+      unitPrice = markup.markedUpPrice;
+    }
+
+    return this.createLine('part', {
+      id,
+      description: item.description || item.name || 'Part',
+      partNumber: item.partNumber || null,
+      brand: item.brand || null,
+      quantity: Number(item.quantity) || 1,
+      cost,
+      markupPercent,
+      unitPrice: round2(unitPrice),
+      taxable: item.taxable,
+      discount: item.discount,
+      hazmat: item.hazmat,
+      hazmatFee: item.hazmatFee,
+      cannedJobId: item.cannedJobId,
+      needsPricing: cost === 0 && item.price == null
+    }, settings);
+  }
+
+  /**
+   * Markup for a cost from PartsMatrix-style tiers ({ min, max, markup })
+   */
+  getCostMatrixMarkup(cost, matrix) {
+    const tier = matrix.find(entry => cost >= entry.min && cost < entry.max);
+    return (tier || matrix[matrix.length - 1]).markup;
+  }
+
+  /**
+   * Build a line with amount/discount/total filled in
+   */
+  createLine(type, fields, settings) {
+    const quantity = Number(fields.quantity) || 1;
+    const unitPrice = round2(fields.unitPrice || 0);
+    const amount = round2(quantity * unitPrice);
+    const taxability = { ...DEFAULT_TAXABILITY, ...(settings.taxability || {}) };
+    const discount = calculateDiscount(amount, fields.discount);
+
+    return {
+      id: fields.id,
+      type,
+      description: fields.description,
+      operationId: fields.operationId || null,
+      partNumber: fields.partNumber || null,
+      brand: fields.brand || null,
+      hours: fields.hours ?? null,
+      rate: fields.rate ?? null,
+      cost: fields.cost ?? null,
+      markupPercent: fields.markupPercent ?? null,
+      quantity,
+      unitPrice,
+      amount,
+      discount,
+      total: round2(amount - discount),
+      taxable: fields.taxable != null ? Boolean(fields.taxable) : Boolean(taxability[type]),
+      tax: 0,
+      hazmat: Boolean(fields.hazmat || Number(fields.hazmatFee) > 0),
+      hazmatFee: Number(fields.hazmatFee) || 0,
+      // Core charges and per-line hazmat fees follow their part when approved or declined
+      parentLineId: fields.parentLineId || null,
+      cannedJobId: fields.cannedJobId || null,
+      needsPricing: Boolean(fields.needsPricing)
+    };
+  }
+
+  /**
+   * Add shop supplies and hazmat/disposal fees
+   *
+   * Shop supplies: settings.shopSupplies { percent, min, max } of labor, or the
+   * flat shopSuppliesFee. Disposal: disposalFee once if any line is hazmat, plus
+   * each line's own hazmatFee.
+   */
+  addShopFees(lines, settings, nextId) {
+    const quoteSettings = settings.quote || {};
+    const laborTotal = lines.filter(line => line.type === 'labor').reduce((sum, line) => sum + line.total, 0);
+
+    if (quoteSettings.autoIncludeShopSuppliesFee !== false && laborTotal > 0) {
+      let supplies = Number(settings.shopSuppliesFee) || 0;
+
+      if (settings.shopSupplies?.percent != null) {
+        supplies = laborTotal * (Number(settings.shopSupplies.percent) / 100);
+        if (settings.shopSupplies.min != null) supplies = Math.max(supplies, Number(settings.shopSupplies.min));
+        if (settings.shopSupplies.max != null) supplies = Math.min(supplies, Number(settings.shopSupplies.max));
+      }
+
+      if (supplies > 0) {
+        lines.push(this.createLine('supplies', {
+          id: nextId('supplies'),
+          description: 'Shop supplies',
+          unitPrice: supplies
+        }, settings));
+      }
+    }
+
+    const hazmatLines = lines.filter(line => line.hazmat);
+
+    hazmatLines.filter(line => line.hazmatFee > 0).forEach(line => {
+      lines.push(this.createLine('hazmat', {
+        id: nextId('hazmat'),
+        description: `Hazmat fee - ${line.description}`,
+        quantity: line.type === 'part' ? line.quantity : 1,
+        unitPrice: line.hazmatFee,
+        parentLineId: line.id,
+        cannedJobId: line.cannedJobId
+      }, settings));
+    });
+
+    if (quoteSettings.autoIncludeDisposalFee !== false && hazmatLines.length > 0 && Number(settings.disposalFee) > 0) {
+      lines.push(this.createLine('hazmat', {
+        id: nextId('hazmat'),
+        description: 'Hazardous waste disposal',
+        unitPrice: Number(settings.disposalFee)
+      }, settings));
+    }
+  }
+
+  /**
+   * Spread estimate-level discounts over the lines they apply to, in proportion
+   * to each line's total, so taxes are calculated on the discounted amounts
+   * @param {Array} lines - Priced lines
+   * @param {Array} discounts - [{ description, percent | amount, appliesTo: 'all'|'labor'|'parts' }]
+   */
+  applyEstimateDiscounts(lines, discounts) {
+    discounts.forEach(discount => {
+      const types = discount.appliesTo === 'labor' ? ['labor']
+        : discount.appliesTo === 'parts' ? ['part']
+          : ['labor', 'part'];
+      const targets = lines.filter(line => types.includes(line.type) && line.total > 0);
+      const base = targets.reduce((sum, line) => sum + line.total, 0);
+      let remaining = calculateDiscount(base, discount);
+
+      targets.forEach((line, index) => {
+        const share = index === targets.length - 1
+          ? remaining
+          : round2(remaining > 0 ? calculateDiscount(base, discount) * (line.total / base) : 0);
+        const applied = Math.min(share, line.total, remaining);
+
+        line.discount = round2(line.discount + applied);
+        line.total = round2(line.amount - line.discount);
+        remaining = round2(remaining - applied);
+      });
+    });
+  }
+
+  /**
+   * Estimate totals by line type
+   */
+  calculateTotals(lines) {
+    const sum = (filter, field = 'total') => round2(lines.filter(filter).reduce((total, line) => total + line[field], 0));
+    const parts = lines.filter(line => line.type === 'part');
+    const partsCost = round2(parts.reduce((total, line) => total + (line.cost || 0) * line.quantity, 0));
+
+    const subtotal = sum(() => true);
+    const tax = sum(() => true, 'tax');
+
+    return {
+      labor: sum(line => line.type === 'labor'),
+      laborHours: round2(lines.filter(line => line.type === 'labor').reduce((total, line) => total + (line.hours || 0), 0)),
+      parts: sum(line => line.type === 'part'),
+      cores: sum(line => line.type === 'core'),
+      fees: sum(line => ['fee', 'supplies', 'hazmat'].includes(line.type)),
+      discount: sum(() => true, 'discount'),
+      subtotal,
+      taxable: sum(line => line.taxable),
+      tax,
+      total: round2(subtotal + tax),
+      partsCost,
+      partsGrossProfit: round2(sum(line => line.type === 'part') - partsCost)
+    };
+  }
+
+  // ==================== CANNED JOBS ====================
+
+  /**
+   * Create a canned job
+   * @param {string} shopId - Shop ID
+   * @param {object} data - { name, description, category, labor, parts, fees }
+   * @returns {Promise<object>}
+   */
+  async createCannedJob(shopId, data) {
+    try {
+      if (!data.name) {
+        throw new Error('Canned job name is required');
+      }
+
+      const cannedJob = {
+        name: data.name,
+        description: data.description || '',
+        category: data.category || 'General',
+        labor: data.labor || [],
+        parts: data.parts || [],
+        fees: data.fees || [],
+        active: true,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      const docRef = await ShopRouter.getShopCollection(shopId, 'cannedJobs').add(cannedJob);
+      return this.getCannedJob(shopId, docRef.id);
+    } catch (error) {
+      console.error('Error creating canned job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all active canned jobs
+   * @param {string} shopId - Shop ID
+   * @returns {Promise<Array>}
+   */
+  async getCannedJobs(shopId) {
+    try {
+      const snapshot = await ShopRouter.getShopCollection(shopId, 'cannedJobs')
+        .where('active', '==', true)
+        .get();
+
+      return snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      console.error('Error getting canned jobs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a canned job
+   * @param {string} shopId - Shop ID
+   * @param {string} cannedJobId - Canned job ID
+   * @returns {Promise<object>}
+   */
+  async getCannedJob(shopId, cannedJobId) {
+    try {
+      const doc = await ShopRouter.getShopDocument(shopId, 'cannedJobs', cannedJobId).get();
+
+      if (!doc.exists) {
+        throw new Error('Canned job not found');
+      }
+
+      return { id: doc.id, ...doc.data() };
+    } catch (error) {
+      console.error('Error getting canned job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a canned job
+   * @param {string} shopId - Shop ID
+   * @param {string} cannedJobId - Canned job ID
+   * @param {object} updates - Field updates
+   * @returns {Promise<object>}
+   */
+  async updateCannedJob(shopId, cannedJobId, updates) {
+    try {
+      const { id, createdAt, ...fields } = updates;
+      await this.getCannedJob(shopId, cannedJobId);
+
+      await ShopRouter.getShopDocument(shopId, 'cannedJobs', cannedJobId).update({
+        ...fields,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return this.getCannedJob(shopId, cannedJobId);
+    } catch (error) {
+      console.error('Error updating canned job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Retire a canned job (kept so old estimates still resolve its name)
+   * @param {string} shopId - Shop ID
+   * @param {string} cannedJobId - Canned job ID
+   * @returns {Promise<void>}
+   */
+  async deleteCannedJob(shopId, cannedJobId) {
+    await this.updateCannedJob(shopId, cannedJobId, { active: false });
+  }
+
+  /**
+   * Turn canned job references into labor, part and fee inputs
+   * @param {string} shopId - Shop ID
+   * @param {Array} references - Canned job IDs or { id, quantity }
+   * @returns {Promise<object>} { labor, parts, fees }
+   */
+  async expandCannedJobs(shopId, references) {
+    const expanded = { labor: [], parts: [], fees: [] };
+
+    for (const reference of references) {
+      const { id, quantity = 1 } = typeof reference === 'string' ? { id: reference } : reference;
+      const cannedJob = await this.getCannedJob(shopId, id);
+      const tag = (item) => ({ ...item, cannedJobId: id, cannedJobName: cannedJob.name });
+
+      for (let i = 0; i < quantity; i++) {
+        expanded.labor.push(...(cannedJob.labor || []).map(tag));
+        expanded.fees.push(...(cannedJob.fees || []).map(tag));
+      }
+      expanded.parts.push(...(cannedJob.parts || []).map(part => tag({
+        ...part,
+        quantity: (Number(part.quantity) || 1) * quantity
+      })));
+    }
+
+    return expanded;
+  }
+}
+
+module.exports = EstimateEngine;
+module.exports.DEFAULT_COST_MATRIX = DEFAULT_COST_MATRIX;
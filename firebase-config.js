@@ -4,8 +4,12 @@
  */
 
 const admin = require('firebase-admin');
+const fs = require('fs');
+const path = require('path');
+const { createStorageAdapter } = require('./storage-adapter');
 let firebaseApp = null;
 let db = null;
+let storageAdapter = null;
 
 try {
   // Initialize Firebase from environment variables (SaaS model - one project for all shops)
@@ -51,6 +55,52 @@ const storage = firebaseApp ? firebaseApp.storage() : null;
  * Ensures data isolation between shops
  */
 class ShopRouter {
+  /**
+   * Get the document storage backend (selected once, see storage-adapter.js)
+   * Firestore when Firebase is configured, otherwise a local JSON file
+   * @returns {object}
+   */
+  static getStorage() {
+    if (!storageAdapter) {
+      storageAdapter = createStorageAdapter({
+        firestore: db,
+        database: ShopRouter.getRealtimeDatabase()
+      });
+      console.log(`🗄️  Storage backend: ${storageAdapter.backend}`);
+    }
+    return storageAdapter;
+  }
+
+  /**
+   * Run reads and writes atomically (Firestore transaction semantics on every backend)
+   * @param {Function} fn - async (transaction) => result
+   * @returns {Promise<*>}
+   */
+  static runTransaction(fn) {
+    return ShopRouter.getStorage().runTransaction(fn);
+  }
+
+  /**
+   * Replace the storage backend (e.g. an in-memory store in tests)
+   * @param {object} adapter - Storage adapter from createStorageAdapter()
+   */
+  static setStorage(adapter) {
+    storageAdapter = adapter;
+  }
+
+  /**
+   * Realtime Database from this app or the default app server.js initializes
+   * @returns {Database|null}
+   */
+  static getRealtimeDatabase() {
+    try {
+      if (firebaseApp) return firebaseApp.database();
+      return admin.apps.length > 0 ? admin.database() : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Get shop-specific collection reference
    * @param {string} shopId - Shop ID
@@ -58,7 +108,7 @@ class ShopRouter {
    * @returns {CollectionReference}
    */
   static getShopCollection(shopId, collectionName) {
-    return db.collection('shops').doc(shopId).collection(collectionName);
+    return ShopRouter.getStorage().collection('shops').doc(shopId).collection(collectionName);
   }
 
   /**
@@ -69,7 +119,7 @@ class ShopRouter {
    * @returns {DocumentReference}
    */
   static getShopDocument(shopId, collectionName, documentId) {
-    return db.collection('shops').doc(shopId).collection(collectionName).doc(documentId);
+    return ShopRouter.getShopCollection(shopId, collectionName).doc(documentId);
   }
 
   /**
@@ -89,7 +139,7 @@ class ShopRouter {
    */
   static async verifyShop(shopId) {
     try {
-      const shopDoc = await db.collection('shops').doc(shopId).get();
+      const shopDoc = await ShopRouter.getStorage().collection('shops').doc(shopId).get();
       if (!shopDoc.exists) {
         return false;
       }
@@ -134,7 +184,7 @@ class ShopAuth {
       });
 
       // Store additional staff info in Firestore
-      await db.collection('shops').doc(shopId).collection('staff').doc(userRecord.uid).set({
+      await ShopRouter.getShopDocument(shopId, 'staff', userRecord.uid).set({
         uid: userRecord.uid,
         email,
         name: metadata.name || email.split('@')[0],
@@ -184,7 +234,7 @@ class ShopAuth {
    */
   static async getShopStaff(shopId) {
     try {
-      const staffSnapshot = await db.collection('shops').doc(shopId).collection('staff').get();
+      const staffSnapshot = await ShopRouter.getShopCollection(shopId, 'staff').get();
       
       return staffSnapshot.docs.map(doc => ({
         id: doc.id,
@@ -197,11 +247,42 @@ class ShopAuth {
   }
 }
 
+// Shop and vehicle IDs used as storage path segments
+const STORAGE_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+function assertStorageId(value, label) {
+  if (!STORAGE_ID_PATTERN.test(String(value || ''))) {
+    throw new Error(`Invalid ${label} for photo storage: ${value}`);
+  }
+  return String(value);
+}
+
+/**
+ * Local file path for a storage path, refusing anything that resolves outside the uploads directory
+ */
+function resolveLocalUpload(filePath) {
+  const root = path.resolve(CloudStorageManager.getLocalUploadsPath());
+  const localPath = path.resolve(root, filePath);
+  if (!localPath.startsWith(`${root}${path.sep}`)) {
+    throw new Error(`Photo path is outside the uploads directory: ${filePath}`);
+  }
+  return localPath;
+}
+
 /**
  * Cloud Storage Manager
  * Handles file uploads and management for photos
+ * Without Firebase Storage, files are kept under UPLOADS_PATH and served at /uploads
  */
 class CloudStorageManager {
+  /**
+   * Directory for uploads when Firebase Storage is not configured
+   * @returns {string}
+   */
+  static getLocalUploadsPath() {
+    return process.env.UPLOADS_PATH || './data/uploads';
+  }
+
   /**
    * Upload photo
    * @param {string} shopId - Shop ID
@@ -213,8 +294,21 @@ class CloudStorageManager {
    */
   static async uploadPhoto(shopId, vehicleId, fileBuffer, fileName, metadata = {}) {
     try {
+      const safeName = path.basename(String(fileName || 'photo.jpg')).replace(/[^A-Za-z0-9._-]/g, '_');
+      const filePath = `shops/${assertStorageId(shopId, 'shop ID')}/vehicles/${assertStorageId(vehicleId, 'vehicle ID')}/photos/${Date.now()}_${safeName}`;
+
+      if (!storage) {
+        const localPath = resolveLocalUpload(filePath);
+        fs.mkdirSync(path.dirname(localPath), { recursive: true });
+        fs.writeFileSync(localPath, fileBuffer);
+        fs.writeFileSync(`${localPath}.json`, JSON.stringify({
+          contentType: metadata.contentType || 'image/jpeg',
+          metadata: { shopId, vehicleId, ...metadata, uploadedAt: new Date().toISOString() }
+        }));
+        return `/uploads/${filePath}`;
+      }
+
       const bucket = storage.bucket();
-      const filePath = `shops/${shopId}/vehicles/${vehicleId}/photos/${Date.now()}_${fileName}`;
       const file = bucket.file(filePath);
 
       await file.save(fileBuffer, {
@@ -249,6 +343,13 @@ class CloudStorageManager {
    */
   static async deletePhoto(fileUrl) {
     try {
+      if (fileUrl.startsWith('/uploads/')) {
+        const localPath = resolveLocalUpload(fileUrl.slice('/uploads/'.length));
+        fs.rmSync(localPath, { force: true });
+        fs.rmSync(`${localPath}.json`, { force: true });
+        return;
+      }
+
       const bucket = storage.bucket();
       const file = bucket.file(fileUrl.split(`/${storage.bucket().name}/`)[1]);
       
@@ -267,6 +368,28 @@ class CloudStorageManager {
    */
   static async getVehiclePhotos(shopId, vehicleId) {
     try {
+      if (!storage) {
+        const prefix = `shops/${assertStorageId(shopId, 'shop ID')}/vehicles/${assertStorageId(vehicleId, 'vehicle ID')}/photos`;
+        const directory = resolveLocalUpload(prefix);
+        if (!fs.existsSync(directory)) return [];
+
+        return fs.readdirSync(directory)
+          .filter(name => !name.endsWith('.json'))
+          .map(name => {
+            const localPath = path.join(directory, name);
+            const sidecar = fs.existsSync(`${localPath}.json`)
+              ? JSON.parse(fs.readFileSync(`${localPath}.json`, 'utf8'))
+              : {};
+            return {
+              url: `/uploads/${prefix}/${name}`,
+              name: `${prefix}/${name}`,
+              size: fs.statSync(localPath).size,
+              contentType: sidecar.contentType,
+              metadata: sidecar.metadata
+            };
+          });
+      }
+
       const bucket = storage.bucket();
       const [files] = await bucket.getFiles({
         prefix: `shops/${shopId}/vehicles/${vehicleId}/photos/`
@@ -10,18 +10,28 @@
  * via ALEX voice assistant (VAPI)
  */
 
-const CarIntakeHandler = require('./vapi-car-intake.js');
 const EmailService = require('./email-service-updated.js');
-
-// Intake state storage (in production, use database)
-let intakeState = {};
+const { WorkOrderRepository } = require('./work-order-repository.js');
+const { EstimateApprovalService } = require('./estimate-approval-service.js');
+const { sendWorkOrderError } = require('./work-order-endpoints.js');
+const { getShopId } = require('./shop-auth-middleware.js');
 
 /**
  * Initialize and register all intake endpoints
+ * Every intake is a work order in the shared repository, starting at 'intake'
  * @param {Express} app - Express app instance
  * @param {Object} shopSettingsService - Shop settings service instance
+ * @param {WorkOrderRepository} workOrderRepository - Work order repository
+ * @param {EstimateApprovalService} estimateApproval - Line-level estimate approval
  */
-function registerIntakeEndpoints(app, shopSettingsService) {
+function registerIntakeEndpoints(
+    app,
+    shopSettingsService,
+    workOrderRepository = new WorkOrderRepository(),
+    estimateApproval = new EstimateApprovalService(workOrderRepository)
+) {
+    // The shop is always the authenticated one (req.shop, from shop-auth-middleware); a shopId in the request is never used
+
     /**
      * POST /api/intake/start
      * Start car intake process via phone call
@@ -37,32 +47,20 @@ function registerIntakeEndpoints(app, shopSettingsService) {
                 });
             }
 
-            // Get shop settings
-            const shopSettings = await shopSettingsService.getSettings();
-            
-            // Initialize handler with current settings
-            const carIntakeHandler = new CarIntakeHandler(shopSettings.voice?.vapiApiKey, shopSettings);
-
-            // Start intake based on method
-            let result;
-            if (intakeMethod === 'appointment') {
-                result = await carIntakeHandler.handleAppointmentArrival(customerPhone);
-            } else if (intakeMethod === 'walkin') {
-                result = await carIntakeHandler.handleWalkIn(customerPhone);
-            } else if (intakeMethod === 'dropoff') {
-                result = await carIntakeHandler.handleDropOff(customerPhone);
-            } else {
-                result = await carIntakeHandler.startIntake(customerPhone);
-            }
+            const sources = { appointment: 'appointment', walkin: 'walk-in', dropoff: 'drop-off' };
 
-            // Store intake state
-            intakeState[result.intakeId] = result;
+            const workOrder = await workOrderRepository.create(getShopId(req), {
+                source: sources[intakeMethod] || 'phone',
+                customer: { phone: customerPhone },
+                intake: { method: 'phone', startedAt: new Date().toISOString() },
+                createdBy: 'ALEX'
+            });
 
             res.json({
                 success: true,
-                intakeId: result.intakeId,
-                status: result.status,
-                message: result.message
+                intakeId: workOrder.id,
+                status: workOrder.status,
+                message: 'Intake started'
             });
 
         } catch (error) {
@@ -90,8 +88,8 @@ function registerIntakeEndpoints(app, shopSettingsService) {
                 notes
             } = req.body;
 
-            // Get intake state
-            const intake = intakeState[intakeId];
+            const shopId = getShopId(req);
+            const intake = await workOrderRepository.find(shopId, intakeId);
             if (!intake) {
                 return res.status(404).json({ 
                     success: false, 
@@ -102,22 +100,19 @@ function registerIntakeEndpoints(app, shopSettingsService) {
             // Get shop settings
             const shopSettings = await shopSettingsService.getSettings();
 
-            // Create work order
-            const workOrder = {
-                id: `WO-${Date.now()}`,
-                intakeId,
+            // Fill in the work order with what ALEX collected
+            const workOrder = await workOrderRepository.update(shopId, intakeId, {
                 customer: {
+                    ...intake.customer,
                     name: customerName,
-                    email,
-                    phone
+                    email: email || null,
+                    phone: phone || intake.customer?.phone || null
                 },
-                vehicle: vehicleInfo,
-                service: serviceDescription,
-                notes,
-                status: 'pending',
-                createdAt: new Date().toISOString(),
-                createdBy: 'ALEX'
-            };
+                vehicle: vehicleInfo || {},
+                concern: serviceDescription || '',
+                notes: notes || '',
+                intake: { ...intake.intake, completedAt: new Date().toISOString() }
+            });
 
             // Send work order email
             try {
@@ -133,14 +128,6 @@ function registerIntakeEndpoints(app, shopSettingsService) {
                 // Continue anyway
             }
 
-            // Update intake state
-            intakeState[intakeId] = {
-                ...intake,
-                status: 'completed',
-                workOrder,
-                completedAt: new Date().toISOString()
-            };
-
             res.json({
                 success: true,
                 workOrder,
@@ -175,22 +162,19 @@ function registerIntakeEndpoints(app, shopSettingsService) {
             const shopSettings = await shopSettingsService.getSettings();
 
             // Create work order
-            const workOrder = {
-                id: `WO-${Date.now()}`,
-                intakeId: `WALKIN-${Date.now()}`,
+            const workOrder = await workOrderRepository.create(getShopId(req), {
+                source: 'walk-in',
                 customer: {
                     name: customerName,
-                    email,
-                    phone
+                    email: email || null,
+                    phone: phone || null
                 },
-                vehicle: vehicleInfo,
-                service: serviceDescription,
-                notes,
-                status: 'pending',
-                intakeMethod: 'walk-in',
-                createdAt: new Date().toISOString(),
+                vehicle: vehicleInfo || {},
+                concern: serviceDescription || '',
+                notes: notes || '',
+                intake: { method: 'in-person' },
                 createdBy: 'Staff'
-            };
+            });
 
             // Send work order email if email provided
             if (email) {
@@ -242,23 +226,19 @@ function registerIntakeEndpoints(app, shopSettingsService) {
             const shopSettings = await shopSettingsService.getSettings();
 
             // Create work order
-            const workOrder = {
-                id: `WO-${Date.now()}`,
-                intakeId: `DROPOFF-${Date.now()}`,
+            const workOrder = await workOrderRepository.create(getShopId(req), {
+                source: 'drop-off',
                 customer: {
                     name: customerName,
-                    email,
-                    phone
+                    email: email || null,
+                    phone: phone || null
                 },
-                vehicle: vehicleInfo,
-                service: serviceDescription,
-                notes,
-                dropOffInstructions,
-                status: 'pending',
-                intakeMethod: 'drop-off',
-                createdAt: new Date().toISOString(),
+                vehicle: vehicleInfo || {},
+                concern: serviceDescription || '',
+                notes: notes || '',
+                intake: { method: 'drop-off', dropOffInstructions: dropOffInstructions || null },
                 createdBy: 'Customer'
-            };
+            });
 
             // Send work order email if email provided
             if (email) {
@@ -297,7 +277,7 @@ function registerIntakeEndpoints(app, shopSettingsService) {
     app.get('/api/intake/status/:intakeId', async (req, res) => {
         try {
             const { intakeId } = req.params;
-            const intake = intakeState[intakeId];
+            const intake = await workOrderRepository.find(getShopId(req), intakeId);
 
             if (!intake) {
                 return res.status(404).json({ 
@@ -326,7 +306,7 @@ function registerIntakeEndpoints(app, shopSettingsService) {
      */
     app.get('/api/intake/all', async (req, res) => {
         try {
-            const intakes = Object.values(intakeState);
+            const intakes = await workOrderRepository.list(getShopId(req), { status: req.query.status });
 
             res.json({
                 success: true,
@@ -358,7 +338,7 @@ function registerIntakeEndpoints(app, shopSettingsService) {
             const shopSettings = await shopSettingsService.getSettings();
             const LaborService = require('./labor-service.js');
             const laborService = new LaborService({
-                shopId: 'default',
+                shopId: getShopId(req),
                 laborRate: shopSettings.labor?.laborRate || 100,
                 laborMultiplier: shopSettings.labor?.laborMultiplier || 1.0
             });
@@ -401,6 +381,8 @@ function registerIntakeEndpoints(app, shopSettingsService) {
     /**
      * POST /api/intake/approve-quote
      * Approve quote and schedule appointment
+     * Pass decisions ([{ lineId, decision, reason }]) to approve only some lines;
+     * without them the whole quote is approved
      */
     app.post('/api/intake/approve-quote', async (req, res) => {
         try {
@@ -408,11 +390,14 @@ function registerIntakeEndpoints(app, shopSettingsService) {
                 intakeId,
                 quote,
                 appointmentDate,
-                appointmentTime
+                appointmentTime,
+                decisions,
+                channel = 'phone',
+                approvedBy
             } = req.body;
 
-            // Get intake state
-            const intake = intakeState[intakeId];
+            const shopId = getShopId(req);
+            const intake = await workOrderRepository.find(shopId, intakeId);
             if (!intake) {
                 return res.status(404).json({ 
                     success: false, 
@@ -427,7 +412,6 @@ function registerIntakeEndpoints(app, shopSettingsService) {
             const appointment = {
                 id: `APT-${Date.now()}`,
                 intakeId,
-                quote,
                 appointmentDate,
                 appointmentTime,
                 status: 'scheduled',
@@ -435,13 +419,15 @@ function registerIntakeEndpoints(app, shopSettingsService) {
                 createdBy: 'ALEX'
             };
 
-            // Update intake state
-            intakeState[intakeId] = {
-                ...intake,
-                status: 'scheduled',
-                appointment,
-                scheduledAt: new Date().toISOString()
-            };
+            // Quote becomes the work order estimate, then the customer's decisions are recorded
+            await workOrderRepository.attachEstimate(shopId, intakeId, quote || {}, { by: 'ALEX' });
+            const workOrder = await estimateApproval.recordDecisions(shopId, intakeId, {
+                decisions: decisions || [],
+                approveAll: !decisions,
+                approvedBy: approvedBy || intake.customer?.name || 'customer',
+                channel,
+                updates: { appointment }
+            });
 
             // Send confirmation email if email available
             if (intake.customer?.email) {
@@ -464,15 +450,15 @@ function registerIntakeEndpoints(app, shopSettingsService) {
             res.json({
                 success: true,
                 appointment,
-                message: 'Quote approved and appointment scheduled'
+                approval: workOrder.approval,
+                message: workOrder.status === 'approved'
+                    ? 'Quote approved and appointment scheduled'
+                    : 'Quote declined - decisions saved'
             });
 
         } catch (error) {
             console.error('Error approving quote:', error);
-            res.status(500).json({ 
-                success: false, 
-                error: error.message 
-            });
+            sendWorkOrderError(res, error);
         }
     });
 }
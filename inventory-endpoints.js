@@ -0,0 +1,262 @@
+/**
+ * Inventory API Endpoints
+ * On-shelf parts and fluids: items, stock movements, physical counts,
+ * low-stock alerts and technician parts requests filled from stock
+ */
+
+const { getShopId } = require('./shop-auth-middleware.js');
+
+function sendInventoryError(res, error) {
+    if (['Inventory item not found', 'Inventory alert not found', 'Work order not found'].includes(error.message)) {
+        return res.status(404).json({ success: false, error: error.message });
+    }
+
+    if (/^(SKU .* is already in inventory|Inventory alert is already resolved|\S+: only \d+ on hand)/.test(error.message)) {
+        return res.status(409).json({ success: false, error: error.message });
+    }
+
+    if (/^(A SKU is required|Each inventory item needs|\w+ must be zero or more|Quantity|Adjustment quantity|An adjustment reason|At least one counted item|Counted quantity|Unknown SKU|Unknown transaction type|Unknown alert status|At least one part|A work order is required)/.test(error.message)) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    res.status(500).json({ success: false, error: error.message });
+}
+
+/**
+ * @param {object} app - Express app
+ * @param {InventoryService} inventory - Inventory service
+ * @param {TechWorkflowService} techWorkflow - Technician workflow (parts requests)
+ * @param {ReportingService} reporting - Reporting service (inventory report)
+ */
+function registerInventoryEndpoints(app, inventory, techWorkflow, reporting) {
+    const getUser = (req) => req.body?.by || req.shop?.email || 'Staff';
+
+    /**
+     * GET /api/inventory
+     * Items by bin location (optional ?search=, ?category=, ?lowStock=true, ?includeInactive=true)
+     */
+    app.get('/api/inventory', async (req, res) => {
+        try {
+            const { search, category, lowStock, includeInactive } = req.query;
+            const items = await inventory.listItems(getShopId(req), {
+                search,
+                category,
+                lowStock: lowStock === 'true',
+                includeInactive: includeInactive === 'true'
+            });
+            res.json({ success: true, items, total: items.length });
+        } catch (error) {
+            sendInventoryError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/inventory/report
+     * Stock value, low-stock items and recent count variance
+     */
+    app.get('/api/inventory/report', async (req, res) => {
+        try {
+            const report = await reporting.generatePartsInventoryReport(getShopId(req));
+            res.json({ success: true, report });
+        } catch (error) {
+            sendInventoryError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/inventory/alerts
+     * Low-stock alerts (default: open and acknowledged; ?status= for one status)
+     */
+    app.get('/api/inventory/alerts', async (req, res) => {
+        try {
+            const alerts = await inventory.listAlerts(getShopId(req), { status: req.query.status });
+            res.json({ success: true, alerts, total: alerts.length });
+        } catch (error) {
+            sendInventoryError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/inventory/alerts/:id/acknowledge
+     * Mark a low-stock alert as seen
+     */
+    app.post('/api/inventory/alerts/:id/acknowledge', async (req, res) => {
+        try {
+            const alert = await inventory.acknowledgeAlert(getShopId(req), req.params.id, getUser(req));
+            res.json({ success: true, alert });
+        } catch (error) {
+            sendInventoryError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/inventory/transactions
+     * Stock movements (optional ?itemId=, ?workOrderId=, ?purchaseOrderId=, ?type=, ?since=, ?limit=)
+     */
+    app.get('/api/inventory/transactions', async (req, res) => {
+        try {
+            const { itemId, workOrderId, purchaseOrderId, type, since, limit } = req.query;
+            const transactions = await inventory.listTransactions(getShopId(req), { itemId, workOrderId, purchaseOrderId, type, since, limit });
+            res.json({ success: true, transactions, total: transactions.length });
+        } catch (error) {
+            sendInventoryError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/inventory/counts
+     * Physical counts (optional ?since=, ?limit=)
+     */
+    app.get('/api/inventory/counts', async (req, res) => {
+        try {
+            const counts = await inventory.listCounts(getShopId(req), { since: req.query.since, limit: req.query.limit });
+            res.json({ success: true, counts, total: counts.length });
+        } catch (error) {
+            sendInventoryError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/inventory/counts
+     * Record a physical count; counted items are set to what was found
+     * Body: { lines: [{ itemId | sku, counted }], note }
+     */
+    app.post('/api/inventory/counts', async (req, res) => {
+        try {
+            const count = await inventory.recordCount(getShopId(req), {
+                lines: req.body.lines,
+                note: req.body.note,
+                by: getUser(req)
+            });
+            res.status(201).json({ success: true, count });
+        } catch (error) {
+            sendInventoryError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/inventory/parts-requests
+     * A technician asks for parts: stocked parts are pulled from the shelf,
+     * the rest go on the request and hold the job for parts
+     * Body: { workOrderId, technicianId, parts: [{ itemId | sku | partNumber, description, quantity }] }
+     */
+    app.post('/api/inventory/parts-requests', async (req, res) => {
+        try {
+            const { workOrderId, technicianId, parts } = req.body;
+            if (!workOrderId) {
+                throw new Error('A work order is required');
+            }
+            if (!parts?.length) {
+                throw new Error('At least one part is required');
+            }
+
+            const partsRequest = await techWorkflow.requestParts(getShopId(req), workOrderId, parts, technicianId || null);
+            res.status(201).json({ success: true, partsRequest });
+        } catch (error) {
+            sendInventoryError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/inventory/:id
+     * Get an item
+     */
+    app.get('/api/inventory/:id', async (req, res) => {
+        try {
+            const item = await inventory.getItem(getShopId(req), req.params.id);
+            res.json({ success: true, item });
+        } catch (error) {
+            sendInventoryError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/inventory
+     * Add an item
+     * Body: { sku, partNumber, brand, description, category, binLocation, unit, reorderPoint,
+     *   reorderQuantity, preferredStoreId, notes, quantityOnHand (opening balance), unitCost }
+     */
+    app.post('/api/inventory', async (req, res) => {
+        try {
+            const { shopId, ...input } = req.body;
+            const item = await inventory.createItem(getShopId(req), { ...input, by: getUser(req) });
+            res.status(201).json({ success: true, item });
+        } catch (error) {
+            sendInventoryError(res, error);
+        }
+    });
+
+    /**
+     * PUT /api/inventory/:id
+     * Update item details (quantity and cost change through movements and counts)
+     */
+    app.put('/api/inventory/:id', async (req, res) => {
+        try {
+            const { shopId, by, ...updates } = req.body;
+            const item = await inventory.updateItem(getShopId(req), req.params.id, updates);
+            res.json({ success: true, item });
+        } catch (error) {
+            sendInventoryError(res, error);
+        }
+    });
+
+    /**
+     * DELETE /api/inventory/:id
+     * Stop stocking an item (its history is kept)
+     */
+    app.delete('/api/inventory/:id', async (req, res) => {
+        try {
+            const item = await inventory.deactivateItem(getShopId(req), req.params.id);
+            res.json({ success: true, item });
+        } catch (error) {
+            sendInventoryError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/inventory/:id/adjust
+     * Adjust quantity on hand
+     * Body: { quantity (+/-), reason }
+     */
+    app.post('/api/inventory/:id/adjust', async (req, res) => {
+        try {
+            const { quantity, reason } = req.body;
+            const item = await inventory.adjust(getShopId(req), req.params.id, { quantity, reason, by: getUser(req) });
+            res.json({ success: true, item });
+        } catch (error) {
+            sendInventoryError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/inventory/:id/issue
+     * Pull stock for a work order
+     * Body: { workOrderId, quantity }
+     */
+    app.post('/api/inventory/:id/issue', async (req, res) => {
+        try {
+            const { workOrderId, quantity } = req.body;
+            const item = await inventory.issue(getShopId(req), req.params.id, { workOrderId, quantity, by: getUser(req) });
+            res.json({ success: true, item });
+        } catch (error) {
+            sendInventoryError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/inventory/:id/return
+     * Put an unused part back on the shelf
+     * Body: { workOrderId, quantity, reason }
+     */
+    app.post('/api/inventory/:id/return', async (req, res) => {
+        try {
+            const { workOrderId, quantity, reason } = req.body;
+            const item = await inventory.returnToStock(getShopId(req), req.params.id, { workOrderId, quantity, reason, by: getUser(req) });
+            res.json({ success: true, item });
+        } catch (error) {
+            sendInventoryError(res, error);
+        }
+    });
+}
+
+module.exports = registerInventoryEndpoints;
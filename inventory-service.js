@@ -0,0 +1,766 @@
+/**
+ * Inventory Service
+ * Parts and fluids the shop keeps on the shelf, per shop in 'partsInventory'
+ *
+ * Each item has a SKU, bin location, quantity on hand, reorder point and a
+ * moving average cost. Stock only changes through movements, and every
+ * movement is written to 'inventoryTransactions':
+ *   receipt     - parts in from a stock purchase order (updates average cost)
+ *   issue       - pulled off the shelf for a work order
+ *   return      - an unused part back on the shelf from a work order
+ *   adjustment  - damaged, lost, used in the shop, opening balance, ...
+ *   count       - the difference a physical count found
+ *
+ * Physical counts are kept in 'inventoryCounts' with the expected and counted
+ * quantity of every item counted. When an item drops to its reorder point a
+ * low-stock alert is opened in 'inventoryAlerts'; it resolves itself once the
+ * item is restocked.
+ */
+
+const { ShopRouter } = require('./firebase-config');
+const admin = require('firebase-admin');
+
+const TRANSACTION_TYPES = ['receipt', 'issue', 'return', 'adjustment', 'count'];
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+// Item fields staff can set directly; quantity and cost only move through transactions
+const ITEM_FIELDS = [
+  'sku', 'partNumber', 'brand', 'description', 'category', 'binLocation', 'unit',
+  'reorderPoint', 'reorderQuantity', 'preferredStoreId', 'notes', 'active'
+];
+
+function round2(value) {
+  return Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+}
+
+class InventoryService {
+  /**
+   * Item with current field names (early records used quantity, cost and minStock)
+   */
+  static normalize(data) {
+    return {
+      ...data,
+      quantityOnHand: Number(data.quantityOnHand ?? data.quantity ?? 0),
+      averageCost: Number(data.averageCost ?? data.cost ?? 0),
+      reorderPoint: data.reorderPoint ?? data.minStock ?? null,
+      unit: data.unit || 'each',
+      active: data.active !== false
+    };
+  }
+
+  /**
+   * At or below its reorder point
+   */
+  static isLowStock(item) {
+    return item.active !== false && item.reorderPoint !== null && item.reorderPoint !== undefined &&
+      item.quantityOnHand <= item.reorderPoint;
+  }
+
+  /**
+   * How many to order for a low item: its reorder quantity, or enough to get
+   * back to twice the reorder point
+   */
+  static suggestedOrderQuantity(item) {
+    if (item.reorderQuantity > 0) return item.reorderQuantity;
+    return Math.max(item.reorderPoint * 2 - item.quantityOnHand, 1);
+  }
+
+  /**
+   * Clean up item input
+   * @param {object} data - Item fields
+   * @param {boolean} partial - Only validate what's present (updates)
+   */
+  static prepare(data = {}, partial = false) {
+    const item = {};
+    ITEM_FIELDS.forEach(field => {
+      if (data[field] !== undefined) item[field] = data[field];
+    });
+
+    if (!partial || item.sku !== undefined) {
+      item.sku = String(item.sku || '').trim().toUpperCase();
+      if (!item.sku) {
+        throw new Error('A SKU is required');
+      }
+    }
+
+    if (!partial && !item.description && !item.partNumber) {
+      throw new Error('Each inventory item needs a description or part number');
+    }
+
+    ['reorderPoint', 'reorderQuantity'].forEach(field => {
+      if (item[field] === undefined || item[field] === null || item[field] === '') return;
+
+      const value = Number(item[field]);
+      if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`${field} must be zero or more`);
+      }
+      item[field] = value;
+    });
+
+    if (item.binLocation !== undefined) {
+      item.binLocation = item.binLocation ? String(item.binLocation).trim().toUpperCase() : null;
+    }
+
+    return item;
+  }
+
+  fromDoc(doc) {
+    return InventoryService.normalize({ id: doc.id, ...doc.data() });
+  }
+
+  /**
+   * Add an item; an opening quantity is recorded as an adjustment
+   * @param {string} shopId - Shop ID
+   * @param {object} data - { sku, partNumber, brand, description, category, binLocation, unit,
+   *   reorderPoint, reorderQuantity, preferredStoreId, notes, quantityOnHand, unitCost, by }
+   * @returns {Promise<object>} Item
+   */
+  async createItem(shopId, data = {}) {
+    try {
+      const item = InventoryService.prepare(data);
+      if (await this.findBySku(shopId, item.sku)) {
+        throw new Error(`SKU ${item.sku} is already in inventory`);
+      }
+
+      const quantity = Number(data.quantityOnHand) || 0;
+      if (quantity < 0) {
+        throw new Error('Quantity must be zero or more');
+      }
+
+      const ref = await ShopRouter.getShopCollection(shopId, 'partsInventory').add({
+        partNumber: null,
+        brand: null,
+        description: null,
+        category: null,
+        binLocation: null,
+        unit: 'each',
+        reorderPoint: null,
+        reorderQuantity: null,
+        preferredStoreId: null,
+        notes: null,
+        active: true,
+        ...item,
+        quantityOnHand: 0,
+        averageCost: round2(data.unitCost || 0),
+        lastCost: data.unitCost ? round2(data.unitCost) : null,
+        lastCountedAt: null,
+        lastReceivedAt: null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      console.log(`📦 Inventory item ${item.sku} added`);
+
+      if (quantity > 0) {
+        return this.move(shopId, ref.id, 'adjustment', quantity, {
+          reason: 'Opening balance',
+          by: data.by
+        });
+      }
+
+      const created = await this.getItem(shopId, ref.id);
+      await this.checkStockLevel(shopId, created);
+      return created;
+    } catch (error) {
+      console.error('Error creating inventory item:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update item details (not quantity or cost)
+   * @param {string} shopId - Shop ID
+   * @param {string} itemId - Item ID
+   * @param {object} updates - Item fields
+   * @returns {Promise<object>} Item
+   */
+  async updateItem(shopId, itemId, updates = {}) {
+    try {
+      if (['quantityOnHand', 'quantity', 'averageCost', 'cost'].some(field => updates[field] !== undefined)) {
+        throw new Error('Quantity and cost change through receipts, adjustments and counts');
+      }
+
+      const current = await this.getItem(shopId, itemId);
+      const changes = InventoryService.prepare(updates, true);
+
+      if (changes.sku && changes.sku !== current.sku) {
+        const existing = await this.findBySku(shopId, changes.sku);
+        if (existing) {
+          throw new Error(`SKU ${changes.sku} is already in inventory`);
+        }
+      }
+
+      await ShopRouter.getShopDocument(shopId, 'partsInventory', itemId).update({
+        ...changes,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      const item = await this.getItem(shopId, itemId);
+      await this.checkStockLevel(shopId, item);
+      return item;
+    } catch (error) {
+      console.error('Error updating inventory item:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an item
+   * @param {string} shopId - Shop ID
+   * @param {string} itemId - Item ID
+   * @returns {Promise<object>}
+   */
+  async getItem(shopId, itemId) {
+    try {
+      const doc = await ShopRouter.getShopDocument(shopId, 'partsInventory', itemId).get();
+      if (!doc.exists) {
+        throw new Error('Inventory item not found');
+      }
+      return this.fromDoc(doc);
+    } catch (error) {
+      console.error('Error getting inventory item:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Item with this SKU, or null
+   */
+  async findBySku(shopId, sku) {
+    const snapshot = await ShopRouter.getShopCollection(shopId, 'partsInventory')
+      .where('sku', '==', String(sku).trim().toUpperCase())
+      .get();
+    return snapshot.docs.length > 0 ? this.fromDoc(snapshot.docs[0]) : null;
+  }
+
+  /**
+   * The stocked item a requested part matches: by itemId, SKU, then part
+   * number. Null when the shop doesn't stock it.
+   * @param {string} shopId - Shop ID
+   * @param {object} part - { itemId, sku, partNumber }
+   * @returns {Promise<object|null>}
+   */
+  async findForPart(shopId, part = {}) {
+    if (part.itemId) {
+      const doc = await ShopRouter.getShopDocument(shopId, 'partsInventory', part.itemId).get();
+      return doc.exists ? this.fromDoc(doc) : null;
+    }
+
+    if (part.sku) {
+      return this.findBySku(shopId, part.sku);
+    }
+
+    if (part.partNumber) {
+      const snapshot = await ShopRouter.getShopCollection(shopId, 'partsInventory')
+        .where('partNumber', '==', part.partNumber)
+        .get();
+      const items = snapshot.docs.map(doc => this.fromDoc(doc)).filter(item => item.active);
+      // Several brands of the same part: take from the one with the most on the shelf
+      return items.sort((a, b) => b.quantityOnHand - a.quantityOnHand)[0] || null;
+    }
+
+    return null;
+  }
+
+  /**
+   * List items by bin location
+   * @param {string} shopId - Shop ID
+   * @param {object} filters - { category, search, lowStock, includeInactive }
+   * @returns {Promise<Array>}
+   */
+  async listItems(shopId, filters = {}) {
+    try {
+      let query = ShopRouter.getShopCollection(shopId, 'partsInventory');
+      if (filters.category) {
+        query = query.where('category', '==', filters.category);
+      }
+
+      const snapshot = await query.get();
+      let items = snapshot.docs.map(doc => this.fromDoc(doc));
+
+      if (!filters.includeInactive) {
+        items = items.filter(item => item.active);
+      }
+      if (filters.lowStock) {
+        items = items.filter(item => InventoryService.isLowStock(item));
+      }
+      if (filters.search) {
+        const term = filters.search.toLowerCase();
+        items = items.filter(item =>
+          [item.sku, item.partNumber, item.brand, item.description, item.binLocation]
+            .some(value => value && String(value).toLowerCase().includes(term))
+        );
+      }
+
+      return items.sort((a, b) =>
+        (a.binLocation || '~').localeCompare(b.binLocation || '~') || a.sku.localeCompare(b.sku)
+      );
+    } catch (error) {
+      console.error('Error listing inventory items:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop stocking an item; its history stays
+   */
+  async deactivateItem(shopId, itemId) {
+    return this.updateItem(shopId, itemId, { active: false });
+  }
+
+  /**
+   * Apply a stock movement and record it
+   * @param {string} shopId - Shop ID
+   * @param {string} itemId - Item ID
+   * @param {string} type - Transaction type
+   * @param {number} quantity - Signed change in quantity on hand
+   * @param {object} details - { unitCost (receipts), workOrderId, purchaseOrderId, countId, reason, by }
+   * @returns {Promise<object>} Item after the movement
+   */
+  async move(shopId, itemId, type, quantity, details = {}) {
+    const itemRef = ShopRouter.getShopDocument(shopId, 'partsInventory', itemId);
+    const transactionRef = ShopRouter.getShopCollection(shopId, 'inventoryTransactions').doc();
+
+    // Stock check, item update and transaction record in one transaction, so
+    // two issues can't both take the last part
+    const { item, changes } = await ShopRouter.runTransaction(async (transaction) => {
+      const doc = await transaction.get(itemRef);
+      if (!doc.exists) {
+        throw new Error('Inventory item not found');
+      }
+
+      const current = this.fromDoc(doc);
+      const quantityAfter = current.quantityOnHand + quantity;
+      if (quantityAfter < 0) {
+        throw new Error(`${current.sku}: only ${current.quantityOnHand} on hand`);
+      }
+
+      const itemChanges = { quantityOnHand: quantityAfter };
+      let unitCost = current.averageCost;
+
+      if (type === 'receipt') {
+        if (details.unitCost !== undefined && details.unitCost !== null) {
+          unitCost = round2(details.unitCost);
+          // Moving average over what was already on the shelf
+          itemChanges.averageCost = round2((current.quantityOnHand * current.averageCost + quantity * unitCost) / quantityAfter);
+          itemChanges.lastCost = unitCost;
+        }
+        itemChanges.lastReceivedAt = new Date().toISOString();
+      }
+
+      transaction.update(itemRef, {
+        ...itemChanges,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      transaction.set(transactionRef, {
+        itemId,
+        sku: current.sku,
+        description: current.description || current.partNumber,
+        type,
+        quantity,
+        quantityAfter,
+        unitCost,
+        value: round2(quantity * unitCost),
+        workOrderId: details.workOrderId || null,
+        purchaseOrderId: details.purchaseOrderId || null,
+        countId: details.countId || null,
+        reason: details.reason || null,
+        by: details.by || 'Staff',
+        at: new Date().toISOString(),
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return { item: current, changes: itemChanges };
+    });
+
+    const updated = { ...item, ...changes };
+    await this.checkStockLevel(shopId, updated);
+    return updated;
+  }
+
+  /**
+   * Parts in from a purchase order
+   * @param {string} shopId - Shop ID
+   * @param {string} itemId - Item ID
+   * @param {object} receipt - { quantity, unitCost, purchaseOrderId, by }
+   * @returns {Promise<object>} Item
+   */
+  async receive(shopId, itemId, receipt = {}) {
+    try {
+      const quantity = Number(receipt.quantity);
+      if (!(quantity > 0)) {
+        throw new Error('Quantity must be greater than zero');
+      }
+
+      const item = await this.move(shopId, itemId, 'receipt', quantity, receipt);
+      console.log(`📥 Received ${quantity} x ${item.sku}${receipt.purchaseOrderId ? ` on ${receipt.purchaseOrderId}` : ''} (${item.quantityOnHand} on hand)`);
+      return item;
+    } catch (error) {
+      console.error('Error receiving inventory:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pull stock for a work order
+   * @param {string} shopId - Shop ID
+   * @param {string} itemId - Item ID
+   * @param {object} issue - { quantity, workOrderId, by }
+   * @returns {Promise<object>} Item
+   */
+  async issue(shopId, itemId, issue = {}) {
+    try {
+      const quantity = Number(issue.quantity);
+      if (!(quantity > 0)) {
+        throw new Error('Quantity must be greater than zero');
+      }
+
+      return await this.move(shopId, itemId, 'issue', -quantity, issue);
+    } catch (error) {
+      console.error('Error issuing inventory:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * An unused part goes back on the shelf
+   * @param {string} shopId - Shop ID
+   * @param {string} itemId - Item ID
+   * @param {object} input - { quantity, workOrderId, reason, by }
+   * @returns {Promise<object>} Item
+   */
+  async returnToStock(shopId, itemId, input = {}) {
+    try {
+      const quantity = Number(input.quantity);
+      if (!(quantity > 0)) {
+        throw new Error('Quantity must be greater than zero');
+      }
+
+      return await this.move(shopId, itemId, 'return', quantity, input);
+    } catch (error) {
+      console.error('Error returning part to stock:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fill requested parts from the shelf first
+   * @param {string} shopId - Shop ID
+   * @param {object} request - { workOrderId, parts: [{ itemId | sku | partNumber, description, quantity }], by }
+   * @returns {Promise<object>} { allocated: parts pulled (with itemId, sku, binLocation, unitCost),
+   *   shortfall: parts (or the rest of them) still to be ordered }
+   */
+  async allocate(shopId, request = {}) {
+    try {
+      const { workOrderId = null, parts = [], by = 'Staff' } = request;
+      const allocated = [];
+      const shortfall = [];
+
+      for (const part of parts) {
+        const wanted = Number(part.quantity) || 1;
+        const item = await this.findForPart(shopId, part);
+
+        if (!item || !item.active || item.quantityOnHand <= 0) {
+          shortfall.push({ ...part, quantity: wanted });
+          continue;
+        }
+
+        const taken = Math.min(wanted, item.quantityOnHand);
+        await this.move(shopId, item.id, 'issue', -taken, { workOrderId, by });
+
+        allocated.push({
+          ...part,
+          itemId: item.id,
+          sku: item.sku,
+          binLocation: item.binLocation,
+          quantity: taken,
+          unitCost: item.averageCost
+        });
+        if (taken < wanted) {
+          shortfall.push({ ...part, quantity: wanted - taken });
+        }
+      }
+
+      if (allocated.length > 0) {
+        console.log(`🗄️ Pulled from stock${workOrderId ? ` for ${workOrderId}` : ''}: ${allocated.map(part => `${part.sku} x${part.quantity} (${part.binLocation || 'no bin'})`).join(', ')}`);
+      }
+
+      return { allocated, shortfall };
+    } catch (error) {
+      console.error('Error allocating inventory:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change quantity on hand outside a receipt or count
+   * @param {string} shopId - Shop ID
+   * @param {string} itemId - Item ID
+   * @param {object} adjustment - { quantity (signed), reason, by }
+   * @returns {Promise<object>} Item
+   */
+  async adjust(shopId, itemId, adjustment = {}) {
+    try {
+      const quantity = Number(adjustment.quantity);
+      if (!Number.isFinite(quantity) || quantity === 0) {
+        throw new Error('Adjustment quantity must be a non-zero number');
+      }
+      if (!adjustment.reason) {
+        throw new Error('An adjustment reason is required');
+      }
+
+      const item = await this.move(shopId, itemId, 'adjustment', quantity, {
+        reason: adjustment.reason,
+        by: adjustment.by
+      });
+      console.log(`✏️ Adjusted ${item.sku} by ${quantity} (${adjustment.reason})`);
+      return item;
+    } catch (error) {
+      console.error('Error adjusting inventory:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a physical count; each counted item is set to what was found
+   * @param {string} shopId - Shop ID
+   * @param {object} input - { lines: [{ itemId | sku, counted }], note, by }
+   * @returns {Promise<object>} Count with the expected and counted quantity per item
+   */
+  async recordCount(shopId, input = {}) {
+    try {
+      const { note = null, by = 'Staff' } = input;
+      if (!input.lines?.length) {
+        throw new Error('At least one counted item is required');
+      }
+
+      // Check every line before changing anything
+      const entries = [];
+      for (const entry of input.lines) {
+        const counted = Number(entry.counted);
+        if (!Number.isInteger(counted) || counted < 0) {
+          throw new Error('Counted quantity must be a whole number, zero or more');
+        }
+
+        const item = entry.itemId
+          ? await this.getItem(shopId, entry.itemId)
+          : await this.findBySku(shopId, entry.sku || '');
+        if (!item) {
+          throw new Error(`Unknown SKU: ${entry.sku}`);
+        }
+        entries.push({ item, counted });
+      }
+
+      const countRef = ShopRouter.getShopCollection(shopId, 'inventoryCounts').doc();
+      const countedAt = new Date().toISOString();
+      const lines = [];
+
+      for (const { item, counted } of entries) {
+        const variance = counted - item.quantityOnHand;
+        if (variance !== 0) {
+          await this.move(shopId, item.id, 'count', variance, { countId: countRef.id, reason: note, by });
+        }
+        await ShopRouter.getShopDocument(shopId, 'partsInventory', item.id).update({ lastCountedAt: countedAt });
+
+        lines.push({
+          itemId: item.id,
+          sku: item.sku,
+          description: item.description || item.partNumber,
+          binLocation: item.binLocation,
+          expected: item.quantityOnHand,
+          counted,
+          variance,
+          varianceValue: round2(variance * item.averageCost)
+        });
+      }
+
+      const count = {
+        lines,
+        itemsCounted: lines.length,
+        itemsWithVariance: lines.filter(line => line.variance !== 0).length,
+        varianceUnits: lines.reduce((sum, line) => sum + line.variance, 0),
+        varianceValue: round2(lines.reduce((sum, line) => sum + line.varianceValue, 0)),
+        note,
+        countedBy: by,
+        countedAt,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+      await countRef.set(count);
+
+      console.log(`🔢 Inventory count ${countRef.id}: ${count.itemsCounted} items, ${count.itemsWithVariance} off ($${count.varianceValue})`);
+      return { id: countRef.id, ...count };
+    } catch (error) {
+      console.error('Error recording inventory count:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Physical counts, newest first
+   * @param {string} shopId - Shop ID
+   * @param {object} filters - { since (ISO date), limit }
+   * @returns {Promise<Array>}
+   */
+  async listCounts(shopId, filters = {}) {
+    try {
+      const snapshot = await ShopRouter.getShopCollection(shopId, 'inventoryCounts').get();
+      let counts = snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => b.countedAt.localeCompare(a.countedAt));
+
+      if (filters.since) {
+        counts = counts.filter(count => count.countedAt >= filters.since);
+      }
+      return filters.limit ? counts.slice(0, Number(filters.limit)) : counts;
+    } catch (error) {
+      console.error('Error listing inventory counts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stock movements, newest first
+   * @param {string} shopId - Shop ID
+   * @param {object} filters - { itemId, workOrderId, purchaseOrderId, type, since, limit }
+   * @returns {Promise<Array>}
+   */
+  async listTransactions(shopId, filters = {}) {
+    try {
+      if (filters.type && !TRANSACTION_TYPES.includes(filters.type)) {
+        throw new Error(`Unknown transaction type: ${filters.type}. Expected one of: ${TRANSACTION_TYPES.join(', ')}`);
+      }
+
+      let query = ShopRouter.getShopCollection(shopId, 'inventoryTransactions');
+      ['itemId', 'workOrderId', 'purchaseOrderId', 'type'].forEach(field => {
+        if (filters[field]) {
+          query = query.where(field, '==', filters[field]);
+        }
+      });
+
+      const snapshot = await query.get();
+      let transactions = snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => b.at.localeCompare(a.at));
+
+      if (filters.since) {
+        transactions = transactions.filter(transaction => transaction.at >= filters.since);
+      }
+      return filters.limit ? transactions.slice(0, Number(filters.limit)) : transactions;
+    } catch (error) {
+      console.error('Error listing inventory transactions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Open, update or resolve the item's low-stock alert
+   */
+  async checkStockLevel(shopId, item) {
+    try {
+      const snapshot = await ShopRouter.getShopCollection(shopId, 'inventoryAlerts')
+        .where('itemId', '==', item.id)
+        .get();
+      const active = snapshot.docs.find(doc => doc.data().status !== 'resolved');
+
+      if (InventoryService.isLowStock(item)) {
+        const details = {
+          sku: item.sku,
+          description: item.description || item.partNumber,
+          binLocation: item.binLocation,
+          quantityOnHand: item.quantityOnHand,
+          reorderPoint: item.reorderPoint,
+          suggestedQuantity: InventoryService.suggestedOrderQuantity(item),
+          preferredStoreId: item.preferredStoreId || null,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+
+        if (active) {
+          await active.ref.update(details);
+        } else {
+          await ShopRouter.getShopCollection(shopId, 'inventoryAlerts').add({
+            itemId: item.id,
+            ...details,
+            status: 'open',
+            acknowledgedBy: null,
+            openedAt: new Date().toISOString(),
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+          console.log(`⚠️ Low stock: ${item.sku} (${item.quantityOnHand} on hand, reorder at ${item.reorderPoint})`);
+        }
+      } else if (active) {
+        await active.ref.update({
+          status: 'resolved',
+          quantityOnHand: item.quantityOnHand,
+          resolvedAt: new Date().toISOString(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      }
+    } catch (error) {
+      // The movement itself already went through
+      console.error('Error checking stock level:', error);
+    }
+  }
+
+  /**
+   * Low-stock alerts, newest first
+   * @param {string} shopId - Shop ID
+   * @param {object} filters - { status } (default: open and acknowledged)
+   * @returns {Promise<Array>}
+   */
+  async listAlerts(shopId, filters = {}) {
+    try {
+      if (filters.status && !ALERT_STATUSES.includes(filters.status)) {
+        throw new Error(`Unknown alert status: ${filters.status}. Expected one of: ${ALERT_STATUSES.join(', ')}`);
+      }
+
+      const snapshot = await ShopRouter.getShopCollection(shopId, 'inventoryAlerts').get();
+      return snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(alert => filters.status ? alert.status === filters.status : alert.status !== 'resolved')
+        .sort((a, b) => b.openedAt.localeCompare(a.openedAt));
+    } catch (error) {
+      console.error('Error listing inventory alerts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Someone has seen the alert (it still resolves on restock)
+   * @param {string} shopId - Shop ID
+   * @param {string} alertId - Alert ID
+   * @param {string} by - Who acknowledged it
+   * @returns {Promise<object>} Alert
+   */
+  async acknowledgeAlert(shopId, alertId, by = 'Staff') {
+    try {
+      const ref = ShopRouter.getShopDocument(shopId, 'inventoryAlerts', alertId);
+      const doc = await ref.get();
+      if (!doc.exists) {
+        throw new Error('Inventory alert not found');
+      }
+      if (doc.data().status === 'resolved') {
+        throw new Error('Inventory alert is already resolved');
+      }
+
+      await ref.update({
+        status: 'acknowledged',
+        acknowledgedBy: by,
+        acknowledgedAt: new Date().toISOString(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      const updated = await ref.get();
+      return { id: updated.id, ...updated.data() };
+    } catch (error) {
+      console.error('Error acknowledging inventory alert:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  InventoryService,
+  TRANSACTION_TYPES,
+  ALERT_STATUSES
+};
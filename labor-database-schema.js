@@ -1,15 +1,298 @@
 /**
  * Labor Database Schema
  * Shop-owned database of repair operations with labor times
+ *
+ * Besides baseHours an operation can carry:
+ *   variants           - hours for specific vehicles: [{ years: [from, to], make, model,
+ *                        engine ('3.5L', 'V6'), cylinders, hours, notes }]; the most
+ *                        specific variant that fits wins, otherwise baseHours
+ *   skillLevel         - tech class the job needs: 'C' (general service), 'B', 'A' (master)
+ *   includedOperations - operations done as part of this one; their time is dropped
+ *                        when both are on the same job
+ *   overlaps           - [{ operationId, hours, note }] teardown shared with another
+ *                        operation, deducted once (from the shorter job) when both are
+ *                        on the same job
  */
 
+// Tech class by difficulty when an operation doesn't set one
+const SKILL_BY_DIFFICULTY = { Easy: 'C', Medium: 'B', Hard: 'A' };
+const SKILL_LEVELS = ['C', 'B', 'A'];
+
+// Variant fields that narrow fitment, and so make a variant more specific
+const FITMENT_FIELDS = ['years', 'make', 'model', 'engine', 'cylinders'];
+
+// Labor sheet columns, in export order, and the headings each is read from
+const SHEET_COLUMNS = {
+  id: ['id', 'operationid', 'opcode', 'code'],
+  name: ['name', 'operation', 'operationname', 'job', 'repair'],
+  category: ['category', 'system', 'group'],
+  hours: ['hours', 'laborhours', 'time', 'labortime', 'flatrate', 'flatratehours'],
+  difficulty: ['difficulty'],
+  skill_level: ['skilllevel', 'skill', 'techlevel', 'class'],
+  description: ['description', 'details'],
+  vehicles: ['vehicles', 'fitment', 'applies'],
+  years: ['years', 'year', 'yearrange'],
+  make: ['make'],
+  model: ['model'],
+  engine: ['engine'],
+  cylinders: ['cylinders', 'cyl'],
+  notes: ['notes', 'note', 'comments'],
+  included_operations: ['includedoperations', 'includes', 'included'],
+  overlaps: ['overlaps', 'overlap']
+};
+
+// Fields compared when an import updates an operation
+const DIFF_FIELDS = ['name', 'category', 'baseHours', 'difficulty', 'skillLevel', 'description', 'vehicles', 'includedOperations', 'overlaps'];
+
+/**
+ * Cylinder count from an engine description ('3.5L V6', '2.0L I4 Turbo', '6 Cylinder')
+ */
+function parseCylinders(engine) {
+  if (!engine) return null;
+  const match = String(engine).match(/\b[VIHLW](\d{1,2})\b/i) || String(engine).match(/\b(\d{1,2})[- ]?cyl/i);
+  return match ? Number(match[1]) : null;
+}
+
+function round2(value) {
+  return Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * 'Water Pump - R&R' → 'water-pump-r-r'
+ */
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Key identifying what a variant fits, e.g. '2011-2017|honda|odyssey||6'
+ */
+function fitmentKey(variant) {
+  return [
+    variant.years ? variant.years.join('-') : '',
+    (variant.make || '').toLowerCase(),
+    (variant.model || '').toLowerCase(),
+    (variant.engine || '').toLowerCase(),
+    variant.cylinders || ''
+  ].join('|');
+}
+
+/**
+ * '2014 Honda Odyssey 6 cyl' for diffs and notes
+ */
+function describeFitment(variant) {
+  const years = variant.years
+    ? (variant.years[0] === variant.years[1] ? `${variant.years[0]}` : `${variant.years[0]}-${variant.years[1]}`)
+    : null;
+  return [years, variant.make, variant.model, variant.engine, variant.cylinders ? `${variant.cylinders} cyl` : null]
+    .filter(Boolean).join(' ') || 'All vehicles';
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function splitList(value) {
+  if (Array.isArray(value)) return value;
+  return String(value || '').split(/[;|]/).map(item => item.trim()).filter(Boolean);
+}
+
 class LaborDatabase {
-  constructor() {
+  /**
+   * @param {Array} operations - Saved operations to load instead of the common repairs
+   */
+  constructor(operations = null) {
     // Labor operations database
     this.laborOperations = new Map();
     
-    // Initialize with common repairs
-    this.initializeCommonRepairs();
+    if (operations) {
+      operations.forEach(op => this.laborOperations.set(op.id, op));
+    } else {
+      // Initialize with common repairs
+      this.initializeCommonRepairs();
+    }
+  }
+
+  /**
+   * Parse CSV (or tab-separated, as pasted from a spreadsheet) into rows of cells
+   */
+  static parseDelimited(text) {
+    const firstLine = String(text).split(/\r?\n/)[0];
+    const delimiter = firstLine.includes('\t') ? '\t' : ',';
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    if (cell !== '' || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+  }
+
+  /**
+   * Operations from labor sheet rows: arrays with a header row first, or objects
+   * keyed by heading (a spreadsheet's rows as JSON). Rows without fitment set an
+   * operation's base fields; rows with year/make/model/engine/cylinders become
+   * hour variants. Rows for the same operation (id, else name) are combined.
+   * @param {Array} rows - Sheet rows
+   * @returns {object} { operations, errors: [{ row, error }] }
+   */
+  static operationsFromRows(rows) {
+    let records = rows;
+    if (Array.isArray(rows[0])) {
+      const [header, ...body] = rows;
+      records = body.map(cells => Object.fromEntries(header.map((heading, index) => [heading, cells[index]])));
+    }
+
+    const columnFor = {};
+    Object.entries(SHEET_COLUMNS).forEach(([column, headings]) => {
+      headings.forEach(heading => { columnFor[heading] = column; });
+    });
+
+    const operations = new Map();
+    const errors = [];
+
+    records.forEach((record, index) => {
+      const row = {};
+      Object.entries(record).forEach(([heading, value]) => {
+        const column = columnFor[String(heading).toLowerCase().replace(/[^a-z0-9]/g, '')];
+        if (column && value !== undefined && value !== null && String(value).trim() !== '') {
+          row[column] = String(value).trim();
+        }
+      });
+
+      // Spreadsheet row number: header is row 1
+      const rowNumber = Array.isArray(rows[0]) ? index + 2 : index + 1;
+      const hours = Number(row.hours);
+      if (!row.id && !row.name) {
+        errors.push({ row: rowNumber, error: 'No operation id or name' });
+        return;
+      }
+      if (!(hours > 0)) {
+        errors.push({ row: rowNumber, error: `No labor hours for ${row.name || row.id}` });
+        return;
+      }
+
+      const key = row.id || slugify(row.name);
+      if (!operations.has(key)) {
+        operations.set(key, { id: row.id || null, name: row.name || null, variants: [] });
+      }
+      const operation = operations.get(key);
+      operation.name = operation.name || row.name || null;
+
+      const hasFitment = ['years', 'make', 'model', 'engine', 'cylinders'].some(column => row[column]);
+      if (hasFitment) {
+        const years = row.years ? row.years.split(/\s*[-–]\s*/).map(Number) : null;
+        operation.variants.push({
+          years: years ? [years[0], years[1] || years[0]] : null,
+          make: row.make || null,
+          model: row.model || null,
+          engine: row.engine || null,
+          cylinders: row.cylinders ? Number(row.cylinders) : null,
+          hours,
+          notes: row.notes || null
+        });
+        return;
+      }
+
+      operation.baseHours = hours;
+      if (row.category) operation.category = row.category;
+      if (row.difficulty) operation.difficulty = row.difficulty;
+      if (row.skill_level) operation.skillLevel = row.skill_level.toUpperCase();
+      if (row.description) operation.description = row.description;
+      if (row.vehicles) operation.vehicles = splitList(row.vehicles);
+      if (row.included_operations) operation.includedOperations = splitList(row.included_operations);
+      if (row.overlaps) {
+        // 'timing-belt:2.0:Belt already off; coolant-flush:0.5'
+        operation.overlaps = splitList(row.overlaps).map(entry => {
+          const [operationId, overlapHours, ...note] = entry.split(':').map(part => part.trim());
+          return { operationId, hours: Number(overlapHours) || 0, note: note.join(':') || null };
+        });
+      }
+    });
+
+    return { operations: Array.from(operations.values()), errors };
+  }
+
+  /**
+   * Operations from a Nexpart ACES operation list for one vehicle
+   * (NexpartLaborScraper.getAllLaborOperations().operations or
+   * NexpartApiService.getLaborOperations()). Each becomes an hour variant for
+   * that vehicle.
+   * @param {Array} list - [{ operation, hours, category, skillLevel }]
+   * @param {object} vehicle - { year, make, model, engine }
+   * @returns {object} { operations, errors }
+   */
+  static operationsFromNexpart(list, vehicle = {}) {
+    if (!vehicle.year || !vehicle.make || !vehicle.model) {
+      throw new Error('Vehicle year, make and model are required for a Nexpart import');
+    }
+
+    const errors = [];
+    const operations = new Map();
+    list.forEach((entry, index) => {
+      const hours = Number(entry.hours);
+      if (!entry.operation || !(hours > 0)) {
+        errors.push({ row: index + 1, error: `No labor hours for ${entry.operation || 'unnamed operation'}` });
+        return;
+      }
+
+      const key = slugify(entry.operation);
+      if (operations.has(key)) return;
+
+      // Nexpart's skill levels aren't our tech classes; only A/B/C carry over
+      const skillLevel = ['A', 'B', 'C'].includes(String(entry.skillLevel).toUpperCase())
+        ? String(entry.skillLevel).toUpperCase()
+        : undefined;
+
+      operations.set(key, {
+        id: null,
+        name: entry.operation,
+        ...(entry.category ? { category: entry.category } : {}),
+        ...(skillLevel ? { skillLevel } : {}),
+        variants: [{
+          years: [Number(vehicle.year), Number(vehicle.year)],
+          make: vehicle.make,
+          model: vehicle.model,
+          engine: vehicle.engine || null,
+          cylinders: null,
+          hours,
+          notes: 'Nexpart ACES'
+        }]
+      });
+    });
+
+    return { operations: Array.from(operations.values()), errors };
   }
 
   /**
@@ -86,7 +369,8 @@ class LaborDatabase {
       baseHours: 1.5,
       difficulty: 'Medium',
       description: 'Replace front brake rotors',
-      vehicles: ['All']
+      vehicles: ['All'],
+      overlaps: [{ operationId: 'brake-pads-front', hours: 0.8, note: 'Wheels and calipers already off' }]
     });
 
     this.addLaborOperation({
@@ -96,7 +380,8 @@ class LaborDatabase {
       baseHours: 1.5,
       difficulty: 'Medium',
       description: 'Replace rear brake rotors',
-      vehicles: ['All']
+      vehicles: ['All'],
+      overlaps: [{ operationId: 'brake-pads-rear', hours: 0.8, note: 'Wheels and calipers already off' }]
     });
 
     // Battery & Electrical
@@ -138,7 +423,11 @@ class LaborDatabase {
       baseHours: 1.0,
       difficulty: 'Medium',
       description: 'Flush and refill cooling system',
-      vehicles: ['All']
+      vehicles: ['All'],
+      overlaps: [
+        { operationId: 'water-pump', hours: 0.5, note: 'Cooling system already drained and refilled' },
+        { operationId: 'thermostat', hours: 0.3, note: 'Cooling system already drained and refilled' }
+      ]
     });
 
     this.addLaborOperation({
@@ -172,6 +461,25 @@ class LaborDatabase {
     });
 
     // Tune-Up & Ignition
+    this.addLaborOperation({
+      id: 'spark-plugs',
+      name: 'Spark Plug Replacement',
+      category: 'Ignition',
+      baseHours: 1.0,
+      difficulty: 'Medium',
+      description: 'Replace spark plugs',
+      vehicles: ['All'],
+      variants: [
+        { cylinders: 4, hours: 1.0 },
+        { cylinders: 6, hours: 1.5 },
+        { cylinders: 8, hours: 2.0 },
+        // Transverse V6: the rear bank is under the intake plenum
+        { make: 'Honda', model: 'Odyssey', cylinders: 6, hours: 2.2, notes: 'Remove upper intake plenum for rear bank' },
+        { make: 'Toyota', model: 'Sienna', cylinders: 6, hours: 2.7, notes: 'Remove upper intake plenum for rear bank' },
+        { make: 'Chrysler', model: 'Town & Country', cylinders: 6, hours: 2.5, notes: 'Remove upper intake plenum for rear bank' }
+      ]
+    });
+
     this.addLaborOperation({
       id: 'spark-plugs-4cyl',
       name: 'Spark Plug Replacement - 4 Cylinder',
@@ -271,7 +579,9 @@ class LaborDatabase {
       baseHours: 3.0,
       difficulty: 'Hard',
       description: 'Replace A/C compressor',
-      vehicles: ['All']
+      vehicles: ['All'],
+      skillLevel: 'A',
+      includedOperations: ['ac-recharge']
     });
 
     // Filters
@@ -344,6 +654,38 @@ class LaborDatabase {
       baseHours: 4.0,
       difficulty: 'Hard',
       description: 'Replace timing belt',
+      vehicles: ['All'],
+      variants: [
+        { cylinders: 4, hours: 3.5 },
+        { cylinders: 6, hours: 5.0 }
+      ],
+      // Accessory belts come off to reach the timing covers
+      includedOperations: ['serpentine-belt']
+    });
+
+    // Cooling System
+    this.addLaborOperation({
+      id: 'water-pump',
+      name: 'Water Pump Replacement',
+      category: 'Cooling',
+      baseHours: 2.5,
+      difficulty: 'Hard',
+      description: 'Replace water pump',
+      vehicles: ['All'],
+      variants: [
+        { cylinders: 4, hours: 2.5 },
+        { cylinders: 6, hours: 3.5 }
+      ],
+      overlaps: [{ operationId: 'timing-belt', hours: 2.0, note: 'Timing belt and covers already off' }]
+    });
+
+    this.addLaborOperation({
+      id: 'thermostat',
+      name: 'Thermostat Replacement',
+      category: 'Cooling',
+      baseHours: 0.8,
+      difficulty: 'Medium',
+      description: 'Replace thermostat and gasket',
       vehicles: ['All']
     });
 
@@ -354,7 +696,8 @@ class LaborDatabase {
       baseHours: 0.5,
       difficulty: 'Easy',
       description: 'Replace radiator hose',
-      vehicles: ['All']
+      vehicles: ['All'],
+      overlaps: [{ operationId: 'coolant-flush', hours: 0.2, note: 'Coolant already drained' }]
     });
   }
 
@@ -366,20 +709,120 @@ class LaborDatabase {
       throw new Error('Labor operation must have id, name, and baseHours');
     }
 
+    const difficulty = operation.difficulty || 'Medium';
+    const skillLevel = operation.skillLevel || SKILL_BY_DIFFICULTY[difficulty] || 'B';
+    if (!SKILL_LEVELS.includes(skillLevel)) {
+      throw new Error(`Unknown skill level: ${skillLevel}. Expected one of: ${SKILL_LEVELS.join(', ')}`);
+    }
+
     this.laborOperations.set(operation.id, {
       id: operation.id,
       name: operation.name,
       category: operation.category || 'General',
       baseHours: operation.baseHours,
-      difficulty: operation.difficulty || 'Medium',
+      difficulty,
+      skillLevel,
       description: operation.description || '',
       vehicles: operation.vehicles || ['All'],
+      variants: (operation.variants || []).map(variant => this.normalizeVariant(variant)),
+      includedOperations: operation.includedOperations || [],
+      overlaps: (operation.overlaps || []).map(overlap => ({
+        operationId: overlap.operationId,
+        hours: Number(overlap.hours) || 0,
+        note: overlap.note || null
+      })),
       customMultiplier: 1.0, // Shop can customize
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     });
   }
 
+  /**
+   * Variant with its year range as [from, to]
+   */
+  normalizeVariant(variant) {
+    if (!(Number(variant.hours) > 0)) {
+      throw new Error('Each labor variant needs hours');
+    }
+
+    let years = variant.years || null;
+    if (!years && (variant.yearFrom || variant.yearTo)) {
+      years = [variant.yearFrom || 0, variant.yearTo || 9999];
+    } else if (typeof years === 'number') {
+      years = [years, years];
+    }
+
+    return {
+      years: years ? years.map(Number) : null,
+      make: variant.make || null,
+      model: variant.model || null,
+      engine: variant.engine || null,
+      cylinders: variant.cylinders ? Number(variant.cylinders) : null,
+      hours: Number(variant.hours),
+      notes: variant.notes || null
+    };
+  }
+
+  /**
+   * Does a variant fit the vehicle? Every field the variant sets must match.
+   * @param {object} variant - Normalized variant
+   * @param {object} vehicle - { year, make, model, engine, cylinders }
+   */
+  variantFits(variant, vehicle) {
+    const same = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+    const year = Number(vehicle.year);
+    const cylinders = Number(vehicle.cylinders) || parseCylinders(vehicle.engine);
+
+    if (variant.years && !(year >= variant.years[0] && year <= variant.years[1])) return false;
+    if (variant.make && !(vehicle.make && same(variant.make, vehicle.make))) return false;
+    // 'F-150' covers 'F-150 XLT'
+    if (variant.model && !(vehicle.model && String(vehicle.model).toLowerCase().startsWith(variant.model.toLowerCase()))) return false;
+    if (variant.engine && !(vehicle.engine && String(vehicle.engine).toLowerCase().includes(variant.engine.toLowerCase()))) return false;
+    if (variant.cylinders && variant.cylinders !== cylinders) return false;
+    return true;
+  }
+
+  /**
+   * Does the operation's fitment list ('All', '4 Cylinder', 'V6', ...) allow the
+   * vehicle? Unknown engines are given the benefit of the doubt.
+   */
+  fitsVehicle(operation, vehicle) {
+    const cylinders = Number(vehicle?.cylinders) || parseCylinders(vehicle?.engine);
+    const vehicles = operation.vehicles || ['All'];
+    if (!cylinders || vehicles.includes('All')) return true;
+
+    return vehicles.some(label => parseCylinders(label) === cylinders);
+  }
+
+  /**
+   * Hours for an operation on a vehicle: the most specific matching variant,
+   * otherwise baseHours
+   * @param {string} operationId - Operation ID
+   * @param {object} vehicle - { year, make, model, engine, cylinders } (optional)
+   * @returns {object} { operation, hours, variant, skillLevel, fits }
+   */
+  resolveLaborOperation(operationId, vehicle = null) {
+    const operation = this.getLaborOperation(operationId);
+    if (!operation) {
+      throw new Error(`Labor operation not found: ${operationId}`);
+    }
+
+    const specificity = (variant) => FITMENT_FIELDS.filter(field => variant[field]).length;
+    const variant = vehicle
+      ? (operation.variants || [])
+        .filter(candidate => this.variantFits(candidate, vehicle))
+        .sort((a, b) => specificity(b) - specificity(a))[0] || null
+      : null;
+
+    return {
+      operation,
+      hours: variant ? variant.hours : operation.baseHours,
+      variant,
+      skillLevel: operation.skillLevel || SKILL_BY_DIFFICULTY[operation.difficulty] || 'B',
+      fits: this.fitsVehicle(operation, vehicle)
+    };
+  }
+
   /**
    * Get labor operation by ID
    */
@@ -415,15 +858,94 @@ class LaborDatabase {
 
   /**
    * Calculate labor time for operation with shop multiplier
+   * With a vehicle, a matching variant's hours replace baseHours
    */
-  calculateLaborTime(operationId, shopMultiplier = 1.0) {
-    const operation = this.getLaborOperation(operationId);
-    if (!operation) {
-      throw new Error(`Labor operation not found: ${operationId}`);
-    }
+  calculateLaborTime(operationId, shopMultiplier = 1.0, vehicle = null) {
+    const { operation, hours } = this.resolveLaborOperation(operationId, vehicle);
 
     const customMultiplier = operation.customMultiplier || 1.0;
-    return operation.baseHours * customMultiplier * shopMultiplier;
+    return hours * customMultiplier * shopMultiplier;
+  }
+
+  /**
+   * Labor time for several operations on one job: included operations drop to
+   * zero and overlapping teardown is deducted once, from the shorter job
+   * @param {Array<string>} operationIds - Operation IDs (repeats are separate jobs)
+   * @param {object} vehicle - { year, make, model, engine, cylinders } (optional)
+   * @param {number} shopMultiplier - Shop labor multiplier
+   * @returns {object} { operations: one entry per ID in order ({ operationId, found: false } when
+   *   unknown), totalHours, deductedHours }
+   */
+  calculateCombinedLabor(operationIds, vehicle = null, shopMultiplier = 1.0) {
+    const operations = operationIds.map(operationId => {
+      if (!this.getLaborOperation(operationId)) {
+        return { operationId, found: false };
+      }
+
+      const resolved = this.resolveLaborOperation(operationId, vehicle);
+      const factor = (resolved.operation.customMultiplier || 1.0) * shopMultiplier;
+      return {
+        operationId,
+        found: true,
+        ...resolved,
+        factor,
+        grossHours: resolved.hours * factor,
+        netHours: resolved.hours * factor,
+        includedIn: null,
+        deductions: []
+      };
+    });
+
+    // Only the first occurrence of an operation shares time with the others
+    const first = new Map();
+    operations.forEach(entry => {
+      if (entry.found && !first.has(entry.operationId)) first.set(entry.operationId, entry);
+    });
+
+    first.forEach(entry => {
+      if (entry.includedIn) return;
+
+      (entry.operation.includedOperations || []).forEach(includedId => {
+        const included = first.get(includedId);
+        if (included && included !== entry && !included.includedIn) {
+          included.includedIn = { operationId: entry.operationId, name: entry.operation.name };
+          included.netHours = 0;
+        }
+      });
+    });
+
+    const seen = new Set();
+    first.forEach(entry => {
+      (entry.operation.overlaps || []).forEach(overlap => {
+        const other = first.get(overlap.operationId);
+        const pair = [entry.operationId, overlap.operationId].sort().join('|');
+        if (!other || other === entry || seen.has(pair) || entry.includedIn || other.includedIn) return;
+        seen.add(pair);
+
+        const [shorter, longer] = entry.hours <= other.hours ? [entry, other] : [other, entry];
+        const hours = Math.min(overlap.hours * shorter.factor, shorter.netHours);
+        if (hours <= 0) return;
+
+        shorter.netHours -= hours;
+        shorter.deductions.push({
+          operationId: longer.operationId,
+          name: longer.operation.name,
+          hours: round2(hours),
+          note: overlap.note
+        });
+      });
+    });
+
+    const found = operations.filter(entry => entry.found);
+    found.forEach(entry => {
+      entry.netHours = round2(entry.netHours);
+    });
+
+    return {
+      operations,
+      totalHours: round2(found.reduce((sum, entry) => sum + entry.netHours, 0)),
+      deductedHours: round2(found.reduce((sum, entry) => sum + (entry.grossHours - entry.netHours), 0))
+    };
   }
 
   /**
@@ -449,6 +971,9 @@ class LaborDatabase {
       id: operationId, // Prevent ID changes
       updatedAt: new Date().toISOString()
     };
+    if (updates.variants) {
+      updated.variants = updates.variants.map(variant => this.normalizeVariant(variant));
+    }
 
     this.laborOperations.set(operationId, updated);
     return updated;
@@ -471,21 +996,131 @@ class LaborDatabase {
   }
 
   /**
-   * Export database as JSON
+   * Operation with this name (case-insensitive)
    */
-  exportDatabase() {
-    return JSON.stringify(Array.from(this.laborOperations.values()), null, 2);
+  findByName(name) {
+    const target = String(name || '').trim().toLowerCase();
+    return this.getAllLaborOperations().find(op => op.name.toLowerCase() === target);
   }
 
   /**
-   * Import database from JSON
+   * Merge imported operations: new ones are added, matching ones (by id, then
+   * name, then name slug) take the imported fields and variants, nothing is removed
+   * @param {Array} incoming - Operations (any fields left out or null are kept as they are)
+   * @returns {object} { added: [{ id, name }], updated: [{ id, name, changes: [{ field, from, to }] }],
+   *   unchanged: [ids] }
+   */
+  mergeOperations(incoming) {
+    const diff = { added: [], updated: [], unchanged: [] };
+    const now = new Date().toISOString();
+
+    incoming.forEach(op => {
+      // Unnumbered rows (e.g. Nexpart's 'Water Pump') also match on their slug
+      const existing = (op.id && this.getLaborOperation(op.id))
+        || (op.name && this.findByName(op.name))
+        || (!op.id && op.name && this.getLaborOperation(slugify(op.name)));
+
+      if (!existing) {
+        const id = op.id || slugify(op.name);
+        this.addLaborOperation({
+          ...op,
+          id,
+          baseHours: op.baseHours || op.variants?.[0]?.hours
+        });
+        diff.added.push({ id, name: op.name });
+        return;
+      }
+
+      if (op.skillLevel != null && !SKILL_LEVELS.includes(op.skillLevel)) {
+        throw new Error(`Unknown skill level for ${existing.name}: ${op.skillLevel}. Expected one of: ${SKILL_LEVELS.join(', ')}`);
+      }
+      if (op.baseHours != null && !(Number(op.baseHours) > 0)) {
+        throw new Error(`No labor hours for ${existing.name}`);
+      }
+
+      // A name only changes when the operation was matched by id
+      const merged = { ...existing };
+      DIFF_FIELDS.forEach(field => {
+        if (op[field] != null && (field !== 'name' || op.id === existing.id)) merged[field] = op[field];
+      });
+
+      const changes = DIFF_FIELDS
+        .filter(field => JSON.stringify(existing[field] ?? null) !== JSON.stringify(merged[field] ?? null))
+        .map(field => ({ field, from: existing[field] ?? null, to: merged[field] }));
+
+      // Variants merge by what they fit
+      const variants = (existing.variants || []).slice();
+      (op.variants || []).forEach(variant => {
+        const normalized = this.normalizeVariant(variant);
+        const index = variants.findIndex(candidate => fitmentKey(candidate) === fitmentKey(normalized));
+        if (index === -1) {
+          variants.push(normalized);
+          changes.push({ field: 'variant', fitment: describeFitment(normalized), from: null, to: normalized.hours });
+        } else if (variants[index].hours !== normalized.hours || (normalized.notes && variants[index].notes !== normalized.notes)) {
+          changes.push({ field: 'variant', fitment: describeFitment(normalized), from: variants[index].hours, to: normalized.hours });
+          variants[index] = { ...normalized, notes: normalized.notes || variants[index].notes };
+        }
+      });
+      merged.variants = variants;
+
+      if (changes.length === 0) {
+        diff.unchanged.push(existing.id);
+        return;
+      }
+
+      this.laborOperations.set(existing.id, { ...merged, updatedAt: now });
+      diff.updated.push({ id: existing.id, name: existing.name, changes });
+    });
+
+    return diff;
+  }
+
+  /**
+   * Plain copy of every operation (for saving)
+   */
+  toOperations() {
+    return JSON.parse(JSON.stringify(this.getAllLaborOperations()));
+  }
+
+  /**
+   * Export database as JSON, or as a CSV labor sheet (a base row per
+   * operation followed by a row per hour variant)
+   * @param {string} format - 'json' or 'csv'
+   */
+  exportDatabase(format = 'json') {
+    if (format !== 'csv') {
+      return JSON.stringify(Array.from(this.laborOperations.values()), null, 2);
+    }
+
+    const columns = Object.keys(SHEET_COLUMNS);
+    const lines = [columns.join(',')];
+    this.getAllLaborOperations().forEach(op => {
+      lines.push([
+        op.id, op.name, op.category, op.baseHours, op.difficulty, op.skillLevel, op.description,
+        (op.vehicles || []).join(';'), '', '', '', '', '', '',
+        (op.includedOperations || []).join(';'),
+        (op.overlaps || []).map(overlap => [overlap.operationId, overlap.hours, overlap.note].filter(part => part != null).join(':')).join(';')
+      ].map(csvCell).join(','));
+
+      (op.variants || []).forEach(variant => {
+        lines.push([
+          op.id, op.name, '', variant.hours, '', '', '', '',
+          variant.years ? (variant.years[0] === variant.years[1] ? variant.years[0] : variant.years.join('-')) : '',
+          variant.make, variant.model, variant.engine, variant.cylinders, variant.notes, '', ''
+        ].map(csvCell).join(','));
+      });
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Import operations from our JSON export, merged into what's here
    */
   importDatabase(jsonData) {
     try {
       const operations = JSON.parse(jsonData);
-      operations.forEach(op => {
-        this.laborOperations.set(op.id, op);
-      });
+      this.mergeOperations(operations);
       return true;
     } catch (error) {
       console.error('Failed to import labor database:', error);
@@ -0,0 +1,156 @@
+/**
+ * Labor Guide API Endpoints
+ * Browse the shop's labor guide, export it as JSON or a CSV labor sheet,
+ * preview and run imports (CSV, spreadsheet rows, JSON, Nexpart), and
+ * review or roll back its versions
+ */
+
+const { getShopId } = require('./shop-auth-middleware.js');
+
+function sendLaborGuideError(res, error) {
+    if (/^Labor guide version .* not found$/.test(error.message)) {
+        return res.status(404).json({ success: false, error: error.message });
+    }
+
+    if (/^(Labor guide changed (since the preview|while saving)|Labor guide is already at version|Nothing to import)/.test(error.message)) {
+        return res.status(409).json({ success: false, error: error.message });
+    }
+
+    if (/^(Unknown import format|Unknown export format|Unknown skill level|CSV import needs|Row import needs|JSON import needs|Vehicle year, make and model are required|Nexpart .* is not configured|Each labor (operation|variant) needs|Unexpected token)/.test(error.message)) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    res.status(500).json({ success: false, error: error.message });
+}
+
+/**
+ * @param {object} app - Express app
+ * @param {LaborGuideService} laborGuide - Labor guide service
+ */
+function registerLaborGuideEndpoints(app, laborGuide) {
+    const getUser = (req) => req.body?.by || req.shop?.email || 'Staff';
+
+    /**
+     * GET /api/labor/operations
+     * Operations in the current guide (optional ?search=, ?category=)
+     */
+    app.get('/api/labor/operations', async (req, res) => {
+        try {
+            const { search, category } = req.query;
+            const database = await laborGuide.getDatabase(getShopId(req));
+            let operations = database.toOperations();
+
+            if (category) {
+                operations = operations.filter(op => (op.category || '').toLowerCase() === category.toLowerCase());
+            }
+            if (search) {
+                const term = search.toLowerCase();
+                operations = operations.filter(op =>
+                    op.name.toLowerCase().includes(term) || (op.description || '').toLowerCase().includes(term));
+            }
+
+            res.json({ success: true, version: await laborGuide.getCurrentVersion(getShopId(req)), operations, total: operations.length });
+        } catch (error) {
+            sendLaborGuideError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/labor/export
+     * Download the current guide (?format=json or csv; CSV has a row per operation and per vehicle variant)
+     */
+    app.get('/api/labor/export', async (req, res) => {
+        try {
+            const format = req.query.format || 'json';
+            const data = await laborGuide.exportGuide(getShopId(req), format);
+
+            res.set('Content-Type', format === 'csv' ? 'text/csv' : 'application/json');
+            res.set('Content-Disposition', `attachment; filename="labor-guide.${format}"`);
+            res.send(data);
+        } catch (error) {
+            sendLaborGuideError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/labor/import/preview
+     * What an import would add and change; nothing is saved
+     * Body: { format: csv | rows | json | nexpart-api | nexpart-scraper, data, vehicle: { year, make, model, engine } }
+     */
+    app.post('/api/labor/import/preview', async (req, res) => {
+        try {
+            const { format, data, vehicle } = req.body;
+            const preview = await laborGuide.previewImport(getShopId(req), { format, data, vehicle });
+            res.json({ success: true, preview });
+        } catch (error) {
+            sendLaborGuideError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/labor/import
+     * Merge an import into the guide as a new version
+     * Body: { format, data, vehicle, baseVersion (from the preview), note }
+     */
+    app.post('/api/labor/import', async (req, res) => {
+        try {
+            const { format, data, vehicle, baseVersion, note } = req.body;
+            const version = await laborGuide.importOperations(getShopId(req), {
+                format,
+                data,
+                vehicle,
+                baseVersion,
+                note,
+                by: getUser(req)
+            });
+            res.status(201).json({ success: true, version });
+        } catch (error) {
+            sendLaborGuideError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/labor/versions
+     * Version history: who imported what and when
+     */
+    app.get('/api/labor/versions', async (req, res) => {
+        try {
+            const history = await laborGuide.listVersions(getShopId(req));
+            res.json({ success: true, ...history });
+        } catch (error) {
+            sendLaborGuideError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/labor/versions/:version
+     * A version with its operations and changes
+     */
+    app.get('/api/labor/versions/:version', async (req, res) => {
+        try {
+            const version = await laborGuide.getVersion(getShopId(req), req.params.version);
+            res.json({ success: true, version });
+        } catch (error) {
+            sendLaborGuideError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/labor/versions/:version/rollback
+     * Make an earlier version current again (saved as a new version)
+     * Body: { note }
+     */
+    app.post('/api/labor/versions/:version/rollback', async (req, res) => {
+        try {
+            const version = await laborGuide.rollback(getShopId(req), req.params.version, {
+                note: req.body.note,
+                by: getUser(req)
+            });
+            res.status(201).json({ success: true, version });
+        } catch (error) {
+            sendLaborGuideError(res, error);
+        }
+    });
+}
+
+module.exports = registerLaborGuideEndpoints;
@@ -0,0 +1,440 @@
+/**
+ * Labor Guide Service
+ * Each shop's labor guide, saved as numbered versions in 'laborGuideVersions'
+ * with the current version number in settings/laborGuide
+ *
+ * Version 0 is the built-in common repairs (LaborDatabase defaults). Every
+ * import merges into the current guide and saves a new version recording its
+ * source, who ran it, when, and what it added or changed. Rolling back saves
+ * an earlier version's operations as a new version, so history is never lost.
+ *
+ * A version's operations and changes are split across documents in its
+ * 'chunks' subcollection, since a full guide can outgrow Firestore's 1 MiB
+ * document limit. Versions saved before that keep them on the version itself.
+ *
+ * Import formats:
+ *   csv             - CSV or tab-separated labor sheet text (see LaborDatabase.operationsFromRows)
+ *   rows            - spreadsheet rows as JSON (XLSX sheets converted client-side)
+ *   json            - our own export
+ *   nexpart-api     - NexpartApiService.getLaborOperations for a vehicle
+ *   nexpart-scraper - NexpartLaborScraper.getAllLaborOperations for a vehicle
+ */
+
+const { ShopRouter } = require('./firebase-config');
+const admin = require('firebase-admin');
+const LaborDatabase = require('./labor-database-schema.js');
+
+const IMPORT_FORMATS = ['csv', 'rows', 'json', 'nexpart-api', 'nexpart-scraper'];
+
+// Serialized size per chunk document, leaving room under the 1 MiB limit
+const CHUNK_BYTES = 512 * 1024;
+
+/**
+ * Split a list into runs of at most CHUNK_BYTES of JSON each
+ */
+function chunkItems(items) {
+  const chunks = [];
+  let current = [];
+  let size = 0;
+
+  items.forEach(item => {
+    const itemSize = Buffer.byteLength(JSON.stringify(item));
+    if (current.length > 0 && size + itemSize > CHUNK_BYTES) {
+      chunks.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(item);
+    size += itemSize;
+  });
+
+  if (current.length > 0) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+class LaborGuideService {
+  /**
+   * @param {object} options - { nexpartApi (NexpartApiService), laborScraper (NexpartLaborScraper) }
+   */
+  constructor(options = {}) {
+    this.nexpartApi = options.nexpartApi || null;
+    this.laborScraper = options.laborScraper || null;
+    // shopId -> { version, operations }; saved versions never change
+    this.cache = new Map();
+  }
+
+  /**
+   * Current version number (0 until the first import)
+   */
+  async getCurrentVersion(shopId) {
+    const doc = await ShopRouter.getShopDocument(shopId, 'settings', 'laborGuide').get();
+    return doc.exists ? doc.data().version || 0 : 0;
+  }
+
+  /**
+   * The shop's current labor guide
+   * @param {string} shopId - Shop ID
+   * @param {number} [version] - A saved version instead of the current one
+   * @returns {Promise<LaborDatabase>}
+   */
+  async getDatabase(shopId, version = null) {
+    try {
+      version = version ?? await this.getCurrentVersion(shopId);
+      if (version === 0) {
+        return new LaborDatabase();
+      }
+
+      const cached = this.cache.get(shopId);
+      if (cached?.version === version) {
+        return new LaborDatabase(structuredClone(cached.operations));
+      }
+
+      const record = await this.getVersion(shopId, version);
+      this.cache.set(shopId, { version, operations: record.operations });
+      return new LaborDatabase(structuredClone(record.operations));
+    } catch (error) {
+      console.error('Error loading labor guide:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Turn import input into operations
+   * @param {object} input - { format, data (text, rows or operation list), vehicle (Nexpart imports) }
+   * @returns {Promise<object>} { operations, errors, source }
+   */
+  async parseImport(input = {}) {
+    const { format, data, vehicle } = input;
+    if (!IMPORT_FORMATS.includes(format)) {
+      throw new Error(`Unknown import format: ${format}. Expected one of: ${IMPORT_FORMATS.join(', ')}`);
+    }
+
+    if (format === 'csv') {
+      if (typeof data !== 'string' || !data.trim()) {
+        throw new Error('CSV import needs the sheet text');
+      }
+      return { ...LaborDatabase.operationsFromRows(LaborDatabase.parseDelimited(data)), source: 'csv' };
+    }
+
+    if (format === 'rows') {
+      if (!Array.isArray(data) || data.length === 0) {
+        throw new Error('Row import needs at least one row');
+      }
+      return { ...LaborDatabase.operationsFromRows(data), source: 'spreadsheet' };
+    }
+
+    if (format === 'json') {
+      const operations = typeof data === 'string' ? JSON.parse(data) : data;
+      if (!Array.isArray(operations)) {
+        throw new Error('JSON import needs a list of operations');
+      }
+      return { operations, errors: [], source: 'json' };
+    }
+
+    if (!vehicle?.year || !vehicle?.make || !vehicle?.model) {
+      throw new Error('Vehicle year, make and model are required for a Nexpart import');
+    }
+
+    let list = data;
+
+    if (!list && format === 'nexpart-api') {
+      if (!this.nexpartApi) {
+        throw new Error('Nexpart API is not configured');
+      }
+      list = await this.nexpartApi.getLaborOperations(vehicle.year, vehicle.make, vehicle.model);
+    }
+
+    if (!list && format === 'nexpart-scraper') {
+      if (!this.laborScraper) {
+        throw new Error('Nexpart labor scraper is not configured');
+      }
+      const result = await this.laborScraper.getAllLaborOperations(vehicle.year, vehicle.make, vehicle.model);
+      if (!result.success) {
+        throw new Error(`Nexpart labor lookup failed: ${result.error}`);
+      }
+      list = result.operations;
+    }
+
+    return {
+      ...LaborDatabase.operationsFromNexpart(list || [], vehicle),
+      source: `${format} (${vehicle.year} ${vehicle.make} ${vehicle.model})`
+    };
+  }
+
+  /**
+   * What an import would add and change, without saving anything
+   * @param {string} shopId - Shop ID
+   * @param {object} input - { format, data, vehicle }
+   * @returns {Promise<object>} { baseVersion, source, added, updated, unchanged, errors, summary }
+   */
+  async previewImport(shopId, input = {}) {
+    try {
+      const parsed = await this.parseImport(input);
+      const baseVersion = await this.getCurrentVersion(shopId);
+      const database = await this.getDatabase(shopId);
+      const diff = database.mergeOperations(parsed.operations);
+
+      return {
+        baseVersion,
+        source: parsed.source,
+        added: diff.added,
+        updated: diff.updated,
+        unchanged: diff.unchanged.length,
+        errors: parsed.errors,
+        summary: this.summarize(diff, parsed.errors)
+      };
+    } catch (error) {
+      console.error('Error previewing labor guide import:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Merge an import into the guide and save it as a new version
+   * @param {string} shopId - Shop ID
+   * @param {object} input - { format, data, vehicle, baseVersion (from the preview), note, by }
+   * @returns {Promise<object>} The new version (without its operations)
+   */
+  async importOperations(shopId, input = {}) {
+    try {
+      const { baseVersion, note = null, by = 'Staff' } = input;
+      const parsed = await this.parseImport(input);
+      const current = await this.getCurrentVersion(shopId);
+
+      if (baseVersion !== undefined && baseVersion !== null && Number(baseVersion) !== current) {
+        throw new Error(`Labor guide changed since the preview (now version ${current})`);
+      }
+
+      const database = await this.getDatabase(shopId, current);
+      const diff = database.mergeOperations(parsed.operations);
+      if (diff.added.length === 0 && diff.updated.length === 0) {
+        throw new Error('Nothing to import - the labor guide already matches');
+      }
+
+      const version = await this.saveVersion(shopId, database, {
+        baseVersion: current,
+        fromPreview: baseVersion !== undefined && baseVersion !== null,
+        source: parsed.source,
+        summary: this.summarize(diff, parsed.errors),
+        changes: { added: diff.added, updated: diff.updated },
+        skipped: parsed.errors,
+        note,
+        by
+      });
+
+      console.log(`📚 Labor guide v${version.version} imported from ${parsed.source} by ${by}: ${version.summary}`);
+      return version;
+    } catch (error) {
+      console.error('Error importing labor guide:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make an earlier version current again (saved as a new version)
+   * @param {string} shopId - Shop ID
+   * @param {number} version - Version to go back to
+   * @param {object} options - { note, by }
+   * @returns {Promise<object>} The new version
+   */
+  async rollback(shopId, version, options = {}) {
+    try {
+      const { note = null, by = 'Staff' } = options;
+      const target = Number(version);
+      const current = await this.getCurrentVersion(shopId);
+      if (target === current) {
+        throw new Error(`Labor guide is already at version ${current}`);
+      }
+
+      const record = await this.getVersion(shopId, target);
+      const saved = await this.saveVersion(shopId, new LaborDatabase(record.operations), {
+        baseVersion: current,
+        source: 'rollback',
+        summary: `Rolled back to version ${target}`,
+        changes: null,
+        skipped: [],
+        rolledBackTo: target,
+        note,
+        by
+      });
+
+      console.log(`⏪ Labor guide rolled back to v${target} (now v${saved.version}) by ${by}`);
+      return saved;
+    } catch (error) {
+      console.error('Error rolling back labor guide:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save the guide as the next version and make it current. The version
+   * number is taken inside a transaction, which fails if the guide moved
+   * past details.baseVersion (the one the guide was built from)
+   */
+  async saveVersion(shopId, database, details) {
+    const operations = database.toOperations();
+    const lists = {
+      operations,
+      added: details.changes?.added || [],
+      updated: details.changes?.updated || []
+    };
+    const chunks = Object.entries(lists).flatMap(([list, items]) =>
+      chunkItems(items).map((part, index) => ({ list, index, items: part })));
+
+    const settingsRef = ShopRouter.getShopDocument(shopId, 'settings', 'laborGuide');
+    const record = await ShopRouter.runTransaction(async (transaction) => {
+      const settings = await transaction.get(settingsRef);
+      const current = settings.exists ? settings.data().version || 0 : 0;
+      if (current !== details.baseVersion) {
+        throw new Error(details.fromPreview
+          ? `Labor guide changed since the preview (now version ${current})`
+          : `Labor guide changed while saving (now version ${current}) - try again`);
+      }
+
+      const version = current + 1;
+      const versionRef = ShopRouter.getShopDocument(shopId, 'laborGuideVersions', `v${version}`);
+      const record = {
+        version,
+        source: details.source,
+        summary: details.summary,
+        changeCount: details.changes
+          ? { added: lists.added.length, updated: lists.updated.length }
+          : null,
+        skipped: details.skipped,
+        rolledBackTo: details.rolledBackTo ?? null,
+        operationCount: operations.length,
+        chunkCount: chunks.length,
+        note: details.note,
+        importedBy: details.by,
+        importedAt: new Date().toISOString()
+      };
+
+      transaction.create(versionRef, {
+        ...record,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      chunks.forEach(chunk => {
+        transaction.create(versionRef.collection('chunks').doc(`${chunk.list}-${chunk.index}`), chunk);
+      });
+      transaction.set(settingsRef, {
+        version,
+        updatedBy: details.by,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+
+      return record;
+    });
+
+    this.cache.set(shopId, { version: record.version, operations });
+
+    const { changeCount, chunkCount, ...saved } = record;
+    return { ...saved, changes: details.changes };
+  }
+
+  /**
+   * A saved version with its operations (0 is the built-in guide)
+   * @param {string} shopId - Shop ID
+   * @param {number} version - Version number
+   * @returns {Promise<object>}
+   */
+  async getVersion(shopId, version) {
+    try {
+      const number = Number(version);
+      if (number === 0) {
+        const operations = new LaborDatabase().toOperations();
+        return { version: 0, source: 'built-in', summary: 'Common repairs', operationCount: operations.length, operations };
+      }
+
+      const versionRef = ShopRouter.getShopDocument(shopId, 'laborGuideVersions', `v${number}`);
+      const doc = await versionRef.get();
+      if (!Number.isInteger(number) || !doc.exists) {
+        throw new Error(`Labor guide version ${version} not found`);
+      }
+
+      const { createdAt, changeCount, chunkCount, ...record } = doc.data();
+      if (record.operations) {
+        return record;
+      }
+
+      const lists = { operations: [], added: [], updated: [] };
+      const snapshot = await versionRef.collection('chunks').get();
+      snapshot.docs
+        .map(chunk => chunk.data())
+        .sort((a, b) => a.index - b.index)
+        .forEach(chunk => lists[chunk.list].push(...chunk.items));
+
+      return {
+        ...record,
+        changes: changeCount ? { added: lists.added, updated: lists.updated } : null,
+        operations: lists.operations
+      };
+    } catch (error) {
+      console.error('Error getting labor guide version:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Version history, newest first (without operations)
+   * @param {string} shopId - Shop ID
+   * @returns {Promise<object>} { current, versions }
+   */
+  async listVersions(shopId) {
+    try {
+      const current = await this.getCurrentVersion(shopId);
+      const snapshot = await ShopRouter.getShopCollection(shopId, 'laborGuideVersions').get();
+      const versions = snapshot.docs
+        .map(doc => {
+          const { operations, changes, changeCount, chunkCount, createdAt, ...record } = doc.data();
+          return {
+            ...record,
+            added: changeCount?.added ?? changes?.added.length ?? 0,
+            updated: changeCount?.updated ?? changes?.updated.length ?? 0
+          };
+        })
+        .sort((a, b) => b.version - a.version);
+
+      versions.push({ version: 0, source: 'built-in', summary: 'Common repairs', importedBy: null, importedAt: null, added: 0, updated: 0 });
+      return { current, versions };
+    } catch (error) {
+      console.error('Error listing labor guide versions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Current guide as JSON or a CSV labor sheet
+   * @param {string} shopId - Shop ID
+   * @param {string} format - 'json' or 'csv'
+   * @returns {Promise<string>}
+   */
+  async exportGuide(shopId, format = 'json') {
+    if (!['json', 'csv'].includes(format)) {
+      throw new Error(`Unknown export format: ${format}. Expected json or csv`);
+    }
+
+    const database = await this.getDatabase(shopId);
+    return database.exportDatabase(format);
+  }
+
+  /**
+   * '3 added, 12 updated (15 variants), 2 rows skipped'
+   */
+  summarize(diff, errors = []) {
+    const variants = diff.updated.reduce((sum, entry) =>
+      sum + entry.changes.filter(change => change.field === 'variant').length, 0);
+
+    return [
+      `${diff.added.length} added`,
+      `${diff.updated.length} updated${variants > 0 ? ` (${variants} variant${variants === 1 ? '' : 's'})` : ''}`,
+      ...(errors.length > 0 ? [`${errors.length} row${errors.length === 1 ? '' : 's'} skipped`] : [])
+    ].join(', ');
+  }
+}
+
+module.exports = {
+  LaborGuideService,
+  IMPORT_FORMATS
+};
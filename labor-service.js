@@ -4,17 +4,24 @@
  */
 
 const LaborDatabase = require('./labor-database-schema.js');
+const RepairDescriptionMatcher = require('./repair-description-matcher.js');
 
 class LaborService {
-  constructor(shopSettings) {
-    this.laborDatabase = new LaborDatabase();
+  /**
+   * @param {object} shopSettings - { laborRate, laborMultiplier }
+   * @param {LaborDatabase} laborDatabase - The shop's labor guide (default: built-in common repairs)
+   */
+  constructor(shopSettings, laborDatabase = new LaborDatabase()) {
+    this.laborDatabase = laborDatabase;
     this.shopSettings = shopSettings;
   }
 
   /**
    * Get labor time for a repair operation
+   * @param {string} operationId - Operation ID
+   * @param {object} vehicle - { year, make, model, engine, cylinders } picks the hour variant
    */
-  getLaborTime(operationId) {
+  getLaborTime(operationId, vehicle = null) {
     try {
       const operation = this.laborDatabase.getLaborOperation(operationId);
       if (!operation) {
@@ -26,9 +33,11 @@ class LaborService {
         };
       }
 
+      const resolved = this.laborDatabase.resolveLaborOperation(operationId, vehicle);
       const laborHours = this.laborDatabase.calculateLaborTime(
         operationId,
-        this.shopSettings.laborMultiplier || 1.0
+        this.shopSettings.laborMultiplier || 1.0,
+        vehicle
       );
 
       return {
@@ -37,6 +46,10 @@ class LaborService {
         laborHours: laborHours,
         laborRate: this.shopSettings.laborRate || 100,
         estimatedCost: laborHours * (this.shopSettings.laborRate || 100),
+        variant: resolved.variant,
+        skillLevel: resolved.skillLevel,
+        fits: resolved.fits,
+        warning: resolved.fits ? null : `${operation.name} is not listed for this vehicle's engine`,
         source: 'database'
       };
     } catch (error) {
@@ -130,25 +143,80 @@ class LaborService {
     }
   }
 
+  /**
+   * Labor times for operations done on the same job, in the order given:
+   * included operations drop to zero and shared teardown is deducted.
+   * Unknown operations come back unsuccessful, as from getLaborTime.
+   * @param {Array<string>} operationIds - Operation IDs
+   * @param {object} vehicle - { year, make, model, engine, cylinders } (optional)
+   * @returns {Array<object>}
+   */
+  getCombinedLaborTimes(operationIds, vehicle = null) {
+    const laborRate = this.shopSettings.laborRate || 100;
+    const combined = this.laborDatabase.calculateCombinedLabor(
+      operationIds,
+      vehicle,
+      this.shopSettings.laborMultiplier || 1.0
+    );
+
+    return combined.operations.map(entry => {
+      if (!entry.found) {
+        return this.getLaborTime(entry.operationId, vehicle);
+      }
+
+      const notes = [
+        ...(entry.includedIn ? [`Included in ${entry.includedIn.name}`] : []),
+        ...entry.deductions.map(deduction => `Less ${deduction.hours} hr overlap with ${deduction.name}${deduction.note ? ` (${deduction.note})` : ''}`)
+      ];
+
+      return {
+        success: true,
+        operation: entry.operation,
+        laborHours: entry.netHours,
+        grossHours: entry.grossHours,
+        laborRate,
+        estimatedCost: entry.netHours * laborRate,
+        variant: entry.variant,
+        skillLevel: entry.skillLevel,
+        fits: entry.fits,
+        warning: entry.fits ? null : `${entry.operation.name} is not listed for this vehicle's engine`,
+        includedIn: entry.includedIn,
+        deductions: entry.deductions,
+        notes,
+        source: 'database'
+      };
+    });
+  }
+
   /**
    * Get labor estimate for multiple operations
+   * @param {Array<string>} operationIds - Operation IDs
+   * @param {object} vehicle - { year, make, model, engine, cylinders } (optional)
    */
-  getMultipleLaborEstimate(operationIds) {
+  getMultipleLaborEstimate(operationIds, vehicle = null) {
     const estimates = [];
     let totalHours = 0;
     let totalCost = 0;
+    let deductedHours = 0;
     const voiceCallRequired = [];
+    const warnings = [];
+    const skillLevels = ['C', 'B', 'A'];
+    let skillLevel = null;
 
-    operationIds.forEach(operationId => {
-      const result = this.getLaborTime(operationId);
-      
+    this.getCombinedLaborTimes(operationIds, vehicle).forEach((result, index) => {
       if (result.success) {
         estimates.push(result);
         totalHours += result.laborHours;
         totalCost += result.estimatedCost;
+        deductedHours += result.grossHours - result.laborHours;
+        if (result.warning) warnings.push(result.warning);
+        // The job needs the most skilled tech any operation calls for
+        if (skillLevels.indexOf(result.skillLevel) > skillLevels.indexOf(skillLevel)) {
+          skillLevel = result.skillLevel;
+        }
       } else if (result.requiresVoiceCall) {
         voiceCallRequired.push({
-          operationId: operationId,
+          operationId: operationIds[index],
           reason: result.message || 'Not in database'
         });
       }
@@ -159,6 +227,10 @@ class LaborService {
       estimates: estimates,
       totalHours: totalHours,
       totalCost: totalCost,
+      deductedHours: deductedHours,
+      overlapSavings: deductedHours * (this.shopSettings.laborRate || 100),
+      skillLevel: skillLevel,
+      warnings: warnings,
       voiceCallRequired: voiceCallRequired,
       requiresVoiceCall: voiceCallRequired.length > 0,
       laborRate: this.shopSettings.laborRate || 100
@@ -166,34 +238,52 @@ class LaborService {
   }
 
   /**
-   * Get quick estimate for common repairs
+   * Get quick estimate from a customer's description ("car squeals when I
+   * brake"): ranked candidate operations with hours and cost, plus a
+   * diagnostic to book first when the complaint has too many causes to quote
+   * @param {string} repairDescription - What the customer said
+   * @param {object} vehicle - { year, make, model, engine } picks hour variants (optional)
    */
-  getQuickEstimate(repairDescription) {
-    // Search for matching operation
-    const searchResults = this.searchLaborOperations(repairDescription);
-    
-    if (searchResults.operations.length === 0) {
+  getQuickEstimate(repairDescription, vehicle = null) {
+    const match = new RepairDescriptionMatcher(this.laborDatabase).match(repairDescription);
+    const laborRate = this.shopSettings.laborRate || 100;
+    const multiplier = this.shopSettings.laborMultiplier || 1.0;
+
+    const withHours = (operationId) => {
+      const laborHours = Math.round(this.laborDatabase.calculateLaborTime(operationId, multiplier, vehicle) * 100) / 100;
+      return { laborHours, estimatedCost: Math.round(laborHours * laborRate * 100) / 100 };
+    };
+
+    if (match.candidates.length === 0) {
       return {
         success: false,
         requiresVoiceCall: true,
+        candidates: [],
+        symptoms: match.symptoms,
+        diagnosticFirst: Boolean(match.diagnostic),
+        diagnostic: match.diagnostic,
         message: 'No matching labor operation found. ALEX can call the shop for an estimate.'
       };
     }
 
-    // Use the first match
-    const operation = searchResults.operations[0];
-    const laborHours = this.laborDatabase.calculateLaborTime(
-      operation.id,
-      this.shopSettings.laborMultiplier || 1.0
-    );
+    const candidates = match.candidates.map(candidate => ({ ...candidate, ...withHours(candidate.operationId) }));
+    const best = candidates[0];
 
     return {
       success: true,
-      operation: operation,
-      laborHours: laborHours,
-      laborRate: this.shopSettings.laborRate || 100,
-      estimatedCost: laborHours * (this.shopSettings.laborRate || 100),
-      alternatives: searchResults.operations.slice(1, 3), // Top 2 alternatives
+      operation: this.laborDatabase.getLaborOperation(best.operationId),
+      laborHours: best.laborHours,
+      laborRate,
+      estimatedCost: best.estimatedCost,
+      confidence: best.confidence,
+      alternatives: candidates.slice(1, 3), // Top 2 alternatives
+      candidates,
+      symptoms: match.symptoms,
+      diagnosticFirst: match.diagnosticFirst,
+      diagnostic: match.diagnostic && {
+        ...match.diagnostic,
+        ...(match.diagnostic.operationId ? withHours(match.diagnostic.operationId) : {})
+      },
       source: 'database'
     };
   }
@@ -9,14 +9,19 @@
  * CRITICAL: NO MOCK DATA - Real data only!
  */
 
+const { LookupCache } = require('./lookup-cache.js');
+
 class LicensePlateDecoder {
-    constructor() {
+    /**
+     * @param {object} options - { cache } - LookupCache (defaults to the shared one)
+     */
+    constructor(options = {}) {
         // API endpoints
         this.usApiUrl = 'https://plaques-api.p.rapidapi.com/v1/plates';
         this.apiKey = process.env.RAPIDAPI_KEY || '';
         
-        // Cache for decoded plates
-        this.plateCache = new Map();
+        // Decoded plates are cached for the 'plate' TTL (see lookup-cache.js)
+        this.cache = options.cache || LookupCache.shared();
     }
 
     /**
@@ -26,13 +31,10 @@ class LicensePlateDecoder {
      * @returns {Promise<Object>} Vehicle information
      */
     async decodeUSPlate(plateNumber, state = 'CA') {
-        const cacheKey = `us_${plateNumber}_${state}`;
-        
-        // Check cache first
-        if (this.plateCache.has(cacheKey)) {
-            return this.plateCache.get(cacheKey);
-        }
+        return this.cache.wrap('plate', ['us', plateNumber, state], () => this.fetchUSPlate(plateNumber, state));
+    }
 
+    async fetchUSPlate(plateNumber, state) {
         // Require API key - NO MOCK DATA
         if (!this.apiKey) {
             throw new Error('RapidAPI key required. Please add RAPIDAPI_KEY to environment variables.');
@@ -75,9 +77,6 @@ class LicensePlateDecoder {
                 source: 'plaque-api'
             };
 
-            // Cache the result
-            this.plateCache.set(cacheKey, vehicleInfo);
-
             return vehicleInfo;
 
         } catch (error) {
@@ -93,13 +92,6 @@ class LicensePlateDecoder {
      * @returns {Promise<Object>} Vehicle information
      */
     async decodeUKPlate(plateNumber) {
-        const cacheKey = `uk_${plateNumber}`;
-        
-        // Check cache first
-        if (this.plateCache.has(cacheKey)) {
-            return this.plateCache.get(cacheKey);
-        }
-
         // UK DVLA API - TODO: Implement
         throw new Error('UK license plate decoding not yet implemented. Please use US plates or VIN decoding.');
 
@@ -172,21 +164,24 @@ class LicensePlateDecoder {
     }
 
     /**
-     * Clear cache
+     * Clear cached plates
+     * @returns {Promise<number>} Entries removed
      */
-    clearCache() {
-        this.plateCache.clear();
+    async clearCache() {
+        const removed = await this.cache.purge({ source: 'plate' });
         console.log('License plate cache cleared');
+        return removed;
     }
 
     /**
      * Get cache statistics
-     * @returns {Object} Cache statistics
+     * @returns {Promise<Object>} Cache statistics
      */
-    getCacheStats() {
+    async getCacheStats() {
+        const entries = await this.cache.list({ source: 'plate', limit: this.cache.maxEntries });
         return {
-            totalEntries: this.plateCache.size,
-            entries: Array.from(this.plateCache.keys())
+            totalEntries: entries.length,
+            entries: entries.map(entry => entry.key)
         };
     }
 }
@@ -0,0 +1,62 @@
+/**
+ * Lookup Cache Admin Endpoints
+ * Inspect and purge the shared parts / labor / VIN / plate lookup cache
+ */
+
+function registerLookupCacheEndpoints(app, lookupCache) {
+    /**
+     * GET /api/admin/cache
+     * Entry counts, sizes, TTLs and hit rates per source
+     */
+    app.get('/api/admin/cache', async (req, res) => {
+        try {
+            await lookupCache.load();
+            res.json({ success: true, cache: lookupCache.getStats() });
+        } catch (error) {
+            console.error('Error reading lookup cache stats:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * GET /api/admin/cache/entries
+     * Cached keys, most recently used first
+     * Query: ?source=pricing|parts|labor|fitment|vin|plate, ?search= (key substring), ?limit=
+     */
+    app.get('/api/admin/cache/entries', async (req, res) => {
+        try {
+            const { source, search, limit } = req.query;
+            const entries = await lookupCache.list({ source, search, limit });
+            res.json({ success: true, entries, total: entries.length });
+        } catch (error) {
+            console.error('Error listing lookup cache entries:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * DELETE /api/admin/cache
+     * Purge entries by ?source=, ?key= (exact), ?search= (key substring) and/or
+     * ?expired=true (past TTL only). No filter purges everything.
+     */
+    app.delete('/api/admin/cache', async (req, res) => {
+        try {
+            const { source, key, search, expired } = req.query;
+
+            if (source && !lookupCache.sources[source]) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Unknown source ${source}. Expected one of: ${Object.keys(lookupCache.sources).join(', ')}`
+                });
+            }
+
+            const removed = await lookupCache.purge({ source, key, search, expiredOnly: expired === 'true' });
+            res.json({ success: true, removed });
+        } catch (error) {
+            console.error('Error purging lookup cache:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+}
+
+module.exports = registerLookupCacheEndpoints;
@@ -0,0 +1,469 @@
+/**
+ * Lookup Cache
+ * Shared cache for remote catalog lookups (Nexpart API and scrapers, VIN and
+ * plate decoders), keyed by source + vehicle + query.
+ *
+ * Each source has its own TTL: prices go stale in minutes, fitment and VIN
+ * decodes hardly ever. After the TTL an entry is still served for its stale
+ * window while a background refresh runs (stale-while-revalidate); after that
+ * it's a miss. Entries are mirrored to their own JSON file (LOOKUP_CACHE_PATH),
+ * never the shop data store, so the cache survives restarts, and the whole
+ * cache is capped by entry count (least recently used goes first).
+ *
+ * The cache is shared by every shop: results priced for a supplier account
+ * must carry that account in their key (LookupCache.account).
+ */
+
+const crypto = require('crypto');
+const { LocalStorageAdapter } = require('./storage-adapter');
+
+const COLLECTION = 'lookupCache';
+const DEFAULT_CACHE_PATH = './data/lookup-cache.json';
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60;
+
+// Minutes fresh, then minutes served stale while refreshing
+const DEFAULT_SOURCES = {
+  pricing: { ttlMinutes: 15, staleMinutes: 60 },
+  parts: { ttlMinutes: 60, staleMinutes: DAY },
+  labor: { ttlMinutes: 30 * DAY, staleMinutes: 90 * DAY },
+  fitment: { ttlMinutes: 7 * DAY, staleMinutes: 30 * DAY },
+  vin: { ttlMinutes: 90 * DAY, staleMinutes: 365 * DAY },
+  plate: { ttlMinutes: 30 * DAY, staleMinutes: 90 * DAY }
+};
+
+const DEFAULT_MAX_ENTRIES = 5000;
+const DEFAULT_MAX_ENTRY_BYTES = 256 * 1024;
+
+let sharedCache = null;
+
+/**
+ * Stable text for one key part: strings trimmed/lowercased, objects by sorted
+ * keys with empty values dropped
+ */
+function normalizeKeyPart(part) {
+  if (part === null || part === undefined) {
+    return '';
+  }
+
+  if (typeof part === 'object') {
+    return Object.keys(part)
+      .sort()
+      .filter(name => part[name] !== null && part[name] !== undefined && part[name] !== '')
+      .map(name => `${name}=${normalizeKeyPart(part[name])}`)
+      .join(',');
+  }
+
+  return String(part).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Loaders report failures as { success: false } rather than throwing - don't keep those
+function defaultShouldCache(value) {
+  return value !== null && value !== undefined && value.success !== false;
+}
+
+class LookupCache {
+  /**
+   * @param {object} options - { sources: { name: { ttlMinutes, staleMinutes } },
+   *   maxEntries, maxEntryBytes, persist, filePath, storage }
+   */
+  constructor(options = {}) {
+    this.sources = { ...DEFAULT_SOURCES };
+    Object.entries(options.sources || {}).forEach(([name, settings]) => {
+      this.sources[name] = { ...this.sources[name], ...settings };
+    });
+
+    // LOOKUP_CACHE_PRICING_TTL_MINUTES=5 etc.
+    Object.keys(this.sources).forEach(name => {
+      const ttl = Number(process.env[`LOOKUP_CACHE_${name.toUpperCase()}_TTL_MINUTES`]);
+      if (ttl > 0) {
+        this.sources[name] = { ...this.sources[name], ttlMinutes: ttl };
+      }
+    });
+
+    this.maxEntries = Number(options.maxEntries || process.env.LOOKUP_CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES;
+    this.maxEntryBytes = Number(options.maxEntryBytes) || DEFAULT_MAX_ENTRY_BYTES;
+    this.persist = options.persist ?? process.env.LOOKUP_CACHE_PERSIST !== 'false';
+    this.filePath = options.filePath || process.env.LOOKUP_CACHE_PATH || DEFAULT_CACHE_PATH;
+    this.storage = options.storage || null;
+
+    // Map order is recency order: oldest first
+    this.entries = new Map();
+    this.inflight = new Map();
+    this.stats = {};
+    this.loadPromise = null;
+  }
+
+  /**
+   * The cache every lookup service shares unless given its own
+   * @returns {LookupCache}
+   */
+  static shared() {
+    if (!sharedCache) {
+      sharedCache = new LookupCache();
+    }
+    return sharedCache;
+  }
+
+  /**
+   * Cache key for a source and its key parts, e.g.
+   * key('parts', ['nexpart', { year: 2018, make: 'Honda', model: 'Accord' }, 'brake pads'])
+   */
+  static key(source, parts) {
+    return [source, ...[].concat(parts).map(normalizeKeyPart)].join('|');
+  }
+
+  /**
+   * Key part for a supplier account, so account-specific results (pricing,
+   * availability) are never served to another shop. Hashed because keys are
+   * listed on /api/admin/cache/entries.
+   * @param {string} account - Supplier account number or login
+   * @returns {string}
+   */
+  static account(account) {
+    return account
+      ? `account:${crypto.createHash('sha1').update(String(account)).digest('hex').slice(0, 12)}`
+      : 'account:none';
+  }
+
+  collection() {
+    if (!this.storage) {
+      this.storage = new LocalStorageAdapter({ filePath: this.filePath });
+    }
+    return this.storage.collection(COLLECTION);
+  }
+
+  static documentId(key) {
+    return crypto.createHash('sha1').update(key).digest('hex');
+  }
+
+  settingsFor(source) {
+    const settings = this.sources[source];
+    if (!settings) {
+      throw new Error(`Unknown lookup cache source: ${source}`);
+    }
+    return settings;
+  }
+
+  count(source, stat) {
+    const stats = this.stats[source] || (this.stats[source] = {
+      hits: 0, staleHits: 0, misses: 0, revalidations: 0, errors: 0, skipped: 0
+    });
+    stats[stat]++;
+  }
+
+  /**
+   * Fill the memory cache from storage once. Entries past their stale
+   * window are deleted; only the newest maxEntries are kept.
+   */
+  load() {
+    if (!this.persist) {
+      return Promise.resolve();
+    }
+
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        try {
+          const snapshot = await this.collection().get();
+          const now = Date.now();
+          const stored = [];
+
+          snapshot.forEach(doc => {
+            const data = doc.data();
+            const staleUntil = Date.parse(data.staleUntil);
+
+            if (!(staleUntil > now) || !data.key) {
+              doc.ref.delete().catch(() => {});
+              return;
+            }
+
+            try {
+              stored.push({
+                key: data.key,
+                source: data.source,
+                value: JSON.parse(data.value),
+                bytes: data.bytes || data.value.length,
+                storedAt: Date.parse(data.storedAt),
+                expiresAt: Date.parse(data.expiresAt),
+                staleUntil,
+                hits: 0
+              });
+            } catch (error) {
+              doc.ref.delete().catch(() => {});
+            }
+          });
+
+          stored.sort((a, b) => a.storedAt - b.storedAt)
+            .slice(-this.maxEntries)
+            .forEach(entry => {
+              // Anything set before the load finished is newer
+              if (!this.entries.has(entry.key)) this.entries.set(entry.key, entry);
+            });
+
+          console.log(`🗃️ Lookup cache loaded ${stored.length} stored entries`);
+        } catch (error) {
+          console.error('Error loading lookup cache:', error);
+        }
+      })();
+    }
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Cached entry for a key
+   * @param {string} source - Source name (pricing, parts, labor, fitment, vin, plate)
+   * @param {Array} parts - Key parts
+   * @returns {Promise<object|null>} { value, fresh, storedAt, expiresAt } or null
+   */
+  async get(source, parts) {
+    await this.load();
+    const key = LookupCache.key(source, parts);
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      return null;
+    }
+
+    const now = Date.now();
+    if (entry.staleUntil <= now) {
+      this.remove(key);
+      return null;
+    }
+
+    // Move to the recent end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    entry.hits++;
+
+    return {
+      value: entry.value,
+      fresh: entry.expiresAt > now,
+      storedAt: new Date(entry.storedAt).toISOString(),
+      expiresAt: new Date(entry.expiresAt).toISOString()
+    };
+  }
+
+  /**
+   * Store a value
+   * @param {string} source - Source name
+   * @param {Array} parts - Key parts
+   * @param {*} value - JSON-serializable result
+   * @param {object} options - { ttlMinutes, staleMinutes }
+   * @returns {Promise<boolean>} false when the value is too large to cache
+   */
+  async set(source, parts, value, options = {}) {
+    await this.load();
+    const settings = { ...this.settingsFor(source), ...options };
+    const key = LookupCache.key(source, parts);
+    const serialized = JSON.stringify(value);
+    const bytes = Buffer.byteLength(serialized);
+
+    if (bytes > this.maxEntryBytes) {
+      this.count(source, 'skipped');
+      console.warn(`⚠️ Not caching ${key}: ${bytes} bytes is over the ${this.maxEntryBytes} byte limit`);
+      return false;
+    }
+
+    const now = Date.now();
+    const expiresAt = now + settings.ttlMinutes * MINUTE;
+    const entry = {
+      key,
+      source,
+      value: JSON.parse(serialized),
+      bytes,
+      storedAt: now,
+      expiresAt,
+      staleUntil: expiresAt + (settings.staleMinutes || 0) * MINUTE,
+      hits: 0
+    };
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.evict();
+
+    if (this.persist) {
+      this.collection().doc(LookupCache.documentId(key)).set({
+        key,
+        source,
+        value: serialized,
+        bytes,
+        storedAt: new Date(entry.storedAt).toISOString(),
+        expiresAt: new Date(entry.expiresAt).toISOString(),
+        staleUntil: new Date(entry.staleUntil).toISOString()
+      }).catch(error => console.error('Error saving lookup cache entry:', error));
+    }
+
+    return true;
+  }
+
+  /**
+   * Return the cached result or run the lookup. A fresh entry is returned
+   * as is; a stale one is returned while the lookup refreshes it in the
+   * background; concurrent misses for one key share a single lookup.
+   * @param {string} source - Source name
+   * @param {Array} parts - Key parts (include the service name so result shapes never mix)
+   * @param {Function} loader - async () => result
+   * @param {object} options - { refresh, ttlMinutes, staleMinutes, shouldCache }
+   * @returns {Promise<*>} Result
+   */
+  async wrap(source, parts, loader, options = {}) {
+    const key = LookupCache.key(source, parts);
+    const cached = options.refresh ? null : await this.get(source, parts);
+
+    if (cached?.fresh) {
+      this.count(source, 'hits');
+      return cached.value;
+    }
+
+    if (cached) {
+      this.count(source, 'staleHits');
+      this.revalidate(source, parts, key, loader, options)
+        .catch(error => console.error(`Error refreshing ${key}:`, error.message));
+      return cached.value;
+    }
+
+    this.count(source, 'misses');
+    return this.revalidate(source, parts, key, loader, options);
+  }
+
+  revalidate(source, parts, key, loader, options) {
+    if (this.inflight.has(key)) {
+      return this.inflight.get(key);
+    }
+
+    const shouldCache = options.shouldCache || defaultShouldCache;
+    const { ttlMinutes, staleMinutes } = options;
+    const settings = {};
+    if (ttlMinutes) settings.ttlMinutes = ttlMinutes;
+    if (staleMinutes) settings.staleMinutes = staleMinutes;
+
+    const lookup = (async () => {
+      try {
+        const value = await loader();
+        if (shouldCache(value)) {
+          await this.set(source, parts, value, settings);
+        }
+        return value;
+      } catch (error) {
+        this.count(source, 'errors');
+        throw error;
+      } finally {
+        this.inflight.delete(key);
+      }
+    })();
+
+    this.inflight.set(key, lookup);
+    if (this.entries.has(key)) {
+      this.count(source, 'revalidations');
+    }
+    return lookup;
+  }
+
+  evict() {
+    while (this.entries.size > this.maxEntries) {
+      const [oldest] = this.entries.keys();
+      this.remove(oldest);
+    }
+  }
+
+  remove(key) {
+    this.entries.delete(key);
+
+    if (this.persist) {
+      return this.collection().doc(LookupCache.documentId(key)).delete()
+        .catch(error => console.error('Error deleting lookup cache entry:', error));
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * Entries matching a filter, most recently used first (values left out)
+   * @param {object} filter - { source, search, limit }
+   * @returns {Promise<Array>}
+   */
+  async list(filter = {}) {
+    await this.load();
+    const now = Date.now();
+    const search = filter.search ? String(filter.search).toLowerCase() : null;
+
+    return Array.from(this.entries.values())
+      .reverse()
+      .filter(entry => !filter.source || entry.source === filter.source)
+      .filter(entry => !search || entry.key.includes(search))
+      .slice(0, Number(filter.limit) || 100)
+      .map(entry => ({
+        key: entry.key,
+        source: entry.source,
+        bytes: entry.bytes,
+        hits: entry.hits,
+        status: entry.expiresAt > now ? 'fresh' : entry.staleUntil > now ? 'stale' : 'expired',
+        storedAt: new Date(entry.storedAt).toISOString(),
+        expiresAt: new Date(entry.expiresAt).toISOString(),
+        staleUntil: new Date(entry.staleUntil).toISOString()
+      }));
+  }
+
+  /**
+   * Remove entries. With no filter everything goes.
+   * @param {object} filter - { source, key (exact), search (substring), expiredOnly }
+   * @returns {Promise<number>} Entries removed
+   */
+  async purge(filter = {}) {
+    await this.load();
+    const now = Date.now();
+    const search = filter.search ? String(filter.search).toLowerCase() : null;
+
+    const keys = Array.from(this.entries.values())
+      .filter(entry => !filter.source || entry.source === filter.source)
+      .filter(entry => !filter.key || entry.key === filter.key)
+      .filter(entry => !search || entry.key.includes(search))
+      .filter(entry => !filter.expiredOnly || entry.expiresAt <= now)
+      .map(entry => entry.key);
+
+    await Promise.all(keys.map(key => this.remove(key)));
+    console.log(`🧹 Lookup cache purged ${keys.length} entries`);
+    return keys.length;
+  }
+
+  /**
+   * Hit/miss counters and size per source
+   * @returns {object}
+   */
+  getStats() {
+    const now = Date.now();
+    const sources = {};
+
+    Object.entries(this.sources).forEach(([name, settings]) => {
+      const counters = this.stats[name] || { hits: 0, staleHits: 0, misses: 0, revalidations: 0, errors: 0, skipped: 0 };
+      const lookups = counters.hits + counters.staleHits + counters.misses;
+      sources[name] = {
+        ...settings,
+        ...counters,
+        hitRate: lookups > 0 ? Math.round(((counters.hits + counters.staleHits) / lookups) * 100) / 100 : null,
+        entries: 0,
+        stale: 0,
+        bytes: 0
+      };
+    });
+
+    this.entries.forEach(entry => {
+      const source = sources[entry.source];
+      if (!source) return;
+      source.entries++;
+      source.bytes += entry.bytes;
+      if (entry.expiresAt <= now) source.stale++;
+    });
+
+    return {
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      maxEntryBytes: this.maxEntryBytes,
+      bytes: Object.values(sources).reduce((sum, source) => sum + source.bytes, 0),
+      persistent: this.persist,
+      sources
+    };
+  }
+}
+
+module.exports = { LookupCache, DEFAULT_SOURCES };
@@ -0,0 +1,194 @@
+/**
+ * Mock VAPI Server
+ * Local stand-in for api.vapi.ai so the outbound call flow can be verified offline
+ *
+ * Accepts POST /call like VAPI does, then plays the call lifecycle back to the
+ * webhook URL (queued → ringing → in-progress → ended) and finishes with an
+ * end-of-call-report carrying a canned transcript and recording URL.
+ *
+ * Usage:
+ *   MOCK_VAPI_PORT=4010 node mock-vapi-server.js
+ *   VAPI_BASE_URL=http://localhost:4010 VAPI_WEBHOOK_URL=http://localhost:3000/api/vapi/webhook npm start
+ */
+
+const express = require('express');
+const bodyParser = require('body-parser');
+const axios = require('axios');
+const crypto = require('crypto');
+
+// Canned transcripts by call type (metadata.type)
+const DEFAULT_TRANSCRIPTS = {
+  parts_quote: [
+    'AI: Hi, this is Alex calling from VHICL Pro Auto Service. I\'m looking for a price quote.',
+    'User: Sure, what do you need?',
+    'AI: I need pricing and availability for front brake pads for a 2018 Honda Accord.',
+    'User: We have the Wagner ceramic pads in stock, those are $45.99. Available for pickup today.',
+    'AI: Thank you very much for your help. Have a great day!'
+  ].join('\n'),
+  parts_order: [
+    'AI: Hi, this is Alex from VHICL Pro Auto Service. I\'d like to place a parts order.',
+    'User: Go ahead.',
+    'AI: One set of front brake pads for a 2018 Honda Accord, please.',
+    'User: Got it, your confirmation number is 48213. Total is $45.99, ready in 2 hours.',
+    'AI: Thank you very much. Please have those ready.'
+  ].join('\n'),
+  default: [
+    'AI: Hi, this is Alex calling from VHICL Pro Auto Service.',
+    'User: Hello, how can I help?',
+    'AI: Thanks, that is everything I needed. Have a great day!'
+  ].join('\n')
+};
+
+/**
+ * Create a mock VAPI server
+ * @param {object} options - { webhookUrl, transcripts, stepDelayMs, endedReason }
+ * @returns {{app: object, calls: Map}}
+ */
+function createMockVAPIServer(options = {}) {
+  const app = express();
+  const calls = new Map();
+  const transcripts = { ...DEFAULT_TRANSCRIPTS, ...(options.transcripts || {}) };
+  const stepDelayMs = options.stepDelayMs ?? 200;
+
+  app.use(bodyParser.json());
+
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  async function sendWebhook(call, message) {
+    if (!call.server?.url) {
+      return;
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (call.server.secret) {
+      headers['x-vapi-secret'] = call.server.secret;
+    }
+
+    try {
+      await axios.post(call.server.url, {
+        message: {
+          ...message,
+          timestamp: Date.now(),
+          call: { id: call.id, type: call.type, customer: call.customer, metadata: call.metadata }
+        }
+      }, { headers, timeout: 5000 });
+    } catch (error) {
+      console.error(`❌ Mock VAPI webhook failed for ${call.id}:`, error.message);
+    }
+  }
+
+  async function endCall(call, endedReason) {
+    if (call.status === 'ended') {
+      return;
+    }
+
+    const transcript = transcripts[call.metadata?.type] || transcripts.default;
+
+    call.status = 'ended';
+    call.endedReason = endedReason;
+    call.endedAt = new Date().toISOString();
+    call.transcript = transcript;
+    call.recordingUrl = `https://storage.mock-vapi.local/recordings/${call.id}.wav`;
+
+    await sendWebhook(call, { type: 'status-update', status: 'ended', endedReason });
+    await sendWebhook(call, {
+      type: 'end-of-call-report',
+      endedReason,
+      artifact: {
+        transcript,
+        recordingUrl: call.recordingUrl,
+        messages: transcript.split('\n').map(line => {
+          const [speaker, ...text] = line.split(': ');
+          return { role: speaker === 'AI' ? 'assistant' : 'user', message: text.join(': ') };
+        })
+      },
+      analysis: { summary: `Mock ${call.metadata?.type || 'general'} call completed` }
+    });
+  }
+
+  async function playLifecycle(call) {
+    for (const status of ['ringing', 'in-progress']) {
+      await wait(stepDelayMs);
+      if (call.status === 'ended') return;
+      call.status = status;
+      await sendWebhook(call, { type: 'status-update', status });
+    }
+
+    await wait(stepDelayMs);
+    await endCall(call, options.endedReason || 'assistant-ended-call');
+  }
+
+  app.post('/call', (req, res) => {
+    if (!req.headers.authorization?.startsWith('Bearer ')) {
+      return res.status(401).json({ message: 'Missing API key' });
+    }
+
+    const { phoneNumberId, customer, assistant, assistantId, assistantOverrides, metadata } = req.body;
+
+    if (!phoneNumberId || !customer?.number) {
+      return res.status(400).json({ message: 'phoneNumberId and customer.number are required' });
+    }
+
+    if (!assistant && !assistantId) {
+      return res.status(400).json({ message: 'assistant or assistantId is required' });
+    }
+
+    const id = crypto.randomUUID();
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+
+    const call = {
+      id,
+      type: 'outboundPhoneCall',
+      status: 'queued',
+      phoneNumberId,
+      customer,
+      metadata: metadata || {},
+      server: assistant?.server || assistantOverrides?.server || (options.webhookUrl ? { url: options.webhookUrl } : null),
+      createdAt: new Date().toISOString(),
+      monitor: { controlUrl: `${baseUrl}/control/${id}` }
+    };
+
+    calls.set(id, call);
+    console.log(`📞 Mock VAPI call ${id} to ${customer.number}`);
+
+    // Respond first, then play the lifecycle like the real service does
+    setImmediate(() => playLifecycle(call));
+
+    const { server, ...publicCall } = call;
+    res.status(201).json(publicCall);
+  });
+
+  app.get('/call/:id', (req, res) => {
+    const call = calls.get(req.params.id);
+    if (!call) {
+      return res.status(404).json({ message: 'Call not found' });
+    }
+    const { server, ...publicCall } = call;
+    res.json(publicCall);
+  });
+
+  app.post('/control/:id', async (req, res) => {
+    const call = calls.get(req.params.id);
+    if (!call) {
+      return res.status(404).json({ message: 'Call not found' });
+    }
+
+    if (req.body.type === 'end-call') {
+      await endCall(call, 'manually-canceled');
+    }
+
+    res.json({ success: true });
+  });
+
+  return { app, calls };
+}
+
+if (require.main === module) {
+  const port = process.env.MOCK_VAPI_PORT || 4010;
+  const { app } = createMockVAPIServer({ webhookUrl: process.env.VAPI_WEBHOOK_URL });
+  app.listen(port, () => {
+    console.log(`✅ Mock VAPI server listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = { createMockVAPIServer };
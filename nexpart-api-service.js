@@ -1,5 +1,6 @@
 const soap = require('soap');
 const axios = require('axios');
+const { LookupCache } = require('./lookup-cache.js');
 
 /**
  * Nexpart API Service - Uses Official SOAP APIs (No Puppeteer)
@@ -12,7 +13,11 @@ const axios = require('axios');
  */
 
 class NexpartApiService {
-  constructor(credentials = {}) {
+  /**
+   * @param {object} credentials - { account, password, customerId, accountNumber }
+   * @param {object} options - { cache } - LookupCache (defaults to the shared one)
+   */
+  constructor(credentials = {}, options = {}) {
     this.orderlinkUrl = 'https://api.nexpart.com/orderlink.asmx?wsdl';
     this.catlinkUrl = 'https://api.nexpart.com/catlink.asmx?wsdl';
     this.acesUrl = 'https://api.nexpart.com/aces.asmx?wsdl';
@@ -26,6 +31,17 @@ class NexpartApiService {
     
     // Cache SOAP clients to avoid reconnecting
     this.clients = {};
+
+    // Lookup results are cached per source TTL (see lookup-cache.js)
+    this.cache = options.cache || LookupCache.shared();
+  }
+
+  /**
+   * Cache key part for this Nexpart account (prices and availability are per account)
+   */
+  accountKey() {
+    const { accountNumber, customerId, account } = this.credentials;
+    return LookupCache.account(accountNumber || customerId || account);
   }
 
   /**
@@ -52,13 +68,20 @@ class NexpartApiService {
     return this.clients[service];
   }
 
+  /**
+   * Get Parts Pricing and Availability, cached for the 'pricing' TTL
+   */
+  async getPartsPricing(partNumber, options = {}) {
+    return this.cache.wrap('pricing', ['nexpart-api', this.accountKey(), partNumber, options], () => this.fetchPartsPricing(partNumber, options));
+  }
+
   /**
    * Get Parts Pricing and Availability (ORDERLINK)
    * @param {string} partNumber - Part number to search
    * @param {object} options - Additional options
    * @returns {object} Pricing and availability data
    */
-  async getPartsPricing(partNumber, options = {}) {
+  async fetchPartsPricing(partNumber, options = {}) {
     try {
       const client = await this.getClient('orderlink');
       
@@ -96,13 +119,20 @@ class NexpartApiService {
     }
   }
 
+  /**
+   * Search Parts by Description, cached for the 'parts' TTL
+   */
+  async searchParts(searchTerm, options = {}) {
+    return this.cache.wrap('parts', ['nexpart-api', this.accountKey(), options, searchTerm], () => this.fetchParts(searchTerm, options));
+  }
+
   /**
    * Search Parts by Description (ORDERLINK)
    * @param {string} searchTerm - Search term (e.g., "brake pads")
    * @param {object} options - Search options (make, model, year)
    * @returns {array} List of matching parts
    */
-  async searchParts(searchTerm, options = {}) {
+  async fetchParts(searchTerm, options = {}) {
     try {
       const client = await this.getClient('orderlink');
       
@@ -141,12 +171,19 @@ class NexpartApiService {
     }
   }
 
+  /**
+   * Decode a VIN, cached for the 'vin' TTL
+   */
+  async decodeVIN(vin) {
+    return this.cache.wrap('vin', ['nexpart-api', vin], () => this.fetchVIN(vin));
+  }
+
   /**
    * Get Vehicle Information from VIN (ACES)
    * @param {string} vin - 17-character VIN
    * @returns {object} Vehicle information
    */
-  async decodeVIN(vin) {
+  async fetchVIN(vin) {
     try {
       const client = await this.getClient('aces');
       
@@ -182,6 +219,13 @@ class NexpartApiService {
     }
   }
 
+  /**
+   * Get Labor Times for Vehicle, cached for the 'labor' TTL
+   */
+  async getLaborTime(year, make, model, operation) {
+    return this.cache.wrap('labor', ['nexpart-api', { year, make, model }, operation], () => this.fetchLaborTime(year, make, model, operation));
+  }
+
   /**
    * Get Labor Times for Vehicle (CATLINK/ACES)
    * @param {string} year - Vehicle year
@@ -190,7 +234,7 @@ class NexpartApiService {
    * @param {string} operation - Operation name (e.g., "Brake Pad Replacement")
    * @returns {object} Labor time information
    */
-  async getLaborTime(year, make, model, operation) {
+  async fetchLaborTime(year, make, model, operation) {
     try {
       const client = await this.getClient('aces');
       
@@ -224,6 +268,13 @@ class NexpartApiService {
     }
   }
 
+  /**
+   * Get All Labor Operations for Vehicle, cached for the 'labor' TTL
+   */
+  async getLaborOperations(year, make, model) {
+    return this.cache.wrap('labor', ['nexpart-api', { year, make, model }, 'all operations'], () => this.fetchLaborOperations(year, make, model));
+  }
+
   /**
    * Get All Labor Operations for Vehicle (CATLINK/ACES)
    * @param {string} year - Vehicle year
@@ -231,7 +282,7 @@ class NexpartApiService {
    * @param {string} model - Vehicle model
    * @returns {array} List of labor operations
    */
-  async getLaborOperations(year, make, model) {
+  async fetchLaborOperations(year, make, model) {
     try {
       const client = await this.getClient('aces');
       
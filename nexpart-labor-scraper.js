@@ -4,46 +4,43 @@
  * FREE labor guide for all makes and models
  */
 
-const puppeteer = require('puppeteer');
+const NexpartSessionPool = require('./nexpart-session-pool.js');
+const SelectorProfile = require('./selector-profile.js');
+const { LookupCache } = require('./lookup-cache.js');
 
 class NexpartLaborScraper {
-    constructor(username, password) {
+    constructor(username, password, options = {}) {
         this.username = username;
         this.password = password;
         this.acesUrl = 'https://www.nexpart.com/acesCat.php';
+        this.pool = options.pool || NexpartSessionPool.forAccount(username, password);
+        this.profile = options.profile || SelectorProfile.shared('nexpart');
+        this.cache = options.cache || LookupCache.shared();
         console.log('🔧 Nexpart Labor Scraper initialized');
     }
 
     /**
-     * Search for labor operation time
+     * Labor time for an operation, cached for the 'labor' TTL
      */
     async getLaborTime(year, make, model, operation) {
+        return this.cache.wrap('labor', ['nexpart', { year, make, model }, operation], () => this.scrapeLaborTime(year, make, model, operation));
+    }
+
+    /**
+     * Search for labor operation time
+     */
+    async scrapeLaborTime(year, make, model, operation) {
         console.log(`🔍 Searching Nexpart for labor: ${operation} - ${year} ${make} ${model}`);
         
-        let browser;
         try {
-            browser = await puppeteer.launch({
-                headless: true,
-                args: ['--no-sandbox', '--disable-setuid-sandbox']
-            });
-
-            const page = await browser.newPage();
-            
-            // Step 1: Navigate to ACES catalog
-            console.log('🌐 Navigating to Nexpart ACES catalog...');
-            await page.goto(this.acesUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+            // The pool hands over a logged-in page on the ACES catalog
+            const laborData = await this.pool.run(async (page) => {
+                console.log('🚗 Selecting vehicle...');
+                await this.selectVehicle(page, year, make, model);
 
-            // Step 2: Login if needed
-            console.log('🔐 Logging in...');
-            await this.login(page);
-
-            // Step 3: Select vehicle
-            console.log('🚗 Selecting vehicle...');
-            await this.selectVehicle(page, year, make, model);
-
-            // Step 4: Search for operation
-            console.log('🔎 Searching for operation...');
-            const laborData = await this.searchOperation(page, operation);
+                console.log('🔎 Searching for operation...');
+                return this.searchOperation(page, operation);
+            }, { startUrl: this.acesUrl, label: 'labor lookup' });
 
             console.log(`✅ Found labor time: ${laborData.hours} hours`);
             
@@ -61,42 +58,6 @@ class NexpartLaborScraper {
                 error: error.message,
                 labor: null
             };
-        } finally {
-            if (browser) {
-                await browser.close();
-            }
-        }
-    }
-
-    /**
-     * Login to Nexpart
-     */
-    async login(page) {
-        try {
-            // Check if already logged in
-            const loggedIn = await page.$('.logout-button, .user-info');
-            if (loggedIn) {
-                console.log('✓ Already logged in');
-                return;
-            }
-
-            // Wait for login form
-            await page.waitForSelector('input[name="username"], input[name="user"], #username', { timeout: 10000 });
-
-            // Enter username
-            await page.type('input[name="username"], input[name="user"], #username', this.username);
-            
-            // Enter password
-            await page.type('input[name="password"], input[name="pass"], #password', this.password);
-            
-            // Click login
-            await page.click('button[type="submit"], input[type="submit"]');
-            await page.waitForNavigation({ waitUntil: 'networkidle2' });
-            
-            console.log('✓ Logged in successfully');
-        } catch (error) {
-            console.error('Login error:', error.message);
-            throw error;
         }
     }
 
@@ -104,24 +65,26 @@ class NexpartLaborScraper {
      * Select vehicle (year, make, model)
      */
     async selectVehicle(page, year, make, model) {
+        const selector = (key) => this.profile.selectors(key).join(', ');
+
         try {
             // Select year
-            await page.select('#year, select[name="year"]', year.toString());
+            await page.select(selector('aces.year'), year.toString());
             
             // Wait for makes to load
             await page.waitForTimeout(1000);
             
             // Select make
-            await page.select('#make, select[name="make"]', make);
+            await page.select(selector('aces.make'), make);
             
             // Wait for models to load
             await page.waitForTimeout(1000);
             
             // Select model
-            await page.select('#model, select[name="model"]', model);
+            await page.select(selector('aces.model'), model);
             
             // Submit vehicle selection
-            await page.click('button[type="submit"], .submit-button');
+            await page.click(selector('vehicle.submit'));
             await page.waitForNavigation({ waitUntil: 'networkidle2' });
             
             console.log(`✓ Selected vehicle: ${year} ${make} ${model}`);
@@ -137,62 +100,45 @@ class NexpartLaborScraper {
     async searchOperation(page, operation) {
         try {
             // Search in labor section
-            await page.waitForSelector('.labor-section, #labor-guide', { timeout: 10000 });
+            await page.waitForSelector(this.profile.selectors('labor.section').join(', '), { timeout: 10000 });
+            await this.profile.find(page, 'labor.section');
             
             // Search for operation text
             const operationText = operation.toLowerCase();
-            
-            // Look for labor operations
-            const operations = await page.evaluate((op) => {
-                const laborItems = document.querySelectorAll('.labor-item, .operation-item, tr');
-                for (const item of laborItems) {
-                    const text = item.textContent.toLowerCase();
-                    if (text.includes(op)) {
-                        // Try to extract hours from the item
-                        const hoursMatch = text.match(/(\d+\.?\d*)\s*hours?|(\d+\.?\d*)\s*hrs?/i);
-                        if (hoursMatch) {
-                            const hours = parseFloat(hoursMatch[1] || hoursMatch[2]);
-                            return {
-                                hours: hours,
-                                operation: item.textContent.trim(),
-                                source: 'Nexpart ACES'
-                            };
-                        }
-                    }
-                }
-                return null;
-            }, operationText);
+            const rows = await this.extractLaborRows(page);
 
-            if (operations) {
-                return operations;
+            // Look for labor operations
+            const exact = rows.find(row => row.text.toLowerCase().includes(operationText) && row.hours !== null);
+            if (exact) {
+                return {
+                    hours: exact.hours,
+                    operation: exact.text,
+                    source: 'Nexpart ACES'
+                };
             }
 
             // If no exact match, try to find closest match
-            return await page.evaluate((op) => {
-                const laborItems = document.querySelectorAll('.labor-item, .operation-item, tr');
-                let bestMatch = null;
-                let bestScore = 0;
+            let bestMatch = null;
+            let bestScore = 0;
 
-                for (const item of laborItems) {
-                    const text = item.textContent.toLowerCase();
-                    const score = op.split(' ').filter(word => text.includes(word)).length;
-                    
-                    if (score > bestScore) {
-                        bestScore = score;
-                        const hoursMatch = text.match(/(\d+\.?\d*)\s*hours?|(\d+\.?\d*)\s*hrs?/i);
-                        if (hoursMatch) {
-                            bestMatch = {
-                                hours: parseFloat(hoursMatch[1] || hoursMatch[2]),
-                                operation: item.textContent.trim(),
-                                source: 'Nexpart ACES',
-                                matchScore: score
-                            };
-                        }
+            for (const row of rows) {
+                const text = row.text.toLowerCase();
+                const score = operationText.split(' ').filter(word => text.includes(word)).length;
+                
+                if (score > bestScore) {
+                    bestScore = score;
+                    if (row.hours !== null) {
+                        bestMatch = {
+                            hours: row.hours,
+                            operation: row.text,
+                            source: 'Nexpart ACES',
+                            matchScore: score
+                        };
                     }
                 }
+            }
 
-                return bestMatch;
-            }, operationText);
+            return bestMatch;
 
         } catch (error) {
             console.error('Operation search error:', error.message);
@@ -206,44 +152,55 @@ class NexpartLaborScraper {
     }
 
     /**
-     * Get all labor operations for a vehicle
+     * Every labor row on the page with the hours found in its text (null when
+     * there are none). Records which row selector matched.
+     */
+    async extractLaborRows(page) {
+        const { rows, matched } = await page.evaluate((rowSelectors) => {
+            const matched = rowSelectors.findIndex(selector => document.querySelector(selector));
+            const laborItems = document.querySelectorAll(rowSelectors.join(', '));
+
+            return {
+                matched,
+                rows: Array.from(laborItems).map(item => {
+                    const text = item.textContent.trim();
+                    const hoursMatch = text.match(/(\d+\.?\d*)\s*hours?|(\d+\.?\d*)\s*hrs?/i);
+                    return { text, hours: hoursMatch ? parseFloat(hoursMatch[1] || hoursMatch[2]) : null };
+                })
+            };
+        }, this.profile.selectors('labor.row'));
+
+        this.profile.record('labor.row', matched);
+        if (matched < 0) {
+            await this.profile.snapshot(page, 'labor-guide');
+        }
+
+        return rows;
+    }
+
+    /**
+     * All labor operations for a vehicle, cached for the 'labor' TTL
      */
     async getAllLaborOperations(year, make, model) {
+        return this.cache.wrap('labor', ['nexpart', { year, make, model }, 'all operations'], () => this.scrapeAllLaborOperations(year, make, model));
+    }
+
+    /**
+     * Get all labor operations for a vehicle
+     */
+    async scrapeAllLaborOperations(year, make, model) {
         console.log(`🔍 Getting all labor operations for: ${year} ${make} ${model}`);
         
-        let browser;
         try {
-            browser = await puppeteer.launch({
-                headless: true,
-                args: ['--no-sandbox', '--disable-setuid-sandbox']
-            });
+            const operations = await this.pool.run(async (page) => {
+                await this.selectVehicle(page, year, make, model);
 
-            const page = await browser.newPage();
-            
-            await page.goto(this.acesUrl, { waitUntil: 'networkidle2', timeout: 30000 });
-            await this.login(page);
-            await this.selectVehicle(page, year, make, model);
-
-            // Get all operations
-            const operations = await page.evaluate(() => {
-                const laborItems = document.querySelectorAll('.labor-item, .operation-item, tr');
-                const results = [];
-                
-                for (const item of laborItems) {
-                    const text = item.textContent.trim();
-                    const hoursMatch = text.match(/(\d+\.?\d*)\s*hours?|(\d+\.?\d*)\s*hrs?/i);
-                    
-                    if (hoursMatch) {
-                        results.push({
-                            operation: text,
-                            hours: parseFloat(hoursMatch[1] || hoursMatch[2]),
-                            source: 'Nexpart ACES'
-                        });
-                    }
-                }
-
-                return results;
-            });
+                // Get all operations
+                const rows = await this.extractLaborRows(page);
+                return rows
+                    .filter(row => row.hours !== null)
+                    .map(row => ({ operation: row.text, hours: row.hours, source: 'Nexpart ACES' }));
+            }, { startUrl: this.acesUrl, label: 'labor operations' });
 
             console.log(`✅ Found ${operations.length} labor operations`);
             
@@ -260,10 +217,6 @@ class NexpartLaborScraper {
                 error: error.message,
                 operations: []
             };
-        } finally {
-            if (browser) {
-                await browser.close();
-            }
         }
     }
 }
@@ -0,0 +1,161 @@
+/**
+ * Nexpart Replay
+ * Loads saved Nexpart pages (fixtures/nexpart/) into a headless browser and
+ * runs them through the scraper extractors, so a selector profile change - or
+ * a new snapshot of changed markup - can be checked without a Nexpart login.
+ *
+ * Each fixture in manifest.json names the extractor to run and what it must
+ * return. Prints the selector health report afterwards and exits 1 if a
+ * fixture fails or a selector key matched nothing.
+ *
+ * Needs puppeteer and the Chrome it downloads on install
+ * (or PUPPETEER_EXECUTABLE_PATH pointing at an installed Chrome).
+ *
+ * Usage:
+ *   npm run replay:nexpart
+ *   node nexpart-replay.js --profile 2
+ *   node nexpart-replay.js --dir ./snapshots --profile ./selector-profiles/nexpart-v2.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const puppeteer = require('puppeteer');
+const SelectorProfile = require('./selector-profile.js');
+const NexpartScraper = require('./nexpart-scraper.js');
+const NexpartLaborScraper = require('./nexpart-labor-scraper.js');
+const NexpartVINDecoder = require('./nexpart-vin-decoder.js');
+
+const DEFAULT_DIR = path.join(__dirname, 'fixtures', 'nexpart');
+
+function parseArgs(argv) {
+    const args = { dir: DEFAULT_DIR, profile: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--dir') args.dir = path.resolve(argv[++i]);
+        if (argv[i] === '--profile') args.profile = argv[++i];
+    }
+
+    return args;
+}
+
+/**
+ * Expected fields that don't match the actual result
+ * @returns {string[]} One message per mismatch
+ */
+function compare(label, actual, expected) {
+    return Object.entries(expected || {})
+        .filter(([field, value]) => actual?.[field] !== value)
+        .map(([field, value]) => `${label}.${field}: expected ${JSON.stringify(value)}, got ${JSON.stringify(actual?.[field])}`);
+}
+
+/**
+ * Run one fixture through its extractor
+ * @returns {Promise<string[]>} Failures (empty when the fixture passes)
+ */
+async function replayFixture(page, fixture, scrapers) {
+    const { profile, parts, labor, vin } = scrapers;
+    const expect = fixture.expect || {};
+
+    switch (fixture.extractor) {
+        case 'login': {
+            const missing = [];
+            for (const key of expect.found || []) {
+                if (!(await profile.find(page, key))) missing.push(`${key}: no selector matched`);
+            }
+            return missing;
+        }
+
+        case 'parts': {
+            const results = await parts.extractPartsFromPage(page);
+            const failures = [];
+            if (expect.count !== undefined && results.length !== expect.count) {
+                failures.push(`count: expected ${expect.count}, got ${results.length}`);
+            }
+            return failures.concat(compare('first', results[0], expect.first));
+        }
+
+        case 'labor': {
+            const rows = await labor.extractLaborRows(page);
+            const operations = rows.filter(row => row.hours !== null);
+            const failures = [];
+            if (expect.count !== undefined && operations.length !== expect.count) {
+                failures.push(`count: expected ${expect.count}, got ${operations.length}`);
+            }
+            if (fixture.operation) {
+                const match = await labor.searchOperation(page, fixture.operation);
+                failures.push(...compare('match', match, expect.match));
+            }
+            return failures;
+        }
+
+        case 'vehicle': {
+            const vehicle = await vin.extractVehicleInfo(page);
+            return compare('vehicle', vehicle, expect.vehicle);
+        }
+
+        default:
+            return [`unknown extractor "${fixture.extractor}"`];
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const manifest = JSON.parse(fs.readFileSync(path.join(args.dir, 'manifest.json'), 'utf8'));
+
+    const profile = SelectorProfile.load('nexpart', args.profile);
+    profile.snapshotDir = null;
+
+    // Extractors only - the pool is never asked for a session
+    const options = { profile, pool: { run: () => Promise.reject(new Error('Replay has no Nexpart session')) } };
+    const scrapers = {
+        profile,
+        parts: new NexpartScraper('replay', 'replay', options),
+        labor: new NexpartLaborScraper('replay', 'replay', options),
+        vin: new NexpartVINDecoder('replay', 'replay', options)
+    };
+
+    const browser = await puppeteer.launch({ headless: 'new', args: ['--no-sandbox', '--disable-setuid-sandbox'] });
+    let failed = 0;
+
+    try {
+        for (const fixture of manifest.fixtures) {
+            const page = await browser.newPage();
+            try {
+                await page.setContent(fs.readFileSync(path.join(args.dir, fixture.file), 'utf8'));
+                const failures = await replayFixture(page, fixture, scrapers);
+
+                if (failures.length === 0) {
+                    console.log(`✅ ${fixture.file} (${fixture.extractor})`);
+                } else {
+                    failed++;
+                    console.log(`❌ ${fixture.file} (${fixture.extractor})`);
+                    failures.forEach(failure => console.log(`   - ${failure}`));
+                }
+            } catch (error) {
+                failed++;
+                console.log(`❌ ${fixture.file} (${fixture.extractor}): ${error.message}`);
+            } finally {
+                await page.close();
+            }
+        }
+    } finally {
+        await browser.close();
+    }
+
+    const health = profile.getHealth();
+    console.log(`\n🎯 Selector health - ${health.profile} v${health.version}: ${health.status}`);
+    Object.entries(health.keys).forEach(([key, entry]) => {
+        const matched = entry.lastMatch ? entry.lastMatch.selector : 'nothing';
+        console.log(`   ${entry.status.padEnd(8)} ${key.padEnd(20)} ${matched}`);
+    });
+
+    const missing = Object.values(health.keys).filter(entry => entry.status === 'missing').length;
+    console.log(`\n${manifest.fixtures.length - failed}/${manifest.fixtures.length} fixtures passed, ${missing} selector key(s) missing`);
+
+    process.exit(failed > 0 || missing > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+    console.error('❌ Replay failed:', error);
+    process.exit(1);
+});
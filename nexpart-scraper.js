@@ -1,48 +1,49 @@
 /**
  * Nexpart Scraper
- * Automatically logs in and retrieves parts pricing
+ * Retrieves parts pricing through the shared, logged-in Nexpart session pool
  */
 
-const puppeteer = require('puppeteer');
+const NexpartSessionPool = require('./nexpart-session-pool.js');
+const SelectorProfile = require('./selector-profile.js');
+const { LookupCache } = require('./lookup-cache.js');
 
 class NexpartScraper {
-    constructor(username, password) {
+    constructor(username, password, options = {}) {
         this.username = username;
         this.password = password;
-        this.baseUrl = 'https://www.nexpart.com/login-nexpart.html';
+        this.baseUrl = NexpartSessionPool.HOME_URL;
+        this.pool = options.pool || NexpartSessionPool.forAccount(username, password);
+        this.profile = options.profile || SelectorProfile.shared('nexpart');
+        this.cache = options.cache || LookupCache.shared();
            console.log('🔐 Nexpart credentials configured for Clemson, O\'Reilly\'s, and Advance Auto Parts');
     }
 
     /**
-     * Search for parts and get pricing
+     * Search for parts and get pricing, cached for the 'parts' TTL
      */
     async searchParts(year, make, model, partName) {
+        // An empty result usually means the page didn't load as expected - don't keep it
+        // Prices are the logged-in account's, so the account is part of the key
+        return this.cache.wrap('parts', ['nexpart', LookupCache.account(this.username), { year, make, model }, partName], () => this.scrapeParts(year, make, model, partName), {
+            shouldCache: result => result.success && result.parts.length > 0
+        });
+    }
+
+    /**
+     * Search for parts and get pricing
+     */
+    async scrapeParts(year, make, model, partName) {
         console.log(`🔍 Searching Nexpart for: ${partName} - ${year} ${make} ${model}`);
         
-        let browser;
         try {
-            browser = await puppeteer.launch({
-                headless: true,
-                args: ['--no-sandbox', '--disable-setuid-sandbox']
-            });
+            // The pool hands over a logged-in page on the Nexpart home page
+            const parts = await this.pool.run(async (page) => {
+                console.log('🚗 Searching for vehicle...');
+                await this.searchVehicle(page, year, make, model);
 
-            const page = await browser.newPage();
-            
-            // Step 1: Navigate to login page
-            console.log('📍 Navigating to Nexpart...');
-            await page.goto(this.baseUrl, { waitUntil: 'networkidle2', timeout: 30000 });
-
-            // Step 2: Login
-            console.log('🔐 Logging in...');
-            await this.login(page);
-
-            // Step 3: Search for vehicle
-            console.log('🚗 Searching for vehicle...');
-            await this.searchVehicle(page, year, make, model);
-
-            // Step 4: Search for parts
-            console.log('🔧 Searching for parts...');
-            const parts = await this.searchForPart(page, partName);
+                console.log('🔧 Searching for parts...');
+                return this.searchForPart(page, partName);
+            }, { startUrl: this.baseUrl, label: 'parts search' });
 
             console.log(`✅ Found ${parts.length} parts`);
             
@@ -60,113 +61,6 @@ class NexpartScraper {
                 error: error.message,
                 parts: []
             };
-        } finally {
-            if (browser) {
-                await browser.close();
-            }
-        }
-    }
-
-    /**
-     * Login to Nexpart
-     */
-    async login(page) {
-        try {
-            // Wait for login form
-            await page.waitForSelector('input[name="username"], input[name="user"], #username, #user', { timeout: 10000 });
-
-            // Try different possible selectors for username
-            const usernameSelectors = [
-                'input[name="username"]',
-                'input[name="user"]',
-                '#username',
-                '#user',
-                'input[type="text"]'
-            ];
-
-            let usernameField = null;
-            for (const selector of usernameSelectors) {
-                try {
-                    usernameField = await page.$(selector);
-                    if (usernameField) {
-                        console.log(`Found username field: ${selector}`);
-                        await page.type(selector, this.username);
-                        break;
-                    }
-                } catch (e) {
-                    continue;
-                }
-            }
-
-            if (!usernameField) {
-                throw new Error('Could not find username field');
-            }
-
-            // Try different possible selectors for password
-            const passwordSelectors = [
-                'input[name="password"]',
-                'input[name="pass"]',
-                '#password',
-                '#pass',
-                'input[type="password"]'
-            ];
-
-            let passwordField = null;
-            for (const selector of passwordSelectors) {
-                try {
-                    passwordField = await page.$(selector);
-                    if (passwordField) {
-                        console.log(`Found password field: ${selector}`);
-                        await page.type(selector, this.password);
-                        break;
-                    }
-                } catch (e) {
-                    continue;
-                }
-            }
-
-            if (!passwordField) {
-                throw new Error('Could not find password field');
-            }
-
-            // Try different possible selectors for login button
-            const loginButtonSelectors = [
-                'button[type="submit"]',
-                'input[type="submit"]',
-                'button:contains("Login")',
-                'button:contains("Sign In")',
-                '#login',
-                '.login-button',
-                'button.btn-login'
-            ];
-
-            let loginButton = null;
-            for (const selector of loginButtonSelectors) {
-                try {
-                    loginButton = await page.$(selector);
-                    if (loginButton) {
-                        console.log(`Found login button: ${selector}`);
-                        await loginButton.click();
-                        break;
-                    }
-                } catch (e) {
-                    continue;
-                }
-            }
-
-            if (!loginButton) {
-                // Try pressing Enter as fallback
-                await page.keyboard.press('Enter');
-            }
-
-            // Wait for navigation after login
-            await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 15000 });
-
-            console.log('✅ Login successful');
-
-        } catch (error) {
-            console.error('❌ Login failed:', error);
-            throw new Error(`Login failed: ${error.message}`);
         }
     }
 
@@ -178,112 +72,32 @@ class NexpartScraper {
             // Wait for vehicle search interface
             await page.waitForTimeout(2000);
 
-            // Try to find year input/selector
-            const yearSelectors = [
-                'input[name="year"]',
-                'select[name="year"]',
-                '#year',
-                'input.year',
-                'select.year'
-            ];
-
-            for (const selector of yearSelectors) {
-                try {
-                    const element = await page.$(selector);
-                    if (element) {
-                        const tagName = await page.evaluate(el => el.tagName, element);
-                        if (tagName === 'SELECT') {
-                            await page.select(selector, year);
-                        } else {
-                            await page.type(selector, year);
-                        }
-                        console.log(`Entered year: ${year}`);
-                        break;
-                    }
-                } catch (e) {
-                    continue;
+            const fill = async (name, value, selectValue) => {
+                const field = await this.profile.find(page, `vehicle.${name}`);
+                if (!field) {
+                    return;
                 }
-            }
-
-            await page.waitForTimeout(1000);
 
-            // Try to find make input/selector
-            const makeSelectors = [
-                'input[name="make"]',
-                'select[name="make"]',
-                '#make',
-                'input.make',
-                'select.make'
-            ];
-
-            for (const selector of makeSelectors) {
-                try {
-                    const element = await page.$(selector);
-                    if (element) {
-                        const tagName = await page.evaluate(el => el.tagName, element);
-                        if (tagName === 'SELECT') {
-                            await page.select(selector, make.toUpperCase());
-                        } else {
-                            await page.type(selector, make);
-                        }
-                        console.log(`Entered make: ${make}`);
-                        break;
-                    }
-                } catch (e) {
-                    continue;
+                const tagName = await page.evaluate(el => el.tagName, field.element);
+                if (tagName === 'SELECT') {
+                    await page.select(field.selector, selectValue);
+                } else {
+                    await page.type(field.selector, value);
                 }
-            }
+                console.log(`Entered ${name}: ${value}`);
+            };
 
+            await fill('year', year, year);
             await page.waitForTimeout(1000);
-
-            // Try to find model input/selector
-            const modelSelectors = [
-                'input[name="model"]',
-                'select[name="model"]',
-                '#model',
-                'input.model',
-                'select.model'
-            ];
-
-            for (const selector of modelSelectors) {
-                try {
-                    const element = await page.$(selector);
-                    if (element) {
-                        const tagName = await page.evaluate(el => el.tagName, element);
-                        if (tagName === 'SELECT') {
-                            await page.select(selector, model.toUpperCase());
-                        } else {
-                            await page.type(selector, model);
-                        }
-                        console.log(`Entered model: ${model}`);
-                        break;
-                    }
-                } catch (e) {
-                    continue;
-                }
-            }
+            await fill('make', make, make.toUpperCase());
+            await page.waitForTimeout(1000);
+            await fill('model', model, model.toUpperCase());
 
             // Click search/continue button
-            const searchButtonSelectors = [
-                'button[type="submit"]',
-                'input[type="submit"]',
-                'button:contains("Search")',
-                'button:contains("Continue")',
-                '#search',
-                '.btn-search'
-            ];
-
-            for (const selector of searchButtonSelectors) {
-                try {
-                    const button = await page.$(selector);
-                    if (button) {
-                        await button.click();
-                        await page.waitForTimeout(2000);
-                        break;
-                    }
-                } catch (e) {
-                    continue;
-                }
+            const button = await this.profile.find(page, 'vehicle.submit');
+            if (button) {
+                await button.element.click();
+                await page.waitForTimeout(2000);
             }
 
             console.log('✅ Vehicle selected');
@@ -299,30 +113,14 @@ class NexpartScraper {
      */
     async searchForPart(page, partName) {
         try {
-            // Try to find parts search box
-            const searchSelectors = [
-                'input[name="search"]',
-                'input[name="part"]',
-                '#search',
-                '#part-search',
-                'input[type="search"]',
-                'input.search-box'
-            ];
-
-            let searchBox = null;
-            for (const selector of searchSelectors) {
-                try {
-                    searchBox = await page.$(selector);
-                    if (searchBox) {
-                        console.log(`Found search box: ${selector}`);
-                        await page.type(selector, partName);
-                        await page.keyboard.press('Enter');
-                        await page.waitForTimeout(3000);
-                        break;
-                    }
-                } catch (e) {
-                    continue;
-                }
+            const searchBox = await this.profile.find(page, 'parts.searchBox');
+            if (searchBox) {
+                console.log(`Found search box: ${searchBox.selector}`);
+                await page.type(searchBox.selector, partName);
+                await page.keyboard.press('Enter');
+                await page.waitForTimeout(3000);
+            } else {
+                await this.profile.snapshot(page, 'parts-search');
             }
 
             // Extract parts from results
@@ -337,81 +135,50 @@ class NexpartScraper {
     }
 
     /**
-     * Extract parts information from results page
+     * Extract parts information from results page. Selector lists come from
+     * the profile; the page reports back which one matched for the health report.
      */
     async extractPartsFromPage(page) {
         try {
-            // Wait for results to load
-            await page.waitForTimeout(2000);
-
-            // Try to extract parts data
-            const parts = await page.evaluate(() => {
+            const { parts, matched } = await page.evaluate((selectors) => {
                 const results = [];
-                
-                // Try different possible selectors for part listings
-                const partSelectors = [
-                    '.part-item',
-                    '.product-item',
-                    '.result-item',
-                    'tr.part-row',
-                    '.part-listing'
-                ];
+                const matched = { row: -1, partNumber: -1, description: -1, price: -1, availability: -1 };
+
+                // Text of the first selector in the list found inside element
+                const firstText = (element, field) => {
+                    const list = selectors[field];
+                    for (let index = 0; index < list.length; index++) {
+                        const el = element.querySelector(list[index]);
+                        if (el) {
+                            if (matched[field] < 0 || index < matched[field]) matched[field] = index;
+                            return el.textContent.trim();
+                        }
+                    }
+                    return null;
+                };
 
                 let partElements = [];
-                for (const selector of partSelectors) {
-                    partElements = document.querySelectorAll(selector);
-                    if (partElements.length > 0) break;
+                for (let index = 0; index < selectors.row.length; index++) {
+                    partElements = document.querySelectorAll(selectors.row[index]);
+                    if (partElements.length > 0) {
+                        matched.row = index;
+                        break;
+                    }
                 }
 
                 partElements.forEach((element, index) => {
                     try {
-                        // Try to extract part number
-                        let partNumber = '';
-                        const partNumSelectors = ['.part-number', '.partnumber', '.part-num', 'td.part-num'];
-                        for (const sel of partNumSelectors) {
-                            const el = element.querySelector(sel);
-                            if (el) {
-                                partNumber = el.textContent.trim();
-                                break;
-                            }
-                        }
+                        const partNumber = firstText(element, 'partNumber') || '';
+                        const description = firstText(element, 'description') || '';
 
-                        // Try to extract description
-                        let description = '';
-                        const descSelectors = ['.description', '.part-desc', '.part-name', 'td.description'];
-                        for (const sel of descSelectors) {
-                            const el = element.querySelector(sel);
-                            if (el) {
-                                description = el.textContent.trim();
-                                break;
-                            }
-                        }
-
-                        // Try to extract price
                         let price = 0;
-                        const priceSelectors = ['.price', '.part-price', '.cost', 'td.price', 'span.price'];
-                        for (const sel of priceSelectors) {
-                            const el = element.querySelector(sel);
-                            if (el) {
-                                const priceText = el.textContent.trim();
-                                const match = priceText.match(/\$?(\d+\.?\d*)/);
-                                if (match) {
-                                    price = parseFloat(match[1]);
-                                }
-                                break;
-                            }
+                        const priceText = firstText(element, 'price');
+                        const match = priceText && priceText.match(/\$?(\d+\.?\d*)/);
+                        if (match) {
+                            price = parseFloat(match[1]);
                         }
 
-                        // Try to extract availability
-                        let availability = 'Check availability';
-                        const availSelectors = ['.availability', '.stock', '.in-stock', 'td.availability'];
-                        for (const sel of availSelectors) {
-                            const el = element.querySelector(sel);
-                            if (el) {
-                                availability = el.textContent.trim();
-                                break;
-                            }
-                        }
+                        const availability = firstText(element, 'availability') || 'Check availability';
 
                         if (partNumber || description) {
                             results.push({
@@ -427,8 +194,13 @@ class NexpartScraper {
                     }
                 });
 
-                return results;
-            });
+                return { parts: results, matched };
+            }, this.profile.group('parts'));
+
+            Object.entries(matched).forEach(([field, index]) => this.profile.record(`parts.${field}`, index));
+            if (matched.row < 0) {
+                await this.profile.snapshot(page, 'parts-results');
+            }
 
             console.log(`Extracted ${parts.length} parts from page`);
             return parts;
@@ -0,0 +1,397 @@
+/**
+ * Nexpart Session Pool
+ * One shared browser for all Nexpart lookups (parts, labor, VIN). Logged-in
+ * browser contexts are kept warm and the session cookies are reused, so a
+ * lookup only logs in when Nexpart has actually signed us out.
+ *
+ * Lookups are queued behind a concurrency limit. A context that crashes or
+ * times out is thrown away and replaced; repeated login failures pause logins
+ * instead of hammering the account into a lockout.
+ */
+
+const SelectorProfile = require('./selector-profile.js');
+
+const LOGIN_URL = 'https://www.nexpart.com/login-nexpart.html';
+const HOME_URL = 'https://www.nexpart.com/';
+
+// Errors that mean the page/context is dead, not that the lookup failed
+const CRASH_PATTERN = /Target closed|Session closed|Protocol error|Navigation failed because browser has disconnected|Execution context was destroyed|Page crashed|browser has disconnected/i;
+
+// One pool per Nexpart account, shared by every scraper using it
+const pools = new Map();
+
+class NexpartSessionPool {
+    /**
+     * @param {object} options - { username, password, concurrency, taskTimeoutMs,
+     *   sessionTtlMs, maxUsesPerSession, maxLoginFailures, loginCooldownMs, headless, puppeteer, profile }
+     */
+    constructor(options = {}) {
+        this.username = options.username;
+        this.password = options.password;
+        this.concurrency = Math.max(1, Number(options.concurrency || process.env.NEXPART_CONCURRENCY) || 2);
+        // A lookup is several page loads, each allowed SCRAPER_TIMEOUT
+        this.taskTimeoutMs = Number(options.taskTimeoutMs) || (Number(process.env.SCRAPER_TIMEOUT) || 30000) * 4;
+        this.sessionTtlMs = Number(options.sessionTtlMs) || (Number(process.env.NEXPART_SESSION_TTL_MINUTES) || 30) * 60 * 1000;
+        this.maxUsesPerSession = Number(options.maxUsesPerSession) || 50;
+        this.maxLoginFailures = Number(options.maxLoginFailures) || 3;
+        this.loginCooldownMs = Number(options.loginCooldownMs) || 15 * 60 * 1000;
+        this.headless = options.headless ?? process.env.SCRAPER_HEADLESS !== 'false';
+        this.puppeteer = options.puppeteer || null;
+        this.profile = options.profile || SelectorProfile.shared('nexpart');
+
+        this.browserPromise = null;
+        this.idleSessions = [];
+        this.queue = [];
+        this.active = 0;
+        this.nextSessionId = 1;
+
+        // Cookies from the last successful login, copied into new contexts
+        this.cookies = null;
+        this.consecutiveLoginFailures = 0;
+        this.loginPausedUntil = 0;
+
+        // Sessions that hit the login form together wait for one login
+        this.loginPromise = null;
+
+        this.metrics = {
+            tasks: 0,
+            succeeded: 0,
+            failed: 0,
+            timeouts: 0,
+            logins: 0,
+            loginFailures: 0,
+            sessionsCreated: 0,
+            sessionsRecycled: 0,
+            browserLaunches: 0,
+            browserDisconnects: 0,
+            totalWaitMs: 0,
+            totalRunMs: 0,
+            lastError: null,
+            lastErrorAt: null
+        };
+
+        console.log(`🌐 Nexpart session pool ready (concurrency ${this.concurrency})`);
+    }
+
+    /**
+     * Shared pool for a Nexpart account
+     * @param {string} username - Nexpart username
+     * @param {string} password - Nexpart password
+     * @param {object} options - Constructor options (used when the pool is first created)
+     * @returns {NexpartSessionPool}
+     */
+    static forAccount(username, password, options = {}) {
+        if (!pools.has(username)) {
+            pools.set(username, new NexpartSessionPool({ ...options, username, password }));
+        }
+        return pools.get(username);
+    }
+
+    /**
+     * Health of every shared pool (for /api/health)
+     */
+    static getAllHealth() {
+        return Array.from(pools.values()).map(pool => pool.getHealth());
+    }
+
+    /**
+     * Run a lookup on a logged-in page. Waits for a free slot when
+     * `concurrency` lookups are already running.
+     * @param {Function} task - async (page) => result
+     * @param {object} options - { startUrl, label }
+     * @returns {Promise<*>} The task's result
+     */
+    run(task, options = {}) {
+        return new Promise((resolve, reject) => {
+            this.metrics.tasks++;
+            this.queue.push({ task, options, resolve, reject, enqueuedAt: Date.now() });
+            this.drain();
+        });
+    }
+
+    drain() {
+        while (this.active < this.concurrency && this.queue.length > 0) {
+            const job = this.queue.shift();
+            this.active++;
+            this.metrics.totalWaitMs += Date.now() - job.enqueuedAt;
+
+            this.execute(job)
+                .then(job.resolve, job.reject)
+                .finally(() => {
+                    this.active--;
+                    this.drain();
+                });
+        }
+    }
+
+    async execute({ task, options }) {
+        const startedAt = Date.now();
+        let session = null;
+        let timer = null;
+        let recycle = false;
+
+        try {
+            session = await this.acquireSession();
+
+            const timeout = new Promise((_, reject) => {
+                timer = setTimeout(() => {
+                    this.metrics.timeouts++;
+                    reject(new Error(`Nexpart lookup timed out after ${this.taskTimeoutMs}ms`));
+                }, this.taskTimeoutMs);
+            });
+
+            const result = await Promise.race([
+                (async () => {
+                    await this.openStartPage(session, options.startUrl || HOME_URL);
+                    return task(session.page);
+                })(),
+                timeout
+            ]);
+
+            this.metrics.succeeded++;
+            return result;
+        } catch (error) {
+            this.metrics.failed++;
+            this.metrics.lastError = error.message;
+            this.metrics.lastErrorAt = new Date().toISOString();
+
+            // A timed-out page may still be mid-navigation; don't hand it out again
+            recycle = CRASH_PATTERN.test(error.message) || /timed out/.test(error.message);
+            console.error(`❌ Nexpart ${options.label || 'lookup'} failed:`, error.message);
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            this.metrics.totalRunMs += Date.now() - startedAt;
+
+            if (session) {
+                await this.releaseSession(session, recycle);
+            }
+        }
+    }
+
+    /**
+     * Launch the shared browser (once) and relaunch it if it goes away
+     */
+    getBrowser() {
+        if (!this.browserPromise) {
+            this.browserPromise = (async () => {
+                const puppeteer = this.puppeteer || require('puppeteer');
+                const browser = await puppeteer.launch({
+                    headless: this.headless,
+                    args: ['--no-sandbox', '--disable-setuid-sandbox']
+                });
+
+                this.metrics.browserLaunches++;
+                browser.on('disconnected', () => {
+                    console.warn('⚠️ Nexpart browser disconnected - will relaunch on next lookup');
+                    this.metrics.browserDisconnects++;
+                    this.browserPromise = null;
+                    this.idleSessions = [];
+                });
+
+                return browser;
+            })().catch(error => {
+                this.browserPromise = null;
+                throw error;
+            });
+        }
+
+        return this.browserPromise;
+    }
+
+    async acquireSession() {
+        while (this.idleSessions.length > 0) {
+            const session = this.idleSessions.pop();
+
+            if (Date.now() - session.createdAt < this.sessionTtlMs && !session.page.isClosed()) {
+                return session;
+            }
+            await this.closeSession(session);
+        }
+
+        const browserPromise = this.getBrowser();
+        const browser = await browserPromise;
+        const createContext = browser.createBrowserContext || browser.createIncognitoBrowserContext;
+        const context = await createContext.call(browser);
+        const page = await context.newPage();
+
+        if (this.cookies) {
+            await page.setCookie(...this.cookies);
+        }
+
+        this.metrics.sessionsCreated++;
+        return { id: this.nextSessionId++, context, page, browserPromise, createdAt: Date.now(), uses: 0 };
+    }
+
+    async releaseSession(session, recycle) {
+        session.uses++;
+
+        // Contexts from a browser that has since disconnected are dead
+        if (recycle || session.uses >= this.maxUsesPerSession || session.browserPromise !== this.browserPromise) {
+            this.metrics.sessionsRecycled++;
+            await this.closeSession(session);
+            return;
+        }
+
+        this.idleSessions.push(session);
+    }
+
+    async closeSession(session) {
+        try {
+            await session.context.close();
+        } catch (error) {
+            // Already gone with the browser
+        }
+    }
+
+    /**
+     * Go to the page a lookup starts from, logging in first if Nexpart
+     * bounces us to the login form
+     */
+    async openStartPage(session, startUrl) {
+        const { page } = session;
+
+        await page.goto(startUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+
+        if (!(await this.needsLogin(page))) {
+            return;
+        }
+
+        if (this.loginPromise) {
+            // Another session is logging in - borrow its cookies
+            await this.loginPromise.catch(() => {});
+            if (this.cookies) {
+                await page.setCookie(...this.cookies);
+                await page.goto(startUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+                if (!(await this.needsLogin(page))) {
+                    return;
+                }
+            }
+        }
+
+        this.loginPromise = this.login(page);
+        try {
+            await this.loginPromise;
+        } finally {
+            this.loginPromise = null;
+        }
+
+        if (startUrl !== LOGIN_URL) {
+            await page.goto(startUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+        }
+    }
+
+    async needsLogin(page) {
+        const loggedIn = await page.$(this.profile.selectors('login.loggedIn').join(', '));
+        if (loggedIn) {
+            return false;
+        }
+        return Boolean(await page.$(this.profile.selectors('login.password').join(', '))) || page.url().includes('login');
+    }
+
+    /**
+     * Login to Nexpart
+     */
+    async login(page) {
+        if (Date.now() < this.loginPausedUntil) {
+            throw new Error(`Nexpart login paused after ${this.maxLoginFailures} failed attempts - retry after ${new Date(this.loginPausedUntil).toLocaleTimeString()}`);
+        }
+
+        if (!this.username || !this.password) {
+            throw new Error('Nexpart credentials are not configured');
+        }
+
+        console.log('🔐 Logging in to Nexpart...');
+
+        try {
+            if (!page.url().includes('login')) {
+                await page.goto(LOGIN_URL, { waitUntil: 'networkidle2', timeout: 30000 });
+            }
+
+            await page.waitForSelector(this.profile.selectors('login.form').join(', '), { timeout: 10000 });
+
+            const typeInto = async (key, value) => {
+                const field = await this.profile.find(page, key);
+                if (!field) {
+                    await this.profile.snapshot(page, 'login');
+                    throw new Error(`Could not find ${key.split('.')[1]} field`);
+                }
+                await page.type(field.selector, value);
+            };
+
+            await typeInto('login.username', this.username);
+            await typeInto('login.password', this.password);
+
+            const loginButton = await this.profile.find(page, 'login.submit');
+
+            await Promise.all([
+                page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 15000 }),
+                loginButton ? loginButton.element.click() : page.keyboard.press('Enter')
+            ]);
+
+            if (await page.$(this.profile.selectors('login.password').join(', '))) {
+                throw new Error('Nexpart rejected the login');
+            }
+
+            this.cookies = await page.cookies();
+            this.consecutiveLoginFailures = 0;
+            this.metrics.logins++;
+            console.log('✅ Login successful');
+        } catch (error) {
+            this.metrics.loginFailures++;
+            this.consecutiveLoginFailures++;
+
+            if (this.consecutiveLoginFailures >= this.maxLoginFailures) {
+                this.loginPausedUntil = Date.now() + this.loginCooldownMs;
+                this.consecutiveLoginFailures = 0;
+                console.error(`🛑 Pausing Nexpart logins for ${Math.round(this.loginCooldownMs / 60000)} minutes to avoid an account lockout`);
+            }
+
+            console.error('❌ Login failed:', error.message);
+            throw new Error(`Login failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Queue, session and login metrics
+     * @returns {object}
+     */
+    getHealth() {
+        const finished = this.metrics.succeeded + this.metrics.failed;
+
+        return {
+            account: this.username ? `${String(this.username).slice(0, 3)}***` : null,
+            browserRunning: Boolean(this.browserPromise),
+            concurrency: this.concurrency,
+            active: this.active,
+            queued: this.queue.length,
+            idleSessions: this.idleSessions.length,
+            authenticated: Boolean(this.cookies),
+            loginPausedUntil: this.loginPausedUntil > Date.now() ? new Date(this.loginPausedUntil).toISOString() : null,
+            averageWaitMs: this.metrics.tasks > 0 ? Math.round(this.metrics.totalWaitMs / this.metrics.tasks) : 0,
+            averageRunMs: finished > 0 ? Math.round(this.metrics.totalRunMs / finished) : 0,
+            metrics: { ...this.metrics }
+        };
+    }
+
+    /**
+     * Close every context and the browser
+     */
+    async close() {
+        const sessions = this.idleSessions.splice(0);
+        await Promise.all(sessions.map(session => this.closeSession(session)));
+
+        if (this.browserPromise) {
+            const browser = await this.browserPromise.catch(() => null);
+            this.browserPromise = null;
+            if (browser) {
+                await browser.close();
+            }
+        }
+    }
+}
+
+NexpartSessionPool.LOGIN_URL = LOGIN_URL;
+NexpartSessionPool.HOME_URL = HOME_URL;
+
+module.exports = NexpartSessionPool;
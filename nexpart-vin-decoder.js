@@ -5,45 +5,60 @@
  * Uses Nexpart's ACES catalog for accurate vehicle identification
  */
 
-const puppeteer = require('puppeteer');
+const NexpartSessionPool = require('./nexpart-session-pool.js');
+const VINDecoder = require('./vin-decoder.js');
+const SelectorProfile = require('./selector-profile.js');
+const { LookupCache } = require('./lookup-cache.js');
+
+// ACES selects read after a VIN lookup (aces.<field> in the selector profile)
+const VEHICLE_FIELDS = ['year', 'make', 'model', 'engine', 'trim', 'bodyType', 'driveType', 'transmission', 'fuelType'];
 
 class NexpartVINDecoder {
-    constructor(username, password) {
+    constructor(username, password, options = {}) {
         this.username = username;
         this.password = password;
         this.baseUrl = 'https://www.nexpart.com';
         this.acesUrl = 'https://www.nexpart.com/acesCat.php';
+        this.pool = options.pool || NexpartSessionPool.forAccount(username, password);
+        this.profile = options.profile || SelectorProfile.shared('nexpart');
+        this.cache = options.cache || LookupCache.shared();
         console.log('🔍 Nexpart VIN Decoder initialized');
     }
 
     /**
-     * Decode VIN and get vehicle information
+     * Decode VIN, cached for the 'vin' TTL
      * @param {string} vin - Vehicle Identification Number
      * @returns {Promise<Object>} Vehicle information
      */
     async decodeVIN(vin) {
+        return this.cache.wrap('vin', ['nexpart', vin], () => this.scrapeVIN(vin));
+    }
+
+    /**
+     * Decode VIN and get vehicle information
+     * @param {string} vin - Vehicle Identification Number
+     * @returns {Promise<Object>} Vehicle information
+     */
+    async scrapeVIN(vin) {
         console.log(`🔍 Decoding VIN: ${vin}`);
+
+        // Don't launch a browser for a mistyped VIN
+        const validation = NexpartVINDecoder.validateVIN(vin);
+        if (!validation.valid) {
+            return {
+                success: false,
+                error: validation.error,
+                vin: vin,
+                source: 'Nexpart ACES'
+            };
+        }
         
-        let browser;
         try {
-            browser = await puppeteer.launch({
-                headless: true,
-                args: ['--no-sandbox', '--disable-setuid-sandbox']
-            });
-
-            const page = await browser.newPage();
-            
-            // Step 1: Navigate to ACES catalog
-            console.log('🌐 Navigating to Nexpart ACES catalog...');
-            await page.goto(this.acesUrl, { waitUntil: 'networkidle2', timeout: 30000 });
-
-            // Step 2: Login if needed
-            console.log('🔐 Logging in...');
-            await this.login(page);
-
-            // Step 3: Enter VIN
-            console.log('🔎 Looking up VIN...');
-            const vehicleInfo = await this.lookupByVIN(page, vin);
+            // The pool hands over a logged-in page on the ACES catalog
+            const vehicleInfo = await this.pool.run(page => {
+                console.log('🔎 Looking up VIN...');
+                return this.lookupByVIN(page, vin);
+            }, { startUrl: this.acesUrl, label: 'VIN lookup' });
 
             if (vehicleInfo) {
                 console.log(`✅ VIN decoded: ${vehicleInfo.year} ${vehicleInfo.make} ${vehicleInfo.model}`);
@@ -71,10 +86,6 @@ class NexpartVINDecoder {
                 vin: vin,
                 source: 'Nexpart ACES'
             };
-        } finally {
-            if (browser) {
-                await browser.close();
-            }
         }
     }
 
@@ -84,73 +95,30 @@ class NexpartVINDecoder {
     async lookupByVIN(page, vin) {
         try {
             // Look for VIN input field
-            const vinSelectors = [
-                'input[name="vin"]',
-                'input[id="vin"]',
-                'input[placeholder*="VIN"]',
-                'input[type="text"][maxlength="17"]'
-            ];
-
-            let vinField = null;
-            for (const selector of vinSelectors) {
-                try {
-                    vinField = await page.$(selector);
-                    if (vinField) {
-                        console.log(`Found VIN field: ${selector}`);
-                        break;
-                    }
-                } catch (e) {
-                    continue;
-                }
-            }
+            const vinField = await this.profile.find(page, 'aces.vinField');
 
             if (!vinField) {
+                await this.profile.snapshot(page, 'vin-lookup');
                 throw new Error('Could not find VIN input field');
             }
+            console.log(`Found VIN field: ${vinField.selector}`);
 
             // Enter VIN
-            await page.type(selector, vin);
+            await page.type(vinField.selector, vin);
             
             // Look for VIN lookup/submit button
-            const lookupButtonSelectors = [
-                'button:contains("Lookup VIN")',
-                'button:contains("Decode VIN")',
-                'button[type="submit"]',
-                'input[type="submit"]',
-                '.vin-lookup-button',
-                '#vin-lookup'
-            ];
+            const lookupButton = await this.profile.find(page, 'aces.vinSubmit');
+            if (!lookupButton) {
+                await this.profile.snapshot(page, 'vin-lookup');
+                throw new Error('Could not find VIN lookup button');
+            }
 
             // Click lookup button
-            await page.click(lookupButtonSelectors[0]);
+            await page.click(lookupButton.selector);
             await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 10000 });
 
             // Extract vehicle information
-            const vehicleInfo = await page.evaluate(() => {
-                const year = document.querySelector('#year, select[name="year"]')?.value || '';
-                const make = document.querySelector('#make, select[name="make"]')?.value || '';
-                const model = document.querySelector('#model, select[name="model"]')?.value || '';
-                const engine = document.querySelector('#engine, select[name="engine"]')?.value || '';
-                const trim = document.querySelector('#trim, select[name="trim"]')?.value || '';
-                const bodyType = document.querySelector('#bodyType, select[name="bodyType"]')?.value || '';
-                const driveType = document.querySelector('#driveType, select[name="driveType"]')?.value || '';
-                const transmission = document.querySelector('#transmission, select[name="transmission"]')?.value || '';
-                const fuelType = document.querySelector('#fuelType, select[name="fuelType"]')?.value || '';
-
-                return {
-                    year: year ? parseInt(year) : null,
-                    make: make || 'Unknown',
-                    model: model || 'Unknown',
-                    engine: engine || 'Unknown',
-                    trim: trim || 'Unknown',
-                    bodyType: bodyType || 'Unknown',
-                    driveType: driveType || 'Unknown',
-                    transmission: transmission || 'Unknown',
-                    fuelType: fuelType || 'Unknown'
-                };
-            });
-
-            return vehicleInfo;
+            return await this.extractVehicleInfo(page);
 
         } catch (error) {
             console.error('VIN lookup error:', error.message);
@@ -159,87 +127,85 @@ class NexpartVINDecoder {
     }
 
     /**
-     * Login to Nexpart
+     * Read the decoded vehicle from the ACES selects. Records which selector
+     * matched for each field.
      */
-    async login(page) {
-        try {
-            // Check if already logged in
-            const loggedIn = await page.$('.logout-button, .user-info, [data-logged-in="true"]');
-            if (loggedIn) {
-                console.log('✓ Already logged in');
-                return;
-            }
+    async extractVehicleInfo(page) {
+        const { values, matched } = await page.evaluate((fields) => {
+            const values = {};
+            const matched = {};
+
+            Object.entries(fields).forEach(([field, selectors]) => {
+                matched[field] = selectors.findIndex(selector => document.querySelector(selector));
+                values[field] = matched[field] >= 0 ? document.querySelector(selectors[matched[field]]).value || '' : '';
+            });
 
-            // Wait for login form
-            await page.waitForSelector('input[name="username"], input[name="user"]', { timeout: 10000 });
+            return { values, matched };
+        }, VEHICLE_FIELDS.reduce((fields, field) => {
+            fields[field] = this.profile.selectors(`aces.${field}`);
+            return fields;
+        }, {}));
 
-            // Enter username
-            await page.type('input[name="username"], input[name="user"]', this.username);
-            
-            // Enter password
-            await page.type('input[name="password"], input[name="pass"]', this.password);
-            
-            // Click login
-            await page.click('button[type="submit"]');
-            await page.waitForNavigation({ waitUntil: 'networkidle2' });
-            
-            console.log('✓ Logged in successfully');
-        } catch (error) {
-            console.error('Login error:', error.message);
-            throw error;
+        Object.entries(matched).forEach(([field, index]) => this.profile.record(`aces.${field}`, index));
+        if (matched.year < 0 || matched.make < 0 || matched.model < 0) {
+            await this.profile.snapshot(page, 'vin-vehicle');
         }
+
+        return {
+            year: values.year ? parseInt(values.year) : null,
+            make: values.make || 'Unknown',
+            model: values.model || 'Unknown',
+            engine: values.engine || 'Unknown',
+            trim: values.trim || 'Unknown',
+            bodyType: values.bodyType || 'Unknown',
+            driveType: values.driveType || 'Unknown',
+            transmission: values.transmission || 'Unknown',
+            fuelType: values.fuelType || 'Unknown'
+        };
+    }
+
+    /**
+     * Engines and trims for a make/model/year, cached for the 'fitment' TTL
+     */
+    async getCompatibleVehicles(year, make, model) {
+        return this.cache.wrap('fitment', ['nexpart', { year, make, model }], () => this.scrapeCompatibleVehicles(year, make, model));
     }
 
     /**
      * Get all compatible vehicles for a make/model/year
      * Useful when you have partial vehicle info
      */
-    async getCompatibleVehicles(year, make, model) {
+    async scrapeCompatibleVehicles(year, make, model) {
         console.log(`🔍 Getting compatible vehicles: ${year} ${make} ${model}`);
         
-        let browser;
         try {
-            browser = await puppeteer.launch({
-                headless: true,
-                args: ['--no-sandbox', '--disable-setuid-sandbox']
-            });
-
-            const page = await browser.newPage();
-            
-            await page.goto(this.acesUrl, { waitUntil: 'networkidle2', timeout: 30000 });
-            await this.login(page);
-
-            // Select vehicle
-            await page.select('#year, select[name="year"]', year.toString());
-            await page.waitForTimeout(1000);
-            await page.select('#make, select[name="make"]', make);
-            await page.waitForTimeout(1000);
-            await page.select('#model, select[name="model"]', model);
-            await page.waitForTimeout(1000);
+            const selector = (key) => this.profile.selectors(key).join(', ');
+
+            const { engines, trims } = await this.pool.run(async (page) => {
+                // Select vehicle
+                await page.select(selector('aces.year'), year.toString());
+                await page.waitForTimeout(1000);
+                await page.select(selector('aces.make'), make);
+                await page.waitForTimeout(1000);
+                await page.select(selector('aces.model'), model);
+                await page.waitForTimeout(1000);
+
+                // Get all engine and trim options
+                const readOptions = (selector) => page.evaluate((sel) => {
+                    const select = document.querySelector(sel);
+                    if (!select) return [];
+
+                    return Array.from(select.options).map(option => ({
+                        value: option.value,
+                        text: option.text
+                    }));
+                }, selector);
 
-            // Get all engine options
-            const engines = await page.evaluate(() => {
-                const engineSelect = document.querySelector('#engine, select[name="engine"]');
-                if (!engineSelect) return [];
-                
-                return Array.from(engineSelect.options).map(option => ({
-                    value: option.value,
-                    text: option.text
-                }));
-            });
-
-            // Get all trim options
-            const trims = await page.evaluate(() => {
-                const trimSelect = document.querySelector('#trim, select[name="trim"]');
-                if (!trimSelect) return [];
-                
-                return Array.from(trimSelect.options).map(option => ({
-                    value: option.value,
-                    text: option.text
-                }));
-            });
-
-            browser.close();
+                return {
+                    engines: await readOptions(selector('aces.engine')),
+                    trims: await readOptions(selector('aces.trim'))
+                };
+            }, { startUrl: this.acesUrl, label: 'compatible vehicles' });
 
             return {
                 success: true,
@@ -253,7 +219,6 @@ class NexpartVINDecoder {
 
         } catch (error) {
             console.error('❌ Error getting compatible vehicles:', error);
-            if (browser) await browser.close();
             return {
                 success: false,
                 error: error.message
@@ -262,64 +227,37 @@ class NexpartVINDecoder {
     }
 
     /**
-     * Validate VIN checksum (optional validation)
+     * Validate VIN length, characters and ISO 3779 check digit
      */
     static validateVIN(vin) {
-        // VIN must be 17 characters
-        if (!vin || vin.length !== 17) {
-            return { valid: false, error: 'VIN must be 17 characters' };
-        }
-
-        // VIN should only contain alphanumeric characters (except I, O, Q)
-        const validChars = /^[A-HJ-NPR-Z0-9]+$/;
-        if (!validChars.test(vin)) {
-            return { valid: false, error: 'VIN contains invalid characters' };
-        }
-
-        return { valid: true };
+        const { valid, error, checkDigit, warning } = VINDecoder.validateVIN(vin);
+        return { valid, error, checkDigit, warning };
     }
 
     /**
      * Extract basic info from VIN (without API call)
-     * Based on VIN structure (WMI, VDS, VIS)
+     * Based on VIN structure (WMI, VDS, VIS) and the bundled decoder tables
      */
     static extractBasicInfo(vin) {
-        const validation = NexpartVINDecoder.validateVIN(vin);
-        if (!validation.valid) {
-            return validation;
+        const decoded = VINDecoder.decodeLocal(vin);
+        if (!decoded.success) {
+            return { valid: false, error: decoded.error };
         }
 
-        const wmi = vin.substring(0, 3); // World Manufacturer Identifier
-        const vds = vin.substring(3, 9); // Vehicle Descriptor Section
-        const vis = vin.substring(9, 17); // Vehicle Identifier Section
-
-        const yearChar = vis.charAt(0); // 10th character = model year
-        const plantCode = vis.charAt(1); // 11th character = plant code
-        const serialNumber = vis.substring(2); // Last 6 digits = serial number
-
-        // Year code mapping (standard)
-        const yearCodes = {
-            'A': 1980, 'B': 1981, 'C': 1982, 'D': 1983, 'E': 1984, 'F': 1985, 'G': 1986, 'H': 1987,
-            'J': 1988, 'K': 1989, 'L': 1990, 'M': 1991, 'N': 1992, 'P': 1993, 'R': 1994, 'S': 1995,
-            'T': 1996, 'V': 1997, 'W': 1998, 'X': 1999, 'Y': 2000, '1': 2001, '2': 2002, '3': 2003,
-            '4': 2004, '5': 2005, '6': 2006, '7': 2007, '8': 2008, '9': 2009, 'A': 2010, 'B': 2011,
-            'C': 2012, 'D': 2013, 'E': 2014, 'F': 2015, 'G': 2016, 'H': 2017, 'J': 2018, 'K': 2019,
-            'L': 2020, 'M': 2021, 'N': 2022, 'P': 2023, 'R': 2024, 'S': 2025, 'T': 2026, 'V': 2027,
-            'W': 2028, 'X': 2029, 'Y': 2030, '1': 2031, '2': 2032, '3': 2033, '4': 2034, '5': 2035,
-            '6': 2036, '7': 2037, '8': 2038, '9': 2039
-        };
-
-        const estimatedYear = yearCodes[yearChar] || null;
-
         return {
             valid: true,
-            wmi: wmi,
-            vds: vds,
-            vis: vis,
-            estimatedYear: estimatedYear,
-            plantCode: plantCode,
-            serialNumber: serialNumber,
-            region: wmi.charAt(0), // First char = region (1-5 = North America)
+            wmi: decoded.wmi,
+            vds: decoded.vds,
+            vis: decoded.vis,
+            estimatedYear: decoded.vehicle.year,
+            make: decoded.vehicle.make,
+            model: decoded.vehicle.model,
+            manufacturer: decoded.manufacturer,
+            country: decoded.country,
+            plantCode: decoded.plantCode,
+            plant: decoded.plant,
+            serialNumber: decoded.serialNumber,
+            region: decoded.region,
             note: 'Basic info extracted from VIN structure. Use decodeVIN() for full details.'
         };
     }
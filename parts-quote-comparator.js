@@ -5,27 +5,46 @@
  * Ranks quotes and recommends best options
  */
 
-const partsStoreDirectory = require('./parts-store-directory.js');
+const { QuoteScoringEngine } = require('./quote-scoring-engine.js');
 
 class PartsQuoteComparator {
-  constructor() {
+  /**
+   * @param {object} options - { settings } shop scoring settings (QuoteScoringEngine.getSettings),
+   *   { jobContext } e.g. { customerWaiting: true, accountType: 'fleet' }
+   */
+  constructor(options = {}) {
     this.quotes = [];
     this.comparisonHistory = [];
+    this.settings = options.settings || QuoteScoringEngine.buildSettings();
+    this.jobContext = options.jobContext || {};
+  }
+
+  /**
+   * Use a shop's scoring settings
+   */
+  useSettings(settings) {
+    this.settings = settings;
+  }
+
+  /**
+   * Set the job context the quotes are scored for
+   */
+  setJobContext(jobContext = {}) {
+    this.jobContext = jobContext;
   }
 
   /**
    * Add a quote to the comparison
    */
   addQuote(quote) {
-    const quoteWithScore = {
+    const quoteWithId = {
       ...quote,
       id: `quote-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-      addedAt: new Date(),
-      score: this.calculateQuoteScore(quote)
+      addedAt: new Date()
     };
 
-    this.quotes.push(quoteWithScore);
-    return quoteWithScore;
+    this.quotes.push(quoteWithId);
+    return { ...quoteWithId, score: this.calculateQuoteScore(quoteWithId) };
   }
 
   /**
@@ -36,74 +55,22 @@ class PartsQuoteComparator {
   }
 
   /**
-   * Calculate a comprehensive score for a quote
+   * Score a quote against the quotes added so far (QuoteScoringEngine)
    */
   calculateQuoteScore(quote) {
-    let score = 0;
-    const weights = {
-      price: 0.35,        // 35% weight on price
-      availability: 0.25, // 25% weight on availability
-      delivery: 0.20,     // 20% weight on delivery time
-      quality: 0.15,      // 15% weight on quality/brand
-      warranty: 0.05      // 5% weight on warranty
-    };
-
-    // Price score (lower is better, normalize to 0-100)
-    if (quote.price) {
-      const priceScore = Math.max(0, 100 - (quote.price / 10));
-      score += priceScore * weights.price;
-    }
-
-    // Availability score
-    const availabilityScores = {
-      'in stock': 100,
-      'limited stock': 70,
-      'special order': 40,
-      'out of stock': 0,
-      'unknown': 30
-    };
-    const availabilityScore = availabilityScores[quote.availability] || 30;
-    score += availabilityScore * weights.availability;
-
-    // Delivery time score (faster is better)
-    if (quote.deliveryTime !== null && quote.deliveryTime !== undefined) {
-      const deliveryScore = Math.max(0, 100 - (quote.deliveryTime * 20));
-      score += deliveryScore * weights.delivery;
-    }
-
-    // Quality/brand score
-    const qualityScores = {
-      'OEM': 100,
-      'OEM Equivalent': 85,
-      'Premium': 90,
-      'Standard': 70,
-      'Economy': 50,
-      'Unknown': 60
-    };
-    const qualityScore = qualityScores[quote.quality] || 60;
-    score += qualityScore * weights.quality;
-
-    // Warranty score
-    if (quote.warranty) {
-      const warrantyScore = 100;
-      score += warrantyScore * weights.warranty;
-    }
-
-    // Store priority bonus (lower priority number = higher priority)
-    const store = partsStoreDirectory.getStoreById(quote.storeId);
-    if (store) {
-      const priorityBonus = (10 - store.priority) * 2;
-      score += priorityBonus;
-    }
-
-    return Math.round(score);
+    return QuoteScoringEngine.scoreQuote(quote, {
+      quotes: this.quotes,
+      jobContext: this.jobContext,
+      settings: this.settings
+    }).total;
   }
 
   /**
    * Get all quotes sorted by score
    */
   getSortedQuotes() {
-    return [...this.quotes].sort((a, b) => b.score - a.score);
+    // Scores are relative to the whole set, so rescore on every read
+    return QuoteScoringEngine.scoreQuotes(this.quotes, this.jobContext, this.settings);
   }
 
   /**
@@ -176,6 +143,7 @@ class PartsQuoteComparator {
     }
 
     const bestQuote = sortedQuotes[0];
+    const scoring = bestQuote.scoring;
     const cheapestQuote = this.getCheapestQuote();
     const fastestQuote = this.getFastestDeliveryQuote();
     const inStockCount = this.getInStockQuotes().length;
@@ -185,10 +153,16 @@ class PartsQuoteComparator {
       bestQuote: {
         storeName: bestQuote.storeName,
         price: bestQuote.price,
+        coreCharge: bestQuote.coreCharge || null,
         availability: bestQuote.availability,
         score: bestQuote.score,
+        eligible: bestQuote.eligible,
+        reasons: QuoteScoringEngine.topReasons(scoring),
         recommendation: '🏆 Best overall option based on price, availability, and quality'
       },
+      profile: scoring.profile,
+      weights: scoring.weights,
+      appliedRules: scoring.appliedRules,
       cheapestQuote: cheapestQuote ? {
         storeName: cheapestQuote.storeName,
         price: cheapestQuote.price,
@@ -199,6 +173,7 @@ class PartsQuoteComparator {
         deliveryTime: fastestQuote.deliveryTime,
         recommendation: '⚡ Fastest delivery'
       } : null,
+      inStockCount,
       inStockSummary: inStockCount > 0 ? {
         message: `${inStockCount} store(s) have the part in stock`
       } : null,
@@ -234,7 +209,11 @@ class PartsQuoteComparator {
       const rankEmoji = rank === 1 ? '🥇' : rank === 2 ? '🥈' : '🥉';
       
       message += `${rankEmoji} ${quote.storeName}\n`;
-      message += `   💵 Price: $${quote.price.toFixed(2)}\n`;
+      message += `   💵 Price: ${quote.price ? `$${quote.price.toFixed(2)}` : 'not quoted'}\n`;
+
+      if (quote.coreCharge) {
+        message += `   ♻️ Core charge: $${quote.coreCharge.toFixed(2)} (refunded when the old part goes back)\n`;
+      }
       message += `   📦 Status: ${quote.availability}\n`;
       
       if (quote.deliveryTime !== null && quote.deliveryTime !== undefined) {
@@ -249,12 +228,34 @@ class PartsQuoteComparator {
         message += `   ✅ Warranty: ${quote.warranty}\n`;
       }
       
-      message += `   📊 Score: ${quote.score}/100\n\n`;
+      message += `   📊 Score: ${quote.score}/100\n`;
+
+      if (!quote.eligible) {
+        message += `   ⛔ ${quote.ineligibleReason}\n`;
+      }
+      message += '\n';
     });
 
+    if (!bestQuote.eligible) {
+      message += `\n⚠️ None of the quotes meet this job's requirements: ${quotes[0].ineligibleReason}.\n`;
+      return message;
+    }
+
     // Overall recommendation
-    message += `\n💡 My recommendation: ${bestQuote.storeName} offers the best overall value at $${bestQuote.price.toFixed(2)}.\n`;
+    message += `\n💡 My recommendation: ${bestQuote.storeName} offers the best overall value${bestQuote.price ? ` at $${bestQuote.price.toFixed(2)}` : ''}.\n`;
+
+    if (bestQuote.reasons.length > 0) {
+      message += `Why: ${bestQuote.reasons.join('; ')}.\n`;
+    }
+
+    if (summary.appliedRules.length > 0) {
+      message += `(${summary.appliedRules.map(rule => rule.description).join('; ')})\n`;
+    }
     
+    if (bestQuote.coreCharge) {
+      message += `There's a $${bestQuote.coreCharge.toFixed(2)} core charge - keep the old part so we get that back.\n`;
+    }
+
     if (bestQuote.availability === 'in stock') {
       message += `It's available right now, so you can get your vehicle back on the road quickly!\n`;
     } else if (bestQuote.deliveryTime) {
@@ -0,0 +1,150 @@
+/**
+ * Parts Return API Endpoints
+ * Cores owed, warranty and wrong-part returns, supplier credits, and the
+ * outstanding core credit report
+ */
+
+const { RETURN_TYPES, RETURN_STATUSES } = require('./parts-return-service.js');
+const { getShopId } = require('./shop-auth-middleware.js');
+
+function sendPartsReturnError(res, error) {
+    if (['Part return not found', 'Purchase order not found'].includes(error.message)) {
+        return res.status(404).json({ success: false, error: error.message });
+    }
+
+    if (/^Return .* is already/.test(error.message)) {
+        return res.status(409).json({ success: false, error: error.message });
+    }
+
+    if (/^(Unknown return type|Unknown purchase order line|A purchase order is required|Line .*: only|Credit amount)/.test(error.message)) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    res.status(500).json({ success: false, error: error.message });
+}
+
+/**
+ * @param {object} app - Express app
+ * @param {PartsReturnService} partsReturns - Parts return service
+ */
+function registerPartsReturnEndpoints(app, partsReturns) {
+    const getUser = (req) => req.body?.by || req.shop?.email || 'Staff';
+
+    /**
+     * GET /api/part-returns/reports/cores
+     * Outstanding core credits per store (optional ?storeId=)
+     */
+    app.get('/api/part-returns/reports/cores', async (req, res) => {
+        try {
+            const report = await partsReturns.getOutstandingCoreReport(getShopId(req), { storeId: req.query.storeId });
+            res.json({ success: true, ...report });
+        } catch (error) {
+            sendPartsReturnError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/part-returns
+     * List returns (optional ?type=core|warranty|wrong_part, ?status=, ?storeId=,
+     * ?workOrderId=, ?purchaseOrderId=, ?outstanding=true)
+     */
+    app.get('/api/part-returns', async (req, res) => {
+        try {
+            const { type, status, storeId, workOrderId, purchaseOrderId, outstanding } = req.query;
+            const returns = await partsReturns.list(getShopId(req), {
+                type,
+                status,
+                storeId,
+                workOrderId,
+                purchaseOrderId,
+                outstanding: outstanding === 'true'
+            });
+            res.json({ success: true, returns, total: returns.length, types: RETURN_TYPES, statuses: RETURN_STATUSES });
+        } catch (error) {
+            sendPartsReturnError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/part-returns/:id
+     * Get a return
+     */
+    app.get('/api/part-returns/:id', async (req, res) => {
+        try {
+            const partReturn = await partsReturns.get(getShopId(req), req.params.id);
+            res.json({ success: true, partReturn });
+        } catch (error) {
+            sendPartsReturnError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/part-returns
+     * Start a return against a PO line (warranty claims, cores entered by hand, ...)
+     * Body: { type, purchaseOrderId, poLineId, quantity, amount, reason, warrantyWorkOrderId }
+     */
+    app.post('/api/part-returns', async (req, res) => {
+        try {
+            const { type, purchaseOrderId, poLineId, quantity, amount, reason, warrantyWorkOrderId } = req.body;
+            const partReturn = await partsReturns.create(getShopId(req), {
+                type,
+                purchaseOrderId,
+                poLineId,
+                quantity,
+                amount,
+                reason,
+                warrantyWorkOrderId,
+                by: getUser(req)
+            });
+            res.status(201).json({ success: true, partReturn });
+        } catch (error) {
+            sendPartsReturnError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/part-returns/:id/returned
+     * The part went back to the supplier
+     * Body: { reference (RMA / return slip), note }
+     */
+    app.post('/api/part-returns/:id/returned', async (req, res) => {
+        try {
+            const { reference, note } = req.body;
+            const partReturn = await partsReturns.markReturned(getShopId(req), req.params.id, { reference, note, by: getUser(req) });
+            res.json({ success: true, partReturn });
+        } catch (error) {
+            sendPartsReturnError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/part-returns/:id/credit
+     * The supplier's credit came through
+     * Body: { amount (defaults to the expected credit), creditMemo, note }
+     */
+    app.post('/api/part-returns/:id/credit', async (req, res) => {
+        try {
+            const { amount, creditMemo, note } = req.body;
+            const partReturn = await partsReturns.recordCredit(getShopId(req), req.params.id, { amount, creditMemo, note, by: getUser(req) });
+            res.json({ success: true, partReturn });
+        } catch (error) {
+            sendPartsReturnError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/part-returns/:id/reject
+     * The supplier refused the return
+     * Body: { reason }
+     */
+    app.post('/api/part-returns/:id/reject', async (req, res) => {
+        try {
+            const partReturn = await partsReturns.reject(getShopId(req), req.params.id, { reason: req.body.reason, by: getUser(req) });
+            res.json({ success: true, partReturn });
+        } catch (error) {
+            sendPartsReturnError(res, error);
+        }
+    });
+}
+
+module.exports = registerPartsReturnEndpoints;
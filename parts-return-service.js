@@ -0,0 +1,395 @@
+/**
+ * Parts Return Service
+ * Core charges, warranty returns and wrong-part returns owed back to
+ * suppliers, kept per shop in 'partReturns'
+ *
+ * Every record points at the PO line it came from (and so the work order and
+ * store), and carries the credit the shop expects back:
+ *   core        - created when a part with a core charge is received; the
+ *                 shop owes the old part and is owed the core charge
+ *   warranty    - a failed part going back under the supplier's warranty
+ *   wrong_part  - logged by PurchaseOrderService when receiving the wrong part
+ *
+ * Status flow:
+ *   pending (owed / not yet sent back) → returned (with the driver or at the
+ *   counter) → credited, or rejected by the supplier
+ */
+
+const { ShopRouter } = require('./firebase-config');
+const admin = require('firebase-admin');
+const { PartsStoreDirectory } = require('./parts-store-directory.js');
+
+const RETURN_TYPES = ['core', 'warranty', 'wrong_part'];
+const RETURN_STATUSES = ['pending', 'returned', 'credited', 'rejected'];
+
+// Still waiting on something from the shop or the supplier
+const OUTSTANDING_STATUSES = ['pending', 'returned'];
+
+function round2(value) {
+  return Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+}
+
+class PartsReturnService {
+  /**
+   * @param {object} options - { directory (PartsStoreDirectory) }
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || new PartsStoreDirectory();
+  }
+
+  /**
+   * Core liability for parts received with a core charge
+   * @param {string} shopId - Shop ID
+   * @param {object} purchaseOrder - PO the parts arrived on
+   * @param {object} line - PO line (with coreCharge)
+   * @param {number} quantity - Units received
+   * @param {string} by - Who received them
+   * @returns {Promise<object|null>} Core record, or null when the line has no core
+   */
+  async recordCoreLiability(shopId, purchaseOrder, line, quantity, by = 'Staff') {
+    if (!(Number(line.coreCharge) > 0) || !(quantity > 0)) {
+      return null;
+    }
+
+    return this.create(shopId, {
+      type: 'core',
+      purchaseOrder,
+      poLineId: line.id,
+      quantity,
+      amount: line.coreCharge,
+      by
+    });
+  }
+
+  /**
+   * A received part went back before it was installed: the shop no longer
+   * owes its core
+   * @param {string} shopId - Shop ID
+   * @param {string} purchaseOrderId - PO ID
+   * @param {string} poLineId - PO line ID
+   * @param {number} quantity - Units sent back
+   * @param {string} by - Who sent them back
+   * @returns {Promise<number>} Units released
+   */
+  async releaseCoreLiability(shopId, purchaseOrderId, poLineId, quantity, by = 'Staff') {
+    try {
+      const cores = (await this.list(shopId, { type: 'core', status: 'pending', purchaseOrderId }))
+        .filter(core => core.poLineId === poLineId);
+
+      let remaining = quantity;
+      for (const core of cores) {
+        if (remaining <= 0) break;
+
+        const released = Math.min(core.quantity, remaining);
+        remaining -= released;
+        const ref = ShopRouter.getShopDocument(shopId, 'partReturns', core.id);
+
+        if (released === core.quantity) {
+          await ref.delete();
+        } else {
+          const left = core.quantity - released;
+          await ref.update({
+            quantity: left,
+            expectedCredit: round2(core.amount * left),
+            history: admin.firestore.FieldValue.arrayUnion({
+              status: 'pending',
+              by,
+              at: new Date().toISOString(),
+              note: `${released} released - part returned before install`
+            }),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+        }
+      }
+
+      return quantity - remaining;
+    } catch (error) {
+      console.error('Error releasing core liability:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start a return
+   * @param {string} shopId - Shop ID
+   * @param {object} input - { type, purchaseOrderId | purchaseOrder, poLineId, quantity, amount (per unit),
+   *   reason, receivedPartNumber, warrantyWorkOrderId (comeback job), id, by }
+   *   amount defaults to the core charge for cores and the unit cost otherwise
+   * @returns {Promise<object>} Return record
+   */
+  async create(shopId, input = {}) {
+    try {
+      const { type, poLineId, reason = null, by = 'Staff' } = input;
+      if (!RETURN_TYPES.includes(type)) {
+        throw new Error(`Unknown return type: ${type}. Expected one of: ${RETURN_TYPES.join(', ')}`);
+      }
+
+      const purchaseOrder = input.purchaseOrder || await this.getPurchaseOrder(shopId, input.purchaseOrderId);
+      const line = purchaseOrder.lines.find(candidate => candidate.id === poLineId || (candidate.lineId && candidate.lineId === poLineId));
+      if (!line) {
+        throw new Error(`Unknown purchase order line: ${poLineId}`);
+      }
+
+      const quantity = Number(input.quantity) || 1;
+      if (type === 'warranty' && quantity > line.quantityReceived) {
+        throw new Error(`Line ${line.id}: only ${line.quantityReceived} received`);
+      }
+
+      const amount = round2(input.amount ?? (type === 'core' ? line.coreCharge : line.unitCost) ?? 0);
+      const store = await this.directory.find(shopId, purchaseOrder.storeId);
+
+      const id = input.id || `RET-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
+      const record = {
+        type,
+        status: 'pending',
+        purchaseOrderId: purchaseOrder.id,
+        poNumber: purchaseOrder.poNumber || purchaseOrder.id,
+        poLineId: line.id,
+        workOrderId: purchaseOrder.workOrderId,
+        warrantyWorkOrderId: input.warrantyWorkOrderId || null,
+        storeId: purchaseOrder.storeId || null,
+        storeName: purchaseOrder.storeName || store?.name || null,
+        partNumber: line.partNumber || null,
+        description: line.description || null,
+        receivedPartNumber: input.receivedPartNumber || null,
+        quantity,
+        amount,
+        expectedCredit: round2(amount * quantity),
+        creditAmount: null,
+        creditMemo: null,
+        reference: null,
+        reason,
+        history: [{ status: 'pending', by, at: new Date().toISOString(), ...(reason ? { note: reason } : {}) }],
+        createdBy: by,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      await ShopRouter.getShopDocument(shopId, 'partReturns', id).set(record);
+
+      const label = type === 'core' ? 'Core owed' : `${type.replace('_', ' ')} return`;
+      console.log(`♻️ ${label}: ${record.partNumber || record.description} x${quantity} to ${record.storeName} ($${record.expectedCredit.toFixed(2)})`);
+      return this.get(shopId, id);
+    } catch (error) {
+      console.error('Error creating part return:', error);
+      throw error;
+    }
+  }
+
+  async getPurchaseOrder(shopId, purchaseOrderId) {
+    if (!purchaseOrderId) {
+      throw new Error('A purchase order is required');
+    }
+
+    const doc = await ShopRouter.getShopDocument(shopId, 'purchaseOrders', purchaseOrderId).get();
+    if (!doc.exists) {
+      throw new Error('Purchase order not found');
+    }
+    return { id: doc.id, ...doc.data() };
+  }
+
+  /**
+   * Get a return
+   * @param {string} shopId - Shop ID
+   * @param {string} returnId - Return ID
+   * @returns {Promise<object>}
+   */
+  async get(shopId, returnId) {
+    try {
+      const doc = await ShopRouter.getShopDocument(shopId, 'partReturns', returnId).get();
+      if (!doc.exists) {
+        throw new Error('Part return not found');
+      }
+      return { id: doc.id, ...doc.data() };
+    } catch (error) {
+      console.error('Error getting part return:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List returns, newest first
+   * @param {string} shopId - Shop ID
+   * @param {object} filters - { type, status, storeId, workOrderId, purchaseOrderId, outstanding }
+   * @returns {Promise<Array>}
+   */
+  async list(shopId, filters = {}) {
+    try {
+      let query = ShopRouter.getShopCollection(shopId, 'partReturns');
+
+      ['type', 'status', 'storeId', 'workOrderId', 'purchaseOrderId'].forEach(field => {
+        if (filters[field]) {
+          query = query.where(field, '==', filters[field]);
+        }
+      });
+
+      const snapshot = await query.get();
+      let returns = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+      if (filters.outstanding) {
+        returns = returns.filter(record => OUTSTANDING_STATUSES.includes(record.status));
+      }
+
+      return returns.sort((a, b) => b.id.localeCompare(a.id));
+    } catch (error) {
+      console.error('Error listing part returns:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The part went back to the supplier
+   * @param {string} shopId - Shop ID
+   * @param {string} returnId - Return ID
+   * @param {object} details - { reference (RMA / return slip), by, note }
+   * @returns {Promise<object>}
+   */
+  async markReturned(shopId, returnId, details = {}) {
+    return this.changeStatus(shopId, returnId, 'returned', ['pending'], details, {
+      reference: details.reference || null,
+      returnedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  /**
+   * The supplier credited the shop. A credit below what was expected is kept
+   * as a shortfall.
+   * @param {string} shopId - Shop ID
+   * @param {string} returnId - Return ID
+   * @param {object} details - { amount, creditMemo, by, note }
+   * @returns {Promise<object>}
+   */
+  async recordCredit(shopId, returnId, details = {}) {
+    const record = await this.get(shopId, returnId);
+    const creditAmount = round2(details.amount ?? record.expectedCredit);
+    if (creditAmount < 0) {
+      throw new Error('Credit amount cannot be negative');
+    }
+
+    return this.changeStatus(shopId, returnId, 'credited', ['pending', 'returned'], details, {
+      creditAmount,
+      creditMemo: details.creditMemo || null,
+      shortfall: round2(Math.max(0, record.expectedCredit - creditAmount)),
+      creditedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  /**
+   * The supplier refused the return (damaged core, warranty denied, ...)
+   * @param {string} shopId - Shop ID
+   * @param {string} returnId - Return ID
+   * @param {object} details - { reason, by }
+   * @returns {Promise<object>}
+   */
+  async reject(shopId, returnId, details = {}) {
+    return this.changeStatus(shopId, returnId, 'rejected', ['pending', 'returned'], { ...details, note: details.reason }, {
+      rejectionReason: details.reason || null,
+      rejectedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  async changeStatus(shopId, returnId, status, from, details, fields) {
+    try {
+      const record = await this.get(shopId, returnId);
+      if (!from.includes(record.status)) {
+        throw new Error(`Return ${returnId} is already ${record.status}`);
+      }
+
+      await ShopRouter.getShopDocument(shopId, 'partReturns', returnId).update({
+        ...fields,
+        status,
+        history: admin.firestore.FieldValue.arrayUnion({
+          status,
+          by: details.by || 'Staff',
+          at: new Date().toISOString(),
+          ...(details.note ? { note: details.note } : {})
+        }),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return this.get(shopId, returnId);
+    } catch (error) {
+      console.error('Error updating part return:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Outstanding core credits per store: cores still in the shop and cores
+   * sent back but not yet credited
+   * @param {string} shopId - Shop ID
+   * @param {object} options - { storeId }
+   * @returns {Promise<object>} { stores: [...], totals }
+   */
+  async getOutstandingCoreReport(shopId, options = {}) {
+    try {
+      const cores = await this.list(shopId, { type: 'core', storeId: options.storeId, outstanding: true });
+      const directory = await this.directory.getStoreMap(shopId);
+      const byStore = new Map();
+
+      cores.forEach(core => {
+        const key = core.storeId || core.storeName || 'unknown';
+        if (!byStore.has(key)) {
+          const store = core.storeId ? directory[core.storeId] : null;
+          byStore.set(key, {
+            storeId: core.storeId,
+            storeName: store?.name || core.storeName || 'Unknown store',
+            phone: store?.phone || null,
+            toReturn: { count: 0, amount: 0 },
+            awaitingCredit: { count: 0, amount: 0 },
+            totalOutstanding: 0,
+            oldest: null,
+            cores: []
+          });
+        }
+
+        const entry = byStore.get(key);
+        const bucket = core.status === 'pending' ? entry.toReturn : entry.awaitingCredit;
+        bucket.count += core.quantity;
+        bucket.amount = round2(bucket.amount + core.expectedCredit);
+        entry.totalOutstanding = round2(entry.totalOutstanding + core.expectedCredit);
+
+        const openedAt = core.history?.[0]?.at || null;
+        if (openedAt && (!entry.oldest || openedAt < entry.oldest)) {
+          entry.oldest = openedAt;
+        }
+
+        entry.cores.push({
+          id: core.id,
+          status: core.status,
+          partNumber: core.partNumber,
+          description: core.description,
+          quantity: core.quantity,
+          expectedCredit: core.expectedCredit,
+          purchaseOrderId: core.purchaseOrderId,
+          workOrderId: core.workOrderId,
+          reference: core.reference,
+          openedAt
+        });
+      });
+
+      const stores = Array.from(byStore.values()).sort((a, b) => b.totalOutstanding - a.totalOutstanding);
+
+      return {
+        stores,
+        totals: {
+          stores: stores.length,
+          cores: stores.reduce((sum, store) => sum + store.toReturn.count + store.awaitingCredit.count, 0),
+          toReturn: round2(stores.reduce((sum, store) => sum + store.toReturn.amount, 0)),
+          awaitingCredit: round2(stores.reduce((sum, store) => sum + store.awaitingCredit.amount, 0)),
+          outstanding: round2(stores.reduce((sum, store) => sum + store.totalOutstanding, 0))
+        },
+        generatedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error building core credit report:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  PartsReturnService,
+  RETURN_TYPES,
+  RETURN_STATUSES
+};
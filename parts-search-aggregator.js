@@ -0,0 +1,337 @@
+/**
+ * Parts Search Aggregator
+ *
+ * Fans one parts query out to every registered supplier adapter (Nexpart API,
+ * Nexpart scraper, ALEX phone quotes, manual entry), normalizes what comes back
+ * to a single part-quote shape and merges duplicates.
+ *
+ * Part quote:
+ *   { id, supplier, sources, storeId, storeName, brand, partNumber, description,
+ *     cost, list, core, availability, quantityOnHand, etaDays, eta, warranty,
+ *     quality, quotedAt }
+ *
+ * cost is what the shop pays per unit, list the supplier's list/retail price and
+ * core the refundable core charge. availability is one of AVAILABILITY; etaDays
+ * is 0 for same day, null when unknown.
+ *
+ * Adapter: { id, name, priority, search(query) } where search resolves to an
+ * array of raw quotes or { quotes, pending }. Lower priority wins when two
+ * adapters report the same part at the same store.
+ */
+
+const { PartsStoreDirectory } = require('./parts-store-directory.js');
+
+const AVAILABILITY = ['in stock', 'limited stock', 'special order', 'out of stock', 'unknown'];
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// Fields merged from lower-priority duplicates when the winner lacks them
+const MERGE_FIELDS = [
+  'storeName', 'brand', 'partNumber', 'description', 'cost', 'list', 'core',
+  'quantityOnHand', 'etaDays', 'eta', 'warranty', 'quality'
+];
+
+function toAmount(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const amount = typeof value === 'number' ? value : parseFloat(String(value).replace(/[$,\s]/g, ''));
+  return Number.isFinite(amount) ? Math.round(amount * 100) / 100 : null;
+}
+
+function firstDefined(...values) {
+  return values.find(value => value !== null && value !== undefined && value !== '');
+}
+
+/**
+ * Normalize free-text availability ("In Stock - 3 Available", "Warehouse -
+ * Next Day", "Check availability") to one of AVAILABILITY plus any quantity
+ * or delivery days it mentions
+ * @param {string} text - Availability text
+ * @returns {object} { availability, quantityOnHand, etaDays }
+ */
+function normalizeAvailability(text) {
+  const value = String(text || '').trim().toLowerCase();
+  const result = { availability: 'unknown', quantityOnHand: null, etaDays: null };
+
+  if (!value) {
+    return result;
+  }
+
+  const quantity = value.match(/(\d+)\s*(?:available|in stock|on hand|left)|(?:qty|quantity)[:\s]*(\d+)/);
+  if (quantity) {
+    result.quantityOnHand = parseInt(quantity[1] || quantity[2]);
+  }
+
+  const days = value.match(/(\d+)\s*(?:business\s+)?days?/);
+  if (days) {
+    result.etaDays = parseInt(days[1]);
+  } else if (/next day|overnight|tomorrow/.test(value)) {
+    result.etaDays = 1;
+  } else if (/same day|today|next truck/.test(value)) {
+    result.etaDays = 0;
+  }
+
+  if (AVAILABILITY.includes(value)) {
+    result.availability = value;
+  } else if (/out of stock|unavailable|not available|sold out|no stock|discontinued/.test(value) || result.quantityOnHand === 0) {
+    result.availability = 'out of stock';
+  } else if (/special order|warehouse|ships|backorder|\bdc\b|hub|transfer/.test(value) || result.etaDays > 0) {
+    result.availability = 'special order';
+  } else if (/last one|limited|low stock|only \d+ left/.test(value)) {
+    result.availability = 'limited stock';
+  } else if (/in stock|available|on hand|on the shelf/.test(value) || result.quantityOnHand > 0) {
+    result.availability = 'in stock';
+  }
+
+  if (result.etaDays === null && ['in stock', 'limited stock'].includes(result.availability)) {
+    result.etaDays = 0;
+  }
+
+  return result;
+}
+
+/**
+ * Map any supplier's quote shape onto the part-quote schema. Understands
+ * NexpartApiService (price/listPrice/coreCharge/manufacturer), the Nexpart
+ * scraper (price/availability text), PartsTranscriptParser quotes
+ * (unitPrice/coreCharge/eta.days) and manual entries.
+ * @param {object} raw - Supplier quote
+ * @param {object} defaults - { supplier, storeId, storeName, quotedAt, stores (directory entries by ID) }
+ * @returns {object} Part quote
+ */
+function normalizeQuote(raw, defaults = {}) {
+  const stock = normalizeAvailability(firstDefined(raw.availability, raw.stock));
+  const storeId = firstDefined(raw.storeId, defaults.storeId) || null;
+  const store = storeId ? defaults.stores?.[storeId] : null;
+  const quotedAt = firstDefined(raw.quotedAt, raw.timestamp, defaults.quotedAt) || new Date().toISOString();
+
+  const quantityOnHand = firstDefined(
+    Number.isInteger(raw.quantityOnHand) ? raw.quantityOnHand : null,
+    Number.isInteger(raw.quantity) && raw.quantity > 0 ? raw.quantity : null,
+    stock.quantityOnHand
+  );
+  const etaDays = firstDefined(raw.etaDays, raw.eta?.days, raw.deliveryTime, stock.etaDays);
+
+  let eta = typeof raw.eta === 'string' ? raw.eta : null;
+  if (!eta && Number.isFinite(etaDays)) {
+    const date = new Date(quotedAt);
+    date.setDate(date.getDate() + etaDays);
+    eta = date.toISOString().split('T')[0];
+  }
+
+  const quote = {
+    supplier: defaults.supplier || raw.supplier || 'unknown',
+    storeId,
+    storeName: firstDefined(raw.storeName, defaults.storeName, store?.name) || null,
+    brand: firstDefined(raw.brand, raw.manufacturer) || null,
+    partNumber: firstDefined(raw.partNumber) ? String(raw.partNumber).trim() : null,
+    description: firstDefined(raw.description, raw.partName) || null,
+    cost: toAmount(firstDefined(raw.cost, raw.unitPrice, raw.price)),
+    list: toAmount(firstDefined(raw.list, raw.listPrice, raw.msrp)),
+    core: toAmount(firstDefined(raw.core, raw.coreCharge)),
+    availability: AVAILABILITY.includes(raw.availability) ? raw.availability : stock.availability,
+    quantityOnHand: quantityOnHand ?? null,
+    etaDays: Number.isFinite(etaDays) ? etaDays : null,
+    eta,
+    warranty: firstDefined(raw.warranty) ? String(raw.warranty) : null,
+    quality: raw.quality && raw.quality !== 'Unknown' ? raw.quality : null,
+    quotedAt
+  };
+
+  // The scraper fills blanks with placeholders - don't let them look like data
+  if (/^PART-\d+$/.test(quote.partNumber || '')) quote.partNumber = null;
+  if (quote.description === 'Part description') quote.description = null;
+  if (quote.cost === 0) quote.cost = null;
+  if (quote.list === 0) quote.list = null;
+
+  return quote;
+}
+
+/**
+ * Part quote in the shape PartsQuoteComparator.addQuote and SmartQuoteSelector expect
+ */
+function toComparatorQuote(quote) {
+  return {
+    storeId: quote.storeId,
+    storeName: quote.storeName || quote.supplier,
+    partNumber: quote.partNumber,
+    brand: quote.brand,
+    price: quote.cost,
+    coreCharge: quote.core,
+    availability: quote.availability,
+    deliveryTime: quote.etaDays,
+    quality: quote.quality || 'Unknown',
+    warranty: quote.warranty
+  };
+}
+
+function normalizeText(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Two quotes are the same offer when they're the same part from the same store
+ */
+function dedupeKey(quote) {
+  const store = quote.storeId || normalizeText(quote.storeName) || quote.supplier;
+  const part = quote.partNumber
+    ? `${normalizeText(quote.brand)}#${normalizeText(quote.partNumber)}`
+    : `${normalizeText(quote.description)}@${quote.cost}`;
+  return `${store}|${part}`;
+}
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class PartsSearchAggregator {
+  /**
+   * @param {object} options - { adapters, timeoutMs, directory }
+   */
+  constructor(options = {}) {
+    this.adapters = new Map();
+    this.directory = options.directory || new PartsStoreDirectory();
+    this.timeoutMs = Number(options.timeoutMs || process.env.PARTS_SEARCH_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+
+    (options.adapters || []).forEach(adapter => this.register(adapter));
+  }
+
+  /**
+   * Add a supplier adapter (replaces one with the same id)
+   */
+  register(adapter) {
+    if (!adapter?.id || typeof adapter.search !== 'function') {
+      throw new Error('Supplier adapter needs an id and a search(query) method');
+    }
+
+    this.adapters.set(adapter.id, adapter);
+    console.log(`🔌 Parts supplier registered: ${adapter.name || adapter.id}`);
+    return adapter;
+  }
+
+  getSuppliers() {
+    return Array.from(this.adapters.values()).map(adapter => ({
+      id: adapter.id,
+      name: adapter.name || adapter.id,
+      priority: adapter.priority ?? 50
+    }));
+  }
+
+  /**
+   * Search every supplier (or the ones named in options.suppliers)
+   * @param {object} query - { shopId, partName, partNumber, year, make, model, storeIds, callStores }
+   * @param {object} options - { suppliers, timeoutMs }
+   * @returns {Promise<object>} { query, quotes, suppliers, pending, searchedAt }
+   */
+  async search(query, options = {}) {
+    if (!query.partName && !query.partNumber) {
+      throw new Error('A part name or part number is required');
+    }
+
+    const requested = options.suppliers?.length ? options.suppliers : Array.from(this.adapters.keys());
+    const unknown = requested.filter(id => !this.adapters.has(id));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown parts supplier: ${unknown.join(', ')}`);
+    }
+
+    const adapters = requested.map(id => this.adapters.get(id));
+    const timeoutMs = Number(options.timeoutMs) || this.timeoutMs;
+    const searchedAt = new Date().toISOString();
+    const stores = await this.directory.getStoreMap(query.shopId || 'default').catch(() => ({}));
+
+    console.log(`🔍 Parts search "${query.partNumber || query.partName}" across ${adapters.length} suppliers`);
+
+    const outcomes = await Promise.all(adapters.map(async (adapter) => {
+      const started = Date.now();
+      try {
+        const result = await withTimeout(Promise.resolve(adapter.search(query)), timeoutMs, adapter.name || adapter.id);
+        const rawQuotes = Array.isArray(result) ? result : (result?.quotes || []);
+
+        return {
+          adapter,
+          quotes: rawQuotes.map(raw => normalizeQuote(raw, { supplier: adapter.id, quotedAt: searchedAt, stores })),
+          pending: Array.isArray(result) ? [] : (result?.pending || []),
+          status: { id: adapter.id, status: 'ok', count: rawQuotes.length, ms: Date.now() - started }
+        };
+      } catch (error) {
+        console.error(`Error searching ${adapter.id}:`, error.message);
+        return {
+          adapter,
+          quotes: [],
+          pending: [],
+          status: {
+            id: adapter.id,
+            status: /timed out/.test(error.message) ? 'timeout' : 'error',
+            count: 0,
+            ms: Date.now() - started,
+            error: error.message
+          }
+        };
+      }
+    }));
+
+    const quotes = PartsSearchAggregator.merge(outcomes.flatMap(outcome =>
+      outcome.quotes.map(quote => ({ quote, priority: outcome.adapter.priority ?? 50 }))
+    ));
+
+    return {
+      query,
+      quotes,
+      total: quotes.length,
+      suppliers: outcomes.map(outcome => outcome.status),
+      pending: outcomes.flatMap(outcome => outcome.pending),
+      searchedAt
+    };
+  }
+
+  /**
+   * Collapse duplicate offers: the highest-priority adapter's quote wins and
+   * lower-priority duplicates fill its blanks. Sorted cheapest first, quotes
+   * without a price last.
+   * @param {Array} entries - [{ quote, priority }]
+   * @returns {Array} Part quotes
+   */
+  static merge(entries) {
+    const merged = new Map();
+
+    [...entries]
+      .sort((a, b) => a.priority - b.priority)
+      .forEach(({ quote }) => {
+        const key = dedupeKey(quote);
+        const existing = merged.get(key);
+
+        if (!existing) {
+          merged.set(key, { ...quote, id: key, sources: [quote.supplier] });
+          return;
+        }
+
+        MERGE_FIELDS.forEach(field => {
+          if (existing[field] === null || existing[field] === undefined) {
+            existing[field] = quote[field];
+          }
+        });
+        if (existing.availability === 'unknown') existing.availability = quote.availability;
+        if (!existing.sources.includes(quote.supplier)) existing.sources.push(quote.supplier);
+      });
+
+    return Array.from(merged.values()).sort((a, b) => {
+      if (a.cost === null) return b.cost === null ? 0 : 1;
+      if (b.cost === null) return -1;
+      return a.cost - b.cost;
+    });
+  }
+}
+
+module.exports = {
+  PartsSearchAggregator,
+  AVAILABILITY,
+  normalizeQuote,
+  normalizeAvailability,
+  toComparatorQuote
+};
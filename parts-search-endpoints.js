@@ -0,0 +1,133 @@
+/**
+ * Parts Search API Endpoints
+ * One parts query across every supplier (Nexpart, ALEX phone quotes, manual
+ * entry), returned as merged part quotes
+ */
+
+const { toComparatorQuote } = require('./parts-search-aggregator.js');
+const { getShopId } = require('./shop-auth-middleware.js');
+
+function sendPartsSearchError(res, error) {
+    if (error.message === 'Part quote not found') {
+        return res.status(404).json({ success: false, error: error.message });
+    }
+
+    if (/^(A part name or part number is required|A store is required|Unknown parts supplier)/.test(error.message)) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    res.status(500).json({ success: false, error: error.message });
+}
+
+/**
+ * Body/query lists arrive as arrays or comma-separated strings
+ */
+function toList(value) {
+    if (!value) return [];
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+}
+
+/**
+ * @param {object} app - Express app
+ * @param {PartsSearchAggregator} aggregator - Aggregator with the shop's supplier adapters
+ * @param {ManualQuoteAdapter} manualQuotes - Manual quote store (optional)
+ */
+function registerPartsSearchEndpoints(app, aggregator, manualQuotes = null) {
+
+    /**
+     * GET /api/parts/suppliers
+     * Registered supplier adapters
+     */
+    app.get('/api/parts/suppliers', (req, res) => {
+        res.json({ success: true, suppliers: aggregator.getSuppliers() });
+    });
+
+    /**
+     * POST /api/parts/search
+     * Search all (or some) suppliers for a part
+     * Body: { partName | partNumber, year, make, model (or vehicle: { year, make, model }),
+     *   suppliers, storeIds, callStores, timeoutMs }
+     * callStores: store IDs ALEX should phone now (results arrive as phone quotes later)
+     */
+    app.post('/api/parts/search', async (req, res) => {
+        try {
+            const { partName, partNumber, vehicle = {}, timeoutMs } = req.body;
+            const query = {
+                shopId: getShopId(req),
+                partName: partName || null,
+                partNumber: partNumber || null,
+                year: req.body.year || vehicle.year || null,
+                make: req.body.make || vehicle.make || null,
+                model: req.body.model || vehicle.model || null,
+                storeIds: toList(req.body.storeIds),
+                callStores: toList(req.body.callStores)
+            };
+
+            const result = await aggregator.search(query, { suppliers: toList(req.body.suppliers), timeoutMs });
+            res.json({
+                success: true,
+                ...result,
+                // Same quotes in the shape PartsQuoteComparator / SmartQuoteSelector take
+                comparatorQuotes: result.quotes.map(toComparatorQuote)
+            });
+        } catch (error) {
+            sendPartsSearchError(res, error);
+        }
+    });
+
+    if (!manualQuotes) {
+        return;
+    }
+
+    /**
+     * GET /api/parts/quotes
+     * Manually entered quotes, newest first
+     * Query: ?partName=, ?partNumber=, ?year=&make=&model= to filter
+     */
+    app.get('/api/parts/quotes', async (req, res) => {
+        try {
+            const { partName, partNumber, year, make, model } = req.query;
+            const query = partName || partNumber ? { partName, partNumber, year, make, model } : null;
+            const quotes = await manualQuotes.listQuotes(getShopId(req), query);
+            res.json({ success: true, quotes, total: quotes.length });
+        } catch (error) {
+            sendPartsSearchError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/parts/quotes
+     * Enter a quote by hand (counter price, supplier rep, ...)
+     * Body: { storeId | storeName, partName | partNumber, brand, cost, list, core,
+     *   availability, etaDays, warranty, quality, year, make, model, notes }
+     */
+    app.post('/api/parts/quotes', async (req, res) => {
+        try {
+            const { shopId, ...input } = req.body;
+            const quote = await manualQuotes.addQuote(getShopId(req), {
+                ...input,
+                enteredBy: input.enteredBy || req.shop?.email || null
+            });
+            res.status(201).json({ success: true, quote });
+        } catch (error) {
+            sendPartsSearchError(res, error);
+        }
+    });
+
+    /**
+     * DELETE /api/parts/quotes/:id
+     * Remove a manual quote
+     */
+    app.delete('/api/parts/quotes/:id', async (req, res) => {
+        try {
+            await manualQuotes.removeQuote(getShopId(req), req.params.id);
+            res.json({ success: true });
+        } catch (error) {
+            sendPartsSearchError(res, error);
+        }
+    });
+}
+
+module.exports = registerPartsSearchEndpoints;
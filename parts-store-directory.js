@@ -1,224 +1,488 @@
 /**
  * Parts Store Directory
- * 
- * Database of local parts stores with phone numbers and information
- * ALEX will call these stores to get pricing and availability
+ *
+ * Each shop's parts stores, kept per shop in 'partsStores': phone and email,
+ * account number, opening hours, delivery zones, counter contacts and how the
+ * store has performed on past quotes and orders
+ * ALEX calls these stores to get pricing and availability
+ *
+ * Hours are per weekday in 24h "HH:MM" in the store's timezone (default
+ * SHOP_TIMEZONE). Stores without hours are treated as always open. Closed
+ * stores are left out of getCallableStores / getTopStores.
+ *
+ * Performance counters are bumped by the calling, ordering and purchase order
+ * services; stores are ranked by fill rate (had the part when asked, filled
+ * the order without a backorder), then response time, then the shop's own
+ * priority.
  */
 
-const partsStoreDirectory = [
-  {
-    id: 'oreilly-1',
-    name: "O'Reilly Auto Parts",
-    location: 'Main Street',
-    address: '123 Main Street, Anytown, USA',
-    phone: '+15551234567',
-    hours: '7:30 AM - 9:00 PM',
-    specialty: 'General auto parts',
-    notes: 'Good stock, friendly staff, often has local discounts',
-    priority: 1
-  },
-  {
-    id: 'autozone-1',
-    name: 'AutoZone',
-    location: 'Downtown',
-    address: '456 Oak Avenue, Anytown, USA',
-    phone: '+15559876543',
-    hours: '7:00 AM - 10:00 PM',
-    specialty: 'Quick delivery, wide selection',
-    notes: 'Can special order hard-to-find parts',
-    priority: 2
-  },
-  {
-    id: 'napa-1',
-    name: 'NAPA Auto Parts',
-    location: 'Industrial District',
-    address: '789 Elm Street, Anytown, USA',
-    phone: '+15551112222',
-    hours: '7:00 AM - 8:00 PM',
-    specialty: 'Professional quality parts',
-    notes: 'Often has the best prices on OEM-equivalent parts',
-    priority: 3
-  },
-  {
-    id: 'advance-1',
-    name: 'Advance Auto Parts',
-    location: 'Highway 101',
-    address: '321 Maple Drive, Anytown, USA',
-    phone: '+15553334444',
-    hours: '8:00 AM - 9:00 PM',
-    specialty: 'Good warranties',
-    notes: 'Price matching available',
-    priority: 4
-  },
-  {
-    id: 'carquest-1',
-    name: 'Carquest',
-    location: 'West Side',
-    address: '654 Pine Road, Anytown, USA',
-    phone: '+15555556666',
-    hours: '7:30 AM - 7:30 PM',
-    specialty: 'Professional parts',
-    notes: 'Good for older and specialty vehicles',
-    priority: 5
-  },
-  {
-    id: 'rockauto-1',
-    name: "RockAuto (Online)",
-    location: 'Online Only',
-    address: 'N/A',
-    phone: '+18006578785',
-    hours: '24/7 (online)',
-    specialty: 'Huge selection, low prices',
-    notes: 'Online only, 3-5 day shipping, no phone quotes available',
-    priority: 6,
-    isOnlineOnly: true
-  }
+const { ShopRouter } = require('./firebase-config');
+const admin = require('firebase-admin');
+const { SHOP_TIMEZONE: DEFAULT_TIMEZONE } = require('./shop-time');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Fields a store can be created or updated with
+const STORE_FIELDS = [
+  'name', 'location', 'address', 'phone', 'email', 'accountNumber', 'hours', 'timezone',
+  'specialty', 'notes', 'priority', 'isOnlineOnly', 'active', 'deliveryZones', 'contacts',
+  'discountRate', 'deliveryTime'
 ];
 
-/**
- * Get all parts stores
- */
-function getAllStores() {
-  return partsStoreDirectory;
-}
+const EMPTY_PERFORMANCE = {
+  quoteRequests: 0,
+  quotesAnswered: 0,
+  quotesWithPart: 0,
+  responses: 0,
+  responseSecondsTotal: 0,
+  linesOrdered: 0,
+  linesFilled: 0,
+  lastQuoteAt: null,
+  lastOrderAt: null
+};
 
-/**
- * Get store by ID
- */
-function getStoreById(storeId) {
-  return partsStoreDirectory.find(store => store.id === storeId);
-}
+// Ranking weights and the prior a store without history starts from
+const RANK_WEIGHTS = { fillRate: 0.5, response: 0.3, priority: 0.2 };
+const PRIOR_FILL_RATE = 0.75;
+const PRIOR_SAMPLES = 3;
 
 /**
- * Get stores that can be called (not online-only)
+ * "7:30 AM", "19:30", "7pm" → "HH:MM"
  */
-function getCallableStores() {
-  return partsStoreDirectory.filter(store => !store.isOnlineOnly);
-}
+function toTime24(value) {
+  const match = String(value || '').trim().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+  if (!match) return null;
 
-/**
- * Get top N stores by priority
- */
-function getTopStores(count = 3) {
-  return partsStoreDirectory
-    .filter(store => !store.isOnlineOnly)
-    .sort((a, b) => a.priority - b.priority)
-    .slice(0, count);
-}
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  const meridiem = match[3]?.toLowerCase();
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+  if (hours > 24 || minutes > 59) return null;
 
-/**
- * Get stores by specialty
- */
-function getStoresBySpecialty(specialty) {
-  return partsStoreDirectory.filter(store => 
-    store.specialty.toLowerCase().includes(specialty.toLowerCase())
-  );
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
 }
 
-/**
- * Search stores by name
- */
-function searchStores(searchTerm) {
-  const term = searchTerm.toLowerCase();
-  return partsStoreDirectory.filter(store =>
-    store.name.toLowerCase().includes(term) ||
-    store.location.toLowerCase().includes(term) ||
-    store.specialty.toLowerCase().includes(term)
-  );
-}
+class PartsStoreDirectory {
+  /**
+   * Opening hours as { monday: { open, close } | { closed: true }, ... }.
+   * Accepts that shape (any time format), a "7:30 AM - 9:00 PM" string for
+   * every day, or "24/7".
+   * @param {object|string} hours - Hours
+   * @returns {object|null} Normalized hours, null when unknown
+   */
+  static normalizeHours(hours) {
+    if (!hours) return null;
 
-/**
- * Add new store to directory
- */
-function addStore(storeData) {
-  const newStore = {
-    id: `store-${Date.now()}`,
-    priority: partsStoreDirectory.length + 1,
-    isOnlineOnly: false,
-    ...storeData
-  };
-  
-  partsStoreDirectory.push(newStore);
-  return newStore;
-}
+    if (typeof hours === 'string') {
+      if (/24\s*\/\s*7|24 hours/i.test(hours)) {
+        return Object.fromEntries(DAYS.map(day => [day, { open: '00:00', close: '24:00' }]));
+      }
 
-/**
- * Update store information
- */
-function updateStore(storeId, updates) {
-  const index = partsStoreDirectory.findIndex(store => store.id === storeId);
-  if (index !== -1) {
-    partsStoreDirectory[index] = {
-      ...partsStoreDirectory[index],
-      ...updates
+      const [open, close] = hours.split(/\s*[-–]\s*/).map(toTime24);
+      if (!open || !close) {
+        throw new Error(`Unrecognized store hours: ${hours}`);
+      }
+      return Object.fromEntries(DAYS.map(day => [day, { open, close }]));
+    }
+
+    return Object.fromEntries(DAYS.map(day => {
+      const entry = hours[day];
+      if (!entry || entry.closed) return [day, { closed: true }];
+
+      const open = toTime24(entry.open);
+      const close = toTime24(entry.close);
+      if (!open || !close) {
+        throw new Error(`Unrecognized store hours for ${day}`);
+      }
+      return [day, { open, close }];
+    }));
+  }
+
+  /**
+   * Whether a store is open at a moment (its own timezone)
+   * @param {object} store - Store
+   * @param {Date} at - Moment (default now)
+   * @returns {boolean}
+   */
+  static isOpen(store, at = new Date()) {
+    if (!store.hours) return true;
+
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+      timeZone: store.timezone || DEFAULT_TIMEZONE,
+      weekday: 'long',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(at).map(part => [part.type, part.value]));
+
+    const day = parts.weekday.toLowerCase();
+    const now = `${parts.hour}:${parts.minute}`;
+    const today = store.hours[day];
+
+    // Open past midnight from yesterday
+    const yesterday = store.hours[DAYS[(DAYS.indexOf(day) + 6) % 7]];
+    if (yesterday && !yesterday.closed && yesterday.close < yesterday.open && now < yesterday.close) {
+      return true;
+    }
+
+    if (!today || today.closed) return false;
+    if (today.close < today.open) return now >= today.open;
+    return now >= today.open && now < today.close;
+  }
+
+  /**
+   * Fill rate, response time and the rank score (0-100) used for ordering stores
+   * @param {object} store - Store
+   * @returns {object} { fillRate, quoteRate, avgResponseSeconds, samples, rankScore }
+   */
+  static getPerformance(store) {
+    const perf = { ...EMPTY_PERFORMANCE, ...(store.performance || {}) };
+    const asked = perf.quoteRequests + perf.linesOrdered;
+    const filled = perf.quotesWithPart + perf.linesFilled;
+
+    const fillRate = asked > 0 ? filled / asked : null;
+    const avgResponseSeconds = perf.responses > 0 ? Math.round(perf.responseSecondsTotal / perf.responses) : null;
+
+    // Few samples lean on the prior so one bad call doesn't sink a store
+    const smoothedFill = (filled + PRIOR_FILL_RATE * PRIOR_SAMPLES) / (asked + PRIOR_SAMPLES);
+    // A minute or less to get a quote is as good as it gets, ten minutes is the floor
+    const responseScore = avgResponseSeconds === null ? 0.5 : Math.max(0, Math.min(1, (600 - avgResponseSeconds) / 540));
+    const priorityScore = (10 - Math.min(Number(store.priority) || 10, 10)) / 9;
+
+    const rankScore = Math.round(100 * (
+      smoothedFill * RANK_WEIGHTS.fillRate +
+      responseScore * RANK_WEIGHTS.response +
+      priorityScore * RANK_WEIGHTS.priority
+    ));
+
+    return {
+      fillRate: fillRate === null ? null : Math.round(fillRate * 1000) / 1000,
+      quoteRate: perf.quoteRequests > 0 ? Math.round((perf.quotesAnswered / perf.quoteRequests) * 1000) / 1000 : null,
+      avgResponseSeconds,
+      samples: asked,
+      rankScore
     };
-    return partsStoreDirectory[index];
   }
-  return null;
-}
 
-/**
- * Remove store from directory
- */
-function removeStore(storeId) {
-  const index = partsStoreDirectory.findIndex(store => store.id === storeId);
-  if (index !== -1) {
-    const removed = partsStoreDirectory.splice(index, 1)[0];
-    return removed;
+  /**
+   * Phone number for dialing (digits and +)
+   */
+  static formatPhone(phone) {
+    return phone ? String(phone).replace(/[^0-9+]/g, '') : null;
   }
-  return null;
-}
 
-/**
- * Get store phone number format for calling
- */
-function getFormattedPhoneNumber(storeId) {
-  const store = getStoreById(storeId);
-  if (!store) return null;
-  
-  // Remove any non-numeric characters except +
-  return store.phone.replace(/[^0-9+]/g, '');
-}
+  /**
+   * Check and clean store fields
+   */
+  static prepare(data, partial = false) {
+    const store = {};
+    STORE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) store[field] = data[field];
+    });
 
-/**
- * Store priority calculator for quotes
- */
-function calculateStoreQuoteScore(store, price, availability, deliveryTime) {
-  let score = 100;
-  
-  // Price factor (lower is better)
-  if (price < 50) score += 20;
-  else if (price < 100) score += 10;
-  else if (price < 200) score += 5;
-  
-  // Availability factor
-  if (availability === 'in stock') score += 30;
-  else if (availability === 'limited stock') score += 15;
-  else if (availability === 'special order') score -= 10;
-  
-  // Delivery time factor
-  if (deliveryTime <= 1) score += 20;
-  else if (deliveryTime <= 2) score += 15;
-  else if (deliveryTime <= 3) score += 10;
-  else score -= 5;
-  
-  // Store priority
-  score += (10 - store.priority) * 5;
-  
-  return score;
+    if (!partial && !store.name) {
+      throw new Error('A store name is required');
+    }
+    if (store.hours !== undefined) {
+      store.hours = PartsStoreDirectory.normalizeHours(store.hours);
+    }
+    if (store.timezone) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: store.timezone });
+      } catch (error) {
+        throw new Error(`Invalid time zone: ${store.timezone}`);
+      }
+    }
+    if (store.priority !== undefined) {
+      store.priority = Number(store.priority) || 10;
+    }
+    if (store.deliveryZones !== undefined) {
+      store.deliveryZones = (store.deliveryZones || []).map(zone => ({
+        name: zone.name || null,
+        zipCodes: (zone.zipCodes || []).map(String),
+        radiusMiles: zone.radiusMiles ?? null,
+        deliveryMinutes: zone.deliveryMinutes ?? null,
+        fee: zone.fee ?? null
+      }));
+    }
+    if (store.contacts !== undefined) {
+      store.contacts = (store.contacts || []).map(contact => ({
+        name: contact.name || null,
+        role: contact.role || 'counter',
+        phone: contact.phone || null,
+        email: contact.email || null
+      }));
+    }
+
+    return store;
+  }
+
+  /**
+   * Store with its derived fields
+   */
+  fromDoc(doc, at = new Date()) {
+    const store = { id: doc.id, ...doc.data() };
+    return {
+      ...store,
+      openNow: PartsStoreDirectory.isOpen(store, at),
+      stats: PartsStoreDirectory.getPerformance(store)
+    };
+  }
+
+  /**
+   * All stores, by the shop's priority
+   * @param {string} shopId - Shop ID
+   * @param {object} options - { includeInactive, at }
+   * @returns {Promise<Array>}
+   */
+  async list(shopId, options = {}) {
+    try {
+      const snapshot = await ShopRouter.getShopCollection(shopId, 'partsStores').get();
+
+      return snapshot.docs
+        .map(doc => this.fromDoc(doc, options.at))
+        .filter(store => options.includeInactive || store.active !== false)
+        .sort((a, b) => (a.priority || 10) - (b.priority || 10) || a.name.localeCompare(b.name));
+    } catch (error) {
+      console.error('Error listing parts stores:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a store
+   * @param {string} shopId - Shop ID
+   * @param {string} storeId - Store ID
+   * @returns {Promise<object>}
+   */
+  async get(shopId, storeId) {
+    const store = await this.find(shopId, storeId);
+    if (!store) {
+      throw new Error('Parts store not found');
+    }
+    return store;
+  }
+
+  /**
+   * Find a store without throwing when it does not exist
+   */
+  async find(shopId, storeId) {
+    if (!storeId) return null;
+    const doc = await ShopRouter.getShopDocument(shopId, 'partsStores', storeId).get();
+    return doc.exists ? this.fromDoc(doc) : null;
+  }
+
+  /**
+   * Stores keyed by ID, for code that looks stores up per quote
+   * @param {string} shopId - Shop ID
+   * @returns {Promise<object>}
+   */
+  async getStoreMap(shopId) {
+    const stores = await this.list(shopId, { includeInactive: true });
+    return Object.fromEntries(stores.map(store => [store.id, store]));
+  }
+
+  /**
+   * Add a store
+   * @param {string} shopId - Shop ID
+   * @param {object} data - Store fields (see STORE_FIELDS); id optional
+   * @returns {Promise<object>}
+   */
+  async create(shopId, data = {}) {
+    try {
+      const id = data.id || `store-${Date.now()}`;
+      const ref = ShopRouter.getShopDocument(shopId, 'partsStores', id);
+
+      if (data.id && (await ref.get()).exists) {
+        throw new Error(`Parts store ${id} already exists`);
+      }
+
+      await ref.set({
+        priority: 10,
+        isOnlineOnly: false,
+        active: true,
+        hours: null,
+        deliveryZones: [],
+        contacts: [],
+        ...PartsStoreDirectory.prepare(data),
+        performance: { ...EMPTY_PERFORMANCE },
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      console.log(`🏪 Parts store added: ${data.name}`);
+      return this.get(shopId, id);
+    } catch (error) {
+      console.error('Error adding parts store:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a store
+   * @param {string} shopId - Shop ID
+   * @param {string} storeId - Store ID
+   * @param {object} updates - Store fields
+   * @returns {Promise<object>}
+   */
+  async update(shopId, storeId, updates = {}) {
+    try {
+      await this.get(shopId, storeId);
+      await ShopRouter.getShopDocument(shopId, 'partsStores', storeId).update({
+        ...PartsStoreDirectory.prepare(updates, true),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return this.get(shopId, storeId);
+    } catch (error) {
+      console.error('Error updating parts store:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a store
+   */
+  async remove(shopId, storeId) {
+    try {
+      await this.get(shopId, storeId);
+      await ShopRouter.getShopDocument(shopId, 'partsStores', storeId).delete();
+    } catch (error) {
+      console.error('Error removing parts store:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Search stores by name, location or specialty
+   */
+  async search(shopId, searchTerm) {
+    const term = String(searchTerm || '').toLowerCase();
+    return (await this.list(shopId)).filter(store =>
+      [store.name, store.location, store.specialty, store.accountNumber]
+        .some(value => value && String(value).toLowerCase().includes(term))
+    );
+  }
+
+  /**
+   * Get stores by specialty
+   */
+  async getStoresBySpecialty(shopId, specialty) {
+    const term = String(specialty || '').toLowerCase();
+    return (await this.list(shopId)).filter(store => store.specialty?.toLowerCase().includes(term));
+  }
+
+  /**
+   * Stores that deliver to a ZIP code, quickest first
+   */
+  async getStoresDeliveringTo(shopId, zipCode) {
+    const zip = String(zipCode);
+    return (await this.list(shopId))
+      .map(store => ({ store, zone: (store.deliveryZones || []).find(zone => zone.zipCodes.includes(zip)) }))
+      .filter(entry => entry.zone)
+      .sort((a, b) => (a.zone.deliveryMinutes ?? Infinity) - (b.zone.deliveryMinutes ?? Infinity))
+      .map(({ store, zone }) => ({ ...store, deliveryZone: zone }));
+  }
+
+  /**
+   * Stores ALEX can phone right now: active, not online-only, with a phone
+   * number, and open (unless includeClosed)
+   * @param {string} shopId - Shop ID
+   * @param {object} options - { at, includeClosed }
+   * @returns {Promise<Array>}
+   */
+  async getCallableStores(shopId, options = {}) {
+    return (await this.list(shopId, { at: options.at }))
+      .filter(store => !store.isOnlineOnly && store.phone)
+      .filter(store => options.includeClosed || store.openNow);
+  }
+
+  /**
+   * Best N callable stores by fill rate, response time and priority
+   * @param {string} shopId - Shop ID
+   * @param {number} count - How many
+   * @param {object} options - Same as getCallableStores
+   * @returns {Promise<Array>}
+   */
+  async getTopStores(shopId, count = 3, options = {}) {
+    return (await this.getCallableStores(shopId, options))
+      .sort((a, b) => b.stats.rankScore - a.stats.rankScore || (a.priority || 10) - (b.priority || 10))
+      .slice(0, count);
+  }
+
+  /**
+   * Bring in stores from the old per-shop settings list, keeping their IDs
+   * @param {string} shopId - Shop ID
+   * @param {Array} stores - Stores from settings.partsStores
+   * @returns {Promise<number>} Stores imported
+   */
+  async importStores(shopId, stores = []) {
+    let imported = 0;
+
+    for (const store of stores) {
+      if (!store.name || await this.find(shopId, store.id)) continue;
+
+      const { contact, ...fields } = store;
+      await this.create(shopId, {
+        ...fields,
+        contacts: contact ? [{ name: contact, role: 'counter', phone: store.phone }] : fields.contacts
+      });
+      imported++;
+    }
+
+    return imported;
+  }
+
+  /**
+   * Record how a quote call went
+   * @param {string} shopId - Shop ID
+   * @param {string} storeId - Store ID
+   * @param {object} result - { answered, hadPart, responseSeconds }
+   */
+  async recordQuoteResult(shopId, storeId, result = {}) {
+    await this.recordPerformance(shopId, storeId, {
+      'performance.quoteRequests': 1,
+      'performance.quotesAnswered': result.answered ? 1 : 0,
+      'performance.quotesWithPart': result.hadPart ? 1 : 0,
+      'performance.responses': result.responseSeconds > 0 ? 1 : 0,
+      'performance.responseSecondsTotal': result.responseSeconds > 0 ? Math.round(result.responseSeconds) : 0
+    }, 'lastQuoteAt');
+  }
+
+  /**
+   * Record how order lines were filled (on receipt)
+   * @param {string} shopId - Shop ID
+   * @param {string} storeId - Store ID
+   * @param {object} result - { ordered, filled } line counts
+   */
+  async recordOrderFill(shopId, storeId, result = {}) {
+    await this.recordPerformance(shopId, storeId, {
+      'performance.linesOrdered': result.ordered || 0,
+      'performance.linesFilled': result.filled || 0
+    }, 'lastOrderAt');
+  }
+
+  /**
+   * Bump performance counters; never fails the caller's flow
+   */
+  async recordPerformance(shopId, storeId, counters, stampField) {
+    try {
+      if (!(await this.find(shopId, storeId))) return;
+
+      const updates = { [`performance.${stampField}`]: new Date().toISOString() };
+      Object.entries(counters).forEach(([field, amount]) => {
+        if (amount) updates[field] = admin.firestore.FieldValue.increment(amount);
+      });
+
+      await ShopRouter.getShopDocument(shopId, 'partsStores', storeId).update(updates);
+    } catch (error) {
+      console.error('Error recording parts store performance:', error);
+    }
+  }
 }
 
 module.exports = {
-  partsStoreDirectory,
-  getAllStores,
-  getStoreById,
-  getCallableStores,
-  getTopStores,
-  getStoresBySpecialty,
-  searchStores,
-  addStore,
-  updateStore,
-  removeStore,
-  getFormattedPhoneNumber,
-  calculateStoreQuoteScore
+  PartsStoreDirectory,
+  DAYS,
+  STORE_FIELDS
 };
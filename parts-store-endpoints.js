@@ -0,0 +1,154 @@
+/**
+ * Parts Store Directory API Endpoints
+ * The shop's parts stores: accounts, hours, delivery zones, counter contacts
+ * and how each store has performed on quotes and orders
+ */
+
+const { getShopId } = require('./shop-auth-middleware.js');
+
+function sendPartsStoreError(res, error) {
+    if (error.message === 'Parts store not found') {
+        return res.status(404).json({ success: false, error: error.message });
+    }
+
+    if (/^Parts store .* already exists/.test(error.message)) {
+        return res.status(409).json({ success: false, error: error.message });
+    }
+
+    if (/^(A store name is required|Unrecognized store hours|Invalid time zone)/.test(error.message)) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    res.status(500).json({ success: false, error: error.message });
+}
+
+/**
+ * ?at= lets the UI ask "who's open at 7am tomorrow"
+ */
+function getMoment(req) {
+    if (!req.query.at) return new Date();
+
+    const at = new Date(req.query.at);
+    return Number.isNaN(at.getTime()) ? new Date() : at;
+}
+
+/**
+ * @param {object} app - Express app
+ * @param {PartsStoreDirectory} directory - Parts store directory
+ */
+function registerPartsStoreEndpoints(app, directory) {
+
+    /**
+     * GET /api/parts/stores
+     * List stores (optional ?search=, ?specialty=, ?zip= (delivers there), ?includeInactive=true)
+     */
+    app.get('/api/parts/stores', async (req, res) => {
+        try {
+            const { search, specialty, zip, includeInactive } = req.query;
+            let stores;
+
+            if (search) {
+                stores = await directory.search(getShopId(req), search);
+            } else if (specialty) {
+                stores = await directory.getStoresBySpecialty(getShopId(req), specialty);
+            } else if (zip) {
+                stores = await directory.getStoresDeliveringTo(getShopId(req), zip);
+            } else {
+                stores = await directory.list(getShopId(req), { includeInactive: includeInactive === 'true' });
+            }
+
+            res.json({ success: true, stores, total: stores.length });
+        } catch (error) {
+            sendPartsStoreError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/parts/stores/callable
+     * Stores ALEX can phone right now (optional ?at=ISO time, ?includeClosed=true)
+     */
+    app.get('/api/parts/stores/callable', async (req, res) => {
+        try {
+            const stores = await directory.getCallableStores(getShopId(req), {
+                at: getMoment(req),
+                includeClosed: req.query.includeClosed === 'true'
+            });
+            res.json({ success: true, stores, total: stores.length });
+        } catch (error) {
+            sendPartsStoreError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/parts/stores/top
+     * Best open stores by fill rate and response time (optional ?count=3, ?at=)
+     */
+    app.get('/api/parts/stores/top', async (req, res) => {
+        try {
+            const stores = await directory.getTopStores(getShopId(req), Number(req.query.count) || 3, { at: getMoment(req) });
+            res.json({ success: true, stores, total: stores.length });
+        } catch (error) {
+            sendPartsStoreError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/parts/stores/:id
+     * Get a store
+     */
+    app.get('/api/parts/stores/:id', async (req, res) => {
+        try {
+            const store = await directory.get(getShopId(req), req.params.id);
+            res.json({ success: true, store });
+        } catch (error) {
+            sendPartsStoreError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/parts/stores
+     * Add a store
+     * Body: { name, phone, email, accountNumber, address, location, specialty, notes, priority,
+     *   isOnlineOnly, timezone, hours: { monday: { open, close } | { closed: true }, ... } | "7:30 AM - 9:00 PM",
+     *   deliveryZones: [{ name, zipCodes, radiusMiles, deliveryMinutes, fee }],
+     *   contacts: [{ name, role, phone, email }] }
+     */
+    app.post('/api/parts/stores', async (req, res) => {
+        try {
+            const { shopId, ...input } = req.body;
+            const store = await directory.create(getShopId(req), input);
+            res.status(201).json({ success: true, store });
+        } catch (error) {
+            sendPartsStoreError(res, error);
+        }
+    });
+
+    /**
+     * PUT /api/parts/stores/:id
+     * Update a store (same fields as POST)
+     */
+    app.put('/api/parts/stores/:id', async (req, res) => {
+        try {
+            const { shopId, ...updates } = req.body;
+            const store = await directory.update(getShopId(req), req.params.id, updates);
+            res.json({ success: true, store });
+        } catch (error) {
+            sendPartsStoreError(res, error);
+        }
+    });
+
+    /**
+     * DELETE /api/parts/stores/:id
+     * Remove a store
+     */
+    app.delete('/api/parts/stores/:id', async (req, res) => {
+        try {
+            await directory.remove(getShopId(req), req.params.id);
+            res.json({ success: true, message: 'Parts store removed' });
+        } catch (error) {
+            sendPartsStoreError(res, error);
+        }
+    });
+}
+
+module.exports = registerPartsStoreEndpoints;
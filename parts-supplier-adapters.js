@@ -0,0 +1,250 @@
+/**
+ * Parts Supplier Adapters
+ * One adapter per way of getting a parts price, for PartsSearchAggregator.
+ * Each has { id, name, priority } and search(query) resolving to raw quotes
+ * (or { quotes, pending }); the aggregator normalizes them.
+ *
+ * query: { shopId, partName, partNumber, year, make, model, storeIds, callStores }
+ */
+
+const { ShopRouter } = require('./firebase-config');
+
+const NEXPART_STORE_NAME = 'Nexpart';
+
+function sameText(a, b) {
+  const clean = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return clean(a) !== '' && clean(a) === clean(b);
+}
+
+/**
+ * Whether a part request (from a call or a manual quote) is for this query:
+ * same part number, or one part name's words all appear in the other, on
+ * the same vehicle when both give one
+ */
+function matchesQuery(request, query) {
+  if (!request) return false;
+
+  const vehicleMatches = ['year', 'make', 'model'].every(field =>
+    !request[field] || !query[field] || String(request[field]).toLowerCase() === String(query[field]).toLowerCase()
+  );
+  if (!vehicleMatches) return false;
+
+  if (query.partNumber && sameText(request.partNumber, query.partNumber)) {
+    return true;
+  }
+
+  if (query.partName && request.partName) {
+    const words = (value) => String(value).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+    const [wanted, named] = [words(query.partName), words(request.partName)];
+    return wanted.every(word => named.includes(word)) || named.every(word => wanted.includes(word));
+  }
+
+  return false;
+}
+
+/**
+ * Official Nexpart ORDERLINK API (NexpartApiService): price check by part
+ * number, otherwise a vehicle search by description
+ */
+class NexpartApiAdapter {
+  constructor(nexpartApiService) {
+    this.id = 'nexpart-api';
+    this.name = 'Nexpart API';
+    this.priority = 10;
+    this.service = nexpartApiService;
+  }
+
+  async search(query) {
+    if (query.partNumber) {
+      const pricing = await this.service.getPartsPricing(query.partNumber);
+      return [{ ...pricing, storeName: NEXPART_STORE_NAME }];
+    }
+
+    const parts = await this.service.searchParts(query.partName, {
+      year: query.year,
+      make: query.make,
+      model: query.model
+    });
+    return parts.map(part => ({ ...part, storeName: NEXPART_STORE_NAME }));
+  }
+}
+
+/**
+ * Nexpart website through the shared browser session (NexpartScraper).
+ * Needs the vehicle; searches by part number when there's no name.
+ */
+class NexpartScraperAdapter {
+  constructor(nexpartScraper) {
+    this.id = 'nexpart-scraper';
+    this.name = 'Nexpart (website)';
+    this.priority = 20;
+    this.scraper = nexpartScraper;
+  }
+
+  async search(query) {
+    if (!query.year || !query.make || !query.model) {
+      return [];
+    }
+
+    const result = await this.scraper.searchParts(query.year, query.make, query.model, query.partName || query.partNumber);
+    if (!result.success) {
+      throw new Error(result.error || 'Nexpart search failed');
+    }
+
+    return result.parts.map(part => ({ ...part, storeName: NEXPART_STORE_NAME }));
+  }
+}
+
+/**
+ * Prices ALEX got by phone (VAPIPartsCallingService). Returns quotes from
+ * completed calls for this part; with query.callStores it also starts calls
+ * to those stores and reports them as pending.
+ */
+class PhoneQuoteAdapter {
+  constructor(partsCallingService, options = {}) {
+    this.id = 'phone';
+    this.name = 'ALEX phone quotes';
+    this.priority = 30;
+    this.callingService = partsCallingService;
+    // Phone prices older than this aren't offered
+    this.maxAgeHours = Number(options.maxAgeHours) || 24;
+  }
+
+  async search(query) {
+    const since = new Date(Date.now() - this.maxAgeHours * 60 * 60 * 1000);
+    const calls = this.callingService.getCallHistory({ status: 'completed', startDate: since })
+      .filter(call => matchesQuery(call.partRequest, query))
+      .filter(call => !query.storeIds?.length || query.storeIds.includes(call.storeId));
+
+    const quotes = calls.flatMap(call => {
+      const offered = call.parsedData?.quotes?.length ? call.parsedData.quotes : [call.parsedData || {}];
+      return offered
+        .filter(offer => offer.price ?? offer.unitPrice)
+        .map(offer => ({
+          ...offer,
+          storeId: call.storeId,
+          storeName: call.storeName,
+          description: call.partRequest.partName,
+          quotedAt: (call.endTime || call.startTime).toISOString()
+        }));
+    });
+
+    let pending = [];
+    if (query.callStores?.length) {
+      const { shopId, year, make, model, partName, partNumber } = query;
+      const result = await this.callingService.callMultipleStores(query.callStores, { shopId, year, make, model, partName, partNumber });
+      pending = result.calls.map(call => ({ supplier: this.id, callId: call.callId, storeName: call.storeName }));
+    }
+
+    return { quotes, pending };
+  }
+}
+
+/**
+ * Quotes typed in by an advisor (counter price, a rep's text message, ...),
+ * kept in the shop's 'partQuotes' collection
+ */
+class ManualQuoteAdapter {
+  constructor(options = {}) {
+    this.id = 'manual';
+    this.name = 'Manual entry';
+    this.priority = 40;
+    // Manual prices older than this aren't offered
+    this.maxAgeDays = Number(options.maxAgeDays) || 14;
+  }
+
+  /**
+   * Record a quote
+   * @param {string} shopId - Shop ID
+   * @param {object} input - { storeId, storeName, partName, partNumber, brand, cost, list, core,
+   *   availability, etaDays, warranty, quality, year, make, model, notes, enteredBy }
+   * @returns {Promise<object>} Saved quote
+   */
+  async addQuote(shopId, input) {
+    try {
+      if (!input.partName && !input.partNumber) {
+        throw new Error('A part name or part number is required');
+      }
+      if (!input.storeId && !input.storeName) {
+        throw new Error('A store is required');
+      }
+
+      const quote = {
+        storeId: input.storeId || null,
+        storeName: input.storeName || null,
+        partName: input.partName || null,
+        partNumber: input.partNumber || null,
+        brand: input.brand || null,
+        cost: input.cost ?? input.price ?? null,
+        list: input.list ?? null,
+        core: input.core ?? null,
+        availability: input.availability || null,
+        etaDays: input.etaDays ?? null,
+        warranty: input.warranty || null,
+        quality: input.quality || null,
+        year: input.year || null,
+        make: input.make || null,
+        model: input.model || null,
+        notes: input.notes || null,
+        enteredBy: input.enteredBy || null,
+        quotedAt: new Date().toISOString()
+      };
+
+      const docRef = await ShopRouter.getShopCollection(shopId, 'partQuotes').add(quote);
+      console.log(`✅ Manual part quote saved: ${quote.partNumber || quote.partName} from ${quote.storeName || quote.storeId}`);
+      return { id: docRef.id, ...quote };
+    } catch (error) {
+      console.error('Error saving manual part quote:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Manual quotes newest first, optionally only those for a query
+   */
+  async listQuotes(shopId, query = null) {
+    try {
+      const snapshot = await ShopRouter.getShopCollection(shopId, 'partQuotes')
+        .orderBy('quotedAt', 'desc')
+        .get();
+
+      const quotes = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      return query ? quotes.filter(quote => matchesQuery(quote, query)) : quotes;
+    } catch (error) {
+      console.error('Error listing manual part quotes:', error);
+      throw error;
+    }
+  }
+
+  async removeQuote(shopId, quoteId) {
+    try {
+      const ref = ShopRouter.getShopDocument(shopId, 'partQuotes', quoteId);
+      const doc = await ref.get();
+      if (!doc.exists) {
+        throw new Error('Part quote not found');
+      }
+      await ref.delete();
+    } catch (error) {
+      console.error('Error deleting manual part quote:', error);
+      throw error;
+    }
+  }
+
+  async search(query) {
+    const since = new Date(Date.now() - this.maxAgeDays * 24 * 60 * 60 * 1000).toISOString();
+    const quotes = await this.listQuotes(query.shopId || 'default', query);
+
+    return quotes
+      .filter(quote => quote.quotedAt >= since)
+      .filter(quote => !query.storeIds?.length || query.storeIds.includes(quote.storeId))
+      .map(({ id, partName, ...quote }) => ({ ...quote, description: partName, manualQuoteId: id }));
+  }
+}
+
+module.exports = {
+  NexpartApiAdapter,
+  NexpartScraperAdapter,
+  PhoneQuoteAdapter,
+  ManualQuoteAdapter,
+  matchesQuery
+};
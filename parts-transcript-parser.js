@@ -0,0 +1,702 @@
+/**
+ * Parts Transcript Parser
+ *
+ * Turns a parts-store call transcript into structured quotes without an LLM.
+ * Splits the call into speaker turns, finds every price the counter clerk
+ * mentions and works out what it is (unit price, core charge, tax, shipping),
+ * then attaches brand, part number, quantity on hand and ETA to each quote
+ * with a confidence for every field.
+ */
+
+const NUMBER_WORDS = {
+  'a single': 1, 'just one': 1, 'only one': 1, one: 1, two: 2, three: 3, four: 4, five: 5,
+  six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+  'a couple': 2, 'a couple of': 2, 'a pair': 2, 'a few': 3
+};
+
+const NUMBER_WORD_PATTERN = 'a single|just one|only one|a couple(?: of)?|a pair|a few|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Brands counter clerks commonly quote, longest names first so
+// "Duralast Gold" wins over "Duralast"
+const BRANDS = [
+  { name: 'Standard Motor Products', quality: 'Standard' },
+  { name: 'Carquest Platinum', quality: 'Premium' },
+  { name: 'Wagner ThermoQuiet', quality: 'Premium' },
+  { name: 'Bosch QuietCast', quality: 'Premium' },
+  { name: 'Duralast Gold', quality: 'Premium' },
+  { name: 'Import Direct', quality: 'Economy' },
+  { name: 'Beck Arnley', quality: 'Standard' },
+  { name: 'Power Stop', quality: 'Premium' },
+  { name: 'Motorcraft', quality: 'OEM' },
+  { name: 'Mopar', quality: 'OEM' },
+  { name: 'ACDelco', quality: 'OEM Equivalent', aliases: ['AC Delco'] },
+  { name: 'Aisin', quality: 'OEM Equivalent' },
+  { name: 'Denso', quality: 'OEM Equivalent' },
+  { name: 'Akebono', quality: 'Premium' },
+  { name: 'Brembo', quality: 'Premium' },
+  { name: 'Bilstein', quality: 'Premium' },
+  { name: 'Bosch', quality: 'Premium' },
+  { name: 'NGK', quality: 'Premium' },
+  { name: 'Moog', quality: 'Premium' },
+  { name: 'Timken', quality: 'Premium' },
+  { name: 'Gates', quality: 'Premium' },
+  { name: 'Optima', quality: 'Premium' },
+  { name: 'Wagner', quality: 'Standard' },
+  { name: 'Raybestos', quality: 'Standard' },
+  { name: 'Centric', quality: 'Standard' },
+  { name: 'Monroe', quality: 'Standard' },
+  { name: 'KYB', quality: 'Standard' },
+  { name: 'Dorman', quality: 'Standard' },
+  { name: 'Duralast', quality: 'Standard' },
+  { name: 'Carquest', quality: 'Standard' },
+  { name: 'Champion', quality: 'Standard' },
+  { name: 'Autolite', quality: 'Standard' },
+  { name: 'Fram', quality: 'Standard' },
+  { name: 'Wix', quality: 'Standard' },
+  { name: 'Dayco', quality: 'Standard' },
+  { name: 'Cardone', quality: 'Standard' },
+  { name: 'Spectra', quality: 'Standard' },
+  { name: 'Interstate', quality: 'Standard' },
+  { name: 'Valvoline', quality: 'Standard' },
+  { name: 'Fel-Pro', quality: 'Standard', aliases: ['FelPro', 'Fel Pro'] },
+  { name: 'BrakeBest', quality: 'Economy', aliases: ['Brake Best'] },
+  { name: 'Ultima', quality: 'Economy' },
+  { name: 'Genuine', quality: 'OEM' }
+];
+
+const QUALITY_CUES = [
+  { quality: 'OEM', pattern: /\b(oem|o\.e\.|genuine|factory|dealer part)\b/i },
+  { quality: 'OEM Equivalent', pattern: /\b(oe equivalent|oe replacement|oe spec)\b/i },
+  { quality: 'Premium', pattern: /\b(premium|top of the line|best (one|line)|gold|platinum)\b/i },
+  { quality: 'Economy', pattern: /\b(economy|value line|budget|cheaper one|good one)\b/i }
+];
+
+// Money: "$89.99", "89 dollars and 99 cents", "89 bucks", bare "89.99"
+const MONEY_PATTERN = /\$\s?(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d{1,2}))?|\b(\d+)\s+dollars?(?:\s+and\s+(\d{1,2})\s+cents?)?|\b(\d+)\s+bucks\b|\b(\d+\.\d{2})\b(?!\s*(?:l\b|liters?|litres?|mm|inch|qts?|quarts?))/gi;
+
+// Role cues read from the text right after the amount ("$15 core") win over
+// cues before it ("core charge is $15")
+const ROLE_AFTER_CUES = [
+  { role: 'core', pattern: /^\s*(core|for the core|on the core)\b/i },
+  { role: 'tax', pattern: /^\s*(in tax|tax|for tax|sales tax)\b/i },
+  { role: 'shipping', pattern: /^\s*(for shipping|shipping|freight|delivery fee|to ship)\b/i },
+  { role: 'total', pattern: /^\s*(total|out the door|all in|altogether|for (the )?(pair|set|both|two))\b/i },
+  { role: 'list', pattern: /^\s*(list|retail)\b/i }
+];
+
+const ROLE_BEFORE_CUES = [
+  { role: 'core', pattern: /\bcore( charge| deposit)?\b/gi },
+  { role: 'tax', pattern: /\btax(es)?\b/gi },
+  { role: 'shipping', pattern: /\b(shipping|freight|delivery (fee|charge))\b/gi },
+  { role: 'total', pattern: /\b(total|out the door|all in|comes (out )?to|altogether)\b/gi },
+  { role: 'list', pattern: /\b(list|retail|msrp)\b/gi },
+  { role: 'net', pattern: /\b(discount|your (cost|price)|shop price|for you guys|jobber|net|account price)\b/gi }
+];
+
+const PRICE_CUE_PATTERN = /\b(price|priced|cost|costs|runs?|it'?s|that'?s|they'?re|those are|for|at|is)\s*$/i;
+
+const OUT_OF_STOCK_PATTERN = /\b(out of stock|not in stock|none (in stock|on hand|left)|zero (in stock|on hand)|sold out|don'?t have (any|it|that|those|them|one)( in stock)?|do not have (any|it|that|those|them))\b/i;
+const IN_STOCK_PATTERN = /\b(in stock|on the shelf|on hand|got (it|them|those) here|have (it|them|those|that) (here|right now)|ready (now|for pickup)|available (now|today|for pickup))\b/i;
+const SPECIAL_ORDER_PATTERN = /\b(special order|have to order|need to order|order (it|them|those) in|from (the|our) (warehouse|hub|dc|distribution center)|transfer (it|them) (in|over)|from another store)\b/i;
+const LIMITED_STOCK_PATTERN = /\b(last one|only (one|1) left|just the one|that'?s all (we|i) have)\b/i;
+
+const QUANTITY_PATTERNS = [
+  {
+    pattern: new RegExp(`\\b(\\d{1,3}|${NUMBER_WORD_PATTERN})\\s+(?:(?:sets?|pairs?|boxes|units?|pieces?|of (?:them|those|these))\\s+)?(?:left\\s+)?(?:in stock|on (?:the )?(?:shelf|hand)|available|here|in the store|at (?:this|our) (?:store|location))`, 'gi'),
+    confidence: 0.9
+  },
+  {
+    pattern: new RegExp(`\\b(?:have|got|show(?:ing)?|has)\\s+(\\d{1,3}|${NUMBER_WORD_PATTERN})\\b(?!\\s*(?:dollars|bucks|days?|hours?|weeks?|o'?clock|pm|am|[.:$]\\d|\\d))`, 'gi'),
+    confidence: 0.6
+  }
+];
+
+const PLURAL_REFERENCE_PATTERN = /\b(both|all of (them|those)|they'?re all|all (two|three|four))\b/i;
+
+const SPEAKER_PATTERN = /^\s*([A-Za-z][A-Za-z .'-]{0,24}):\s*(.*)$/;
+const AGENT_SPEAKERS = /^(ai|assistant|bot|alex|agent|vapi)$/i;
+
+class PartsTranscriptParser {
+  constructor(options = {}) {
+    this.referenceDate = options.referenceDate ? new Date(options.referenceDate) : null;
+  }
+
+  /**
+   * Parse a call transcript into quotes
+   * @param {string} transcript - Transcript text ("AI: ..." / "User: ..." lines, or plain text)
+   * @param {object} options - { referenceDate } used to resolve weekday ETAs
+   * @returns {object} { turns, quotes, primaryQuote, labeled }
+   */
+  parse(transcript, options = {}) {
+    const referenceDate = new Date(options.referenceDate || this.referenceDate || Date.now());
+    const { turns, labeled } = this.segmentTurns(transcript || '');
+
+    const quotes = [];
+    const agentAmounts = [];
+    const pending = this.emptyPending();
+    let current = null;
+    let lastQuoted = [];
+
+    turns.forEach((turn, turnIndex) => {
+      if (turn.speaker === 'agent') {
+        this.findMoney(turn.text).forEach(m => agentAmounts.push({ amount: m.amount, turnIndex }));
+        return;
+      }
+
+      for (const sentence of this.splitSentences(turn.text)) {
+        const mentions = this.findMoney(sentence).map((mention, i, all) => ({
+          ...mention,
+          role: this.classifyRole(sentence, mention, all[i - 1])
+        }));
+        const facts = this.findFacts(sentence, referenceDate);
+        const sentenceQuotes = [];
+
+        mentions.forEach((mention, i) => {
+          const windowStart = i > 0 ? mentions[i - 1].end : 0;
+          const windowEnd = i < mentions.length - 1 ? mentions[i + 1].index : sentence.length;
+          const isLast = i === mentions.length - 1;
+
+          if (mention.role === 'unit' || mention.role === 'net') {
+            const brand = this.pickNearest(facts.brands, windowStart, mention.index, isLast ? windowEnd : mention.index);
+
+            if (mention.role === 'net' && current && current.turnIndex === turnIndex && !brand) {
+              current.listPrice = current.unitPrice;
+              current.unitPrice = mention.amount;
+              current.fieldConfidence.unitPrice = this.priceConfidence(sentence, mention, agentAmounts, labeled);
+              return;
+            }
+
+            current = this.createQuote(mention, sentence, turnIndex, labeled, agentAmounts);
+            const partNumber = this.pickNearest(facts.partNumbers, windowStart, mention.index, isLast ? windowEnd : mention.index);
+
+            if (brand) {
+              this.setField(current, 'brand', brand.value, 0.9);
+              current.quality = brand.quality;
+            } else if (pending.brand) {
+              this.setField(current, 'brand', pending.brand.value, 0.7);
+              current.quality = pending.brand.quality;
+            }
+
+            if (partNumber) {
+              this.setField(current, 'partNumber', partNumber.value, partNumber.confidence);
+            } else if (pending.partNumber) {
+              this.setField(current, 'partNumber', pending.partNumber.value, pending.partNumber.confidence * 0.8);
+            }
+
+            this.applyPending(current, pending);
+            quotes.push(current);
+            sentenceQuotes.push(current);
+            return;
+          }
+
+          // Fees belong to the quote being discussed; hold them if none yet
+          if (current) {
+            this.setField(current, this.feeField(mention.role), mention.amount, this.priceConfidence(sentence, mention, agentAmounts, labeled));
+          } else {
+            pending.fees.push(mention);
+          }
+        });
+
+        if (sentenceQuotes.length === 0 && PLURAL_REFERENCE_PATTERN.test(sentence)) {
+          // "Both are on the shelf." covers every option in the last quote sentence
+          lastQuoted.forEach(quote => this.assignFacts(facts, [], quote, pending));
+        } else {
+          this.assignFacts(facts, sentenceQuotes, current, pending);
+        }
+
+        if (sentenceQuotes.length > 0) {
+          lastQuoted = sentenceQuotes;
+        }
+      }
+    });
+
+    // Confirmation read-backs from ALEX after the clerk quoted a price
+    quotes.forEach(quote => {
+      const echoed = agentAmounts.some(a => a.turnIndex > quote.turnIndex && Math.abs(a.amount - quote.unitPrice) < 0.005);
+      if (echoed) {
+        quote.fieldConfidence.unitPrice = Math.min(0.99, quote.fieldConfidence.unitPrice + 0.15);
+        quote.confirmed = true;
+      }
+    });
+
+    const finalized = quotes.map(quote => this.finalizeQuote(quote));
+
+    return {
+      turns,
+      labeled,
+      quotes: finalized,
+      primaryQuote: this.pickPrimaryQuote(finalized)
+    };
+  }
+
+  /**
+   * Split a transcript into speaker turns
+   * Unlabeled text is treated as one store turn
+   */
+  segmentTurns(transcript) {
+    const turns = [];
+    let labeled = false;
+
+    for (const line of transcript.split(/\r?\n/)) {
+      if (!line.trim()) continue;
+
+      const match = line.match(SPEAKER_PATTERN);
+      if (match) {
+        labeled = true;
+        turns.push({
+          speaker: AGENT_SPEAKERS.test(match[1].trim()) ? 'agent' : 'store',
+          text: match[2].trim()
+        });
+      } else if (turns.length > 0) {
+        turns[turns.length - 1].text += ` ${line.trim()}`;
+      } else {
+        turns.push({ speaker: 'store', text: line.trim() });
+      }
+    }
+
+    return { turns, labeled };
+  }
+
+  /**
+   * Split a turn into sentences without breaking decimals or "p.m."
+   */
+  splitSentences(text) {
+    return text
+      .replace(/\b([ap])\.m\./gi, '$1m')
+      .split(/(?<=[.!?])\s+/)
+      .map(s => s.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Find every money amount in a piece of text
+   * @returns {Array<{amount:number, index:number, end:number, text:string, explicit:boolean}>}
+   */
+  findMoney(text) {
+    const mentions = [];
+    MONEY_PATTERN.lastIndex = 0;
+
+    let match;
+    while ((match = MONEY_PATTERN.exec(text)) !== null) {
+      let amount;
+      let explicit = true;
+
+      if (match[1] !== undefined) {
+        amount = parseFloat(`${match[1].replace(/,/g, '')}.${match[2] || '0'}`);
+      } else if (match[3] !== undefined) {
+        amount = parseInt(match[3]) + (match[4] ? parseInt(match[4].padEnd(2, '0')) / 100 : 0);
+      } else if (match[5] !== undefined) {
+        amount = parseInt(match[5]);
+      } else {
+        amount = parseFloat(match[6]);
+        explicit = false;
+      }
+
+      mentions.push({
+        amount: Math.round(amount * 100) / 100,
+        index: match.index,
+        end: match.index + match[0].length,
+        text: match[0],
+        explicit
+      });
+    }
+
+    return mentions;
+  }
+
+  /**
+   * Work out what a price is: unit, net (discounted unit), core, tax, shipping, total or list
+   */
+  classifyRole(sentence, mention, previous) {
+    const after = sentence.slice(mention.end, mention.end + 25);
+    for (const cue of ROLE_AFTER_CUES) {
+      if (cue.pattern.test(after)) {
+        return cue.role;
+      }
+    }
+
+    const windowStart = Math.max(previous ? previous.end : 0, mention.index - 40);
+    const before = sentence.slice(windowStart, mention.index);
+
+    let nearest = null;
+    for (const cue of ROLE_BEFORE_CUES) {
+      cue.pattern.lastIndex = 0;
+      let match;
+      while ((match = cue.pattern.exec(before)) !== null) {
+        if (!nearest || match.index > nearest.index) {
+          nearest = { role: cue.role, index: match.index };
+        }
+      }
+    }
+
+    return nearest ? nearest.role : 'unit';
+  }
+
+  /**
+   * Find brands, part numbers, quantities, stock status and ETAs in a sentence
+   */
+  findFacts(sentence, referenceDate) {
+    return {
+      brands: this.findBrands(sentence),
+      partNumbers: this.findPartNumbers(sentence),
+      quantities: this.findQuantities(sentence),
+      availability: this.findAvailability(sentence),
+      etas: this.findETAs(sentence, referenceDate),
+      quality: QUALITY_CUES.find(cue => cue.pattern.test(sentence)) || null
+    };
+  }
+
+  findBrands(text) {
+    const found = [];
+    const taken = [];
+
+    for (const brand of BRANDS) {
+      for (const name of [brand.name, ...(brand.aliases || [])]) {
+        const pattern = new RegExp(`\\b${name.replace(/[-\s]/g, '[-\\s]?')}\\b`, 'gi');
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+          const start = match.index;
+          const end = start + match[0].length;
+          if (taken.some(([s, e]) => start < e && end > s)) continue;
+          taken.push([start, end]);
+          found.push({ value: brand.name, quality: brand.quality, index: start });
+        }
+      }
+    }
+
+    return found.sort((a, b) => a.index - b.index);
+  }
+
+  findPartNumbers(text) {
+    const found = [];
+    const cuePattern = /\b(?:part (?:number|no\.?|#)|p\/n|sku|the number'?s|number is)\s*(?:is\s*)?:?\s*/gi;
+
+    let match;
+    while ((match = cuePattern.exec(text)) !== null) {
+      const tokens = [];
+      for (const token of text.slice(match.index + match[0].length).split(/\s+/)) {
+        const clean = token.replace(/[.,;!?]+$/, '');
+        const isCode = /^[A-Z0-9-]+$/i.test(clean) && (/\d/.test(clean) || /^[A-Z]{1,4}$/.test(clean));
+        if (!clean || !isCode) break;
+        tokens.push(clean.toUpperCase());
+        if (clean !== token) break;
+      }
+
+      const value = tokens.join('');
+      if (/\d/.test(value) && value.length >= 3) {
+        found.push({ value, index: match.index, confidence: 0.9 });
+      }
+    }
+
+    // Uppercase letter/digit codes said without a cue ("the MKD914 set")
+    const codePattern = /\b(?=[A-Z0-9-]*\d)(?=[A-Z0-9-]*[A-Z])[A-Z0-9]{2,}(?:-[A-Z0-9]+)*\b/g;
+    while ((match = codePattern.exec(text)) !== null) {
+      const value = match[0];
+      if (value.length < 5 || /^\d+(AM|PM)$/.test(value) || found.some(f => f.value.startsWith(value.replace(/-/g, '')))) continue;
+      found.push({ value, index: match.index, confidence: 0.6 });
+    }
+
+    return found.sort((a, b) => a.index - b.index);
+  }
+
+  findQuantities(text) {
+    const found = [];
+
+    if (OUT_OF_STOCK_PATTERN.test(text)) {
+      const match = text.match(OUT_OF_STOCK_PATTERN);
+      found.push({ value: 0, index: match.index, confidence: 0.85 });
+    }
+
+    for (const { pattern, confidence } of QUANTITY_PATTERNS) {
+      pattern.lastIndex = 0;
+      let match;
+      while ((match = pattern.exec(text)) !== null) {
+        if (found.some(f => Math.abs(f.index - match.index) < 12)) continue;
+        const raw = match[1].toLowerCase();
+        const value = /^\d+$/.test(raw) ? parseInt(raw) : NUMBER_WORDS[raw];
+        const isWord = !/^\d+$/.test(raw);
+        found.push({ value, index: match.index, confidence: isWord && raw.startsWith('a ') ? Math.min(confidence, 0.6) : confidence });
+      }
+    }
+
+    return found.sort((a, b) => a.index - b.index);
+  }
+
+  findAvailability(text) {
+    if (OUT_OF_STOCK_PATTERN.test(text)) {
+      return { value: 'out of stock', index: text.search(OUT_OF_STOCK_PATTERN) };
+    }
+    if (SPECIAL_ORDER_PATTERN.test(text)) {
+      return { value: 'special order', index: text.search(SPECIAL_ORDER_PATTERN) };
+    }
+    if (LIMITED_STOCK_PATTERN.test(text)) {
+      return { value: 'limited stock', index: text.search(LIMITED_STOCK_PATTERN) };
+    }
+    if (IN_STOCK_PATTERN.test(text)) {
+      return { value: 'in stock', index: text.search(IN_STOCK_PATTERN) };
+    }
+    return null;
+  }
+
+  /**
+   * Find ETA phrases and convert them to days from the reference date
+   * ("tomorrow morning" → 1, "by 3pm" → 0, "2 to 3 business days" → 3)
+   */
+  findETAs(text, referenceDate) {
+    const found = [];
+    const hedged = /\b(should|probably|maybe|might|usually|hopefully)\b/i.test(text);
+    const add = (match, days, time = null) => {
+      if (found.some(f => match.index >= f.index && match.index < f.index + f.text.length)) return;
+      found.push({ text: match[0].trim(), days, time, index: match.index, confidence: hedged ? 0.7 : 0.9 });
+    };
+    const toNumber = (raw) => /^\d+$/.test(raw) ? parseInt(raw) : NUMBER_WORDS[raw.toLowerCase()];
+
+    let match;
+
+    const tomorrow = /\btomorrow(?:\s+(?:morning|afternoon|evening|first thing))?(?:\s+by\s+(\d{1,2}(?::\d{2})?\s*(?:am|pm)?|noon))?/gi;
+    while ((match = tomorrow.exec(text)) !== null) {
+      add(match, 1, match[1] ? match[1].trim() : null);
+    }
+
+    const sameDayTime = /\bby\s+(\d{1,2}(?::\d{2})?\s*(?:am|pm)|\d{1,2}(?::\d{2})?(?=\s*(?:today|this|o'?clock))|noon|end of (?:the )?day|close)\b/gi;
+    while ((match = sameDayTime.exec(text)) !== null) {
+      add(match, 0, match[1].trim());
+    }
+
+    const sameDay = /\b(this afternoon|this morning|later today|today|within the hour|in an hour|in (?:\d+|a couple(?: of)?|a few|two|three) hours?|on the next truck|next truck|overnight|next day)\b/gi;
+    while ((match = sameDay.exec(text)) !== null) {
+      add(match, /overnight|next day/i.test(match[1]) ? 1 : 0);
+    }
+
+    const dayRange = new RegExp(`\\b(\\d+|${NUMBER_WORD_PATTERN})(?:\\s*(?:to|-|or)\\s*(\\d+|${NUMBER_WORD_PATTERN}))?\\s+(?:business\\s+)?days?\\b`, 'gi');
+    while ((match = dayRange.exec(text)) !== null) {
+      add(match, toNumber(match[2] || match[1]));
+    }
+
+    const weeks = new RegExp(`\\b(?:next week|a week|(\\d+|${NUMBER_WORD_PATTERN})(?:\\s*(?:to|-|or)\\s*(\\d+|${NUMBER_WORD_PATTERN}))?\\s+weeks?)\\b`, 'gi');
+    while ((match = weeks.exec(text)) !== null) {
+      add(match, 7 * (match[1] ? toNumber(match[2] || match[1]) : 1));
+    }
+
+    const weekday = new RegExp(`\\b(?:by |on |this |next )?(${WEEKDAYS.join('|')})\\b`, 'gi');
+    while ((match = weekday.exec(text)) !== null) {
+      const target = WEEKDAYS.indexOf(match[1].toLowerCase());
+      let days = (target - referenceDate.getDay() + 7) % 7;
+      if (days === 0 || /^next/i.test(match[0])) days += 7;
+      add(match, days);
+    }
+
+    const endOfWeek = /\b(?:by )?(?:the )?end of (?:the )?week\b/gi;
+    while ((match = endOfWeek.exec(text)) !== null) {
+      add(match, Math.max(0, (5 - referenceDate.getDay() + 7) % 7));
+    }
+
+    return found.sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Pick the fact closest to a price: the last one before it in the window,
+   * otherwise the first one after it
+   */
+  pickNearest(items, windowStart, priceIndex, windowEnd) {
+    const before = items.filter(item => item.index >= windowStart && item.index < priceIndex);
+    if (before.length > 0) {
+      return before[before.length - 1];
+    }
+    return items.find(item => item.index > priceIndex && item.index < windowEnd) || null;
+  }
+
+  createQuote(mention, sentence, turnIndex, labeled, agentAmounts) {
+    const quote = {
+      unitPrice: mention.amount,
+      listPrice: null,
+      coreCharge: null,
+      tax: null,
+      shipping: null,
+      statedTotal: null,
+      brand: null,
+      partNumber: null,
+      quality: null,
+      quantityOnHand: null,
+      availability: null,
+      eta: null,
+      confirmed: false,
+      turnIndex,
+      sourceIndex: mention.index,
+      sourceText: sentence,
+      fieldConfidence: {}
+    };
+    quote.fieldConfidence.unitPrice = this.priceConfidence(sentence, mention, agentAmounts, labeled);
+    return quote;
+  }
+
+  priceConfidence(sentence, mention, agentAmounts, labeled) {
+    let confidence = mention.explicit ? 0.7 : 0.55;
+    if (PRICE_CUE_PATTERN.test(sentence.slice(Math.max(0, mention.index - 20), mention.index))) {
+      confidence += 0.1;
+    }
+    if (!labeled) {
+      confidence -= 0.1;
+    }
+    return Math.round(Math.min(0.99, Math.max(0.1, confidence)) * 100) / 100;
+  }
+
+  feeField(role) {
+    return {
+      core: 'coreCharge',
+      tax: 'tax',
+      shipping: 'shipping',
+      total: 'statedTotal',
+      list: 'listPrice'
+    }[role];
+  }
+
+  setField(quote, field, value, confidence) {
+    quote[field] = value;
+    quote.fieldConfidence[field] = Math.round(confidence * 100) / 100;
+  }
+
+  emptyPending() {
+    return { brand: null, partNumber: null, quantity: null, availability: null, eta: null, fees: [] };
+  }
+
+  applyPending(quote, pending) {
+    if (pending.quantity) this.setField(quote, 'quantityOnHand', pending.quantity.value, pending.quantity.confidence * 0.9);
+    if (pending.availability) quote.availability = pending.availability.value;
+    if (pending.eta) this.setField(quote, 'eta', pending.eta, pending.eta.confidence * 0.9);
+    pending.fees.forEach(fee => this.setField(quote, this.feeField(fee.role), fee.amount, 0.6));
+    Object.assign(pending, this.emptyPending());
+  }
+
+  /**
+   * Attach a sentence's quantity, stock status and ETA to the nearest quote
+   * quoted in that sentence, else the quote under discussion, else hold them
+   */
+  assignFacts(facts, sentenceQuotes, current, pending) {
+    const nearestQuote = (index) => {
+      if (sentenceQuotes.length === 0) return current;
+      return sentenceQuotes.reduce((best, quote) => {
+        const bestDistance = Math.abs(best.sourceIndex - index);
+        return Math.abs(quote.sourceIndex - index) < bestDistance ? quote : best;
+      });
+    };
+
+    const fromEarlierSentence = sentenceQuotes.length === 0;
+    const carry = fromEarlierSentence ? 0.85 : 1;
+
+    facts.quantities.forEach(qty => {
+      const quote = nearestQuote(qty.index);
+      if (!quote) {
+        pending.quantity = pending.quantity || qty;
+      } else if (quote.quantityOnHand === null || !fromEarlierSentence) {
+        this.setField(quote, 'quantityOnHand', qty.value, qty.confidence * carry);
+      }
+    });
+
+    facts.etas.forEach(eta => {
+      const quote = nearestQuote(eta.index);
+      const value = { text: eta.text, days: eta.days, time: eta.time, confidence: eta.confidence };
+      if (!quote) {
+        pending.eta = pending.eta || value;
+      } else if (quote.eta === null) {
+        this.setField(quote, 'eta', value, eta.confidence * carry);
+      }
+    });
+
+    if (facts.availability) {
+      const quote = nearestQuote(facts.availability.index);
+      if (!quote) {
+        pending.availability = pending.availability || facts.availability;
+      } else if (!quote.availability || !fromEarlierSentence) {
+        quote.availability = facts.availability.value;
+      }
+    }
+
+    if (fromEarlierSentence) {
+      // "Those are Wagner pads." right after a price describes that quote
+      facts.brands.forEach(brand => {
+        if (current && !current.brand) {
+          this.setField(current, 'brand', brand.value, 0.7);
+          current.quality = brand.quality;
+        } else {
+          pending.brand = brand;
+        }
+      });
+      facts.partNumbers.forEach(partNumber => {
+        if (current && !current.partNumber) {
+          this.setField(current, 'partNumber', partNumber.value, partNumber.confidence * carry);
+        } else {
+          pending.partNumber = partNumber;
+        }
+      });
+    }
+
+    if (facts.quality) {
+      const targets = sentenceQuotes.length > 0 ? sentenceQuotes : (current ? [current] : []);
+      targets.filter(quote => !quote.brand || quote.quality === 'Standard').forEach(quote => {
+        quote.quality = facts.quality.quality;
+      });
+    }
+  }
+
+  /**
+   * Fill derived fields (availability, delivery days, totals) and overall confidence
+   */
+  finalizeQuote(quote) {
+    const { turnIndex, sourceIndex, ...result } = quote;
+
+    if (!result.availability) {
+      if (result.quantityOnHand > 0) {
+        result.availability = 'in stock';
+      } else if (result.quantityOnHand === 0) {
+        result.availability = result.eta ? 'special order' : 'out of stock';
+      } else if (result.eta && result.eta.days > 0) {
+        result.availability = 'special order';
+      } else if (result.eta) {
+        result.availability = 'in stock';
+      } else {
+        result.availability = 'unknown';
+      }
+    } else if (result.availability === 'out of stock' && result.eta) {
+      result.availability = 'special order';
+    }
+
+    if (result.eta) {
+      result.deliveryTime = result.eta.days;
+    } else {
+      result.deliveryTime = ['in stock', 'limited stock'].includes(result.availability) ? 0 : null;
+    }
+
+    result.totalPrice = Math.round(
+      (result.unitPrice + (result.coreCharge || 0) + (result.shipping || 0) + (result.tax || 0)) * 100
+    ) / 100;
+
+    result.price = result.unitPrice;
+    result.quality = result.quality || 'Unknown';
+
+    // Price dominates; supporting fields nudge the overall score
+    const weights = { unitPrice: 0.55, brand: 0.1, partNumber: 0.1, quantityOnHand: 0.1, eta: 0.15 };
+    let weighted = 0;
+    let totalWeight = 0;
+    for (const [field, weight] of Object.entries(weights)) {
+      if (result.fieldConfidence[field] !== undefined) {
+        weighted += result.fieldConfidence[field] * weight;
+        totalWeight += weight;
+      }
+    }
+    result.confidence = Math.round((weighted / totalWeight) * 100) / 100;
+
+    return result;
+  }
+
+  /**
+   * The quote ALEX should report first: highest confidence, earliest on ties
+   */
+  pickPrimaryQuote(quotes) {
+    return quotes.reduce((best, quote) => (!best || quote.confidence > best.confidence ? quote : best), null);
+  }
+}
+
+module.exports = PartsTranscriptParser;
@@ -0,0 +1,98 @@
+/**
+ * Parts Transcript Replay
+ * Runs the recorded parts-store calls in fixtures/parts-call-transcripts.json
+ * through the transcript parser and checks every quote against what the
+ * fixture expects, so a parser change can be checked without placing calls.
+ *
+ * Each expected quote lists only the fields that must match. Exits 1 if a
+ * transcript yields a different number of quotes or a field doesn't match.
+ *
+ * Usage:
+ *   npm run replay:transcripts   (npm test also runs it, before the tests in test/)
+ *   node parts-transcript-replay.js --file ./my-transcripts.json
+ *   node parts-transcript-replay.js --only "unlabeled transcript"
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PartsTranscriptParser = require('./parts-transcript-parser.js');
+
+const DEFAULT_FILE = path.join(__dirname, 'fixtures', 'parts-call-transcripts.json');
+
+function parseArgs(argv) {
+    const args = { file: DEFAULT_FILE, only: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--file') args.file = path.resolve(argv[++i]);
+        if (argv[i] === '--only') args.only = argv[++i];
+    }
+
+    return args;
+}
+
+/**
+ * Expected fields that don't match the actual quote
+ * @returns {string[]} One message per mismatch
+ */
+function compare(label, actual, expected) {
+    return Object.entries(expected || {})
+        .filter(([field, value]) => actual?.[field] !== value)
+        .map(([field, value]) => `${label}.${field}: expected ${JSON.stringify(value)}, got ${JSON.stringify(actual?.[field])}`);
+}
+
+/**
+ * Parse one transcript and check its quotes
+ * @returns {string[]} Failures (empty when the transcript passes)
+ */
+function replayTranscript(parser, fixture, referenceDate) {
+    const { quotes } = parser.parse(fixture.transcript, { referenceDate });
+    const expected = fixture.expected?.quotes || [];
+    const failures = [];
+
+    if (quotes.length !== expected.length) {
+        failures.push(`quotes: expected ${expected.length}, got ${quotes.length}`);
+    }
+
+    expected.forEach((quote, i) => {
+        failures.push(...compare(`quotes[${i}]`, quotes[i], quote));
+    });
+
+    return failures;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const suite = JSON.parse(fs.readFileSync(args.file, 'utf8'));
+    const fixtures = suite.transcripts.filter(fixture => !args.only || fixture.name === args.only);
+
+    if (fixtures.length === 0) {
+        console.error(`❌ No transcripts to replay${args.only ? ` named "${args.only}"` : ''}`);
+        process.exit(1);
+    }
+
+    const parser = new PartsTranscriptParser();
+    let failed = 0;
+
+    for (const fixture of fixtures) {
+        try {
+            const failures = replayTranscript(parser, fixture, fixture.referenceDate || suite.referenceDate);
+
+            if (failures.length === 0) {
+                console.log(`✅ ${fixture.name}`);
+            } else {
+                failed++;
+                console.log(`❌ ${fixture.name}`);
+                failures.forEach(failure => console.log(`   - ${failure}`));
+            }
+        } catch (error) {
+            failed++;
+            console.log(`❌ ${fixture.name}: ${error.message}`);
+        }
+    }
+
+    console.log(`\n${fixtures.length - failed}/${fixtures.length} transcripts passed`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,586 @@
+/**
+ * Price Check Campaign Service
+ *
+ * One request for pricing ("brake pads for a 2018 Camry") becomes a campaign:
+ * ALEX phones several open parts stores at once, each quote parsed from a call
+ * goes into a PartsQuoteComparator for its part, and once every call has
+ * finished (or timed out) the campaign ends with a ranked recommendation per
+ * part and a priced estimate built from the best quotes.
+ *
+ * Each store is called for one part at a time, stores are called in parallel
+ * (up to maxConcurrentCalls), and a call that hasn't produced a transcript
+ * within callTimeoutMs is ended and marked timed_out.
+ *
+ * Campaigns are kept per shop in 'priceCheckCampaigns'. The service emits
+ * 'progress' ({ shopId, type, call, campaign }) on every change for live
+ * updates.
+ *
+ * Status flow:
+ *   in_progress (step 1 calling → 2 comparing → 3 preparing estimate)
+ *     → completed, failed or cancelled
+ */
+
+const EventEmitter = require('events');
+const { ShopRouter } = require('./firebase-config');
+const PartsQuoteComparator = require('./parts-quote-comparator.js');
+const { QuoteScoringEngine } = require('./quote-scoring-engine.js');
+const { normalizeQuote, toComparatorQuote } = require('./parts-search-aggregator.js');
+
+const CAMPAIGN_STATUSES = ['in_progress', 'completed', 'failed', 'cancelled'];
+const CALL_STATUSES = ['queued', 'calling', 'quoted', 'no_quote', 'timed_out', 'failed', 'cancelled'];
+
+// Call states that are done with
+const FINISHED_CALL_STATUSES = ['quoted', 'no_quote', 'timed_out', 'failed', 'cancelled'];
+
+const DEFAULT_CALL_TIMEOUT_MS = 5 * 60 * 1000;
+const DEFAULT_MAX_CONCURRENT_CALLS = 3;
+const DEFAULT_MAX_STORES = 3;
+// Live progress streams open at once (each is a 'progress' listener)
+const DEFAULT_MAX_VIEWERS = 100;
+
+// The quick-quote services: labor guide operation (or hours) and the parts to price
+const SERVICE_JOBS = {
+  'oil-change': {
+    label: 'Oil Change',
+    labor: [{ operationId: 'oil-change' }],
+    parts: [{ partName: 'Oil filter' }, { partName: 'Synthetic motor oil (quart)', quantity: 5 }]
+  },
+  'brake-pads': {
+    label: 'Brake Pads Replacement',
+    labor: [{ operationId: 'brake-pads-front' }],
+    parts: [{ partName: 'Front brake pads' }]
+  },
+  'brake-rotors': {
+    label: 'Brake Rotors Replacement',
+    labor: [{ operationId: 'brake-rotors-front' }],
+    parts: [{ partName: 'Front brake rotor', quantity: 2 }, { partName: 'Front brake pads' }]
+  },
+  'battery': {
+    label: 'Battery Replacement',
+    labor: [{ operationId: 'battery-replacement' }],
+    parts: [{ partName: 'Battery' }]
+  },
+  'alternator': {
+    label: 'Alternator Replacement',
+    labor: [{ operationId: 'alternator-replacement' }],
+    parts: [{ partName: 'Alternator' }]
+  },
+  'starter': {
+    label: 'Starter Replacement',
+    labor: [{ operationId: 'starter-replacement' }],
+    parts: [{ partName: 'Starter' }]
+  },
+  'water-pump': {
+    label: 'Water Pump Replacement',
+    labor: [{ operationId: 'water-pump' }],
+    parts: [{ partName: 'Water pump' }, { partName: 'Coolant (gallon)', quantity: 2 }]
+  },
+  'timing-belt': {
+    label: 'Timing Belt Replacement',
+    labor: [{ operationId: 'timing-belt' }],
+    parts: [{ partName: 'Timing belt kit' }]
+  },
+  'spark-plugs': {
+    label: 'Spark Plugs Replacement',
+    labor: [{ operationId: 'spark-plugs' }],
+    parts: [{ partName: 'Spark plug', quantity: 4 }]
+  },
+  'coolant-flush': {
+    label: 'Coolant Flush',
+    labor: [{ operationId: 'coolant-flush' }],
+    parts: [{ partName: 'Coolant (gallon)', quantity: 2 }]
+  },
+  'transmission-service': {
+    label: 'Transmission Service',
+    labor: [{ operationId: 'transmission-fluid' }],
+    parts: [{ partName: 'Transmission filter kit' }, { partName: 'Transmission fluid (quart)', quantity: 5 }]
+  },
+  'ac-repair': {
+    label: 'AC Repair',
+    labor: [{ operationId: 'ac-recharge' }],
+    parts: [{ partName: 'R-134a refrigerant' }]
+  },
+  'suspension': {
+    label: 'Suspension Repair',
+    labor: [{ operationId: 'struts' }],
+    parts: [{ partName: 'Front strut assembly', quantity: 2 }]
+  },
+  'exhaust': {
+    label: 'Exhaust System',
+    labor: [{ operationId: 'muffler-replacement' }],
+    parts: [{ partName: 'Muffler' }]
+  }
+};
+
+function round2(value) {
+  return Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+}
+
+class PriceCheckCampaignService extends EventEmitter {
+  /**
+   * @param {object} options - { calling (VAPIPartsCallingService), directory (PartsStoreDirectory),
+   *   scoringEngine (QuoteScoringEngine), estimateEngine (EstimateEngine), maxConcurrentCalls,
+   *   callTimeoutMs, maxStores, maxViewers }
+   */
+  constructor(options = {}) {
+    super();
+    this.calling = options.calling;
+    this.directory = options.directory || this.calling.directory;
+    this.scoringEngine = options.scoringEngine || null;
+    this.estimateEngine = options.estimateEngine || null;
+    this.maxConcurrentCalls = Number(options.maxConcurrentCalls || process.env.PRICE_CHECK_MAX_CONCURRENT_CALLS) || DEFAULT_MAX_CONCURRENT_CALLS;
+    this.callTimeoutMs = Number(options.callTimeoutMs || process.env.PRICE_CHECK_CALL_TIMEOUT_MS) || DEFAULT_CALL_TIMEOUT_MS;
+    this.maxStores = Number(options.maxStores) || DEFAULT_MAX_STORES;
+    this.setMaxListeners(Number(options.maxViewers || process.env.PRICE_CHECK_MAX_VIEWERS) || DEFAULT_MAX_VIEWERS);
+
+    // Campaigns running in this process: id → campaign
+    this.running = new Map();
+    // VAPI call ID → resolve(call | null)
+    this.waiting = new Map();
+
+    this.calling.on('call-processed', (call) => {
+      const resolve = this.waiting.get(call.callId);
+      if (resolve) resolve(call);
+    });
+  }
+
+  /**
+   * Services the quick-quote form offers
+   */
+  getServices() {
+    return Object.entries(SERVICE_JOBS).map(([id, job]) => ({ id, label: job.label, parts: job.parts }));
+  }
+
+  /**
+   * Start a campaign; calls run in the background
+   * @param {string} shopId - Shop ID
+   * @param {object} input - { vehicle: { year, make, model, engine, vin }, service, description,
+   *   parts: [{ partName, partNumber, quantity }], labor, storeIds, urgency, customer, createdBy }
+   *   parts/labor default from the service
+   * @returns {Promise<object>} Campaign
+   */
+  async start(shopId, input = {}) {
+    try {
+      const { vehicle = {}, service = null, urgency = 'normal' } = input;
+      if (!vehicle.year || !vehicle.make || !vehicle.model) {
+        throw new Error('Vehicle year, make and model are required');
+      }
+
+      const job = SERVICE_JOBS[service] || null;
+      const parts = (input.parts?.length ? input.parts : job?.parts || []).map((part, index) => ({
+        index,
+        partName: part.partName || part.description || null,
+        partNumber: part.partNumber || null,
+        quantity: Number(part.quantity) || 1
+      }));
+      if (parts.length === 0) {
+        throw new Error('No parts to price - choose a service or list the parts');
+      }
+      if (parts.some(part => !part.partName && !part.partNumber)) {
+        throw new Error('Each part needs a part name or part number');
+      }
+
+      const stores = await this.chooseStores(shopId, input.storeIds);
+
+      const id = `PCC-${Date.now()}`;
+      const now = new Date().toISOString();
+      const campaign = {
+        id,
+        shopId,
+        status: 'in_progress',
+        step: 1,
+        service,
+        serviceLabel: job?.label || input.serviceLabel || service || 'Parts price check',
+        description: input.description || null,
+        vehicle: { year: vehicle.year, make: vehicle.make, model: vehicle.model, engine: vehicle.engine || null, vin: vehicle.vin || null },
+        urgency,
+        customer: input.customer || null,
+        labor: input.labor || job?.labor || [],
+        parts,
+        stores: stores.map(store => ({ storeId: store.id, storeName: store.name })),
+        calls: stores.flatMap(store => parts.map(part => ({
+          id: `${store.id}:${part.index}`,
+          storeId: store.id,
+          storeName: store.name,
+          partIndex: part.index,
+          partName: part.partName,
+          callId: null,
+          status: 'queued',
+          quotes: [],
+          error: null,
+          startedAt: null,
+          endedAt: null
+        }))),
+        progress: { total: stores.length * parts.length, finished: 0, quoted: 0 },
+        results: [],
+        recommendation: null,
+        estimate: null,
+        error: null,
+        createdBy: input.createdBy || 'Staff',
+        createdAt: now,
+        updatedAt: now,
+        completedAt: null
+      };
+
+      this.running.set(id, campaign);
+      await this.save(campaign, 'started');
+      console.log(`📋 Price check ${id}: ${parts.length} part(s) at ${stores.length} store(s)`);
+
+      this.run(campaign).catch(error => this.fail(campaign, error));
+      return campaign;
+    } catch (error) {
+      console.error('Error starting price check campaign:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The requested stores, or the best stores that are open now
+   */
+  async chooseStores(shopId, storeIds = []) {
+    if (storeIds?.length) {
+      const stores = await Promise.all(storeIds.map(storeId => this.directory.get(shopId, storeId)));
+      const callable = stores.filter(store => !store.isOnlineOnly && store.phone && store.openNow);
+      if (callable.length === 0) {
+        throw new Error('None of those parts stores can be called right now');
+      }
+      return callable;
+    }
+
+    const stores = await this.directory.getTopStores(shopId, this.maxStores);
+    if (stores.length === 0) {
+      throw new Error('No parts stores are open to call right now');
+    }
+    return stores;
+  }
+
+  /**
+   * Call every store, compare, then price the estimate
+   */
+  async run(campaign) {
+    const jobContext = {
+      urgency: campaign.urgency === 'emergency' ? 'urgent' : campaign.urgency,
+      customerWaiting: campaign.urgency === 'emergency'
+    };
+    const settings = this.scoringEngine
+      ? { ...await this.scoringEngine.getSettings(campaign.shopId), stores: await this.scoringEngine.getStores(campaign.shopId) }
+      : QuoteScoringEngine.buildSettings();
+
+    const comparators = campaign.parts.map(() => new PartsQuoteComparator({ settings, jobContext }));
+
+    // One worker per store at a time, each working through the parts in order
+    const queue = [...campaign.stores];
+    const worker = async () => {
+      while (queue.length > 0 && campaign.status === 'in_progress') {
+        const { storeId } = queue.shift();
+        for (const call of campaign.calls.filter(entry => entry.storeId === storeId)) {
+          if (campaign.status !== 'in_progress') break;
+          await this.placeCall(campaign, call, comparators[call.partIndex]);
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.maxConcurrentCalls, queue.length) }, worker));
+
+    if (campaign.status !== 'in_progress') {
+      this.running.delete(campaign.id);
+      return;
+    }
+
+    campaign.step = 2;
+    await this.save(campaign, 'comparing');
+
+    if (campaign.progress.quoted === 0) {
+      throw new Error('None of the stores gave us pricing for these parts');
+    }
+
+    campaign.results = campaign.parts.map(part => this.rankPart(part, comparators[part.index]));
+    campaign.recommendation = campaign.results
+      .map(result => campaign.parts.length > 1 ? `${result.partName}:\n${result.recommendation}` : result.recommendation)
+      .join('\n\n');
+
+    campaign.step = 3;
+    await this.save(campaign, 'preparing');
+
+    campaign.estimate = await this.buildEstimate(campaign);
+    campaign.status = 'completed';
+    campaign.completedAt = new Date().toISOString();
+    await this.save(campaign, 'completed');
+
+    this.running.delete(campaign.id);
+    console.log(`✅ Price check ${campaign.id} complete: ${campaign.progress.quoted}/${campaign.progress.total} calls quoted`);
+  }
+
+  /**
+   * Place one call and wait for its quote (or the timeout)
+   */
+  async placeCall(campaign, call, comparator) {
+    const part = campaign.parts[call.partIndex];
+    call.status = 'calling';
+    call.startedAt = new Date().toISOString();
+    await this.save(campaign, 'call-started', call);
+
+    let processed = null;
+    try {
+      const result = await this.calling.callStore(call.storeId, {
+        shopId: campaign.shopId,
+        partName: part.partName,
+        partNumber: part.partNumber,
+        year: campaign.vehicle.year,
+        make: campaign.vehicle.make,
+        model: campaign.vehicle.model
+      });
+      call.callId = result.callId;
+      processed = await this.waitForCall(result.callId);
+    } catch (error) {
+      call.status = 'failed';
+      call.error = error.message;
+    }
+
+    if (call.status === 'calling' && !processed) {
+      call.status = campaign.status === 'cancelled' ? 'cancelled' : 'timed_out';
+      if (call.status === 'timed_out') {
+        call.error = `No quote within ${Math.ceil(this.callTimeoutMs / 1000)} seconds`;
+        await this.calling.cancelCall(call.callId).catch(() => {});
+      }
+    }
+
+    if (processed) {
+      const offered = processed.parsedData?.quotes?.length ? processed.parsedData.quotes : [processed.parsedData || {}];
+      call.quotes = offered
+        .filter(offer => (offer.price ?? offer.unitPrice) != null)
+        .map(offer => ({
+          ...toComparatorQuote(normalizeQuote(offer, {
+            supplier: 'phone',
+            storeId: call.storeId,
+            storeName: call.storeName,
+            quotedAt: new Date().toISOString()
+          })),
+          storeName: call.storeName,
+          callId: call.callId
+        }));
+      comparator.addQuotes(call.quotes);
+      call.status = call.quotes.length > 0 ? 'quoted' : 'no_quote';
+    }
+
+    call.endedAt = new Date().toISOString();
+    campaign.progress.finished = campaign.calls.filter(entry => FINISHED_CALL_STATUSES.includes(entry.status)).length;
+    campaign.progress.quoted = campaign.calls.filter(entry => entry.status === 'quoted').length;
+    await this.save(campaign, 'call-finished', call);
+  }
+
+  /**
+   * Resolves with the processed call, or null when it times out or is cancelled
+   */
+  waitForCall(callId) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => finish(null), this.callTimeoutMs);
+      const finish = (call) => {
+        clearTimeout(timer);
+        this.waiting.delete(callId);
+        resolve(call);
+      };
+      this.waiting.set(callId, finish);
+    });
+  }
+
+  /**
+   * Ranked quotes and ALEX's recommendation for one part
+   */
+  rankPart(part, comparator) {
+    const quotes = comparator.getSortedQuotes().map(quote => ({
+      storeId: quote.storeId,
+      storeName: quote.storeName,
+      partNumber: quote.partNumber || null,
+      brand: quote.brand || null,
+      price: quote.price,
+      coreCharge: quote.coreCharge || null,
+      availability: quote.availability,
+      deliveryTime: quote.deliveryTime ?? null,
+      quality: quote.quality,
+      warranty: quote.warranty || null,
+      score: quote.score,
+      eligible: quote.eligible,
+      ineligibleReason: quote.ineligibleReason || null,
+      reasons: QuoteScoringEngine.topReasons(quote.scoring)
+    }));
+
+    return {
+      partIndex: part.index,
+      partName: part.partName,
+      partNumber: part.partNumber,
+      quantity: part.quantity,
+      quotes,
+      best: quotes.find(quote => quote.eligible) || null,
+      recommendation: comparator.generateALEXRecommendation()
+    };
+  }
+
+  /**
+   * Estimate from the job's labor and the best quote for each part; parts
+   * nobody quoted are left for pricing
+   */
+  async buildEstimate(campaign) {
+    const parts = campaign.results.map(result => ({
+      description: result.partName,
+      partNumber: result.best?.partNumber || result.partNumber,
+      brand: result.best?.brand || null,
+      quantity: result.quantity,
+      cost: result.best?.price || 0,
+      coreCharge: result.best?.coreCharge || 0
+    }));
+    const storesCalled = new Set(campaign.calls.filter(call => call.callId).map(call => call.storeId)).size;
+    const vehicle = `${campaign.vehicle.year} ${campaign.vehicle.make} ${campaign.vehicle.model}`;
+
+    if (!this.estimateEngine) {
+      const partsCost = round2(parts.reduce((sum, part) => sum + (part.cost + part.coreCharge) * part.quantity, 0));
+      return {
+        quoteId: campaign.id,
+        vehicle: campaign.vehicle,
+        service: campaign.serviceLabel,
+        partsCost,
+        laborCost: 0,
+        fees: 0,
+        tax: 0,
+        total: partsCost,
+        storesCalled,
+        needsPricing: parts.filter(part => !part.cost).map(part => part.description),
+        summary: `${vehicle} - ${campaign.serviceLabel}: parts $${partsCost.toFixed(2)} (labor not included)`
+      };
+    }
+
+    const priced = await this.estimateEngine.buildEstimate(campaign.shopId, { vehicle: campaign.vehicle, labor: campaign.labor, parts });
+    const { totals } = priced;
+    const needsPricing = priced.lines.filter(line => line.needsPricing).map(line => line.description);
+    const bestPicks = campaign.results
+      .filter(result => result.best)
+      .map(result => `${result.partName} from ${result.best.storeName} ($${result.best.price.toFixed(2)}, ${result.best.availability})`);
+
+    return {
+      quoteId: campaign.id,
+      vehicle: campaign.vehicle,
+      service: campaign.serviceLabel,
+      partsCost: round2(totals.parts + totals.cores),
+      laborCost: totals.labor,
+      fees: totals.fees,
+      tax: totals.tax,
+      total: totals.total,
+      storesCalled,
+      needsPricing,
+      lines: priced.lines,
+      summary: `${vehicle} - ${campaign.serviceLabel}: parts $${round2(totals.parts + totals.cores).toFixed(2)}, ` +
+        `labor $${totals.labor.toFixed(2)}, tax $${totals.tax.toFixed(2)}, total $${totals.total.toFixed(2)}.` +
+        (bestPicks.length > 0 ? ` Best prices: ${bestPicks.join('; ')}.` : '') +
+        (needsPricing.length > 0 ? ` Still needs pricing: ${needsPricing.join(', ')}.` : '')
+    };
+  }
+
+  async fail(campaign, error) {
+    console.error(`Error running price check ${campaign.id}:`, error);
+    this.running.delete(campaign.id);
+
+    campaign.status = 'failed';
+    campaign.error = error.message;
+    campaign.completedAt = new Date().toISOString();
+    await this.save(campaign, 'failed').catch(saveError => console.error('Error saving failed price check:', saveError));
+  }
+
+  /**
+   * Stop a running campaign and end its calls
+   * @param {string} shopId - Shop ID
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<object>} Campaign
+   */
+  async cancel(shopId, campaignId) {
+    try {
+      const stored = await this.get(shopId, campaignId);
+      if (stored.status !== 'in_progress') {
+        throw new Error(`Price check ${campaignId} is already ${stored.status}`);
+      }
+
+      const campaign = this.running.get(campaignId) || stored;
+      campaign.status = 'cancelled';
+      campaign.completedAt = new Date().toISOString();
+
+      for (const call of campaign.calls) {
+        if (call.status === 'queued') {
+          call.status = 'cancelled';
+        } else if (call.status === 'calling' && call.callId) {
+          await this.calling.cancelCall(call.callId).catch(() => {});
+          this.waiting.get(call.callId)?.(null);
+        }
+      }
+
+      this.running.delete(campaignId);
+      await this.save(campaign, 'cancelled');
+      return campaign;
+    } catch (error) {
+      console.error('Error cancelling price check campaign:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a campaign. One left in_progress that isn't running here was cut
+   * off by a restart and is reported as failed.
+   * @param {string} shopId - Shop ID
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<object>}
+   */
+  async get(shopId, campaignId) {
+    try {
+      const doc = await ShopRouter.getShopDocument(shopId, 'priceCheckCampaigns', campaignId).get();
+      if (!doc.exists) {
+        throw new Error('Price check not found');
+      }
+
+      const campaign = { id: doc.id, ...doc.data() };
+      if (campaign.status === 'in_progress' && !this.running.has(campaign.id)) {
+        return { ...campaign, status: 'failed', error: 'The price check was interrupted - please start it again' };
+      }
+      return campaign;
+    } catch (error) {
+      console.error('Error getting price check campaign:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List campaigns, newest first
+   * @param {string} shopId - Shop ID
+   * @param {object} filters - { status, limit }
+   * @returns {Promise<Array>}
+   */
+  async list(shopId, filters = {}) {
+    try {
+      let query = ShopRouter.getShopCollection(shopId, 'priceCheckCampaigns');
+      if (filters.status) {
+        query = query.where('status', '==', filters.status);
+      }
+
+      const snapshot = await query.get();
+      return snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, Number(filters.limit) || 50);
+    } catch (error) {
+      console.error('Error listing price check campaigns:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Persist the campaign and tell listeners what changed
+   */
+  async save(campaign, type, call = null) {
+    campaign.updatedAt = new Date().toISOString();
+    await ShopRouter.getShopDocument(campaign.shopId, 'priceCheckCampaigns', campaign.id).set(campaign);
+    this.emit('progress', { shopId: campaign.shopId, type, call, campaign });
+  }
+}
+
+module.exports = {
+  PriceCheckCampaignService,
+  SERVICE_JOBS,
+  CAMPAIGN_STATUSES,
+  CALL_STATUSES
+};
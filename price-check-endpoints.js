@@ -0,0 +1,219 @@
+/**
+ * Price Check (ALEX Workflow) API Endpoints
+ * Start a multi-store price-check campaign, follow it live over Server-Sent
+ * Events or by polling, and get the ranked recommendation and estimate
+ */
+
+const { getShopId } = require('./shop-auth-middleware.js');
+
+function sendPriceCheckError(res, error) {
+    if (['Price check not found', 'Parts store not found'].includes(error.message)) {
+        return res.status(404).json({ success: false, error: error.message });
+    }
+
+    if (/^(Price check .* is already|No parts stores are open|None of those parts stores)/.test(error.message)) {
+        return res.status(409).json({ success: false, error: error.message });
+    }
+
+    if (/^(Vehicle year, make and model are required|No parts to price|Each part needs)/.test(error.message)) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    res.status(500).json({ success: false, error: error.message });
+}
+
+/**
+ * What the quick-quote page polls for: status (cancelled reads as failed),
+ * step 1-3 and the estimate once completed
+ */
+function toWorkflowStatus(campaign) {
+    const cancelled = campaign.status === 'cancelled';
+    return {
+        success: true,
+        workflowId: campaign.id,
+        status: cancelled ? 'failed' : campaign.status,
+        step: campaign.step,
+        progress: campaign.progress,
+        calls: campaign.calls.map(({ quotes, ...call }) => ({ ...call, quotes: quotes.length })),
+        estimate: campaign.estimate,
+        results: campaign.results,
+        recommendation: campaign.recommendation,
+        error: cancelled ? 'The price check was cancelled' : campaign.error
+    };
+}
+
+/**
+ * @param {object} app - Express app
+ * @param {PriceCheckCampaignService} campaigns - Price check campaign service
+ */
+function registerPriceCheckEndpoints(app, campaigns) {
+    const getUser = (req) => req.body?.by || req.shop?.email || 'Staff';
+
+    /**
+     * GET /api/alex/workflow/services
+     * Services a price check can be started for, with the parts each one prices
+     */
+    app.get('/api/alex/workflow/services', (req, res) => {
+        res.json({ success: true, services: campaigns.getServices() });
+    });
+
+    /**
+     * POST /api/alex/workflow/get-pricing
+     * Start a price check; ALEX calls the stores in the background
+     * Body: { vehicle: { year, make, model, vin }, service, description, urgency,
+     *   parts: [{ partName, partNumber, quantity }] (default: the service's parts),
+     *   storeIds (default: the best stores open now), customerName, customerPhone, customerEmail }
+     */
+    app.post('/api/alex/workflow/get-pricing', async (req, res) => {
+        try {
+            const { vehicle, service, description, urgency, parts, labor, storeIds, customerName, customerPhone, customerEmail } = req.body;
+            const campaign = await campaigns.start(getShopId(req), {
+                vehicle,
+                service,
+                description,
+                urgency,
+                parts,
+                labor,
+                storeIds,
+                customer: customerName || customerPhone || customerEmail
+                    ? { name: customerName || null, phone: customerPhone || null, email: customerEmail || null }
+                    : null,
+                createdBy: getUser(req)
+            });
+
+            res.status(202).json({
+                success: true,
+                workflowId: campaign.id,
+                status: campaign.status,
+                stores: campaign.stores,
+                parts: campaign.parts,
+                eventsUrl: `/api/alex/workflow/${campaign.id}/events`
+            });
+        } catch (error) {
+            sendPriceCheckError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/alex/workflow/status/:id
+     * Price check status, and the estimate once it's completed
+     */
+    app.get('/api/alex/workflow/status/:id', async (req, res) => {
+        try {
+            const campaign = await campaigns.get(getShopId(req), req.params.id);
+            res.json(toWorkflowStatus(campaign));
+        } catch (error) {
+            sendPriceCheckError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/alex/workflow
+     * Recent price checks (optional ?status=, ?limit=)
+     */
+    app.get('/api/alex/workflow', async (req, res) => {
+        try {
+            const list = await campaigns.list(getShopId(req), { status: req.query.status, limit: req.query.limit });
+            res.json({ success: true, campaigns: list, total: list.length });
+        } catch (error) {
+            sendPriceCheckError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/alex/workflow/:id
+     * The full campaign: every call, the quotes it produced and the ranked results
+     */
+    app.get('/api/alex/workflow/:id', async (req, res) => {
+        try {
+            const campaign = await campaigns.get(getShopId(req), req.params.id);
+            res.json({ success: true, campaign });
+        } catch (error) {
+            sendPriceCheckError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/alex/workflow/:id/events
+     * Server-Sent Events: 'status' with the current state, then 'progress' on
+     * every change (started, call-started, call-finished, comparing, preparing),
+     * and a final 'done' when the price check completes, fails or is cancelled
+     */
+    app.get('/api/alex/workflow/:id/events', async (req, res) => {
+        let shopId;
+        let heartbeat = null;
+        let send = null;
+        let closed = false;
+        // Updates that arrive while the campaign is being read
+        const pending = [];
+
+        const stop = () => {
+            clearInterval(heartbeat);
+            campaigns.off('progress', onProgress);
+        };
+
+        const onProgress = (update) => {
+            if (update.shopId !== shopId || update.campaign.id !== req.params.id) return;
+            if (!send) return pending.push(update);
+
+            send('progress', { type: update.type, call: update.call, ...toWorkflowStatus(update.campaign) });
+            if (update.campaign.status !== 'in_progress') {
+                send('done', toWorkflowStatus(update.campaign));
+                stop();
+                res.end();
+            }
+        };
+
+        req.on('close', () => {
+            closed = true;
+            stop();
+        });
+
+        let campaign;
+        try {
+            shopId = getShopId(req);
+            // Subscribe before reading, so a change made in between isn't missed
+            campaigns.on('progress', onProgress);
+            campaign = await campaigns.get(shopId, req.params.id);
+        } catch (error) {
+            stop();
+            return sendPriceCheckError(res, error);
+        }
+        if (closed) return;
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.flushHeaders();
+
+        send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        send('status', toWorkflowStatus(campaign));
+
+        if (campaign.status !== 'in_progress') {
+            send('done', toWorkflowStatus(campaign));
+            stop();
+            return res.end();
+        }
+
+        // Keeps proxies from closing an idle stream while calls are ringing
+        heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+        pending.splice(0).forEach(onProgress);
+    });
+
+    /**
+     * POST /api/alex/workflow/:id/cancel
+     * Stop a price check and hang up its calls
+     */
+    app.post('/api/alex/workflow/:id/cancel', async (req, res) => {
+        try {
+            const campaign = await campaigns.cancel(getShopId(req), req.params.id);
+            res.json(toWorkflowStatus(campaign));
+        } catch (error) {
+            sendPriceCheckError(res, error);
+        }
+    });
+}
+
+module.exports = registerPriceCheckEndpoints;
@@ -255,45 +255,69 @@ class QuickQuoteForm {
             }
 
             const data = await response.json();
-
-            if (data.status === 'completed') {
-                // Stop polling
-                this.stopStatusPolling();
-                
-                // Show final estimate
-                this.showFinalEstimate(data.estimate);
-            } else if (data.status === 'in_progress') {
-                // Update with current step
-                this.updateProgress([
-                    { text: 'Validating your request...', done: true },
-                    { text: 'Calling local parts stores...', done: true },
-                    { text: 'Comparing prices...', done: data.step >= 2 },
-                    { text: 'Preparing your estimate...', done: data.step >= 3 }
-                ]);
-            } else if (data.status === 'failed') {
-                this.stopStatusPolling();
-                this.showStatus('error', 'Workflow Failed', {
-                    message: `We encountered an issue: ${data.error}`,
-                    actions: [
-                        { text: '🔄 Try Again', action: () => this.hideStatus() },
-                        { text: '📞 Call Shop Directly', action: () => window.location.href = 'tel:+15550199' }
-                    ]
-                });
-            }
+            this.renderWorkflowStatus(data);
 
         } catch (error) {
             console.error('Error checking status:', error);
         }
     }
 
+    renderWorkflowStatus(data) {
+        if (data.status === 'completed') {
+            // Stop polling
+            this.stopStatusPolling();
+            
+            // Show final estimate
+            this.showFinalEstimate(data.estimate);
+        } else if (data.status === 'in_progress') {
+            // Update with current step
+            this.updateProgress([
+                { text: 'Validating your request...', done: true },
+                { text: 'Calling local parts stores...', done: true },
+                { text: 'Comparing prices...', done: data.step >= 2 },
+                { text: 'Preparing your estimate...', done: data.step >= 3 }
+            ]);
+        } else if (data.status === 'failed') {
+            this.stopStatusPolling();
+            this.showStatus('error', 'Workflow Failed', {
+                message: `We encountered an issue: ${data.error}`,
+                actions: [
+                    { text: '🔄 Try Again', action: () => this.hideStatus() },
+                    { text: '📞 Call Shop Directly', action: () => window.location.href = 'tel:+15550199' }
+                ]
+            });
+        }
+    }
+
     startStatusPolling() {
+        // Live updates while ALEX is on the phone; fall back to polling if the stream drops
+        if (window.EventSource && !this.eventSource) {
+            this.eventSource = new EventSource(`/api/alex/workflow/${this.workflowId}/events`);
+            const render = (event) => this.renderWorkflowStatus(JSON.parse(event.data));
+            this.eventSource.addEventListener('progress', render);
+            this.eventSource.addEventListener('done', render);
+            this.eventSource.onerror = () => {
+                this.closeEventSource();
+                this.startStatusPolling();
+            };
+            return;
+        }
+
         // Poll every 30 seconds
         this.statusPollingInterval = setInterval(() => {
             this.checkWorkflowStatus();
         }, 30000);
     }
 
+    closeEventSource() {
+        if (this.eventSource) {
+            this.eventSource.close();
+        }
+    }
+
     stopStatusPolling() {
+        this.closeEventSource();
+        this.eventSource = null;
         if (this.statusPollingInterval) {
             clearInterval(this.statusPollingInterval);
             this.statusPollingInterval = null;
@@ -318,6 +342,11 @@ class QuickQuoteForm {
                         <span>Labor:</span>
                         <span class="price">$${estimate.laborCost.toFixed(2)}</span>
                     </div>
+                    ${estimate.fees ? `
+                    <div class="breakdown-item">
+                        <span>Shop fees:</span>
+                        <span class="price">$${estimate.fees.toFixed(2)}</span>
+                    </div>` : ''}
                     <div class="breakdown-item">
                         <span>Tax:</span>
                         <span class="price">$${estimate.tax.toFixed(2)}</span>
@@ -1,8 +1,21 @@
 // Vehicle Drop-off Service
 // Handles customer vehicle drop-offs via phone calls with ALEX
+// localStorage is a local cache; every change is written through to the
+// server work order (/api/work-orders) so the shop floor sees the same job
+
+// Drop-off statuses mapped onto the work order flow
+const DROPOFF_WORK_ORDER_STATUS = {
+    pending_review: 'intake',
+    in_review: 'diagnosis',
+    diagnosed: 'estimate',
+    approved: 'approved',
+    in_progress: 'in_progress',
+    ready: 'ready'
+};
 
 class VehicleDropoffService {
-    constructor() {
+    constructor(apiBase = '/api/work-orders') {
+        this.apiBase = apiBase;
         this.dropoffs = JSON.parse(localStorage.getItem('vhicl_dropoffs') || '[]');
         this.dropoffQueue = JSON.parse(localStorage.getItem('vhicl_dropoff_queue') || '[]');
     }
@@ -95,9 +108,38 @@ class VehicleDropoffService {
         // Also create/update customer record (if customer service exists)
         this.createOrUpdateCustomerRecord(dropoff.customer);
 
+        // Create the matching work order on the server, then switch to the ID it was given
+        this.sendToServer('POST', this.apiBase, {
+            source: 'drop-off',
+            customer: dropoff.customer,
+            vehicle: dropoff.vehicle,
+            concern: dropoff.service.issues || dropoff.service.requested || '',
+            service: dropoff.service,
+            dropoff: dropoff.dropoff,
+            priority: dropoff.priority,
+            createdBy: 'ALEX'
+        }).then(result => {
+            if (result?.workOrder?.id) {
+                this.adoptServerId(dropoff.id, result.workOrder.id);
+            }
+        });
+
         return dropoff;
     }
 
+    /**
+     * Re-key a local drop-off under the work order ID the server assigned
+     */
+    adoptServerId(localId, serverId) {
+        const dropoff = this.dropoffs.find(d => d.id === localId);
+        if (!dropoff) return;
+
+        dropoff.id = serverId;
+        this.dropoffQueue = this.dropoffQueue.map(id => (id === localId ? serverId : id));
+        this.saveDropoffs();
+        this.saveDropoffQueue();
+    }
+
     /**
      * Get all pending drop-offs
      */
@@ -130,6 +172,8 @@ class VehicleDropoffService {
             throw new Error('Drop-off not found');
         }
 
+        const previousStatus = this.dropoffs[index].status;
+
         this.dropoffs[index] = {
             ...this.dropoffs[index],
             status,
@@ -139,6 +183,17 @@ class VehicleDropoffService {
 
         this.saveDropoffs();
 
+        // Write through to the server work order
+        const workOrderStatus = DROPOFF_WORK_ORDER_STATUS[status];
+        if (workOrderStatus && workOrderStatus !== DROPOFF_WORK_ORDER_STATUS[previousStatus]) {
+            this.sendToServer('POST', `${this.apiBase}/${dropoffId}/transition`, {
+                status: workOrderStatus,
+                updates
+            });
+        } else if (Object.keys(updates).length > 0) {
+            this.sendToServer('PATCH', `${this.apiBase}/${dropoffId}`, updates);
+        }
+
         // Remove from queue if status changed from pending_review
         if (status !== 'pending_review') {
             this.removeFromQueue(dropoffId);
@@ -354,6 +409,64 @@ class VehicleDropoffService {
         }
     }
 
+    /**
+     * Reload drop-offs from the server work orders (the server wins over the local cache)
+     */
+    async syncFromServer() {
+        try {
+            const response = await fetch(`${this.apiBase}?source=drop-off`);
+            if (!response.ok) {
+                throw new Error(`Server returned ${response.status}`);
+            }
+
+            const { workOrders } = await response.json();
+            const byId = new Map(this.dropoffs.map(d => [d.id, d]));
+
+            workOrders.forEach(workOrder => {
+                const local = byId.get(workOrder.id) || {};
+                const status = Object.keys(DROPOFF_WORK_ORDER_STATUS)
+                    .find(key => DROPOFF_WORK_ORDER_STATUS[key] === workOrder.status);
+
+                byId.set(workOrder.id, {
+                    ...local,
+                    ...workOrder,
+                    status: status || workOrder.status,
+                    workOrderStatus: workOrder.status
+                });
+            });
+
+            this.dropoffs = Array.from(byId.values());
+            this.saveDropoffs();
+            return this.dropoffs;
+        } catch (error) {
+            console.error('Error syncing drop-offs:', error);
+            return this.dropoffs;
+        }
+    }
+
+    /**
+     * Send a change to the server work order. The local cache is already
+     * updated, so failures (e.g. a rejected status transition) are logged
+     */
+    async sendToServer(method, url, body) {
+        try {
+            const response = await fetch(url, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+
+            const result = await response.json();
+            if (!response.ok) {
+                console.warn(`Work order sync rejected: ${result.error}`);
+            }
+            return result;
+        } catch (error) {
+            console.error('Error syncing work order:', error);
+            return null;
+        }
+    }
+
     /**
      * Save drop-offs to localStorage
      */
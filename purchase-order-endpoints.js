@@ -0,0 +1,195 @@
+/**
+ * Purchase Order API Endpoints
+ * Create POs from chosen quotes, send them, record confirmations and receive parts
+ */
+
+const { WorkOrderTransitionError } = require('./work-order-repository.js');
+const { PO_STATUSES } = require('./purchase-order-service.js');
+const { getShopId } = require('./shop-auth-middleware.js');
+
+function sendPurchaseOrderError(res, error) {
+    if (error instanceof WorkOrderTransitionError) {
+        return res.status(409).json({ success: false, error: error.message, from: error.from, to: error.to });
+    }
+
+    if (error.message === 'Purchase order not found' || error.message === 'Work order not found') {
+        return res.status(404).json({ success: false, error: error.message });
+    }
+
+    if (/^(Purchase order .* has already been|Purchase order .* is |Cannot receive|Cannot cancel|Line .* is already on purchase order|Ordering by .* is not configured|\S+: only \d+ on hand)/.test(error.message)) {
+        return res.status(409).json({ success: false, error: error.message });
+    }
+
+    if (/^(A work order is required|A store is required|Unknown send method|Unknown estimate line|Unknown purchase order line|Each purchase order line|Line quantity|Return quantity must be|Work order has no part lines|A stock order needs|Unknown inventory item|A supplier email|A confirmation number|At least one received line|Line .*: )/.test(error.message)) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    res.status(500).json({ success: false, error: error.message });
+}
+
+/**
+ * @param {object} app - Express app
+ * @param {PurchaseOrderService} purchaseOrders - Purchase order service
+ */
+function registerPurchaseOrderEndpoints(app, purchaseOrders) {
+    const getUser = (req) => req.body?.by || req.shop?.email || 'Staff';
+
+    /**
+     * GET /api/purchase-orders/methods
+     * PO statuses and the send methods configured on this server
+     */
+    app.get('/api/purchase-orders/methods', (req, res) => {
+        res.json({ success: true, statuses: PO_STATUSES, methods: purchaseOrders.getSendMethods() });
+    });
+
+    /**
+     * GET /api/purchase-orders
+     * List purchase orders (optional ?workOrderId=, ?status=, ?storeId=, ?open=true)
+     */
+    app.get('/api/purchase-orders', async (req, res) => {
+        try {
+            const { workOrderId, status, storeId, open } = req.query;
+            const list = await purchaseOrders.list(getShopId(req), { workOrderId, status, storeId, open: open === 'true' });
+            res.json({ success: true, purchaseOrders: list, total: list.length });
+        } catch (error) {
+            sendPurchaseOrderError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/purchase-orders/:id
+     * Get a purchase order
+     */
+    app.get('/api/purchase-orders/:id', async (req, res) => {
+        try {
+            const purchaseOrder = await purchaseOrders.get(getShopId(req), req.params.id);
+            res.json({ success: true, purchaseOrder });
+        } catch (error) {
+            sendPurchaseOrderError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/purchase-orders
+     * Create a PO for work order part lines from the chosen quote
+     * Body: { workOrderId, quote: { storeId, storeName, supplier, partNumber, brand, price | cost },
+     *   lineIds | lines: [{ lineId, description, partNumber, quantity, unitCost }], method, notes, send }
+     * Stock orders: { forStock: true, storeId, lines: [{ itemId | sku, quantity, unitCost }] }
+     * send: true sends it right away
+     */
+    app.post('/api/purchase-orders', async (req, res) => {
+        try {
+            const { shopId, send, ...input } = req.body;
+            let purchaseOrder = await purchaseOrders.create(getShopId(req), { ...input, createdBy: getUser(req) });
+
+            if (send) {
+                purchaseOrder = await purchaseOrders.send(getShopId(req), purchaseOrder.id, {
+                    email: input.email,
+                    urgency: input.urgency,
+                    by: getUser(req)
+                });
+            }
+
+            res.status(201).json({ success: true, purchaseOrder });
+        } catch (error) {
+            sendPurchaseOrderError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/purchase-orders/:id/send
+     * Send a draft PO
+     * Body: { method: 'nexpart' | 'phone' | 'email' | 'manual', email, urgency }
+     */
+    app.post('/api/purchase-orders/:id/send', async (req, res) => {
+        try {
+            const { method, email, urgency } = req.body;
+            const purchaseOrder = await purchaseOrders.send(getShopId(req), req.params.id, { method, email, urgency, by: getUser(req) });
+            res.json({ success: true, purchaseOrder });
+        } catch (error) {
+            sendPurchaseOrderError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/purchase-orders/:id/confirmation
+     * Record the supplier's confirmation number
+     * Body: { confirmationNumber, estimatedDelivery, lineIds, note }
+     */
+    app.post('/api/purchase-orders/:id/confirmation', async (req, res) => {
+        try {
+            const { confirmationNumber, estimatedDelivery, lineIds, note } = req.body;
+            const purchaseOrder = await purchaseOrders.recordConfirmation(getShopId(req), req.params.id, {
+                confirmationNumber,
+                estimatedDelivery,
+                lineIds,
+                note,
+                source: 'manual',
+                by: getUser(req)
+            });
+            res.json({ success: true, purchaseOrder });
+        } catch (error) {
+            sendPurchaseOrderError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/purchase-orders/:id/receive
+     * Receive parts
+     * Body: { lines: [{ id | lineId, quantity, backordered, backorderEta,
+     *   wrongPart: { quantity, partNumber, reason } }], note }
+     */
+    app.post('/api/purchase-orders/:id/receive', async (req, res) => {
+        try {
+            const { lines, note } = req.body;
+            const purchaseOrder = await purchaseOrders.receive(getShopId(req), req.params.id, { lines, note, by: getUser(req) });
+            res.json({ success: true, purchaseOrder });
+        } catch (error) {
+            sendPurchaseOrderError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/purchase-orders/:id/returns
+     * Send back a part that was already received
+     * Body: { id | lineId, quantity, reason, receivedPartNumber }
+     */
+    app.post('/api/purchase-orders/:id/returns', async (req, res) => {
+        try {
+            const { shopId, by, ...input } = req.body;
+            const purchaseOrder = await purchaseOrders.returnPart(getShopId(req), req.params.id, { ...input, by: getUser(req) });
+            res.json({ success: true, purchaseOrder });
+        } catch (error) {
+            sendPurchaseOrderError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/purchase-orders/:id/cancel
+     * Cancel a PO nothing has been received on
+     * Body: { reason }
+     */
+    app.post('/api/purchase-orders/:id/cancel', async (req, res) => {
+        try {
+            const purchaseOrder = await purchaseOrders.cancel(getShopId(req), req.params.id, { reason: req.body.reason, by: getUser(req) });
+            res.json({ success: true, purchaseOrder });
+        } catch (error) {
+            sendPurchaseOrderError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/work-orders/:id/purchase-orders
+     * Purchase orders for a work order
+     */
+    app.get('/api/work-orders/:id/purchase-orders', async (req, res) => {
+        try {
+            const list = await purchaseOrders.list(getShopId(req), { workOrderId: req.params.id });
+            res.json({ success: true, purchaseOrders: list, total: list.length });
+        } catch (error) {
+            sendPurchaseOrderError(res, error);
+        }
+    });
+}
+
+module.exports = registerPurchaseOrderEndpoints;
@@ -0,0 +1,965 @@
+/**
+ * Purchase Order Service
+ * Parts orders tied to work order estimate lines, kept per shop in
+ * 'purchaseOrders'
+ *
+ * A PO is created from the chosen quote for one or more part lines, then sent
+ * through the Nexpart ORDERLINK API, an ALEX phone call or email, or marked as
+ * placed by staff ('manual'). Confirmation numbers are recorded as they come
+ * back (immediately for Nexpart, when the call ends for phone orders, by hand
+ * otherwise).
+ *
+ * Receiving is per line: good parts count toward the line, backordered
+ * quantities are tracked until they arrive, and wrong parts are logged as
+ * returns while the line stays open. When every PO for a work order has been
+ * received the work order moves from 'parts' to 'parts_arrived'.
+ *
+ * With a PartsReturnService, receiving a line with a core charge records the
+ * core the shop now owes, and wrong-part returns are tracked there until the
+ * supplier credits them.
+ *
+ * The first delivery against each line is recorded on the store's directory
+ * entry (filled in full, or short / backordered / wrong part) for its fill rate.
+ *
+ * Stock orders (forStock) restock the shop's inventory instead of a work
+ * order: each line is an inventory item, and good parts received go onto the
+ * shelf through the InventoryService.
+ *
+ * Status flow:
+ *   draft → sent → confirmed → partially_received / backordered → received
+ */
+
+const crypto = require('crypto');
+const { ShopRouter } = require('./firebase-config');
+const admin = require('firebase-admin');
+const { PartsStoreDirectory } = require('./parts-store-directory.js');
+const { WorkOrderRepository } = require('./work-order-repository.js');
+const { InventoryService } = require('./inventory-service.js');
+
+const PO_STATUSES = ['draft', 'sent', 'confirmed', 'partially_received', 'backordered', 'received', 'cancelled'];
+const SEND_METHODS = ['nexpart', 'phone', 'email', 'manual'];
+
+// Still waiting on the supplier
+const OPEN_PO_STATUSES = ['sent', 'confirmed', 'partially_received', 'backordered'];
+
+function round2(value) {
+  return Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Line state from its quantities
+ */
+function lineStatus(line) {
+  if (line.quantityReceived >= line.quantity) return 'received';
+  if (line.quantityBackordered > 0) return 'backordered';
+  if (line.quantityReceived > 0) return 'partial';
+  return 'ordered';
+}
+
+/**
+ * PO receiving state from its lines (only once it has been sent)
+ */
+function receivingStatus(lines) {
+  if (lines.every(line => line.status === 'received')) return 'received';
+  if (lines.some(line => line.quantityReceived > 0)) return 'partially_received';
+  if (lines.some(line => line.status === 'backordered')) return 'backordered';
+  return null;
+}
+
+class PurchaseOrderService {
+  /**
+   * @param {object} options - { workOrders, nexpartApi (NexpartApiService), ordering
+   *   (VAPIPartsOrderingService), emailService (EmailService), returns (PartsReturnService),
+   *   directory (PartsStoreDirectory), inventory (InventoryService), shopName }
+   */
+  constructor(options = {}) {
+    this.workOrders = options.workOrders || new WorkOrderRepository();
+    this.nexpartApi = options.nexpartApi || null;
+    this.ordering = options.ordering || null;
+    this.emailService = options.emailService || null;
+    this.returns = options.returns || null;
+    this.directory = options.directory || new PartsStoreDirectory();
+    this.inventory = options.inventory || new InventoryService();
+    this.shopName = options.shopName || process.env.SHOP_NAME || null;
+
+    // Confirmation numbers from ALEX's ordering calls
+    if (this.ordering) {
+      this.ordering.on('order-processed', (order) => this.handlePhoneOrder(order));
+    }
+  }
+
+  /**
+   * Send methods this instance can use
+   */
+  getSendMethods() {
+    return SEND_METHODS.filter(method =>
+      (method === 'nexpart' && this.nexpartApi) ||
+      (method === 'phone' && this.ordering) ||
+      (method === 'email' && this.emailService) ||
+      method === 'manual'
+    );
+  }
+
+  /**
+   * Create a draft PO for work order part lines from the chosen quote
+   * @param {string} shopId - Shop ID
+   * @param {object} input - { workOrderId, quote: { storeId, storeName, supplier, partNumber, brand,
+   *   price | cost, coreCharge | core }, lineIds,
+   *   lines: [{ lineId, description, partNumber, brand, quantity, unitCost, coreCharge }],
+   *   method, notes, createdBy }
+   * Without lineIds/lines every approved part line not already on a PO is ordered.
+   * A stock order sets forStock instead of workOrderId, with
+   *   lines: [{ itemId | sku, quantity (default: the suggested reorder quantity), unitCost }]
+   * @returns {Promise<object>} Purchase order
+   */
+  async create(shopId, input = {}) {
+    try {
+      const { workOrderId, quote = {}, notes = null, createdBy = 'Staff' } = input;
+      const forStock = !workOrderId && input.forStock === true;
+      if (!workOrderId && !forStock) {
+        throw new Error('A work order is required');
+      }
+
+      const workOrder = forStock ? null : await this.workOrders.get(shopId, workOrderId);
+      const storeId = input.storeId || quote.storeId || null;
+      const store = await this.directory.find(shopId, storeId);
+      const storeName = input.storeName || quote.storeName || store?.name || null;
+      if (!storeId && !storeName) {
+        throw new Error('A store is required');
+      }
+
+      const method = input.method || this.defaultMethod(quote, store);
+      if (!SEND_METHODS.includes(method)) {
+        throw new Error(`Unknown send method: ${method}. Expected one of: ${SEND_METHODS.join(', ')}`);
+      }
+
+      const lines = forStock
+        ? await this.buildStockLines(shopId, input)
+        : await this.buildLines(shopId, workOrder, input, quote);
+
+      // Random suffix so two POs created in the same millisecond never share a number
+      const id = `PO-${Date.now()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+      const purchaseOrder = {
+        poNumber: id,
+        workOrderId: workOrderId || null,
+        forStock,
+        vehicle: workOrder?.vehicle || {},
+        storeId,
+        storeName,
+        accountNumber: store?.accountNumber || null,
+        supplier: quote.supplier || null,
+        quoteId: quote.id || null,
+        method,
+        status: 'draft',
+        lines,
+        subtotal: round2(lines.reduce((sum, line) => sum + (line.unitCost || 0) * line.quantity, 0)),
+        confirmationNumber: null,
+        confirmations: [],
+        receipts: [],
+        returns: [],
+        notes,
+        createdBy,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      await ShopRouter.getShopDocument(shopId, 'purchaseOrders', id).create(purchaseOrder);
+      if (workOrderId) {
+        await this.workOrders.update(shopId, workOrderId, {
+          purchaseOrderIds: admin.firestore.FieldValue.arrayUnion(id)
+        });
+      }
+
+      console.log(`🧾 Purchase order ${id} created for ${workOrderId || 'stock'} (${lines.length} line${lines.length === 1 ? '' : 's'}, ${storeName || storeId})`);
+      return this.get(shopId, id);
+    } catch (error) {
+      console.error('Error creating purchase order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * PO lines from the request, falling back to the work order's approved part lines
+   */
+  async buildLines(shopId, workOrder, input, quote) {
+    const estimateLines = workOrder.estimate?.lines || [];
+    const findLine = (lineId) => estimateLines.find(line => line.id === lineId);
+
+    // A line is only ordered once; cancel its PO to reorder elsewhere
+    const existing = await this.list(shopId, { workOrderId: workOrder.id });
+    const ordered = new Map();
+    existing
+      .filter(po => po.status !== 'cancelled')
+      .forEach(po => po.lines.forEach(line => line.lineId && ordered.set(line.lineId, po.id)));
+
+    let requested = input.lines;
+    if (!requested?.length && input.lineIds?.length) {
+      requested = input.lineIds.map(lineId => ({ lineId }));
+    }
+    if (!requested?.length) {
+      requested = estimateLines
+        .filter(line => line.type === 'part' && (!line.approvalStatus || line.approvalStatus === 'approved'))
+        .filter(line => !ordered.has(line.id))
+        .map(line => ({ lineId: line.id }));
+    }
+
+    const quoteCost = quote.cost ?? quote.price ?? null;
+    const quoteCore = quote.coreCharge ?? quote.core ?? null;
+    // Estimate core lines hang off their part line
+    const findCoreLine = (lineId) => estimateLines.find(line => line.type === 'core' && line.parentLineId === lineId);
+
+    const lines = requested.map((entry, index) => {
+      const estimateLine = entry.lineId ? findLine(entry.lineId) : null;
+      if (entry.lineId && !estimateLine) {
+        throw new Error(`Unknown estimate line: ${entry.lineId}`);
+      }
+      if (entry.lineId && ordered.has(entry.lineId)) {
+        throw new Error(`Line ${entry.lineId} is already on purchase order ${ordered.get(entry.lineId)}`);
+      }
+
+      // The quote prices the part it was for (or the only line)
+      const quoted = requested.length === 1 ||
+        (quote.partNumber && quote.partNumber === (entry.partNumber || estimateLine?.partNumber));
+
+      const description = entry.description || estimateLine?.description || quote.description || null;
+      const partNumber = entry.partNumber || (quoted ? quote.partNumber : null) || estimateLine?.partNumber || null;
+      if (!description && !partNumber) {
+        throw new Error('Each purchase order line needs a description or part number');
+      }
+
+      const quantity = Number(entry.quantity ?? estimateLine?.quantity ?? 1);
+      if (!(quantity > 0)) {
+        throw new Error('Line quantity must be greater than zero');
+      }
+
+      return {
+        id: `line-${index + 1}`,
+        lineId: entry.lineId || null,
+        description,
+        partNumber,
+        brand: entry.brand || (quoted ? quote.brand : null) || estimateLine?.brand || null,
+        quantity,
+        unitCost: entry.unitCost ?? (quoted ? quoteCost : null) ?? estimateLine?.cost ?? null,
+        coreCharge: entry.coreCharge ?? (quoted ? quoteCore : null) ?? (entry.lineId ? findCoreLine(entry.lineId)?.unitPrice : null) ?? null,
+        quantityReceived: 0,
+        quantityBackordered: 0,
+        quantityReturned: 0,
+        backorderEta: null,
+        confirmationNumber: null,
+        status: 'ordered'
+      };
+    });
+
+    if (lines.length === 0) {
+      throw new Error('Work order has no part lines to order');
+    }
+
+    return lines;
+  }
+
+  /**
+   * Stock order lines from inventory items
+   */
+  async buildStockLines(shopId, input) {
+    if (!input.lines?.length) {
+      throw new Error('A stock order needs at least one inventory item');
+    }
+
+    const lines = [];
+    for (const [index, entry] of input.lines.entries()) {
+      const item = await this.inventory.findForPart(shopId, { itemId: entry.itemId, sku: entry.sku });
+      if (!item) {
+        throw new Error(`Unknown inventory item: ${entry.itemId || entry.sku}`);
+      }
+
+      const quantity = Number(entry.quantity ?? (InventoryService.isLowStock(item) ? InventoryService.suggestedOrderQuantity(item) : 1));
+      if (!(quantity > 0)) {
+        throw new Error('Line quantity must be greater than zero');
+      }
+
+      lines.push({
+        id: `line-${index + 1}`,
+        lineId: null,
+        itemId: item.id,
+        sku: item.sku,
+        description: item.description,
+        partNumber: item.partNumber,
+        brand: item.brand,
+        quantity,
+        unitCost: entry.unitCost ?? item.lastCost ?? (item.averageCost || null),
+        coreCharge: entry.coreCharge ?? null,
+        quantityReceived: 0,
+        quantityBackordered: 0,
+        quantityReturned: 0,
+        backorderEta: null,
+        confirmationNumber: null,
+        status: 'ordered'
+      });
+    }
+
+    return lines;
+  }
+
+  /**
+   * Nexpart quotes go back through the API, stores with a phone get a call
+   */
+  defaultMethod(quote, store) {
+    if (quote.supplier && quote.supplier.startsWith('nexpart') && this.nexpartApi) return 'nexpart';
+    if (store && !store.isOnlineOnly && this.ordering) return 'phone';
+    if (this.emailService) return 'email';
+    return 'manual';
+  }
+
+  /**
+   * Get a purchase order
+   * @param {string} shopId - Shop ID
+   * @param {string} purchaseOrderId - PO ID
+   * @returns {Promise<object>}
+   */
+  async get(shopId, purchaseOrderId) {
+    try {
+      const doc = await ShopRouter.getShopDocument(shopId, 'purchaseOrders', purchaseOrderId).get();
+      if (!doc.exists) {
+        throw new Error('Purchase order not found');
+      }
+      return { id: doc.id, ...doc.data() };
+    } catch (error) {
+      console.error('Error getting purchase order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List purchase orders, newest first
+   * @param {string} shopId - Shop ID
+   * @param {object} filters - { workOrderId, status, storeId, open }
+   * @returns {Promise<Array>}
+   */
+  async list(shopId, filters = {}) {
+    try {
+      let query = ShopRouter.getShopCollection(shopId, 'purchaseOrders');
+
+      if (filters.workOrderId) {
+        query = query.where('workOrderId', '==', filters.workOrderId);
+      }
+      if (filters.status) {
+        query = query.where('status', '==', filters.status);
+      }
+      if (filters.storeId) {
+        query = query.where('storeId', '==', filters.storeId);
+      }
+
+      const snapshot = await query.get();
+      let purchaseOrders = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+      if (filters.open) {
+        purchaseOrders = purchaseOrders.filter(po => OPEN_PO_STATUSES.includes(po.status));
+      }
+
+      return purchaseOrders.sort((a, b) => b.id.localeCompare(a.id));
+    } catch (error) {
+      console.error('Error listing purchase orders:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a draft PO to the supplier
+   * @param {string} shopId - Shop ID
+   * @param {string} purchaseOrderId - PO ID
+   * @param {object} options - { method, email (supplier address for email orders), urgency, by }
+   * @returns {Promise<object>} Purchase order
+   */
+  async send(shopId, purchaseOrderId, options = {}) {
+    try {
+      const purchaseOrder = await this.get(shopId, purchaseOrderId);
+      if (purchaseOrder.status !== 'draft') {
+        throw new Error(`Purchase order ${purchaseOrderId} has already been ${purchaseOrder.status}`);
+      }
+
+      const method = options.method || purchaseOrder.method;
+      if (!SEND_METHODS.includes(method)) {
+        throw new Error(`Unknown send method: ${method}. Expected one of: ${SEND_METHODS.join(', ')}`);
+      }
+      if (!this.getSendMethods().includes(method)) {
+        throw new Error(`Ordering by ${method} is not configured`);
+      }
+
+      let sent;
+      if (method === 'nexpart') {
+        sent = await this.sendToNexpart(purchaseOrder);
+      } else if (method === 'phone') {
+        sent = await this.sendByPhone(shopId, purchaseOrder, options);
+      } else if (method === 'email') {
+        sent = await this.sendByEmail(shopId, purchaseOrder, options);
+      } else {
+        // Ordered at the counter or on the shop's own call
+        sent = { status: 'sent' };
+      }
+
+      await ShopRouter.getShopDocument(shopId, 'purchaseOrders', purchaseOrderId).update({
+        ...sent,
+        method,
+        sentAt: admin.firestore.FieldValue.serverTimestamp(),
+        sentBy: options.by || 'Staff',
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      await this.holdWorkOrderForParts(shopId, purchaseOrder.workOrderId, purchaseOrderId, options.by);
+
+      console.log(`📤 Purchase order ${purchaseOrderId} sent by ${method}`);
+      return this.get(shopId, purchaseOrderId);
+    } catch (error) {
+      console.error('Error sending purchase order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * One ORDERLINK order per line; confirmed when every line has a confirmation
+   */
+  async sendToNexpart(purchaseOrder) {
+    const lines = purchaseOrder.lines.map(line => ({ ...line }));
+    const sendErrors = [];
+
+    for (const line of lines) {
+      if (!line.partNumber) {
+        sendErrors.push({ lineId: line.id, error: 'No part number' });
+        continue;
+      }
+
+      try {
+        const result = await this.nexpartApi.placeOrder({
+          partNumber: line.partNumber,
+          quantity: line.quantity,
+          customerPO: purchaseOrder.poNumber,
+          notes: purchaseOrder.notes || (purchaseOrder.workOrderId ? `Work order ${purchaseOrder.workOrderId}` : 'Shop stock')
+        });
+        line.confirmationNumber = result.confirmationNumber || result.orderNumber || null;
+        line.supplierOrderNumber = result.orderNumber || null;
+        line.estimatedDelivery = result.estimatedDelivery || null;
+      } catch (error) {
+        sendErrors.push({ lineId: line.id, error: error.message });
+      }
+    }
+
+    if (sendErrors.length === lines.length) {
+      throw new Error(`Nexpart order failed: ${sendErrors.map(entry => entry.error).join('; ')}`);
+    }
+
+    const confirmed = lines.filter(line => line.confirmationNumber);
+    return {
+      lines,
+      sendErrors,
+      status: confirmed.length === lines.length ? 'confirmed' : 'sent',
+      confirmationNumber: confirmed[0]?.confirmationNumber || null,
+      confirmations: confirmed.map(line => ({
+        lineId: line.id,
+        confirmationNumber: line.confirmationNumber,
+        source: 'nexpart',
+        at: new Date().toISOString()
+      }))
+    };
+  }
+
+  /**
+   * ALEX calls the store; the confirmation is recorded when the call ends
+   */
+  async sendByPhone(shopId, purchaseOrder, options) {
+    const result = await this.ordering.orderParts(purchaseOrder.storeId, {
+      shopId,
+      purchaseOrderId: purchaseOrder.id,
+      parts: purchaseOrder.lines.map(line => ({
+        partName: line.description || line.partNumber,
+        partNumber: line.partNumber,
+        quantity: line.quantity
+      })),
+      shopName: this.shopName,
+      urgency: options.urgency,
+      jobReference: purchaseOrder.workOrderId
+        ? `PO ${purchaseOrder.poNumber}, work order ${purchaseOrder.workOrderId}`
+        : `PO ${purchaseOrder.poNumber}, shop stock`
+    });
+
+    return {
+      status: 'sent',
+      phoneOrder: { orderId: result.orderId, callId: result.callId, phoneNumber: result.phoneNumber }
+    };
+  }
+
+  async sendByEmail(shopId, purchaseOrder, options) {
+    const store = await this.directory.find(shopId, purchaseOrder.storeId);
+    const to = options.email || store?.email;
+    if (!to) {
+      throw new Error('A supplier email address is required');
+    }
+
+    const rows = purchaseOrder.lines.map(line =>
+      `<tr><td>${line.partNumber || ''}</td><td>${line.description || ''}</td><td>${line.brand || ''}</td><td>${line.quantity}</td></tr>`
+    ).join('');
+    const vehicle = [purchaseOrder.vehicle?.year, purchaseOrder.vehicle?.make, purchaseOrder.vehicle?.model].filter(Boolean).join(' ');
+
+    const html = `
+      <h2>Purchase Order ${purchaseOrder.poNumber}</h2>
+      <p>${this.shopName || 'Our shop'} would like to order the following parts${vehicle ? ` for a ${vehicle}` : ''}:</p>
+      <table border="1" cellpadding="6" cellspacing="0">
+        <tr><th>Part #</th><th>Description</th><th>Brand</th><th>Qty</th></tr>
+        ${rows}
+      </table>
+      ${purchaseOrder.notes ? `<p>Notes: ${purchaseOrder.notes}</p>` : ''}
+      <p>Please reply with an order confirmation number and expected delivery time, quoting PO ${purchaseOrder.poNumber}.</p>
+    `;
+
+    const result = await this.emailService.sendEmail(to, `Purchase Order ${purchaseOrder.poNumber}`, html);
+    return {
+      status: 'sent',
+      emailOrder: { to, messageId: result.messageId || null }
+    };
+  }
+
+  /**
+   * Record the supplier's confirmation (phone callback, email reply, ...)
+   * @param {string} shopId - Shop ID
+   * @param {string} purchaseOrderId - PO ID
+   * @param {object} confirmation - { confirmationNumber, estimatedDelivery, lineIds, source, by, note }
+   * @returns {Promise<object>} Purchase order
+   */
+  async recordConfirmation(shopId, purchaseOrderId, confirmation = {}) {
+    try {
+      const { confirmationNumber, estimatedDelivery = null, lineIds = [], source = 'manual', by = 'Staff', note = null } = confirmation;
+      if (!confirmationNumber) {
+        throw new Error('A confirmation number is required');
+      }
+
+      const purchaseOrder = await this.get(shopId, purchaseOrderId);
+      if (['draft', 'cancelled'].includes(purchaseOrder.status)) {
+        throw new Error(`Purchase order ${purchaseOrderId} is ${purchaseOrder.status}`);
+      }
+
+      const lines = purchaseOrder.lines.map(line =>
+        lineIds.length === 0 || lineIds.includes(line.id)
+          ? { ...line, confirmationNumber, estimatedDelivery: estimatedDelivery || line.estimatedDelivery || null }
+          : line
+      );
+
+      await ShopRouter.getShopDocument(shopId, 'purchaseOrders', purchaseOrderId).update({
+        lines,
+        confirmationNumber: purchaseOrder.confirmationNumber || confirmationNumber,
+        estimatedDelivery: estimatedDelivery || purchaseOrder.estimatedDelivery || null,
+        confirmations: admin.firestore.FieldValue.arrayUnion({
+          confirmationNumber,
+          lineIds,
+          source,
+          by,
+          note,
+          at: new Date().toISOString()
+        }),
+        // Receiving statuses already say more than 'confirmed'
+        ...(purchaseOrder.status === 'sent' ? { status: 'confirmed' } : {}),
+        attention: null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return this.get(shopId, purchaseOrderId);
+    } catch (error) {
+      console.error('Error recording purchase order confirmation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * An ALEX ordering call ended: save the confirmation it heard, or flag the
+   * PO for a person to follow up
+   */
+  async handlePhoneOrder(order) {
+    const { shopId, purchaseOrderId } = order.orderDetails || {};
+    if (!shopId || !purchaseOrderId) {
+      return;
+    }
+
+    try {
+      const parsed = order.parsedData || {};
+
+      if (parsed.orderConfirmationNumber) {
+        await this.recordConfirmation(shopId, purchaseOrderId, {
+          confirmationNumber: parsed.orderConfirmationNumber,
+          estimatedDelivery: parsed.estimatedReadyTime !== 'Unknown' ? parsed.estimatedReadyTime : null,
+          source: 'phone',
+          by: 'ALEX',
+          note: parsed.availability !== 'all in stock' ? `Store availability: ${parsed.availability}` : null
+        });
+      } else {
+        await ShopRouter.getShopDocument(shopId, 'purchaseOrders', purchaseOrderId).update({
+          attention: 'ALEX did not get a confirmation number on the ordering call',
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      }
+
+      await ShopRouter.getShopDocument(shopId, 'purchaseOrders', purchaseOrderId).update({
+        'phoneOrder.recordingUrl': order.recordingUrl || null,
+        'phoneOrder.availability': parsed.availability || null
+      });
+    } catch (error) {
+      console.error('Error recording phone order on purchase order:', error);
+    }
+  }
+
+  /**
+   * Receive parts against a PO
+   * @param {string} shopId - Shop ID
+   * @param {string} purchaseOrderId - PO ID
+   * @param {object} receipt - { lines: [{ id | lineId, quantity, backordered, backorderEta,
+   *   wrongPart: { quantity, partNumber, reason } }], by, note }
+   *   quantity is good parts received; backordered is what the supplier says is
+   *   still coming; wrong parts are logged as returns and don't count as received.
+   *   Good parts on a line with a core charge put the core on the shop's tab.
+   * @returns {Promise<object>} Purchase order
+   */
+  async receive(shopId, purchaseOrderId, receipt = {}) {
+    try {
+      const { by = 'Staff', note = null } = receipt;
+      if (!receipt.lines?.length) {
+        throw new Error('At least one received line is required');
+      }
+
+      // Outstanding quantities are checked and updated together, so two receipts
+      // at once can't both count the same parts
+      const poRef = ShopRouter.getShopDocument(shopId, 'purchaseOrders', purchaseOrderId);
+      const { purchaseOrder, lines, returns, received, firstDeliveries, status } = await ShopRouter.runTransaction(
+        (transaction) => this.applyReceipt(transaction, poRef, receipt, { by, note })
+      );
+
+      console.log(`📦 Received against ${purchaseOrderId}: ${received.map(entry => `${entry.id} x${entry.quantity}`).join(', ')} (${status})`);
+
+      if (this.returns) {
+        const updated = { ...purchaseOrder, lines };
+        for (const entry of received) {
+          const line = lines.find(candidate => candidate.id === entry.id);
+          await this.returns.recordCoreLiability(shopId, updated, line, entry.quantity, by);
+        }
+        for (const partReturn of returns) {
+          await this.trackReturn(shopId, updated, partReturn);
+        }
+      }
+
+      if (firstDeliveries.ordered > 0 && purchaseOrder.storeId) {
+        await this.directory.recordOrderFill(shopId, purchaseOrder.storeId, firstDeliveries);
+      }
+
+      // Stock order parts go on the shelf
+      for (const entry of received) {
+        const line = lines.find(candidate => candidate.id === entry.id);
+        if (line.itemId && entry.quantity > 0) {
+          await this.inventory.receive(shopId, line.itemId, {
+            quantity: entry.quantity,
+            unitCost: line.unitCost,
+            purchaseOrderId,
+            by
+          });
+        }
+      }
+
+      await this.updateWorkOrderPartsStatus(shopId, purchaseOrder.workOrderId, by);
+      return this.get(shopId, purchaseOrderId);
+    } catch (error) {
+      console.error('Error receiving purchase order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check a receipt against the PO's outstanding quantities and write it, within a transaction
+   * @returns {Promise<object>} { purchaseOrder, lines, returns, received, firstDeliveries, status }
+   */
+  async applyReceipt(transaction, poRef, receipt, { by, note }) {
+    const doc = await transaction.get(poRef);
+    if (!doc.exists) {
+      throw new Error('Purchase order not found');
+    }
+
+    const purchaseOrder = { id: doc.id, ...doc.data() };
+    if (!OPEN_PO_STATUSES.includes(purchaseOrder.status)) {
+      throw new Error(`Cannot receive against a ${purchaseOrder.status} purchase order`);
+    }
+
+    const lines = purchaseOrder.lines.map(line => ({ ...line }));
+    const returns = [];
+    const received = [];
+    const firstDeliveries = { ordered: 0, filled: 0 };
+
+    receipt.lines.forEach(entry => {
+      const line = lines.find(candidate => candidate.id === entry.id || (entry.lineId && candidate.lineId === entry.lineId));
+      if (!line) {
+        throw new Error(`Unknown purchase order line: ${entry.id || entry.lineId}`);
+      }
+
+      const outstanding = line.quantity - line.quantityReceived;
+      const quantity = Number(entry.quantity) || 0;
+      if (!Number.isInteger(quantity) || quantity < 0 || quantity > outstanding) {
+        throw new Error(`Line ${line.id}: can receive at most ${outstanding}`);
+      }
+
+      const firstDelivery = line.quantityReceived === 0 && line.quantityBackordered === 0;
+
+      line.quantityReceived += quantity;
+
+      if (entry.backordered !== undefined) {
+        line.quantityBackordered = Math.min(Number(entry.backordered) || 0, line.quantity - line.quantityReceived);
+        line.backorderEta = entry.backorderEta || line.backorderEta || null;
+      } else {
+        line.quantityBackordered = Math.max(0, Math.min(line.quantityBackordered - quantity, line.quantity - line.quantityReceived));
+      }
+
+      // Wrong parts came in place of parts still owed on the line
+      const wrongQuantity = Number(entry.wrongPart?.quantity) || 0;
+      const wrongAllowed = outstanding - quantity;
+      if (!Number.isInteger(wrongQuantity) || wrongQuantity < 0 || wrongQuantity > wrongAllowed) {
+        throw new Error(`Line ${line.id}: can log at most ${wrongAllowed} wrong part${wrongAllowed === 1 ? '' : 's'}`);
+      }
+      if (wrongQuantity > 0) {
+        returns.push(this.createReturn(line, {
+          quantity: wrongQuantity,
+          reason: entry.wrongPart.reason || 'Wrong part received',
+          receivedPartNumber: entry.wrongPart.partNumber || null,
+          by
+        }));
+        line.quantityReturned += wrongQuantity;
+      }
+
+      line.status = lineStatus(line);
+      if (firstDelivery) {
+        firstDeliveries.ordered++;
+        if (line.status === 'received' && wrongQuantity === 0) firstDeliveries.filled++;
+      }
+
+      received.push({
+        id: line.id,
+        lineId: line.lineId,
+        quantity,
+        backordered: line.quantityBackordered,
+        wrongParts: wrongQuantity
+      });
+    });
+
+    const status = receivingStatus(lines) || purchaseOrder.status;
+
+    transaction.update(poRef, {
+      lines,
+      status,
+      receipts: admin.firestore.FieldValue.arrayUnion({ lines: received, by, note, at: new Date().toISOString() }),
+      ...(returns.length > 0 ? { returns: admin.firestore.FieldValue.arrayUnion(...returns) } : {}),
+      ...(status === 'received' ? { receivedAt: admin.firestore.FieldValue.serverTimestamp() } : {}),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { purchaseOrder, lines, returns, received, firstDeliveries, status };
+  }
+
+  /**
+   * Send back parts already received (wrong part found on install, damaged, ...).
+   * The line reopens until the right part comes in.
+   * @param {string} shopId - Shop ID
+   * @param {string} purchaseOrderId - PO ID
+   * @param {object} input - { id | lineId, quantity, reason, receivedPartNumber, by }
+   * @returns {Promise<object>} Purchase order
+   */
+  async returnPart(shopId, purchaseOrderId, input = {}) {
+    try {
+      const { by = 'Staff' } = input;
+      const reason = input.reason || 'Wrong part received';
+      const quantity = input.quantity === undefined || input.quantity === null || input.quantity === '' ? 1 : Number(input.quantity);
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw new Error('Return quantity must be a whole number greater than zero');
+      }
+
+      const findLine = (lines) => {
+        const line = lines.find(candidate => candidate.id === input.id || (input.lineId && candidate.lineId === input.lineId));
+        if (!line) {
+          throw new Error(`Unknown purchase order line: ${input.id || input.lineId}`);
+        }
+        if (quantity > line.quantityReceived) {
+          throw new Error(`Line ${line.id}: only ${line.quantityReceived} received`);
+        }
+        return line;
+      };
+
+      const stockLine = findLine((await this.get(shopId, purchaseOrderId)).lines);
+
+      // Stock order parts come back off the shelf
+      const unshelve = (sign) => this.inventory.adjust(shopId, stockLine.itemId, {
+        quantity: sign * quantity,
+        reason: sign < 0
+          ? `Returned to supplier on ${purchaseOrderId}: ${reason}`
+          : `Return on ${purchaseOrderId} not recorded - put back on the shelf`,
+        by
+      });
+      if (stockLine.itemId) {
+        await unshelve(-1);
+      }
+
+      // The received quantity is checked and reduced together, so two returns
+      // at once can't send back more than came in
+      const poRef = ShopRouter.getShopDocument(shopId, 'purchaseOrders', purchaseOrderId);
+      let result;
+      try {
+        result = await ShopRouter.runTransaction(async (transaction) => {
+          const doc = await transaction.get(poRef);
+          if (!doc.exists) {
+            throw new Error('Purchase order not found');
+          }
+
+          const purchaseOrder = { id: doc.id, ...doc.data() };
+          const lines = purchaseOrder.lines.map(line => ({ ...line }));
+          const line = findLine(lines);
+
+          const partReturn = this.createReturn(line, {
+            quantity,
+            reason,
+            receivedPartNumber: input.receivedPartNumber || null,
+            by
+          });
+
+          line.quantityReceived -= quantity;
+          line.quantityReturned += quantity;
+          line.status = lineStatus(line);
+
+          transaction.update(poRef, {
+            lines,
+            status: receivingStatus(lines) || (purchaseOrder.confirmationNumber ? 'confirmed' : 'sent'),
+            returns: admin.firestore.FieldValue.arrayUnion(partReturn),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+
+          return { purchaseOrder, lines, line, partReturn };
+        });
+      } catch (error) {
+        if (stockLine.itemId) {
+          await unshelve(1);
+        }
+        throw error;
+      }
+
+      const { purchaseOrder, lines, line, partReturn } = result;
+      console.log(`↩️ Return ${partReturn.id} logged on ${purchaseOrderId}: ${line.partNumber || line.description} x${quantity}`);
+
+      if (this.returns) {
+        await this.returns.releaseCoreLiability(shopId, purchaseOrderId, line.id, quantity, by);
+        await this.trackReturn(shopId, { ...purchaseOrder, lines }, partReturn);
+      }
+
+      await this.updateWorkOrderPartsStatus(shopId, purchaseOrder.workOrderId, by);
+      return this.get(shopId, purchaseOrderId);
+    } catch (error) {
+      console.error('Error returning part:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * PO-side log entry for a wrong part; its credit is tracked by PartsReturnService
+   */
+  createReturn(line, { quantity, reason, receivedPartNumber, by }) {
+    return {
+      id: `RET-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`,
+      lineId: line.id,
+      partNumber: line.partNumber,
+      receivedPartNumber,
+      quantity,
+      reason,
+      by,
+      at: new Date().toISOString()
+    };
+  }
+
+  async trackReturn(shopId, purchaseOrder, partReturn) {
+    await this.returns.create(shopId, {
+      id: partReturn.id,
+      type: 'wrong_part',
+      purchaseOrder,
+      poLineId: partReturn.lineId,
+      quantity: partReturn.quantity,
+      reason: partReturn.reason,
+      receivedPartNumber: partReturn.receivedPartNumber,
+      by: partReturn.by
+    });
+  }
+
+  /**
+   * Cancel a PO that hasn't been received against
+   */
+  async cancel(shopId, purchaseOrderId, options = {}) {
+    try {
+      const purchaseOrder = await this.get(shopId, purchaseOrderId);
+      if (purchaseOrder.lines.some(line => line.quantityReceived > 0) || purchaseOrder.status === 'cancelled') {
+        throw new Error(`Cannot cancel a ${purchaseOrder.status} purchase order`);
+      }
+
+      if (purchaseOrder.phoneOrder?.orderId && this.ordering) {
+        await this.ordering.cancelOrder(purchaseOrder.phoneOrder.orderId).catch(() => null);
+      }
+
+      await ShopRouter.getShopDocument(shopId, 'purchaseOrders', purchaseOrderId).update({
+        status: 'cancelled',
+        cancelledBy: options.by || 'Staff',
+        cancelReason: options.reason || null,
+        cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      await this.updateWorkOrderPartsStatus(shopId, purchaseOrder.workOrderId, options.by);
+      return this.get(shopId, purchaseOrderId);
+    } catch (error) {
+      console.error('Error cancelling purchase order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Parts are on order: hold the work order at 'parts' when it's far enough along
+   */
+  async holdWorkOrderForParts(shopId, workOrderId, purchaseOrderId, by = 'Staff') {
+    if (!workOrderId) return;
+
+    const workOrder = await this.workOrders.get(shopId, workOrderId);
+
+    if (WorkOrderRepository.canTransition(workOrder.status, 'parts')) {
+      await this.workOrders.transition(shopId, workOrderId, 'parts', {
+        by,
+        note: `Parts ordered on ${purchaseOrderId}`
+      });
+    }
+  }
+
+  /**
+   * Move the work order to 'parts_arrived' once every live PO is received,
+   * or back to 'parts' if a return reopened one
+   */
+  async updateWorkOrderPartsStatus(shopId, workOrderId, by = 'Staff') {
+    if (!workOrderId) return;
+
+    const workOrder = await this.workOrders.get(shopId, workOrderId);
+    const purchaseOrders = (await this.list(shopId, { workOrderId }))
+      .filter(po => !['draft', 'cancelled'].includes(po.status));
+
+    const allArrived = purchaseOrders.length > 0 && purchaseOrders.every(po => po.status === 'received');
+
+    if (allArrived && workOrder.status === 'parts') {
+      await this.workOrders.transition(shopId, workOrderId, 'parts_arrived', {
+        by,
+        note: `All parts received (${purchaseOrders.map(po => po.id).join(', ')})`
+      });
+      console.log(`✅ Work order ${workOrderId}: parts arrived`);
+    } else if (!allArrived && purchaseOrders.length > 0 && workOrder.status === 'parts_arrived') {
+      await this.workOrders.transition(shopId, workOrderId, 'parts', {
+        by,
+        note: 'Waiting on parts again'
+      });
+    }
+  }
+}
+
+module.exports = {
+  PurchaseOrderService,
+  PO_STATUSES,
+  SEND_METHODS
+};
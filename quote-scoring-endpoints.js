@@ -0,0 +1,91 @@
+/**
+ * Quote Scoring API Endpoints
+ * The shop's quote scoring profiles/rules, and ranking a set of quotes for a job
+ */
+
+const { QuoteScoringEngine, FACTORS } = require('./quote-scoring-engine.js');
+const PartsQuoteComparator = require('./parts-quote-comparator.js');
+const SmartQuoteSelector = require('./smart-quote-selector.js');
+const { toComparatorQuote } = require('./parts-search-aggregator.js');
+const { getShopId } = require('./shop-auth-middleware.js');
+
+function sendScoringError(res, error) {
+    if (/^(Unknown scoring profile|Scoring rules need|Profile |Rule |Quotes are required)/.test(error.message)) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    res.status(500).json({ success: false, error: error.message });
+}
+
+/**
+ * @param {object} app - Express app
+ * @param {QuoteScoringEngine} scoringEngine - Engine that loads/saves settings/quoteScoring
+ */
+function registerQuoteScoringEndpoints(app, scoringEngine) {
+
+    /**
+     * GET /api/parts/scoring
+     * The shop's scoring settings: profiles, active profile, job-context rules
+     */
+    app.get('/api/parts/scoring', async (req, res) => {
+        try {
+            const settings = await scoringEngine.getSettings(getShopId(req));
+            res.json({ success: true, factors: FACTORS, settings });
+        } catch (error) {
+            sendScoringError(res, error);
+        }
+    });
+
+    /**
+     * PUT /api/parts/scoring
+     * Update scoring settings
+     * Body: { activeProfile, profiles: { name: { description, weights } },
+     *   rules: [{ id, description, when, weights, require }], disabledRules: [ruleId] }
+     */
+    app.put('/api/parts/scoring', async (req, res) => {
+        try {
+            const settings = await scoringEngine.updateSettings(getShopId(req), req.body);
+            res.json({ success: true, settings });
+        } catch (error) {
+            sendScoringError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/parts/score
+     * Rank quotes for a job with the shop's settings
+     * Body: { quotes: [comparator or part-search quotes], jobContext: { customerWaiting, urgency,
+     *   budgetSensitive, accountType, warrantyWork, vehicleAge, vehicleType, customerPreference, profile } }
+     */
+    app.post('/api/parts/score', async (req, res) => {
+        try {
+            const { quotes, jobContext = {} } = req.body;
+            if (!Array.isArray(quotes) || quotes.length === 0) {
+                throw new Error('Quotes are required');
+            }
+
+            const settings = {
+                ...await scoringEngine.getSettings(getShopId(req)),
+                stores: await scoringEngine.getStores(getShopId(req))
+            };
+            // Part-search quotes (cost/etaDays) become comparator quotes
+            const comparatorQuotes = quotes.map(quote => (quote.cost !== undefined && quote.price === undefined) ? toComparatorQuote(quote) : quote);
+
+            const comparator = new PartsQuoteComparator({ settings, jobContext });
+            comparator.addQuotes(comparatorQuotes);
+            const selection = new SmartQuoteSelector({ settings }).selectBestQuote(comparatorQuotes, jobContext);
+
+            res.json({
+                success: true,
+                quotes: comparator.getSortedQuotes(),
+                resolved: QuoteScoringEngine.resolve(settings, jobContext),
+                recommendation: selection.recommendation,
+                message: comparator.generateALEXRecommendation()
+            });
+        } catch (error) {
+            sendScoringError(res, error);
+        }
+    });
+}
+
+module.exports = registerQuoteScoringEndpoints;
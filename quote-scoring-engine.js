@@ -0,0 +1,478 @@
+/**
+ * Quote Scoring Engine
+ *
+ * The one place parts quotes are scored, for PartsQuoteComparator and
+ * SmartQuoteSelector. Each quote gets a 0-100 score per factor (price,
+ * availability, delivery, quality, warranty, relationship); the total is the
+ * weighted sum, and every factor comes back with its weight, points and a
+ * reason so ALEX can explain the pick.
+ *
+ * Weights come from the shop's active profile (settings/quoteScoring), then
+ * job-context rules adjust them or add requirements - e.g. a waiting customer
+ * shifts weight to delivery, a fleet account only accepts OEM. A quote that
+ * fails a requirement is kept but marked ineligible and ranked last.
+ *
+ * The relationship factor uses the shop's store directory (settings.stores,
+ * entries by ID from getStores): past fill rate, response time and priority.
+ */
+
+const { ShopRouter } = require('./firebase-config');
+const admin = require('firebase-admin');
+const { PartsStoreDirectory } = require('./parts-store-directory.js');
+
+const FACTORS = ['price', 'availability', 'delivery', 'quality', 'warranty', 'relationship'];
+
+const DEFAULT_PROFILES = {
+  balanced: {
+    description: 'Best overall value',
+    weights: { price: 0.30, availability: 0.25, delivery: 0.20, quality: 0.15, warranty: 0.05, relationship: 0.05 }
+  },
+  budget: {
+    description: 'Lowest cost that is reasonably available',
+    weights: { price: 0.55, availability: 0.20, delivery: 0.10, quality: 0.10, warranty: 0.05, relationship: 0 }
+  },
+  fastest: {
+    description: 'Get the car back on the road first',
+    weights: { price: 0.10, availability: 0.35, delivery: 0.40, quality: 0.10, warranty: 0, relationship: 0.05 }
+  },
+  quality: {
+    description: 'Best part for the job',
+    weights: { price: 0.15, availability: 0.20, delivery: 0.15, quality: 0.35, warranty: 0.10, relationship: 0.05 }
+  }
+};
+
+// Applied in order; a later rule's weights override an earlier one's
+const DEFAULT_RULES = [
+  {
+    id: 'customer-waiting',
+    description: 'Customer waiting - delivery dominates',
+    when: { customerWaiting: true },
+    weights: { delivery: 0.45, availability: 0.30, price: 0.10, quality: 0.10, warranty: 0, relationship: 0.05 }
+  },
+  {
+    id: 'urgent',
+    description: 'Urgent job - availability and delivery first',
+    when: { urgency: 'urgent' },
+    weights: { delivery: 0.35, availability: 0.35, price: 0.15, quality: 0.10, warranty: 0, relationship: 0.05 }
+  },
+  {
+    id: 'budget-sensitive',
+    description: 'Budget-sensitive customer - price matters most',
+    when: { budgetSensitive: true },
+    weights: { price: 0.50 }
+  },
+  {
+    id: 'fleet-oem',
+    description: 'Fleet account - OEM parts only',
+    when: { accountType: 'fleet' },
+    require: { quality: ['OEM'] }
+  },
+  {
+    id: 'warranty-work',
+    description: 'Warranty repair - OEM or OEM equivalent only',
+    when: { warrantyWork: true },
+    require: { quality: ['OEM', 'OEM Equivalent'] }
+  }
+];
+
+const AVAILABILITY_SCORES = {
+  'in stock': 100,
+  'limited stock': 70,
+  'special order': 40,
+  'out of stock': 0,
+  'unknown': 50
+};
+
+const QUALITY_SCORES = {
+  'OEM': 100,
+  'Premium': 90,
+  'OEM Equivalent': 85,
+  'Remanufactured': 75,
+  'Standard': 70,
+  'Economy': 50,
+  'Used': 40,
+  'Unknown': 60
+};
+
+function clamp(score) {
+  return Math.max(0, Math.min(100, Math.round(score)));
+}
+
+/**
+ * Rule condition: every field must match - a value, a list of values or { min, max }
+ */
+function conditionMatches(when = {}, jobContext = {}) {
+  return Object.entries(when).every(([field, expected]) => {
+    const actual = jobContext[field];
+
+    if (Array.isArray(expected)) {
+      return expected.includes(actual);
+    }
+    if (expected && typeof expected === 'object') {
+      if (actual === null || actual === undefined) return false;
+      return (expected.min === undefined || actual >= expected.min) &&
+        (expected.max === undefined || actual <= expected.max);
+    }
+    return actual === expected;
+  });
+}
+
+// Comparator quotes carry price/deliveryTime, aggregator part quotes cost/etaDays
+const priceOf = (quote) => quote.price ?? quote.cost ?? null;
+const deliveryOf = (quote) => quote.deliveryTime ?? quote.etaDays ?? null;
+
+class QuoteScoringEngine {
+  /**
+   * @param {object} options - { directory (PartsStoreDirectory) }
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || new PartsStoreDirectory();
+  }
+
+  /**
+   * Store directory entries by ID, for the relationship factor
+   * @param {string} shopId - Shop ID
+   * @returns {Promise<object>}
+   */
+  async getStores(shopId) {
+    return this.directory.getStoreMap(shopId);
+  }
+
+  /**
+   * Scoring settings for a shop: built-in profiles and rules plus the shop's
+   * saved document ({ activeProfile, profiles, rules, disabledRules })
+   * @param {string} shopId - Shop ID
+   * @returns {Promise<object>}
+   */
+  async getSettings(shopId) {
+    try {
+      const doc = await ShopRouter.getShopDocument(shopId, 'settings', 'quoteScoring').get();
+      return QuoteScoringEngine.buildSettings(doc.exists ? doc.data() : {});
+    } catch (error) {
+      console.error('Error getting quote scoring settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a shop's scoring settings
+   * @param {string} shopId - Shop ID
+   * @param {object} updates - { activeProfile, profiles: { name: { weights, description } }, rules, disabledRules }
+   * @returns {Promise<object>} Resulting settings
+   */
+  async updateSettings(shopId, updates) {
+    try {
+      const saved = {};
+      ['activeProfile', 'profiles', 'rules', 'disabledRules'].forEach(field => {
+        if (updates[field] !== undefined) saved[field] = updates[field];
+      });
+
+      // Validate before saving
+      QuoteScoringEngine.buildSettings(saved);
+
+      await ShopRouter.getShopDocument(shopId, 'settings', 'quoteScoring').set({
+        ...saved,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+
+      return this.getSettings(shopId);
+    } catch (error) {
+      console.error('Error updating quote scoring settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Merge saved settings over the built-ins and check them
+   */
+  static buildSettings(saved = {}) {
+    const profiles = { ...DEFAULT_PROFILES };
+    Object.entries(saved.profiles || {}).forEach(([name, profile]) => {
+      QuoteScoringEngine.validateWeights(profile.weights, `Profile ${name}`);
+      profiles[name] = { description: profile.description || name, weights: { ...profile.weights } };
+    });
+
+    const activeProfile = saved.activeProfile || 'balanced';
+    if (!profiles[activeProfile]) {
+      throw new Error(`Unknown scoring profile: ${activeProfile}`);
+    }
+
+    (saved.rules || []).forEach(rule => {
+      if (!rule.id || !rule.when) {
+        throw new Error('Scoring rules need an id and a when condition');
+      }
+      if (rule.weights) QuoteScoringEngine.validateWeights(rule.weights, `Rule ${rule.id}`, false);
+    });
+
+    // A saved rule with a built-in's id replaces it
+    const savedIds = (saved.rules || []).map(rule => rule.id);
+    const disabled = saved.disabledRules || [];
+    const rules = [...DEFAULT_RULES.filter(rule => !savedIds.includes(rule.id)), ...(saved.rules || [])]
+      .filter(rule => !disabled.includes(rule.id));
+
+    return { activeProfile, profiles, rules, disabledRules: disabled };
+  }
+
+  static validateWeights(weights, label, complete = true) {
+    if (!weights || typeof weights !== 'object') {
+      throw new Error(`${label} needs weights`);
+    }
+
+    Object.entries(weights).forEach(([factor, weight]) => {
+      if (!FACTORS.includes(factor)) {
+        throw new Error(`${label}: unknown scoring factor ${factor}`);
+      }
+      if (typeof weight !== 'number' || weight < 0) {
+        throw new Error(`${label}: weight for ${factor} must be a non-negative number`);
+      }
+    });
+
+    if (complete && Object.values(weights).reduce((sum, weight) => sum + weight, 0) <= 0) {
+      throw new Error(`${label}: weights must not all be zero`);
+    }
+  }
+
+  /**
+   * Weights and requirements for a job: the active profile (or
+   * jobContext.profile), then each matching rule
+   * @param {object} settings - From getSettings / buildSettings
+   * @param {object} jobContext - { customerWaiting, urgency, budgetSensitive, accountType,
+   *   warrantyWork, vehicleAge, vehicleType, customerPreference, profile }
+   * @returns {object} { profile, weights, requirements, appliedRules }
+   */
+  static resolve(settings = QuoteScoringEngine.buildSettings(), jobContext = {}) {
+    const profile = settings.profiles[jobContext.profile] ? jobContext.profile : settings.activeProfile;
+    const weights = Object.fromEntries(FACTORS.map(factor => [factor, 0]));
+    Object.assign(weights, settings.profiles[profile].weights);
+
+    const requirements = {};
+    const appliedRules = [];
+
+    settings.rules.filter(rule => conditionMatches(rule.when, jobContext)).forEach(rule => {
+      if (rule.weights) Object.assign(weights, rule.weights);
+      if (rule.require) Object.assign(requirements, rule.require);
+      appliedRules.push({ id: rule.id, description: rule.description || rule.id });
+    });
+
+    // Normalize so totals stay on a 0-100 scale
+    const sum = Object.values(weights).reduce((total, weight) => total + weight, 0);
+    FACTORS.forEach(factor => {
+      weights[factor] = sum > 0 ? Math.round((weights[factor] / sum) * 1000) / 1000 : 0;
+    });
+
+    return { profile, weights, requirements, appliedRules };
+  }
+
+  /**
+   * Score one quote against the others it competes with
+   * @param {object} quote - { price | cost, availability, deliveryTime | etaDays, quality, warranty, storeId }
+   * @param {object} options - { quotes (the full set, for relative price), jobContext, settings,
+   *   stores (directory entries by ID; default settings.stores) }
+   * @returns {object} { total, eligible, ineligibleReason, breakdown, weights, profile, appliedRules }
+   */
+  static scoreQuote(quote, options = {}) {
+    const jobContext = options.jobContext || {};
+    const resolved = options.resolved || QuoteScoringEngine.resolve(options.settings, jobContext);
+    const prices = (options.quotes || [quote]).map(priceOf).filter(price => price > 0);
+    const cheapest = prices.length > 0 ? Math.min(...prices) : null;
+
+    const factors = {
+      price: QuoteScoringEngine.priceScore(quote, cheapest),
+      availability: QuoteScoringEngine.availabilityScore(quote),
+      delivery: QuoteScoringEngine.deliveryScore(quote),
+      quality: QuoteScoringEngine.qualityScore(quote, jobContext),
+      warranty: QuoteScoringEngine.warrantyScore(quote),
+      relationship: QuoteScoringEngine.relationshipScore(quote, options.stores || options.settings?.stores)
+    };
+
+    const breakdown = {};
+    let total = 0;
+    FACTORS.forEach(factor => {
+      const weight = resolved.weights[factor];
+      const points = Math.round(factors[factor].score * weight * 10) / 10;
+      breakdown[factor] = { ...factors[factor], weight, points };
+      total += points;
+    });
+
+    const ineligibleReason = QuoteScoringEngine.checkRequirements(quote, resolved.requirements);
+
+    return {
+      total: Math.round(total),
+      eligible: !ineligibleReason,
+      ineligibleReason,
+      breakdown,
+      weights: resolved.weights,
+      profile: resolved.profile,
+      appliedRules: resolved.appliedRules
+    };
+  }
+
+  /**
+   * Score and rank a set of quotes: eligible first, then by total
+   * @returns {Array} Quotes with score, eligible, ineligibleReason and scoring
+   */
+  static scoreQuotes(quotes, jobContext = {}, settings = undefined) {
+    const resolved = QuoteScoringEngine.resolve(settings, jobContext);
+
+    return quotes
+      .map(quote => {
+        const scoring = QuoteScoringEngine.scoreQuote(quote, { quotes, jobContext, resolved, stores: settings?.stores });
+        return {
+          ...quote,
+          score: scoring.total,
+          eligible: scoring.eligible,
+          ineligibleReason: scoring.ineligibleReason,
+          scoring
+        };
+      })
+      .sort((a, b) => (b.eligible - a.eligible) || (b.score - a.score));
+  }
+
+  static checkRequirements(quote, requirements = {}) {
+    if (requirements.quality && !requirements.quality.includes(quote.quality)) {
+      return `Requires ${requirements.quality.join(' or ')} parts (quote is ${quote.quality || 'unknown quality'})`;
+    }
+    if (requirements.availability && !requirements.availability.includes(quote.availability)) {
+      return `Requires ${requirements.availability.join(' or ')} (quote is ${quote.availability || 'unknown'})`;
+    }
+    const delivery = deliveryOf(quote);
+    if (requirements.maxDeliveryDays !== undefined && (delivery === null || delivery > requirements.maxDeliveryDays)) {
+      return `Must arrive within ${requirements.maxDeliveryDays} day(s)`;
+    }
+    const price = priceOf(quote);
+    if (requirements.maxPrice !== undefined && price > requirements.maxPrice) {
+      return `Over the $${requirements.maxPrice} limit`;
+    }
+    return null;
+  }
+
+  /**
+   * Price relative to the cheapest quote in the set (cheapest = 100)
+   */
+  static priceScore(quote, cheapest) {
+    const price = priceOf(quote);
+    if (!price || !cheapest) {
+      return { score: 50, reason: 'No price quoted' };
+    }
+
+    const score = clamp((cheapest / price) * 100);
+    const reason = price === cheapest
+      ? `Lowest price at $${price.toFixed(2)}`
+      : `$${price.toFixed(2)}, ${Math.round((price / cheapest - 1) * 100)}% above the lowest`;
+    return { score, reason };
+  }
+
+  static availabilityScore(quote) {
+    const availability = quote.availability || 'unknown';
+    return {
+      score: AVAILABILITY_SCORES[availability] ?? 50,
+      reason: availability === 'in stock' ? 'In stock and ready' : `Availability: ${availability}`
+    };
+  }
+
+  static deliveryScore(quote) {
+    const days = deliveryOf(quote);
+
+    if (days === null) return { score: 50, reason: 'Delivery time unknown' };
+    if (days === 0) return { score: 100, reason: 'Same-day delivery' };
+    if (days <= 1) return { score: 85, reason: 'Next-day delivery' };
+    if (days <= 3) return { score: 60, reason: `${days} days to arrive` };
+    if (days <= 7) return { score: 30, reason: `${days} days to arrive` };
+    return { score: 10, reason: `${days} days to arrive` };
+  }
+
+  static qualityScore(quote, jobContext = {}) {
+    const { vehicleAge, vehicleType, customerPreference } = jobContext;
+    const quality = quote.quality || 'Unknown';
+    let score = QUALITY_SCORES[quality] ?? 60;
+    const notes = [];
+
+    // Newer vehicles should get OEM or equivalent
+    if (vehicleAge !== undefined && vehicleAge < 3) {
+      if (quality === 'OEM') {
+        score += 20;
+        notes.push('OEM preferred on a newer vehicle');
+      } else if (!['OEM Equivalent', 'Premium'].includes(quality)) {
+        score -= 20;
+        notes.push('below OEM grade on a newer vehicle');
+      }
+    }
+
+    // Economy is fine on an older vehicle
+    if (vehicleAge > 10 && ['Economy', 'Standard'].includes(quality)) {
+      score += 10;
+      notes.push('economical choice for an older vehicle');
+    }
+
+    if (['luxury', 'performance'].includes(vehicleType)) {
+      if (['OEM', 'Premium'].includes(quality)) {
+        score += 15;
+      } else if (quality === 'Economy') {
+        score -= 30;
+        notes.push(`economy part on a ${vehicleType} vehicle`);
+      }
+    }
+
+    if (customerPreference && quality.toLowerCase().includes(String(customerPreference).toLowerCase())) {
+      score += 25;
+      notes.push('matches customer preference');
+    }
+
+    return { score: clamp(score), reason: `${quality} quality${notes.length ? ` (${notes.join(', ')})` : ''}` };
+  }
+
+  static warrantyScore(quote) {
+    const warranty = String(quote.warranty || '').toLowerCase();
+
+    if (!warranty) return { score: 30, reason: 'No warranty stated' };
+    if (/lifetime/.test(warranty)) return { score: 100, reason: 'Lifetime warranty' };
+
+    const years = warranty.match(/(\d+)\s*(?:years?|yrs?)/);
+    const months = warranty.match(/(\d+)\s*(?:months?|mos?)/);
+    const totalMonths = years ? Number(years[1]) * 12 : months ? Number(months[1]) : null;
+
+    if (totalMonths === null) return { score: 70, reason: `Warranty: ${quote.warranty}` };
+    return { score: clamp(40 + totalMonths * 2.5), reason: `${quote.warranty} warranty` };
+  }
+
+  /**
+   * How the store has done for the shop: its directory rank (fill rate,
+   * response time, priority)
+   */
+  static relationshipScore(quote, stores = {}) {
+    const store = quote.storeId ? stores[quote.storeId] : null;
+
+    if (!store) return { score: 50, reason: 'No store history' };
+
+    const stats = store.stats || PartsStoreDirectory.getPerformance(store);
+    let reason = stats.fillRate === null
+      ? `Store priority ${store.priority || 10}, no order history`
+      : `${Math.round(stats.fillRate * 100)}% fill rate at ${store.name}`;
+    if (stats.avgResponseSeconds !== null) {
+      reason += `, quotes in ~${Math.max(1, Math.round(stats.avgResponseSeconds / 60))} min`;
+    }
+
+    return { score: clamp(stats.rankScore), reason };
+  }
+
+  /**
+   * The factors that did the most for a scored quote, best first
+   * @param {object} scoring - scoreQuote() result
+   * @param {number} count - How many reasons
+   * @returns {string[]}
+   */
+  static topReasons(scoring, count = 3) {
+    return Object.values(scoring.breakdown)
+      .filter(factor => factor.weight > 0 && factor.score >= 70)
+      .sort((a, b) => b.points - a.points)
+      .slice(0, count)
+      .map(factor => factor.reason);
+  }
+}
+
+module.exports = {
+  QuoteScoringEngine,
+  FACTORS,
+  DEFAULT_PROFILES,
+  DEFAULT_RULES
+};
@@ -0,0 +1,477 @@
+/**
+ * Repair Description Matcher
+ *
+ * Turns how a customer describes a problem ("car squeals when I brake", "AC
+ * blowing warm") into ranked labor operations without an LLM. The description
+ * is normalized through a synonym dictionary (with typo-tolerant matching),
+ * then scored two ways:
+ * - symptoms: common complaints mapped to the repairs that usually fix them,
+ *   each with a confidence
+ * - operation names: repairs the customer named outright ("front brake pads")
+ *
+ * Some complaints have too many causes to quote a repair over the phone; for
+ * those the matcher suggests a diagnostic first.
+ */
+
+const LaborDatabase = require('./labor-database-schema.js');
+
+// Multi-word phrases, checked before the description is split into words
+const PHRASES = [
+  [/\bair\s*con(ditioning|ditioner)?\b|\ba\s*\/\s*c\b|\ba\.c\.?/g, 'ac'],
+  [/\bcheck\s+engine(\s+light)?\b|\bservice\s+engine(\s+soon)?(\s+light)?\b|\bengine\s+light\b|\bcel\b/g, 'checkengine'],
+  [/\bbattery\s+light\b|\bcharging\s+light\b|\balt(ernator)?\s+light\b/g, 'batterylight'],
+  [/\b(won'?t|will\s+not|doesn'?t|does\s+not|wont)\s+(start|crank|turn\s+over)\b|\bno\s+start\b/g, 'nostart'],
+  [/\bnot\s+(cold|cool(ing)?)\b|\b(isn'?t|not)\s+(blowing\s+)?cold\b/g, 'warm'],
+  [/\bmetal\s+on\s+metal\b/g, 'grind'],
+  [/\brough\s+idle\b|\bidles?\s+rough\b/g, 'misfire roughidle'],
+  [/\bturn(ing)?\s+over\b/g, 'crank'],
+  [/\bspark\s+plugs?\b/g, 'sparkplug'],
+  [/\bo2\b|\boxygen\s+sensor\b/g, 'o2sensor'],
+  [/\bpower\s+steering\b/g, 'powersteering'],
+  [/\bserpentine\b|\bdrive\s+belt\b|\bfan\s+belt\b/g, 'serpentine belt'],
+  [/\btiming\s+belt\b/g, 'timingbelt'],
+  [/\bwater\s+pump\b/g, 'waterpump']
+];
+
+// Words that mean the same thing, mapped to one form
+const SYNONYMS = {
+  brake: ['brakes', 'braking', 'breaks', 'break', 'stopping', 'stop', 'stops'],
+  squeal: ['squeals', 'squealing', 'squeak', 'squeaks', 'squeaking', 'squeaky', 'screech', 'screeches', 'screeching', 'squel', 'chirp', 'chirping', 'chirps'],
+  grind: ['grinds', 'grinding', 'scraping', 'scrape', 'scrapes'],
+  pulsate: ['pulsates', 'pulsating', 'pulsing', 'shudder', 'shudders', 'shuddering', 'vibrate', 'vibrates', 'vibrating', 'vibration', 'wobble', 'wobbles', 'shake', 'shakes', 'shaking'],
+  pedal: ['pedals'],
+  soft: ['spongy', 'mushy', 'sinks', 'sinking', 'floor', 'floors'],
+  ac: ['aircon'],
+  warm: ['hot', 'warmer', 'lukewarm'],
+  blow: ['blowing', 'blows', 'air', 'vents', 'vent'],
+  overheat: ['overheats', 'overheating', 'overheated', 'temperature', 'temp', 'steam', 'steaming'],
+  coolant: ['antifreeze'],
+  leak: ['leaks', 'leaking', 'leaky', 'puddle', 'dripping', 'drip', 'drips'],
+  nostart: ['dead'],
+  click: ['clicks', 'clicking'],
+  crank: ['cranks', 'cranking'],
+  slow: ['slowly', 'sluggish'],
+  battery: ['batteries'],
+  dim: ['dimming', 'flicker', 'flickering', 'flickers'],
+  misfire: ['misfires', 'misfiring', 'sputter', 'sputters', 'sputtering', 'stumble', 'stumbles', 'hesitate', 'hesitates', 'hesitation', 'jerk', 'jerks', 'jerking'],
+  clunk: ['clunks', 'clunking', 'knock', 'knocks', 'knocking', 'rattle', 'rattles', 'rattling', 'thud', 'clank', 'clanking'],
+  bump: ['bumps', 'potholes', 'pothole', 'rough', 'speedbump', 'speedbumps'],
+  bounce: ['bounces', 'bouncy', 'bouncing', 'floaty', 'float', 'floats', 'sway', 'sways'],
+  steering: ['steer', 'wheel'],
+  loose: ['wander', 'wanders', 'wandering', 'play', 'sloppy', 'drifts', 'drift', 'pulls', 'pull', 'pulling'],
+  stiff: ['hard', 'heavy', 'tight'],
+  whine: ['whines', 'whining', 'groan', 'groans', 'groaning', 'howl', 'howls'],
+  loud: ['louder', 'noisy', 'roar', 'roars', 'roaring', 'rumble', 'rumbles', 'rumbling'],
+  exhaust: ['muffler', 'tailpipe'],
+  smell: ['smells', 'smelly', 'musty', 'mildew', 'odor', 'stinks', 'stink'],
+  transmission: ['tranny', 'trans', 'gearbox', 'shifting', 'shift', 'shifts', 'gears', 'gear'],
+  slip: ['slips', 'slipping', 'flare', 'flares'],
+  noise: ['noises', 'sound', 'sounds'],
+  replace: ['replacement', 'replaced', 'new', 'change', 'changed', 'swap']
+};
+
+// Words too common to score a match on
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'the', 'my', 'i', 'it', 'its', 'is', 'car', 'truck', 'vehicle', 'when', 'im', 'am', 'of', 'on',
+  'in', 'to', 'for', 'with', 'has', 'have', 'need', 'needs', 'some', 'be', 'think', 'that', 'this', 'there', 'me',
+  'just', 'really', 'very', 'getting', 'get', 'gets', 'up', 'out', 'like', 'at', 'do', 'does', 'please', 'can',
+  'you', 'what', 'how', 'much', 'cost', 'price', 'quote', 'replace', 'each', 'pair', 'service', 'repair', 'fix'
+]);
+
+/**
+ * Common complaints. A symptom matches when every word group has at least one
+ * word in the description; its operations are the usual fixes, with how often
+ * that fix is the answer. Diagnostic reasons say what the check does, so ALEX
+ * can read them out ("It tests the battery...")
+ */
+const SYMPTOMS = [
+  {
+    id: 'brake-squeal',
+    name: 'Brakes squealing',
+    words: [['brake', 'pedal'], ['squeal', 'noise']],
+    operations: [
+      { operationId: 'brake-pads-front', confidence: 0.7 },
+      { operationId: 'brake-pads-rear', confidence: 0.4 },
+      { operationId: 'brake-rotors-front', confidence: 0.35 }
+    ],
+    diagnostic: { operationId: 'brake-inspection', reason: 'Confirms which axle needs pads and whether the rotors can be reused' }
+  },
+  {
+    id: 'brake-grind',
+    name: 'Brakes grinding',
+    words: [['brake', 'pedal'], ['grind']],
+    operations: [
+      { operationId: 'brake-pads-front', confidence: 0.7 },
+      { operationId: 'brake-rotors-front', confidence: 0.65 },
+      { operationId: 'brake-pads-rear', confidence: 0.35 },
+      { operationId: 'brake-rotors-rear', confidence: 0.3 }
+    ],
+    diagnostic: { operationId: 'brake-inspection', reason: 'Checks whether the pads are gone and the rotors are damaged' }
+  },
+  {
+    id: 'brake-pulsation',
+    name: 'Brake pedal pulsing or steering shake when stopping',
+    words: [['brake', 'pedal'], ['pulsate']],
+    operations: [
+      { operationId: 'brake-rotors-front', confidence: 0.7 },
+      { operationId: 'brake-pads-front', confidence: 0.4 }
+    ],
+    diagnostic: { operationId: 'brake-inspection', reason: 'Measures rotor runout' }
+  },
+  {
+    id: 'soft-brake-pedal',
+    name: 'Soft or sinking brake pedal',
+    words: [['brake', 'pedal'], ['soft']],
+    operations: [
+      { operationId: 'brake-fluid-flush', confidence: 0.45 },
+      { operationId: 'brake-pads-front', confidence: 0.2 }
+    ],
+    diagnostic: { operationId: 'brake-inspection', reason: 'Finds whether it is air, a leak or a failing master cylinder' },
+    diagnosticFirst: true
+  },
+  {
+    id: 'ac-warm',
+    name: 'A/C blowing warm',
+    words: [['ac'], ['warm', 'blow', 'weak']],
+    operations: [
+      { operationId: 'ac-recharge', confidence: 0.6 },
+      { operationId: 'ac-compressor', confidence: 0.25 },
+      { operationId: 'cabin-filter', confidence: 0.15 }
+    ],
+    diagnostic: { name: 'A/C performance check', reason: 'Finds whether it is low on refrigerant, leaking or the compressor' },
+    diagnosticFirst: true
+  },
+  {
+    id: 'no-start',
+    name: "Won't start",
+    words: [['nostart', 'click', 'crank']],
+    operations: [
+      { operationId: 'battery-replacement', confidence: 0.55 },
+      { operationId: 'starter-replacement', confidence: 0.35 },
+      { operationId: 'alternator-replacement', confidence: 0.2 }
+    ],
+    diagnostic: { name: 'Starting and charging system test', reason: 'Tests the battery, starter and alternator before replacing anything' },
+    diagnosticFirst: true
+  },
+  {
+    id: 'charging',
+    name: 'Battery light on or dim lights',
+    words: [['batterylight', 'dim']],
+    operations: [
+      { operationId: 'alternator-replacement', confidence: 0.6 },
+      { operationId: 'battery-replacement', confidence: 0.3 },
+      { operationId: 'serpentine-belt', confidence: 0.2 }
+    ],
+    diagnostic: { name: 'Starting and charging system test', reason: 'Tests the alternator output and battery' },
+    diagnosticFirst: true
+  },
+  {
+    id: 'overheating',
+    name: 'Overheating or losing coolant',
+    words: [['overheat', 'coolant']],
+    operations: [
+      { operationId: 'thermostat', confidence: 0.4 },
+      { operationId: 'water-pump', confidence: 0.35 },
+      { operationId: 'radiator-hoses', confidence: 0.35 },
+      { operationId: 'coolant-flush', confidence: 0.2 }
+    ],
+    diagnostic: { name: 'Cooling system pressure test', reason: 'Finds the leak or the failed part' },
+    diagnosticFirst: true
+  },
+  {
+    id: 'belt-squeal',
+    name: 'Squeal from under the hood',
+    words: [['squeal', 'whine'], ['belt', 'hood', 'start', 'startup', 'accelerate', 'accelerating', 'cold', 'morning', 'engine']],
+    operations: [
+      { operationId: 'serpentine-belt', confidence: 0.65 }
+    ],
+    diagnostic: null
+  },
+  {
+    id: 'misfire',
+    name: 'Misfire or rough running',
+    words: [['misfire', 'roughidle']],
+    operations: [
+      { operationId: 'spark-plugs', confidence: 0.5 },
+      { operationId: 'ignition-coils', confidence: 0.45 }
+    ],
+    diagnostic: { name: 'Check engine / drivability diagnosis', reason: 'Reads the misfire codes to find the cylinder and cause' },
+    diagnosticFirst: true
+  },
+  {
+    id: 'check-engine',
+    name: 'Check engine light on',
+    words: [['checkengine']],
+    operations: [
+      { operationId: 'o2-sensor', confidence: 0.2 },
+      { operationId: 'spark-plugs', confidence: 0.15 },
+      { operationId: 'ignition-coils', confidence: 0.15 }
+    ],
+    diagnostic: { name: 'Check engine light diagnosis', reason: 'Reads the codes behind the light, which has hundreds of possible causes' },
+    diagnosticFirst: true
+  },
+  {
+    id: 'suspension-noise',
+    name: 'Clunk over bumps or in turns',
+    words: [['clunk'], ['bump', 'turn', 'turning', 'turns', 'suspension', 'front', 'steering']],
+    operations: [
+      { operationId: 'ball-joints', confidence: 0.4 },
+      { operationId: 'struts', confidence: 0.35 },
+      { operationId: 'tie-rods', confidence: 0.3 }
+    ],
+    diagnostic: { name: 'Suspension and steering inspection', reason: 'Finds which joint or mount is worn' },
+    diagnosticFirst: true
+  },
+  {
+    id: 'bouncy-ride',
+    name: 'Bouncy or floaty ride',
+    words: [['bounce']],
+    operations: [
+      { operationId: 'struts', confidence: 0.55 },
+      { operationId: 'shock-absorbers', confidence: 0.5 }
+    ],
+    diagnostic: { name: 'Suspension and steering inspection', reason: 'Checks the shocks, struts and mounts' }
+  },
+  {
+    id: 'loose-steering',
+    name: 'Loose or wandering steering',
+    words: [['steering', 'drive', 'driving'], ['loose']],
+    operations: [
+      { operationId: 'tie-rods', confidence: 0.55 },
+      { operationId: 'ball-joints', confidence: 0.35 }
+    ],
+    diagnostic: { name: 'Suspension and steering inspection', reason: 'Checks the tie rods, ball joints and alignment' },
+    diagnosticFirst: true
+  },
+  {
+    id: 'power-steering',
+    name: 'Power steering whine or stiff steering',
+    words: [['powersteering', 'steering'], ['whine', 'stiff', 'noise']],
+    operations: [
+      { operationId: 'power-steering-fluid', confidence: 0.5 }
+    ],
+    diagnostic: { name: 'Power steering inspection', reason: 'Checks for leaks and a failing pump' }
+  },
+  {
+    id: 'loud-exhaust',
+    name: 'Loud exhaust',
+    words: [['exhaust', 'loud'], ['loud', 'leak', 'hole', 'noise']],
+    operations: [
+      { operationId: 'muffler-replacement', confidence: 0.6 }
+    ],
+    diagnostic: { name: 'Exhaust inspection', reason: 'Finds where the exhaust is leaking' }
+  },
+  {
+    id: 'vent-smell',
+    name: 'Musty smell or weak airflow from the vents',
+    words: [['smell', 'weak'], ['blow', 'ac', 'heat', 'heater', 'fan']],
+    operations: [
+      { operationId: 'cabin-filter', confidence: 0.6 }
+    ],
+    diagnostic: null
+  },
+  {
+    id: 'transmission-slip',
+    name: 'Transmission slipping or shifting hard',
+    words: [['transmission'], ['slip', 'stiff', 'delay', 'delayed', 'late', 'clunk', 'jerk', 'misfire']],
+    operations: [
+      { operationId: 'transmission-fluid', confidence: 0.35 }
+    ],
+    diagnostic: { name: 'Transmission diagnosis', reason: 'Reads transmission codes and checks the fluid' },
+    diagnosticFirst: true
+  }
+];
+
+// Named repairs need at least this share of their name's words to count
+const NAME_MATCH_THRESHOLD = 0.5;
+// Top candidates at or above this confidence are quoted without a diagnostic
+const CONFIDENT = 0.7;
+
+const SYNONYM_LOOKUP = Object.entries(SYNONYMS).reduce((lookup, [word, variants]) => {
+  variants.forEach(variant => { lookup[variant] = word; });
+  lookup[word] = word;
+  return lookup;
+}, {});
+
+/**
+ * Edit distance, capped (anything over the cap is just cap + 1)
+ */
+function editDistance(a, b, cap = 2) {
+  if (Math.abs(a.length - b.length) > cap) return cap + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return Math.min(previous[b.length], cap + 1);
+}
+
+/**
+ * 'pads' -> 'pad', 'hoses' -> 'hose' (leaves 'glass', 'gas', 'brakes' handled by synonyms)
+ */
+function singular(word) {
+  if (word.length > 3 && word.endsWith('s') && !/(ss|us|is)$/.test(word)) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class RepairDescriptionMatcher {
+  /**
+   * @param {LaborDatabase} laborDatabase - The shop's labor guide (default: built-in common repairs)
+   */
+  constructor(laborDatabase = new LaborDatabase()) {
+    this.laborDatabase = laborDatabase;
+    this.operationWords = this.laborDatabase.getAllLaborOperations().map(operation => ({
+      operation,
+      words: this.toWords(`${operation.name} ${operation.id.replace(/-/g, ' ')}`, { fuzzy: false })
+    }));
+
+    // Every word the matcher knows, for typo correction
+    this.vocabulary = new Set([
+      ...Object.keys(SYNONYM_LOOKUP),
+      ...SYMPTOMS.flatMap(symptom => symptom.words.flat()),
+      ...this.operationWords.flatMap(entry => entry.words)
+    ]);
+  }
+
+  /**
+   * Normalized words: phrases and synonyms mapped to one form, plurals made
+   * singular, and (optionally) misspellings corrected to a known word
+   */
+  toWords(text, { fuzzy = true } = {}) {
+    let normalized = String(text || '').toLowerCase().replace(/[’`]/g, "'");
+    PHRASES.forEach(([pattern, replacement]) => {
+      normalized = normalized.replace(pattern, ` ${replacement} `);
+    });
+
+    const words = normalized
+      .replace(/[^a-z0-9'\s]/g, ' ')
+      .split(/\s+/)
+      .map(word => word.replace(/'/g, ''))
+      .filter(word => word && !STOPWORDS.has(word))
+      .map(word => {
+        if (SYNONYM_LOOKUP[word]) return SYNONYM_LOOKUP[word];
+        const single = singular(word);
+        if (SYNONYM_LOOKUP[single]) return SYNONYM_LOOKUP[single];
+        return fuzzy ? this.correct(single) : single;
+      })
+      .filter(word => !STOPWORDS.has(word));
+
+    return Array.from(new Set(words));
+  }
+
+  /**
+   * Closest known word for a misspelling ('brakse' -> 'brake'), or the word itself
+   */
+  correct(word) {
+    if (this.vocabulary.has(word) || word.length < 4 || /\d/.test(word)) return word;
+
+    // Typos rarely change the first letter, and checking it keeps 'seat' from becoming 'heat'
+    const cap = word.length >= 7 ? 2 : 1;
+    let best = null;
+    let bestDistance = cap + 1;
+    this.vocabulary.forEach(known => {
+      if (known[0] !== word[0]) return;
+      const distance = editDistance(word, known, cap);
+      if (distance < bestDistance) {
+        best = known;
+        bestDistance = distance;
+      }
+    });
+
+    return best ? (SYNONYM_LOOKUP[best] || best) : word;
+  }
+
+  /**
+   * Ranked labor operations for a customer's description
+   * @param {string} description - What the customer said
+   * @param {object} options - { limit }
+   * @returns {object} { words, candidates: [{ operationId, name, category, confidence, reasons }],
+   *   symptoms: [{ id, name }], diagnostic: { operationId, name, reason } | null, diagnosticFirst }
+   */
+  match(description, options = {}) {
+    const { limit = 5 } = options;
+    const words = this.toWords(description);
+    const scores = new Map();
+
+    const addScore = (operation, confidence, reason) => {
+      const entry = scores.get(operation.id) || { operation, confidence: 0, reasons: [] };
+      // Independent evidence adds up without passing 1
+      entry.confidence = 1 - (1 - entry.confidence) * (1 - confidence);
+      entry.reasons.push(reason);
+      scores.set(operation.id, entry);
+    };
+
+    const symptoms = SYMPTOMS.filter(symptom =>
+      symptom.words.every(group => group.some(word => words.includes(word))));
+
+    symptoms.forEach(symptom => {
+      symptom.operations.forEach(({ operationId, confidence }) => {
+        const operation = this.laborDatabase.getLaborOperation(operationId);
+        if (operation) addScore(operation, confidence, `Common fix for: ${symptom.name.toLowerCase()}`);
+      });
+    });
+
+    // Repairs the customer named ("front brake pads", "timing belt"). Words a
+    // symptom already matched on don't count again: "AC blowing warm" is not
+    // a request for an A/C compressor
+    const symptomWords = new Set(symptoms.flatMap(symptom => symptom.words.flat()));
+    this.operationWords.forEach(({ operation, words: nameWords }) => {
+      if (nameWords.length === 0) return;
+      const matched = nameWords.filter(word => words.includes(word));
+      const share = matched.length / nameWords.length;
+      if (share >= NAME_MATCH_THRESHOLD && matched.some(word => !symptomWords.has(word))) {
+        addScore(operation, 0.9 * share, `Named in the description: ${matched.join(', ')}`);
+      }
+    });
+
+    const candidates = Array.from(scores.values())
+      .map(({ operation, confidence, reasons }) => ({
+        operationId: operation.id,
+        name: operation.name,
+        category: operation.category,
+        confidence: round2(confidence),
+        reasons
+      }))
+      .sort((a, b) => b.confidence - a.confidence || a.name.localeCompare(b.name))
+      .slice(0, limit);
+
+    const diagnosticSymptom = symptoms.find(symptom => symptom.diagnostic);
+    const diagnostic = diagnosticSymptom ? this.describeDiagnostic(diagnosticSymptom.diagnostic) : null;
+    const topConfidence = candidates[0]?.confidence || 0;
+
+    return {
+      words,
+      candidates,
+      symptoms: symptoms.map(({ id, name }) => ({ id, name })),
+      diagnostic,
+      // A repair the customer named outright is quoted as asked
+      diagnosticFirst: Boolean(diagnostic) && topConfidence < CONFIDENT && symptoms.some(symptom => symptom.diagnosticFirst)
+    };
+  }
+
+  /**
+   * Diagnostic suggestion, with its labor operation when the guide has one
+   */
+  describeDiagnostic(diagnostic) {
+    const operation = diagnostic.operationId ? this.laborDatabase.getLaborOperation(diagnostic.operationId) : null;
+    return {
+      operationId: operation ? operation.id : null,
+      name: operation ? operation.name : diagnostic.name || 'Diagnosis',
+      reason: diagnostic.reason
+    };
+  }
+}
+
+module.exports = RepairDescriptionMatcher;
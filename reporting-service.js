@@ -4,9 +4,19 @@
  */
 
 const { ShopRouter } = require('./firebase-config');
+const { InventoryService } = require('./inventory-service');
+const { TimeClockService } = require('./time-clock-service');
+const { dateKey, addDays, startOfDay, periodKeys } = require('./shop-time');
 const admin = require('firebase-admin');
 
 class ReportingService {
+  /**
+   * @param {object} options - { timeClock (TimeClockService) }
+   */
+  constructor(options = {}) {
+    this.timeClock = options.timeClock || new TimeClockService();
+  }
+
   async generateSalesReport(shopId, period = 'month', dateRange = null) {
     try {
       const { startDate, endDate } = this.getDateRange(period, dateRange);
@@ -59,30 +69,30 @@ class ReportingService {
     return csv;
   }
 
-  getDateRange(period, customRange = null) {
-    const now = new Date();
-    let startDate, endDate = now;
-
-    if (customRange) {
-      startDate = new Date(customRange.startDate);
-      endDate = new Date(customRange.endDate);
-    } else {
-      switch (period) {
-        case 'day':
-          startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-          break;
-        case 'week':
-          startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-          break;
-        case 'month':
-          startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-          break;
-        case 'year':
-          startDate = new Date(now.getFullYear(), 0, 1);
-          break;
-      }
+  /**
+   * First and last shop calendar day of a period or custom range
+   * @param {string} period - day | week | month | year
+   * @param {object} customRange - { startDate, endDate } (YYYY-MM-DD or a moment)
+   * @returns {object} { from, to } as YYYY-MM-DD
+   */
+  getDateKeys(period, customRange = null) {
+    if (!customRange) {
+      return periodKeys(period);
     }
 
+    const toKey = (value) => (/^\d{4}-\d{2}-\d{2}$/.test(value) ? value : dateKey(value));
+    return { from: toKey(customRange.startDate), to: toKey(customRange.endDate) };
+  }
+
+  /**
+   * Moments a period starts and ends, on the shop's calendar: from the shop's
+   * midnight on the first day to now, or through the last day of a custom range
+   */
+  getDateRange(period, customRange = null) {
+    const { from, to } = this.getDateKeys(period, customRange);
+    const startDate = startOfDay(from);
+    const endDate = customRange ? new Date(startOfDay(addDays(to, 1)).getTime() - 1) : new Date();
+
     return { startDate, endDate };
   }
 
@@ -97,35 +107,25 @@ class ReportingService {
     try {
       const { startDate, endDate } = this.getDateRange(period, dateRange);
 
-      const techsSnapshot = await ShopRouter.getShopCollection(shopId, 'technicians').get();
-      const technicians = techsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-
-      const performanceData = [];
-
-      for (const tech of technicians) {
-        const jobsSnapshot = await ShopRouter.getShopCollection(shopId, 'jobs')
-          .where('assignedTechnicianId', '==', tech.id)
-          .where('completedAt', '>=', startDate)
-          .where('completedAt', '<=', endDate)
-          .get();
-
-        const completedJobs = jobsSnapshot.docs.map(doc => doc.data());
-
-        const totalHours = completedJobs.reduce((sum, job) => sum + (job.actualHours || 0), 0);
-        const totalRevenue = completedJobs.reduce((sum, job) => sum + (job.total || 0), 0);
-
-        performanceData.push({
-          technicianId: tech.id,
-          name: tech.name,
-          jobsCompleted: completedJobs.length,
-          totalHours,
-          totalRevenue,
-          avgHoursPerJob: completedJobs.length > 0 ? totalHours / completedJobs.length : 0,
-          avgRevenuePerJob: completedJobs.length > 0 ? totalRevenue / completedJobs.length : 0,
-          revenuePerHour: totalHours > 0 ? totalRevenue / totalHours : 0,
-          rating: tech.rating || 5.0
-        });
-      }
+      // Flagged hours (what was sold) against time on jobs and time punched in
+      const clock = await this.timeClock.getEfficiencyReport(shopId, this.getDateKeys(period, dateRange));
+      const technicians = clock.technicians;
+
+      const performanceData = technicians.map(tech => ({
+        technicianId: tech.technicianId,
+        name: tech.name,
+        jobsCompleted: tech.jobsFlagged,
+        totalHours: tech.jobHours,
+        hoursWorked: tech.hoursWorked,
+        flaggedHours: tech.flaggedHours,
+        totalRevenue: tech.laborSales,
+        avgHoursPerJob: tech.jobsFlagged > 0 ? tech.jobHours / tech.jobsFlagged : 0,
+        avgRevenuePerJob: tech.jobsFlagged > 0 ? tech.laborSales / tech.jobsFlagged : 0,
+        revenuePerHour: tech.jobHours > 0 ? tech.laborSales / tech.jobHours : 0,
+        productivity: tech.productivity,
+        efficiency: tech.efficiency,
+        overall: tech.overall
+      }));
 
       // Sort by total revenue
       performanceData.sort((a, b) => b.totalRevenue - a.totalRevenue);
@@ -138,7 +138,14 @@ class ReportingService {
           totalTechnicians: technicians.length,
           totalJobsCompleted: performanceData.reduce((sum, t) => sum + t.jobsCompleted, 0),
           totalRevenue: performanceData.reduce((sum, t) => sum + t.totalRevenue, 0),
-          avgRevenuePerTechnician: performanceData.reduce((sum, t) => sum + t.totalRevenue, 0) / performanceData.length
+          avgRevenuePerTechnician: performanceData.length > 0
+            ? performanceData.reduce((sum, t) => sum + t.totalRevenue, 0) / performanceData.length
+            : 0,
+          hoursWorked: clock.summary.hoursWorked,
+          jobHours: clock.summary.jobHours,
+          flaggedHours: clock.summary.flaggedHours,
+          productivity: clock.summary.productivity,
+          efficiency: clock.summary.efficiency
         },
         technicians: performanceData
       };
@@ -150,16 +157,23 @@ class ReportingService {
 
   /**
    * Generate parts inventory report
+   * Stock value at average cost, items at or below their reorder point, and
+   * what physical counts found over the last 30 days
    * @param {string} shopId - Shop ID
    * @returns {Promise<object>}
    */
   async generatePartsInventoryReport(shopId) {
     try {
       const partsSnapshot = await ShopRouter.getShopCollection(shopId, 'partsInventory').get();
-      const parts = partsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      const parts = partsSnapshot.docs
+        .map(doc => InventoryService.normalize({ id: doc.id, ...doc.data() }))
+        .filter(part => part.active);
 
-      const totalValue = parts.reduce((sum, part) => sum + ((part.quantity || 0) * (part.cost || 0)), 0);
-      const lowStockParts = parts.filter(part => (part.quantity || 0) <= (part.minStock || 0));
+      const valueOf = (part) => part.quantityOnHand * part.averageCost;
+      const totalValue = parts.reduce((sum, part) => sum + valueOf(part), 0);
+      const lowStockParts = parts
+        .filter(part => InventoryService.isLowStock(part))
+        .map(part => ({ ...part, suggestedQuantity: InventoryService.suggestedOrderQuantity(part) }));
 
       // Group by category
       const byCategory = {};
@@ -168,23 +182,40 @@ class ReportingService {
         if (!byCategory[category]) {
           byCategory[category] = {
             count: 0,
+            units: 0,
             totalValue: 0
           };
         }
         byCategory[category].count++;
-        byCategory[category].totalValue += (part.quantity || 0) * (part.cost || 0);
+        byCategory[category].units += part.quantityOnHand;
+        byCategory[category].totalValue += valueOf(part);
       });
 
+      const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+      const countsSnapshot = await ShopRouter.getShopCollection(shopId, 'inventoryCounts').get();
+      const counts = countsSnapshot.docs
+        .map(doc => doc.data())
+        .filter(count => count.countedAt >= since);
+
       return {
         generatedAt: new Date().toISOString(),
         summary: {
           totalParts: parts.length,
+          totalUnits: parts.reduce((sum, part) => sum + part.quantityOnHand, 0),
           totalValue,
           lowStockCount: lowStockParts.length,
+          neverCounted: parts.filter(part => !part.lastCountedAt).length,
           categories: Object.keys(byCategory).length
         },
         byCategory,
-        lowStockParts
+        lowStockParts,
+        counts: {
+          since,
+          counts: counts.length,
+          itemsCounted: counts.reduce((sum, count) => sum + count.itemsCounted, 0),
+          varianceUnits: counts.reduce((sum, count) => sum + count.varianceUnits, 0),
+          varianceValue: counts.reduce((sum, count) => sum + count.varianceValue, 0)
+        }
       };
     } catch (error) {
       console.error('Error generating parts inventory report:', error);
@@ -0,0 +1,216 @@
+/**
+ * Selector Profiles
+ * Loads the versioned CSS selector lists scrapers use (selector-profiles/<name>-v<N>.json)
+ * and keeps a health report of which selector in each list actually matched.
+ *
+ * A key whose first selector stops matching is reported as "fallback", one
+ * where nothing matches as "missing" - so a markup change shows up on the
+ * health endpoint (and, with NEXPART_SNAPSHOT_DIR set, as a saved page to turn
+ * into a replay fixture) before it shows up as empty quotes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROFILE_DIR = path.join(__dirname, 'selector-profiles');
+
+// One loaded profile per name, shared by every scraper using it
+const profiles = new Map();
+
+class SelectorProfile {
+    /**
+     * @param {object} definition - Parsed profile file ({ profile, version, selectors })
+     * @param {object} options - { snapshotDir }
+     */
+    constructor(definition, options = {}) {
+        this.name = definition.profile;
+        this.version = definition.version;
+        this.updatedAt = definition.updatedAt || null;
+        this.selectorMap = definition.selectors || {};
+        this.snapshotDir = options.snapshotDir ?? process.env.NEXPART_SNAPSHOT_DIR ?? null;
+        this.health = {};
+    }
+
+    /**
+     * Load a profile by name. Uses the highest version on disk unless a
+     * version (or a path to a profile file) is given.
+     * @param {string} name - Profile name, e.g. 'nexpart'
+     * @param {number|string} version - Version number or file path (optional)
+     * @returns {SelectorProfile}
+     */
+    static load(name, version = null) {
+        let file;
+
+        if (version && /[\\/]|\.json$/.test(String(version))) {
+            file = path.resolve(String(version));
+        } else if (version) {
+            file = path.join(PROFILE_DIR, `${name}-v${version}.json`);
+        } else {
+            const versions = fs.readdirSync(PROFILE_DIR)
+                .map(entry => entry.match(new RegExp(`^${name}-v(\\d+)\\.json$`)))
+                .filter(Boolean)
+                .map(match => Number(match[1]))
+                .sort((a, b) => b - a);
+
+            if (versions.length === 0) {
+                throw new Error(`No selector profile found for ${name}`);
+            }
+            file = path.join(PROFILE_DIR, `${name}-v${versions[0]}.json`);
+        }
+
+        const profile = new SelectorProfile(JSON.parse(fs.readFileSync(file, 'utf8')));
+        console.log(`🎯 Loaded ${name} selector profile v${profile.version}`);
+        return profile;
+    }
+
+    /**
+     * Shared profile for a scraper family. NEXPART_SELECTOR_PROFILE pins the
+     * Nexpart version (number or file path).
+     * @param {string} name - Profile name
+     * @returns {SelectorProfile}
+     */
+    static shared(name) {
+        if (!profiles.has(name)) {
+            const pinned = process.env[`${name.toUpperCase()}_SELECTOR_PROFILE`] || null;
+            profiles.set(name, SelectorProfile.load(name, pinned));
+        }
+        return profiles.get(name);
+    }
+
+    /**
+     * Selector list for a key like 'parts.row'
+     * @param {string} key - Group and name, dot separated
+     * @returns {string[]}
+     */
+    selectors(key) {
+        const [group, name] = key.split('.');
+        const list = this.selectorMap[group]?.[name];
+
+        if (!Array.isArray(list) || list.length === 0) {
+            throw new Error(`Selector profile ${this.name} v${this.version} has no selectors for ${key}`);
+        }
+        return list;
+    }
+
+    /**
+     * Every list in a group, e.g. group('aces') → { year: [...], make: [...] }
+     */
+    group(name) {
+        return this.selectorMap[name] || {};
+    }
+
+    /**
+     * Find the first selector in a key's list that exists on the page
+     * @param {object} page - Puppeteer page
+     * @param {string} key - e.g. 'login.username'
+     * @returns {Promise<object|null>} { selector, element, index } or null
+     */
+    async find(page, key) {
+        const list = this.selectors(key);
+
+        for (let index = 0; index < list.length; index++) {
+            try {
+                const element = await page.$(list[index]);
+                if (element) {
+                    this.record(key, index);
+                    return { selector: list[index], element, index };
+                }
+            } catch (error) {
+                // Invalid selector for this browser - try the next one
+                continue;
+            }
+        }
+
+        this.record(key, -1);
+        return null;
+    }
+
+    /**
+     * Record which selector matched (-1 for none). In-page extractors that
+     * receive the raw lists report their matches through this.
+     * @param {string} key - Selector key
+     * @param {number} index - Index of the matching selector, or -1
+     */
+    record(key, index) {
+        const list = this.selectors(key);
+        const entry = this.health[key] || (this.health[key] = {
+            attempts: 0,
+            misses: 0,
+            matches: {},
+            lastMatch: null,
+            lastAttemptAt: null
+        });
+
+        entry.attempts++;
+        entry.lastAttemptAt = new Date().toISOString();
+
+        if (index < 0) {
+            entry.misses++;
+            entry.lastMatch = null;
+            return;
+        }
+
+        const selector = list[index];
+        entry.matches[selector] = (entry.matches[selector] || 0) + 1;
+        entry.lastMatch = { selector, index, fallback: index > 0 };
+    }
+
+    /**
+     * Which selector matched per key, and whether the primary still works
+     * @returns {object} { profile, version, status, keys }
+     */
+    getHealth() {
+        const keys = {};
+
+        Object.entries(this.health).forEach(([key, entry]) => {
+            let status = 'ok';
+            if (!entry.lastMatch) {
+                status = 'missing';
+            } else if (entry.lastMatch.fallback) {
+                status = 'fallback';
+            }
+
+            keys[key] = { status, primary: this.selectors(key)[0], ...entry };
+        });
+
+        const statuses = Object.values(keys).map(entry => entry.status);
+        let status = 'ok';
+        if (statuses.includes('missing')) {
+            status = 'missing';
+        } else if (statuses.includes('fallback')) {
+            status = 'fallback';
+        }
+
+        return { profile: this.name, version: this.version, updatedAt: this.updatedAt, status, keys };
+    }
+
+    resetHealth() {
+        this.health = {};
+    }
+
+    /**
+     * Save the page's HTML when NEXPART_SNAPSHOT_DIR is set, so a page the
+     * selectors failed on can be added to fixtures/nexpart/ and replayed
+     * @param {object} page - Puppeteer page
+     * @param {string} label - What was being extracted (used in the file name)
+     * @returns {Promise<string|null>} File written
+     */
+    async snapshot(page, label) {
+        if (!this.snapshotDir) {
+            return null;
+        }
+
+        try {
+            fs.mkdirSync(this.snapshotDir, { recursive: true });
+            const file = path.join(this.snapshotDir, `${this.name}-${label}-${Date.now()}.html`);
+            fs.writeFileSync(file, await page.content());
+            console.log(`📸 Saved ${label} page snapshot: ${file}`);
+            return file;
+        } catch (error) {
+            console.error('Error saving page snapshot:', error.message);
+            return null;
+        }
+    }
+}
+
+module.exports = SelectorProfile;
@@ -5,14 +5,22 @@ const path = require('path');
 const fs = require('fs');
 const admin = require('firebase-admin');
 
+const { authenticateShop, enforceRoutePermissions } = require('./shop-auth-middleware.js');
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Single-shop deployments (no Firebase Auth) run every request against this shop ID
+const DEFAULT_SHOP_ID = process.env.DEFAULT_SHOP_ID || 'default';
+
 // Middleware
 app.use(cors());
 app.use(bodyParser.json());
 app.use(express.static('public'));
 
+// Every API request is scoped to the caller's shop (req.shop) and checked against its role
+app.use('/api', authenticateShop({ defaultShopId: DEFAULT_SHOP_ID }), enforceRoutePermissions());
+
 // ==================== FIREBASE INITIALIZATION ====================
 // Service Advisor in a Box - Professional Firebase Integration
 
@@ -66,11 +74,25 @@ function isFirebaseAvailable() {
   return db !== null && techniciansRef !== null;
 }
 
-// In-memory cache for faster access (synced with Firebase)
-let technicians = [];
-let dropoffs = [];
-let appointments = [];
-let estimates = [];
+// Shop data (technicians, appointments, work orders) goes through ShopRouter's
+// storage adapter: Firestore, Realtime Database or a local JSON file (STORAGE_BACKEND)
+const { ShopRouter, CloudStorageManager } = require('./firebase-config.js');
+
+// Photos saved locally when Firebase Storage is not configured, stored under
+// shops/<shopId>/; staff can only load their own shop's files
+app.use('/uploads', authenticateShop({ defaultShopId: DEFAULT_SHOP_ID }), (req, res, next) => {
+    let segments;
+    try {
+        segments = path.posix.normalize(decodeURIComponent(req.path)).split('/').filter(Boolean);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: 'Invalid file path' });
+    }
+
+    if (segments[0] !== 'shops' || segments[1] !== req.shop.id) {
+        return res.status(403).json({ success: false, error: 'Access to another shop is not allowed' });
+    }
+    next();
+}, express.static(CloudStorageManager.getLocalUploadsPath()));
 
 // ==================== SOCIAL MEDIA INTEGRATION ====================
 const shopSettingsService = require('./shop-settings-service.js');
@@ -79,67 +101,235 @@ registerSocialMediaEndpoints(app, shopSettingsService);
 
 console.log('✅ Social Media endpoints registered');
 
-// ==================== TECHNICIAN MANAGEMENT ENDPOINTS ====================
-
-// Get all technicians
-app.get('/api/technicians', async (req, res) => {
+// ==================== WORK ORDERS ====================
+const { WorkOrderRepository } = require('./work-order-repository.js');
+const registerWorkOrderEndpoints = require('./work-order-endpoints.js');
+const { sendWorkOrderError } = registerWorkOrderEndpoints;
+const registerIntakeEndpoints = require('./intake-endpoints.js');
+
+const { VehicleRepository } = require('./vehicle-repository.js');
+const registerVehicleEndpoints = require('./vehicle-endpoints.js');
+
+// VINs decode offline; Nexpart (when configured) only fills in trim and unknown models
+const VINDecoder = require('./vin-decoder.js');
+// Nexpart scrapers share one browser and logged-in session per account (see /api/health)
+const NexpartSessionPool = require('./nexpart-session-pool.js');
+const SelectorProfile = require('./selector-profile.js');
+let vinFallback = null;
+if (process.env.NEXPART_USERNAME && process.env.NEXPART_PASSWORD) {
+  try {
+    const NexpartVINDecoder = require('./nexpart-vin-decoder.js');
+    vinFallback = new NexpartVINDecoder(process.env.NEXPART_USERNAME, process.env.NEXPART_PASSWORD);
+  } catch (error) {
+    console.warn('⚠️ Nexpart VIN decoder unavailable - decoding VINs offline only:', error.message);
+  }
+}
+const vinDecoder = new VINDecoder({ fallback: vinFallback });
+
+const vehicleRepository = new VehicleRepository();
+const workOrderRepository = new WorkOrderRepository({ vehicles: vehicleRepository });
+registerWorkOrderEndpoints(app, workOrderRepository);
+registerVehicleEndpoints(app, vehicleRepository, vinDecoder);
+
+// Parts / labor / VIN / plate lookups share one cache (inspect and purge at /api/admin/cache)
+const { LookupCache } = require('./lookup-cache.js');
+const registerLookupCacheEndpoints = require('./lookup-cache-endpoints.js');
+registerLookupCacheEndpoints(app, LookupCache.shared());
+
+// Each shop's versioned labor guide (Nexpart imports once parts search sets up the API below)
+const { LaborGuideService } = require('./labor-guide-service.js');
+const registerLaborGuideEndpoints = require('./labor-guide-endpoints.js');
+const laborGuide = new LaborGuideService();
+if (process.env.NEXPART_USERNAME && process.env.NEXPART_PASSWORD) {
     try {
-        const snapshot = await techniciansRef.once('value');
-        const data = snapshot.val() || {};
-        const techList = Object.keys(data).map(key => ({ id: key, ...data[key] }));
-        res.json({ technicians: techList });
+        const NexpartLaborScraper = require('./nexpart-labor-scraper.js');
+        laborGuide.laborScraper = new NexpartLaborScraper(process.env.NEXPART_USERNAME, process.env.NEXPART_PASSWORD);
     } catch (error) {
-        console.error('❌ Error fetching technicians:', error);
-        res.status(500).json({ error: 'Failed to fetch technicians' });
+        console.warn('⚠️ Nexpart labor scraper unavailable for labor guide imports:', error.message);
     }
+}
+registerLaborGuideEndpoints(app, laborGuide);
+
+// Estimate builder and canned jobs (registered before the /api/estimates/:id routes below)
+const EstimateEngine = require('./estimate-engine.js');
+const registerEstimateEndpoints = require('./estimate-endpoints.js');
+const { taxRate, laborRate, diagnosticFee } = shopSettingsService.getSettings();
+const estimateEngine = new EstimateEngine({ settings: { taxRate, laborRate, diagnosticFee }, laborGuide });
+const { EstimateApprovalService } = require('./estimate-approval-service.js');
+const estimateApproval = new EstimateApprovalService(workOrderRepository);
+registerEstimateEndpoints(app, estimateEngine, workOrderRepository, estimateApproval);
+registerIntakeEndpoints(app, shopSettingsService, workOrderRepository, estimateApproval);
+
+// Signed links for customers to approve estimates online
+const { EstimateApprovalLinkService } = require('./estimate-approval-link-service.js');
+const registerEstimateApprovalLinkEndpoints = require('./estimate-approval-link-endpoints.js');
+const { sendGridApiKey, sendGridFromEmail, sendGridFromName, shopName } = shopSettingsService.getSettings();
+const approvalLinks = new EstimateApprovalLinkService({
+    estimateApproval,
+    workOrderRepository,
+    emailSettings: { apiKey: sendGridApiKey, fromEmail: sendGridFromEmail, fromName: sendGridFromName || shopName }
+});
+registerEstimateApprovalLinkEndpoints(app, approvalLinks);
+
+console.log('✅ Work order, vehicle, intake, labor guide, estimate and approval link endpoints registered');
+
+// ==================== VAPI CALL LIFECYCLE ====================
+const { getVAPIClient } = require('./vapi-client.js');
+const registerVAPIEndpoints = require('./vapi-endpoints.js');
+const vapiClient = getVAPIClient();
+registerVAPIEndpoints(app, vapiClient, {
+    workOrderRepository,
+    vehicleRepository,
+    estimateApproval,
+    laborGuide,
+    estimateEngine,
+    defaultShopId: DEFAULT_SHOP_ID
+});
+
+console.log('✅ VAPI webhook endpoints registered');
+
+// ==================== PARTS SEARCH ====================
+// One parts query fanned out to every configured supplier, merged into one quote list
+const VAPIPartsCallingService = require('./vapi-parts-calling.js');
+const { PartsSearchAggregator } = require('./parts-search-aggregator.js');
+const { NexpartApiAdapter, NexpartScraperAdapter, PhoneQuoteAdapter, ManualQuoteAdapter } = require('./parts-supplier-adapters.js');
+const registerPartsSearchEndpoints = require('./parts-search-endpoints.js');
+const { QuoteScoringEngine } = require('./quote-scoring-engine.js');
+const registerQuoteScoringEndpoints = require('./quote-scoring-endpoints.js');
+const { PartsStoreDirectory } = require('./parts-store-directory.js');
+const registerPartsStoreEndpoints = require('./parts-store-endpoints.js');
+
+// Each shop's parts stores, shared by calling, ordering, scoring and purchase orders
+const partsStores = new PartsStoreDirectory();
+
+const partsCallingService = new VAPIPartsCallingService({ vapiClient, directory: partsStores });
+const manualPartQuotes = new ManualQuoteAdapter();
+const partsSearch = new PartsSearchAggregator({
+    adapters: [new PhoneQuoteAdapter(partsCallingService), manualPartQuotes],
+    directory: partsStores
 });
 
-// Add technician
-app.post('/api/technicians', async (req, res) => {
+// Shared by parts search, purchase orders and labor guide imports
+let nexpartApi = null;
+
+if (process.env.NEXPART_ACCOUNT && process.env.NEXPART_PASSWORD) {
     try {
-        const tech = {
-            ...req.body,
-            createdAt: new Date().toISOString()
-        };
-        const ref = await techniciansRef.push(tech);
-        const result = { id: ref.key, ...tech };
-        res.json({ success: true, technician: result });
+        const NexpartApiService = require('./nexpart-api-service.js');
+        nexpartApi = new NexpartApiService();
+        partsSearch.register(new NexpartApiAdapter(nexpartApi));
+        laborGuide.nexpartApi = nexpartApi;
     } catch (error) {
-        console.error('❌ Error creating technician:', error);
-        res.status(500).json({ error: 'Failed to create technician' });
+        console.warn('⚠️ Nexpart API unavailable for parts search:', error.message);
     }
-});
+}
 
-// Update technician
-app.put('/api/technicians/:id', (req, res) => {
-    const index = technicians.findIndex(t => t.id === req.params.id);
-    if (index !== -1) {
-        technicians[index] = { ...technicians[index], ...req.body };
-        res.json({ success: true, technician: technicians[index] });
-    } else {
-        res.status(404).json({ error: 'Technician not found' });
+if (process.env.NEXPART_USERNAME && process.env.NEXPART_PASSWORD) {
+    try {
+        const NexpartScraper = require('./nexpart-scraper.js');
+        partsSearch.register(new NexpartScraperAdapter(new NexpartScraper(process.env.NEXPART_USERNAME, process.env.NEXPART_PASSWORD)));
+    } catch (error) {
+        console.warn('⚠️ Nexpart website search unavailable for parts search:', error.message);
     }
-});
+}
 
-// Delete technician
-app.delete('/api/technicians/:id', (req, res) => {
-    const index = technicians.findIndex(t => t.id === req.params.id);
-    if (index !== -1) {
-        technicians.splice(index, 1);
-        res.json({ success: true });
-    } else {
-        res.status(404).json({ error: 'Technician not found' });
+const quoteScoring = new QuoteScoringEngine({ directory: partsStores });
+
+registerPartsStoreEndpoints(app, partsStores);
+registerPartsSearchEndpoints(app, partsSearch, manualPartQuotes);
+registerQuoteScoringEndpoints(app, quoteScoring);
+
+console.log('✅ Parts store directory and parts search endpoints registered');
+
+// ==================== PRICE CHECK CAMPAIGNS ====================
+// ALEX calls several stores at once for a job's parts and ranks what they quote
+const { PriceCheckCampaignService } = require('./price-check-campaign-service.js');
+const registerPriceCheckEndpoints = require('./price-check-endpoints.js');
+
+const priceChecks = new PriceCheckCampaignService({
+    calling: partsCallingService,
+    directory: partsStores,
+    scoringEngine: quoteScoring,
+    estimateEngine
+});
+registerPriceCheckEndpoints(app, priceChecks);
+
+console.log('✅ Price check (ALEX workflow) endpoints registered');
+
+// ==================== INVENTORY ====================
+// On-shelf parts and fluids: stock movements, physical counts and low-stock alerts
+const { InventoryService } = require('./inventory-service.js');
+const TechWorkflowService = require('./tech-workflow-service.js');
+const { TechnicianService } = require('./technician-service.js');
+const { TimeClockService } = require('./time-clock-service.js');
+const ReportingService = require('./reporting-service.js');
+const registerInventoryEndpoints = require('./inventory-endpoints.js');
+
+const inventory = new InventoryService();
+// Technician profiles, job clock and assignment (endpoints registered below)
+const technicians = new TechnicianService({ workOrders: workOrderRepository, laborGuide });
+// Shifts, job clock and flagged hours (endpoints registered below)
+const timeClock = new TimeClockService({ workOrders: workOrderRepository, technicians });
+// Technician parts requests are filled from stock before anything is ordered
+const techWorkflow = new TechWorkflowService(workOrderRepository, inventory, technicians, timeClock);
+registerInventoryEndpoints(app, inventory, techWorkflow, new ReportingService({ timeClock }));
+
+console.log('✅ Inventory endpoints registered');
+
+// ==================== PURCHASE ORDERS ====================
+// Parts orders for work order lines: sent by Nexpart API, ALEX phone call or email, then received
+const VAPIPartsOrderingService = require('./vapi-parts-ordering.js');
+const { PurchaseOrderService } = require('./purchase-order-service.js');
+const registerPurchaseOrderEndpoints = require('./purchase-order-endpoints.js');
+const { PartsReturnService } = require('./parts-return-service.js');
+const registerPartsReturnEndpoints = require('./parts-return-endpoints.js');
+
+let purchaseOrderEmail = null;
+if (process.env.SENDGRID_API_KEY) {
+    try {
+        const EmailService = require('./email-service-updated.js');
+        purchaseOrderEmail = new EmailService(process.env.SENDGRID_API_KEY);
+        purchaseOrderEmail.initialize();
+    } catch (error) {
+        console.warn('⚠️ Email unavailable for purchase orders:', error.message);
+        purchaseOrderEmail = null;
     }
+}
+
+// Cores owed and returns waiting on supplier credit
+const partsReturns = new PartsReturnService({ directory: partsStores });
+
+const purchaseOrders = new PurchaseOrderService({
+    workOrders: workOrderRepository,
+    nexpartApi,
+    ordering: new VAPIPartsOrderingService({ vapiClient, directory: partsStores }),
+    emailService: purchaseOrderEmail,
+    returns: partsReturns,
+    directory: partsStores,
+    inventory
 });
+registerPurchaseOrderEndpoints(app, purchaseOrders);
+registerPartsReturnEndpoints(app, partsReturns);
+
+console.log('✅ Purchase order and parts return endpoints registered');
+
+// ==================== TECHNICIAN MANAGEMENT ENDPOINTS ====================
+// Profiles, skill ratings, certifications, job hours and work order assignment
+const registerTechnicianEndpoints = require('./technician-endpoints.js');
+// Punches, breaks, clocking on and off jobs, flagged hours, efficiency and payroll
+const registerTimeClockEndpoints = require('./time-clock-endpoints.js');
+
+registerTechnicianEndpoints(app, technicians, techWorkflow);
+registerTimeClockEndpoints(app, timeClock);
+
+console.log('✅ Technician and time clock endpoints registered');
 
 // ==================== VEHICLE DROP-OFF ENDPOINTS ====================
+// Drop-offs are work orders with source 'drop-off'
 
 // Get all drop-offs
 app.get('/api/dropoffs', async (req, res) => {
     try {
-        const snapshot = await dropoffsRef.once('value');
-        const data = snapshot.val() || {};
-        const dropoffList = Object.keys(data).map(key => ({ id: key, ...data[key] }));
+        const dropoffList = await workOrderRepository.list(req.shop.id, { source: 'drop-off' });
         res.json({ dropoffs: dropoffList });
     } catch (error) {
         console.error('❌ Error fetching dropoffs:', error);
@@ -150,37 +340,42 @@ app.get('/api/dropoffs', async (req, res) => {
 // Add drop-off
 app.post('/api/dropoffs', async (req, res) => {
     try {
-        const dropoff = {
-            ...req.body,
-            status: 'pending',
-            createdAt: new Date().toISOString()
-        };
-        const ref = await dropoffsRef.push(dropoff);
-        const result = { id: ref.key, ...dropoff };
+        const { status, ...dropoff } = req.body;
+        const result = await workOrderRepository.create(req.shop.id, {
+            ...dropoff,
+            source: 'drop-off',
+            createdBy: dropoff.createdBy || 'Customer'
+        });
         res.json({ success: true, dropoff: result });
     } catch (error) {
         console.error('❌ Error creating dropoff:', error);
-        res.status(500).json({ error: 'Failed to create dropoff' });
+        sendWorkOrderError(res, error);
     }
 });
 
-// Update drop-off
+// Update drop-off (a status in the body moves it through the work order flow)
 app.put('/api/dropoffs/:id', async (req, res) => {
     try {
-        await dropoffsRef.child(req.params.id).update(req.body);
-        const snapshot = await dropoffsRef.child(req.params.id).once('value');
-        const dropoff = { id: req.params.id, ...snapshot.val() };
+        const { status, ...updates } = req.body;
+        let dropoff;
+
+        if (status) {
+            dropoff = await workOrderRepository.transition(req.shop.id, req.params.id, status, { updates });
+        } else {
+            dropoff = await workOrderRepository.update(req.shop.id, req.params.id, updates);
+        }
+
         res.json({ success: true, dropoff });
     } catch (error) {
         console.error('❌ Error updating dropoff:', error);
-        res.status(500).json({ error: 'Failed to update dropoff' });
+        sendWorkOrderError(res, error);
     }
 });
 
 // Delete drop-off
 app.delete('/api/dropoffs/:id', async (req, res) => {
     try {
-        await dropoffsRef.child(req.params.id).remove();
+        await workOrderRepository.delete(req.shop.id, req.params.id);
         res.json({ success: true });
     } catch (error) {
         console.error('❌ Error deleting dropoff:', error);
@@ -188,40 +383,13 @@ app.delete('/api/dropoffs/:id', async (req, res) => {
     }
 });
 
-// ==================== JOB ASSIGNMENT ENDPOINTS ====================
-
-// Assign technician to job
-app.post('/api/jobs/assign', async (req, res) => {
-    try {
-        const { jobId, technicianId } = req.body;
-        
-        // Update drop-off if jobId is a drop-off
-        const dropoffSnapshot = await dropoffsRef.child(jobId).once('value');
-        if (dropoffSnapshot.exists()) {
-            await dropoffsRef.child(jobId).update({
-                assignedTechnicianId: technicianId,
-                status: 'assigned',
-                assignedAt: new Date().toISOString()
-            });
-            const updated = await dropoffsRef.child(jobId).once('value');
-            return res.json({ success: true, dropoff: { id: jobId, ...updated.val() } });
-        }
-        
-        res.status(404).json({ error: 'Job not found' });
-    } catch (error) {
-        console.error('❌ Error assigning job:', error);
-        res.status(500).json({ error: 'Failed to assign job' });
-    }
-});
-
 // ==================== APPOINTMENT ENDPOINTS ====================
 
 // Get all appointments
 app.get('/api/appointments', async (req, res) => {
     try {
-        const snapshot = await appointmentsRef.once('value');
-        const data = snapshot.val() || {};
-        const appointmentList = Object.keys(data).map(key => ({ id: key, ...data[key] }));
+        const snapshot = await req.shop.collection('appointments').get();
+        const appointmentList = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
         res.json({ appointments: appointmentList });
     } catch (error) {
         console.error('❌ Error fetching appointments:', error);
@@ -236,8 +404,8 @@ app.post('/api/appointments', async (req, res) => {
             ...req.body,
             createdAt: new Date().toISOString()
         };
-        const ref = await appointmentsRef.push(appointment);
-        const result = { id: ref.key, ...appointment };
+        const ref = await req.shop.collection('appointments').add(appointment);
+        const result = { id: ref.id, ...appointment };
         res.json({ success: true, appointment: result });
     } catch (error) {
         console.error('❌ Error creating appointment:', error);
@@ -248,9 +416,11 @@ app.post('/api/appointments', async (req, res) => {
 // Update appointment
 app.put('/api/appointments/:id', async (req, res) => {
     try {
-        await appointmentsRef.child(req.params.id).update(req.body);
-        const snapshot = await appointmentsRef.child(req.params.id).once('value');
-        const appointment = { id: req.params.id, ...snapshot.val() };
+        const ref = req.shop.document('appointments', req.params.id);
+        const { id, ...updates } = req.body;
+        await ref.set(updates, { merge: true });
+        const doc = await ref.get();
+        const appointment = { id: req.params.id, ...doc.data() };
         res.json({ success: true, appointment });
     } catch (error) {
         console.error('❌ Error updating appointment:', error);
@@ -259,13 +429,24 @@ app.put('/api/appointments/:id', async (req, res) => {
 });
 
 // ==================== ESTIMATE ENDPOINTS ====================
+// Estimates live on their work order; the estimate ID is the work order ID
+
+function toEstimate(workOrder) {
+    return {
+        ...workOrder.estimate,
+        id: workOrder.id,
+        workOrderId: workOrder.id,
+        customer: workOrder.customer,
+        vehicle: workOrder.vehicle,
+        status: workOrder.status
+    };
+}
 
 // Get all estimates
 app.get('/api/estimates', async (req, res) => {
     try {
-        const snapshot = await estimatesRef.once('value');
-        const data = snapshot.val() || {};
-        const estimateList = Object.keys(data).map(key => ({ id: key, ...data[key] }));
+        const workOrders = await workOrderRepository.list(req.shop.id);
+        const estimateList = workOrders.filter(wo => wo.estimate).map(toEstimate);
         res.json({ estimates: estimateList });
     } catch (error) {
         console.error('❌ Error fetching estimates:', error);
@@ -273,32 +454,60 @@ app.get('/api/estimates', async (req, res) => {
     }
 });
 
-// Add estimate
+// Add estimate (to an existing work order, or a new one from the estimate's customer/vehicle)
 app.post('/api/estimates', async (req, res) => {
     try {
-        const estimate = {
-            ...req.body,
+        const { workOrderId, customer, vehicle, ...estimate } = req.body;
+        let targetId = workOrderId;
+
+        if (!targetId) {
+            const workOrder = await workOrderRepository.create(req.shop.id, {
+                source: 'estimate',
+                customer: customer || {},
+                vehicle: vehicle || {}
+            });
+            targetId = workOrder.id;
+        }
+
+        const workOrder = await workOrderRepository.attachEstimate(req.shop.id, targetId, {
+            ...estimate,
             createdAt: new Date().toISOString()
-        };
-        const ref = await estimatesRef.push(estimate);
-        const result = { id: ref.key, ...estimate };
-        res.json({ success: true, estimate: result });
+        });
+        res.json({ success: true, estimate: toEstimate(workOrder) });
     } catch (error) {
         console.error('❌ Error creating estimate:', error);
-        res.status(500).json({ error: 'Failed to create estimate' });
+        sendWorkOrderError(res, error);
     }
 });
 
-// Update estimate
+// Update estimate (status 'approved' approves every undecided line; per-line
+// decisions go through POST /api/work-orders/:id/estimate/approval)
 app.put('/api/estimates/:id', async (req, res) => {
     try {
-        await estimatesRef.child(req.params.id).update(req.body);
-        const snapshot = await estimatesRef.child(req.params.id).once('value');
-        const estimate = { id: req.params.id, ...snapshot.val() };
-        res.json({ success: true, estimate });
+        const { status, id, workOrderId, customer, vehicle, channel, approvedBy, ...changes } = req.body;
+        const current = await workOrderRepository.get(req.shop.id, req.params.id);
+        const estimate = { ...current.estimate, ...changes, updatedAt: new Date().toISOString() };
+
+        let workOrder;
+        if (WorkOrderRepository.normalizeStatus(status) === 'approved' && current.status === 'estimate') {
+            await workOrderRepository.update(req.shop.id, req.params.id, { estimate });
+            workOrder = await estimateApproval.recordDecisions(req.shop.id, req.params.id, {
+                approveAll: true,
+                approvedBy: approvedBy || req.shop.email || 'customer',
+                channel: channel || 'in_person'
+            });
+        } else if (status && WorkOrderRepository.normalizeStatus(status) !== current.status) {
+            workOrder = await workOrderRepository.transition(req.shop.id, req.params.id, status, {
+                updates: { estimate }
+            });
+        } else {
+            workOrder = await workOrderRepository.update(req.shop.id, req.params.id, { estimate });
+        }
+
+        res.json({ success: true, estimate: toEstimate(workOrder) });
     } catch (error) {
         console.error('❌ Error updating estimate:', error);
-        res.status(500).json({ error: 'Failed to update estimate' });
+        sendWorkOrderError(res, error);
     }
 });
 
@@ -351,16 +560,39 @@ app.post('/api/decode-license-plate', async (req, res) => {
 
 // ==================== HEALTH CHECK ====================
 
-app.get('/api/health', (req, res) => {
-    res.json({ 
-        status: 'ok',
-        message: 'VHICL Pro Backend Running',
-        data: {
-            technicians: technicians.length,
-            dropoffs: dropoffs.length,
-            appointments: appointments.length,
-            estimates: estimates.length
-        }
+app.get('/api/health', async (req, res) => {
+    try {
+        const count = async (collectionName) =>
+            (await ShopRouter.getShopCollection(DEFAULT_SHOP_ID, collectionName).get()).size;
+        const workOrders = await workOrderRepository.list(DEFAULT_SHOP_ID);
+
+        res.json({ 
+            status: 'ok',
+            message: 'VHICL Pro Backend Running',
+            storage: ShopRouter.getStorage().backend,
+            nexpart: NexpartSessionPool.getAllHealth(),
+            data: {
+                technicians: await count('technicians'),
+                dropoffs: workOrders.filter(wo => wo.source === 'drop-off').length,
+                appointments: await count('appointments'),
+                estimates: workOrders.filter(wo => wo.estimate).length
+            }
+        });
+    } catch (error) {
+        console.error('❌ Health check storage error:', error);
+        res.status(503).json({ status: 'degraded', message: 'Storage unavailable', error: error.message });
+    }
+});
+
+/**
+ * GET /api/nexpart/health
+ * Session pools plus which selector in each profile list last matched
+ * ("fallback" = primary selector no longer matches, "missing" = none did)
+ */
+app.get('/api/nexpart/health', (req, res) => {
+    res.json({
+        pools: NexpartSessionPool.getAllHealth(),
+        selectors: SelectorProfile.shared('nexpart').getHealth()
     });
 });
 
@@ -413,21 +645,23 @@ app.post('/api/vapi/call', async (req, res) => {
             });
         }
 
-        // Simulate VAPI call (in production, this would make actual API call to VAPI)
-        const callResult = {
-            success: true,
-            callId: `call_${Date.now()}`,
-            phoneNumber: phoneNumber,
-            script: script,
-            voice: voice || 'rachel',
-            type: type,
-            status: 'initiated',
-            timestamp: new Date().toISOString(),
-            message: `📞 Call initiated to ${phoneNumber} using ${voice} voice`
-        };
+        const call = await vapiClient.createCall({
+            phoneNumber,
+            script,
+            voice,
+            type: type || 'general',
+            shopId: req.shop.id
+        });
 
-        console.log('VAPI Call Details:', callResult);
-        res.json(callResult);
+        res.json({
+            success: true,
+            callId: call.id,
+            phoneNumber: call.phoneNumber,
+            type: call.type,
+            status: call.status,
+            timestamp: call.createdAt,
+            message: `📞 Call queued to ${phoneNumber}`
+        });
     } catch (error) {
         console.error('VAPI call error:', error);
         res.status(500).json({ 
@@ -845,5 +1079,5 @@ app.listen(PORT, () => {
     console.log(`📱 Dashboard: http://localhost:${PORT}`);
     console.log(`👨‍🔧 Tech Management: http://localhost:${PORT}/tech-management.html`);
     console.log(`🚗 Drop-offs: http://localhost:${PORT}/vehicle-dropoff-manager.html`);
-    console.log(`\n📊 Data stored in memory (no database required)\n`);
+    console.log(`\n📊 Data storage: ${ShopRouter.getStorage().backend}\n`);
 });
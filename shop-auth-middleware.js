@@ -0,0 +1,331 @@
+/**
+ * Shop Auth Middleware
+ * Resolves the shop and role for each API request from a verified Firebase ID
+ * token (ShopAuth.verifyToken), injects req.shop and enforces role permissions
+ *
+ * Handlers read the shop from req.shop, never from the request, so one shop's
+ * staff cannot reach another shop's data. req.shop.scope(service) binds the
+ * shop ID to every call of an existing service (all take shopId first).
+ */
+
+const { ShopAuth, ShopRouter, auth } = require('./firebase-config');
+
+const SHOP_ROLES = ['owner', 'advisor', 'tech', 'front_desk'];
+
+// Role claims set by ShopAuth.createStaffAccount, mapped onto shop roles
+const ROLE_ALIASES = {
+  owner: 'owner',
+  admin: 'owner',
+  advisor: 'advisor',
+  service_advisor: 'advisor',
+  parts_manager: 'advisor',
+  tech: 'tech',
+  technician: 'tech',
+  front_desk: 'front_desk',
+  frontdesk: 'front_desk',
+  receptionist: 'front_desk'
+};
+
+// Per-route permissions, first match wins. Owners can always access everything.
+const ROUTE_PERMISSIONS = [
+  { path: /^\/api\/technicians\/[^/]+\/jobs\/[^/]+\/(start|complete)$/, roles: ['advisor', 'tech'] },
+  { path: '/api/technicians', methods: ['GET'], roles: SHOP_ROLES },
+  { path: '/api/technicians', roles: ['owner'] },
+  { path: /^\/api\/time-clock\/technicians\/[^/]+\/(punch-in|punch-out|breaks\/(start|end)|jobs\/[^/]+\/clock-(on|off))$/, roles: ['advisor', 'tech'] },
+  { path: '/api/time-clock/technicians', methods: ['GET'], roles: ['advisor', 'tech'] },
+  { path: '/api/time-clock/payroll', roles: ['owner'] },
+  { path: '/api/time-clock/shifts', roles: ['owner'] },
+  { path: '/api/time-clock', roles: ['advisor'] },
+  { path: '/api/admin', roles: ['owner'] },
+  { path: /^\/api\/work-orders\/[^/]+\/transition$/, roles: ['advisor', 'tech'] },
+  { path: /^\/api\/work-orders\/[^/]+\/estimate\/approval$/, roles: ['advisor', 'front_desk'] },
+  { path: /^\/api\/work-orders\/[^/]+\/estimate/, roles: ['advisor'] },
+  { path: '/api/work-orders', methods: ['GET'], roles: SHOP_ROLES },
+  { path: '/api/work-orders', methods: ['DELETE'], roles: ['owner'] },
+  { path: '/api/work-orders', roles: ['advisor', 'front_desk'] },
+  { path: /^\/api\/vehicles\/[^/]+\/(assessments|mileage)$/, roles: ['advisor', 'tech', 'front_desk'] },
+  { path: /^\/api\/vehicles\/[^/]+\/merge$/, roles: ['advisor'] },
+  { path: '/api/vehicles/decode-vin', roles: SHOP_ROLES },
+  { path: '/api/vehicles', methods: ['GET'], roles: SHOP_ROLES },
+  { path: '/api/vehicles', roles: ['advisor', 'front_desk'] },
+  { path: '/api/dropoffs', methods: ['GET'], roles: SHOP_ROLES },
+  { path: '/api/dropoffs', methods: ['DELETE'], roles: ['advisor'] },
+  { path: '/api/dropoffs', roles: ['advisor', 'front_desk'] },
+  { path: '/api/jobs/assign', roles: ['advisor'] },
+  { path: /^\/api\/jobs\/[^/]+\/technician-recommendations$/, roles: ['advisor'] },
+  { path: '/api/appointments', roles: ['advisor', 'front_desk'] },
+  { path: '/api/intake', roles: ['advisor', 'front_desk'] },
+  { path: /^\/api\/purchase-orders\/[^/]+\/(receive|returns)$/, roles: ['advisor', 'tech'] },
+  { path: '/api/purchase-orders', methods: ['GET'], roles: ['advisor', 'tech', 'front_desk'] },
+  { path: '/api/purchase-orders', roles: ['advisor'] },
+  { path: /^\/api\/part-returns\/[^/]+\/returned$/, roles: ['advisor', 'tech', 'front_desk'] },
+  { path: '/api/part-returns', methods: ['GET'], roles: ['advisor', 'tech', 'front_desk'] },
+  { path: '/api/part-returns', roles: ['advisor'] },
+  { path: /^\/api\/inventory\/(parts-requests|counts|[^/]+\/(issue|return))$/, roles: ['advisor', 'tech'] },
+  { path: '/api/inventory', methods: ['GET'], roles: ['advisor', 'tech', 'front_desk'] },
+  { path: '/api/inventory', roles: ['advisor'] },
+  { path: '/api/labor', methods: ['GET'], roles: SHOP_ROLES },
+  { path: '/api/labor', roles: ['owner'] },
+  { path: '/api/parts/scoring', methods: ['PUT'], roles: ['owner'] },
+  { path: '/api/alex/workflow', roles: ['advisor', 'front_desk'] },
+  { path: '/api/parts/stores', methods: ['POST', 'PUT', 'DELETE'], roles: ['advisor'] },
+  { path: '/api/parts/quotes', methods: ['DELETE'], roles: ['advisor'] },
+  { path: '/api/parts', roles: ['advisor', 'tech'] },
+  { path: '/api/estimates/settings', methods: ['PUT'], roles: ['owner'] },
+  { path: '/api/estimates', methods: ['GET'], roles: ['advisor', 'front_desk'] },
+  { path: '/api/estimates', roles: ['advisor'] },
+  { path: '/api/canned-jobs', methods: ['GET'], roles: SHOP_ROLES },
+  { path: '/api/canned-jobs', roles: ['advisor'] },
+  { path: '/api/social', roles: ['advisor'] },
+  { path: '/api/email', roles: ['advisor', 'front_desk'] },
+  { path: '/api/vapi', roles: ['advisor', 'front_desk'] },
+  { path: '/api', roles: SHOP_ROLES }
+];
+
+// Called by VAPI/ALEX or customers rather than shop staff; these check their own
+// secrets or signed tokens
+const PUBLIC_PATHS = [
+  '/api/health',
+  '/api/vapi/webhook',
+  '/api/vapi/directory',
+  '/api/vapi/check-vehicle-status',
+  '/api/vapi/approve-estimate',
+  '/api/vapi/approve-work',
+  '/api/vapi/get-labor-time',
+  '/api/vapi/get-estimate',
+  '/api/estimate-approval'
+];
+
+// Without Firebase Auth, requests from this machine may run as the default shop's
+// owner when SHOP_AUTH_DEV_OWNER=true (local development only)
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+const FORWARDED_HEADERS = ['x-forwarded-for', 'x-real-ip', 'forwarded'];
+
+let warnedSingleShop = false;
+
+/**
+ * Map a role claim onto a shop role
+ * @param {string} role - Role claim
+ * @returns {string|null}
+ */
+function normalizeRole(role) {
+  return ROLE_ALIASES[String(role || '').toLowerCase()] || null;
+}
+
+/**
+ * Bind a shop ID to every method of a service that takes shopId first
+ * @param {object} service - Service instance (e.g. WorkOrderRepository)
+ * @param {string} shopId - Shop ID
+ * @returns {object}
+ */
+function scopeService(service, shopId) {
+  return new Proxy(service, {
+    get(target, property) {
+      const value = target[property];
+      if (typeof value !== 'function') {
+        return value;
+      }
+      return (...args) => value.call(target, shopId, ...args);
+    }
+  });
+}
+
+/**
+ * Build the req.shop context
+ * @param {object} identity - { shopId, role, uid, email }
+ * @returns {object}
+ */
+function createShopContext({ shopId, role, uid, email }) {
+  return {
+    id: shopId,
+    role,
+    uid,
+    email,
+    collection: (collectionName) => ShopRouter.getShopCollection(shopId, collectionName),
+    document: (collectionName, documentId) => ShopRouter.getShopDocument(shopId, collectionName, documentId),
+    scope: (service) => scopeService(service, shopId),
+    hasRole: (...roles) => role === 'owner' || roles.includes(role)
+  };
+}
+
+/**
+ * The authenticated shop's ID. Handlers never take the shop from the request,
+ * so a route reached without authenticateShop fails instead of guessing
+ * @param {object} req - Express request
+ * @returns {string}
+ */
+function getShopId(req) {
+  if (!req.shop?.id) {
+    throw new Error('No authenticated shop for this request');
+  }
+  return req.shop.id;
+}
+
+function matchesPath(pattern, requestPath) {
+  if (pattern instanceof RegExp) {
+    return pattern.test(requestPath);
+  }
+  return requestPath === pattern || requestPath.startsWith(`${pattern}/`);
+}
+
+/**
+ * The request path as the rule tables see it. Express routes case-insensitively,
+ * so /API/Admin reaches the /api/admin handlers and must match their rules too
+ */
+function getRequestPath(req) {
+  return `${req.baseUrl || ''}${req.path}`.toLowerCase();
+}
+
+/**
+ * A request made directly from this machine, not relayed by a proxy
+ */
+function isLocalRequest(req) {
+  return LOOPBACK_ADDRESSES.includes(req.socket?.remoteAddress) &&
+    !FORWARDED_HEADERS.some(header => req.headers[header]);
+}
+
+/**
+ * Shop IDs a caller asked for explicitly (query, body or header)
+ */
+function getRequestedShopIds(req) {
+  return [
+    req.query?.shopId,
+    req.body && typeof req.body === 'object' ? req.body.shopId : undefined,
+    req.headers['x-shop-id']
+  ].filter(Boolean);
+}
+
+/**
+ * Authenticate the request and inject req.shop
+ *
+ * Without Firebase Auth configured every request is refused, except that with
+ * SHOP_AUTH_DEV_OWNER=true requests from localhost run as the owner of
+ * defaultShopId (local development).
+ *
+ * @param {object} options - { defaultShopId, publicPaths, devOwner }
+ * @returns {Function} Express middleware
+ */
+function authenticateShop(options = {}) {
+  const defaultShopId = options.defaultShopId || process.env.DEFAULT_SHOP_ID || 'default';
+  const publicPaths = options.publicPaths || PUBLIC_PATHS;
+  const devOwner = options.devOwner ?? process.env.SHOP_AUTH_DEV_OWNER === 'true';
+
+  if (!auth && !warnedSingleShop) {
+    console.warn(devOwner
+      ? `⚠️ Firebase Auth not configured - localhost requests run as owner of shop '${defaultShopId}' (SHOP_AUTH_DEV_OWNER), all others are refused`
+      : '⚠️ Firebase Auth not configured - API requests will be refused (set SHOP_AUTH_DEV_OWNER=true for local development)');
+    warnedSingleShop = true;
+  }
+
+  return async (req, res, next) => {
+    if (publicPaths.some(pattern => matchesPath(pattern, getRequestPath(req)))) {
+      return next();
+    }
+
+    if (!auth) {
+      if (!devOwner || !isLocalRequest(req)) {
+        return res.status(503).json({ success: false, error: 'Authentication is not configured' });
+      }
+
+      req.shop = createShopContext({ shopId: defaultShopId, role: 'owner', uid: 'local', email: null });
+      return next();
+    }
+
+    const header = req.headers.authorization || '';
+    const idToken = header.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : null;
+
+    if (!idToken) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+
+    let identity;
+    try {
+      identity = await ShopAuth.verifyToken(idToken);
+    } catch (error) {
+      return res.status(401).json({ success: false, error: 'Invalid or expired token' });
+    }
+
+    const role = normalizeRole(identity.role);
+    if (!role) {
+      return res.status(403).json({ success: false, error: `Unknown role: ${identity.role}` });
+    }
+
+    if (identity.shopActive === false || !(await ShopRouter.verifyShop(identity.shopId))) {
+      return res.status(403).json({ success: false, error: 'Shop is not active' });
+    }
+
+    if (getRequestedShopIds(req).some(shopId => shopId !== identity.shopId)) {
+      console.warn(`⚠️ Cross-shop request blocked: ${identity.uid} (${identity.shopId}) → ${getRequestPath(req)}`);
+      return res.status(403).json({ success: false, error: 'Access to another shop is not allowed' });
+    }
+
+    req.shop = createShopContext({
+      shopId: identity.shopId,
+      role,
+      uid: identity.uid,
+      email: identity.email
+    });
+
+    next();
+  };
+}
+
+/**
+ * Only allow the given roles (owners are always allowed)
+ * @param {...string} roles - Shop roles
+ * @returns {Function} Express middleware
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.shop) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+
+    if (!req.shop.hasRole(...roles)) {
+      return res.status(403).json({
+        success: false,
+        error: `Role '${req.shop.role}' cannot access this resource`,
+        allowedRoles: ['owner', ...roles]
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Apply the per-route permission table to authenticated requests
+ * @param {Array} permissions - Rules { path, methods, roles }
+ * @returns {Function} Express middleware
+ */
+function enforceRoutePermissions(permissions = ROUTE_PERMISSIONS) {
+  return (req, res, next) => {
+    if (!req.shop) {
+      return next();
+    }
+
+    const requestPath = getRequestPath(req);
+    const rule = permissions.find(entry =>
+      matchesPath(entry.path, requestPath) &&
+      (!entry.methods || entry.methods.includes(req.method))
+    );
+
+    if (!rule) {
+      return next();
+    }
+
+    return requireRole(...rule.roles)(req, res, next);
+  };
+}
+
+module.exports = {
+  authenticateShop,
+  requireRole,
+  enforceRoutePermissions,
+  getShopId,
+  scopeService,
+  normalizeRole,
+  SHOP_ROLES,
+  ROUTE_PERMISSIONS,
+  PUBLIC_PATHS
+};
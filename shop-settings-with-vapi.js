@@ -5,15 +5,19 @@
  * - Labor rates and multipliers
  * - Parts markup and matrix
  * - API credentials (PayPal, SendGrid, VAPI, Nexpart, Auto Labor)
- * - Parts store directory
+ * - Parts store directory (kept in PartsStoreDirectory, per shop)
  * - Quote and invoice settings
  * - System configuration
  */
 
+const { PartsStoreDirectory } = require('./parts-store-directory.js');
+
 class ShopSettingsService {
     constructor(options = {}) {
         this.settings = options.settings || null;
         this.storage = options.storage || null;
+        this.shopId = options.shopId || 'default';
+        this.directory = options.directory || new PartsStoreDirectory();
         this.defaults = this.getDefaultSettings();
         this.loadSettings();
     }
@@ -73,9 +77,6 @@ class ShopSettingsService {
             vapi: { enabled: false, apiKey: '', phoneId: '', phoneNumber: '' },
             paypal: { enabled: false, mode: 'sandbox', clientId: '', clientSecret: '', webHookId: '' },
             
-            // Parts Store Directory
-            partsStores: [],
-            
             // Quote & Invoice Settings
             quote: {
                 autoIncludeDiagnosticFee: true,
@@ -168,6 +169,9 @@ class ShopSettingsService {
         try {
             if (this.storage) {
                 const data = await this.storage.get('shopSettings');
+                if (data?.partsStores) {
+                    await this.migratePartsStores(data);
+                }
                 if (data) {
                     this.settings = { ...this.defaults, ...data };
                 } else {
@@ -317,49 +321,45 @@ class ShopSettingsService {
         };
     }
 
+    /**
+     * Move a settings-level partsStores list into the shop's store directory
+     */
+    async migratePartsStores(data) {
+        const imported = await this.directory.importStores(this.shopId, data.partsStores);
+        delete data.partsStores;
+        await this.storage.set('shopSettings', data);
+
+        if (imported > 0) {
+            console.log(`🏪 Moved ${imported} parts store(s) from shop settings to the store directory`);
+        }
+    }
+
     /**
      * Get parts stores by priority
      */
-    getPartsStores() {
-        return (this.settings.partsStores || [])
-            .sort((a, b) => (a.priority || 999) - (b.priority || 999));
+    async getPartsStores() {
+        return this.directory.list(this.shopId);
     }
 
     /**
      * Add parts store
      */
-    addPartsStore(store) {
-        const stores = this.settings.partsStores || [];
-        store.id = store.id || `store_${Date.now()}`;
-        store.priority = store.priority || 999;
-        
-        this.settings.partsStores.push(store);
-        
-        return store;
+    async addPartsStore(store) {
+        return this.directory.create(this.shopId, store);
     }
 
     /**
      * Update parts store
      */
-    updatePartsStore(storeId, updates) {
-        const stores = this.settings.partsStores || [];
-        const index = stores.findIndex(s => s.id === storeId);
-        
-        if (index !== -1) {
-            stores[index] = { ...stores[index], ...updates };
-            return stores[index];
-        }
-        
-        return null;
+    async updatePartsStore(storeId, updates) {
+        return this.directory.update(this.shopId, storeId, updates);
     }
 
     /**
      * Delete parts store
      */
-    deletePartsStore(storeId) {
-        this.settings.partsStores = (this.settings.partsStores || [])
-            .filter(s => s.id !== storeId);
-        
+    async deletePartsStore(storeId) {
+        await this.directory.remove(this.shopId, storeId);
         return true;
     }
 
@@ -0,0 +1,95 @@
+/**
+ * Shop Time
+ * Calendar days in the shop's time zone (SHOP_TIMEZONE). Shifts, job time
+ * and flagged hours are filed by these days, so evening work stays on the
+ * day it was done instead of rolling over to the next UTC day.
+ */
+
+const SHOP_TIMEZONE = process.env.SHOP_TIMEZONE || 'America/New_York';
+
+/**
+ * The shop's calendar day for a moment
+ * @param {Date|string|number} date - Moment (default now)
+ * @param {string} timeZone - IANA time zone (default SHOP_TIMEZONE)
+ * @returns {string} YYYY-MM-DD
+ */
+function dateKey(date = new Date(), timeZone = SHOP_TIMEZONE) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(new Date(date)).map(part => [part.type, part.value]));
+
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * A calendar day some days before or after another
+ * @param {string} key - YYYY-MM-DD
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(key, days) {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * How far the time zone's clock is ahead of UTC at a moment, in ms
+ */
+function zoneOffset(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).map(part => [part.type, Number(part.value)]));
+
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The moment a shop calendar day starts
+ * @param {string} key - YYYY-MM-DD
+ * @param {string} timeZone - IANA time zone (default SHOP_TIMEZONE)
+ * @returns {Date}
+ */
+function startOfDay(key, timeZone = SHOP_TIMEZONE) {
+  const [year, month, day] = key.split('-').map(Number);
+  const midnightUTC = Date.UTC(year, month - 1, day);
+  // Second pass settles days where the offset changes between UTC and local midnight
+  const guess = midnightUTC - zoneOffset(new Date(midnightUTC), timeZone);
+  return new Date(midnightUTC - zoneOffset(new Date(guess), timeZone));
+}
+
+/**
+ * First and last shop calendar day of a reporting period, up to today
+ * @param {string} period - day | week (the last 7 days) | month | year
+ * @param {Date} now - Moment the period runs up to (default now)
+ * @param {string} timeZone - IANA time zone (default SHOP_TIMEZONE)
+ * @returns {object} { from, to } as YYYY-MM-DD
+ */
+function periodKeys(period, now = new Date(), timeZone = SHOP_TIMEZONE) {
+  const today = dateKey(now, timeZone);
+
+  switch (period) {
+    case 'day':
+      return { from: today, to: today };
+    case 'week':
+      return { from: addDays(today, -6), to: today };
+    case 'month':
+      return { from: `${today.slice(0, 7)}-01`, to: today };
+    case 'year':
+      return { from: `${today.slice(0, 4)}-01-01`, to: today };
+    default:
+      throw new Error(`Unknown report period: ${period}`);
+  }
+}
+
+module.exports = { SHOP_TIMEZONE, dateKey, addDays, startOfDay, periodKeys };
@@ -0,0 +1,812 @@
+/**
+ * Storage Adapter
+ * Pluggable document storage behind ShopRouter so the backend can run on
+ * Firestore, the Realtime Database, or a local JSON file (no Google Cloud)
+ *
+ * Every backend hands out Firestore-style references (collection/doc/where/
+ * orderBy/limit/get/add/create/set/update/delete), so services written against
+ * ShopRouter work unchanged. FieldValue sentinels (serverTimestamp, increment,
+ * arrayUnion, arrayRemove, delete) and Timestamps are supported on all backends.
+ * runTransaction is native on Firestore; the other backends run transactions
+ * and single-document writes one at a time within this process, and store a
+ * transaction's writes all together or not at all.
+ *
+ * Backend selection (STORAGE_BACKEND):
+ *   firestore - Cloud Firestore (default when Firebase is configured)
+ *   rtdb      - Realtime Database
+ *   local     - JSON file at STORAGE_PATH (default when Firebase is not configured)
+ *   memory    - in-process only, nothing written to disk (tests)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const admin = require('firebase-admin');
+
+const STORAGE_BACKENDS = ['firestore', 'rtdb', 'local', 'memory'];
+const DEFAULT_STORAGE_PATH = './data/vhicl-store.json';
+
+// Changes within this window are written to the local JSON file together
+const DEFAULT_PERSIST_DELAY_MS = 250;
+
+const { Timestamp } = admin.firestore;
+
+// Error code create() throws when the document exists (Firestore's ALREADY_EXISTS)
+const ALREADY_EXISTS = 6;
+
+// ==================== VALUE HELPERS ====================
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * FieldValue sentinels expose their method name (e.g. 'FieldValue.increment')
+ */
+function getFieldTransform(value) {
+  if (value && typeof value === 'object' && typeof value.methodName === 'string' &&
+      value.methodName.startsWith('FieldValue.')) {
+    return value.methodName.slice('FieldValue.'.length);
+  }
+  return null;
+}
+
+/**
+ * Deep copy a stored value, keeping Timestamps as Timestamps
+ */
+function cloneValue(value) {
+  if (value instanceof Timestamp) return value;
+  if (Array.isArray(value)) return value.map(cloneValue);
+  if (isPlainObject(value)) {
+    const copy = {};
+    Object.keys(value).forEach(key => { copy[key] = cloneValue(value[key]); });
+    return copy;
+  }
+  return value;
+}
+
+/**
+ * Normalize a value being written: Dates become Timestamps (as in Firestore),
+ * undefined fields are dropped and serverTimestamp sentinels are resolved
+ */
+function prepareValue(value, now) {
+  if (value === undefined) return undefined;
+  if (value instanceof Date) return Timestamp.fromDate(value);
+  if (value instanceof Timestamp) return value;
+  if (getFieldTransform(value) === 'serverTimestamp') return now;
+  if (Array.isArray(value)) return value.map(item => prepareValue(item, now)).filter(item => item !== undefined);
+  if (isPlainObject(value)) {
+    const prepared = {};
+    Object.keys(value).forEach(key => {
+      const field = applyTransform(undefined, value[key], now);
+      if (field !== undefined) prepared[key] = field;
+    });
+    return prepared;
+  }
+  return value;
+}
+
+function valuesEqual(a, b) {
+  return JSON.stringify(encodeValue(a)) === JSON.stringify(encodeValue(b));
+}
+
+/**
+ * Apply a written value (plain or FieldValue sentinel) on top of the current one
+ */
+function applyTransform(current, value, now) {
+  switch (getFieldTransform(value)) {
+    case 'serverTimestamp':
+      return now;
+    case 'delete':
+      return undefined;
+    case 'increment':
+      return (typeof current === 'number' ? current : 0) + value.operand;
+    case 'arrayUnion': {
+      const result = Array.isArray(current) ? current.slice() : [];
+      value.elements.forEach(element => {
+        const prepared = prepareValue(element, now);
+        if (!result.some(existing => valuesEqual(existing, prepared))) {
+          result.push(prepared);
+        }
+      });
+      return result;
+    }
+    case 'arrayRemove': {
+      const removed = value.elements.map(element => prepareValue(element, now));
+      return (Array.isArray(current) ? current : [])
+        .filter(existing => !removed.some(element => valuesEqual(existing, element)));
+    }
+    default:
+      return prepareValue(value, now);
+  }
+}
+
+function getField(data, fieldPath) {
+  return String(fieldPath).split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function setField(data, fieldPath, value, now) {
+  const keys = String(fieldPath).split('.');
+  const last = keys.pop();
+  let target = data;
+
+  keys.forEach(key => {
+    if (!isPlainObject(target[key])) target[key] = {};
+    target = target[key];
+  });
+
+  const next = applyTransform(target[last], value, now);
+  if (next === undefined) {
+    delete target[last];
+  } else {
+    target[last] = next;
+  }
+}
+
+/**
+ * Merge written fields into existing data. With dotted keys (update()),
+ * 'a.b' sets a nested field; with merge (set(..., { merge: true })), nested
+ * objects are merged rather than replaced.
+ */
+function mergeFields(existing, fields, now, { dotted = false, deep = false } = {}) {
+  const result = cloneValue(existing || {});
+
+  Object.keys(fields).forEach(key => {
+    const value = fields[key];
+    if (deep && isPlainObject(value) && !getFieldTransform(value) && isPlainObject(result[key])) {
+      result[key] = mergeFields(result[key], value, now, { deep: true });
+    } else if (dotted) {
+      setField(result, key, value, now);
+    } else {
+      const next = applyTransform(result[key], value, now);
+      if (next === undefined) {
+        delete result[key];
+      } else {
+        result[key] = next;
+      }
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Timestamps and Dates compare by time, everything else by value
+ */
+function toComparable(value) {
+  if (value instanceof Timestamp) return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return value;
+}
+
+function compareValues(a, b) {
+  const left = toComparable(a);
+  const right = toComparable(b);
+  if (left === right) return 0;
+  if (left === undefined || left === null) return -1;
+  if (right === undefined || right === null) return 1;
+  return left < right ? -1 : 1;
+}
+
+function matchesFilter(data, { field, op, value }) {
+  const actual = getField(data, field);
+  const actualValue = toComparable(actual);
+  const expected = toComparable(value);
+
+  switch (op) {
+    case '==':
+      return valuesEqual(actualValue, expected);
+    case '!=':
+      return actual !== undefined && !valuesEqual(actualValue, expected);
+    case '<':
+      return actual != null && compareValues(actual, value) < 0;
+    case '<=':
+      return actual != null && compareValues(actual, value) <= 0;
+    case '>':
+      return actual != null && compareValues(actual, value) > 0;
+    case '>=':
+      return actual != null && compareValues(actual, value) >= 0;
+    case 'in':
+      return value.some(option => valuesEqual(actualValue, toComparable(option)));
+    case 'not-in':
+      return actual !== undefined && !value.some(option => valuesEqual(actualValue, toComparable(option)));
+    case 'array-contains':
+      return Array.isArray(actual) && actual.some(item => valuesEqual(toComparable(item), expected));
+    case 'array-contains-any':
+      return Array.isArray(actual) && actual.some(item => value.some(option => valuesEqual(toComparable(item), toComparable(option))));
+    default:
+      throw new Error(`Unsupported query operator: ${op}`);
+  }
+}
+
+/**
+ * Encode a value for JSON storage (Timestamps become tagged objects)
+ */
+function encodeValue(value) {
+  if (value instanceof Timestamp) {
+    return { __type: 'timestamp', seconds: value.seconds, nanoseconds: value.nanoseconds };
+  }
+  if (Array.isArray(value)) return value.map(encodeValue);
+  if (isPlainObject(value)) {
+    const encoded = {};
+    Object.keys(value).forEach(key => { encoded[key] = encodeValue(value[key]); });
+    return encoded;
+  }
+  return value;
+}
+
+function decodeValue(value) {
+  if (Array.isArray(value)) return value.map(decodeValue);
+  if (isPlainObject(value)) {
+    if (value.__type === 'timestamp') {
+      return new Timestamp(value.seconds, value.nanoseconds);
+    }
+    const decoded = {};
+    Object.keys(value).forEach(key => { decoded[key] = decodeValue(value[key]); });
+    return decoded;
+  }
+  return value;
+}
+
+function generateDocumentId() {
+  // Same shape as Firestore auto IDs: 20 alphanumeric characters
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  const bytes = crypto.randomBytes(20);
+  return Array.from(bytes, byte => chars[byte % chars.length]).join('');
+}
+
+// ==================== REFERENCES ====================
+
+class StoredDocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return this.exists ? cloneValue(this._data) : undefined;
+  }
+
+  get(fieldPath) {
+    return this.exists ? cloneValue(getField(this._data, fieldPath)) : undefined;
+  }
+}
+
+class StoredQuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+class StoredQuery {
+  constructor(adapter, collectionPath, options = {}) {
+    this.adapter = adapter;
+    this.collectionPath = collectionPath;
+    this.filters = options.filters || [];
+    this.orders = options.orders || [];
+    this.limitCount = options.limitCount ?? null;
+    this.offsetCount = options.offsetCount ?? 0;
+  }
+
+  extend(options) {
+    return new StoredQuery(this.adapter, this.collectionPath, {
+      filters: this.filters,
+      orders: this.orders,
+      limitCount: this.limitCount,
+      offsetCount: this.offsetCount,
+      ...options
+    });
+  }
+
+  where(field, op, value) {
+    return this.extend({ filters: [...this.filters, { field, op, value }] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    return this.extend({ orders: [...this.orders, { field, direction }] });
+  }
+
+  limit(count) {
+    return this.extend({ limitCount: count });
+  }
+
+  offset(count) {
+    return this.extend({ offsetCount: count });
+  }
+
+  async get() {
+    const documents = await this.adapter.readCollection(this.collectionPath);
+    const collection = new StoredCollectionReference(this.adapter, this.collectionPath);
+
+    let entries = Object.keys(documents)
+      .map(id => ({ id, data: documents[id] }))
+      .filter(({ data }) => this.filters.every(filter => matchesFilter(data, filter)));
+
+    // Like Firestore, ordering by a field leaves out documents without it
+    this.orders.forEach(({ field }) => {
+      entries = entries.filter(({ data }) => getField(data, field) !== undefined);
+    });
+
+    if (this.orders.length > 0) {
+      entries.sort((a, b) => {
+        for (const { field, direction } of this.orders) {
+          const result = compareValues(getField(a.data, field), getField(b.data, field));
+          if (result !== 0) return direction === 'desc' ? -result : result;
+        }
+        return 0;
+      });
+    }
+
+    entries = entries.slice(this.offsetCount, this.limitCount === null ? undefined : this.offsetCount + this.limitCount);
+
+    return new StoredQuerySnapshot(
+      entries.map(({ id, data }) => new StoredDocumentSnapshot(collection.doc(id), data))
+    );
+  }
+}
+
+class StoredCollectionReference extends StoredQuery {
+  constructor(adapter, collectionPath) {
+    super(adapter, collectionPath);
+    this.path = collectionPath;
+    this.id = collectionPath.split('/').pop();
+  }
+
+  doc(documentId = generateDocumentId()) {
+    return new StoredDocumentReference(this.adapter, this.path, documentId);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+/**
+ * Document contents after a write, from what is stored now (undefined if nothing).
+ * These throw, without writing, where Firestore would reject the write
+ */
+const WRITES = {
+  set(existing, ref, data, options = {}, now = Timestamp.now()) {
+    return mergeFields(options.merge ? existing : undefined, data, now, { deep: Boolean(options.merge) });
+  },
+
+  create(existing, ref, data, now = Timestamp.now()) {
+    if (existing !== undefined) {
+      const error = new Error(`Document already exists: ${ref.path}`);
+      error.code = ALREADY_EXISTS;
+      throw error;
+    }
+    return mergeFields(undefined, data, now);
+  },
+
+  update(existing, ref, data, now = Timestamp.now()) {
+    if (existing === undefined) {
+      throw new Error(`No document to update: ${ref.path}`);
+    }
+    return mergeFields(existing, data, now, { dotted: true });
+  },
+
+  delete() {
+    return undefined;
+  }
+};
+
+class StoredDocumentReference {
+  constructor(adapter, collectionPath, documentId) {
+    this.adapter = adapter;
+    this.id = String(documentId);
+    this.path = `${collectionPath}/${this.id}`;
+    this.collectionPath = collectionPath;
+  }
+
+  get parent() {
+    return new StoredCollectionReference(this.adapter, this.collectionPath);
+  }
+
+  collection(name) {
+    return new StoredCollectionReference(this.adapter, `${this.path}/${name}`);
+  }
+
+  async get() {
+    const data = await this.adapter.readDocument(this.collectionPath, this.id);
+    return new StoredDocumentSnapshot(this, data);
+  }
+
+  /**
+   * Read, change and write the document with no other write in between, so
+   * concurrent updates never overwrite each other
+   */
+  write(type, ...args) {
+    return this.adapter.exclusive(async () => {
+      const existing = await this.adapter.readDocument(this.collectionPath, this.id);
+      const data = WRITES[type](existing, this, ...args);
+      await this.adapter.writeDocuments([{ collectionPath: this.collectionPath, documentId: this.id, data }]);
+    });
+  }
+
+  async set(data, options = {}) {
+    await this.write('set', data, options);
+  }
+
+  /**
+   * Write a new document, failing if one already exists (like Firestore's create)
+   */
+  async create(data) {
+    await this.write('create', data);
+  }
+
+  async update(data) {
+    await this.write('update', data);
+  }
+
+  async delete() {
+    await this.write('delete');
+  }
+}
+
+/**
+ * Firestore-style transaction: reads first, then writes queued and applied
+ * together when the transaction function returns. Every write is worked out
+ * before any is stored, so one that fails (create on an existing document,
+ * update on a missing one) leaves nothing half written.
+ */
+class StoredTransaction {
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.writes = [];
+  }
+
+  async get(refOrQuery) {
+    if (this.writes.length > 0) {
+      throw new Error('Transactions must do all reads before any writes');
+    }
+    return refOrQuery.get();
+  }
+
+  create(ref, data) {
+    this.writes.push({ ref, type: 'create', args: [data] });
+    return this;
+  }
+
+  set(ref, data, options = {}) {
+    this.writes.push({ ref, type: 'set', args: [data, options] });
+    return this;
+  }
+
+  update(ref, data) {
+    this.writes.push({ ref, type: 'update', args: [data] });
+    return this;
+  }
+
+  delete(ref) {
+    this.writes.push({ ref, type: 'delete', args: [] });
+    return this;
+  }
+
+  async commit() {
+    const staged = new Map();
+    const now = Timestamp.now();
+
+    for (const { ref, type, args } of this.writes) {
+      const existing = staged.has(ref.path)
+        ? staged.get(ref.path).data
+        : await this.adapter.readDocument(ref.collectionPath, ref.id);
+      const data = type === 'delete' ? undefined : WRITES[type](existing, ref, ...args, now);
+      staged.set(ref.path, { collectionPath: ref.collectionPath, documentId: ref.id, data });
+    }
+
+    if (staged.size > 0) {
+      await this.adapter.writeDocuments(Array.from(staged.values()));
+    }
+  }
+}
+
+// ==================== BACKENDS ====================
+
+/**
+ * Base class for backends that store documents as plain data
+ * Subclasses implement readCollection/readDocument/writeDocuments
+ * (all of a batch stored or none)
+ */
+class StorageAdapter {
+  constructor(backend) {
+    this.backend = backend;
+    this.lock = Promise.resolve();
+    this.lockContext = new AsyncLocalStorage();
+  }
+
+  /**
+   * Run fn with no other exclusive work interleaved (within this process).
+   * Exclusive work started from inside fn (a plain write in a transaction
+   * function) runs straight away rather than waiting on itself
+   * @param {Function} fn - async () => result
+   * @returns {Promise<*>}
+   */
+  exclusive(fn) {
+    if (this.lockContext.getStore()) {
+      return Promise.resolve().then(fn);
+    }
+
+    const run = this.lock.then(() => this.lockContext.run(true, fn));
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Read and write documents with no other write in between
+   * @param {Function} fn - async (transaction) => result; transaction has get/create/set/update/delete
+   * @returns {Promise<*>} fn's result
+   */
+  runTransaction(fn) {
+    return this.exclusive(async () => {
+      const transaction = new StoredTransaction(this);
+      const result = await fn(transaction);
+      await transaction.commit();
+      return result;
+    });
+  }
+
+  /**
+   * Get a collection reference
+   * @param {string} collectionPath - Collection path (e.g. 'shops' or 'shops/abc/jobs')
+   * @returns {StoredCollectionReference}
+   */
+  collection(collectionPath) {
+    return new StoredCollectionReference(this, collectionPath);
+  }
+
+  /**
+   * Get a document reference
+   * @param {string} documentPath - Document path (e.g. 'shops/abc')
+   * @returns {StoredDocumentReference}
+   */
+  doc(documentPath) {
+    const parts = documentPath.split('/');
+    const documentId = parts.pop();
+    return new StoredDocumentReference(this, parts.join('/'), documentId);
+  }
+}
+
+/**
+ * Local backend: documents held in memory and, unless filePath is null,
+ * written to a JSON file shortly after each change. Writes are batched
+ * (persistDelayMs) and asynchronous; anything still pending is written
+ * when the process exits.
+ */
+class LocalStorageAdapter extends StorageAdapter {
+  constructor(options = {}) {
+    super(options.filePath ? 'local' : 'memory');
+    this.filePath = options.filePath || null;
+    this.persistDelayMs = options.persistDelayMs ?? DEFAULT_PERSIST_DELAY_MS;
+    this.collections = {};
+    this.dirty = false;
+    this.persistTimer = null;
+    this.saving = null;
+
+    if (this.filePath && fs.existsSync(this.filePath)) {
+      const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.collections = decodeValue(raw.collections || {});
+    }
+
+    if (this.filePath) {
+      process.once('exit', () => this.flushSync());
+    }
+  }
+
+  async readCollection(collectionPath) {
+    return this.collections[collectionPath] || {};
+  }
+
+  async readDocument(collectionPath, documentId) {
+    return (this.collections[collectionPath] || {})[documentId];
+  }
+
+  /**
+   * Store a batch of documents (data undefined deletes); in memory, so all at once
+   */
+  async writeDocuments(changes) {
+    changes.forEach(({ collectionPath, documentId, data }) => {
+      if (data === undefined) {
+        if (this.collections[collectionPath]) {
+          delete this.collections[collectionPath][documentId];
+        }
+        return;
+      }
+      if (!this.collections[collectionPath]) {
+        this.collections[collectionPath] = {};
+      }
+      this.collections[collectionPath][documentId] = data;
+    });
+    this.persist();
+  }
+
+  /**
+   * Schedule a write of the store; changes within persistDelayMs share one write
+   */
+  persist() {
+    if (!this.filePath) return;
+
+    this.dirty = true;
+    if (!this.persistTimer) {
+      this.persistTimer = setTimeout(() => {
+        this.flush().catch(error => console.error('Error saving local store:', error));
+      }, this.persistDelayMs);
+      this.persistTimer.unref();
+    }
+  }
+
+  serialize() {
+    return JSON.stringify({
+      version: 1,
+      savedAt: new Date().toISOString(),
+      collections: encodeValue(this.collections)
+    });
+  }
+
+  /**
+   * Write pending changes now (temp file + rename so a crash never leaves half
+   * a file). Writes never overlap: changes made during one go in the next.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+
+    while (this.saving) {
+      await this.saving.catch(() => {});
+    }
+    if (!this.filePath || !this.dirty) return;
+
+    this.dirty = false;
+    const data = this.serialize();
+    const tempPath = `${this.filePath}.tmp`;
+
+    this.saving = (async () => {
+      try {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, data);
+        await fs.promises.rename(tempPath, this.filePath);
+      } catch (error) {
+        this.dirty = true;
+        throw error;
+      } finally {
+        this.saving = null;
+      }
+    })();
+
+    return this.saving;
+  }
+
+  /**
+   * Write pending changes before the process exits (no async work is possible then)
+   */
+  flushSync() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    if (!this.filePath || !this.dirty) return;
+
+    this.dirty = false;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, this.serialize());
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+/**
+ * Realtime Database backend: each collection is stored as one node under
+ * rootPath, keyed by its path with '/' replaced by '~' so a document's fields
+ * never collide with its subcollections. Queries are evaluated in process,
+ * since the Realtime Database cannot combine filters.
+ * Note: the Realtime Database does not keep nulls or empty arrays.
+ */
+class RealtimeDatabaseStorageAdapter extends StorageAdapter {
+  constructor(database, options = {}) {
+    super('rtdb');
+    this.database = database;
+    this.rootPath = options.rootPath || 'storage';
+  }
+
+  collectionRef(collectionPath) {
+    return this.database.ref(`${this.rootPath}/${collectionPath.replace(/\//g, '~')}`);
+  }
+
+  async readCollection(collectionPath) {
+    const snapshot = await this.collectionRef(collectionPath).once('value');
+    return decodeValue(snapshot.val() || {});
+  }
+
+  async readDocument(collectionPath, documentId) {
+    const snapshot = await this.collectionRef(collectionPath).child(documentId).once('value');
+    return snapshot.exists() ? decodeValue(snapshot.val()) : undefined;
+  }
+
+  /**
+   * Store a batch of documents (data undefined deletes) in one multi-path
+   * update, which the Realtime Database applies atomically
+   */
+  async writeDocuments(changes) {
+    const updates = {};
+    changes.forEach(({ collectionPath, documentId, data }) => {
+      const key = `${collectionPath.replace(/\//g, '~')}/${documentId}`;
+      updates[key] = data === undefined ? null : encodeValue(data);
+    });
+    await this.database.ref(this.rootPath).update(updates);
+  }
+}
+
+/**
+ * Firestore backend: hands out native Firestore references
+ */
+class FirestoreStorageAdapter {
+  constructor(firestore) {
+    this.backend = 'firestore';
+    this.firestore = firestore;
+  }
+
+  collection(collectionPath) {
+    return this.firestore.collection(collectionPath);
+  }
+
+  doc(documentPath) {
+    return this.firestore.doc(documentPath);
+  }
+
+  runTransaction(fn) {
+    return this.firestore.runTransaction(fn);
+  }
+}
+
+/**
+ * Create the storage adapter for the configured backend
+ * @param {object} options - { backend, firestore, database, filePath }
+ * @returns {StorageAdapter|FirestoreStorageAdapter}
+ */
+function createStorageAdapter(options = {}) {
+  const backend = (options.backend || process.env.STORAGE_BACKEND ||
+    (options.firestore ? 'firestore' : 'local')).toLowerCase();
+
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown storage backend: ${backend}. Use one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+
+  switch (backend) {
+    case 'firestore':
+      if (!options.firestore) {
+        throw new Error('Firestore storage backend requires Firebase to be configured');
+      }
+      return new FirestoreStorageAdapter(options.firestore);
+    case 'rtdb':
+      if (!options.database) {
+        throw new Error('Realtime Database storage backend requires Firebase to be configured');
+      }
+      return new RealtimeDatabaseStorageAdapter(options.database, { rootPath: options.rootPath });
+    case 'memory':
+      return new LocalStorageAdapter({ filePath: null });
+    default:
+      return new LocalStorageAdapter({
+        filePath: options.filePath || process.env.STORAGE_PATH || DEFAULT_STORAGE_PATH
+      });
+  }
+}
+
+module.exports = {
+  createStorageAdapter,
+  StorageAdapter,
+  LocalStorageAdapter,
+  RealtimeDatabaseStorageAdapter,
+  FirestoreStorageAdapter,
+  STORAGE_BACKENDS,
+  ALREADY_EXISTS
+};
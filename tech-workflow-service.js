@@ -1,12 +1,33 @@
 /**
  * Technician Workflow Service
  * Manages technician assignments, job tracking, time tracking, and performance
+ *
+ * Technician profiles and assignment live in TechnicianService, shifts, job
+ * clock and flagged hours in TimeClockService; this moves the work order along
+ * as technicians start and finish it.
  */
 
 const { ShopRouter } = require('./firebase-config');
+const { WorkOrderRepository, WORK_COMPLETE_STATUSES } = require('./work-order-repository');
+const { InventoryService } = require('./inventory-service');
+const { TechnicianService } = require('./technician-service');
+const { TimeClockService } = require('./time-clock-service');
+const { dateKey, addDays } = require('./shop-time');
 const admin = require('firebase-admin');
 
 class TechWorkflowService {
+  constructor(
+    workOrderRepository = new WorkOrderRepository(),
+    inventory = new InventoryService(),
+    technicians = new TechnicianService({ workOrders: workOrderRepository }),
+    timeClock = new TimeClockService({ workOrders: workOrderRepository, technicians })
+  ) {
+    this.workOrders = workOrderRepository;
+    this.inventory = inventory;
+    this.technicians = technicians;
+    this.timeClock = timeClock;
+  }
+
   /**
    * Add technician
    * @param {string} shopId - Shop ID
@@ -14,46 +35,16 @@ class TechWorkflowService {
    * @returns {Promise<object>}
    */
   async addTechnician(shopId, techData) {
-    try {
-      const techDoc = await ShopRouter.getShopCollection(shopId, 'technicians').add({
-        ...techData,
-        active: true,
-        jobsCompleted: 0,
-        totalHours: 0,
-        rating: 5.0,
-        createdAt: admin.firestore.FieldValue.serverTimestamp()
-      });
-
-      return {
-        id: techDoc.id,
-        ...techData
-      };
-    } catch (error) {
-      console.error('Error adding technician:', error);
-      throw error;
-    }
+    return this.technicians.create(shopId, techData);
   }
 
   /**
-   * Get all technicians
+   * Get all active technicians
    * @param {string} shopId - Shop ID
    * @returns {Promise<Array>}
    */
   async getTechnicians(shopId) {
-    try {
-      const techsSnapshot = await ShopRouter.getShopCollection(shopId, 'technicians')
-        .where('active', '==', true)
-        .orderBy('name')
-        .get();
-
-      return techsSnapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
-    } catch (error) {
-      console.error('Error getting technicians:', error);
-      throw error;
-    }
+    return this.technicians.list(shopId);
   }
 
   /**
@@ -61,39 +52,39 @@ class TechWorkflowService {
    * @param {string} shopId - Shop ID
    * @param {string} jobId - Job ID
    * @param {string} technicianId - Technician ID
-   * @returns {Promise<void>}
+   * @param {object} options - { force, by }
+   * @returns {Promise<object>} { workOrder, technician, warnings }
    */
-  async assignJob(shopId, jobId, technicianId) {
-    try {
-      const updates = {
-        assignedTechnicianId: technicianId,
-        assignedAt: admin.firestore.FieldValue.serverTimestamp(),
-        status: 'assigned'
-      };
-
-      await ShopRouter.getShopDocument(shopId, 'jobs', jobId).update(updates);
-    } catch (error) {
-      console.error('Error assigning job:', error);
-      throw error;
-    }
+  async assignJob(shopId, jobId, technicianId, options = {}) {
+    // Assignment doesn't change where the work order is in its flow
+    return this.technicians.assign(shopId, jobId, { ...options, technicianId });
   }
 
   /**
-   * Start job (technician begins work)
+   * Start job (technician begins work and is clocked onto it)
    * @param {string} shopId - Shop ID
    * @param {string} jobId - Job ID
    * @param {string} technicianId - Technician ID
-   * @returns {Promise<void>}
+   * @returns {Promise<object>} The job time entry
    */
   async startJob(shopId, jobId, technicianId) {
     try {
-      const updates = {
-        status: 'in_progress',
-        startedAt: admin.firestore.FieldValue.serverTimestamp(),
-        startedBy: technicianId
-      };
+      const tech = await this.technicians.get(shopId, technicianId);
+      await this.technicians.assertAvailable(shopId, tech, jobId);
+
+      // A second technician (or a restart after a break) joins work already under way
+      const job = await this.workOrders.get(shopId, jobId);
+      if (job.status !== 'in_progress') {
+        await this.workOrders.transition(shopId, jobId, 'in_progress', {
+          by: tech.id,
+          updates: {
+            startedAt: admin.firestore.FieldValue.serverTimestamp(),
+            startedBy: tech.id
+          }
+        });
+      }
 
-      await ShopRouter.getShopDocument(shopId, 'jobs', jobId).update(updates);
+      return this.timeClock.clockOnJob(shopId, tech.id, jobId);
     } catch (error) {
       console.error('Error starting job:', error);
       throw error;
@@ -101,40 +92,46 @@ class TechWorkflowService {
   }
 
   /**
-   * Complete job
+   * Complete job: everyone is clocked off it and its labor hours are flagged
    * @param {string} shopId - Shop ID
    * @param {string} jobId - Job ID
    * @param {object} completionData - Completion data
-   * @returns {Promise<void>}
+   * @returns {Promise<object>} { actualHours, flags }
    */
   async completeJob(shopId, jobId, completionData) {
     try {
-      const jobDoc = await ShopRouter.getShopDocument(shopId, 'jobs', jobId).get();
-      
-      if (!jobDoc.exists) {
-        throw new Error('Job not found');
-      }
+      const jobData = await this.workOrders.get(shopId, jobId);
+      const tech = completionData.technicianId || jobData.assignedTechnicianId
+        ? await this.technicians.get(shopId, completionData.technicianId || jobData.assignedTechnicianId)
+        : null;
+
+      // Clock everyone off; clocked time stands in for hours nobody entered
+      await this.timeClock.clockOffAll(shopId, jobId);
+      const clockedHours = await this.technicians.getJobHours(shopId, jobId);
+      const techHours = tech ? await this.technicians.getJobHours(shopId, jobId, tech.id) : 0;
 
-      const jobData = jobDoc.data();
-      
       // Calculate time spent
-      const timeSpent = completionData.actualHours || 0;
-      
+      const actualHours = Number(completionData.actualHours) || clockedHours;
+      const timeSpent = Number(completionData.actualHours) || techHours;
+
       const updates = {
-        status: 'completed',
         completedAt: admin.firestore.FieldValue.serverTimestamp(),
-        completedBy: completionData.technicianId || jobData.assignedTechnicianId,
-        actualHours: timeSpent,
+        completedBy: tech ? tech.id : null,
+        actualHours,
         notes: completionData.notes || '',
         partsUsed: completionData.partsUsed || [],
         photos: completionData.photos || []
       };
 
-      await ShopRouter.getShopDocument(shopId, 'jobs', jobId).update(updates);
+      // Finished work goes to quality control before it is ready
+      await this.workOrders.transition(shopId, jobId, 'qc', {
+        by: updates.completedBy,
+        updates
+      });
 
       // Update technician stats
-      if (jobData.assignedTechnicianId) {
-        await this.updateTechnicianStats(shopId, jobData.assignedTechnicianId, {
+      if (tech) {
+        await this.updateTechnicianStats(shopId, tech.id, {
           jobsCompleted: admin.firestore.FieldValue.increment(1),
           totalHours: admin.firestore.FieldValue.increment(timeSpent)
         });
@@ -147,6 +144,9 @@ class TechWorkflowService {
           status: 'available'
         });
       }
+
+      const flags = await this.timeClock.flagJob(shopId, jobId, { by: updates.completedBy });
+      return { actualHours, flags };
     } catch (error) {
       console.error('Error completing job:', error);
       throw error;
@@ -163,13 +163,11 @@ class TechWorkflowService {
    */
   async updateJobStatus(shopId, jobId, status, updateData = {}) {
     try {
-      const updates = {
-        status,
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-        ...updateData
-      };
-
-      await ShopRouter.getShopDocument(shopId, 'jobs', jobId).update(updates);
+      await this.workOrders.transition(shopId, jobId, status, {
+        by: updateData.updatedBy,
+        note: updateData.note,
+        updates: updateData
+      });
     } catch (error) {
       console.error('Error updating job status:', error);
       throw error;
@@ -180,26 +178,20 @@ class TechWorkflowService {
    * Get technician jobs
    * @param {string} shopId - Shop ID
    * @param {string} technicianId - Technician ID
-   * @param {string} status - Status filter
+   * @param {string|Array} status - Status filter (one status or a list)
    * @returns {Promise<Array>}
    */
   async getTechnicianJobs(shopId, technicianId, status = null) {
     try {
-      let query = ShopRouter.getShopCollection(shopId, 'jobs')
-        .where('assignedTechnicianId', '==', technicianId);
-
-      if (status) {
-        query = query.where('status', '==', status);
-      }
-
-      query = query.orderBy('assignedAt', 'desc');
-
-      const jobsSnapshot = await query.get();
+      const jobs = await this.workOrders.list(shopId, {
+        technicianId,
+        ...(Array.isArray(status) ? { statuses: status } : { status })
+      });
 
-      return jobsSnapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
+      const assignedTime = (job) => job.assignedAt?.toMillis
+        ? job.assignedAt.toMillis()
+        : new Date(job.assignedAt || 0).getTime() || 0;
+      return jobs.sort((a, b) => assignedTime(b) - assignedTime(a));
     } catch (error) {
       console.error('Error getting technician jobs:', error);
       throw error;
@@ -224,7 +216,7 @@ class TechWorkflowService {
         notes: ''
       }));
 
-      await ShopRouter.getShopDocument(shopId, 'jobs', jobId).update({
+      await this.workOrders.update(shopId, jobId, {
         checklist
       });
     } catch (error) {
@@ -244,13 +236,7 @@ class TechWorkflowService {
    */
   async updateChecklistItem(shopId, jobId, itemId, completed, technicianId) {
     try {
-      const jobDoc = await ShopRouter.getShopDocument(shopId, 'jobs', jobId).get();
-      
-      if (!jobDoc.exists) {
-        throw new Error('Job not found');
-      }
-
-      const jobData = jobDoc.data();
+      const jobData = await this.workOrders.get(shopId, jobId);
       const checklist = jobData.checklist || [];
 
       const itemIndex = checklist.findIndex(item => item.id === itemId);
@@ -263,7 +249,7 @@ class TechWorkflowService {
       checklist[itemIndex].completedBy = completed ? technicianId : null;
       checklist[itemIndex].completedAt = completed ? admin.firestore.FieldValue.serverTimestamp() : null;
 
-      await ShopRouter.getShopDocument(shopId, 'jobs', jobId).update({
+      await this.workOrders.update(shopId, jobId, {
         checklist
       });
     } catch (error) {
@@ -274,25 +260,48 @@ class TechWorkflowService {
 
   /**
    * Request parts for job
+   * Parts the shop stocks are pulled from the shelf first; only what's left
+   * goes on the request and holds the job for parts.
    * @param {string} shopId - Shop ID
    * @param {string} jobId - Job ID
-   * @param {Array} parts - Parts requested
-   * @returns {Promise<void>}
+   * @param {Array} parts - Parts requested: [{ itemId | sku | partNumber, description, quantity }]
+   * @param {string} technicianId - Technician ID
+   * @returns {Promise<object>} { id, allocated (pulled from stock), shortfall (to be ordered) }
    */
-  async requestParts(shopId, jobId, parts) {
+  async requestParts(shopId, jobId, parts, technicianId = null) {
     try {
+      const job = await this.workOrders.get(shopId, jobId);
+
+      const { allocated, shortfall } = await this.inventory.allocate(shopId, {
+        workOrderId: jobId,
+        parts,
+        by: technicianId || 'Technician'
+      });
+
       const partsRequest = await ShopRouter.getShopCollection(shopId, 'partsRequests').add({
         jobId,
-        parts,
-        status: 'pending',
+        technicianId,
+        parts: shortfall,
+        allocated,
+        status: shortfall.length > 0 ? 'pending' : 'filled',
         requestedAt: admin.firestore.FieldValue.serverTimestamp()
       });
 
-      // Update job with parts request reference
-      await ShopRouter.getShopDocument(shopId, 'jobs', jobId).update({
-        partsRequestId: partsRequest.id,
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
-      });
+      // Update job with parts request reference and hold it for parts
+      // when it is far enough along for parts to be ordered
+      if (shortfall.length > 0 && WorkOrderRepository.canTransition(job.status, 'parts')) {
+        await this.workOrders.transition(shopId, jobId, 'parts', {
+          updates: { partsRequestId: partsRequest.id }
+        });
+        // Nobody works a job that's waiting on parts
+        await this.timeClock.clockOffAll(shopId, jobId);
+      } else {
+        await this.workOrders.update(shopId, jobId, {
+          partsRequestId: partsRequest.id
+        });
+      }
+
+      return { id: partsRequest.id, allocated, shortfall };
     } catch (error) {
       console.error('Error requesting parts:', error);
       throw error;
@@ -315,7 +324,7 @@ class TechWorkflowService {
         createdAt: admin.firestore.FieldValue.serverTimestamp()
       };
 
-      await ShopRouter.getShopDocument(shopId, 'jobs', jobId).update({
+      await this.workOrders.update(shopId, jobId, {
         technicianNotes: admin.firestore.FieldValue.arrayUnion(techNote)
       });
     } catch (error) {
@@ -332,35 +341,37 @@ class TechWorkflowService {
    */
   async getTechnicianPerformance(shopId, technicianId) {
     try {
-      const techDoc = await ShopRouter.getShopDocument(shopId, 'technicians', technicianId).get();
-      
-      if (!techDoc.exists) {
-        throw new Error('Technician not found');
-      }
-
-      const techData = techDoc.data();
+      const techData = await this.technicians.get(shopId, technicianId);
 
       // Get recent jobs
-      const recentJobs = await this.getTechnicianJobs(shopId, technicianId);
+      const recentJobs = await this.getTechnicianJobs(shopId, techData.id);
 
       // Calculate performance metrics
-      const completedJobs = recentJobs.filter(job => job.status === 'completed');
+      const completedJobs = recentJobs.filter(job => WORK_COMPLETE_STATUSES.includes(job.status));
       const inProgressJobs = recentJobs.filter(job => job.status === 'in_progress');
 
       const avgTimePerJob = completedJobs.length > 0 
         ? completedJobs.reduce((sum, job) => sum + (job.actualHours || 0), 0) / completedJobs.length
         : 0;
 
-      // Get jobs from last 30 days
-      const thirtyDaysAgo = new Date();
-      thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+      // Get jobs from the last 30 shop calendar days
+      const today = dateKey();
+      const thirtyDaysAgo = addDays(today, -30);
 
       const recentCompletedJobs = completedJobs.filter(job => 
-        job.completedAt && job.completedAt.toDate() >= thirtyDaysAgo
+        job.completedAt && dateKey(job.completedAt.toDate()) >= thirtyDaysAgo
       );
 
+      // Flagged hours against time on jobs, from the time clock
+      const clock = await this.timeClock.getEfficiencyReport(shopId, {
+        technicianId: techData.id,
+        from: thirtyDaysAgo,
+        to: today
+      });
+      const [recent] = clock.technicians;
+
       return {
-        technicianId,
+        technicianId: techData.id,
         name: techData.name,
         jobsCompleted: techData.jobsCompleted || 0,
         totalHours: techData.totalHours || 0,
@@ -368,7 +379,9 @@ class TechWorkflowService {
         avgTimePerJob,
         activeJobs: inProgressJobs.length,
         recentJobsCompleted: recentCompletedJobs.length,
-        efficiency: avgTimePerJob > 0 ? (completedJobs.length / techData.totalHours) * 100 : 0
+        flaggedHours: recent.flaggedHours,
+        productivity: recent.productivity,
+        efficiency: recent.efficiency
       };
     } catch (error) {
       console.error('Error getting technician performance:', error);
@@ -386,7 +399,7 @@ class TechWorkflowService {
     try {
       const performance = await this.getTechnicianPerformance(shopId, technicianId);
       const activeJobs = await this.getTechnicianJobs(shopId, technicianId, 'in_progress');
-      const recentJobs = await this.getTechnicianJobs(shopId, technicianId, 'completed');
+      const recentJobs = await this.getTechnicianJobs(shopId, technicianId, WORK_COMPLETE_STATUSES);
 
       return {
         performance,
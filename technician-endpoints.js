@@ -0,0 +1,323 @@
+/**
+ * Technician API Endpoints
+ * Technician profiles, skill ratings and certifications, clocked job hours,
+ * the technician dashboard, and assigning work orders to qualified technicians
+ *
+ * Skill ratings are for advisors and owners; other staff get profiles without
+ * them. Technicians can only start, finish and see the hours of their own jobs.
+ */
+
+const { TechnicianService } = require('./technician-service');
+const { getShopId } = require('./shop-auth-middleware');
+
+function sendTechnicianError(res, error) {
+    if (/^(Technician not found|Certification not found|Work order not found)$/.test(error.message)) {
+        return res.status(404).json({ success: false, error: error.message });
+    }
+
+    if (/^Technicians can only/.test(error.message)) {
+        return res.status(403).json({ success: false, error: error.message });
+    }
+
+    if (/( is inactive| is already on work order | is not on |can't take this job|^No qualified technician|^Cannot move work order)/.test(error.message)) {
+        return res.status(409).json({ success: false, error: error.message });
+    }
+
+    if (/^(Technician name is required|Skill rating must be|Hourly rate must be|Pay type must be|A certification code is required|Unknown certification|Certification .* is not a valid date|jobId is required)/.test(error.message)) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    res.status(500).json({ success: false, error: error.message });
+}
+
+/**
+ * @param {object} app - Express app
+ * @param {TechnicianService} technicians - Technician service
+ * @param {TechWorkflowService} techWorkflow - Technician workflow (starting and finishing jobs)
+ */
+function registerTechnicianEndpoints(app, technicians, techWorkflow) {
+    const getUser = (req) => req.body?.by || req.shop?.email || 'Staff';
+    const seesSkillRatings = (req) => !req.shop || req.shop.hasRole('advisor');
+    const present = (req, tech) => (seesSkillRatings(req) ? tech : TechnicianService.withoutSkillRating(tech));
+
+    /**
+     * The technician in :id (ID or staff uid); technicians may only reach themselves
+     */
+    const getOwnTechnician = async (req) => {
+        const tech = await technicians.get(getShopId(req), req.params.id);
+        if (req.shop && !req.shop.hasRole('advisor', 'front_desk') && tech.uid !== req.shop.uid) {
+            throw new Error('Technicians can only see and work their own jobs');
+        }
+        return tech;
+    };
+
+    /**
+     * GET /api/technicians
+     * Technicians by name (optional ?includeInactive=true, ?specialty=, ?skillRating=)
+     */
+    app.get('/api/technicians', async (req, res) => {
+        try {
+            const list = await technicians.list(getShopId(req), {
+                includeInactive: req.query.includeInactive === 'true',
+                specialty: req.query.specialty,
+                skillRating: seesSkillRatings(req) ? req.query.skillRating : undefined
+            });
+            res.json({ success: true, technicians: list.map(tech => present(req, tech)) });
+        } catch (error) {
+            sendTechnicianError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/technicians
+     * Add a technician
+     * Body: { name, email, phone, uid, specialties, hourlyRate, payType, hiredDate, notes, skillRating, certifications }
+     */
+    app.post('/api/technicians', async (req, res) => {
+        try {
+            const technician = await technicians.create(getShopId(req), req.body);
+            res.status(201).json({ success: true, technician });
+        } catch (error) {
+            sendTechnicianError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/technicians/availability
+     * Who is free and who is on a job, with today's clocked hours
+     * (optional ?workOrderId= or ?skillLevel=&category= to rank for a job)
+     */
+    app.get('/api/technicians/availability', async (req, res) => {
+        try {
+            const { workOrderId, skillLevel, category } = req.query;
+            const { requirements, technicians: ranked } = await technicians.recommend(getShopId(req), {
+                workOrderId,
+                skillLevel,
+                category
+            });
+            res.json({
+                success: true,
+                requirements,
+                technicians: ranked.map(tech => present(req, tech))
+            });
+        } catch (error) {
+            sendTechnicianError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/technicians/certifications/expiring
+     * Certifications expired or expiring soon (optional ?days=, default 60)
+     */
+    app.get('/api/technicians/certifications/expiring', async (req, res) => {
+        try {
+            const expiring = await technicians.listExpiringCertifications(getShopId(req), req.query.days || undefined);
+            res.json({ success: true, certifications: expiring });
+        } catch (error) {
+            sendTechnicianError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/technicians/:id
+     * A technician's profile (by ID or staff uid)
+     */
+    app.get('/api/technicians/:id', async (req, res) => {
+        try {
+            const technician = await technicians.get(getShopId(req), req.params.id);
+            res.json({ success: true, technician: present(req, technician) });
+        } catch (error) {
+            sendTechnicianError(res, error);
+        }
+    });
+
+    /**
+     * PUT /api/technicians/:id
+     * Update profile fields (skill rating and certifications have their own routes)
+     */
+    app.put('/api/technicians/:id', async (req, res) => {
+        try {
+            const technician = await technicians.update(getShopId(req), req.params.id, req.body);
+            res.json({ success: true, technician });
+        } catch (error) {
+            sendTechnicianError(res, error);
+        }
+    });
+
+    /**
+     * DELETE /api/technicians/:id
+     * Deactivate a technician; their jobs and hours are kept
+     */
+    app.delete('/api/technicians/:id', async (req, res) => {
+        try {
+            const technician = await technicians.setActive(getShopId(req), req.params.id, false);
+            res.json({ success: true, technician });
+        } catch (error) {
+            sendTechnicianError(res, error);
+        }
+    });
+
+    /**
+     * PUT /api/technicians/:id/skill-rating
+     * Body: { skillRating: A | B | C }
+     */
+    app.put('/api/technicians/:id/skill-rating', async (req, res) => {
+        try {
+            const technician = await technicians.setSkillRating(getShopId(req), req.params.id, req.body.skillRating);
+            res.json({ success: true, technician });
+        } catch (error) {
+            sendTechnicianError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/technicians/:id/certifications
+     * Add or renew a certification
+     * Body: { code (e.g. ASE-A5, EV, EPA-609), name, number, issuedAt, expiresAt }
+     */
+    app.post('/api/technicians/:id/certifications', async (req, res) => {
+        try {
+            const technician = await technicians.addCertification(getShopId(req), req.params.id, req.body);
+            res.status(201).json({ success: true, technician });
+        } catch (error) {
+            sendTechnicianError(res, error);
+        }
+    });
+
+    /**
+     * DELETE /api/technicians/:id/certifications/:certificationId
+     */
+    app.delete('/api/technicians/:id/certifications/:certificationId', async (req, res) => {
+        try {
+            const technician = await technicians.removeCertification(getShopId(req), req.params.id, req.params.certificationId);
+            res.json({ success: true, technician });
+        } catch (error) {
+            sendTechnicianError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/technicians/:id/hours
+     * Clocked job hours by day (optional ?from=&to=, YYYY-MM-DD, default today)
+     */
+    app.get('/api/technicians/:id/hours', async (req, res) => {
+        try {
+            const tech = await getOwnTechnician(req);
+            const hours = await technicians.getHours(getShopId(req), tech.id, {
+                from: req.query.from,
+                to: req.query.to
+            });
+            res.json({ success: true, hours });
+        } catch (error) {
+            sendTechnicianError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/technicians/:id/jobs
+     * Work orders assigned to the technician (optional ?status=)
+     */
+    app.get('/api/technicians/:id/jobs', async (req, res) => {
+        try {
+            const tech = await getOwnTechnician(req);
+            const jobs = await techWorkflow.getTechnicianJobs(getShopId(req), tech.id, req.query.status || null);
+            res.json({ success: true, jobs });
+        } catch (error) {
+            sendTechnicianError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/technicians/:id/jobs/:jobId/start
+     * Start work (moves the work order to in_progress) and clock on
+     */
+    app.post('/api/technicians/:id/jobs/:jobId/start', async (req, res) => {
+        try {
+            const tech = await getOwnTechnician(req);
+            const timeEntry = await techWorkflow.startJob(getShopId(req), req.params.jobId, tech.id);
+            res.json({ success: true, timeEntry });
+        } catch (error) {
+            sendTechnicianError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/technicians/:id/jobs/:jobId/complete
+     * Clock everyone off, flag the labor hours and send the work to quality control
+     * Body: { actualHours (defaults to clocked hours), partsUsed, notes, photos }
+     */
+    app.post('/api/technicians/:id/jobs/:jobId/complete', async (req, res) => {
+        try {
+            const tech = await getOwnTechnician(req);
+            const { actualHours, flags } = await techWorkflow.completeJob(getShopId(req), req.params.jobId, { ...req.body, technicianId: tech.id });
+            res.json({ success: true, actualHours, flags });
+        } catch (error) {
+            sendTechnicianError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/technicians/:id/performance
+     */
+    app.get('/api/technicians/:id/performance', async (req, res) => {
+        try {
+            const tech = await getOwnTechnician(req);
+            const performance = await techWorkflow.getTechnicianPerformance(getShopId(req), tech.id);
+            res.json({ success: true, performance });
+        } catch (error) {
+            sendTechnicianError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/technicians/:id/dashboard
+     * Performance with active and recently completed jobs
+     */
+    app.get('/api/technicians/:id/dashboard', async (req, res) => {
+        try {
+            const tech = await getOwnTechnician(req);
+            const dashboard = await techWorkflow.getDashboardData(getShopId(req), tech.id);
+            res.json({ success: true, dashboard });
+        } catch (error) {
+            sendTechnicianError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/jobs/:id/technician-recommendations
+     * Technicians ranked for a work order, with why any don't qualify
+     */
+    app.get('/api/jobs/:id/technician-recommendations', async (req, res) => {
+        try {
+            const recommendations = await technicians.recommend(getShopId(req), { workOrderId: req.params.id });
+            res.json({ success: true, ...recommendations });
+        } catch (error) {
+            sendTechnicianError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/jobs/assign
+     * Assign a work order to a technician, or to the best qualified one without technicianId
+     * Body: { jobId, technicianId, force (assign even if they don't qualify) }
+     */
+    app.post('/api/jobs/assign', async (req, res) => {
+        try {
+            const { jobId, technicianId, force } = req.body;
+            if (!jobId) {
+                throw new Error('jobId is required');
+            }
+
+            const { workOrder, technician, warnings } = await technicians.assign(getShopId(req), jobId, {
+                technicianId,
+                force: force === true,
+                by: getUser(req)
+            });
+            res.json({ success: true, dropoff: workOrder, workOrder, technician: present(req, technician), warnings });
+        } catch (error) {
+            sendTechnicianError(res, error);
+        }
+    });
+}
+
+module.exports = registerTechnicianEndpoints;
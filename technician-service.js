@@ -0,0 +1,751 @@
+/**
+ * Technician Service
+ * The shop's technicians, per shop in 'technicians'
+ *
+ * Each technician has a profile, a skill rating (A/B/C, matched against the
+ * labor guide's skill levels and kept from techs themselves), specialties and
+ * certifications (ASE, EV high-voltage, EPA 609 for A/C). Time on jobs is
+ * clocked in 'techJobTime', one entry per stretch of work on a work order; a
+ * technician has at most one open entry, their active job.
+ *
+ * Assignment recommendations (formerly JobAssignmentHelper in the browser)
+ * rank technicians for a work order by what its labor needs: the highest skill
+ * level on the estimate, and certifications for A/C and high-voltage work.
+ */
+
+const { ShopRouter } = require('./firebase-config');
+const admin = require('firebase-admin');
+const { WorkOrderRepository } = require('./work-order-repository');
+const { LaborGuideService } = require('./labor-guide-service');
+const { dateKey } = require('./shop-time');
+
+const SKILL_RATINGS = ['A', 'B', 'C'];
+// Flat-rate technicians are paid the hours flagged on their jobs, hourly ones the hours they're punched in
+const PAY_TYPES = ['flat_rate', 'hourly'];
+const SKILL_RANK = { A: 3, B: 2, C: 1 };
+
+// Certifications the shop tracks; ASE certifications renew every five years, EPA 609 never expires
+const CERTIFICATIONS = {
+  'ASE-A1': 'ASE A1 Engine Repair',
+  'ASE-A2': 'ASE A2 Automatic Transmission/Transaxle',
+  'ASE-A3': 'ASE A3 Manual Drive Train and Axles',
+  'ASE-A4': 'ASE A4 Suspension and Steering',
+  'ASE-A5': 'ASE A5 Brakes',
+  'ASE-A6': 'ASE A6 Electrical/Electronic Systems',
+  'ASE-A7': 'ASE A7 Heating and Air Conditioning',
+  'ASE-A8': 'ASE A8 Engine Performance',
+  'ASE-A9': 'ASE A9 Light Vehicle Diesel Engines',
+  'ASE-G1': 'ASE G1 Auto Maintenance and Light Repair',
+  'ASE-L1': 'ASE L1 Advanced Engine Performance',
+  'ASE-L3': 'ASE L3 Light Duty Hybrid/Electric Vehicle',
+  'EV': 'EV/hybrid high-voltage safety',
+  'EPA-609': 'EPA Section 609 refrigerant handling'
+};
+
+// Work a technician can't take without a current certification
+const REQUIRED_CERTIFICATIONS = {
+  HVAC: { codes: ['EPA-609'], reason: 'A/C work needs EPA 609 certification' },
+  highVoltage: { codes: ['EV', 'ASE-L3'], reason: 'Hybrid and EV work needs high-voltage training' }
+};
+
+// Profile fields staff can set directly; ratings and certifications have their own methods
+const PROFILE_FIELDS = ['name', 'email', 'phone', 'uid', 'specialties', 'hourlyRate', 'payType', 'hiredDate', 'notes', 'active'];
+
+const EXPIRING_DAYS = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function round2(value) {
+  return Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+}
+
+class TechnicianService {
+  /**
+   * @param {object} options - { workOrders (WorkOrderRepository), laborGuide (LaborGuideService) }
+   */
+  constructor(options = {}) {
+    this.workOrders = options.workOrders || new WorkOrderRepository();
+    this.laborGuide = options.laborGuide || new LaborGuideService();
+  }
+
+  /**
+   * Technician with current field names (browser-era profiles used isActive)
+   */
+  static normalize(data, now = new Date()) {
+    const { isActive, ...fields } = data;
+    return {
+      ...fields,
+      active: fields.active ?? isActive ?? true,
+      skillRating: fields.skillRating || null,
+      payType: fields.payType || 'flat_rate',
+      specialties: fields.specialties || [],
+      certifications: (fields.certifications || []).map(cert => ({
+        ...cert,
+        status: TechnicianService.certificationStatus(cert, now)
+      }))
+    };
+  }
+
+  /**
+   * 'valid', 'expiring' (within 60 days) or 'expired'
+   */
+  static certificationStatus(cert, now = new Date()) {
+    if (!cert.expiresAt) return 'valid';
+
+    const expires = new Date(cert.expiresAt).getTime();
+    if (expires < now.getTime()) return 'expired';
+    return expires - now.getTime() <= EXPIRING_DAYS * DAY_MS ? 'expiring' : 'valid';
+  }
+
+  /**
+   * Has an unexpired certification with one of these codes
+   */
+  static hasCertification(tech, codes) {
+    return (tech.certifications || []).some(cert =>
+      codes.includes(cert.code) && TechnicianService.certificationStatus(cert) !== 'expired');
+  }
+
+  /**
+   * Profile without the skill rating (what technicians themselves see)
+   */
+  static withoutSkillRating(tech) {
+    const { skillRating, ...rest } = tech;
+    return rest;
+  }
+
+  static validateSkillRating(rating) {
+    if (!SKILL_RATINGS.includes(rating)) {
+      throw new Error('Skill rating must be A, B or C');
+    }
+  }
+
+  /**
+   * Clean up profile input
+   * @param {object} data - Profile fields
+   * @param {boolean} partial - Only validate what's present (updates)
+   */
+  static prepare(data = {}, partial = false) {
+    const profile = {};
+    PROFILE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) profile[field] = data[field];
+    });
+
+    if (!partial || profile.name !== undefined) {
+      profile.name = String(profile.name || '').trim();
+      if (!profile.name) {
+        throw new Error('Technician name is required');
+      }
+    }
+
+    if (profile.specialties !== undefined) {
+      profile.specialties = (Array.isArray(profile.specialties) ? profile.specialties : String(profile.specialties).split(','))
+        .map(specialty => String(specialty).trim())
+        .filter(Boolean);
+    }
+
+    if (profile.payType !== undefined && !PAY_TYPES.includes(profile.payType)) {
+      throw new Error(`Pay type must be one of: ${PAY_TYPES.join(', ')}`);
+    }
+
+    if (profile.hourlyRate !== undefined) {
+      profile.hourlyRate = Number(profile.hourlyRate);
+      if (!(profile.hourlyRate >= 0)) {
+        throw new Error('Hourly rate must be zero or more');
+      }
+    }
+
+    return profile;
+  }
+
+  fromDoc(doc) {
+    return TechnicianService.normalize({ id: doc.id, ...doc.data() });
+  }
+
+  /**
+   * Add a technician
+   * @param {string} shopId - Shop ID
+   * @param {object} data - { name, email, phone, uid (staff login), specialties, hourlyRate, payType, hiredDate,
+   *   notes, skillRating, certifications: [{ code, name, number, issuedAt, expiresAt }] }
+   * @returns {Promise<object>}
+   */
+  async create(shopId, data = {}) {
+    try {
+      const profile = TechnicianService.prepare(data);
+      if (data.skillRating) {
+        TechnicianService.validateSkillRating(data.skillRating);
+      }
+
+      const ref = await ShopRouter.getShopCollection(shopId, 'technicians').add({
+        ...profile,
+        active: profile.active !== false,
+        skillRating: data.skillRating || null,
+        specialties: profile.specialties || [],
+        certifications: (data.certifications || []).map(cert => this.prepareCertification(cert)),
+        hourlyRate: profile.hourlyRate || 0,
+        payType: profile.payType || 'flat_rate',
+        hiredDate: profile.hiredDate || dateKey(),
+        jobsCompleted: 0,
+        totalHours: 0,
+        rating: 5.0,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      console.log(`👷 Technician added: ${profile.name}`);
+      return this.get(shopId, ref.id);
+    } catch (error) {
+      console.error('Error adding technician:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a technician by ID or staff login (uid)
+   * @param {string} shopId - Shop ID
+   * @param {string} technicianId - Technician ID or uid
+   * @returns {Promise<object>}
+   */
+  async get(shopId, technicianId) {
+    try {
+      const doc = await ShopRouter.getShopDocument(shopId, 'technicians', String(technicianId)).get();
+      if (doc.exists) {
+        return this.fromDoc(doc);
+      }
+
+      const snapshot = await ShopRouter.getShopCollection(shopId, 'technicians')
+        .where('uid', '==', String(technicianId))
+        .get();
+      if (snapshot.docs.length === 0) {
+        throw new Error('Technician not found');
+      }
+      return this.fromDoc(snapshot.docs[0]);
+    } catch (error) {
+      console.error('Error getting technician:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Technicians by name
+   * @param {string} shopId - Shop ID
+   * @param {object} filters - { includeInactive, specialty, skillRating }
+   * @returns {Promise<Array>}
+   */
+  async list(shopId, filters = {}) {
+    try {
+      const { includeInactive = false, specialty, skillRating } = filters;
+      const snapshot = await ShopRouter.getShopCollection(shopId, 'technicians').get();
+
+      return snapshot.docs
+        .map(doc => this.fromDoc(doc))
+        .filter(tech => includeInactive || tech.active)
+        .filter(tech => !specialty || tech.specialties.some(entry => entry.toLowerCase() === String(specialty).toLowerCase()))
+        .filter(tech => !skillRating || tech.skillRating === skillRating)
+        .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+    } catch (error) {
+      console.error('Error listing technicians:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update profile fields
+   * @param {string} shopId - Shop ID
+   * @param {string} technicianId - Technician ID or uid
+   * @param {object} updates - Profile fields
+   * @returns {Promise<object>}
+   */
+  async update(shopId, technicianId, updates = {}) {
+    try {
+      const tech = await this.get(shopId, technicianId);
+      const profile = TechnicianService.prepare(updates, true);
+
+      await ShopRouter.getShopDocument(shopId, 'technicians', tech.id).update({
+        ...profile,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return this.get(shopId, tech.id);
+    } catch (error) {
+      console.error('Error updating technician:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deactivate or reactivate a technician (their job history is kept)
+   */
+  async setActive(shopId, technicianId, active) {
+    return this.update(shopId, technicianId, { active: Boolean(active) });
+  }
+
+  /**
+   * Set a technician's skill rating
+   * @param {string} shopId - Shop ID
+   * @param {string} technicianId - Technician ID or uid
+   * @param {string} rating - 'A', 'B' or 'C'
+   * @returns {Promise<object>}
+   */
+  async setSkillRating(shopId, technicianId, rating) {
+    try {
+      TechnicianService.validateSkillRating(rating);
+      const tech = await this.get(shopId, technicianId);
+
+      await ShopRouter.getShopDocument(shopId, 'technicians', tech.id).update({
+        skillRating: rating,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return this.get(shopId, tech.id);
+    } catch (error) {
+      console.error('Error setting skill rating:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Clean up certification input
+   */
+  prepareCertification(cert = {}) {
+    const code = String(cert.code || '').trim().toUpperCase().replace(/\s+/g, '-');
+    if (!code) {
+      throw new Error('A certification code is required');
+    }
+    if (!CERTIFICATIONS[code] && !cert.name) {
+      throw new Error(`Unknown certification: ${code}. Give it a name or use one of: ${Object.keys(CERTIFICATIONS).join(', ')}`);
+    }
+
+    ['issuedAt', 'expiresAt'].forEach(field => {
+      if (cert[field] && Number.isNaN(new Date(cert[field]).getTime())) {
+        throw new Error(`Certification ${field} is not a valid date`);
+      }
+    });
+
+    return {
+      id: `${code}-${Date.now()}`,
+      code,
+      name: cert.name || CERTIFICATIONS[code],
+      number: cert.number || null,
+      issuedAt: cert.issuedAt || null,
+      expiresAt: cert.expiresAt || null
+    };
+  }
+
+  /**
+   * Add a certification; one with the same code is replaced (a renewal)
+   * @param {string} shopId - Shop ID
+   * @param {string} technicianId - Technician ID or uid
+   * @param {object} cert - { code, name, number, issuedAt, expiresAt }
+   * @returns {Promise<object>}
+   */
+  async addCertification(shopId, technicianId, cert) {
+    try {
+      const tech = await this.get(shopId, technicianId);
+      const certification = this.prepareCertification(cert);
+      const certifications = tech.certifications
+        .filter(existing => existing.code !== certification.code)
+        .map(({ status, ...existing }) => existing);
+
+      await ShopRouter.getShopDocument(shopId, 'technicians', tech.id).update({
+        certifications: [...certifications, certification],
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      console.log(`🎓 ${tech.name}: ${certification.name}`);
+      return this.get(shopId, tech.id);
+    } catch (error) {
+      console.error('Error adding certification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a certification
+   */
+  async removeCertification(shopId, technicianId, certificationId) {
+    try {
+      const tech = await this.get(shopId, technicianId);
+      if (!tech.certifications.some(cert => cert.id === certificationId)) {
+        throw new Error('Certification not found');
+      }
+
+      await ShopRouter.getShopDocument(shopId, 'technicians', tech.id).update({
+        certifications: tech.certifications
+          .filter(cert => cert.id !== certificationId)
+          .map(({ status, ...cert }) => cert),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return this.get(shopId, tech.id);
+    } catch (error) {
+      console.error('Error removing certification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Certifications expired or expiring within the given days, soonest first
+   * @param {string} shopId - Shop ID
+   * @param {number} days - Look-ahead
+   * @returns {Promise<Array>} [{ technicianId, name, certification, daysLeft }]
+   */
+  async listExpiringCertifications(shopId, days = EXPIRING_DAYS) {
+    try {
+      const now = Date.now();
+      const technicians = await this.list(shopId);
+
+      return technicians
+        .flatMap(tech => tech.certifications
+          .filter(cert => cert.expiresAt)
+          .map(cert => ({
+            technicianId: tech.id,
+            name: tech.name,
+            certification: cert,
+            daysLeft: Math.ceil((new Date(cert.expiresAt).getTime() - now) / DAY_MS)
+          })))
+        .filter(entry => entry.daysLeft <= Number(days))
+        .sort((a, b) => a.daysLeft - b.daysLeft);
+    } catch (error) {
+      console.error('Error listing expiring certifications:', error);
+      throw error;
+    }
+  }
+
+  // ==================== JOB TIME ====================
+
+  /**
+   * The technician's open job time entry, or null
+   */
+  async getActiveJob(shopId, technicianId) {
+    const snapshot = await ShopRouter.getShopCollection(shopId, 'techJobTime')
+      .where('technicianId', '==', technicianId)
+      .get();
+    const open = snapshot.docs.find(doc => !doc.data().endedAt);
+    return open ? { id: open.id, ...open.data() } : null;
+  }
+
+  /**
+   * Clock a technician onto a work order (already on it: the open entry)
+   * @param {string} shopId - Shop ID
+   * @param {string} technicianId - Technician ID or uid
+   * @param {string} workOrderId - Work order ID
+   * @param {object} options - { note }
+   * @returns {Promise<object>} The time entry
+   */
+  async startJob(shopId, technicianId, workOrderId, options = {}) {
+    try {
+      const tech = await this.get(shopId, technicianId);
+      await this.assertAvailable(shopId, tech, workOrderId);
+
+      const active = await this.getActiveJob(shopId, tech.id);
+      if (active) {
+        return active;
+      }
+
+      const entry = {
+        technicianId: tech.id,
+        workOrderId,
+        date: dateKey(),
+        startedAt: new Date().toISOString(),
+        endedAt: null,
+        hours: 0,
+        note: options.note || null
+      };
+      const ref = await ShopRouter.getShopCollection(shopId, 'techJobTime').add(entry);
+
+      console.log(`⏱️ ${tech.name} on ${workOrderId}`);
+      return { id: ref.id, ...entry };
+    } catch (error) {
+      console.error('Error starting job time:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Throw unless the technician is active and free for this work order
+   */
+  async assertAvailable(shopId, tech, workOrderId) {
+    if (!tech.active) {
+      throw new Error(`${tech.name} is inactive`);
+    }
+
+    const active = await this.getActiveJob(shopId, tech.id);
+    if (active && active.workOrderId !== workOrderId) {
+      throw new Error(`${tech.name} is already on work order ${active.workOrderId}`);
+    }
+  }
+
+  /**
+   * Clock a technician off their active job
+   * @param {string} shopId - Shop ID
+   * @param {string} technicianId - Technician ID or uid
+   * @param {object} options - { workOrderId (must match the active job), note }
+   * @returns {Promise<object>} The closed time entry
+   */
+  async stopJob(shopId, technicianId, options = {}) {
+    try {
+      const tech = await this.get(shopId, technicianId);
+      const active = await this.getActiveJob(shopId, tech.id);
+
+      if (!active || (options.workOrderId && active.workOrderId !== options.workOrderId)) {
+        throw new Error(`${tech.name} is not on ${options.workOrderId ? `work order ${options.workOrderId}` : 'a job'}`);
+      }
+
+      const endedAt = new Date().toISOString();
+      const updates = {
+        endedAt,
+        hours: round2((new Date(endedAt) - new Date(active.startedAt)) / (60 * 60 * 1000)),
+        note: options.note || active.note
+      };
+      await ShopRouter.getShopDocument(shopId, 'techJobTime', active.id).update(updates);
+
+      return { ...active, ...updates };
+    } catch (error) {
+      console.error('Error stopping job time:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Job time entries for a technician and/or work order
+   * @param {string} shopId - Shop ID
+   * @param {object} filters - { technicianId, workOrderId, from, to (YYYY-MM-DD) }
+   * @returns {Promise<Array>} Oldest first
+   */
+  async listJobTime(shopId, filters = {}) {
+    const { technicianId, workOrderId, from, to } = filters;
+    let query = ShopRouter.getShopCollection(shopId, 'techJobTime');
+    if (technicianId) query = query.where('technicianId', '==', technicianId);
+    if (workOrderId) query = query.where('workOrderId', '==', workOrderId);
+
+    const snapshot = await query.get();
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(entry => (!from || entry.date >= from) && (!to || entry.date <= to))
+      .sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+  }
+
+  /**
+   * Hours clocked on a work order, by one technician or all of them
+   * @param {string} shopId - Shop ID
+   * @param {string} workOrderId - Work order ID
+   * @param {string} technicianId - Technician ID (optional)
+   * @returns {Promise<number>}
+   */
+  async getJobHours(shopId, workOrderId, technicianId = null) {
+    const entries = await this.listJobTime(shopId, { workOrderId, technicianId });
+    return round2(entries.reduce((sum, entry) => sum + (entry.hours || 0), 0));
+  }
+
+  /**
+   * A technician's clocked job hours by day
+   * @param {string} shopId - Shop ID
+   * @param {string} technicianId - Technician ID or uid
+   * @param {object} range - { from, to } (YYYY-MM-DD, default today)
+   * @returns {Promise<object>} { technicianId, from, to, totalHours, days, activeJob }
+   */
+  async getHours(shopId, technicianId, range = {}) {
+    try {
+      const tech = await this.get(shopId, technicianId);
+      const from = range.from || dateKey();
+      const to = range.to || from;
+      const entries = await this.listJobTime(shopId, { technicianId: tech.id, from, to });
+
+      const days = new Map();
+      entries.forEach(entry => {
+        const day = days.get(entry.date) || { date: entry.date, hours: 0, jobs: [] };
+        day.hours = round2(day.hours + (entry.hours || 0));
+        day.jobs.push(entry);
+        days.set(entry.date, day);
+      });
+
+      return {
+        technicianId: tech.id,
+        name: tech.name,
+        from,
+        to,
+        totalHours: round2(entries.reduce((sum, entry) => sum + (entry.hours || 0), 0)),
+        days: Array.from(days.values()),
+        activeJob: entries.find(entry => !entry.endedAt) || await this.getActiveJob(shopId, tech.id)
+      };
+    } catch (error) {
+      console.error('Error getting technician hours:', error);
+      throw error;
+    }
+  }
+
+  // ==================== ASSIGNMENT ====================
+
+  /**
+   * What a work order's labor needs: the highest skill level on its estimate
+   * (declined lines left out), the labor guide categories, and certifications
+   * @param {string} shopId - Shop ID
+   * @param {object} workOrder - Work order
+   * @returns {Promise<object>} { skillLevel, categories, certifications: [{ codes, reason }] }
+   */
+  async getRequirements(shopId, workOrder) {
+    const laborDatabase = await this.laborGuide.getDatabase(shopId);
+    const lines = (workOrder.estimate?.lines || [])
+      .filter(line => line.type === 'labor' && line.approvalStatus !== 'declined');
+
+    let skillLevel = 'C';
+    const categories = new Set();
+    lines.forEach(line => {
+      const operation = line.operationId ? laborDatabase.getLaborOperation(line.operationId) : null;
+      const level = line.skillLevel || operation?.skillLevel;
+      if (SKILL_RANK[level] > SKILL_RANK[skillLevel]) skillLevel = level;
+      if (operation?.category) categories.add(operation.category);
+    });
+
+    return this.describeRequirements({
+      skillLevel,
+      categories: Array.from(categories),
+      highVoltage: /hybrid|electric|\bev\b|phev/i.test(workOrder.vehicle?.fuelType || '')
+    });
+  }
+
+  /**
+   * Requirements with the certifications they call for
+   */
+  describeRequirements({ skillLevel = 'C', categories = [], highVoltage = false }) {
+    return {
+      skillLevel,
+      categories,
+      highVoltage,
+      certifications: [
+        ...(categories.includes('HVAC') ? [REQUIRED_CERTIFICATIONS.HVAC] : []),
+        ...(highVoltage ? [REQUIRED_CERTIFICATIONS.highVoltage] : [])
+      ]
+    };
+  }
+
+  /**
+   * Whether a technician can take work with these requirements, and why not
+   * @returns {object} { eligible, reasons }
+   */
+  evaluate(tech, requirements) {
+    const reasons = [];
+    if (!tech.active) {
+      reasons.push('Inactive');
+    }
+
+    // Unrated technicians are treated as C
+    const rating = tech.skillRating || 'C';
+    if (SKILL_RANK[rating] < SKILL_RANK[requirements.skillLevel]) {
+      reasons.push(`Skill rating ${rating} is below the ${requirements.skillLevel} this job needs`);
+    }
+
+    requirements.certifications.forEach(required => {
+      if (!TechnicianService.hasCertification(tech, required.codes)) {
+        reasons.push(required.reason);
+      }
+    });
+
+    return { eligible: reasons.length === 0, reasons };
+  }
+
+  /**
+   * Technicians ranked for a job: qualified first, then by score (closest
+   * skill match, specialty, free now, fewest hours today)
+   * @param {string} shopId - Shop ID
+   * @param {object} job - { workOrderId } or { skillLevel, category, highVoltage }
+   * @returns {Promise<object>} { requirements, technicians }
+   */
+  async recommend(shopId, job = {}) {
+    try {
+      if (job.skillLevel) {
+        TechnicianService.validateSkillRating(job.skillLevel);
+      }
+
+      const requirements = job.workOrderId
+        ? await this.getRequirements(shopId, await this.workOrders.get(shopId, job.workOrderId))
+        : this.describeRequirements({
+          skillLevel: job.skillLevel || 'C',
+          categories: job.category ? [job.category] : [],
+          highVoltage: Boolean(job.highVoltage)
+        });
+
+      const technicians = await this.list(shopId);
+      const ranked = [];
+      for (const tech of technicians) {
+        const { eligible, reasons } = this.evaluate(tech, requirements);
+        const activeJob = await this.getActiveJob(shopId, tech.id);
+        const today = await this.listJobTime(shopId, { technicianId: tech.id, from: dateKey(), to: dateKey() });
+        const todayHours = round2(today.reduce((sum, entry) => sum + (entry.hours || 0), 0));
+
+        // An exact skill match beats an overqualified tech, so A techs stay free for A work
+        const rating = tech.skillRating || 'C';
+        const skillScore = !eligible ? 0 : (rating === requirements.skillLevel ? 15 : 10);
+        const specialtyScore = requirements.categories.some(category =>
+          tech.specialties.some(specialty => specialty.toLowerCase() === category.toLowerCase())) ? 5 : 0;
+
+        ranked.push({
+          id: tech.id,
+          name: tech.name,
+          skillRating: tech.skillRating,
+          specialties: tech.specialties,
+          eligible,
+          reasons,
+          isAvailable: !activeJob,
+          currentJob: activeJob ? activeJob.workOrderId : null,
+          todayHours,
+          score: skillScore + specialtyScore + (activeJob ? 0 : 5) + Math.max(0, 10 - todayHours)
+        });
+      }
+
+      ranked.sort((a, b) => (b.eligible - a.eligible) || (b.score - a.score) || a.name.localeCompare(b.name));
+      return { requirements, technicians: ranked };
+    } catch (error) {
+      console.error('Error recommending technicians:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Assign a work order: to the given technician if they qualify (or force),
+   * otherwise to the best qualified technician, free ones first
+   * @param {string} shopId - Shop ID
+   * @param {string} workOrderId - Work order ID
+   * @param {object} options - { technicianId, force, by }
+   * @returns {Promise<object>} { workOrder, technician, warnings }
+   */
+  async assign(shopId, workOrderId, options = {}) {
+    try {
+      const { technicianId, force = false, by = null } = options;
+      const workOrder = await this.workOrders.get(shopId, workOrderId);
+      let tech;
+      let warnings = [];
+
+      if (technicianId) {
+        tech = await this.get(shopId, technicianId);
+        const { eligible, reasons } = this.evaluate(tech, await this.getRequirements(shopId, workOrder));
+        if (!eligible && !force) {
+          throw new Error(`${tech.name} can't take this job: ${reasons.join('; ')}`);
+        }
+        warnings = reasons;
+      } else {
+        const { technicians } = await this.recommend(shopId, { workOrderId });
+        const best = technicians.find(entry => entry.eligible);
+        if (!best) {
+          throw new Error('No qualified technician for this work order');
+        }
+        tech = await this.get(shopId, best.id);
+      }
+
+      const updated = await this.workOrders.update(shopId, workOrder.id, {
+        assignedTechnicianId: tech.id,
+        assignedTechnicianName: tech.name,
+        assignedAt: new Date().toISOString(),
+        assignedBy: by
+      });
+
+      console.log(`🔧 ${workOrder.id} assigned to ${tech.name}${warnings.length > 0 ? ' (overridden)' : ''}`);
+      return { workOrder: updated, technician: tech, warnings };
+    } catch (error) {
+      console.error('Error assigning technician:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  TechnicianService,
+  SKILL_RATINGS,
+  PAY_TYPES,
+  CERTIFICATIONS
+};
@@ -0,0 +1,76 @@
+/**
+ * Signed approval links: token checks, revoking and single use
+ */
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { WorkOrderRepository } = require('../work-order-repository.js');
+const { EstimateApprovalService } = require('../estimate-approval-service.js');
+const { EstimateApprovalLinkService, ApprovalLinkError } = require('../estimate-approval-link-service.js');
+
+const repository = new WorkOrderRepository();
+const approvalLinks = new EstimateApprovalLinkService({
+  estimateApproval: new EstimateApprovalService(repository),
+  secret: 'test-secret',
+  brandingService: {},
+  photoService: {}
+});
+
+const submission = { decisions: { L1: 'approved' }, signedName: 'Pat', signature: 'data:image/png;base64,AA' };
+
+async function createEstimate(shopId) {
+  const workOrder = await repository.create(shopId, { customer: { name: 'Pat' } });
+  await repository.attachEstimate(shopId, workOrder.id, {
+    lines: [{ id: 'L1', type: 'labor', description: 'Brakes', quantity: 1, unitPrice: 100, total: 100, tax: 0 }],
+    totals: { total: 100 },
+    pricedAt: '2026-10-01T12:00:00.000Z'
+  });
+  return workOrder;
+}
+
+function rejectsWith(reason) {
+  return (error) => error instanceof ApprovalLinkError && error.reason === reason;
+}
+
+test('tokens only verify with their own signature', () => {
+  const token = approvalLinks.signToken({ s: 'shop', w: 'WO-1', l: 'AL-1', e: Date.now() + 60000 });
+  const [body, signature] = token.split('.');
+
+  assert.equal(approvalLinks.verifyToken(token).w, 'WO-1');
+  assert.throws(() => approvalLinks.verifyToken(`${body}.${signature.slice(1)}x`), rejectsWith('signature'));
+  assert.throws(() => approvalLinks.verifyToken(`${body}.${'é'.repeat(signature.length)}`), rejectsWith('signature'));
+  assert.throws(() => approvalLinks.verifyToken('not-a-token'), rejectsWith('signature'));
+});
+
+test('expired tokens are refused', () => {
+  const token = approvalLinks.signToken({ s: 'shop', w: 'WO-1', l: 'AL-1', e: Date.now() - 1000 });
+  assert.throws(() => approvalLinks.verifyToken(token), rejectsWith('expired'));
+});
+
+test('a link can only be revoked through its own estimate', async () => {
+  const workOrder = await createEstimate('link-shop-1');
+  const link = await approvalLinks.createLink('link-shop-1', workOrder.id);
+
+  await assert.rejects(approvalLinks.revokeLink('link-shop-1', 'WO-OTHER', link.linkId), rejectsWith('invalid'));
+  await approvalLinks.revokeLink('link-shop-1', workOrder.id, link.linkId);
+  await assert.rejects(approvalLinks.submitApproval(link.token, submission), rejectsWith('revoked'));
+});
+
+test('a link is answered once, even when submitted twice at the same time', async () => {
+  const workOrder = await createEstimate('link-shop-2');
+  const link = await approvalLinks.createLink('link-shop-2', workOrder.id);
+
+  const results = await Promise.allSettled([
+    approvalLinks.submitApproval(link.token, submission),
+    approvalLinks.submitApproval(link.token, submission)
+  ]);
+
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+  assert.ok(rejectsWith('used')(results.find(result => result.status === 'rejected').reason));
+
+  const after = await repository.get('link-shop-2', workOrder.id);
+  assert.equal(after.status, 'approved');
+  assert.equal(after.estimate.approvals.length, 1);
+});
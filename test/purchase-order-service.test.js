@@ -0,0 +1,64 @@
+/**
+ * Receiving and returning parts on purchase orders
+ */
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PurchaseOrderService } = require('../purchase-order-service.js');
+const { InventoryService } = require('../inventory-service.js');
+
+async function setup(shopId) {
+  const inventory = new InventoryService();
+  const purchaseOrders = new PurchaseOrderService({ inventory });
+  const item = await inventory.createItem(shopId, { sku: 'BP-1', description: 'Brake pads', quantityOnHand: 3, unitCost: 5 });
+  const po = await purchaseOrders.create(shopId, {
+    forStock: true,
+    storeName: 'Store',
+    method: 'manual',
+    lines: [{ itemId: item.id, quantity: 2, unitCost: 5 }]
+  });
+  await purchaseOrders.send(shopId, po.id);
+
+  return { inventory, purchaseOrders, item, po, lineId: po.lines[0].id };
+}
+
+test('returns need a whole quantity greater than zero', async () => {
+  const { purchaseOrders, po, lineId } = await setup('po-shop-1');
+  await purchaseOrders.receive('po-shop-1', po.id, { lines: [{ id: lineId, quantity: 2 }] });
+
+  for (const quantity of [-5, 0, 1.5, 'x']) {
+    await assert.rejects(
+      purchaseOrders.returnPart('po-shop-1', po.id, { id: lineId, quantity }),
+      /^Error: Return quantity must be a whole number greater than zero/,
+      String(quantity)
+    );
+  }
+});
+
+test('concurrent receipts never receive more than was ordered', async () => {
+  const { inventory, purchaseOrders, item, po, lineId } = await setup('po-shop-2');
+
+  const results = await Promise.allSettled([1, 2, 3].map(() =>
+    purchaseOrders.receive('po-shop-2', po.id, { lines: [{ id: lineId, quantity: 1 }] })));
+
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, 2);
+  const after = await purchaseOrders.get('po-shop-2', po.id);
+  assert.equal(after.lines[0].quantityReceived, 2);
+  assert.equal(after.status, 'received');
+  assert.equal((await inventory.getItem('po-shop-2', item.id)).quantityOnHand, 5);
+});
+
+test('returns beyond what was received are refused and the stock is put back', async () => {
+  const { inventory, purchaseOrders, item, po, lineId } = await setup('po-shop-3');
+  await purchaseOrders.receive('po-shop-3', po.id, { lines: [{ id: lineId, quantity: 2 }] });
+
+  const results = await Promise.allSettled([1, 2, 3].map(() =>
+    purchaseOrders.returnPart('po-shop-3', po.id, { id: lineId })));
+
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, 2);
+  const after = await purchaseOrders.get('po-shop-3', po.id);
+  assert.equal(after.lines[0].quantityReturned, 2);
+  assert.equal((await inventory.getItem('po-shop-3', item.id)).quantityOnHand, 3);
+});
@@ -0,0 +1,74 @@
+/**
+ * Route permissions and the unauthenticated fallback in shop-auth-middleware.js
+ */
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { authenticateShop, enforceRoutePermissions } = require('../shop-auth-middleware.js');
+
+function shopAs(role) {
+  return { id: 'shop-1', role, hasRole: (...roles) => role === 'owner' || roles.includes(role) };
+}
+
+/**
+ * Run a middleware on a fake request
+ * @returns {Promise<object>} { status (200 when it called next), req }
+ */
+async function run(middleware, request) {
+  const req = { baseUrl: '', headers: {}, socket: { remoteAddress: '127.0.0.1' }, ...request };
+  let status = 200;
+  const res = {
+    status(code) {
+      status = code;
+      return this;
+    },
+    json() {}
+  };
+
+  await middleware(req, res, () => {});
+  return { status, req };
+}
+
+test('route permissions match paths regardless of case', async () => {
+  const enforce = enforceRoutePermissions();
+
+  for (const path of ['/api/admin/cache', '/api/Admin/cache', '/API/ADMIN/cache']) {
+    const { status } = await run(enforce, { method: 'DELETE', path, shop: shopAs('tech') });
+    assert.equal(status, 403, path);
+  }
+
+  const { status } = await run(enforce, { method: 'DELETE', path: '/API/Admin/cache', shop: shopAs('owner') });
+  assert.equal(status, 200);
+});
+
+test('method-specific rules only apply to their methods', async () => {
+  const enforce = enforceRoutePermissions();
+
+  assert.equal((await run(enforce, { method: 'GET', path: '/api/Work-Orders', shop: shopAs('tech') })).status, 200);
+  assert.equal((await run(enforce, { method: 'DELETE', path: '/api/Work-Orders/WO-1', shop: shopAs('advisor') })).status, 403);
+});
+
+test('without auth configured, requests are refused unless the local dev owner flag is set', async () => {
+  const refused = await run(authenticateShop({ devOwner: false }), { method: 'GET', path: '/api/work-orders' });
+  assert.equal(refused.status, 503);
+
+  const local = await run(authenticateShop({ devOwner: true }), { method: 'GET', path: '/api/work-orders' });
+  assert.equal(local.status, 200);
+  assert.equal(local.req.shop.role, 'owner');
+
+  const proxied = await run(authenticateShop({ devOwner: true }), {
+    method: 'GET',
+    path: '/api/work-orders',
+    headers: { 'x-forwarded-for': '203.0.113.7' }
+  });
+  assert.equal(proxied.status, 503);
+
+  const remote = await run(authenticateShop({ devOwner: true }), {
+    method: 'GET',
+    path: '/api/work-orders',
+    socket: { remoteAddress: '203.0.113.7' }
+  });
+  assert.equal(remote.status, 503);
+});
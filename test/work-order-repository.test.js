@@ -0,0 +1,55 @@
+/**
+ * Work order creation and status transitions
+ */
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { WorkOrderRepository, WorkOrderTransitionError } = require('../work-order-repository.js');
+
+const repository = new WorkOrderRepository();
+
+test('create assigns the id and starts at intake whatever the request says', async () => {
+  const workOrder = await repository.create('wo-shop', {
+    id: 'HACK',
+    status: 'paid',
+    customer: { name: 'Pat' }
+  });
+
+  assert.notEqual(workOrder.id, 'HACK');
+  assert.equal(workOrder.status, 'intake');
+  assert.equal(workOrder.customer.name, 'Pat');
+});
+
+test('the transition table allows the normal flow and nothing past it', () => {
+  assert.ok(WorkOrderRepository.canTransition('intake', 'estimate'));
+  assert.ok(WorkOrderRepository.canTransition('estimate', 'approved'));
+  assert.ok(WorkOrderRepository.canTransition('ready', 'paid'));
+  assert.ok(!WorkOrderRepository.canTransition('intake', 'paid'));
+  assert.ok(!WorkOrderRepository.canTransition('closed', 'intake'));
+});
+
+test('transition refuses a move the table does not allow', async () => {
+  const workOrder = await repository.create('wo-shop', { customer: { name: 'Sam' } });
+
+  await assert.rejects(repository.transition('wo-shop', workOrder.id, 'paid'), WorkOrderTransitionError);
+
+  const moved = await repository.transition('wo-shop', workOrder.id, 'estimate');
+  assert.equal(moved.status, 'estimate');
+});
+
+test('attaching an estimate re-quotes an approved job but not one in QC', async () => {
+  const line = { id: 'L1', type: 'labor', description: 'Brakes', quantity: 1, unitPrice: 100, total: 100, tax: 0 };
+  const workOrder = await repository.create('wo-shop', { customer: { name: 'Lee' } });
+
+  await repository.attachEstimate('wo-shop', workOrder.id, { lines: [line] });
+  await repository.transition('wo-shop', workOrder.id, 'approved');
+  const requoted = await repository.attachEstimate('wo-shop', workOrder.id, { lines: [line] });
+  assert.equal(requoted.status, 'estimate');
+
+  await repository.transition('wo-shop', workOrder.id, 'approved');
+  await repository.transition('wo-shop', workOrder.id, 'in_progress');
+  await repository.transition('wo-shop', workOrder.id, 'qc');
+  await assert.rejects(repository.attachEstimate('wo-shop', workOrder.id, { lines: [line] }), WorkOrderTransitionError);
+});
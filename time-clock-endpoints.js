@@ -0,0 +1,279 @@
+/**
+ * Time Clock API Endpoints
+ * Technician punches and breaks, clocking on and off jobs, flagged hours,
+ * productivity/efficiency reports and the payroll export
+ *
+ * Technicians can only punch and clock themselves; advisors can do it for anyone.
+ */
+
+const { getShopId } = require('./shop-auth-middleware.js');
+
+function sendTimeClockError(res, error) {
+    if (/^(Technician not found|Work order not found|Shift not found)$/.test(error.message)) {
+        return res.status(404).json({ success: false, error: error.message });
+    }
+
+    if (/^Technicians can only/.test(error.message)) {
+        return res.status(403).json({ success: false, error: error.message });
+    }
+
+    if (/( is inactive| is already punched in| is not punched in| is already on a break| is not on a break| is already on work order | is not on )/.test(error.message)) {
+        return res.status(409).json({ success: false, error: error.message });
+    }
+
+    if (/^(Break type must be|A reason is required|Not a valid time|Punch out must be after|Flagged hours must be|Flags must be|Payroll needs|Unknown export format)/.test(error.message)) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    res.status(500).json({ success: false, error: error.message });
+}
+
+/**
+ * @param {object} app - Express app
+ * @param {TimeClockService} timeClock - Time clock service
+ */
+function registerTimeClockEndpoints(app, timeClock) {
+    const getUser = (req) => req.body?.by || req.shop?.email || 'Staff';
+
+    /**
+     * The technician in :id (ID or staff uid); technicians may only reach themselves
+     */
+    const getOwnTechnician = async (req) => {
+        const tech = await timeClock.technicians.get(getShopId(req), req.params.id);
+        if (req.shop && !req.shop.hasRole('advisor') && tech.uid !== req.shop.uid) {
+            throw new Error('Technicians can only use their own time clock');
+        }
+        return tech;
+    };
+
+    /**
+     * GET /api/time-clock/board
+     * Every active technician: punched in, on a break, on which job
+     */
+    app.get('/api/time-clock/board', async (req, res) => {
+        try {
+            const board = await timeClock.getBoard(getShopId(req));
+            res.json({ success: true, technicians: board });
+        } catch (error) {
+            sendTimeClockError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/time-clock/technicians/:id
+     * A technician's time clock status
+     */
+    app.get('/api/time-clock/technicians/:id', async (req, res) => {
+        try {
+            const tech = await getOwnTechnician(req);
+            const status = await timeClock.getStatus(getShopId(req), tech.id);
+            res.json({ success: true, status });
+        } catch (error) {
+            sendTimeClockError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/time-clock/technicians/:id/shifts
+     * Shifts with hours worked and breaks (optional ?from=&to=, YYYY-MM-DD)
+     */
+    app.get('/api/time-clock/technicians/:id/shifts', async (req, res) => {
+        try {
+            const tech = await getOwnTechnician(req);
+            const shifts = await timeClock.listShifts(getShopId(req), {
+                technicianId: tech.id,
+                from: req.query.from,
+                to: req.query.to
+            });
+            res.json({ success: true, shifts });
+        } catch (error) {
+            sendTimeClockError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/time-clock/technicians/:id/punch-in
+     * Body: { note }
+     */
+    app.post('/api/time-clock/technicians/:id/punch-in', async (req, res) => {
+        try {
+            const tech = await getOwnTechnician(req);
+            const shift = await timeClock.punchIn(getShopId(req), tech.id, { note: req.body.note, by: getUser(req) });
+            res.status(201).json({ success: true, shift });
+        } catch (error) {
+            sendTimeClockError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/time-clock/technicians/:id/punch-out
+     * Ends any break and clocks off any job
+     * Body: { note }
+     */
+    app.post('/api/time-clock/technicians/:id/punch-out', async (req, res) => {
+        try {
+            const tech = await getOwnTechnician(req);
+            const shift = await timeClock.punchOut(getShopId(req), tech.id, { note: req.body.note, by: getUser(req) });
+            res.json({ success: true, shift });
+        } catch (error) {
+            sendTimeClockError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/time-clock/technicians/:id/breaks/start
+     * Clocks off any job until the break ends
+     * Body: { type: rest (paid) | lunch (unpaid) }
+     */
+    app.post('/api/time-clock/technicians/:id/breaks/start', async (req, res) => {
+        try {
+            const tech = await getOwnTechnician(req);
+            const shift = await timeClock.startBreak(getShopId(req), tech.id, { type: req.body.type });
+            res.json({ success: true, shift });
+        } catch (error) {
+            sendTimeClockError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/time-clock/technicians/:id/breaks/end
+     * Body: { resumeJob (default true: clock back onto the job the break interrupted) }
+     */
+    app.post('/api/time-clock/technicians/:id/breaks/end', async (req, res) => {
+        try {
+            const tech = await getOwnTechnician(req);
+            const shift = await timeClock.endBreak(getShopId(req), tech.id, { resumeJob: req.body.resumeJob });
+            res.json({ success: true, shift });
+        } catch (error) {
+            sendTimeClockError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/time-clock/technicians/:id/jobs/:workOrderId/clock-on
+     * Clock onto a work order (punches in first if needed); several technicians can be on one job
+     */
+    app.post('/api/time-clock/technicians/:id/jobs/:workOrderId/clock-on', async (req, res) => {
+        try {
+            const tech = await getOwnTechnician(req);
+            const timeEntry = await timeClock.clockOnJob(getShopId(req), tech.id, req.params.workOrderId);
+            res.json({ success: true, timeEntry });
+        } catch (error) {
+            sendTimeClockError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/time-clock/technicians/:id/jobs/:workOrderId/clock-off
+     */
+    app.post('/api/time-clock/technicians/:id/jobs/:workOrderId/clock-off', async (req, res) => {
+        try {
+            const tech = await getOwnTechnician(req);
+            const timeEntry = await timeClock.clockOffJob(getShopId(req), tech.id, req.params.workOrderId);
+            res.json({ success: true, timeEntry });
+        } catch (error) {
+            sendTimeClockError(res, error);
+        }
+    });
+
+    /**
+     * PUT /api/time-clock/shifts/:shiftId
+     * Correct a shift's punches
+     * Body: { clockInAt, clockOutAt, reason }
+     */
+    app.put('/api/time-clock/shifts/:shiftId', async (req, res) => {
+        try {
+            const { clockInAt, clockOutAt, reason } = req.body;
+            const shift = await timeClock.adjustShift(getShopId(req), req.params.shiftId, {
+                clockInAt,
+                clockOutAt,
+                reason,
+                by: getUser(req)
+            });
+            res.json({ success: true, shift });
+        } catch (error) {
+            sendTimeClockError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/time-clock/jobs/:workOrderId/flags
+     * Flagged hours on a work order, with the time clocked on it
+     */
+    app.get('/api/time-clock/jobs/:workOrderId/flags', async (req, res) => {
+        try {
+            const shopId = getShopId(req);
+            await timeClock.workOrders.get(shopId, req.params.workOrderId);
+            const flags = await timeClock.getFlags(shopId, req.params.workOrderId);
+            const timeEntries = await timeClock.technicians.listJobTime(shopId, { workOrderId: req.params.workOrderId });
+            res.json({ success: true, flags, timeEntries });
+        } catch (error) {
+            sendTimeClockError(res, error);
+        }
+    });
+
+    /**
+     * PUT /api/time-clock/jobs/:workOrderId/flags
+     * Set each technician's flagged hours, or re-split the estimate's hours by clocked time without flags
+     * Body: { flags: [{ technicianId, hours }] }
+     */
+    app.put('/api/time-clock/jobs/:workOrderId/flags', async (req, res) => {
+        try {
+            if (req.body.flags !== undefined && !Array.isArray(req.body.flags)) {
+                throw new Error('Flags must be a list of { technicianId, hours }');
+            }
+
+            const flags = await timeClock.flagJob(getShopId(req), req.params.workOrderId, {
+                flags: req.body.flags,
+                resplit: !req.body.flags,
+                by: getUser(req)
+            });
+            res.json({ success: true, flags });
+        } catch (error) {
+            sendTimeClockError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/time-clock/efficiency
+     * Hours worked, time on jobs, flagged hours, productivity and efficiency per technician
+     * (optional ?from=&to=, YYYY-MM-DD, default today; ?technicianId=)
+     */
+    app.get('/api/time-clock/efficiency', async (req, res) => {
+        try {
+            const report = await timeClock.getEfficiencyReport(getShopId(req), {
+                from: req.query.from,
+                to: req.query.to,
+                technicianId: req.query.technicianId
+            });
+            res.json({ success: true, report });
+        } catch (error) {
+            sendTimeClockError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/time-clock/payroll
+     * Payroll for a pay period (?from=&to=, YYYY-MM-DD; ?format=json or csv)
+     */
+    app.get('/api/time-clock/payroll', async (req, res) => {
+        try {
+            const format = req.query.format || 'json';
+            const payroll = await timeClock.exportPayroll(getShopId(req), {
+                from: req.query.from,
+                to: req.query.to
+            }, format);
+
+            if (format === 'csv') {
+                res.set('Content-Type', 'text/csv');
+                res.set('Content-Disposition', `attachment; filename="payroll-${req.query.from}-to-${req.query.to}.csv"`);
+                return res.send(payroll);
+            }
+            res.json({ success: true, payroll });
+        } catch (error) {
+            sendTimeClockError(res, error);
+        }
+    });
+}
+
+module.exports = registerTimeClockEndpoints;
@@ -0,0 +1,703 @@
+/**
+ * Time Clock Service
+ * Technician shifts, breaks, time on jobs and flagged hours, per shop
+ *
+ * - Shifts ('timePunches'): a punch in, a punch out and the breaks between.
+ *   Rest breaks are paid, lunch is not. Hours worked are the shift less unpaid breaks.
+ * - Job time ('techJobTime', kept by TechnicianService): clock-on/clock-off
+ *   per technician per work order. Several technicians can be on one job.
+ *   Clocking on punches a technician in; a break or punching out clocks them off.
+ * - Flagged hours ('jobFlags', one per work order): the labor hours sold on
+ *   the estimate, which is what flat-rate technicians are paid. They are split
+ *   between the technicians by their time on the job, or set by an advisor.
+ *
+ * Productivity is time on jobs over hours worked. Efficiency is flagged hours
+ * over time on jobs. Overall is flagged hours over hours worked.
+ */
+
+const { ShopRouter } = require('./firebase-config');
+const admin = require('firebase-admin');
+const { WorkOrderRepository } = require('./work-order-repository');
+const { TechnicianService } = require('./technician-service');
+const { dateKey } = require('./shop-time');
+
+const BREAK_TYPES = {
+  rest: { paid: true },
+  lunch: { paid: false }
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function round2(value) {
+  return Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+}
+
+function hoursBetween(start, end) {
+  return Math.max(0, (new Date(end) - new Date(start)) / HOUR_MS);
+}
+
+function percent(part, whole) {
+  return whole > 0 ? round2((part / whole) * 100) : 0;
+}
+
+function csvCell(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class TimeClockService {
+  /**
+   * @param {object} options - { workOrders (WorkOrderRepository), technicians (TechnicianService) }
+   */
+  constructor(options = {}) {
+    this.workOrders = options.workOrders || new WorkOrderRepository();
+    this.technicians = options.technicians || new TechnicianService({ workOrders: this.workOrders });
+  }
+
+  /**
+   * Hours in a shift: worked (less unpaid breaks), paid and unpaid break time.
+   * Open shifts and breaks count up to now.
+   */
+  static shiftHours(shift, now = new Date()) {
+    const end = shift.clockOutAt || now.toISOString();
+    let paidBreakHours = 0;
+    let unpaidBreakHours = 0;
+
+    (shift.breaks || []).forEach(entry => {
+      const hours = hoursBetween(entry.startedAt, entry.endedAt || end);
+      if (entry.paid) paidBreakHours += hours;
+      else unpaidBreakHours += hours;
+    });
+
+    return {
+      shiftHours: round2(hoursBetween(shift.clockInAt, end)),
+      hoursWorked: round2(hoursBetween(shift.clockInAt, end) - unpaidBreakHours),
+      paidBreakHours: round2(paidBreakHours),
+      unpaidBreakHours: round2(unpaidBreakHours)
+    };
+  }
+
+  /**
+   * Labor hours and sales on a work order's estimate (declined lines left out)
+   */
+  static laborOf(workOrder) {
+    const lines = (workOrder.estimate?.lines || [])
+      .filter(line => line.type === 'labor' && line.approvalStatus !== 'declined');
+
+    return {
+      laborHours: round2(lines.reduce((sum, line) => sum + (Number(line.hours) || 0), 0)),
+      laborTotal: round2(lines.reduce((sum, line) => sum + (Number(line.total) || 0), 0))
+    };
+  }
+
+  withHours(doc) {
+    const shift = { id: doc.id, ...doc.data() };
+    return { ...shift, ...TimeClockService.shiftHours(shift), open: !shift.clockOutAt };
+  }
+
+  // ==================== SHIFTS ====================
+
+  /**
+   * The technician's open shift, or null
+   */
+  async getOpenShift(shopId, technicianId) {
+    const snapshot = await ShopRouter.getShopCollection(shopId, 'timePunches')
+      .where('technicianId', '==', technicianId)
+      .get();
+    const open = snapshot.docs.find(doc => !doc.data().clockOutAt);
+    return open ? this.withHours(open) : null;
+  }
+
+  /**
+   * Where a technician is: punched in, on a break, on a job
+   * @param {string} shopId - Shop ID
+   * @param {string} technicianId - Technician ID or uid
+   * @returns {Promise<object>} { technicianId, name, punchedIn, onBreak, shift, activeJob }
+   */
+  async getStatus(shopId, technicianId) {
+    try {
+      const tech = await this.technicians.get(shopId, technicianId);
+      const shift = await this.getOpenShift(shopId, tech.id);
+
+      return {
+        technicianId: tech.id,
+        name: tech.name,
+        punchedIn: Boolean(shift),
+        onBreak: Boolean(shift?.breaks.some(entry => !entry.endedAt)),
+        shift,
+        activeJob: await this.technicians.getActiveJob(shopId, tech.id)
+      };
+    } catch (error) {
+      console.error('Error getting time clock status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Every active technician's status (the shop floor board)
+   */
+  async getBoard(shopId) {
+    try {
+      const technicians = await this.technicians.list(shopId);
+      const board = [];
+      for (const tech of technicians) {
+        board.push(await this.getStatus(shopId, tech.id));
+      }
+      return board;
+    } catch (error) {
+      console.error('Error getting time clock board:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Punch in
+   * @param {string} shopId - Shop ID
+   * @param {string} technicianId - Technician ID or uid
+   * @param {object} options - { note, by }
+   * @returns {Promise<object>} The shift
+   */
+  async punchIn(shopId, technicianId, options = {}) {
+    try {
+      const tech = await this.technicians.get(shopId, technicianId);
+      if (!tech.active) {
+        throw new Error(`${tech.name} is inactive`);
+      }
+
+      const now = new Date().toISOString();
+      const punches = ShopRouter.getShopCollection(shopId, 'timePunches');
+      const ref = punches.doc();
+      const techRef = ShopRouter.getShopDocument(shopId, 'technicians', tech.id);
+
+      // The open-shift check and the new shift go in one transaction, so a double
+      // tap or a retry can't open two shifts. Both punch-ins also write the
+      // technician, which makes Firestore retry the later one against the new shift.
+      await ShopRouter.runTransaction(async (transaction) => {
+        await transaction.get(techRef);
+        const snapshot = await transaction.get(punches.where('technicianId', '==', tech.id));
+        if (snapshot.docs.some(doc => !doc.data().clockOutAt)) {
+          throw new Error(`${tech.name} is already punched in`);
+        }
+
+        transaction.set(ref, {
+          technicianId: tech.id,
+          date: dateKey(now),
+          clockInAt: now,
+          clockOutAt: null,
+          breaks: [],
+          note: options.note || null,
+          punchedInBy: options.by || tech.name,
+          createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        transaction.update(techRef, { lastPunchInAt: now });
+      });
+
+      console.log(`🕐 ${tech.name} punched in`);
+      return this.withHours(await ShopRouter.getShopDocument(shopId, 'timePunches', ref.id).get());
+    } catch (error) {
+      console.error('Error punching in:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Punch out, ending any break and clocking off any job
+   * @param {string} shopId - Shop ID
+   * @param {string} technicianId - Technician ID or uid
+   * @param {object} options - { note, by }
+   * @returns {Promise<object>} The closed shift
+   */
+  async punchOut(shopId, technicianId, options = {}) {
+    try {
+      const tech = await this.technicians.get(shopId, technicianId);
+      const shift = await this.requireShift(shopId, tech);
+
+      if (await this.technicians.getActiveJob(shopId, tech.id)) {
+        await this.technicians.stopJob(shopId, tech.id);
+      }
+
+      const now = new Date().toISOString();
+      await ShopRouter.getShopDocument(shopId, 'timePunches', shift.id).update({
+        clockOutAt: now,
+        breaks: shift.breaks.map(entry => (entry.endedAt ? entry : { ...entry, endedAt: now })),
+        note: options.note || shift.note,
+        punchedOutBy: options.by || tech.name
+      });
+
+      console.log(`🕔 ${tech.name} punched out`);
+      return this.withHours(await ShopRouter.getShopDocument(shopId, 'timePunches', shift.id).get());
+    } catch (error) {
+      console.error('Error punching out:', error);
+      throw error;
+    }
+  }
+
+  async requireShift(shopId, tech) {
+    const shift = await this.getOpenShift(shopId, tech.id);
+    if (!shift) {
+      throw new Error(`${tech.name} is not punched in`);
+    }
+    return shift;
+  }
+
+  /**
+   * Start a break, clocking off any job
+   * @param {string} shopId - Shop ID
+   * @param {string} technicianId - Technician ID or uid
+   * @param {object} options - { type: 'rest' (paid) | 'lunch' (unpaid) }
+   * @returns {Promise<object>} The shift
+   */
+  async startBreak(shopId, technicianId, options = {}) {
+    try {
+      const type = options.type || 'rest';
+      if (!BREAK_TYPES[type]) {
+        throw new Error(`Break type must be one of: ${Object.keys(BREAK_TYPES).join(', ')}`);
+      }
+
+      const tech = await this.technicians.get(shopId, technicianId);
+      const shift = await this.requireShift(shopId, tech);
+      if (shift.breaks.some(entry => !entry.endedAt)) {
+        throw new Error(`${tech.name} is already on a break`);
+      }
+
+      const activeJob = await this.technicians.getActiveJob(shopId, tech.id);
+      if (activeJob) {
+        await this.technicians.stopJob(shopId, tech.id);
+      }
+
+      await ShopRouter.getShopDocument(shopId, 'timePunches', shift.id).update({
+        breaks: [...shift.breaks, {
+          type,
+          paid: BREAK_TYPES[type].paid,
+          startedAt: new Date().toISOString(),
+          endedAt: null,
+          // The job to go back to after the break
+          workOrderId: activeJob ? activeJob.workOrderId : null
+        }]
+      });
+
+      return this.withHours(await ShopRouter.getShopDocument(shopId, 'timePunches', shift.id).get());
+    } catch (error) {
+      console.error('Error starting break:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * End the current break
+   * @param {string} shopId - Shop ID
+   * @param {string} technicianId - Technician ID or uid
+   * @param {object} options - { resumeJob: clock back onto the job the break interrupted (default true) }
+   * @returns {Promise<object>} The shift
+   */
+  async endBreak(shopId, technicianId, options = {}) {
+    try {
+      const tech = await this.technicians.get(shopId, technicianId);
+      const shift = await this.requireShift(shopId, tech);
+      const current = shift.breaks.find(entry => !entry.endedAt);
+      if (!current) {
+        throw new Error(`${tech.name} is not on a break`);
+      }
+
+      await ShopRouter.getShopDocument(shopId, 'timePunches', shift.id).update({
+        breaks: shift.breaks.map(entry => (entry === current ? { ...entry, endedAt: new Date().toISOString() } : entry))
+      });
+
+      if (current.workOrderId && options.resumeJob !== false) {
+        await this.technicians.startJob(shopId, tech.id, current.workOrderId);
+      }
+
+      return this.withHours(await ShopRouter.getShopDocument(shopId, 'timePunches', shift.id).get());
+    } catch (error) {
+      console.error('Error ending break:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Correct a shift's punches (a forgotten punch out, a late punch in)
+   * @param {string} shopId - Shop ID
+   * @param {string} shiftId - Shift ID
+   * @param {object} changes - { clockInAt, clockOutAt, reason, by }
+   * @returns {Promise<object>} The shift
+   */
+  async adjustShift(shopId, shiftId, changes = {}) {
+    try {
+      const ref = ShopRouter.getShopDocument(shopId, 'timePunches', shiftId);
+      const doc = await ref.get();
+      if (!doc.exists) {
+        throw new Error('Shift not found');
+      }
+      if (!changes.reason) {
+        throw new Error('A reason is required to adjust a shift');
+      }
+
+      const shift = doc.data();
+      const clockInAt = changes.clockInAt || shift.clockInAt;
+      const clockOutAt = changes.clockOutAt !== undefined ? changes.clockOutAt : shift.clockOutAt;
+      [clockInAt, clockOutAt].filter(Boolean).forEach(value => {
+        if (Number.isNaN(new Date(value).getTime())) {
+          throw new Error(`Not a valid time: ${value}`);
+        }
+      });
+      if (clockOutAt && new Date(clockOutAt) <= new Date(clockInAt)) {
+        throw new Error('Punch out must be after punch in');
+      }
+
+      await ref.update({
+        clockInAt: new Date(clockInAt).toISOString(),
+        clockOutAt: clockOutAt ? new Date(clockOutAt).toISOString() : null,
+        date: dateKey(clockInAt),
+        adjustments: admin.firestore.FieldValue.arrayUnion({
+          from: { clockInAt: shift.clockInAt, clockOutAt: shift.clockOutAt },
+          reason: changes.reason,
+          by: changes.by || null,
+          at: new Date().toISOString()
+        })
+      });
+
+      return this.withHours(await ref.get());
+    } catch (error) {
+      console.error('Error adjusting shift:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Shifts, oldest first
+   * @param {string} shopId - Shop ID
+   * @param {object} filters - { technicianId, from, to (YYYY-MM-DD) }
+   * @returns {Promise<Array>}
+   */
+  async listShifts(shopId, filters = {}) {
+    try {
+      const { technicianId, from, to } = filters;
+      let query = ShopRouter.getShopCollection(shopId, 'timePunches');
+      if (technicianId) {
+        const tech = await this.technicians.get(shopId, technicianId);
+        query = query.where('technicianId', '==', tech.id);
+      }
+
+      const snapshot = await query.get();
+      return snapshot.docs
+        .map(doc => this.withHours(doc))
+        .filter(shift => (!from || shift.date >= from) && (!to || shift.date <= to))
+        .sort((a, b) => a.clockInAt.localeCompare(b.clockInAt));
+    } catch (error) {
+      console.error('Error listing shifts:', error);
+      throw error;
+    }
+  }
+
+  // ==================== JOB CLOCK ====================
+
+  /**
+   * Clock onto a work order; punches the technician in (or ends their break) first
+   * @param {string} shopId - Shop ID
+   * @param {string} technicianId - Technician ID or uid
+   * @param {string} workOrderId - Work order ID
+   * @returns {Promise<object>} The job time entry
+   */
+  async clockOnJob(shopId, technicianId, workOrderId) {
+    try {
+      const tech = await this.technicians.get(shopId, technicianId);
+      await this.technicians.assertAvailable(shopId, tech, workOrderId);
+      await this.workOrders.get(shopId, workOrderId);
+
+      const shift = await this.getOpenShift(shopId, tech.id);
+      if (!shift) {
+        await this.punchIn(shopId, tech.id);
+      } else if (shift.breaks.some(entry => !entry.endedAt)) {
+        await this.endBreak(shopId, tech.id, { resumeJob: false });
+      }
+
+      return this.technicians.startJob(shopId, tech.id, workOrderId);
+    } catch (error) {
+      console.error('Error clocking onto job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Clock off a work order
+   */
+  async clockOffJob(shopId, technicianId, workOrderId) {
+    return this.technicians.stopJob(shopId, technicianId, { workOrderId });
+  }
+
+  /**
+   * Clock everyone off a work order (it's finished or on hold)
+   * @returns {Promise<Array>} Closed time entries
+   */
+  async clockOffAll(shopId, workOrderId) {
+    const entries = await this.technicians.listJobTime(shopId, { workOrderId });
+    const closed = [];
+    for (const entry of entries.filter(item => !item.endedAt)) {
+      closed.push(await this.technicians.stopJob(shopId, entry.technicianId, { workOrderId }));
+    }
+    return closed;
+  }
+
+  // ==================== FLAGGED HOURS ====================
+
+  /**
+   * Flagged hours on a work order, or null if it hasn't been flagged
+   */
+  async getFlags(shopId, workOrderId) {
+    const doc = await ShopRouter.getShopDocument(shopId, 'jobFlags', workOrderId).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  }
+
+  /**
+   * Flag a work order's labor hours to its technicians
+   *
+   * With flags, an advisor sets each technician's hours. Without, the
+   * estimate's labor hours are split by time clocked on the job (all to the
+   * assigned technician if nobody clocked on). Automatic flagging leaves
+   * hours an advisor set alone unless asked to resplit.
+   *
+   * @param {string} shopId - Shop ID
+   * @param {string} workOrderId - Work order ID
+   * @param {object} options - { flags: [{ technicianId, hours }], resplit, by }
+   * @returns {Promise<object|null>} The flags, or null when there was nothing to flag
+   */
+  async flagJob(shopId, workOrderId, options = {}) {
+    try {
+      const workOrder = await this.workOrders.get(shopId, workOrderId);
+      const { laborHours, laborTotal } = TimeClockService.laborOf(workOrder);
+      const existing = await this.getFlags(shopId, workOrderId);
+      const manual = Array.isArray(options.flags);
+      const timeEntries = await this.technicians.listJobTime(shopId, { workOrderId });
+
+      if (!manual && existing && !existing.auto && !options.resplit) {
+        return existing;
+      }
+
+      let flags;
+      if (manual) {
+        flags = [];
+        for (const flag of options.flags) {
+          const hours = Number(flag.hours);
+          if (!(hours >= 0)) {
+            throw new Error('Flagged hours must be zero or more');
+          }
+          const tech = await this.technicians.get(shopId, flag.technicianId);
+          flags.push({ technicianId: tech.id, name: tech.name, hours: round2(hours) });
+        }
+      } else {
+        const byTech = new Map();
+        timeEntries.forEach(entry => byTech.set(entry.technicianId, (byTech.get(entry.technicianId) || 0) + (entry.hours || 0)));
+        const clocked = Array.from(byTech.values()).reduce((sum, hours) => sum + hours, 0);
+
+        if (clocked === 0 && workOrder.assignedTechnicianId) {
+          byTech.clear();
+          byTech.set(workOrder.assignedTechnicianId, 1);
+        }
+        const shares = Array.from(byTech.values()).reduce((sum, hours) => sum + hours, 0);
+        if (laborHours === 0 || shares === 0) {
+          return null;
+        }
+
+        flags = [];
+        for (const [technicianId, share] of byTech) {
+          const tech = await this.technicians.get(shopId, technicianId);
+          flags.push({ technicianId: tech.id, name: tech.name, hours: round2(laborHours * share / shares) });
+        }
+      }
+
+      // Flags count on the day work started (first clock-on), not the day they were set
+      const clockedOn = timeEntries.map(entry => entry.startedAt).filter(Boolean).sort()[0];
+      const record = {
+        workOrderId,
+        date: clockedOn ? dateKey(clockedOn) : (existing?.date || dateKey()),
+        laborHours,
+        laborTotal,
+        flags,
+        flaggedHours: round2(flags.reduce((sum, flag) => sum + flag.hours, 0)),
+        auto: !manual,
+        flaggedBy: options.by || null,
+        flaggedAt: new Date().toISOString()
+      };
+      await ShopRouter.getShopDocument(shopId, 'jobFlags', workOrderId).set(record);
+
+      console.log(`🚩 ${workOrderId}: ${flags.map(flag => `${flag.name} ${flag.hours}h`).join(', ')}`);
+      return { id: workOrderId, ...record };
+    } catch (error) {
+      console.error('Error flagging job:', error);
+      throw error;
+    }
+  }
+
+  // ==================== REPORTS ====================
+
+  /**
+   * Hours worked, time on jobs and flagged hours per technician for a period
+   * @param {string} shopId - Shop ID
+   * @param {object} range - { from, to (YYYY-MM-DD, default today), technicianId }
+   * @returns {Promise<object>} { from, to, technicians, summary }
+   */
+  async getEfficiencyReport(shopId, range = {}) {
+    try {
+      const from = range.from || dateKey();
+      const to = range.to || from;
+      const technicians = range.technicianId
+        ? [await this.technicians.get(shopId, range.technicianId)]
+        : await this.technicians.list(shopId, { includeInactive: true });
+
+      const shifts = await this.listShifts(shopId, { from, to });
+      const jobTime = await this.technicians.listJobTime(shopId, { from, to });
+      const flagsSnapshot = await ShopRouter.getShopCollection(shopId, 'jobFlags').get();
+      const jobFlags = flagsSnapshot.docs
+        .map(doc => doc.data())
+        .filter(record => record.date >= from && record.date <= to);
+
+      const rows = technicians.map(tech => {
+        const own = shifts.filter(shift => shift.technicianId === tech.id);
+        const hoursWorked = round2(own.reduce((sum, shift) => sum + shift.hoursWorked, 0));
+        const jobHours = round2(jobTime
+          .filter(entry => entry.technicianId === tech.id)
+          .reduce((sum, entry) => sum + (entry.endedAt ? entry.hours : hoursBetween(entry.startedAt, new Date())), 0));
+
+        let flaggedHours = 0;
+        let laborSales = 0;
+        let jobsFlagged = 0;
+        jobFlags.forEach(record => {
+          const flag = record.flags.find(entry => entry.technicianId === tech.id);
+          if (!flag) return;
+          jobsFlagged++;
+          flaggedHours += flag.hours;
+          // Sales follow the hours: a technician's share of the job's labor
+          laborSales += record.flaggedHours > 0 ? record.laborTotal * flag.hours / record.flaggedHours : 0;
+        });
+
+        return {
+          technicianId: tech.id,
+          name: tech.name,
+          payType: tech.payType,
+          shifts: own.length,
+          hoursWorked,
+          paidBreakHours: round2(own.reduce((sum, shift) => sum + shift.paidBreakHours, 0)),
+          unpaidBreakHours: round2(own.reduce((sum, shift) => sum + shift.unpaidBreakHours, 0)),
+          jobHours,
+          flaggedHours: round2(flaggedHours),
+          jobsFlagged,
+          laborSales: round2(laborSales),
+          productivity: percent(jobHours, hoursWorked),
+          efficiency: percent(flaggedHours, jobHours),
+          overall: percent(flaggedHours, hoursWorked)
+        };
+      });
+
+      const total = (field) => round2(rows.reduce((sum, row) => sum + row[field], 0));
+      return {
+        from,
+        to,
+        technicians: rows,
+        summary: {
+          hoursWorked: total('hoursWorked'),
+          jobHours: total('jobHours'),
+          flaggedHours: total('flaggedHours'),
+          laborSales: total('laborSales'),
+          productivity: percent(total('jobHours'), total('hoursWorked')),
+          efficiency: percent(total('flaggedHours'), total('jobHours')),
+          overall: percent(total('flaggedHours'), total('hoursWorked'))
+        }
+      };
+    } catch (error) {
+      console.error('Error generating efficiency report:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Payroll for a period: a row per technician per day with hours worked,
+   * flagged hours, and pay by the technician's pay type
+   * @param {string} shopId - Shop ID
+   * @param {object} range - { from, to (YYYY-MM-DD) }
+   * @param {string} format - 'json' or 'csv'
+   * @returns {Promise<object|string>} { from, to, rows, totals, openShifts } or CSV text
+   */
+  async exportPayroll(shopId, range = {}, format = 'json') {
+    try {
+      if (!['json', 'csv'].includes(format)) {
+        throw new Error(`Unknown export format: ${format}. Expected json or csv`);
+      }
+      if (!range.from || !range.to) {
+        throw new Error('Payroll needs a from and to date');
+      }
+
+      const { from, to } = range;
+      const technicians = await this.technicians.list(shopId, { includeInactive: true });
+      const shifts = await this.listShifts(shopId, { from, to });
+      const flagsSnapshot = await ShopRouter.getShopCollection(shopId, 'jobFlags').get();
+      const jobFlags = flagsSnapshot.docs
+        .map(doc => doc.data())
+        .filter(record => record.date >= from && record.date <= to);
+
+      const rows = [];
+      technicians.forEach(tech => {
+        const days = new Set([
+          ...shifts.filter(shift => shift.technicianId === tech.id).map(shift => shift.date),
+          ...jobFlags.filter(record => record.flags.some(flag => flag.technicianId === tech.id)).map(record => record.date)
+        ]);
+
+        Array.from(days).sort().forEach(date => {
+          const dayShifts = shifts.filter(shift => shift.technicianId === tech.id && shift.date === date);
+          const flaggedHours = round2(jobFlags
+            .filter(record => record.date === date)
+            .reduce((sum, record) => sum + (record.flags.find(flag => flag.technicianId === tech.id)?.hours || 0), 0));
+          const hoursWorked = round2(dayShifts.reduce((sum, shift) => sum + shift.hoursWorked, 0));
+          const payableHours = tech.payType === 'hourly' ? hoursWorked : flaggedHours;
+
+          rows.push({
+            technicianId: tech.id,
+            name: tech.name,
+            date,
+            payType: tech.payType,
+            clockIn: dayShifts[0]?.clockInAt || null,
+            clockOut: dayShifts.length > 0 ? dayShifts[dayShifts.length - 1].clockOutAt : null,
+            unpaidBreakHours: round2(dayShifts.reduce((sum, shift) => sum + shift.unpaidBreakHours, 0)),
+            hoursWorked,
+            flaggedHours,
+            payableHours,
+            hourlyRate: tech.hourlyRate || 0,
+            grossPay: round2(payableHours * (tech.hourlyRate || 0)),
+            openShift: dayShifts.some(shift => shift.open)
+          });
+        });
+      });
+
+      if (format === 'csv') {
+        const header = ['Technician ID', 'Technician', 'Date', 'Pay Type', 'Clock In', 'Clock Out', 'Unpaid Break Hours',
+          'Hours Worked', 'Flagged Hours', 'Payable Hours', 'Rate', 'Gross Pay', 'Open Shift'];
+        return [header.join(','), ...rows.map(row => [
+          row.technicianId, row.name, row.date, row.payType, row.clockIn, row.clockOut, row.unpaidBreakHours,
+          row.hoursWorked, row.flaggedHours, row.payableHours, row.hourlyRate, row.grossPay, row.openShift ? 'yes' : ''
+        ].map(csvCell).join(','))].join('\n');
+      }
+
+      const total = (field) => round2(rows.reduce((sum, row) => sum + row[field], 0));
+      return {
+        from,
+        to,
+        rows,
+        totals: {
+          hoursWorked: total('hoursWorked'),
+          flaggedHours: total('flaggedHours'),
+          payableHours: total('payableHours'),
+          grossPay: total('grossPay')
+        },
+        // Still punched in: their hours count up to now and will change
+        openShifts: rows.filter(row => row.openShift).map(row => ({ technicianId: row.technicianId, name: row.name, date: row.date }))
+      };
+    } catch (error) {
+      console.error('Error exporting payroll:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  TimeClockService,
+  BREAK_TYPES
+};
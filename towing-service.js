@@ -454,22 +454,6 @@ class TowingService {
 </style>
     `.trim();
   }
-}
-
-module.exports = TowingService;<=', new Date(filters.endDate));
-      }
-
-      const requestsSnapshot = await query.orderBy('createdAt', 'desc').get();
-
-      return requestsSnapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
-    } catch (error) {
-      console.error('Error getting towing requests:', error);
-      throw error;
-    }
-  }
 
   /**
    * Request towing from provider API
@@ -621,76 +605,6 @@ module.exports = TowingService;<=', new Date(filters.endDate));
       throw error;
     }
   }
-
-  /**
-   * Get towing statistics
-   * @param {string} shopId - Shop ID
-   * @param {object} dateRange - Date range {startDate, endDate}
-   * @returns {Promise<object>}
-   */
-  async getStatistics(shopId, dateRange) {
-    try {
-      const requests = await this.getRequests(shopId, dateRange);
-
-      const stats = {
-        total: requests.length,
-        byStatus: {},
-        byProvider: {},
-        totalCost: 0,
-        averageResponseTime: 0
-      };
-
-      requests.forEach(request => {
-        // Count by status
-        stats.byStatus[request.status] = (stats.byStatus[request.status] || 0) + 1;
-
-        // Count by provider
-        if (request.providerId) {
-          stats.byProvider[request.providerId] = (stats.byProvider[request.providerId] || 0) + 1;
-        }
-
-        // Sum costs
-        if (request.cost) {
-          stats.totalCost += request.cost;
-        }
-
-        // Calculate response time
-        if (request.assignedAt && request.createdAt) {
-          const responseTime = new Date(request.assignedAt) - new Date(request.createdAt.toDate());
-          stats.averageResponseTime += responseTime;
-        }
-      });
-
-      // Average response time
-      if (stats.total > 0) {
-        stats.averageResponseTime = Math.round(stats.averageResponseTime / stats.total / 60000); // Convert to minutes
-      }
-
-      return stats;
-    } catch (error) {
-      console.error('Error getting towing statistics:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Cancel towing request
-   * @param {string} shopId - Shop ID
-   * @param {string} requestId - Request ID
-   * @param {string} reason - Cancellation reason
-   * @returns {Promise<void>}
-   */
-  async cancelRequest(shopId, requestId, reason) {
-    try {
-      await this.updateRequestStatus(shopId, requestId, 'cancelled', {
-        cancellationReason: reason,
-        cancelledAt: admin.firestore.FieldValue.serverTimestamp()
-      });
-    } catch (error) {
-      console.error('Error cancelling towing request:', error);
-      throw error;
-    }
-  }
 }
 
-module.exports = TowingService;
\ No newline at end of file
+module.exports = TowingService;
@@ -6,13 +6,16 @@
  */
 
 const { ShopRouter } = require('./firebase-config');
+const { getVAPIClient } = require('./vapi-client');
 const admin = require('firebase-admin');
 
 class TowingVAPIService {
   constructor() {
-    this.vapiApiKey = process.env.VAPI_API_KEY;
-    this.vapiPhoneId = process.env.VAPI_PHONE_ID;
+    this.vapiClient = getVAPIClient();
     this.callsInProgress = new Map();
+
+    // Save transcript and recording onto the stored call when it ends
+    this.vapiClient.on('call-ended', (vapiCall) => this.handleCallEnded(vapiCall));
   }
 
   /**
@@ -38,7 +41,8 @@ class TowingVAPIService {
       const vapiCall = await this.makeVAPICall(
         towingConfig.vapi.phoneNumber || towRequest.providerPhone,
         callScript,
-        towingConfig.vapi.assistantId
+        towingConfig.vapi.assistantId,
+        { type: 'towing_request', shopId, towRequestId: towRequest.id }
       );
 
       // Store call details
@@ -132,36 +136,46 @@ class TowingVAPIService {
   }
 
   /**
-   * Make a VAPI phone call
+   * Make a VAPI phone call through the shared client
+   */
+  async makeVAPICall(phoneNumber, script, assistantId = null, { type = 'towing', ...metadata } = {}) {
+    return this.vapiClient.createCall({
+      phoneNumber,
+      script,
+      assistantId,
+      type,
+      metadata
+    });
+  }
+
+  /**
+   * Update the stored towing call once VAPI reports it has ended
    */
-  async makeVAPICall(phoneNumber, script, assistantId = null) {
+  async handleCallEnded(vapiCall) {
+    const { shopId } = vapiCall.metadata || {};
+    if (!shopId || !['towing_request', 'towing_intake'].includes(vapiCall.type)) {
+      return;
+    }
+
     try {
-      const response = await fetch('https://api.vapi.ai/call', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.vapiApiKey}`
-        },
-        body: JSON.stringify({
-          phoneNumber: phoneNumber,
-          phoneId: this.vapiPhoneId,
-          assistantId: assistantId,
-          assistant: {
-            firstMessage: script
-          }
-        })
-      });
+      const snapshot = await ShopRouter.getShopCollection(shopId, 'towingCalls')
+        .where('id', '==', vapiCall.id)
+        .limit(1)
+        .get();
 
-      if (!response.ok) {
-        throw new Error(`VAPI call failed: ${response.statusText}`);
+      if (snapshot.empty) {
+        return;
       }
 
-      const callData = await response.json();
-      return callData;
-
+      await snapshot.docs[0].ref.update({
+        status: vapiCall.status,
+        transcript: vapiCall.transcript,
+        recordingUrl: vapiCall.recordingUrl || null,
+        endedReason: vapiCall.endedReason || null,
+        endedAt: vapiCall.endedAt
+      });
     } catch (error) {
-      console.error('VAPI call error:', error);
-      throw error;
+      console.error('Error updating towing call:', error);
     }
   }
 
@@ -368,7 +382,7 @@ class TowingVAPIService {
     try {
       const settings = await this.getShopSettings(shopId);
       
-      const intakeScript = `You are ALEX, the AI assistant for the shop. You're calling to intake ${towRequest.customer.name} whose vehicle just arrived at the shop via tow.\n\n`;
+      let intakeScript = `You are ALEX, the AI assistant for the shop. You're calling to intake ${towRequest.customer.name} whose vehicle just arrived at the shop via tow.\n\n`;
       intakeScript += `Vehicle: ${towRequest.vehicle.year} ${towRequest.vehicle.color} ${towRequest.vehicle.make} ${towRequest.vehicle.model}\n`;
       intakeScript += `License Plate: ${towRequest.vehicle.licensePlate}\n\n`;
       intakeScript += `Ask the customer:\n`;
@@ -383,7 +397,8 @@ class TowingVAPIService {
       await this.makeVAPICall(
         towRequest.customer.phone,
         intakeScript,
-        settings.vapi.assistantId
+        settings.vapi.assistantId,
+        { type: 'towing_intake', shopId, towRequestId: towRequest.id }
       );
 
     } catch (error) {
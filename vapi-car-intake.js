@@ -2,6 +2,8 @@
 // Handles both appointment arrivals and walk-in/drop-off intakes
 // VHICL Pro Service Advisor System
 
+const { WorkOrderRepository } = require('./work-order-repository.js');
+
 class CarIntakeHandler {
     constructor(vapiKey, shopSettings) {
         this.vapiKey = vapiKey;
@@ -176,12 +178,12 @@ class CarIntakeHandler {
     }
 
     // Generate work order from intake data
+    // Build work order data from the intake call (not saved - see createWorkOrder)
     generateWorkOrder(intakeData) {
-        const workOrderId = `WO-${Date.now()}`;
-        
         const workOrder = {
-            workOrderId: workOrderId,
-            createdAt: new Date().toISOString(),
+            source: intakeData.intakeType === 'dropoff_from_home' ? 'drop-off' : (intakeData.serviceType || 'phone'),
+            concern: intakeData.primaryIssue || '',
+            createdBy: intakeData.intakeTechnician || 'ALEX',
             
             // Customer Information
             customer: {
@@ -198,8 +200,10 @@ class CarIntakeHandler {
                 year: intakeData.vehicleYear,
                 color: intakeData.vehicleColor || null,
                 licensePlate: intakeData.licensePlate,
-                mileage: intakeData.mileage
-                // VIN removed - not collected from customer
+                licensePlateState: intakeData.licensePlateState || null,
+                mileage: intakeData.mileage,
+                // Not asked for on the call; filled in when a plate or VIN decode supplies it
+                vin: intakeData.vin || null
             },
             
             // Service Information
@@ -236,12 +240,13 @@ class CarIntakeHandler {
                 parkingInstructions: intakeData.parkingInstructions || null
             },
             
-            // Estimates
-            estimate: {
+            // What the customer was told on the call; the estimate itself is attached later
+            initialEstimate: {
                 diagnosticFee: intakeData.diagnosticFee || this.shopSettings.diagnosticFee,
                 estimatedCost: intakeData.estimatedCost || null,
                 estimatedTime: intakeData.estimatedTime || null,
-                timelineProvided: intakeData.timelineProvided || false
+                timelineProvided: intakeData.timelineProvided || false,
+                diagnosticApproved: intakeData.diagnosticApproved || false
             },
             
             // Scheduling
@@ -252,17 +257,6 @@ class CarIntakeHandler {
                 completionTime: null
             },
             
-            // Approval
-            approval: {
-                diagnosticApproved: intakeData.diagnosticApproved || false,
-                repairApproved: false,
-                approvalDate: null,
-                finalCost: null
-            },
-            
-            // Status
-            status: 'intake_complete',
-            
             // Notes
             notes: intakeData.notes || '',
             technicianNotes: '',
@@ -279,11 +273,19 @@ class CarIntakeHandler {
         return workOrder;
     }
 
+    // Save the intake as a work order in the shared repository
+    async createWorkOrder(shopId, intakeData, workOrderRepository = new WorkOrderRepository()) {
+        return workOrderRepository.create(shopId, this.generateWorkOrder(intakeData));
+    }
+
     // Format work order for display/email
     formatWorkOrder(workOrder) {
+        const initialEstimate = workOrder.initialEstimate || {};
+        const createdAt = workOrder.createdAt?.toDate ? workOrder.createdAt.toDate() : new Date(workOrder.createdAt || Date.now());
+
         return `
             WORK ORDER: ${workOrder.workOrderId}
-            Created: ${new Date(workOrder.createdAt).toLocaleString()}
+            Created: ${createdAt.toLocaleString()}
             
             CUSTOMER INFORMATION:
             Name: ${workOrder.customer.name}
@@ -316,9 +318,9 @@ class CarIntakeHandler {
             ` : ''}
             
             ESTIMATE:
-            ${workOrder.estimate.diagnosticFee ? `Diagnostic Fee: $${workOrder.estimate.diagnosticFee.toFixed(2)}` : ''}
-            ${workOrder.estimate.estimatedCost ? `Estimated Cost: $${workOrder.estimate.estimatedCost.toFixed(2)}` : 'Estimated Cost: TBD after diagnosis'}
-            ${workOrder.estimate.estimatedTime ? `Estimated Time: ${workOrder.estimate.estimatedTime}` : ''}
+            ${initialEstimate.diagnosticFee ? `Diagnostic Fee: $${initialEstimate.diagnosticFee.toFixed(2)}` : ''}
+            ${initialEstimate.estimatedCost ? `Estimated Cost: $${initialEstimate.estimatedCost.toFixed(2)}` : 'Estimated Cost: TBD after diagnosis'}
+            ${initialEstimate.estimatedTime ? `Estimated Time: ${initialEstimate.estimatedTime}` : ''}
             
             SCHEDULE:
             ${workOrder.schedule.appointmentDate ? `Appointment: ${workOrder.schedule.appointmentDate} at ${workOrder.schedule.appointmentTime}` : 'Appointment: TBD'}
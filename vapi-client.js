@@ -0,0 +1,457 @@
+/**
+ * VAPI Client
+ * Shared client for placing ALEX outbound calls through VAPI and tracking
+ * each call's lifecycle from VAPI's server webhooks
+ *
+ * Call lifecycle: queued → ringing → in-progress → ended
+ * The base URL is configurable so the whole flow can run against
+ * mock-vapi-server.js when working offline.
+ */
+
+const axios = require('axios');
+const EventEmitter = require('events');
+
+// Ordered so a late or duplicate webhook can never move a call backwards
+const CALL_STATUSES = ['queued', 'ringing', 'in-progress', 'forwarding', 'ended'];
+
+/**
+ * Per-shop webhook secrets, "shopId:secret,shopId:secret" or { shopId: secret },
+ * keyed by secret
+ */
+function parseShopSecrets(value) {
+  const entries = value && typeof value === 'object'
+    ? Object.entries(value)
+    : String(value || '').split(',').map(entry => {
+      const [shopId, ...secret] = entry.trim().split(':');
+      return [shopId, secret.join(':')];
+    });
+
+  return new Map(entries
+    .filter(([shopId, secret]) => shopId && secret)
+    .map(([shopId, secret]) => [secret, shopId]));
+}
+
+class VAPIClient extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.apiKey = options.apiKey || process.env.VAPI_API_KEY;
+    this.phoneNumberId = options.phoneNumberId || process.env.VAPI_PHONE_ID;
+    this.baseUrl = (options.baseUrl || process.env.VAPI_BASE_URL || 'https://api.vapi.ai').replace(/\/$/, '');
+    this.serverUrl = options.serverUrl || process.env.VAPI_WEBHOOK_URL || null;
+    this.webhookSecret = options.webhookSecret || process.env.VAPI_WEBHOOK_SECRET || null;
+    this.shopSecrets = parseShopSecrets(options.shopSecrets || process.env.VAPI_SHOP_SECRETS);
+    this.timeout = options.timeout || 15000;
+
+    // Call records keyed by VAPI call ID
+    this.calls = new Map();
+  }
+
+  /**
+   * Check whether outbound calling is configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return !!(this.apiKey && this.phoneNumberId);
+  }
+
+  /**
+   * Place an outbound call
+   * @param {object} callRequest - Call request
+   * @param {string} callRequest.phoneNumber - Number to dial
+   * @param {string|object} callRequest.script - ALEX script (plain text or script object)
+   * @param {string} callRequest.assistantId - Saved VAPI assistant to use (optional)
+   * @param {string} callRequest.voice - Voice ID (optional)
+   * @param {string} callRequest.type - Call type, e.g. 'parts_quote', 'towing_request'
+   * @param {object} callRequest.metadata - Extra data echoed back on webhooks
+   * @param {string} callRequest.shopId - Shop placing the call (defaults to metadata.shopId)
+   * @returns {Promise<object>} Call record
+   */
+  async createCall({ phoneNumber, script, assistantId = null, voice = null, type = 'general', metadata = {}, shopId = metadata.shopId }) {
+    if (!this.isConfigured()) {
+      throw new Error('VAPI is not configured. Set VAPI_API_KEY and VAPI_PHONE_ID.');
+    }
+
+    if (!phoneNumber) {
+      throw new Error('Phone number is required to place a VAPI call');
+    }
+
+    if (!shopId) {
+      throw new Error('A shop is required to place a VAPI call');
+    }
+
+    const body = {
+      phoneNumberId: this.phoneNumberId,
+      customer: { number: phoneNumber },
+      metadata: { ...metadata, shopId, type }
+    };
+
+    const server = this.serverUrl
+      ? { url: this.serverUrl, ...(this.webhookSecret ? { secret: this.webhookSecret } : {}) }
+      : null;
+
+    if (assistantId) {
+      body.assistantId = assistantId;
+      if (server) {
+        body.assistantOverrides = { server };
+      }
+    } else {
+      body.assistant = this.buildAssistant(script, voice);
+      if (server) {
+        body.assistant.server = server;
+      }
+    }
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/call`, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this.apiKey}`
+        },
+        timeout: this.timeout
+      });
+
+      const vapiCall = response.data || {};
+      const now = new Date().toISOString();
+
+      const call = {
+        id: vapiCall.id,
+        shopId,
+        phoneNumber,
+        type,
+        metadata: body.metadata,
+        status: 'queued',
+        statusHistory: [],
+        transcript: null,
+        recordingUrl: null,
+        summary: null,
+        endedReason: null,
+        createdAt: vapiCall.createdAt || now,
+        updatedAt: now,
+        endedAt: null,
+        controlUrl: vapiCall.monitor?.controlUrl || null
+      };
+
+      this.calls.set(call.id, call);
+      this.applyStatus(call, vapiCall.status || 'queued', now);
+
+      console.log(`📞 VAPI call ${call.id} queued to ${phoneNumber}`);
+      return call;
+    } catch (error) {
+      const detail = error.response?.data?.message || error.message;
+      console.error('VAPI call error:', detail);
+      throw new Error(`VAPI call failed: ${detail}`);
+    }
+  }
+
+  /**
+   * Build an inline assistant from an ALEX script
+   * Accepts the plain-text scripts used for towing and the script objects
+   * (instructions / opening / request / closing) used for parts calls
+   */
+  buildAssistant(script, voice = null) {
+    let systemPrompt = '';
+    let firstMessage = '';
+
+    if (typeof script === 'string') {
+      systemPrompt = script;
+    } else if (script && typeof script === 'object') {
+      const { instructions, opening, ...rest } = script;
+      systemPrompt = [
+        instructions,
+        ...Object.entries(rest).map(([section, text]) =>
+          Array.isArray(text) ? `${section}:\n- ${text.join('\n- ')}` : `${section}: ${text}`
+        )
+      ].filter(Boolean).join('\n\n');
+      firstMessage = opening || '';
+    }
+
+    const assistant = {
+      model: {
+        provider: 'openai',
+        model: 'gpt-4o',
+        messages: [{ role: 'system', content: systemPrompt }]
+      }
+    };
+
+    if (firstMessage) {
+      assistant.firstMessage = firstMessage;
+    }
+
+    if (voice) {
+      assistant.voice = { provider: '11labs', voiceId: voice };
+    }
+
+    return assistant;
+  }
+
+  /**
+   * Get a tracked call
+   * @param {string} callId - VAPI call ID
+   * @param {string} shopId - Only return the call if it belongs to this shop (optional)
+   * @returns {object|null}
+   */
+  getCall(callId, shopId = null) {
+    const call = this.calls.get(callId);
+    if (!call || (shopId && call.shopId !== shopId)) {
+      return null;
+    }
+    return call;
+  }
+
+  /**
+   * Get tracked calls, optionally filtered
+   * @param {object} filters - { shopId, status, type }
+   * @returns {Array}
+   */
+  getCalls(filters = {}) {
+    let calls = Array.from(this.calls.values());
+
+    if (filters.shopId) {
+      calls = calls.filter(call => call.shopId === filters.shopId);
+    }
+
+    if (filters.status) {
+      calls = calls.filter(call => call.status === filters.status);
+    }
+
+    if (filters.type) {
+      calls = calls.filter(call => call.type === filters.type);
+    }
+
+    return calls;
+  }
+
+  /**
+   * Fetch the latest call state from VAPI and merge it into the record
+   * @param {string} callId - VAPI call ID
+   * @returns {Promise<object>}
+   */
+  async refreshCall(callId) {
+    try {
+      const response = await axios.get(`${this.baseUrl}/call/${callId}`, {
+        headers: { 'Authorization': `Bearer ${this.apiKey}` },
+        timeout: this.timeout
+      });
+
+      const vapiCall = response.data || {};
+      const call = this.getOrCreateCall(callId, vapiCall);
+
+      this.applyStatus(call, vapiCall.status);
+      if (vapiCall.status === 'ended') {
+        this.applyEndOfCall(call, vapiCall);
+      }
+
+      return call;
+    } catch (error) {
+      const detail = error.response?.data?.message || error.message;
+      console.error(`Error refreshing VAPI call ${callId}:`, detail);
+      throw new Error(`Failed to refresh VAPI call: ${detail}`);
+    }
+  }
+
+  /**
+   * Hang up a live call through its control URL
+   * @param {string} callId - VAPI call ID
+   * @returns {Promise<boolean>} True if an end-call request was sent
+   */
+  async endCall(callId) {
+    const call = this.getCall(callId);
+
+    if (!call || call.status === 'ended' || !call.controlUrl) {
+      return false;
+    }
+
+    try {
+      await axios.post(call.controlUrl, { type: 'end-call' }, { timeout: this.timeout });
+      return true;
+    } catch (error) {
+      console.error(`Error ending VAPI call ${callId}:`, error.message);
+      throw new Error(`Failed to end VAPI call: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check whether any webhook secret is set; without one every server message is rejected
+   * @returns {boolean}
+   */
+  hasWebhookSecret() {
+    return !!this.webhookSecret || this.shopSecrets.size > 0;
+  }
+
+  /**
+   * The shop a VAPI server message belongs to, from the secret it was sent with.
+   * Each shop's assistants send that shop's secret (VAPI_SHOP_SECRETS); the shared
+   * VAPI_WEBHOOK_SECRET belongs to the default shop
+   * @param {object} headers - Request headers
+   * @param {string} defaultShopId - Shop for the shared secret
+   * @returns {string|null} Shop ID, or null if the secret matches no shop
+   */
+  resolveShop(headers = {}, defaultShopId = 'default') {
+    const secret = headers['x-vapi-secret'];
+
+    if (!secret) {
+      return null;
+    }
+    if (this.shopSecrets.has(secret)) {
+      return this.shopSecrets.get(secret);
+    }
+    return this.webhookSecret && secret === this.webhookSecret ? defaultShopId : null;
+  }
+
+  /**
+   * Verify the secret VAPI sends with every server message.
+   * Fails closed: with no secret configured nothing is accepted
+   * @param {object} headers - Request headers
+   * @returns {boolean}
+   */
+  verifyWebhook(headers = {}) {
+    return this.resolveShop(headers) !== null;
+  }
+
+  /**
+   * Handle a VAPI server message (status-update, end-of-call-report, ...)
+   * @param {object} payload - Webhook request body
+   * @param {string} shopId - Shop whose secret the message was verified with
+   * @returns {object|null} Updated call record, or null if the message was ignored
+   */
+  handleWebhook(payload = {}, shopId = null) {
+    const message = payload.message || payload;
+    const callId = message.call?.id || message.callId;
+
+    if (!callId) {
+      return null;
+    }
+
+    // A shop's secret only reaches that shop's calls
+    const tracked = this.calls.get(callId);
+    if (tracked && shopId && tracked.shopId && tracked.shopId !== shopId) {
+      console.warn(`⚠️ VAPI message for call ${callId} ignored - sent with another shop's secret`);
+      return null;
+    }
+
+    const call = this.getOrCreateCall(callId, message.call, shopId);
+    const timestamp = message.timestamp ? new Date(message.timestamp).toISOString() : new Date().toISOString();
+
+    switch (message.type) {
+      case 'status-update':
+        this.applyStatus(call, message.status, timestamp);
+        if (message.status === 'ended' && message.endedReason) {
+          call.endedReason = message.endedReason;
+        }
+        break;
+
+      case 'end-of-call-report':
+        this.applyStatus(call, 'ended', timestamp);
+        this.applyEndOfCall(call, message);
+        break;
+
+      case 'transcript':
+        if (message.transcriptType === 'final' && message.transcript) {
+          call.liveTranscript = [...(call.liveTranscript || []), { role: message.role, text: message.transcript }];
+          call.updatedAt = timestamp;
+        }
+        break;
+
+      default:
+        return null;
+    }
+
+    if (call.status === 'ended' && call.transcript !== null && !call.endedEventSent) {
+      call.endedEventSent = true;
+      this.emit('call-ended', call);
+    }
+
+    return call;
+  }
+
+  /**
+   * Move a call forward to a new status (never backwards)
+   */
+  applyStatus(call, status, timestamp = new Date().toISOString()) {
+    const nextIndex = CALL_STATUSES.indexOf(status);
+    const currentIndex = call.statusHistory.length > 0 ? CALL_STATUSES.indexOf(call.status) : -1;
+
+    if (nextIndex === -1 || nextIndex <= currentIndex) {
+      return false;
+    }
+
+    call.status = status;
+    call.statusHistory.push({ status, at: timestamp });
+    call.updatedAt = timestamp;
+
+    if (status === 'ended') {
+      call.endedAt = timestamp;
+    }
+
+    this.emit('status', call);
+    return true;
+  }
+
+  /**
+   * Copy transcript, recording and summary from an end-of-call report
+   * Handles both the current `artifact` shape and the older flat fields
+   */
+  applyEndOfCall(call, report) {
+    const artifact = report.artifact || {};
+
+    call.transcript = artifact.transcript || report.transcript || call.transcript || '';
+    call.messages = artifact.messages || report.messages || call.messages || [];
+    call.recordingUrl = artifact.recordingUrl || artifact.recording?.url || report.recordingUrl || call.recordingUrl;
+    call.summary = report.analysis?.summary || report.summary || call.summary;
+    call.endedReason = report.endedReason || call.endedReason;
+    call.cost = report.cost ?? call.cost ?? null;
+    call.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Get a call record, creating one for calls we did not place (inbound calls,
+   * or calls placed before a restart). The shop comes from the metadata we sent
+   * when placing the call, else the shop whose secret the message came with
+   */
+  getOrCreateCall(callId, vapiCall = {}, shopId = null) {
+    let call = this.calls.get(callId);
+
+    if (!call) {
+      const now = new Date().toISOString();
+      call = {
+        id: callId,
+        shopId: vapiCall?.metadata?.shopId || shopId || null,
+        phoneNumber: vapiCall?.customer?.number || null,
+        type: vapiCall?.metadata?.type || (vapiCall?.type === 'inboundPhoneCall' ? 'inbound' : 'general'),
+        metadata: vapiCall?.metadata || {},
+        status: 'queued',
+        statusHistory: [],
+        transcript: null,
+        recordingUrl: null,
+        summary: null,
+        endedReason: null,
+        createdAt: vapiCall?.createdAt || now,
+        updatedAt: now,
+        endedAt: null
+      };
+      this.calls.set(callId, call);
+    }
+
+    return call;
+  }
+}
+
+let sharedClient = null;
+
+/**
+ * Get the process-wide VAPI client
+ * Services share one client so webhook updates reach every listener
+ * @returns {VAPIClient}
+ */
+function getVAPIClient() {
+  if (!sharedClient) {
+    sharedClient = new VAPIClient();
+  }
+  return sharedClient;
+}
+
+module.exports = {
+  VAPIClient,
+  getVAPIClient,
+  CALL_STATUSES
+};
@@ -0,0 +1,471 @@
+/**
+ * VAPI Call Endpoints
+ * Webhook receiver and call lookup routes for the shared VAPI client, plus the
+ * ALEX tool routes (vehicle status, estimate approval, labor time and quick
+ * estimates) VAPI calls during a call
+ */
+
+const { normalizePhone } = require('./estimate-approval-service.js');
+const { getShopId: getStaffShopId } = require('./shop-auth-middleware.js');
+const { WORK_ORDER_STATUSES } = require('./work-order-repository.js');
+const LaborService = require('./labor-service.js');
+
+// How ALEX describes each work order status to a customer
+const STATUS_PHRASES = {
+    intake: 'checked in',
+    diagnosis: 'being diagnosed',
+    estimate: 'waiting on your approval of the estimate',
+    approved: 'approved and waiting to start',
+    parts: 'waiting on parts',
+    parts_arrived: 'has its parts in and is waiting to start',
+    in_progress: 'being worked on',
+    qc: 'in a final quality check',
+    ready: 'ready for pickup',
+    paid: 'paid and ready for pickup',
+    closed: 'picked up',
+    cancelled: 'cancelled'
+};
+
+/**
+ * Tool arguments arrive as arrays or comma-separated strings
+ */
+function toList(value) {
+    if (!value) return [];
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+}
+
+/**
+ * Vehicle from a tool call: an object, or spoken text like "2015 Honda Accord 2.4"
+ */
+function toVehicle(vehicle, vehicleInfo) {
+    if (vehicle && typeof vehicle === 'object') return vehicle;
+
+    const [year, make, model, ...engine] = String(vehicleInfo || '').trim().split(/\s+/);
+    if (!/^\d{4}$/.test(year || '')) return null;
+    return { year: Number(year), make: make || null, model: model || null, engine: engine.join(' ') || null };
+}
+
+/**
+ * @param {object} app - Express app
+ * @param {VAPIClient} vapiClient - Shared VAPI client
+ * @param {object} services - { workOrderRepository, vehicleRepository, estimateApproval, laborGuide,
+ *   estimateEngine, defaultShopId } for the ALEX tool routes
+ */
+function registerVAPIEndpoints(app, vapiClient, services = {}) {
+    const { workOrderRepository, vehicleRepository, estimateApproval, laborGuide, estimateEngine, defaultShopId = 'default' } = services;
+
+    if (!vapiClient.hasWebhookSecret()) {
+        console.warn('⚠️ VAPI_WEBHOOK_SECRET not set - VAPI webhooks and ALEX tool calls will be rejected');
+    }
+
+    // Tool calls come from VAPI, not shop staff: the shop is the one whose secret
+    // the call was verified with, never a shopId the caller sends
+    const getShopId = (req) => vapiClient.resolveShop(req.headers, defaultShopId);
+
+    /**
+     * The customer's newest work order, by job ID or phone number
+     */
+    async function findCustomerWorkOrder(shopId, { jobId, phone, statuses }) {
+        if (jobId) {
+            return workOrderRepository.find(shopId, jobId);
+        }
+
+        const customerPhone = normalizePhone(phone);
+        const workOrders = await workOrderRepository.list(shopId, statuses ? { statuses } : {});
+        return workOrders.find(workOrder => normalizePhone(workOrder.customer?.phone) === customerPhone) || null;
+    }
+
+    /**
+     * POST /api/vapi/webhook
+     * Receive VAPI server messages (status-update, end-of-call-report, transcript)
+     */
+    app.post('/api/vapi/webhook', (req, res) => {
+        if (!vapiClient.verifyWebhook(req.headers)) {
+            return res.status(401).json({ error: 'Invalid VAPI webhook secret' });
+        }
+
+        try {
+            const call = vapiClient.handleWebhook(req.body, getShopId(req));
+
+            if (call) {
+                console.log(`📞 VAPI call ${call.id}: ${call.status}`);
+            }
+
+            res.json({ received: true });
+        } catch (error) {
+            console.error('Error handling VAPI webhook:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * GET /api/vapi/calls
+     * List the shop's tracked calls (optional ?status= and ?type= filters)
+     */
+    app.get('/api/vapi/calls', (req, res) => {
+        try {
+            const { status, type } = req.query;
+            const calls = vapiClient.getCalls({ shopId: getStaffShopId(req), status, type });
+            res.json({ success: true, calls, count: calls.length });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * GET /api/vapi/calls/:callId
+     * Get a call's status, transcript and recording URL; another shop's call is not found
+     * Pass ?refresh=true to pull the latest state from VAPI
+     */
+    app.get('/api/vapi/calls/:callId', async (req, res) => {
+        try {
+            const shopId = getStaffShopId(req);
+            let call = vapiClient.getCall(req.params.callId, shopId);
+
+            if ((req.query.refresh === 'true' || !call) && vapiClient.isConfigured()) {
+                call = await vapiClient.refreshCall(req.params.callId);
+            }
+
+            if (!call || call.shopId !== shopId) {
+                return res.status(404).json({ success: false, error: 'Call not found' });
+            }
+
+            res.json({ success: true, call });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    if (!workOrderRepository || !estimateApproval) {
+        return;
+    }
+
+    /**
+     * POST /api/vapi/check-vehicle-status
+     * ALEX tool: the customer's current work order, plus work they declined or
+     * put off last time so ALEX can bring it up
+     * Body: { phone_number }
+     */
+    app.post('/api/vapi/check-vehicle-status', async (req, res) => {
+        if (!vapiClient.verifyWebhook(req.headers)) {
+            return res.status(401).json({ error: 'Invalid VAPI webhook secret' });
+        }
+
+        try {
+            const { phone_number: phone } = req.body;
+
+            if (!phone) {
+                return res.status(400).json({ success: false, error: 'phone_number is required' });
+            }
+
+            const shopId = getShopId(req);
+            const workOrder = await findCustomerWorkOrder(shopId, {
+                phone,
+                statuses: WORK_ORDER_STATUSES.filter(status => !['closed', 'cancelled'].includes(status))
+            });
+
+            // The vehicle record links earlier visits, even under a different phone number
+            let vehicleRecord = null;
+            if (vehicleRepository) {
+                vehicleRecord = workOrder?.vehicleId
+                    ? await vehicleRepository.find(shopId, workOrder.vehicleId)
+                    : (await vehicleRepository.search(shopId, { phone }))[0] || null;
+            }
+            const history = vehicleRecord ? (await vehicleRepository.getTimeline(shopId, vehicleRecord.id)).summary : null;
+
+            // Work declined on this same visit is not "last time"
+            const declinedWork = (await estimateApproval.getDeclinedWork(shopId, vehicleRecord
+                ? { vehicleId: vehicleRecord.id }
+                : { phone, vin: workOrder?.vehicle?.vin }
+            )).filter(entry => entry.workOrderId !== workOrder?.id);
+            const declinedSummary = estimateApproval.describeDeclinedWork(declinedWork);
+
+            const details = vehicleRecord || workOrder?.vehicle;
+            const vehicle = details ? [details.year, details.make, details.model].filter(Boolean).join(' ') : null;
+
+            res.json({
+                success: true,
+                found: Boolean(workOrder),
+                jobId: workOrder?.id || null,
+                status: workOrder?.status || null,
+                vehicle,
+                estimate: workOrder?.estimate
+                    ? { total: workOrder.estimate.totals?.total ?? workOrder.estimate.total ?? null, approvalStatus: workOrder.estimate.approvalStatus || 'pending' }
+                    : null,
+                vehicleId: vehicleRecord?.id || null,
+                history,
+                declinedWork: declinedWork.map(({ description, decision, total, decidedAt }) => ({ description, decision, total, decidedAt })),
+                message: [
+                    workOrder
+                        ? `Your ${vehicle || 'vehicle'} is ${STATUS_PHRASES[workOrder.status] || workOrder.status}.`
+                        : (vehicleRecord ? `Your ${vehicle || 'vehicle'} is not in the shop right now.` : 'I could not find a vehicle in the shop for that number.'),
+                    declinedSummary
+                ].filter(Boolean).join(' ')
+            });
+        } catch (error) {
+            console.error('Error checking vehicle status:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * POST /api/vapi/approve-estimate (also /api/vapi/approve-work)
+     * ALEX tool: record the customer's decisions over the phone. Items are line
+     * IDs or spoken names ("front brakes", "rear struts"); approve_all approves
+     * everything not yet decided. The caller's number must be the customer's.
+     * Body: { phone_number (required), job_id, approve_all, approved_items, declined_items, deferred_items, reason, customer_name }
+     */
+    app.post(['/api/vapi/approve-estimate', '/api/vapi/approve-work'], async (req, res) => {
+        if (!vapiClient.verifyWebhook(req.headers)) {
+            return res.status(401).json({ error: 'Invalid VAPI webhook secret' });
+        }
+
+        try {
+            const {
+                phone_number: phone,
+                job_id: jobId,
+                approve_all: approveAll,
+                reason,
+                customer_name: customerName
+            } = req.body;
+
+            if (!phone) {
+                return res.status(400).json({ success: false, error: 'phone_number is required' });
+            }
+
+            const shopId = getShopId(req);
+            const workOrder = await findCustomerWorkOrder(shopId, { jobId, phone, statuses: ['estimate', 'approved'] });
+
+            if (!workOrder || !workOrder.estimate) {
+                return res.status(404).json({ success: false, error: 'No estimate found for this customer' });
+            }
+
+            // Only the customer on file can decide, so the caller's number must match it
+            const customerPhone = normalizePhone(workOrder.customer?.phone);
+            if (!customerPhone || customerPhone !== normalizePhone(phone)) {
+                return res.status(403).json({ success: false, error: 'Phone number does not match this job' });
+            }
+
+            const lines = workOrder.estimate.lines || [];
+            const decisions = [];
+            const unmatched = [];
+
+            [['approved', req.body.approved_items], ['declined', req.body.declined_items], ['deferred', req.body.deferred_items]]
+                .forEach(([decision, items]) => {
+                    toList(items).forEach(item => {
+                        const matches = estimateApproval.matchLines(lines, item);
+                        if (matches.length === 0) {
+                            unmatched.push(item);
+                        }
+                        matches.forEach(line => decisions.push({ lineId: line.id, decision, reason: decision === 'approved' ? null : reason }));
+                    });
+                });
+
+            const approveEverything = approveAll === true || approveAll === 'true';
+            const items = lines.filter(line => estimateApproval.isDecidable(line)).map(line => line.description);
+
+            if (unmatched.length > 0) {
+                return res.json({
+                    success: false,
+                    unmatched,
+                    items,
+                    message: `I couldn't match ${unmatched.join(', ')} to the estimate. Could you tell me which item you meant?`
+                });
+            }
+
+            // Nothing named and no explicit approve_all: ask rather than approve everything
+            if (decisions.length === 0 && !approveEverything) {
+                return res.json({
+                    success: false,
+                    items,
+                    message: ['Which items would you like us to do?', items.length > 0 ? `The estimate has ${items.join(', ')}.` : null]
+                        .filter(Boolean).join(' ')
+                });
+            }
+
+            const updated = await estimateApproval.recordDecisions(shopId, workOrder.id, {
+                decisions,
+                approveAll: approveEverything,
+                approvedBy: customerName || workOrder.customer?.name || 'customer',
+                channel: 'phone',
+                note: 'Approved with ALEX'
+            });
+
+            const approval = updated.approval;
+
+            res.json({
+                success: true,
+                jobId: updated.id,
+                status: updated.status,
+                approvalStatus: approval.status,
+                approvedTotal: approval.approvedTotal,
+                declinedTotal: approval.declinedTotal,
+                deferredTotal: approval.deferredTotal,
+                message: approval.approvedTotal > 0
+                    ? `Thank you, I've approved $${approval.approvedTotal.toFixed(2)} in work. We'll get started.`
+                    : 'Thank you, I have noted that you are declining the work for now.'
+            });
+        } catch (error) {
+            console.error('Error approving estimate by phone:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    if (!laborGuide || !estimateEngine) {
+        return;
+    }
+
+    /**
+     * Match what the customer described against the shop's labor guide,
+     * priced at the shop's labor rate
+     */
+    async function quickEstimate(shopId, description, vehicle) {
+        const settings = await estimateEngine.getPricingSettings(shopId);
+        const laborDatabase = await laborGuide.getDatabase(shopId);
+        const laborService = new LaborService({ laborRate: settings.laborRate, laborMultiplier: 1.0 }, laborDatabase);
+        return { settings, laborDatabase, quick: laborService.getQuickEstimate(description, vehicle) };
+    }
+
+    /**
+     * POST /api/vapi/get-labor-time
+     * ALEX tool: labor time for a repair or a complaint ("car squeals when I
+     * brake"), with likely alternatives and whether to diagnose first
+     * Body: { repair_name | repair_description, vehicle_info ("2015 Honda Accord") | vehicle }
+     */
+    app.post('/api/vapi/get-labor-time', async (req, res) => {
+        if (!vapiClient.verifyWebhook(req.headers)) {
+            return res.status(401).json({ error: 'Invalid VAPI webhook secret' });
+        }
+
+        try {
+            const description = req.body.repair_name || req.body.repair_description;
+            if (!description) {
+                return res.status(400).json({ success: false, error: 'repair_name is required' });
+            }
+
+            const vehicle = toVehicle(req.body.vehicle, req.body.vehicle_info);
+            const { quick } = await quickEstimate(getShopId(req), description, vehicle);
+
+            if (!quick.success) {
+                return res.json({
+                    status: 'not_found',
+                    message: "I couldn't match that to a repair in our labor guide. A service advisor will call you back with a price."
+                });
+            }
+
+            const best = quick.candidates[0];
+            res.json({
+                status: 'found',
+                laborTime: {
+                    hours: best.laborHours,
+                    operation: best.name,
+                    operationId: best.operationId,
+                    difficulty: quick.operation.difficulty || 'Medium',
+                    skillLevel: quick.operation.skillLevel || null,
+                    vehicle: vehicle ? [vehicle.year, vehicle.make, vehicle.model].filter(Boolean).join(' ') : null,
+                    confidence: best.confidence,
+                    source: 'Labor guide'
+                },
+                candidates: quick.candidates.map(({ operationId, name, laborHours, confidence }) => ({ operationId, name, hours: laborHours, confidence })),
+                diagnosticFirst: quick.diagnosticFirst,
+                diagnostic: quick.diagnostic,
+                message: quick.diagnosticFirst
+                    ? `We'd recommend starting with our ${quick.diagnostic.name}. If it turns out to need ${best.name}, that's about ${best.laborHours} hours of labor.`
+                    : `${best.name} is about ${best.laborHours} hours of labor.`
+            });
+        } catch (error) {
+            console.error('Error looking up labor time:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * POST /api/vapi/get-estimate
+     * ALEX tool: with a repair description, a labor-only quote for the likely
+     * repair (or the diagnostic to start with); otherwise the customer's
+     * current estimate by job ID or phone number
+     * Body: { repair_description, vehicle_info | vehicle } or { phone_number, job_id }
+     */
+    app.post('/api/vapi/get-estimate', async (req, res) => {
+        if (!vapiClient.verifyWebhook(req.headers)) {
+            return res.status(401).json({ error: 'Invalid VAPI webhook secret' });
+        }
+
+        try {
+            const shopId = getShopId(req);
+            const { phone_number: phone, job_id: jobId } = req.body;
+            const description = req.body.repair_description || req.body.repair_name;
+
+            if (!description) {
+                if (!phone && !jobId) {
+                    return res.status(400).json({ success: false, error: 'repair_description or phone_number is required' });
+                }
+
+                const workOrder = await findCustomerWorkOrder(shopId, { jobId, phone });
+                if (!workOrder || !workOrder.estimate || (phone && jobId && normalizePhone(workOrder.customer?.phone) && normalizePhone(workOrder.customer.phone) !== normalizePhone(phone))) {
+                    return res.json({ success: false, status: 'not_found', message: 'I could not find an estimate for that number.' });
+                }
+
+                const total = workOrder.estimate.totals?.total ?? workOrder.estimate.total ?? 0;
+                return res.json({
+                    success: true,
+                    status: 'found',
+                    estimate: {
+                        jobId: workOrder.id,
+                        lines: (workOrder.estimate.lines || []).map(({ description: item, total: amount, approvalStatus }) => ({ description: item, total: amount, approvalStatus: approvalStatus || 'pending' })),
+                        total,
+                        approvalStatus: workOrder.estimate.approvalStatus || 'pending'
+                    },
+                    message: `Your estimate comes to $${Number(total).toFixed(2)}.`
+                });
+            }
+
+            const vehicle = toVehicle(req.body.vehicle, req.body.vehicle_info);
+            const { settings, laborDatabase, quick } = await quickEstimate(shopId, description, vehicle);
+
+            if (!quick.success) {
+                return res.json({
+                    success: false,
+                    status: 'not_found',
+                    message: "I couldn't match that to a repair in our labor guide. A service advisor will call you back with a price."
+                });
+            }
+
+            // Diagnose-first complaints are quoted for the diagnostic only
+            const best = quick.candidates[0];
+            const diagnostic = quick.diagnosticFirst ? quick.diagnostic : null;
+            const request = diagnostic
+                ? (diagnostic.operationId
+                    ? { labor: [{ operationId: diagnostic.operationId }] }
+                    : { fees: [{ description: diagnostic.name, amount: Number(settings.diagnosticFee) || 0, taxable: false }] })
+                : { labor: [{ operationId: best.operationId }] };
+            const priced = estimateEngine.priceEstimate({ vehicle, ...request }, settings, laborDatabase);
+            const total = priced.totals.total;
+
+            res.json({
+                success: true,
+                status: 'quoted',
+                quote: {
+                    description: diagnostic ? diagnostic.name : best.name,
+                    lines: priced.lines.map(({ description: item, hours, total: amount }) => ({ description: item, hours: hours ?? null, total: amount })),
+                    subtotal: priced.totals.subtotal,
+                    tax: priced.totals.tax,
+                    total,
+                    laborOnly: !diagnostic
+                },
+                diagnosticFirst: quick.diagnosticFirst,
+                candidates: quick.candidates.map(({ operationId, name, laborHours, estimatedCost, confidence }) => ({ operationId, name, hours: laborHours, laborCost: estimatedCost, confidence })),
+                message: diagnostic
+                    ? `We'd recommend starting with our ${diagnostic.name} for $${total.toFixed(2)}. It ${diagnostic.reason.charAt(0).toLowerCase()}${diagnostic.reason.slice(1)}.`
+                    : `${best.name} is about $${total.toFixed(2)} in labor, plus parts. We'll confirm the parts price when we look at it.`
+            });
+        } catch (error) {
+            console.error('Error building quick estimate:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+}
+
+module.exports = registerVAPIEndpoints;
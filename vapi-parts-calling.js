@@ -3,24 +3,37 @@
  * 
  * Manages automated phone calls to parts stores using VAPI
  * ALEX calls stores to get pricing and availability
+ *
+ * Emits 'call-processed' with the call (parsedData included) once its
+ * transcript has been parsed.
  */
 
-const partsStoreDirectory = require('./parts-store-directory');
-
-class VAPIPartsCallingService {
-  constructor() {
-    this.vapiApiKey = process.env.VAPI_API_KEY;
-    this.vapiPhoneId = process.env.VAPI_PHONE_ID;
+const EventEmitter = require('events');
+const { PartsStoreDirectory } = require('./parts-store-directory');
+const { getVAPIClient } = require('./vapi-client');
+const PartsTranscriptParser = require('./parts-transcript-parser');
+
+class VAPIPartsCallingService extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.vapiClient = options.vapiClient || getVAPIClient();
+    this.transcriptParser = options.transcriptParser || new PartsTranscriptParser();
+    this.directory = options.directory || new PartsStoreDirectory();
     this.callsInProgress = new Map();
     this.callHistory = [];
+
+    // Parse pricing as soon as VAPI reports the call has ended
+    this.vapiClient.on('call-ended', (vapiCall) => this.handleCallEnded(vapiCall));
   }
 
   /**
    * Make a phone call to a parts store
+   * partRequest.shopId picks the shop's store directory
    */
   async callStore(storeId, partRequest) {
     try {
-      const store = partsStoreDirectory.getStoreById(storeId);
+      const shopId = partRequest.shopId || 'default';
+      const store = await this.directory.find(shopId, storeId);
       if (!store) {
         throw new Error(`Store not found: ${storeId}`);
       }
@@ -29,7 +42,11 @@ class VAPIPartsCallingService {
         throw new Error(`Cannot call online-only store: ${store.name}`);
       }
 
-      const phoneNumber = partsStoreDirectory.getFormattedPhoneNumber(storeId);
+      if (!store.openNow) {
+        throw new Error(`${store.name} is closed right now`);
+      }
+
+      const phoneNumber = PartsStoreDirectory.formatPhone(store.phone);
       
       console.log(`📞 ALEX calling ${store.name} at ${phoneNumber}`);
       console.log(`🔧 Part requested: ${JSON.stringify(partRequest)}`);
@@ -37,19 +54,19 @@ class VAPIPartsCallingService {
       // Generate the conversation script
       const script = this.generateConversationScript(partRequest, store);
 
-      // Create VAPI call (this would use the actual VAPI API)
-      const callResult = await this.initiateVAPICall(phoneNumber, script);
+      const callResult = await this.initiateVAPICall(phoneNumber, script, { shopId, storeId });
       
-      // Track the call
-      const callId = `call-${Date.now()}`;
+      // Track the call under its VAPI call ID so webhooks can find it
+      const callId = callResult.id;
       this.callsInProgress.set(callId, {
         callId,
+        shopId,
         storeId,
         storeName: store.name,
         phoneNumber,
         partRequest,
         startTime: new Date(),
-        status: 'in-progress'
+        status: callResult.status
       });
 
       return {
@@ -137,22 +154,34 @@ class VAPIPartsCallingService {
   }
 
   /**
-   * Initiate VAPI call (placeholder - would use actual VAPI API)
+   * Initiate VAPI call through the shared client
    */
-  async initiateVAPICall(phoneNumber, script) {
-    // This is a placeholder for the actual VAPI API call
-    // In production, this would make a real phone call using VAPI
-    
-    console.log('📞 Simulating VAPI call to:', phoneNumber);
-    console.log('📝 Script:', script);
-    
-    // Simulate a call for testing
-    return {
-      callId: `vapi-${Date.now()}`,
+  async initiateVAPICall(phoneNumber, script, metadata = {}) {
+    return this.vapiClient.createCall({
       phoneNumber,
-      status: 'initiated',
-      message: 'Call initiated successfully'
-    };
+      script,
+      type: 'parts_quote',
+      metadata
+    });
+  }
+
+  /**
+   * Handle the end of a VAPI call placed by this service
+   */
+  async handleCallEnded(vapiCall) {
+    if (vapiCall.type !== 'parts_quote' || !this.callsInProgress.has(vapiCall.id)) {
+      return;
+    }
+
+    const call = this.callsInProgress.get(vapiCall.id);
+    call.recordingUrl = vapiCall.recordingUrl;
+    call.endedReason = vapiCall.endedReason;
+
+    try {
+      await this.processCallResponse(vapiCall.id, vapiCall.transcript || '');
+    } catch (error) {
+      console.error('Error handling ended parts call:', error);
+    }
   }
 
   /**
@@ -183,6 +212,14 @@ class VAPIPartsCallingService {
       // Remove from in-progress
       this.callsInProgress.delete(callId);
 
+      await this.directory.recordQuoteResult(call.shopId, call.storeId, {
+        answered: transcription.trim().length > 0,
+        hadPart: parsedData.price !== null && parsedData.availability !== 'out of stock',
+        responseSeconds: (call.endTime - call.startTime) / 1000
+      });
+
+      this.emit('call-processed', call);
+
       return {
         success: true,
         callId,
@@ -199,37 +236,38 @@ class VAPIPartsCallingService {
 
   /**
    * Extract pricing and availability from transcribed call
+   * The top-level fields describe the most reliable quote; every option the
+   * store offered is in `quotes`
    */
   extractPricingFromTranscription(transcription) {
-    // This would use AI (GPT-4) to intelligently parse the conversation
-    // For now, we'll use regex patterns as a placeholder
-    
-    const pricePattern = /\$?(\d+\.?\d*)/;
-    const inStockPattern = /in stock|available now|have it/i;
-    const specialOrderPattern = /special order|order it|need to order|(\d+)\s*(day|days|week|weeks)/i;
-    
-    const priceMatch = transcription.match(pricePattern);
-    const price = priceMatch ? parseFloat(priceMatch[1]) : null;
-    
-    let availability = 'unknown';
-    let deliveryTime = null;
-
-    if (inStockPattern.test(transcription)) {
-      availability = 'in stock';
-      deliveryTime = 0; // Same day
-    } else {
-      const timeMatch = transcription.match(/(\d+)\s*(day|days|hour|hours|week|weeks)/i);
-      if (timeMatch) {
-        availability = 'special order';
-        deliveryTime = parseInt(timeMatch[1]);
-      }
+    const result = this.transcriptParser.parse(transcription);
+    const quote = result.primaryQuote;
+
+    if (!quote) {
+      return {
+        price: null,
+        availability: 'unknown',
+        deliveryTime: null,
+        confidence: 0.3,
+        quotes: [],
+        rawTranscription: transcription
+      };
     }
 
     return {
-      price,
-      availability,
-      deliveryTime,
-      confidence: price ? 0.8 : 0.3,
+      price: quote.unitPrice,
+      coreCharge: quote.coreCharge,
+      totalPrice: quote.totalPrice,
+      brand: quote.brand,
+      partNumber: quote.partNumber,
+      quality: quote.quality,
+      quantityOnHand: quote.quantityOnHand,
+      availability: quote.availability,
+      deliveryTime: quote.deliveryTime,
+      eta: quote.eta,
+      confidence: quote.confidence,
+      fieldConfidence: quote.fieldConfidence,
+      quotes: result.quotes,
       rawTranscription: transcription
     };
   }
@@ -275,7 +313,8 @@ class VAPIPartsCallingService {
       throw new Error(`Call not found: ${callId}`);
     }
 
-    // This would call VAPI API to cancel the call
+    await this.vapiClient.endCall(callId);
+
     call.status = 'cancelled';
     call.endTime = new Date();
 
@@ -3,24 +3,35 @@
  * 
  * Handles calling back to order approved parts
  * Considers multiple factors beyond just price
+ *
+ * Emits 'order-processed' with the order once the confirmation has been
+ * pulled from the call (PurchaseOrderService records it on the PO).
  */
 
-const partsStoreDirectory = require('./parts-store-directory');
+const EventEmitter = require('events');
+const { PartsStoreDirectory } = require('./parts-store-directory');
+const { getVAPIClient } = require('./vapi-client');
 
-class VAPIPartsOrderingService {
-  constructor() {
-    this.vapiApiKey = process.env.VAPI_API_KEY;
-    this.vapiPhoneId = process.env.VAPI_PHONE_ID;
+class VAPIPartsOrderingService extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.vapiClient = options.vapiClient || getVAPIClient();
+    this.directory = options.directory || new PartsStoreDirectory();
     this.ordersInProgress = new Map();
     this.orderHistory = [];
+
+    // Extract the confirmation as soon as VAPI reports the call has ended
+    this.vapiClient.on('call-ended', (vapiCall) => this.handleCallEnded(vapiCall));
   }
 
   /**
    * Order parts from a store after job approval
+   * orderDetails.shopId picks the shop's store directory
    */
   async orderParts(storeId, orderDetails) {
     try {
-      const store = partsStoreDirectory.getStoreById(storeId);
+      const shopId = orderDetails.shopId || 'default';
+      const store = await this.directory.find(shopId, storeId);
       if (!store) {
         throw new Error(`Store not found: ${storeId}`);
       }
@@ -29,7 +40,11 @@ class VAPIPartsOrderingService {
         throw new Error(`Cannot order from online-only store by phone: ${store.name}`);
       }
 
-      const phoneNumber = partsStoreDirectory.getFormattedPhoneNumber(storeId);
+      if (!store.openNow) {
+        throw new Error(`${store.name} is closed right now`);
+      }
+
+      const phoneNumber = PartsStoreDirectory.formatPhone(store.phone);
       
       console.log(`📞 ALEX calling ${store.name} to order parts`);
       console.log(`📦 Order details:`, orderDetails);
@@ -37,13 +52,13 @@ class VAPIPartsOrderingService {
       // Generate the ordering script
       const script = this.generateOrderingScript(orderDetails, store);
 
-      // Create VAPI call (this would use the actual VAPI API)
-      const callResult = await this.initiateVAPICall(phoneNumber, script);
+      const orderId = `order-${Date.now()}`;
+      const callResult = await this.initiateVAPICall(phoneNumber, script, { shopId, orderId, storeId });
       
       // Track the order
-      const orderId = `order-${Date.now()}`;
       this.ordersInProgress.set(orderId, {
         orderId,
+        callId: callResult.id,
         storeId,
         storeName: store.name,
         phoneNumber,
@@ -55,6 +70,7 @@ class VAPIPartsOrderingService {
       return {
         success: true,
         orderId,
+        callId: callResult.id,
         storeName: store.name,
         phoneNumber,
         message: `ALEX is now calling ${store.name} to order parts`
@@ -85,7 +101,8 @@ class VAPIPartsOrderingService {
         Get an order confirmation number.
         Thank the store for their help.`,
 
-      opening: `Hi, this is Alex from ${shopName || 'VHICL Pro Auto Service'}. I'd like to place a parts order.`,
+      opening: `Hi, this is Alex from ${shopName || 'VHICL Pro Auto Service'}. I'd like to place a parts order` +
+        (store.accountNumber ? ` on account number ${store.accountNumber}.` : '.'),
 
       orderDetails: `I need to order the following parts:\n${partsList}\n\n` +
         `These parts are for ${urgency === 'urgent' ? 'an urgent job' : 'a repair'}${customerName ? ` for customer ${customerName}` : ''}.\n` +
@@ -112,18 +129,37 @@ class VAPIPartsOrderingService {
   }
 
   /**
-   * Initiate VAPI call for ordering
+   * Initiate VAPI call for ordering through the shared client
    */
-  async initiateVAPICall(phoneNumber, script) {
-    console.log('📞 Simulating VAPI ordering call to:', phoneNumber);
-    console.log('📝 Script:', script);
-    
-    return {
-      orderId: `order-${Date.now()}`,
+  async initiateVAPICall(phoneNumber, script, metadata = {}) {
+    return this.vapiClient.createCall({
       phoneNumber,
-      status: 'initiated',
-      message: 'Order call initiated successfully'
-    };
+      script,
+      type: 'parts_order',
+      metadata
+    });
+  }
+
+  /**
+   * Handle the end of a VAPI ordering call placed by this service
+   */
+  async handleCallEnded(vapiCall) {
+    if (vapiCall.type !== 'parts_order') {
+      return;
+    }
+
+    const order = Array.from(this.ordersInProgress.values()).find(o => o.callId === vapiCall.id);
+    if (!order) {
+      return;
+    }
+
+    order.recordingUrl = vapiCall.recordingUrl;
+
+    try {
+      await this.processOrderResponse(order.orderId, vapiCall.transcript || '');
+    } catch (error) {
+      console.error('Error handling ended order call:', error);
+    }
   }
 
   /**
@@ -154,6 +190,8 @@ class VAPIPartsOrderingService {
       // Remove from in-progress
       this.ordersInProgress.delete(orderId);
 
+      this.emit('order-processed', order);
+
       return {
         success: true,
         orderId,
@@ -172,7 +210,8 @@ class VAPIPartsOrderingService {
    * Extract order details from transcribed call
    */
   extractOrderDetailsFromTranscription(transcription) {
-    const confirmationPattern = /order\s*(?:number|#)?\s*[:#]?\s*(\w+)/i;
+    // "order number is A7731", "confirmation # 55-0192" - the number has at least one digit
+    const confirmationPattern = /(?:order|confirmation)\s*(?:number|#)?\s*(?:is)?\s*[:#]?\s*([A-Z0-9-]*\d[A-Z0-9-]*)/i;
     const readyPattern = /(?:ready|available)\s*(?:for\s*)?(?:pickup|delivery)?\s*(?:in|by|on)?\s*(.+?)(?:\.|,|$)/i;
     const allInStockPattern = /all\s+in\s+stock|everything\s+available/i;
     const someOutOfStockPattern = /(?:some|a few)\s+(?:parts|items)\s+(?:out\s+of\s+stock|not\s+available)/i;
@@ -240,6 +279,10 @@ class VAPIPartsOrderingService {
       throw new Error(`Order not found: ${orderId}`);
     }
 
+    if (order.callId) {
+      await this.vapiClient.endCall(order.callId);
+    }
+
     order.status = 'cancelled';
     order.endTime = new Date();
 
@@ -0,0 +1,188 @@
+/**
+ * Vehicle API Endpoints
+ * VIN-keyed vehicle records and their service history timeline
+ */
+
+const { sendWorkOrderError } = require('./work-order-endpoints.js');
+const { getShopId } = require('./shop-auth-middleware.js');
+
+function sendVehicleError(res, error) {
+    if (error.message === 'Vehicle not found') {
+        return res.status(404).json({ success: false, error: error.message });
+    }
+
+    if (/^Mileage must be/.test(error.message)) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    sendWorkOrderError(res, error);
+}
+
+function registerVehicleEndpoints(app, vehicleRepository, vinDecoder) {
+
+    /**
+     * GET /api/vehicles
+     * Find vehicles by ?vin=, ?plate= (&state=) or ?phone= (owner); no filter lists all
+     */
+    app.get('/api/vehicles', async (req, res) => {
+        try {
+            const { vin, plate, state, phone } = req.query;
+            const vehicles = await vehicleRepository.search(getShopId(req), { vin, plate, state, phone });
+            res.json({ success: true, vehicles, total: vehicles.length });
+        } catch (error) {
+            sendVehicleError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/vehicles/resolve
+     * Find or create the vehicle for a LicensePlateDecoder / NexpartVINDecoder
+     * result, or plain { vin, plate, state, year, make, model }
+     * Body: { result | vehicle, customer }
+     */
+    app.post('/api/vehicles/resolve', async (req, res) => {
+        try {
+            const { result, vehicle: vehicleInfo, customer } = req.body;
+            const vehicle = await vehicleRepository.resolveFromDecode(getShopId(req), result || vehicleInfo || {}, { customer });
+
+            if (!vehicle) {
+                return res.status(400).json({ success: false, error: 'A VIN or license plate is required' });
+            }
+
+            res.json({ success: true, vehicle });
+        } catch (error) {
+            sendVehicleError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/vehicles/decode-vin
+     * Decode a VIN offline (check digit, WMI, model year, plant, make/model/engine);
+     * the fallback decoder is only used for unknown models or when trim is requested
+     * Body: { vin, includeTrim, resolve, customer } - resolve: true also finds/creates the vehicle
+     */
+    app.post('/api/vehicles/decode-vin', async (req, res) => {
+        try {
+            const { vin, includeTrim = false, resolve = false, customer } = req.body;
+
+            if (!vin) {
+                return res.status(400).json({ success: false, error: 'vin is required' });
+            }
+
+            const decoded = await vinDecoder.decodeVIN(vin, { includeTrim });
+
+            if (!decoded.success) {
+                return res.status(400).json(decoded);
+            }
+
+            const vehicle = resolve
+                ? await vehicleRepository.resolveFromDecode(getShopId(req), decoded, { customer })
+                : null;
+
+            res.json({ success: true, decoded, vehicle });
+        } catch (error) {
+            sendVehicleError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/vehicles/:id
+     * Get a vehicle
+     */
+    app.get('/api/vehicles/:id', async (req, res) => {
+        try {
+            const vehicle = await vehicleRepository.get(getShopId(req), req.params.id);
+            res.json({ success: true, vehicle });
+        } catch (error) {
+            sendVehicleError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/vehicles/:id/timeline
+     * Work orders, mileage, declined work, photos and assessments, newest first
+     */
+    app.get('/api/vehicles/:id/timeline', async (req, res) => {
+        try {
+            const { vehicle, summary, timeline } = await vehicleRepository.getTimeline(getShopId(req), req.params.id);
+            res.json({ success: true, vehicle, summary, timeline });
+        } catch (error) {
+            sendVehicleError(res, error);
+        }
+    });
+
+    /**
+     * PATCH /api/vehicles/:id
+     * Update vehicle details (color, trim, notes, ...)
+     */
+    app.patch('/api/vehicles/:id', async (req, res) => {
+        try {
+            const { shopId, ...updates } = req.body;
+            const vehicle = await vehicleRepository.update(getShopId(req), req.params.id, updates);
+            res.json({ success: true, vehicle });
+        } catch (error) {
+            sendVehicleError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/vehicles/:id/mileage
+     * Record a mileage reading
+     * Body: { mileage, workOrderId, source }
+     */
+    app.post('/api/vehicles/:id/mileage', async (req, res) => {
+        try {
+            const { mileage, workOrderId, source } = req.body;
+            const vehicle = await vehicleRepository.recordMileage(getShopId(req), req.params.id, {
+                mileage,
+                workOrderId,
+                source
+            });
+            res.json({ success: true, vehicle });
+        } catch (error) {
+            sendVehicleError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/vehicles/:id/assessments
+     * Save a vehicle assessment
+     * Body: { healthScore, findings, mileage, workOrderId, ... }
+     */
+    app.post('/api/vehicles/:id/assessments', async (req, res) => {
+        try {
+            const { shopId, ...assessment } = req.body;
+            const saved = await vehicleRepository.addAssessment(getShopId(req), req.params.id, {
+                ...assessment,
+                createdBy: req.shop?.email || assessment.createdBy || 'Staff'
+            });
+            res.json({ success: true, assessment: saved });
+        } catch (error) {
+            sendVehicleError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/vehicles/:id/merge
+     * Fold a duplicate vehicle into another (work orders, photos, history move over)
+     * Body: { targetVehicleId }
+     */
+    app.post('/api/vehicles/:id/merge', async (req, res) => {
+        try {
+            const { targetVehicleId } = req.body;
+
+            if (!targetVehicleId) {
+                return res.status(400).json({ success: false, error: 'targetVehicleId is required' });
+            }
+
+            const shopId = getShopId(req);
+            await vehicleRepository.mergeInto(shopId, req.params.id, targetVehicleId);
+            const vehicle = await vehicleRepository.get(shopId, targetVehicleId);
+            res.json({ success: true, vehicle });
+        } catch (error) {
+            sendVehicleError(res, error);
+        }
+    });
+}
+
+module.exports = registerVehicleEndpoints;
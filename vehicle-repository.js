@@ -0,0 +1,577 @@
+/**
+ * Vehicle Repository
+ * One record per vehicle, so repeat visits link up: keyed by VIN, or by
+ * plate + state until a VIN is known. Work orders carry the vehicleId, and the
+ * vehicle collects mileage readings, owners' phone numbers and assessments.
+ *
+ * When a VIN turns up for a plate-keyed vehicle (plate decode, VIN decode,
+ * advisor entry) the plate record is folded into the VIN record, and any
+ * year/make/model still missing is filled from the offline VIN decoder.
+ */
+
+const { ShopRouter } = require('./firebase-config');
+const admin = require('firebase-admin');
+const VINDecoder = require('./vin-decoder.js');
+
+// Collections whose documents point at a vehicle through vehicleId
+const VEHICLE_LINKED_COLLECTIONS = ['jobs', 'declinedWork', 'photos', 'assessments'];
+
+// Decoded fields copied onto the vehicle record when present
+const VEHICLE_FIELDS = ['year', 'make', 'model', 'trim', 'engine', 'color', 'bodyType', 'driveType', 'transmission', 'fuelType'];
+
+/**
+ * Uppercase 17-character VIN (no I, O or Q), or null
+ */
+function normalizeVin(vin) {
+  const value = String(vin || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return /^[A-HJ-NPR-Z0-9]{17}$/.test(value) ? value : null;
+}
+
+function normalizePlate(plate) {
+  const value = String(plate || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return value || null;
+}
+
+function normalizeState(state) {
+  const value = String(state || '').toUpperCase().replace(/[^A-Z]/g, '');
+  return value.length === 2 ? value : null;
+}
+
+function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits ? digits.slice(-10) : null;
+}
+
+function toMillis(value) {
+  if (!value) return 0;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  return new Date(value).getTime() || 0;
+}
+
+function toIso(value) {
+  const millis = toMillis(value);
+  return millis ? new Date(millis).toISOString() : null;
+}
+
+class VehicleRepository {
+  /**
+   * Vehicle ID for a VIN or plate + state
+   * @param {object} identity - { vin, plate, state }
+   * @returns {string|null}
+   */
+  static vehicleKey({ vin, plate, state } = {}) {
+    const normalizedVin = normalizeVin(vin);
+    if (normalizedVin) {
+      return normalizedVin;
+    }
+
+    const normalizedPlate = normalizePlate(plate);
+    return normalizedPlate ? `PLATE-${normalizeState(state) || 'XX'}-${normalizedPlate}` : null;
+  }
+
+  /**
+   * Vehicle info from a LicensePlateDecoder.decodePlate or
+   * NexpartVINDecoder.decodeVIN result (or a work order's vehicle)
+   * @param {object} result - Decoder result
+   * @returns {object} { vin, plate, state, year, make, model, ... }
+   */
+  static fromDecodeResult(result = {}) {
+    const decoded = result.vehicle && typeof result.vehicle === 'object' ? result.vehicle : result;
+    const info = {
+      vin: result.vin || decoded.vin || null,
+      plate: decoded.plate || decoded.licensePlate || result.plate || null,
+      state: decoded.state || decoded.licensePlateState || result.state || null
+    };
+
+    VEHICLE_FIELDS.forEach(field => {
+      // NexpartVINDecoder fills unknown fields with 'Unknown'
+      if (decoded[field] != null && decoded[field] !== 'Unknown') {
+        info[field] = decoded[field];
+      }
+    });
+
+    return info;
+  }
+
+  /**
+   * Find or create the vehicle for a VIN / plate, updating it with any new
+   * details. Returns null when there is neither a VIN nor a plate.
+   * @param {string} shopId - Shop ID
+   * @param {object} vehicleInfo - { vin, plate|licensePlate, state|licensePlateState, year, make, model, ... }
+   * @param {object} options - { customer, source }
+   * @returns {Promise<object|null>}
+   */
+  async resolve(shopId, vehicleInfo = {}, options = {}) {
+    try {
+      const info = VehicleRepository.fromDecodeResult(vehicleInfo);
+      const vin = normalizeVin(info.vin);
+      const plate = normalizePlate(info.plate);
+      const state = normalizeState(info.state);
+
+      if (!vin && !plate) {
+        return null;
+      }
+
+      let vehicle = vin ? await this.find(shopId, vin) : null;
+      const plateVehicle = plate ? await this.findByPlate(shopId, plate, state) : null;
+
+      if (vin && plateVehicle && !plateVehicle.vin) {
+        // The plate-only record turns out to be this VIN
+        if (!vehicle) {
+          const details = {};
+          [...VEHICLE_FIELDS, 'plate', 'state', 'owner'].forEach(field => {
+            if (plateVehicle[field] != null) details[field] = plateVehicle[field];
+          });
+          await this.createVehicle(shopId, vin, { ...details, vin, createdAt: plateVehicle.createdAt });
+        }
+        await this.mergeInto(shopId, plateVehicle.id, vin);
+        vehicle = await this.find(shopId, vin);
+      } else if (!vehicle && !vin) {
+        vehicle = plateVehicle;
+      }
+
+      if (!vehicle) {
+        const id = VehicleRepository.vehicleKey({ vin, plate, state });
+        await this.createVehicle(shopId, id, { vin, source: options.source || null });
+      }
+
+      const id = vehicle ? vehicle.id : VehicleRepository.vehicleKey({ vin, plate, state });
+      const updates = { lastSeenAt: admin.firestore.FieldValue.serverTimestamp() };
+
+      // Year/make/model straight from the VIN when nobody has supplied them yet
+      if (vin) {
+        const decoded = VINDecoder.decodeLocal(vin);
+        if (decoded.success) {
+          VEHICLE_FIELDS.forEach(field => {
+            if (info[field] == null && vehicle?.[field] == null && decoded.vehicle[field] != null) {
+              info[field] = decoded.vehicle[field];
+            }
+          });
+        }
+      }
+
+      VEHICLE_FIELDS.forEach(field => {
+        if (info[field] != null && info[field] !== '') {
+          updates[field] = field === 'year' ? Number(info[field]) || info[field] : info[field];
+        }
+      });
+
+      if (plate) {
+        updates.plate = plate;
+        updates.plates = admin.firestore.FieldValue.arrayUnion(plate);
+        if (state || !vehicle?.state) {
+          updates.state = state;
+        }
+      }
+
+      const phone = normalizePhone(options.customer?.phone);
+      if (phone) {
+        updates.customerPhones = admin.firestore.FieldValue.arrayUnion(phone);
+        updates.owner = {
+          name: options.customer.name || vehicle?.owner?.name || null,
+          phone,
+          email: options.customer.email || vehicle?.owner?.email || null
+        };
+      }
+
+      await ShopRouter.getShopDocument(shopId, 'vehicles', id).update(updates);
+
+      return this.get(shopId, id);
+    } catch (error) {
+      console.error('Error resolving vehicle:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a vehicle straight from a decoder result
+   * @param {string} shopId - Shop ID
+   * @param {object} result - LicensePlateDecoder / NexpartVINDecoder result
+   * @param {object} options - Same as resolve()
+   * @returns {Promise<object|null>}
+   */
+  async resolveFromDecode(shopId, result, options = {}) {
+    if (result && result.success === false) {
+      return null;
+    }
+    return this.resolve(shopId, VehicleRepository.fromDecodeResult(result), { source: result?.source, ...options });
+  }
+
+  async createVehicle(shopId, id, data = {}) {
+    const { id: ignoredId, createdAt, updatedAt, lastSeenAt, ...fields } = data;
+
+    await ShopRouter.getShopDocument(shopId, 'vehicles', id).set({
+      vin: null,
+      plate: null,
+      state: null,
+      plates: [],
+      customerPhones: [],
+      owner: null,
+      mileageReadings: [],
+      currentMileage: null,
+      workOrderIds: [],
+      ...fields,
+      vehicleId: id,
+      createdAt: createdAt || admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  /**
+   * Get a vehicle
+   * @param {string} shopId - Shop ID
+   * @param {string} vehicleId - Vehicle ID
+   * @returns {Promise<object>}
+   */
+  async get(shopId, vehicleId) {
+    try {
+      const vehicle = await this.find(shopId, vehicleId);
+
+      if (!vehicle) {
+        throw new Error('Vehicle not found');
+      }
+
+      return vehicle;
+    } catch (error) {
+      console.error('Error getting vehicle:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a vehicle without throwing when it does not exist
+   * @param {string} shopId - Shop ID
+   * @param {string} vehicleId - Vehicle ID
+   * @returns {Promise<object|null>}
+   */
+  async find(shopId, vehicleId) {
+    const doc = await ShopRouter.getShopDocument(shopId, 'vehicles', vehicleId).get();
+    return doc.exists ? { ...doc.data(), id: doc.id } : null;
+  }
+
+  /**
+   * Find a vehicle by plate, preferring an exact state match
+   * @param {string} shopId - Shop ID
+   * @param {string} plate - License plate
+   * @param {string} state - State code (optional)
+   * @returns {Promise<object|null>}
+   */
+  async findByPlate(shopId, plate, state = null) {
+    const normalizedPlate = normalizePlate(plate);
+    const normalizedState = normalizeState(state);
+
+    if (!normalizedPlate) {
+      return null;
+    }
+
+    const snapshot = await ShopRouter.getShopCollection(shopId, 'vehicles')
+      .where('plates', 'array-contains', normalizedPlate)
+      .get();
+
+    const candidates = snapshot.docs
+      .map(doc => ({ ...doc.data(), id: doc.id }))
+      .filter(vehicle => !normalizedState || !vehicle.state || vehicle.state === normalizedState)
+      .sort((a, b) =>
+        Number(b.state === normalizedState) - Number(a.state === normalizedState) ||
+        Number(b.plate === normalizedPlate) - Number(a.plate === normalizedPlate) ||
+        toMillis(b.lastSeenAt) - toMillis(a.lastSeenAt)
+      );
+
+    return candidates[0] || null;
+  }
+
+  /**
+   * Search vehicles by VIN, plate or owner phone
+   * @param {string} shopId - Shop ID
+   * @param {object} filters - { vin, plate, state, phone }
+   * @returns {Promise<Array>}
+   */
+  async search(shopId, filters = {}) {
+    try {
+      if (filters.vin) {
+        const vehicle = await this.find(shopId, normalizeVin(filters.vin) || String(filters.vin).toUpperCase());
+        return vehicle ? [vehicle] : [];
+      }
+
+      if (filters.plate) {
+        const vehicle = await this.findByPlate(shopId, filters.plate, filters.state);
+        return vehicle ? [vehicle] : [];
+      }
+
+      let query = ShopRouter.getShopCollection(shopId, 'vehicles');
+      const phone = normalizePhone(filters.phone);
+      if (phone) {
+        query = query.where('customerPhones', 'array-contains', phone);
+      }
+
+      const snapshot = await query.get();
+
+      return snapshot.docs
+        .map(doc => ({ ...doc.data(), id: doc.id }))
+        .sort((a, b) => toMillis(b.lastSeenAt) - toMillis(a.lastSeenAt));
+    } catch (error) {
+      console.error('Error searching vehicles:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update vehicle details (VIN changes go through resolve())
+   * @param {string} shopId - Shop ID
+   * @param {string} vehicleId - Vehicle ID
+   * @param {object} updates - Field updates
+   * @returns {Promise<object>}
+   */
+  async update(shopId, vehicleId, updates = {}) {
+    try {
+      const { id, vehicleId: ignoredId, vin, workOrderIds, mileageReadings, createdAt, ...fields } = updates;
+
+      await this.get(shopId, vehicleId);
+      await ShopRouter.getShopDocument(shopId, 'vehicles', vehicleId).update({
+        ...fields,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return this.get(shopId, vehicleId);
+    } catch (error) {
+      console.error('Error updating vehicle:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Link a work order to its vehicle and record its mileage
+   * @param {string} shopId - Shop ID
+   * @param {string} vehicleId - Vehicle ID
+   * @param {object} workOrder - Work order ({ id, vehicle: { mileage } })
+   * @returns {Promise<void>}
+   */
+  async attachWorkOrder(shopId, vehicleId, workOrder) {
+    try {
+      await ShopRouter.getShopDocument(shopId, 'vehicles', vehicleId).update({
+        workOrderIds: admin.firestore.FieldValue.arrayUnion(workOrder.id),
+        lastWorkOrderId: workOrder.id,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      if (workOrder.vehicle?.mileage) {
+        await this.recordMileage(shopId, vehicleId, {
+          mileage: workOrder.vehicle.mileage,
+          workOrderId: workOrder.id,
+          source: 'work-order'
+        });
+      }
+    } catch (error) {
+      console.error('Error attaching work order to vehicle:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a mileage reading
+   * @param {string} shopId - Shop ID
+   * @param {string} vehicleId - Vehicle ID
+   * @param {object} reading - { mileage, workOrderId, source, at }
+   * @returns {Promise<object>} Updated vehicle
+   */
+  async recordMileage(shopId, vehicleId, reading = {}) {
+    try {
+      const mileage = Number(String(reading.mileage ?? '').replace(/[^0-9.]/g, ''));
+
+      if (!mileage) {
+        throw new Error('Mileage must be a positive number');
+      }
+
+      const vehicle = await this.get(shopId, vehicleId);
+      const readings = vehicle.mileageReadings || [];
+
+      // One reading per work order; re-saving a work order updates it
+      const others = readings.filter(entry => !reading.workOrderId || entry.workOrderId !== reading.workOrderId);
+      const entry = {
+        mileage,
+        at: reading.at || new Date().toISOString(),
+        workOrderId: reading.workOrderId || null,
+        source: reading.source || 'manual'
+      };
+
+      const mileageReadings = [...others, entry].sort((a, b) => toMillis(a.at) - toMillis(b.at));
+
+      await ShopRouter.getShopDocument(shopId, 'vehicles', vehicleId).update({
+        mileageReadings,
+        currentMileage: Math.max(...mileageReadings.map(item => item.mileage)),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      if (mileage < (vehicle.currentMileage || 0)) {
+        console.warn(`⚠️ Mileage ${mileage} for ${vehicleId} is below the last reading (${vehicle.currentMileage})`);
+      }
+
+      return this.get(shopId, vehicleId);
+    } catch (error) {
+      console.error('Error recording mileage:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a vehicle assessment (health score, findings) against the vehicle
+   * @param {string} shopId - Shop ID
+   * @param {string} vehicleId - Vehicle ID
+   * @param {object} assessment - { healthScore, findings, mileage, workOrderId, ... }
+   * @returns {Promise<object>}
+   */
+  async addAssessment(shopId, vehicleId, assessment = {}) {
+    try {
+      await this.get(shopId, vehicleId);
+
+      const ref = await ShopRouter.getShopCollection(shopId, 'assessments').add({
+        ...assessment,
+        vehicleId,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      if (assessment.mileage) {
+        await this.recordMileage(shopId, vehicleId, {
+          mileage: assessment.mileage,
+          workOrderId: assessment.workOrderId || null,
+          source: 'assessment'
+        });
+      }
+
+      const doc = await ref.get();
+      return { id: doc.id, ...doc.data() };
+    } catch (error) {
+      console.error('Error adding assessment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Everything the shop knows about a vehicle, newest first: work orders,
+   * mileage readings, declined work, photos and assessments
+   * @param {string} shopId - Shop ID
+   * @param {string} vehicleId - Vehicle ID
+   * @returns {Promise<object>} { vehicle, summary, timeline }
+   */
+  async getTimeline(shopId, vehicleId) {
+    try {
+      const vehicle = await this.get(shopId, vehicleId);
+      const [workOrders, declinedWork, photos, assessments] = await Promise.all(
+        VEHICLE_LINKED_COLLECTIONS.map(name => this.getLinked(shopId, name, vehicleId))
+      );
+
+      const timeline = [
+        ...workOrders.map(workOrder => ({
+          type: 'work_order',
+          at: toIso(workOrder.createdAt),
+          workOrderId: workOrder.id,
+          status: workOrder.status,
+          concern: workOrder.concern || workOrder.service?.primaryIssue || '',
+          mileage: Number(workOrder.vehicle?.mileage) || null,
+          total: workOrder.approval?.approvedTotal ?? workOrder.estimate?.totals?.total ?? null,
+          approvalStatus: workOrder.estimate?.approvalStatus || null
+        })),
+        ...(vehicle.mileageReadings || [])
+          .filter(reading => !reading.workOrderId)
+          .map(reading => ({ type: 'mileage', at: toIso(reading.at), mileage: reading.mileage, source: reading.source })),
+        ...declinedWork.map(entry => ({
+          type: 'declined_work',
+          at: toIso(entry.decidedAt),
+          workOrderId: entry.workOrderId,
+          description: entry.description,
+          decision: entry.decision,
+          status: entry.status,
+          total: entry.total
+        })),
+        ...photos.map(photo => ({
+          type: 'photo',
+          at: toIso(photo.uploadedAt),
+          photoId: photo.id,
+          photoType: photo.photoType,
+          url: photo.url,
+          description: photo.description || ''
+        })),
+        ...assessments.map(assessment => ({
+          type: 'assessment',
+          at: toIso(assessment.createdAt),
+          assessmentId: assessment.id,
+          healthScore: assessment.healthScore ?? null,
+          workOrderId: assessment.workOrderId || null
+        }))
+      ].sort((a, b) => toMillis(b.at) - toMillis(a.at));
+
+      const visits = workOrders.filter(workOrder => workOrder.status !== 'cancelled');
+
+      return {
+        vehicle,
+        summary: {
+          visits: visits.length,
+          lastVisitAt: visits.length > 0 ? timeline.find(event => event.type === 'work_order' && event.status !== 'cancelled').at : null,
+          currentMileage: vehicle.currentMileage || null,
+          openDeclinedWork: declinedWork.filter(entry => entry.status === 'open').length
+        },
+        timeline
+      };
+    } catch (error) {
+      console.error('Error getting vehicle timeline:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move everything linked to one vehicle onto another and delete the first
+   * @param {string} shopId - Shop ID
+   * @param {string} fromId - Vehicle ID to fold in
+   * @param {string} toId - Vehicle ID to keep
+   * @returns {Promise<void>}
+   */
+  async mergeInto(shopId, fromId, toId) {
+    try {
+      if (fromId === toId) return;
+
+      const from = await this.get(shopId, fromId);
+      const to = await this.get(shopId, toId);
+
+      for (const name of VEHICLE_LINKED_COLLECTIONS) {
+        const linked = await this.getLinked(shopId, name, fromId);
+        for (const entry of linked) {
+          await ShopRouter.getShopDocument(shopId, name, entry.id).update({ vehicleId: toId });
+        }
+      }
+
+      const mileageReadings = [...(to.mileageReadings || []), ...(from.mileageReadings || [])]
+        .sort((a, b) => toMillis(a.at) - toMillis(b.at));
+
+      await ShopRouter.getShopDocument(shopId, 'vehicles', toId).update({
+        plates: [...new Set([...(to.plates || []), ...(from.plates || [])])],
+        customerPhones: [...new Set([...(to.customerPhones || []), ...(from.customerPhones || [])])],
+        workOrderIds: [...new Set([...(to.workOrderIds || []), ...(from.workOrderIds || [])])],
+        mileageReadings,
+        currentMileage: mileageReadings.length > 0 ? Math.max(...mileageReadings.map(item => item.mileage)) : null,
+        mergedFrom: admin.firestore.FieldValue.arrayUnion(fromId),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      await ShopRouter.getShopDocument(shopId, 'vehicles', fromId).delete();
+
+      console.log(`🔗 Vehicle ${fromId} merged into ${toId}`);
+    } catch (error) {
+      console.error('Error merging vehicles:', error);
+      throw error;
+    }
+  }
+
+  async getLinked(shopId, collectionName, vehicleId) {
+    const snapshot = await ShopRouter.getShopCollection(shopId, collectionName)
+      .where('vehicleId', '==', vehicleId)
+      .get();
+
+    return snapshot.docs.map(doc => ({ ...doc.data(), id: doc.id }));
+  }
+}
+
+module.exports = {
+  VehicleRepository,
+  normalizeVin,
+  normalizePlate
+};
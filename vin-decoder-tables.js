@@ -0,0 +1,372 @@
+/**
+ * VIN Decoder Tables
+ *
+ * Bundled lookup data for offline VIN decoding (see vin-decoder.js):
+ * WMI → manufacturer, region/country ranges, model-year codes, assembly
+ * plants and VDS patterns for the makes we see most in the shop.
+ *
+ * VDS entries are matched against positions 4-8 of the VIN. `details` read a
+ * single position (1-based, like the VIN spec) and fill one field, or several
+ * when the code maps to an object. Add rows here as new VINs come through -
+ * anything not covered still decodes to year/make/country.
+ */
+
+// ISO 3779 transliteration and position weights for the check digit (position 9)
+const TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+
+const CHECK_DIGIT_WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// Position 10 → first model year it stands for; the cycle repeats every 30 years
+const MODEL_YEAR_CODES = {
+  A: 1980, B: 1981, C: 1982, D: 1983, E: 1984, F: 1985, G: 1986, H: 1987,
+  J: 1988, K: 1989, L: 1990, M: 1991, N: 1992, P: 1993, R: 1994, S: 1995,
+  T: 1996, V: 1997, W: 1998, X: 1999, Y: 2000,
+  1: 2001, 2: 2002, 3: 2003, 4: 2004, 5: 2005, 6: 2006, 7: 2007, 8: 2008, 9: 2009
+};
+
+// First character → region, then two-character ranges → country
+const REGIONS = {
+  A: 'Africa', B: 'Africa', C: 'Africa', D: 'Africa', E: 'Africa', F: 'Africa', G: 'Africa', H: 'Africa',
+  J: 'Asia', K: 'Asia', L: 'Asia', M: 'Asia', N: 'Asia', P: 'Asia', R: 'Asia',
+  S: 'Europe', T: 'Europe', U: 'Europe', V: 'Europe', W: 'Europe', X: 'Europe', Y: 'Europe', Z: 'Europe',
+  1: 'North America', 2: 'North America', 3: 'North America', 4: 'North America', 5: 'North America',
+  6: 'Oceania', 7: 'Oceania',
+  8: 'South America', 9: 'South America'
+};
+
+// [first char, second-char range start, range end, country]
+// Second characters run A-Z then 1-9, 0
+const COUNTRY_RANGES = [
+  ['1', 'A', '0', 'United States'],
+  ['4', 'A', '0', 'United States'],
+  ['5', 'A', '0', 'United States'],
+  ['7', 'F', '0', 'United States'],
+  ['2', 'A', '0', 'Canada'],
+  ['3', 'A', 'W', 'Mexico'],
+  ['J', 'A', '0', 'Japan'],
+  ['K', 'L', 'R', 'South Korea'],
+  ['L', 'A', '0', 'China'],
+  ['M', 'A', 'E', 'India'],
+  ['M', 'L', 'R', 'Thailand'],
+  ['S', 'A', 'M', 'United Kingdom'],
+  ['S', 'N', 'T', 'Germany'],
+  ['T', 'J', 'P', 'Czech Republic'],
+  ['T', 'R', 'V', 'Hungary'],
+  ['V', 'F', 'R', 'France'],
+  ['V', 'S', 'W', 'Spain'],
+  ['W', 'A', '0', 'Germany'],
+  ['Y', 'A', 'E', 'Belgium'],
+  ['Y', 'S', 'W', 'Sweden'],
+  ['Z', 'A', 'R', 'Italy'],
+  ['6', 'A', 'W', 'Australia'],
+  ['9', 'A', 'E', 'Argentina'],
+  ['9', 'F', 'K', 'Brazil']
+];
+
+// Make and manufacturer by WMI (positions 1-3); country comes from COUNTRY_RANGES
+const WMI = {
+  // Honda / Acura
+  '1HG': { make: 'Honda', manufacturer: 'Honda of America Mfg.' },
+  '19X': { make: 'Honda', manufacturer: 'Honda of America Mfg.' },
+  '5FN': { make: 'Honda', manufacturer: 'Honda Manufacturing of Alabama' },
+  '5J6': { make: 'Honda', manufacturer: 'Honda of America Mfg.' },
+  '2HG': { make: 'Honda', manufacturer: 'Honda of Canada Mfg.' },
+  '2HK': { make: 'Honda', manufacturer: 'Honda of Canada Mfg.' },
+  'JHM': { make: 'Honda', manufacturer: 'Honda Motor Co.' },
+  'SHH': { make: 'Honda', manufacturer: 'Honda of the UK Manufacturing' },
+  '19U': { make: 'Acura', manufacturer: 'Honda of America Mfg.' },
+  'JH4': { make: 'Acura', manufacturer: 'Honda Motor Co.' },
+  '5J8': { make: 'Acura', manufacturer: 'Honda of America Mfg.' },
+
+  // Toyota / Lexus
+  '4T1': { make: 'Toyota', manufacturer: 'Toyota Motor Manufacturing Kentucky' },
+  '4T3': { make: 'Toyota', manufacturer: 'Toyota Motor Manufacturing Kentucky' },
+  '4T4': { make: 'Toyota', manufacturer: 'Toyota Motor Manufacturing Kentucky' },
+  '5TD': { make: 'Toyota', manufacturer: 'Toyota Motor Manufacturing' },
+  '5TF': { make: 'Toyota', manufacturer: 'Toyota Motor Manufacturing' },
+  '5YF': { make: 'Toyota', manufacturer: 'Toyota Motor Manufacturing' },
+  '1NX': { make: 'Toyota', manufacturer: 'New United Motor Manufacturing (NUMMI)' },
+  '2T1': { make: 'Toyota', manufacturer: 'Toyota Motor Manufacturing Canada' },
+  '2T3': { make: 'Toyota', manufacturer: 'Toyota Motor Manufacturing Canada' },
+  '3TM': { make: 'Toyota', manufacturer: 'Toyota Motor Manufacturing de Baja California' },
+  'JTD': { make: 'Toyota', manufacturer: 'Toyota Motor Corporation' },
+  'JTE': { make: 'Toyota', manufacturer: 'Toyota Motor Corporation' },
+  'JTM': { make: 'Toyota', manufacturer: 'Toyota Motor Corporation' },
+  'JTN': { make: 'Toyota', manufacturer: 'Toyota Motor Corporation' },
+  'JTH': { make: 'Lexus', manufacturer: 'Toyota Motor Corporation' },
+  'JTJ': { make: 'Lexus', manufacturer: 'Toyota Motor Corporation' },
+  '2T2': { make: 'Lexus', manufacturer: 'Toyota Motor Manufacturing Canada' },
+
+  // Ford / Lincoln
+  '1FA': { make: 'Ford', manufacturer: 'Ford Motor Company' },
+  '1FB': { make: 'Ford', manufacturer: 'Ford Motor Company' },
+  '1FC': { make: 'Ford', manufacturer: 'Ford Motor Company' },
+  '1FD': { make: 'Ford', manufacturer: 'Ford Motor Company' },
+  '1FM': { make: 'Ford', manufacturer: 'Ford Motor Company' },
+  '1FT': { make: 'Ford', manufacturer: 'Ford Motor Company' },
+  '1ZV': { make: 'Ford', manufacturer: 'AutoAlliance International' },
+  '2FM': { make: 'Ford', manufacturer: 'Ford Motor Company of Canada' },
+  '3FA': { make: 'Ford', manufacturer: 'Ford Motor Company de Mexico' },
+  '3FT': { make: 'Ford', manufacturer: 'Ford Motor Company de Mexico' },
+  '1LN': { make: 'Lincoln', manufacturer: 'Ford Motor Company' },
+  '5LM': { make: 'Lincoln', manufacturer: 'Ford Motor Company' },
+
+  // General Motors
+  '1G1': { make: 'Chevrolet', manufacturer: 'General Motors' },
+  '1GC': { make: 'Chevrolet', manufacturer: 'General Motors' },
+  '1GN': { make: 'Chevrolet', manufacturer: 'General Motors' },
+  '1GB': { make: 'Chevrolet', manufacturer: 'General Motors' },
+  '2G1': { make: 'Chevrolet', manufacturer: 'General Motors of Canada' },
+  '2GN': { make: 'Chevrolet', manufacturer: 'General Motors of Canada' },
+  '3GC': { make: 'Chevrolet', manufacturer: 'General Motors de Mexico' },
+  '3GN': { make: 'Chevrolet', manufacturer: 'General Motors de Mexico' },
+  'KL7': { make: 'Chevrolet', manufacturer: 'GM Korea' },
+  '1GT': { make: 'GMC', manufacturer: 'General Motors' },
+  '1GK': { make: 'GMC', manufacturer: 'General Motors' },
+  '3GT': { make: 'GMC', manufacturer: 'General Motors de Mexico' },
+  '2GK': { make: 'GMC', manufacturer: 'General Motors of Canada' },
+  '1G4': { make: 'Buick', manufacturer: 'General Motors' },
+  '1G6': { make: 'Cadillac', manufacturer: 'General Motors' },
+  '1GY': { make: 'Cadillac', manufacturer: 'General Motors' },
+
+  // Stellantis (Chrysler / Dodge / Jeep / Ram)
+  // 1C3 / 2C3 / 2C4 are shared by Chrysler and Dodge - make comes from the fallback
+  '1C3': { make: null, manufacturer: 'FCA US' },
+  '2C3': { make: null, manufacturer: 'FCA Canada' },
+  '2C4': { make: null, manufacturer: 'FCA Canada' },
+  '1B3': { make: 'Dodge', manufacturer: 'Chrysler Corporation' },
+  '2B3': { make: 'Dodge', manufacturer: 'Chrysler Canada' },
+  '1C4': { make: 'Jeep', manufacturer: 'FCA US' },
+  '1J4': { make: 'Jeep', manufacturer: 'Chrysler Corporation' },
+  '1J8': { make: 'Jeep', manufacturer: 'Chrysler Corporation' },
+  '1C6': { make: 'Ram', manufacturer: 'FCA US' },
+  '3C6': { make: 'Ram', manufacturer: 'FCA Mexico' },
+  '3C7': { make: 'Ram', manufacturer: 'FCA Mexico' },
+  '1D7': { make: 'Dodge', manufacturer: 'Chrysler Corporation' },
+
+  // Nissan / Infiniti
+  '1N4': { make: 'Nissan', manufacturer: 'Nissan North America' },
+  '1N6': { make: 'Nissan', manufacturer: 'Nissan North America' },
+  '5N1': { make: 'Nissan', manufacturer: 'Nissan North America' },
+  '3N1': { make: 'Nissan', manufacturer: 'Nissan Mexicana' },
+  '3N6': { make: 'Nissan', manufacturer: 'Nissan Mexicana' },
+  'JN1': { make: 'Nissan', manufacturer: 'Nissan Motor Co.' },
+  'JN8': { make: 'Nissan', manufacturer: 'Nissan Motor Co.' },
+  'KNM': { make: 'Nissan', manufacturer: 'Renault Samsung Motors' },
+  'JNK': { make: 'Infiniti', manufacturer: 'Nissan Motor Co.' },
+  '5N3': { make: 'Infiniti', manufacturer: 'Nissan North America' },
+
+  // Hyundai / Kia
+  'KMH': { make: 'Hyundai', manufacturer: 'Hyundai Motor Company' },
+  'KM8': { make: 'Hyundai', manufacturer: 'Hyundai Motor Company' },
+  '5NP': { make: 'Hyundai', manufacturer: 'Hyundai Motor Manufacturing Alabama' },
+  '5NM': { make: 'Hyundai', manufacturer: 'Hyundai Motor Manufacturing Alabama' },
+  'KNA': { make: 'Kia', manufacturer: 'Kia Corporation' },
+  'KND': { make: 'Kia', manufacturer: 'Kia Corporation' },
+  '5XY': { make: 'Kia', manufacturer: 'Kia Georgia' },
+  '5XX': { make: 'Kia', manufacturer: 'Kia Georgia' },
+  '3KP': { make: 'Kia', manufacturer: 'Kia Mexico' },
+
+  // Subaru / Mazda / Mitsubishi
+  'JF1': { make: 'Subaru', manufacturer: 'Subaru Corporation' },
+  'JF2': { make: 'Subaru', manufacturer: 'Subaru Corporation' },
+  '4S3': { make: 'Subaru', manufacturer: 'Subaru of Indiana Automotive' },
+  '4S4': { make: 'Subaru', manufacturer: 'Subaru of Indiana Automotive' },
+  'JM1': { make: 'Mazda', manufacturer: 'Mazda Motor Corporation' },
+  'JM3': { make: 'Mazda', manufacturer: 'Mazda Motor Corporation' },
+  '3MZ': { make: 'Mazda', manufacturer: 'Mazda de Mexico' },
+  'JA3': { make: 'Mitsubishi', manufacturer: 'Mitsubishi Motors' },
+  'JA4': { make: 'Mitsubishi', manufacturer: 'Mitsubishi Motors' },
+  '4A3': { make: 'Mitsubishi', manufacturer: 'Mitsubishi Motors North America' },
+
+  // European
+  'WBA': { make: 'BMW', manufacturer: 'BMW AG' },
+  'WBS': { make: 'BMW', manufacturer: 'BMW M GmbH' },
+  '5UX': { make: 'BMW', manufacturer: 'BMW Manufacturing Co.' },
+  'WDB': { make: 'Mercedes-Benz', manufacturer: 'Mercedes-Benz AG' },
+  'WDC': { make: 'Mercedes-Benz', manufacturer: 'Mercedes-Benz AG' },
+  'WDD': { make: 'Mercedes-Benz', manufacturer: 'Mercedes-Benz AG' },
+  '4JG': { make: 'Mercedes-Benz', manufacturer: 'Mercedes-Benz U.S. International' },
+  'WVW': { make: 'Volkswagen', manufacturer: 'Volkswagen AG' },
+  'WVG': { make: 'Volkswagen', manufacturer: 'Volkswagen AG' },
+  '1VW': { make: 'Volkswagen', manufacturer: 'Volkswagen Chattanooga' },
+  '3VW': { make: 'Volkswagen', manufacturer: 'Volkswagen de Mexico' },
+  'WAU': { make: 'Audi', manufacturer: 'Audi AG' },
+  'WA1': { make: 'Audi', manufacturer: 'Audi AG' },
+  'WP0': { make: 'Porsche', manufacturer: 'Porsche AG' },
+  'WP1': { make: 'Porsche', manufacturer: 'Porsche AG' },
+  'YV1': { make: 'Volvo', manufacturer: 'Volvo Cars' },
+  'YV4': { make: 'Volvo', manufacturer: 'Volvo Cars' },
+  'SAL': { make: 'Land Rover', manufacturer: 'Jaguar Land Rover' },
+  'SAJ': { make: 'Jaguar', manufacturer: 'Jaguar Land Rover' },
+  'ZFA': { make: 'Fiat', manufacturer: 'FCA Italy' },
+  'ZAR': { make: 'Alfa Romeo', manufacturer: 'FCA Italy' },
+
+  // Tesla
+  '5YJ': { make: 'Tesla', manufacturer: 'Tesla, Inc.' },
+  '7SA': { make: 'Tesla', manufacturer: 'Tesla, Inc.' }
+};
+
+// Position 11 by make
+const PLANTS = {
+  Honda: {
+    A: 'Marysville, OH',
+    C: 'Sayama, Japan',
+    H: 'Alliston, ON',
+    L: 'East Liberty, OH',
+    S: 'Suzuka, Japan'
+  },
+  Toyota: {
+    C: 'Cambridge, ON',
+    U: 'Georgetown, KY',
+    Z: 'Fremont, CA (NUMMI)'
+  },
+  Ford: {
+    5: 'Flat Rock, MI',
+    B: 'Oakville, ON',
+    E: 'Louisville, KY (Kentucky Truck)',
+    F: 'Dearborn, MI',
+    G: 'Chicago, IL',
+    K: 'Kansas City, MO',
+    R: 'Hermosillo, Mexico'
+  }
+};
+
+const V6 = '3.5L V6';
+
+// VDS (positions 4-8) patterns by make
+const VDS_PATTERNS = {
+  Honda: [
+    { pattern: /^CM/, model: 'Accord', years: [2003, 2007] },
+    { pattern: /^CP/, model: 'Accord', years: [2008, 2012], details: [{ position: 6, field: 'engine', codes: { 2: '2.4L I4', 3: V6 } }] },
+    { pattern: /^CR/, model: 'Accord', years: [2013, 2017], details: [{ position: 6, field: 'engine', codes: { 2: '2.4L I4', 3: V6 } }] },
+    { pattern: /^CV/, model: 'Accord', years: [2018, 2022], details: [{ position: 6, field: 'engine', codes: { 1: '1.5L I4 Turbo', 2: '2.0L I4 Turbo' } }] },
+    { pattern: /^ES/, model: 'Civic', years: [2001, 2005], bodyType: 'Sedan' },
+    { pattern: /^FA/, model: 'Civic', years: [2006, 2011], bodyType: 'Sedan', engine: '1.8L I4' },
+    { pattern: /^FG/, model: 'Civic', years: [2006, 2015], bodyType: 'Coupe' },
+    { pattern: /^FB/, model: 'Civic', years: [2012, 2015], bodyType: 'Sedan' },
+    { pattern: /^FC/, model: 'Civic', years: [2016, 2021], bodyType: 'Sedan' },
+    { pattern: /^FK/, model: 'Civic', years: [2017, 2021], bodyType: 'Hatchback', engine: '1.5L I4 Turbo' },
+    { pattern: /^FE/, model: 'Civic', years: [2022, 2026], bodyType: 'Sedan' },
+    { pattern: /^RD/, model: 'CR-V', years: [1997, 2006], bodyType: 'SUV' },
+    { pattern: /^RE/, model: 'CR-V', years: [2007, 2011], bodyType: 'SUV', engine: '2.4L I4' },
+    { pattern: /^RM/, model: 'CR-V', years: [2012, 2016], bodyType: 'SUV', engine: '2.4L I4' },
+    { pattern: /^RW/, model: 'CR-V', years: [2017, 2022], bodyType: 'SUV' },
+    { pattern: /^RS/, model: 'CR-V', years: [2023, 2026], bodyType: 'SUV' },
+    { pattern: /^YF/, model: 'Pilot', years: [2003, 2022], bodyType: 'SUV', engine: V6 },
+    { pattern: /^RL/, model: 'Odyssey', years: [2005, 2026], bodyType: 'Minivan', engine: V6 }
+  ],
+
+  // Toyota: position 5 is the engine, 6-7 the line
+  Toyota: [
+    {
+      pattern: /^.[FKD]1F/, model: 'Camry', years: [2012, 2017], bodyType: 'Sedan',
+      details: [{ position: 5, codes: { F: { engine: '2.5L I4' }, K: { engine: V6 }, D: { engine: '2.5L I4 Hybrid', fuelType: 'Hybrid' } } }]
+    },
+    {
+      pattern: /^.[1Z2]1[HA]/, model: 'Camry', years: [2018, 2024], bodyType: 'Sedan',
+      details: [{ position: 5, codes: { 1: { engine: '2.5L I4' }, Z: { engine: V6 }, 2: { engine: '2.5L I4 Hybrid', fuelType: 'Hybrid' } } }]
+    },
+    { pattern: /^.U4E/, model: 'Corolla', years: [2009, 2013], bodyType: 'Sedan', engine: '1.8L I4' },
+    { pattern: /^.URH/, model: 'Corolla', years: [2014, 2019], bodyType: 'Sedan', engine: '1.8L I4' },
+    { pattern: /^.FRE/, model: 'RAV4', years: [2013, 2018], bodyType: 'SUV', engine: '2.5L I4' },
+    { pattern: /^.JRE/, model: 'RAV4 Hybrid', years: [2016, 2018], bodyType: 'SUV', engine: '2.5L I4 Hybrid', fuelType: 'Hybrid' },
+    { pattern: /^.Z5[CA]/, model: 'Tacoma', years: [2016, 2023], bodyType: 'Pickup', engine: V6 },
+    { pattern: /^.[WY]5F/, model: 'Tundra', years: [2007, 2021], bodyType: 'Pickup', engine: '5.7L V8' }
+  ],
+
+  // Ford: positions 5-7 are line, series and drive; 8 is the engine
+  Ford: [
+    {
+      pattern: /^.[WXF]1[CE]/, model: 'F-150',
+      details: [
+        { position: 5, field: 'bodyType', codes: { W: 'Pickup (SuperCrew)', X: 'Pickup (SuperCab)', F: 'Pickup (Regular Cab)' } },
+        { position: 7, field: 'driveType', codes: { C: '2WD', E: '4WD' } },
+        { position: 8, field: 'engine', years: [2011, 2014], codes: { F: '5.0L V8', T: '3.5L V6 EcoBoost', M: '3.7L V6', 6: '6.2L V8' } },
+        { position: 8, field: 'engine', years: [2015, 2017], codes: { F: '5.0L V8', G: '3.5L V6 EcoBoost', P: '2.7L V6 EcoBoost', 8: V6 } },
+        { position: 8, field: 'engine', years: [2018, 2020], codes: { 5: '5.0L V8', G: '3.5L V6 EcoBoost', P: '2.7L V6 EcoBoost', B: '3.3L V6', 1: { engine: '3.0L V6 Diesel', fuelType: 'Diesel' } } }
+      ]
+    },
+    {
+      pattern: /^.[WXF][23][AB]/, model: 'F-250/F-350 Super Duty', years: [2011, 2026], bodyType: 'Pickup',
+      details: [
+        { position: 6, field: 'model', codes: { 2: 'F-250 Super Duty', 3: 'F-350 Super Duty' } },
+        { position: 7, field: 'driveType', codes: { A: '2WD', B: '4WD' } },
+        { position: 8, codes: { T: { engine: '6.7L V8 Diesel', fuelType: 'Diesel' }, 6: { engine: '6.2L V8' } } }
+      ]
+    },
+    {
+      pattern: /^6P8/, model: 'Mustang', years: [2015, 2023],
+      details: [{ position: 8, field: 'engine', codes: { H: '2.3L I4 EcoBoost', F: '5.0L V8' } }]
+    },
+    { pattern: /^6P0/, model: 'Fusion', years: [2013, 2020], bodyType: 'Sedan' },
+    { pattern: /^DP3/, model: 'Focus', years: [2012, 2018] },
+    { pattern: /^CU[09]/, model: 'Escape', years: [2013, 2022], bodyType: 'SUV', details: [{ position: 6, field: 'driveType', codes: { 0: 'FWD', 9: '4WD' } }] },
+    { pattern: /^[5S]K[78]/, model: 'Explorer', years: [2011, 2024], bodyType: 'SUV' }
+  ],
+
+  Chevrolet: [
+    { pattern: /^P/, model: 'Cruze', years: [2011, 2016], bodyType: 'Sedan' },
+    { pattern: /^Z/, model: 'Malibu', years: [2008, 2025], bodyType: 'Sedan' },
+    { pattern: /^W/, model: 'Impala', years: [2000, 2013], bodyType: 'Sedan' }
+  ],
+
+  // Nissan: position 4 is the engine (per model), 5 the line
+  Nissan: [
+    {
+      pattern: /^.L/, model: 'Altima', years: [2002, 2018], bodyType: 'Sedan',
+      details: [{ position: 4, field: 'engine', codes: { A: '2.5L I4', B: V6 } }]
+    },
+    { pattern: /^.L/, model: 'Altima', years: [2019, 2026], bodyType: 'Sedan' },
+    { pattern: /^.B/, model: 'Sentra', bodyType: 'Sedan' },
+    { pattern: /^.S/, model: 'Rogue', years: [2008, 2015], bodyType: 'SUV', engine: '2.5L I4' },
+    { pattern: /^.T/, model: 'Rogue', years: [2014, 2026], bodyType: 'SUV' },
+    { pattern: /^.A/, wmi: ['1N4', 'JN1'], model: 'Maxima', years: [2002, 2023], bodyType: 'Sedan', engine: V6 },
+    { pattern: /^.A/, wmi: ['1N6'], model: 'Titan', years: [2004, 2024], bodyType: 'Pickup', engine: '5.6L V8' },
+    { pattern: /^.D/, wmi: ['1N6'], model: 'Frontier', years: [2005, 2026], bodyType: 'Pickup' },
+    { pattern: /^.R/, wmi: ['5N1'], model: 'Pathfinder', years: [2013, 2020], bodyType: 'SUV', engine: V6 },
+    { pattern: /^.Z/, wmi: ['JN8'], model: 'Murano', bodyType: 'SUV', engine: V6 }
+  ],
+
+  // Jeep / Ram (2011+ VIN layout): positions 4-6 carry the line, 8 the engine
+  Jeep: [
+    { pattern: /^.JW/, model: 'Wrangler', years: [2011, 2018], bodyType: 'SUV' },
+    { pattern: /^.JX/, model: 'Wrangler', years: [2018, 2026], bodyType: 'SUV' },
+    { pattern: /^RJ/, model: 'Grand Cherokee', years: [2011, 2026], bodyType: 'SUV' },
+    // 1C4 also covers Dodge SUVs
+    { pattern: /^RD/, make: 'Dodge', model: 'Durango', years: [2011, 2026], bodyType: 'SUV' }
+  ],
+
+  Ram: [
+    { pattern: /^RR/, model: '1500', years: [2011, 2018], bodyType: 'Pickup' },
+    { pattern: /^SR/, model: '1500', years: [2019, 2026], bodyType: 'Pickup' }
+  ]
+};
+
+// Engine by position 8 for 2011+ Stellantis VINs
+const STELLANTIS_ENGINES = {
+  G: { engine: '3.6L V6' },
+  T: { engine: '5.7L V8 HEMI' },
+  M: { engine: '3.0L V6 Diesel', fuelType: 'Diesel' }
+};
+
+['Jeep', 'Ram'].forEach(make => {
+  VDS_PATTERNS[make].forEach(entry => {
+    entry.details = [{ position: 8, years: [2011, 2026], codes: STELLANTIS_ENGINES }];
+  });
+});
+
+module.exports = {
+  TRANSLITERATION,
+  CHECK_DIGIT_WEIGHTS,
+  MODEL_YEAR_CODES,
+  REGIONS,
+  COUNTRY_RANGES,
+  WMI,
+  PLANTS,
+  VDS_PATTERNS
+};
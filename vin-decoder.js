@@ -0,0 +1,286 @@
+/**
+ * Offline VIN Decoder
+ * Validates the ISO 3779 check digit and decodes WMI, model year, plant and
+ * (from the bundled VDS tables) make/model/engine without a network call.
+ *
+ * A fallback decoder (NexpartVINDecoder, or anything with decodeVIN(vin)) is
+ * only called when the tables can't name the model, or when trim is asked for.
+ */
+
+const {
+    TRANSLITERATION,
+    CHECK_DIGIT_WEIGHTS,
+    MODEL_YEAR_CODES,
+    REGIONS,
+    COUNTRY_RANGES,
+    WMI,
+    PLANTS,
+    VDS_PATTERNS
+} = require('./vin-decoder-tables.js');
+
+const LOCAL_SOURCE = 'Local VIN tables';
+
+// Order of second characters in the WMI country ranges
+const WMI_SECOND_CHARS = 'ABCDEFGHJKLMNPRSTUVWXYZ1234567890';
+
+// Fields a fallback decoder may fill in or refine
+const DETAIL_FIELDS = ['model', 'trim', 'engine', 'bodyType', 'driveType', 'transmission', 'fuelType'];
+
+class VINDecoder {
+    /**
+     * @param {object} options - { fallback } - decoder used for trim / unknown models
+     */
+    constructor(options = {}) {
+        // Fallback decoders cache their own lookups (NexpartVINDecoder uses the shared LookupCache)
+        this.fallback = options.fallback || null;
+
+        console.log(`🔍 VIN Decoder initialized (${this.fallback ? 'with' : 'no'} fallback)`);
+    }
+
+    /**
+     * Uppercase, strip spaces/dashes
+     */
+    static normalize(vin) {
+        return String(vin || '').toUpperCase().replace(/[\s-]/g, '');
+    }
+
+    /**
+     * Expected check digit (position 9) for a 17-character VIN
+     * @param {string} vin - VIN
+     * @returns {string} '0'-'9' or 'X'
+     */
+    static calculateCheckDigit(vin) {
+        const sum = vin.split('').reduce((total, char, index) => {
+            const value = /[0-9]/.test(char) ? Number(char) : TRANSLITERATION[char];
+            return total + value * CHECK_DIGIT_WEIGHTS[index];
+        }, 0);
+
+        const remainder = sum % 11;
+        return remainder === 10 ? 'X' : String(remainder);
+    }
+
+    /**
+     * Validate length, characters and check digit. The check digit is
+     * mandatory for North American and Chinese VINs; elsewhere a mismatch is
+     * only a warning since many manufacturers don't compute it.
+     * @param {string} vin - VIN
+     * @returns {object} { valid, vin, error, checkDigit: { expected, actual, valid }, warning }
+     */
+    static validateVIN(vin) {
+        const value = VINDecoder.normalize(vin);
+
+        if (value.length !== 17) {
+            return { valid: false, vin: value, error: 'VIN must be 17 characters' };
+        }
+
+        if (!/^[A-HJ-NPR-Z0-9]{17}$/.test(value)) {
+            return { valid: false, vin: value, error: 'VIN contains invalid characters (I, O and Q are never used)' };
+        }
+
+        const expected = VINDecoder.calculateCheckDigit(value);
+        const checkDigit = { expected, actual: value[8], valid: expected === value[8] };
+
+        if (!checkDigit.valid) {
+            if (/^[1-5L]/.test(value)) {
+                return {
+                    valid: false,
+                    vin: value,
+                    error: `VIN check digit does not match (expected ${expected}) - please re-check the VIN`,
+                    checkDigit
+                };
+            }
+
+            return { valid: true, vin: value, checkDigit, warning: 'Check digit does not match; not required for this region' };
+        }
+
+        return { valid: true, vin: value, checkDigit };
+    }
+
+    /**
+     * Model year from position 10. The code repeats every 30 years; 49 CFR 565
+     * settles which cycle with position 7 on every US-market 17-character VIN,
+     * whatever the manufacturer: digit = 1980-2009, letter = 2010-2039.
+     * @param {string} vin - Normalized VIN
+     * @returns {number|null}
+     */
+    static decodeModelYear(vin) {
+        const base = MODEL_YEAR_CODES[vin[9]];
+
+        if (!base) {
+            return null;
+        }
+
+        return /[0-9]/.test(vin[6]) ? base : base + 30;
+    }
+
+    static decodeCountry(vin) {
+        const position = WMI_SECOND_CHARS.indexOf(vin[1]);
+        const range = COUNTRY_RANGES.find(([first, from, to]) =>
+            first === vin[0] &&
+            position >= WMI_SECOND_CHARS.indexOf(from) &&
+            position <= WMI_SECOND_CHARS.indexOf(to)
+        );
+
+        return range ? range[3] : null;
+    }
+
+    /**
+     * Model, engine, body etc. from the VDS tables
+     * @param {string} vin - Normalized VIN
+     * @param {string} make - Make from the WMI
+     * @param {number} year - Model year
+     * @returns {object} Fields found (may be empty)
+     */
+    static decodeDescriptor(vin, make, year) {
+        const wmi = vin.slice(0, 3);
+        const vds = vin.slice(3, 8);
+        const inYears = (years) => !years || !year || (year >= years[0] && year <= years[1]);
+
+        const entry = (VDS_PATTERNS[make] || []).find(candidate =>
+            (!candidate.wmi || candidate.wmi.includes(wmi)) &&
+            candidate.pattern.test(vds) &&
+            inYears(candidate.years)
+        );
+
+        if (!entry) {
+            return {};
+        }
+
+        const { pattern, wmi: wmis, years, details = [], ...fields } = entry;
+
+        details.filter(detail => inYears(detail.years)).forEach(detail => {
+            const value = detail.codes[vin[detail.position - 1]];
+
+            if (typeof value === 'string') {
+                fields[detail.field] = value;
+            } else if (value) {
+                Object.assign(fields, value);
+            }
+        });
+
+        return fields;
+    }
+
+    /**
+     * Decode a VIN from the bundled tables only
+     * @param {string} vin - Vehicle Identification Number
+     * @returns {object} Same shape as NexpartVINDecoder.decodeVIN, plus WMI/plant/check digit details
+     */
+    static decodeLocal(vin) {
+        const validation = VINDecoder.validateVIN(vin);
+
+        if (!validation.valid) {
+            return {
+                success: false,
+                error: validation.error,
+                vin: validation.vin,
+                checkDigit: validation.checkDigit || null,
+                source: LOCAL_SOURCE
+            };
+        }
+
+        const value = validation.vin;
+        const wmi = value.slice(0, 3);
+        const manufacturer = WMI[wmi] || null;
+        const year = VINDecoder.decodeModelYear(value);
+        const descriptor = manufacturer?.make ? VINDecoder.decodeDescriptor(value, manufacturer.make, year) : {};
+        const make = descriptor.make || manufacturer?.make || null;
+        const plantCode = value[10];
+
+        const vehicle = {
+            year,
+            make,
+            model: descriptor.model || null,
+            trim: null,
+            engine: descriptor.engine || null,
+            bodyType: descriptor.bodyType || null,
+            driveType: descriptor.driveType || null,
+            transmission: null,
+            fuelType: descriptor.fuelType || null
+        };
+
+        return {
+            success: true,
+            vin: value,
+            vehicle,
+            // Model known → good enough for intake; trim needs a fallback
+            complete: Boolean(vehicle.make && vehicle.model),
+            wmi,
+            vds: value.slice(3, 9),
+            vis: value.slice(9),
+            manufacturer: manufacturer?.manufacturer || null,
+            country: VINDecoder.decodeCountry(value),
+            region: REGIONS[value[0]] || null,
+            plantCode,
+            plant: PLANTS[make]?.[plantCode] || null,
+            serialNumber: value.slice(11),
+            checkDigit: validation.checkDigit,
+            warning: validation.warning || null,
+            source: LOCAL_SOURCE,
+            decodedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Decode a VIN: local tables first, the fallback decoder only when the
+     * tables can't name the model or trim is requested
+     * @param {string} vin - Vehicle Identification Number
+     * @param {object} options - { includeTrim }
+     * @returns {Promise<Object>} Vehicle information
+     */
+    async decodeVIN(vin, options = {}) {
+        const local = VINDecoder.decodeLocal(vin);
+
+        if (!local.success) {
+            console.warn(`⚠️ Invalid VIN ${local.vin}: ${local.error}`);
+            return local;
+        }
+
+        if (!this.fallback || (local.complete && !options.includeTrim)) {
+            console.log(`✅ VIN decoded offline: ${[local.vehicle.year, local.vehicle.make, local.vehicle.model].filter(Boolean).join(' ')}`);
+            return local;
+        }
+
+        let remote;
+        try {
+            remote = await this.fallback.decodeVIN(local.vin);
+        } catch (error) {
+            remote = { success: false, error: error.message };
+        }
+
+        if (!remote?.success) {
+            console.warn(`⚠️ Fallback VIN decode failed for ${local.vin}: ${remote?.error}`);
+            return { ...local, fallbackError: remote?.error || 'Fallback decode failed' };
+        }
+
+        return VINDecoder.mergeResults(local, remote);
+    }
+
+    /**
+     * Combine a local decode with a fallback result. Year and make come from
+     * the VIN structure; the fallback fills in or refines the rest.
+     */
+    static mergeResults(local, remote) {
+        const vehicle = { ...local.vehicle };
+        const detail = remote.vehicle || remote;
+        const known = (value) => value != null && value !== '' && value !== 'Unknown';
+
+        if (!vehicle.year && known(detail.year)) vehicle.year = Number(detail.year) || detail.year;
+        if (!vehicle.make && known(detail.make)) vehicle.make = detail.make;
+
+        DETAIL_FIELDS.forEach(field => {
+            if (known(detail[field])) {
+                vehicle[field] = detail[field];
+            }
+        });
+
+        return {
+            ...local,
+            vehicle,
+            complete: Boolean(vehicle.make && vehicle.model),
+            source: `${LOCAL_SOURCE} + ${remote.source || 'fallback'}`
+        };
+    }
+}
+
+module.exports = VINDecoder;
@@ -0,0 +1,157 @@
+/**
+ * Work Order API Endpoints
+ * CRUD and status transitions for the shared work order repository
+ */
+
+const {
+    WorkOrderTransitionError,
+    WORK_ORDER_STATUSES,
+    STATUS_TRANSITIONS
+} = require('./work-order-repository.js');
+const { getShopId } = require('./shop-auth-middleware.js');
+
+/**
+ * Send a repository error with the right status code
+ */
+function sendWorkOrderError(res, error) {
+    if (error instanceof WorkOrderTransitionError) {
+        return res.status(409).json({
+            success: false,
+            error: error.message,
+            from: error.from,
+            to: error.to,
+            allowed: error.allowed
+        });
+    }
+
+    if (error.message === 'Work order not found') {
+        return res.status(404).json({ success: false, error: error.message });
+    }
+
+    if (/^(Unknown work order status|Use transition\(\)|Work order .* already exists)/.test(error.message)) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    res.status(500).json({ success: false, error: error.message });
+}
+
+function registerWorkOrderEndpoints(app, workOrderRepository) {
+    // req.shop is set by shop-auth-middleware; the request's own shopId is only a fallback
+
+    /**
+     * GET /api/work-orders/statuses
+     * Status list and allowed transitions (for building UI)
+     */
+    app.get('/api/work-orders/statuses', (req, res) => {
+        res.json({
+            success: true,
+            statuses: WORK_ORDER_STATUSES,
+            transitions: STATUS_TRANSITIONS
+        });
+    });
+
+    /**
+     * GET /api/work-orders
+     * List work orders (optional ?status=, ?source=, ?technicianId=)
+     */
+    app.get('/api/work-orders', async (req, res) => {
+        try {
+            const { status, source, technicianId } = req.query;
+            const workOrders = await workOrderRepository.list(getShopId(req), { status, source, technicianId });
+
+            res.json({ success: true, workOrders, total: workOrders.length });
+        } catch (error) {
+            sendWorkOrderError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/work-orders/:id
+     * Get a work order
+     */
+    app.get('/api/work-orders/:id', async (req, res) => {
+        try {
+            const workOrder = await workOrderRepository.get(getShopId(req), req.params.id);
+            res.json({ success: true, workOrder });
+        } catch (error) {
+            sendWorkOrderError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/work-orders
+     * Create a work order
+     */
+    app.post('/api/work-orders', async (req, res) => {
+        try {
+            const { shopId, ...data } = req.body;
+            const workOrder = await workOrderRepository.create(getShopId(req), data);
+            res.json({ success: true, workOrder });
+        } catch (error) {
+            sendWorkOrderError(res, error);
+        }
+    });
+
+    /**
+     * PATCH /api/work-orders/:id
+     * Update work order fields (status changes go through /transition)
+     */
+    app.patch('/api/work-orders/:id', async (req, res) => {
+        try {
+            const { shopId, ...updates } = req.body;
+
+            if (updates.status !== undefined) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Use POST /api/work-orders/:id/transition to change status'
+                });
+            }
+
+            const workOrder = await workOrderRepository.update(getShopId(req), req.params.id, updates);
+            res.json({ success: true, workOrder });
+        } catch (error) {
+            sendWorkOrderError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/work-orders/:id/transition
+     * Move a work order to a new status
+     * Body: { status, note, by, updates }
+     */
+    app.post('/api/work-orders/:id/transition', async (req, res) => {
+        try {
+            const { status, note, by, updates } = req.body;
+
+            if (!status) {
+                return res.status(400).json({ success: false, error: 'Status is required' });
+            }
+
+            const workOrder = await workOrderRepository.transition(getShopId(req), req.params.id, status, {
+                note,
+                by,
+                updates
+            });
+
+            res.json({ success: true, workOrder });
+        } catch (error) {
+            sendWorkOrderError(res, error);
+        }
+    });
+
+    /**
+     * DELETE /api/work-orders/:id
+     * Delete a work order
+     */
+    app.delete('/api/work-orders/:id', async (req, res) => {
+        try {
+            await workOrderRepository.delete(getShopId(req), req.params.id);
+            res.json({ success: true });
+        } catch (error) {
+            sendWorkOrderError(res, error);
+        }
+    });
+}
+
+module.exports = registerWorkOrderEndpoints;
+module.exports.sendWorkOrderError = sendWorkOrderError;
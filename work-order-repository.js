@@ -0,0 +1,542 @@
+/**
+ * Work Order Repository
+ * Single persistent home for jobs / work orders, shared by intake, drop-offs,
+ * estimates, the tech workflow and bay balancing
+ *
+ * Work orders with a VIN or plate are linked to a vehicle record
+ * (vehicle-repository.js) through vehicleId.
+ *
+ * Status flow:
+ *   intake → diagnosis → estimate → approved → parts → parts_arrived → in_progress → qc → ready → paid → closed
+ *
+ * 'parts' means parts are on order; purchase-order-service.js moves the work
+ * order to 'parts_arrived' once everything ordered for it has been received.
+ */
+
+const crypto = require('crypto');
+const { ShopRouter } = require('./firebase-config');
+const admin = require('firebase-admin');
+const { ALREADY_EXISTS } = require('./storage-adapter');
+const { VehicleRepository } = require('./vehicle-repository.js');
+
+const WORK_ORDER_STATUSES = [
+  'intake',
+  'diagnosis',
+  'estimate',
+  'approved',
+  'parts',
+  'parts_arrived',
+  'in_progress',
+  'qc',
+  'ready',
+  'paid',
+  'closed',
+  'cancelled'
+];
+
+// Allowed moves from each status. Besides the forward path this covers the
+// usual shop-floor back-steps: more diagnosis before quoting, re-quoting when
+// a part is unavailable or extra work is found, and failed QC.
+const STATUS_TRANSITIONS = {
+  intake: ['diagnosis', 'estimate', 'cancelled'],
+  diagnosis: ['estimate', 'cancelled'],
+  estimate: ['approved', 'diagnosis', 'cancelled'],
+  approved: ['parts', 'in_progress', 'estimate', 'cancelled'],
+  parts: ['parts_arrived', 'in_progress', 'estimate', 'cancelled'],
+  parts_arrived: ['in_progress', 'parts', 'estimate', 'cancelled'],
+  in_progress: ['qc', 'parts', 'estimate'],
+  qc: ['ready', 'in_progress'],
+  ready: ['paid', 'in_progress'],
+  paid: ['closed'],
+  closed: [],
+  cancelled: ['closed']
+};
+
+// Statuses written by older code paths, mapped onto the work order flow
+const LEGACY_STATUSES = {
+  pending: 'intake',
+  pending_review: 'intake',
+  intake_complete: 'intake',
+  in_review: 'diagnosis',
+  diagnosed: 'estimate',
+  assigned: 'approved',
+  scheduled: 'approved',
+  'in-progress': 'in_progress',
+  completed: 'qc'
+};
+
+// Work has been done once a job reaches one of these
+const WORK_COMPLETE_STATUSES = ['qc', 'ready', 'paid', 'closed'];
+
+// Fields a new work order may be created with. The ID, status, estimate and
+// approval are the repository's own: every work order starts at intake with
+// no estimate, and moves on through transition() and attachEstimate()
+const CREATE_FIELDS = [
+  'source',
+  'customer',
+  'vehicle',
+  'concern',
+  'notes',
+  'service',
+  'intake',
+  'dropoff',
+  'schedule',
+  'initialEstimate',
+  'priority',
+  'staff',
+  'technicianNotes',
+  'createdBy'
+];
+
+class WorkOrderTransitionError extends Error {
+  constructor(workOrderId, from, to) {
+    const allowed = STATUS_TRANSITIONS[from] || [];
+    super(
+      `Cannot move work order ${workOrderId} from '${from}' to '${to}'. ` +
+      (allowed.length > 0 ? `Allowed next statuses: ${allowed.join(', ')}` : `'${from}' is a final status`)
+    );
+    this.name = 'WorkOrderTransitionError';
+    this.workOrderId = workOrderId;
+    this.from = from;
+    this.to = to;
+    this.allowed = allowed;
+  }
+}
+
+class WorkOrderRepository {
+  /**
+   * @param {object} options - { vehicles } VehicleRepository work orders are linked to
+   */
+  constructor(options = {}) {
+    this.vehicles = options.vehicles || new VehicleRepository();
+  }
+
+  /**
+   * Map a legacy or loosely formatted status onto the work order flow
+   * @param {string} status - Status
+   * @returns {string|null}
+   */
+  static normalizeStatus(status) {
+    if (!status) return null;
+    const value = String(status).toLowerCase();
+    return LEGACY_STATUSES[value] || (WORK_ORDER_STATUSES.includes(value) ? value : null);
+  }
+
+  /**
+   * Check whether a status change is allowed
+   * @param {string} from - Current status
+   * @param {string} to - Requested status
+   * @returns {boolean}
+   */
+  static canTransition(from, to) {
+    return (STATUS_TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Create a work order at 'intake'
+   * @param {string} shopId - Shop ID
+   * @param {object} data - Work order data (customer, vehicle, concern, source, ...);
+   *   fields outside CREATE_FIELDS are ignored
+   * @returns {Promise<object>}
+   */
+  async create(shopId, data = {}) {
+    try {
+      const fields = {};
+      CREATE_FIELDS.forEach(field => {
+        if (data[field] !== undefined) fields[field] = data[field];
+      });
+
+      const initialStatus = 'intake';
+      const id = `WO-${Date.now()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+      const ref = ShopRouter.getShopDocument(shopId, 'jobs', id);
+
+      const workOrder = {
+        source: 'staff',
+        customer: {},
+        vehicle: {},
+        concern: '',
+        notes: '',
+        estimate: null,
+        approval: null,
+        assignedTechnicianId: null,
+        bayId: null,
+        createdBy: 'Staff',
+        ...fields,
+        workOrderId: id,
+        shopId,
+        status: initialStatus,
+        statusHistory: [{
+          from: null,
+          to: initialStatus,
+          at: admin.firestore.Timestamp.now(),
+          by: fields.createdBy || 'Staff'
+        }],
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      // create() fails rather than overwriting an existing work order
+      try {
+        await ref.create(workOrder);
+      } catch (error) {
+        if (error.code === ALREADY_EXISTS) {
+          throw new Error(`Work order ${id} already exists`);
+        }
+        throw error;
+      }
+      await this.linkVehicle(shopId, id);
+
+      return this.get(shopId, id);
+    } catch (error) {
+      console.error('Error creating work order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a work order
+   * @param {string} shopId - Shop ID
+   * @param {string} workOrderId - Work order ID
+   * @returns {Promise<object>}
+   */
+  async get(shopId, workOrderId) {
+    try {
+      const doc = await ShopRouter.getShopDocument(shopId, 'jobs', workOrderId).get();
+
+      if (!doc.exists) {
+        throw new Error('Work order not found');
+      }
+
+      return this.fromDoc(doc);
+    } catch (error) {
+      console.error('Error getting work order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a work order without throwing when it does not exist
+   * @param {string} shopId - Shop ID
+   * @param {string} workOrderId - Work order ID
+   * @returns {Promise<object|null>}
+   */
+  async find(shopId, workOrderId) {
+    const doc = await ShopRouter.getShopDocument(shopId, 'jobs', workOrderId).get();
+    return doc.exists ? this.fromDoc(doc) : null;
+  }
+
+  /**
+   * List work orders
+   * @param {string} shopId - Shop ID
+   * @param {object} filters - { status, statuses, source, technicianId, bayId, limit }
+   * @returns {Promise<Array>}
+   */
+  async list(shopId, filters = {}) {
+    try {
+      let query = ShopRouter.getShopCollection(shopId, 'jobs');
+
+      if (filters.status) {
+        query = query.where('status', '==', filters.status);
+      } else if (filters.statuses) {
+        query = query.where('status', 'in', filters.statuses);
+      }
+
+      if (filters.source) {
+        query = query.where('source', '==', filters.source);
+      }
+
+      if (filters.technicianId) {
+        query = query.where('assignedTechnicianId', '==', filters.technicianId);
+      }
+
+      if (filters.bayId) {
+        query = query.where('bayId', '==', filters.bayId);
+      }
+
+      if (filters.limit) {
+        query = query.limit(filters.limit);
+      }
+
+      const snapshot = await query.get();
+
+      return snapshot.docs
+        .map(doc => this.fromDoc(doc))
+        .sort((a, b) => this.toMillis(b.createdAt) - this.toMillis(a.createdAt));
+    } catch (error) {
+      console.error('Error listing work orders:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update work order fields (not status - use transition)
+   * @param {string} shopId - Shop ID
+   * @param {string} workOrderId - Work order ID
+   * @param {object} updates - Field updates
+   * @returns {Promise<object>}
+   */
+  async update(shopId, workOrderId, updates = {}) {
+    try {
+      if (updates.status !== undefined) {
+        throw new Error('Use transition() to change a work order status');
+      }
+
+      const { workOrderId: ignoredId, shopId: ignoredShop, statusHistory, createdAt, ...fields } = updates;
+
+      const ref = ShopRouter.getShopDocument(shopId, 'jobs', workOrderId);
+      const doc = await ref.get();
+
+      if (!doc.exists) {
+        throw new Error('Work order not found');
+      }
+
+      await ref.update({
+        ...fields,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      if (fields.vehicle || fields.customer) {
+        await this.linkVehicle(shopId, workOrderId);
+      }
+
+      return this.get(shopId, workOrderId);
+    } catch (error) {
+      console.error('Error updating work order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a work order to a new status
+   * @param {string} shopId - Shop ID
+   * @param {string} workOrderId - Work order ID
+   * @param {string} status - New status
+   * @param {object} options - { by, note, updates } extra fields are saved with the change
+   * @returns {Promise<object>}
+   * @throws {WorkOrderTransitionError} when the move is not allowed
+   */
+  async transition(shopId, workOrderId, status, options = {}) {
+    try {
+      const { by = 'Staff', note = null, updates = {} } = options;
+      const to = WorkOrderRepository.normalizeStatus(status);
+
+      if (!to) {
+        throw new Error(`Unknown work order status: ${status}`);
+      }
+
+      const ref = ShopRouter.getShopDocument(shopId, 'jobs', workOrderId);
+      const { status: ignoredStatus, statusHistory, ...fields } = updates;
+
+      // Status check and update in one transaction, so two moves can't both pass the check
+      await ShopRouter.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+
+        if (!doc.exists) {
+          throw new Error('Work order not found');
+        }
+
+        const from = WorkOrderRepository.normalizeStatus(doc.data().status) || 'intake';
+
+        if (!WorkOrderRepository.canTransition(from, to)) {
+          throw new WorkOrderTransitionError(workOrderId, from, to);
+        }
+
+        transaction.update(ref, {
+          ...fields,
+          status: to,
+          [`${to.replace(/_(\w)/g, (m, c) => c.toUpperCase())}At`]: admin.firestore.FieldValue.serverTimestamp(),
+          statusHistory: admin.firestore.FieldValue.arrayUnion({
+            from,
+            to,
+            at: admin.firestore.Timestamp.now(),
+            by,
+            ...(note ? { note } : {})
+          }),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      });
+
+      return this.get(shopId, workOrderId);
+    } catch (error) {
+      if (!(error instanceof WorkOrderTransitionError)) {
+        console.error('Error changing work order status:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Move a work order forward through the given statuses, skipping any it has
+   * already passed. Used by entry points that jump ahead (e.g. an approved
+   * quote arriving while the work order is still at intake).
+   * @param {string} shopId - Shop ID
+   * @param {string} workOrderId - Work order ID
+   * @param {Array<string>} path - Statuses in order
+   * @param {object} options - Same as transition()
+   * @returns {Promise<object>}
+   */
+  async advance(shopId, workOrderId, path, options = {}) {
+    let workOrder = await this.get(shopId, workOrderId);
+
+    for (const status of path) {
+      const currentIndex = WORK_ORDER_STATUSES.indexOf(WorkOrderRepository.normalizeStatus(workOrder.status));
+      if (WORK_ORDER_STATUSES.indexOf(status) <= currentIndex) {
+        continue;
+      }
+      workOrder = await this.transition(shopId, workOrderId, status, options);
+    }
+
+    return workOrder;
+  }
+
+  /**
+   * Attach an estimate and move the work order to 'estimate' if it is not there yet.
+   * Re-quoting approved or started work goes through the transition table like any
+   * other move, and the status check and write happen in one transaction.
+   * @param {string} shopId - Shop ID
+   * @param {string} workOrderId - Work order ID
+   * @param {object} estimate - Estimate data
+   * @param {object} options - { by, note }
+   * @returns {Promise<object>}
+   * @throws {WorkOrderTransitionError} when the work order can't go back to 'estimate'
+   */
+  async attachEstimate(shopId, workOrderId, estimate, options = {}) {
+    try {
+      const { by = 'Staff', note = null } = options;
+      const ref = ShopRouter.getShopDocument(shopId, 'jobs', workOrderId);
+
+      await ShopRouter.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+
+        if (!doc.exists) {
+          throw new Error('Work order not found');
+        }
+
+        const from = WorkOrderRepository.normalizeStatus(doc.data().status) || 'intake';
+
+        if (from === 'estimate') {
+          transaction.update(ref, { estimate, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+          return;
+        }
+
+        if (!WorkOrderRepository.canTransition(from, 'estimate')) {
+          throw new WorkOrderTransitionError(workOrderId, from, 'estimate');
+        }
+
+        // Approved or started work going back for a new quote is noted in the history
+        const requote = WORK_ORDER_STATUSES.indexOf(from) > WORK_ORDER_STATUSES.indexOf('estimate');
+        const historyNote = note || (requote ? `Re-quoted from '${from}'` : null);
+
+        transaction.update(ref, {
+          estimate,
+          status: 'estimate',
+          estimateAt: admin.firestore.FieldValue.serverTimestamp(),
+          statusHistory: admin.firestore.FieldValue.arrayUnion({
+            from,
+            to: 'estimate',
+            at: admin.firestore.Timestamp.now(),
+            by,
+            ...(historyNote ? { note: historyNote } : {})
+          }),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      });
+
+      return this.get(shopId, workOrderId);
+    } catch (error) {
+      if (!(error instanceof WorkOrderTransitionError)) {
+        console.error('Error attaching estimate:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Link a work order to its vehicle record (by VIN, or plate + state) so
+   * repeat visits share one history. Work orders without either stay unlinked
+   * until one is added. A failed link is logged, not thrown - it must not
+   * block intake.
+   * @param {string} shopId - Shop ID
+   * @param {string} workOrderId - Work order ID
+   * @returns {Promise<string|null>} Vehicle ID
+   */
+  async linkVehicle(shopId, workOrderId) {
+    try {
+      const workOrder = await this.get(shopId, workOrderId);
+      const vehicle = await this.vehicles.resolve(shopId, workOrder.vehicle || {}, {
+        customer: workOrder.customer,
+        source: 'work-order'
+      });
+
+      if (!vehicle) {
+        return null;
+      }
+
+      const updates = {};
+      if (workOrder.vehicleId !== vehicle.id) {
+        updates.vehicleId = vehicle.id;
+      }
+
+      // A VIN-only intake picks up year/make/model from the vehicle record
+      const missing = ['year', 'make', 'model'].filter(field => !workOrder.vehicle?.[field] && vehicle[field]);
+      if (missing.length > 0) {
+        updates.vehicle = { ...workOrder.vehicle };
+        missing.forEach(field => { updates.vehicle[field] = vehicle[field]; });
+      }
+
+      if (Object.keys(updates).length > 0) {
+        await ShopRouter.getShopDocument(shopId, 'jobs', workOrderId).update(updates);
+      }
+
+      await this.vehicles.attachWorkOrder(shopId, vehicle.id, workOrder);
+
+      return vehicle.id;
+    } catch (error) {
+      console.error('Error linking work order to vehicle:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Delete a work order
+   * @param {string} shopId - Shop ID
+   * @param {string} workOrderId - Work order ID
+   * @returns {Promise<void>}
+   */
+  async delete(shopId, workOrderId) {
+    try {
+      await ShopRouter.getShopDocument(shopId, 'jobs', workOrderId).delete();
+    } catch (error) {
+      console.error('Error deleting work order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Convert a stored document into a work order, normalizing legacy statuses
+   */
+  fromDoc(doc) {
+    const data = doc.data();
+    return {
+      ...data,
+      id: doc.id,
+      workOrderId: data.workOrderId || doc.id,
+      status: WorkOrderRepository.normalizeStatus(data.status) || 'intake',
+      allowedTransitions: STATUS_TRANSITIONS[WorkOrderRepository.normalizeStatus(data.status) || 'intake']
+    };
+  }
+
+  toMillis(value) {
+    if (!value) return 0;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    return new Date(value).getTime() || 0;
+  }
+}
+
+module.exports = {
+  WorkOrderRepository,
+  WorkOrderTransitionError,
+  WORK_ORDER_STATUSES,
+  STATUS_TRANSITIONS,
+  WORK_COMPLETE_STATUSES
+};